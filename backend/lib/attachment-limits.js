@@ -0,0 +1,189 @@
+'use strict';
+
+const _ = require('lodash');
+const Q = require('q');
+const CONSTANTS = require('./constants');
+const LIMITS = CONSTANTS.ATTACHMENT_LIMITS;
+
+module.exports = function(dependencies) {
+
+  const esnConfig = dependencies('esn-config');
+  const mongoose = dependencies('db').mongo.mongoose;
+  const ChatConversation = mongoose.model('ChatConversation');
+  const ChatMessage = mongoose.model('ChatMessage');
+  const User = mongoose.model('User');
+
+  return {
+    check,
+    getLimits,
+    getUsage,
+    getUsageForDomain,
+    register
+  };
+
+  /**
+   * Check that files can be attached by a user to a message of a conversation: each file must fit in the maximum size
+   * and be of an allowed type of the domain of the conversation, and all of them must fit in what is left of the quota of the user.
+   *
+   * @param {String} userId - the user sending the files
+   * @param {String} conversationId - the conversation the files are posted to
+   * @param {Array} files - [{_id, name, contentType, length}] as stored in the filestore
+   * @return {Promise} resolved when the files can be attached, rejected with an error explaining why they can not
+   */
+  function check(userId, conversationId, files) {
+    return Q(ChatConversation.findById(conversationId, 'domain_ids').exec()).then(conversation => {
+      if (!conversation) {
+        return reject(`Conversation ${conversationId} does not exist`);
+      }
+
+      return getLimits(conversation.domain_ids[0]).then(limits => {
+        const error = _.compact(files.map(file => checkFile(file, limits)))[0];
+
+        if (error) {
+          return reject(error);
+        }
+
+        if (!isLimited(limits.quota)) {
+          return;
+        }
+
+        return Q.all([getUsage(userId), getNewFiles(userId, files)]).spread((usage, newFiles) => {
+          if (usage.size + _.sumBy(newFiles, 'length') > limits.quota) {
+            return reject(`Attachments exceed the storage quota of ${limits.quota} bytes`);
+          }
+        });
+      });
+    });
+  }
+
+  /**
+   * Get the limits of the attachments in a domain, the limits the domain does not set are the default ones.
+   *
+   * @param {String} domainId
+   * @return {Promise} resolved with {maxSize, allowedTypes, deniedTypes, quota}
+   */
+  function getLimits(domainId) {
+    return Q(new esnConfig.EsnConfig(CONSTANTS.MODULE_NAME, domainId).get(LIMITS.CONFIG_NAME))
+      .then(config => _.defaults(_.pick(config || {}, Object.keys(LIMITS.DEFAULTS)), LIMITS.DEFAULTS));
+  }
+
+  /**
+   * Get the storage used by the attachments of a user. The attachments of removed messages do not count.
+   *
+   * @param {String} userId
+   * @return {Promise} resolved with {count, size} where size is in bytes
+   */
+  function getUsage(userId) {
+    return aggregateUsage({creator: userId}).then(usage => _.pick(usage[0] || {count: 0, size: 0}, ['count', 'size']));
+  }
+
+  /**
+   * Get the storage used by the users of a domain who have sent attachments, from the biggest usage to the smallest.
+   *
+   * @param {String} domainId
+   * @param {Object} options - {limit, offset}
+   * @return {Promise} resolved with {total_count, list} where list is [{user, count, size}]
+   */
+  function getUsageForDomain(domainId, options = {}) {
+    const offset = parseInt(options.offset || CONSTANTS.DEFAULT_OFFSET, 10);
+    const limit = parseInt(options.limit || CONSTANTS.DEFAULT_LIMIT, 10);
+    const domainUsage = usageStages({}).concat([
+      { $lookup: { from: User.collection.name, localField: '_id', foreignField: '_id', as: 'user' } },
+      { $match: { 'user.domains.domain_id': domainId } },
+      { $project: { count: 1, size: 1 } }
+    ]);
+
+    return Q.all([
+      ChatMessage.aggregate(domainUsage.concat([{ $group: { _id: null, count: { $sum: 1 } } }])).exec(),
+      ChatMessage.aggregate(domainUsage.concat([
+        { $sort: { size: -1, _id: 1 } },
+        { $skip: offset },
+        { $limit: limit }
+      ])).exec()
+    ]).spread((total, usage) => ({
+      total_count: total.length ? total[0].count : 0,
+      list: usage.map(denormalizeUsage)
+    }));
+  }
+
+  /**
+   * Register the limits in esn-config so that domain administrators can set them.
+   */
+  function register() {
+    esnConfig.registry.register(CONSTANTS.MODULE_NAME, {
+      rights: {
+        padmin: 'rw',
+        admin: 'rw',
+        user: 'r'
+      },
+      configurations: {
+        [LIMITS.CONFIG_NAME]: {}
+      }
+    });
+  }
+
+  function aggregateUsage(creatorMatch) {
+    return Q(ChatMessage.aggregate(usageStages(creatorMatch)).exec()).then(results => results.map(denormalizeUsage));
+  }
+
+  function usageStages(creatorMatch) {
+    return [
+      { $match: Object.assign({attachments: {$gt: []}}, creatorMatch) },
+      { $unwind: '$attachments' },
+      // an attachment is stored once, even when it is in several messages
+      { $group: {
+        _id: '$attachments._id',
+        creator: { $first: '$creator' },
+        length: { $first: '$attachments.length' }
+      }},
+      { $group: {
+        _id: '$creator',
+        count: { $sum: 1 },
+        size: { $sum: '$length' }
+      }}
+    ];
+  }
+
+  function denormalizeUsage(usage) {
+    return {user: usage._id, count: usage.count, size: usage.size};
+  }
+
+  // the files already attached to a message of the user are already in the usage, and a file sent twice is stored once
+  function getNewFiles(userId, files) {
+    const uniqueFiles = _.uniqBy(files, file => String(file._id));
+
+    return Q(ChatMessage.distinct('attachments._id', {creator: userId, 'attachments._id': {$in: _.map(uniqueFiles, '_id')}}).exec())
+      .then(storedIds => _.differenceBy(uniqueFiles, storedIds.map(_id => ({_id})), file => String(file._id)));
+  }
+
+  function checkFile(file, limits) {
+    if (isLimited(limits.maxSize) && file.length > limits.maxSize) {
+      return `Attachment ${file.name} exceeds the maximum size of ${limits.maxSize} bytes`;
+    }
+
+    const allowed = !limits.allowedTypes.length || matchesType(file.contentType, limits.allowedTypes);
+
+    if (!allowed || matchesType(file.contentType, limits.deniedTypes)) {
+      return `Attachments of type ${file.contentType} are not allowed`;
+    }
+  }
+
+  function isLimited(limit) {
+    return _.isNumber(limit) && limit >= 0;
+  }
+
+  // the types may be families such as image/*, the parameters of the content type are not compared
+  function matchesType(contentType, types) {
+    const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+
+    return types.some(pattern => {
+      const expected = String(pattern).trim().toLowerCase();
+
+      return _.endsWith(expected, '/*') ? _.startsWith(type, expected.slice(0, -1)) : type === expected;
+    });
+  }
+
+  function reject(details) {
+    return Q.reject(new Error(details));
+  }
+};
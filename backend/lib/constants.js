@@ -1,6 +1,7 @@
 'use strict';
 
 module.exports = {
+  MODULE_NAME: 'linagora.esn.chat',
   OBJECT_TYPES: {
     ARCHIVED_CONVERSATION: 'chat.archivedconversation',
     CONVERSATION: 'chat.conversation',
@@ -9,9 +10,30 @@ module.exports = {
   },
   WEBSOCKET: {
     NAMESPACE: '/chat',
-    DEFAULT_ROOM: 'default'
+    DEFAULT_ROOM: 'default',
+    CONVERSATION_ROOM_PREFIX: 'conversation:',
+    CONVERSATION_VIEW: 'conversation:view',
+    RESYNC: 'resync',
+    RESYNC_MESSAGES_LIMIT: 100,
+    USER_ACTIVITY: 'user:activity',
+    USER_TYPING: 'user:typing',
+    VIEWERS_ROOM_PREFIX: 'viewers:'
+  },
+  TYPING: {
+    // delay during which typing state changes of a conversation are gathered in a single event
+    COALESCE_DELAY: 500,
+    // a user still typing is sent again to the viewers at most once per THROTTLE_DELAY
+    THROTTLE_DELAY: 3000,
+    // a user who did not say they are still typing is not typing anymore after TIMEOUT
+    TIMEOUT: 6000,
+    USER_CACHE_MAX_SIZE: 1000,
+    USER_CACHE_TTL: 300000
   },
   DEFAULT_LIMIT: 25,
+  // the maximum number of elements of a page, whatever the requested limit
+  MAX_LIMIT: 100,
+  // the names of the emojis of the reactions and of the user statuses
+  EMOJI_PATTERN: /^[a-z0-9_+-]{1,50}$/,
   DEFAULT_OFFSET: 0,
   NOTIFICATIONS: {
     COLLABORATION_JOIN: 'collaboration:join',
@@ -21,18 +43,26 @@ module.exports = {
     CONVERSATION_DELETED: 'chat:conversation:deleted',
     CONVERSATION_INITIALIZED: 'chat:conversation:initialized',
     CONVERSATION_TOPIC_UPDATED: 'chat:conversation:topic:updated',
+    CONVERSATION_TYPING: 'chat:conversation:typing',
     CONVERSATION_UPDATED: 'chat:conversation:updated',
     CONVERSATION_SAVED: 'chat:conversation:saved',
     MEMBER_JOINED_CONVERSATION: 'chat:conversation:members:joined',
     MEMBER_LEFT_CONVERSATION: 'chat:conversation:members:left',
     MEMBER_ADDED_TO_CONVERSATION: 'chat:conversation:members:added',
     MEMBER_READ_CONVERSATION: 'chat:conversation:member:read',
+    MEMBER_READ_RECEIPT: 'chat:conversation:member:read_receipt',
+    MEMBER_UNREAD_CONVERSATION: 'chat:conversation:member:unread',
     MEMBERSHIP_EVENTS: 'chat:conversation:membership',
+    MESSAGE_PINNED: 'chat:message:pinned',
+    MESSAGE_REJECTED: 'chat:message:rejected',
+    MESSAGE_REACTION_UPDATED: 'chat:message:reaction:updated',
     MESSAGE_RECEIVED: 'chat:message:received',
     MESSAGE_REMOVED: 'chat:message:removed',
     MESSAGE_SAVED: 'chat:message:saved',
+    MESSAGE_UNPINNED: 'chat:message:unpinned',
     MESSAGE_UPDATED: 'chat:message:updated',
     USER_STATE: 'user:state',
+    USER_STATUS_UPDATED: 'chat:user:status:updated',
     USER_CONNECTION: 'user:connection',
     USER_DISCONNECTION: 'user:disconnection'
   },
@@ -57,8 +87,82 @@ module.exports = {
   },
   MESSAGE_TYPE: {
     BOT: 'bot',
-    TEXT: 'text',
-    USER_TYPING: 'user_typing'
+    FILE: 'file',
+    TEXT: 'text'
+  },
+  PRESENCE: {
+    // each node tells it is running once per HEARTBEAT_INTERVAL, in milliseconds
+    HEARTBEAT_INTERVAL: 30000,
+    // the connections of a node which did not tell it is running for NODE_TIMEOUT are closed, in milliseconds
+    NODE_TIMEOUT: 90000
+  },
+  USER_PRESENCE: {
+    AWAY: 'away',
+    DO_NOT_DISTURB: 'dnd',
+    OFFLINE: 'offline',
+    ONLINE: 'online'
+  },
+  USER_STATUS: {
+    TEXT_MAX_LENGTH: 100
+  },
+  // the content types of the families of attachments, used to filter the attachments of a conversation
+  ATTACHMENT_FAMILIES: {
+    images: [/^image\//],
+    documents: [/^text\//, /^application\/(pdf|rtf|msword|vnd\.ms-|vnd\.openxmlformats-officedocument\.|vnd\.oasis\.opendocument\.)/],
+    audio: [/^audio\//],
+    archives: [/^application\/(zip|gzip|x-gzip|x-tar|x-gtar|x-bzip2?|x-7z-compressed|x-rar-compressed|vnd\.rar)$/]
+  },
+  ATTACHMENT_LIMITS: {
+    // the esn-config holding the limits of the domains, readable by their users so that clients can check files before uploading them
+    CONFIG_NAME: 'attachments',
+    // used for the limits a domain does not set: sizes are in bytes and null means no limit,
+    // types are content types or families such as image/*, no allowed type means that all types are allowed
+    DEFAULTS: {
+      maxSize: 104857600,
+      allowedTypes: [],
+      deniedTypes: [],
+      quota: null
+    }
+  },
+  LINK_PREVIEW: {
+    // previews are fetched again once expired from the cache, in seconds
+    CACHE_TTL: 86400,
+    MAX_PER_MESSAGE: 3,
+    MAX_REDIRECTS: 3,
+    // only the beginning of the pages is read, the metadata are in their head
+    MAX_SIZE: 524288,
+    TIMEOUT: 5000
+  },
+  THUMBNAIL: {
+    // in seconds
+    CACHE_MAX_AGE: 604800,
+    // the ImageMagick coders reading the rendered types, the format of the files is never guessed from their content
+    CODERS: {
+      'application/pdf': 'pdf',
+      'image/bmp': 'bmp',
+      'image/gif': 'gif',
+      'image/jpeg': 'jpeg',
+      'image/png': 'png',
+      'image/tiff': 'tiff',
+      'image/webp': 'webp'
+    },
+    // the ImageMagick command rendering the thumbnails, Ghostscript is needed for the PDF documents
+    COMMAND: 'convert',
+    CONTENT_TYPE: 'image/jpeg',
+    IMAGE_TYPES: ['image/bmp', 'image/gif', 'image/jpeg', 'image/png', 'image/tiff', 'image/webp'],
+    // bigger files are not rendered, in bytes
+    MAX_SOURCE_SIZE: 20971520,
+    PDF_TYPES: ['application/pdf'],
+    // the thumbnails fit in a square of this size, in pixels
+    SIZE: 400,
+    // the excerpt of the text files, in bytes
+    TEXT_EXCERPT_SIZE: 2048,
+    TEXT_TYPES: [/^text\//, /^application\/(json|xml|javascript)$/],
+    TIMEOUT: 20000
+  },
+  READ_RECEIPTS: {
+    // receipts are only shared in direct messages and confidential conversations up to this number of members
+    MAX_MEMBERS: 10
   },
   MEMBER_STATUS: {
     MEMBER: 'member',
@@ -67,8 +171,21 @@ module.exports = {
   MESSAGE_SUBTYPE: {
     CONVERSATION_JOIN: 'conversation_join',
     CONVERSATION_LEAVE: 'conversation_leave',
+    MESSAGE_PIN: 'message_pin',
+    MESSAGE_UNPIN: 'message_unpin',
     TOPIC_UPDATE: 'topic_update'
   },
+  MESSAGE_VALIDATION: {
+    MAX_TEXT_LENGTH: 10000,
+    MAX_CLIENT_ID_LENGTH: 64,
+    // types and subtypes which can be set by each kind of sender, system and bot messages are built on server side only
+    ALLOWED_TYPES: {
+      USER: ['file', 'text']
+    },
+    ALLOWED_SUBTYPES: {
+      USER: []
+    }
+  },
   SKIP_FIELDS: {
     USER: '-password -accounts'
   },
@@ -8,6 +8,7 @@ const CONVERSATION_CREATED = CONSTANTS.NOTIFICATIONS.CONVERSATION_CREATED;
 const CONVERSATION_TOPIC_UPDATED = CONSTANTS.NOTIFICATIONS.CONVERSATION_TOPIC_UPDATED;
 const CONVERSATION_SAVED = CONSTANTS.NOTIFICATIONS.CONVERSATION_SAVED;
 const MEMBER_READ_CONVERSATION = CONSTANTS.NOTIFICATIONS.MEMBER_READ_CONVERSATION;
+const MEMBER_UNREAD_CONVERSATION = CONSTANTS.NOTIFICATIONS.MEMBER_UNREAD_CONVERSATION;
 const CONVERSATION_MODE = CONSTANTS.CONVERSATION_MODE;
 const CONVERSATION_TYPE = CONSTANTS.CONVERSATION_TYPE;
 const DEFAULT_CHANNEL = { name: CONSTANTS.DEFAULT_CHANNEL.name, type: CONSTANTS.DEFAULT_CHANNEL.type, mode: CONSTANTS.DEFAULT_CHANNEL.mode };
@@ -20,12 +21,14 @@ module.exports = function(dependencies) {
   const ObjectId = mongoose.Types.ObjectId;
   const Conversation = mongoose.model('ChatConversation');
   const ArchivedConversation = mongoose.model('ChatArchivedConversation');
+  const ChatMessage = mongoose.model('ChatMessage');
   const pubsubGlobal = dependencies('pubsub').global;
   const pubsubLocal = dependencies('pubsub').local;
   const channelArchivedLocalTopic = pubsubLocal.topic(CONVERSATION_ARCHIVED);
   const channelCreationTopic = pubsubGlobal.topic(CONVERSATION_CREATED);
   const channelTopicUpdateTopic = pubsubGlobal.topic(CONVERSATION_TOPIC_UPDATED);
   const channelReadTopic = pubsubGlobal.topic(MEMBER_READ_CONVERSATION);
+  const channelUnreadTopic = pubsubGlobal.topic(MEMBER_UNREAD_CONVERSATION);
   const topicUpdateTopic = pubsubLocal.topic(CONVERSATION_TOPIC_UPDATED);
   const channelSavedTopic = pubsubLocal.topic(CONVERSATION_SAVED);
   const permission = require('./permission/conversation')(dependencies);
@@ -41,11 +44,14 @@ module.exports = function(dependencies) {
     getById,
     getDefaultChannel,
     getOpenChannels,
+    getReadReceipts,
+    hasReadReceipts,
     increaseNumberOfUnseenMentionsOfMembers,
     list,
     listForUser,
     moderate,
     markUserAsReadAllMessages,
+    markUserAsUnreadFromMessage,
     permission,
     registerUserConversationFinder,
     update,
@@ -134,7 +140,14 @@ module.exports = function(dependencies) {
   }
 
   function getOpenChannels(options, callback) {
-    Conversation.find({type: CONVERSATION_TYPE.OPEN, mode: CONVERSATION_MODE.CHANNEL, moderate: Boolean(options.moderate)})
+    const query = {type: CONVERSATION_TYPE.OPEN, mode: CONVERSATION_MODE.CHANNEL, moderate: Boolean(options.moderate)};
+
+    // the open channels of a domain can only be read by its users
+    if (options.domainIds) {
+      query.domain_ids = {$in: options.domainIds.map(domainId => utils.ensureObjectId(domainId))};
+    }
+
+    Conversation.find(query)
       .sort('name')
       .exec(callback);
   }
@@ -235,7 +248,7 @@ module.exports = function(dependencies) {
 
   function _buildUnreadQuery(members) {
     const query = {};
-    const unreadExpressions = members.map(member => `(!this.memberStates || !this.memberStates["${member.member.id}"] || !isNumber(this.memberStates["${member.member.id}"].numOfReadMessages) || this.memberStates["${member.member.id}"].numOfReadMessages < this.numOfMessage)`);
+    const unreadExpressions = members.map(member => `(!this.memberStates || !this.memberStates["${member.member.id}"] || !isNumber(this.memberStates["${member.member.id}"].numOfReadMessages) || this.memberStates["${member.member.id}"].numOfReadMessages < this.numOfMessage || this.memberStates["${member.member.id}"].numOfUnreadReplies > 0)`);
 
     query.$where = unreadExpressions.join(' && ');
 
@@ -379,21 +392,131 @@ module.exports = function(dependencies) {
     return Conversation.findByIdAndUpdate(conversationId, { $inc: increasingQuery });
   }
 
+  /**
+   * Read receipts are only shared in direct messages and small confidential conversations:
+   * in larger ones, knowing who has read a message is both noisy and expensive to broadcast.
+   *
+   * @param {Object} conversation
+   * @return {Boolean}
+   */
+  function hasReadReceipts(conversation) {
+    const type = conversation && conversation.type;
+
+    if (type !== CONVERSATION_TYPE.DIRECT_MESSAGE && type !== CONVERSATION_TYPE.CONFIDENTIAL) {
+      return false;
+    }
+
+    return (conversation.members || []).length <= CONSTANTS.READ_RECEIPTS.MAX_MEMBERS;
+  }
+
+  /**
+   * Get the last message read by each user member of a conversation.
+   *
+   * @param {Object} conversation
+   * @return {Object} map of user id to message id, users who did not read any message are not included
+   */
+  function getReadReceipts(conversation) {
+    const memberStates = conversation.memberStates || {};
+
+    return (conversation.members || [])
+      .filter(member => member.member.objectType === OBJECT_TYPES.USER)
+      .map(member => String(member.member.id))
+      .reduce((receipts, userId) => {
+        if (memberStates[userId] && memberStates[userId].lastReadMessageId) {
+          receipts[userId] = String(memberStates[userId].lastReadMessageId);
+        }
+
+        return receipts;
+      }, {});
+  }
+
   function markUserAsReadAllMessages(userId, conversation, callback) {
-    const updates = {
-      [`memberStates.${String(userId)}.numOfReadMessages`]: conversation.numOfMessage,
-      [`memberStates.${String(userId)}.numOfUnseenMentions`]: 0
-    };
+    // replies are displayed in threads, the read pointer is on the conversation timeline
+    ChatMessage.findOne({channel: conversation._id, parent: {$exists: false}}, '_id')
+      .sort('-timestamps.creation')
+      .exec((err, lastMessage) => {
+        if (err) {
+          return callback(err);
+        }
 
-    return Conversation.findByIdAndUpdate(conversation._id, updates, err => {
-      if (!err) {
-        channelReadTopic.publish({
-          userId,
-          conversationId: conversation._id
+        const messageId = lastMessage ? String(lastMessage._id) : undefined;
+        const updates = {
+          [`memberStates.${String(userId)}.numOfReadMessages`]: conversation.numOfMessage,
+          [`memberStates.${String(userId)}.numOfUnseenMentions`]: 0,
+          [`memberStates.${String(userId)}.numOfUnreadReplies`]: 0
+        };
+
+        if (messageId) {
+          updates[`memberStates.${String(userId)}.lastReadMessageId`] = messageId;
+        }
+
+        Conversation.findByIdAndUpdate(conversation._id, updates, err => {
+          if (!err) {
+            channelReadTopic.publish({
+              userId,
+              conversationId: conversation._id,
+              messageId
+            });
+          }
+
+          callback(err);
         });
+      });
+  }
+
+  /**
+   * Move the read pointer of a user back to the message preceding the given one,
+   * so that the given message and all the following ones are unread again.
+   *
+   * @param {String} userId
+   * @param {Object} conversation
+   * @param {Object} message - a message of the conversation timeline
+   * @param {Function} callback - called with the new state of the member
+   */
+  function markUserAsUnreadFromMessage(userId, conversation, message, callback) {
+    const timeline = {
+      channel: conversation._id,
+      parent: {$exists: false},
+      'timestamps.deletion': {$exists: false}
+    };
+    const read = Object.assign({'timestamps.creation': {$lt: message.timestamps.creation}}, timeline);
+    const unread = Object.assign({'timestamps.creation': {$gte: message.timestamps.creation}, user_mentions: userId}, timeline);
+
+    Q.all([
+      ChatMessage.count(read).exec(),
+      ChatMessage.count(unread).exec(),
+      ChatMessage.findOne(read, '_id').sort('-timestamps.creation').exec()
+    ])
+    .spread((numOfReadMessages, numOfUnseenMentions, lastReadMessage) => {
+      const memberState = {
+        numOfReadMessages,
+        numOfUnseenMentions,
+        lastReadMessageId: lastReadMessage ? String(lastReadMessage._id) : undefined
+      };
+      const update = {
+        $set: {
+          [`memberStates.${String(userId)}.numOfReadMessages`]: numOfReadMessages,
+          [`memberStates.${String(userId)}.numOfUnseenMentions`]: numOfUnseenMentions
+        }
+      };
+
+      if (memberState.lastReadMessageId) {
+        update.$set[`memberStates.${String(userId)}.lastReadMessageId`] = memberState.lastReadMessageId;
+      } else {
+        update.$unset = {[`memberStates.${String(userId)}.lastReadMessageId`]: ''};
       }
 
-      callback(err);
-    });
+      return Q(Conversation.findByIdAndUpdate(conversation._id, update).exec()).then(() => {
+        channelUnreadTopic.publish({
+          userId: String(userId),
+          conversationId: String(conversation._id),
+          numOfMessage: conversation.numOfMessage,
+          memberState
+        });
+
+        return memberState;
+      });
+    })
+    .nodeify(callback);
   }
 };
@@ -11,7 +11,31 @@ module.exports = function(dependencies) {
     _id: {type: ObjectId, required: true},
     name: {type: String, required: true},
     contentType: {type: String, required: true},
-    length: {type: Number, required: true}
+    length: {type: Number, required: true},
+    // in seconds, set for the audio attachments such as voice messages
+    duration: {type: Number}
+  });
+
+  const EditionSchema = new mongoose.Schema({
+    text: {type: String},
+    user_mentions: [{type: ObjectId, ref: 'User'}],
+    date: {type: Date}
+  }, {_id: false});
+
+  const ReactionSchema = new mongoose.Schema({
+    emoji: {type: String, required: true},
+    user: {type: ObjectId, ref: 'User', required: true},
+    date: {type: Date, default: Date.now}
+  }, {_id: false});
+
+  const LinkPreviewSchema = new mongoose.Schema({
+    url: {type: String, required: true},
+    title: {type: String},
+    description: {type: String},
+    image: {type: String},
+    site_name: {type: String},
+    // the users who removed the preview from the message they see
+    hidden_by: [{type: ObjectId, ref: 'User'}]
   });
 
   const ChatMessageSchema = new mongoose.Schema({
@@ -19,16 +43,36 @@ module.exports = function(dependencies) {
     type: {type: String, required: true},
     subtype: {type: String},
     creator: {type: ObjectId, ref: 'User'},
+    client_id: {type: String},
     channel: {type: ObjectId, ref: 'ChatConversation', index: true},
     moderate: {type: Boolean, default: false},
     attachments: {type: [AttachmentSchema], required: false},
     user_mentions: [{type: ObjectId, ref: 'User'}],
+    edition_history: {type: [EditionSchema], required: false},
+    deleted_by: {type: ObjectId, ref: 'User'},
+    pinned_by: {type: ObjectId, ref: 'User'},
+    parent: {type: ObjectId, ref: 'ChatMessage', index: true},
+    reply_count: {type: Number},
+    last_reply: {
+      creator: {type: ObjectId, ref: 'User'},
+      date: {type: Date}
+    },
+    thread_participants: [{type: ObjectId, ref: 'User'}],
+    reactions: {type: [ReactionSchema], required: false},
+    link_previews: {type: [LinkPreviewSchema], required: false},
     timestamps: {
-      creation: {type: Date, default: Date.now}
+      creation: {type: Date, default: Date.now},
+      edition: {type: Date},
+      deletion: {type: Date},
+      pin: {type: Date}
     },
     schemaVersion: {type: Number, default: 1}
   });
 
+  // client_id is generated by the sender to recognize its own messages and to resend them safely,
+  // the index is unique so that a message sent twice at the same time is saved once
+  ChatMessageSchema.index({creator: 1, client_id: 1}, {unique: true, partialFilterExpression: {client_id: {$exists: true}}});
+
   /*eslint no-unused-vars: ["error", {"args": "after-used"}]*/
   function cleanMessage(original, object) {
     object.creator && cleanUser(object.creator);
@@ -36,8 +80,30 @@ module.exports = function(dependencies) {
 
     if (object.timestamps) {
       object.timestamps.creation = object.timestamps.creation.getTime();
+
+      if (object.timestamps.edition) {
+        object.timestamps.edition = object.timestamps.edition.getTime();
+      }
+
+      if (object.timestamps.deletion) {
+        object.timestamps.deletion = object.timestamps.deletion.getTime();
+      }
+
+      if (object.timestamps.pin) {
+        object.timestamps.pin = object.timestamps.pin.getTime();
+      }
     }
 
+    if (object.last_reply && object.last_reply.date) {
+      object.last_reply.date = object.last_reply.date.getTime();
+    }
+
+    object.reactions && object.reactions.forEach(reaction => {
+      if (reaction.date) {
+        reaction.date = reaction.date.getTime();
+      }
+    });
+
     return object;
   }
 
@@ -0,0 +1,24 @@
+'use strict';
+
+const CONSTANTS = require('../../constants');
+
+module.exports = function(dependencies) {
+
+  const mongoose = dependencies('db').mongo.mongoose;
+  const Schema = mongoose.Schema;
+
+  const LinkPreviewSchema = new Schema({
+    url: {type: String, required: true, unique: true},
+    title: {type: String},
+    description: {type: String},
+    image: {type: String},
+    site_name: {type: String},
+    // the page has been fetched but there is nothing to preview, it is not fetched again until expiration
+    empty: {type: Boolean, default: false},
+    timestamps: {
+      creation: {type: Date, default: Date.now, index: {expireAfterSeconds: CONSTANTS.LINK_PREVIEW.CACHE_TTL}}
+    }
+  });
+
+  return mongoose.model('ChatLinkPreview', LinkPreviewSchema);
+};
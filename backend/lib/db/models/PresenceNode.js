@@ -0,0 +1,19 @@
+'use strict';
+
+const CONSTANTS = require('../../constants');
+
+module.exports = function(dependencies) {
+
+  const mongoose = dependencies('db').mongo.mongoose;
+  const Schema = mongoose.Schema;
+
+  // a node is a process holding websocket connections, named after its host and its pid
+  const PresenceNodeSchema = new Schema({
+    _id: {type: String, required: true},
+    timestamps: {
+      heartbeat: {type: Date, default: Date.now, index: {expireAfterSeconds: CONSTANTS.PRESENCE.NODE_TIMEOUT / 1000}}
+    }
+  });
+
+  return mongoose.model('ChatPresenceNode', PresenceNodeSchema);
+};
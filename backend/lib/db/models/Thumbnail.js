@@ -0,0 +1,21 @@
+'use strict';
+
+module.exports = function(dependencies) {
+
+  const mongoose = dependencies('db').mongo.mongoose;
+  const Schema = mongoose.Schema;
+  const ObjectId = mongoose.Schema.ObjectId;
+
+  const ThumbnailSchema = new Schema({
+    attachment: {type: ObjectId, required: true, unique: true},
+    // the rendered thumbnail, stored in the filestore
+    file: {type: ObjectId},
+    // the attachment can not be rendered, it is not rendered again
+    empty: {type: Boolean, default: false},
+    timestamps: {
+      creation: {type: Date, default: Date.now}
+    }
+  });
+
+  return mongoose.model('ChatThumbnail', ThumbnailSchema);
+};
@@ -0,0 +1,25 @@
+'use strict';
+
+module.exports = function(dependencies) {
+
+  const mongoose = dependencies('db').mongo.mongoose;
+  const Schema = mongoose.Schema;
+  const ObjectId = mongoose.Schema.ObjectId;
+
+  const ConnectionSchema = new Schema({
+    node: {type: String, required: true},
+    socket: {type: String, required: true},
+    away: {type: Boolean, default: false}
+  }, {_id: false});
+
+  const UserPresenceSchema = new Schema({
+    _id: {type: ObjectId, required: true},
+    connections: [ConnectionSchema],
+    do_not_disturb: {type: Boolean, default: false},
+    timestamps: {
+      last_seen: {type: Date}
+    }
+  });
+
+  return mongoose.model('ChatUserPresence', UserPresenceSchema);
+};
@@ -0,0 +1,21 @@
+'use strict';
+
+module.exports = function(dependencies) {
+
+  const mongoose = dependencies('db').mongo.mongoose;
+  const Schema = mongoose.Schema;
+  const ObjectId = mongoose.Schema.ObjectId;
+
+  const UserStatusSchema = new Schema({
+    _id: {type: ObjectId, required: true},
+    text: {type: String, required: true, trim: true},
+    emoji: {type: String, trim: true},
+    // the status is removed by mongodb once expired, statuses without expiration are kept until cleared
+    expiration: {type: Date, index: {expireAfterSeconds: 0}},
+    timestamps: {
+      creation: {type: Date, default: Date.now}
+    }
+  });
+
+  return mongoose.model('ChatUserStatus', UserStatusSchema);
+};
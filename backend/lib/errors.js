@@ -0,0 +1,54 @@
+'use strict';
+
+// the messages of the HTTP statuses of the errors, sent along with them to the clients
+const HTTP_STATUS_MESSAGES = {
+  400: 'Bad Request',
+  403: 'Forbidden',
+  404: 'Not found',
+  409: 'Conflict'
+};
+
+/**
+ * The errors caused by the requests of the users rather than by a server fault.
+ * They hold the HTTP status the REST API answers with.
+ */
+class ChatError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+  }
+}
+
+class InvalidError extends ChatError {
+  constructor(message) {
+    super(message, 400);
+  }
+}
+
+class ForbiddenError extends ChatError {
+  constructor(message) {
+    super(message, 403);
+  }
+}
+
+class NotFoundError extends ChatError {
+  constructor(message) {
+    super(message, 404);
+  }
+}
+
+class ConflictError extends ChatError {
+  constructor(message) {
+    super(message, 409);
+  }
+}
+
+module.exports = {
+  HTTP_STATUS_MESSAGES,
+  ChatError,
+  ConflictError,
+  ForbiddenError,
+  InvalidError,
+  NotFoundError
+};
@@ -6,6 +6,11 @@ const constants = require('./constants');
 module.exports = function(dependencies) {
 
   const models = {
+    ChatLinkPreview: require('./db/models/LinkPreview')(dependencies),
+    ChatThumbnail: require('./db/models/Thumbnail')(dependencies),
+    ChatPresenceNode: require('./db/models/PresenceNode')(dependencies),
+    ChatUserPresence: require('./db/models/UserPresence')(dependencies),
+    ChatUserStatus: require('./db/models/UserStatus')(dependencies),
     ChatUserSubscribedPrivateConversation: require('./db/models/UserSubscribedPrivateConversation')(dependencies),
     archivedConversation: require('./db/archived-conversation')(dependencies),
     conversation: require('./db/conversation')(dependencies),
@@ -13,36 +18,51 @@ module.exports = function(dependencies) {
   };
 
   const utils = require('./utils')(dependencies);
+  const attachmentLimits = require('./attachment-limits')(dependencies);
   const search = require('./search')(dependencies);
   const conversation = require('./conversation')(dependencies);
   const domain = require('./domain')(dependencies);
+  const linkPreview = require('./link-preview')(dependencies);
   const message = require('./message')(dependencies, {conversation, search});
+  const messageValidator = require('./message-validator')(dependencies, {attachmentLimits});
   const members = require('./members')(dependencies);
   const moderate = require('./moderate')(dependencies);
+  const presence = require('./presence')(dependencies);
+  const thumbnail = require('./thumbnail')(dependencies);
   const listener = require('./listener')(dependencies, {conversation, message});
   const bot = require('./bot')(dependencies, {conversation, message, members});
+  const userStatus = require('./user-status')(dependencies);
   const userSubscribedPrivateConversation = require('./user-subscribed-private-conversation')(dependencies);
 
   return {
+    attachmentLimits,
     bot: bot,
     constants,
     conversation,
     domain,
+    linkPreview,
     listener,
     members,
     message,
+    messageValidator,
     moderate,
     models,
+    presence,
     search,
     start,
+    thumbnail,
     utils,
+    userStatus,
     userSubscribedPrivateConversation
   };
 
   function start(callback) {
+    attachmentLimits.register();
     bot.start(this.websocket);
+    linkPreview.start();
     listener.start();
     moderate.start();
+    presence.start();
     search.init();
     conversation.registerUserConversationFinder(Q.denodeify(conversation.listForUser));
     callback();
@@ -0,0 +1,229 @@
+'use strict';
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const url = require('url');
+const Q = require('q');
+const CONSTANTS = require('../constants');
+
+const HTML = /^text\/html/i;
+const JSON_TYPE = /json/i;
+const OPEN_GRAPH_FIELDS = ['title', 'description', 'image', 'site_name'];
+const TAG = /<(meta|link|title)\b([^>]*)>/gi;
+const ATTRIBUTE = /([a-z_:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/gi;
+const ENTITIES = {amp: '&', lt: '<', gt: '>', quot: '"', apos: '\''};
+// the server must not be used to reach the services of its own network
+const PRIVATE_ADDRESSES = [
+  /^0\./, /^10\./, /^100\.(6[4-9]|[7-9]\d|1[01]\d|12[0-7])\./, /^127\./, /^169\.254\./, /^172\.(1[6-9]|2\d|3[01])\./, /^192\.168\./,
+  /^::1?$/, /^f[cd][0-9a-f]{2}:/i, /^fe80:/i, /^::ffff:/i
+];
+
+/**
+ * The default fetcher of the link previews: it reads the OpenGraph metadata of the page,
+ * completed by its oEmbed endpoint when the page advertises one.
+ *
+ * @param {Object} options - {allowPrivateAddresses} to fetch the pages of the local network, for tests only
+ * @return {Function} resolving a URL to {title, description, image, site_name} or to null when there is nothing to preview
+ */
+module.exports = function(options = {}) {
+
+  return fetch;
+
+  // the whole fetch, redirects and oEmbed included, must end before the deadline, however slowly the servers send data
+  function fetch(pageUrl) {
+    const deadline = Date.now() + CONSTANTS.LINK_PREVIEW.TIMEOUT;
+
+    return get(pageUrl, CONSTANTS.LINK_PREVIEW.MAX_REDIRECTS, deadline).then(page => {
+      if (!HTML.test(page.type)) {
+        return null;
+      }
+
+      const metadata = parseMetadata(page.body, page.url);
+
+      if (!metadata.oembed || (metadata.preview.title && metadata.preview.image)) {
+        return toPreview(metadata.preview);
+      }
+
+      return get(metadata.oembed, 0, deadline)
+        .then(response => complete(metadata.preview, parseOEmbed(response)))
+        .catch(() => metadata.preview)
+        .then(toPreview);
+    });
+  }
+
+  function get(pageUrl, redirects, deadline) {
+    const target = url.parse(pageUrl);
+    const hostname = (target.hostname || '').replace(/^\[|\]$/g, '');
+
+    if (target.protocol !== 'http:' && target.protocol !== 'https:') {
+      return Q.reject(new Error(`Can not fetch ${pageUrl}: unsupported protocol`));
+    }
+
+    // the addresses of the host names are checked on lookup, IP addresses are not looked up
+    if (!options.allowPrivateAddresses && net.isIP(hostname) && isPrivateAddress(hostname)) {
+      return Q.reject(new Error(`Can not fetch ${pageUrl}: private address`));
+    }
+
+    const defer = Q.defer();
+    const request = (target.protocol === 'https:' ? https : http).get(Object.assign(target, {
+      headers: {Accept: 'text/html, application/json'},
+      lookup: options.allowPrivateAddresses ? dns.lookup : lookup
+    }), response => {
+      const location = response.headers.location;
+
+      if (response.statusCode >= 300 && response.statusCode < 400 && location) {
+        response.resume();
+
+        if (!redirects) {
+          return defer.reject(new Error(`Can not fetch ${pageUrl}: too many redirects`));
+        }
+
+        return defer.resolve(get(url.resolve(pageUrl, location), redirects - 1, deadline));
+      }
+
+      if (response.statusCode !== 200) {
+        response.resume();
+
+        return defer.reject(new Error(`Can not fetch ${pageUrl}: HTTP ${response.statusCode}`));
+      }
+
+      const chunks = [];
+      let size = 0;
+
+      function resolve() {
+        defer.resolve({url: pageUrl, type: response.headers['content-type'] || '', body: Buffer.concat(chunks).toString('utf8')});
+      }
+
+      response.on('data', chunk => {
+        chunks.push(chunk);
+        size += chunk.length;
+
+        if (size >= CONSTANTS.LINK_PREVIEW.MAX_SIZE) {
+          resolve();
+          request.abort();
+        }
+      });
+      response.on('end', resolve);
+    });
+
+    const timeout = setTimeout(() => {
+      defer.reject(new Error(`Can not fetch ${pageUrl}: timeout`));
+      request.abort();
+    }, Math.max(0, deadline - Date.now()));
+
+    request.on('error', defer.reject);
+
+    return defer.promise.finally(() => clearTimeout(timeout));
+  }
+
+  function lookup(hostname, lookupOptions, callback) {
+    dns.lookup(hostname, lookupOptions, (err, address, family) => {
+      // recent versions of node ask for all the addresses, as [{address, family}]
+      const addresses = Array.isArray(address) ? address.map(resolved => resolved.address) : [address];
+
+      if (!err && addresses.some(isPrivateAddress)) {
+        err = new Error(`${hostname} resolves to a private address`);
+      }
+
+      callback(err, address, family);
+    });
+  }
+};
+
+module.exports.isPrivateAddress = isPrivateAddress;
+
+function isPrivateAddress(address) {
+  return PRIVATE_ADDRESSES.some(pattern => pattern.test(address));
+}
+
+function decode(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      return String.fromCharCode(name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : +name.slice(1));
+    }
+
+    return ENTITIES[name.toLowerCase()] || entity;
+  }).trim();
+}
+
+function parseAttributes(text) {
+  const attributes = {};
+
+  text.replace(ATTRIBUTE, (match, name, doubleQuoted, singleQuoted, unquoted) => {
+    attributes[name.toLowerCase()] = decode(doubleQuoted || singleQuoted || unquoted || '');
+  });
+
+  return attributes;
+}
+
+function parseMetadata(html, pageUrl) {
+  const openGraph = {};
+  let description;
+  let oembed;
+  let title;
+
+  html.replace(TAG, (match, name, attributesText, offset) => {
+    const tag = name.toLowerCase();
+    const attributes = parseAttributes(attributesText);
+
+    if (tag === 'meta' && attributes.content) {
+      const property = attributes.property || attributes.name || '';
+      const field = property.replace(/^og:/, '');
+
+      if (property !== field && OPEN_GRAPH_FIELDS.indexOf(field) > -1) {
+        openGraph[field] = openGraph[field] || attributes.content;
+      } else if (property === 'description') {
+        description = description || attributes.content;
+      }
+    } else if (tag === 'link' && /\balternate\b/i.test(attributes.rel) && JSON_TYPE.test(attributes.type) && /oembed/i.test(attributes.type)) {
+      oembed = url.resolve(pageUrl, attributes.href);
+    } else if (tag === 'title' && title === undefined) {
+      const start = offset + match.length;
+      const end = html.toLowerCase().indexOf('</title>', start);
+
+      title = end > -1 ? decode(html.slice(start, end)) : '';
+    }
+  });
+
+  const preview = {
+    title: openGraph.title || title,
+    description: openGraph.description || description,
+    image: openGraph.image && url.resolve(pageUrl, openGraph.image),
+    site_name: openGraph.site_name
+  };
+
+  return {preview, oembed};
+}
+
+function parseOEmbed(response) {
+  const oembed = JSON.parse(response.body);
+
+  return {
+    title: oembed.title,
+    image: oembed.thumbnail_url || (oembed.type === 'photo' ? oembed.url : undefined),
+    site_name: oembed.provider_name
+  };
+}
+
+// the metadata of the page win over the oEmbed ones
+function complete(preview, oembed) {
+  OPEN_GRAPH_FIELDS.forEach(field => {
+    preview[field] = preview[field] || oembed[field];
+  });
+
+  return preview;
+}
+
+function toPreview(metadata) {
+  const preview = {};
+
+  OPEN_GRAPH_FIELDS.forEach(field => {
+    if (typeof metadata[field] === 'string' && metadata[field]) {
+      preview[field] = metadata[field];
+    }
+  });
+
+  return preview.title || preview.description ? preview : null;
+}
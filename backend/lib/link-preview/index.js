@@ -0,0 +1,163 @@
+'use strict';
+
+const _ = require('lodash');
+const Q = require('q');
+const CONSTANTS = require('../constants');
+const messageUtils = require('../message-utils');
+const SKIP_FIELDS = CONSTANTS.SKIP_FIELDS;
+const PREVIEW_FIELDS = ['url', 'title', 'description', 'image', 'site_name'];
+// the punctuation ending a sentence or a formatting markup is not part of the link
+const URL_PATTERN = /\bhttps?:\/\/[^\s<>"'`]*[^\s<>"'`.,;:!?)\]}*_~]/gi;
+const CODE = /```[\s\S]*?(```|$)|`[^`\n]+`/g;
+
+module.exports = function(dependencies) {
+
+  const logger = dependencies('logger');
+  const pubsub = dependencies('pubsub').local;
+  const globalPubsub = dependencies('pubsub').global;
+  const mongoose = dependencies('db').mongo.mongoose;
+  const ChatMessage = mongoose.model('ChatMessage');
+  const LinkPreview = mongoose.model('ChatLinkPreview');
+  let fetcher = require('./fetcher')();
+
+  return {
+    extractUrls,
+    getPreview,
+    hide,
+    previewMessage,
+    registerFetcher,
+    start
+  };
+
+  function start() {
+    pubsub.topic(CONSTANTS.NOTIFICATIONS.MESSAGE_SAVED).subscribe(onMessage);
+    // the links of edited messages are previewed again
+    pubsub.topic(CONSTANTS.NOTIFICATIONS.MESSAGE_UPDATED).subscribe(onMessage);
+  }
+
+  function onMessage(message) {
+    if (message.type !== CONSTANTS.MESSAGE_TYPE.TEXT || messageUtils.isSystemMessage(message) || messageUtils.isDeletedMessage(message)) {
+      return;
+    }
+
+    previewMessage(message).catch(err => logger.error('Error while previewing the links of message %s', message._id, err));
+  }
+
+  /**
+   * Get the links of a text which can be previewed, the links of the code are not.
+   *
+   * @param {String} text
+   * @return {Array} the distinct URLs, CONSTANTS.LINK_PREVIEW.MAX_PER_MESSAGE at most
+   */
+  function extractUrls(text) {
+    const urls = String(text || '').replace(CODE, '').match(URL_PATTERN) || [];
+
+    return _.uniq(urls).slice(0, CONSTANTS.LINK_PREVIEW.MAX_PER_MESSAGE);
+  }
+
+  /**
+   * Get the preview of a URL from the cache, fetching it when it is not cached yet.
+   * The URLs which can not be previewed are cached too so that they are not fetched again until expiration.
+   *
+   * @param {String} url
+   * @return {Promise} resolved with {url, title, description, image, site_name} or with null when there is no preview
+   */
+  function getPreview(url) {
+    return Q(LinkPreview.findOne({url}).exec()).then(cached => {
+      if (cached) {
+        return toPreview(cached);
+      }
+
+      return Q(fetcher(url))
+        .catch(err => {
+          logger.debug('Can not fetch the preview of %s', url, err);
+
+          return null;
+        })
+        .then(fetched => LinkPreview.findOneAndUpdate({url}, {
+          $set: Object.assign({empty: !fetched, 'timestamps.creation': new Date()}, _.pick(fetched, PREVIEW_FIELDS.slice(1)))
+        }, {new: true, upsert: true}).exec())
+        .then(toPreview);
+    });
+  }
+
+  /**
+   * Remove a preview of a message for a user only, the other users still see it.
+   *
+   * @param {Object} message
+   * @param {Object} user
+   * @param {String} previewId - the id of the preview in the message
+   * @return {Promise} resolved with the updated message
+   */
+  function hide(message, user, previewId) {
+    return Q(ChatMessage.findOneAndUpdate({_id: message._id, 'link_previews._id': previewId}, {
+      $addToSet: {'link_previews.$.hidden_by': user._id}
+    }, {new: true})
+      .populate('creator', SKIP_FIELDS.USER)
+      .populate('user_mentions', SKIP_FIELDS.USER)
+      .exec()
+    ).then(updated => {
+      if (!updated) {
+        return Q.reject(new Error(`No such link preview ${previewId} in message ${message._id}`));
+      }
+
+      return publish(updated);
+    });
+  }
+
+  /**
+   * Attach the previews of the links of a message to it. The kept previews stay hidden for the users who removed them.
+   * Nothing is attached when the message has been edited or removed in the meantime.
+   *
+   * @param {Object} message - the saved message
+   * @return {Promise} resolved with the updated message, or with null when it has not been updated
+   */
+  function previewMessage(message) {
+    const urls = extractUrls(message.text);
+    const previous = message.link_previews || [];
+
+    if (!urls.length && !previous.length) {
+      return Q(null);
+    }
+
+    return Q.all(urls.map(getPreview)).then(previews => {
+      const linkPreviews = previews.filter(Boolean).map(preview => {
+        const existing = _.find(previous, {url: preview.url});
+
+        return existing ? Object.assign({_id: existing._id, hidden_by: existing.hidden_by}, preview) : preview;
+      });
+
+      return ChatMessage.findOneAndUpdate({
+        _id: message._id,
+        text: message.text,
+        'timestamps.deletion': {$exists: false}
+      }, {
+        $set: {link_previews: linkPreviews}
+      }, {new: true})
+        .populate('creator', SKIP_FIELDS.USER)
+        .populate('user_mentions', SKIP_FIELDS.USER)
+        .exec();
+    }).then(updated => (updated ? publish(updated) : null));
+  }
+
+  /**
+   * Replace the fetcher of the previews, e.g. to use an external unfurling service.
+   *
+   * @param {Function} previewFetcher - resolving a URL to {title, description, image, site_name} or to null
+   */
+  function registerFetcher(previewFetcher) {
+    fetcher = previewFetcher;
+  }
+
+  function publish(message) {
+    const json = message.toJSON();
+
+    globalPubsub.topic(CONSTANTS.NOTIFICATIONS.MESSAGE_UPDATED).publish({message: json});
+
+    return json;
+  }
+
+  function toPreview(cached) {
+    return cached.empty ? null : _.pick(cached.toObject(), PREVIEW_FIELDS);
+  }
+};
@@ -2,6 +2,9 @@
 
 const Q = require('q');
 const CONSTANTS = require('../../constants');
+const errors = require('../../errors');
+
+const MONGO_DUPLICATE_KEY_ERROR = 11000;
 
 module.exports = function(dependencies, lib) {
 
@@ -19,6 +22,7 @@ module.exports = function(dependencies, lib) {
     addForwardHandler,
     addHandler,
     handleMessage,
+    receiveMessage,
     start
   };
 
@@ -60,6 +64,10 @@ module.exports = function(dependencies, lib) {
     });
   }
 
+  function isDuplicateMessage(err, message) {
+    return !!(err && err.code === MONGO_DUPLICATE_KEY_ERROR && message.client_id);
+  }
+
   function isForwardable(message) {
     return !!forwardHandlers[message.type];
   }
@@ -68,123 +76,165 @@ module.exports = function(dependencies, lib) {
     globalPubsub.topic(CONSTANTS.NOTIFICATIONS.MESSAGE_RECEIVED).publish(event);
   }
 
-  function start() {
-    addHandler(require('./handlers/first')(dependencies));
-    addHandler(require('./handlers/mentions')(dependencies));
-    addForwardHandler(CONSTANTS.MESSAGE_TYPE.USER_TYPING, require('./forward/user-typing')(dependencies));
+  /**
+   * Handle a message received from a client: forwardable messages (user typing, ...) are forwarded as is,
+   * other ones are saved in their conversation when the creator can write in it.
+   * A message which has already been saved with the same client_id (the client is retrying) is not saved twice.
+   *
+   * @param {Object} data - the event containing the received message
+   * @return {Promise} resolved with the saved message, or with nothing for forwarded messages
+   */
+  function receiveMessage(data) {
+    if (isForwardable(data.message)) {
+      forwardMessage(data.message);
+
+      return Q();
+    }
 
-    localPubsub.topic(CONSTANTS.NOTIFICATIONS.MESSAGE_RECEIVED).subscribe(onMessageReceived);
+    return getAlreadySavedMessage(data.message).then(message => {
+      if (message) {
+        logger.debug(`Chat Message ${message._id} has already been saved from client message ${data.message.client_id}`);
 
-    function onMessageReceived(data) {
-      if (isForwardable(data.message)) {
-        return forwardMessage(data.message);
+        return message;
       }
 
-      return saveAsChatMessage(data).then(message => {
-        logger.debug(`Chat Message saved ${message._id}`);
-        publish({message});
-        handleMessage({message});
-
-        return Q(message);
-      }).catch(err => {
-        logger.error('Can not save message in conversation', err);
+      return saveAndPublish(data);
+    });
+  }
 
-        return Q.reject(err);
-      });
+  function getAlreadySavedMessage(message) {
+    if (!message.client_id || !message.creator) {
+      return Q();
     }
 
-    function saveAsChatMessage(data) {
+    return Q.denodeify(lib.message.getByClientId)(message.creator, message.client_id);
+  }
 
-      return Q.spread([getUser(), getConversation()], saveMessage);
+  function saveAndPublish(data) {
+    return saveAsChatMessage(data).then(message => {
+      logger.debug(`Chat Message saved ${message._id}`);
+      publish({message});
+      handleMessage({message});
 
-      function getConversation() {
-        const channelId = data.message.channel._id || data.message.channel;
+      return Q(message);
+    }).catch(err => {
+      if (isDuplicateMessage(err, data.message)) {
+        // the same message has been saved meanwhile, e.g. when the client sent it twice at the same time
+        return getAlreadySavedMessage(data.message).then(message => message || Q.reject(new errors.ConflictError(`Message ${data.message.client_id} has already been sent`)));
+      }
 
-        return Q.denodeify(lib.conversation.getById)(channelId).then(conversation => {
-          if (!conversation) {
-            return Q.reject(new Error(`No such conversation ${channelId}`));
-          }
+      logger.error('Can not save message in conversation', err);
 
-          return conversation;
-        });
-      }
+      return Q.reject(err);
+    });
+  }
 
-      function getUser() {
-        return Q.denodeify(userModule.get)(data.message.creator).then(user => {
-          if (!user) {
-            return Q.reject(new Error(`No such user ${data.message.creator}`));
-          }
+  function saveAsChatMessage(data) {
 
-          return user;
-        });
-      }
+    return Q.spread([getUser(), getConversation()], saveMessage);
 
-      function saveMessage(user, conversation) {
-        const defer = Q.defer();
+    function getConversation() {
+      const channelId = data.message.channel._id || data.message.channel;
 
-        lib.conversation.permission.userCanWrite(user, conversation).then(writable => {
-          if (!writable) {
-            return defer.reject(new Error(`User ${user._id} can not write message in the conversation ${conversation._id}`));
-          }
+      return Q.denodeify(lib.conversation.getById)(channelId).then(conversation => {
+        if (!conversation) {
+          return Q.reject(new errors.NotFoundError(`No such conversation ${channelId}`));
+        }
 
-          const chatMessage = {
-            type: data.message.type,
-            subtype: data.message.subtype,
-            text: data.message.text,
-            date: data.message.date,
-            creator: data.message.creator,
-            channel: data.message.channel
-          };
-
-          if (data.message.attachments) {
-            chatMessage.attachments = data.message.attachments;
-          }
+        return conversation;
+      });
+    }
 
-          lib.message.create(chatMessage, (err, createdMessage) => {
-            if (err) {
-              return defer.reject(err);
-            }
+    function getUser() {
+      return Q.denodeify(userModule.get)(data.message.creator).then(user => {
+        if (!user) {
+          return Q.reject(new errors.NotFoundError(`No such user ${data.message.creator}`));
+        }
 
-            // Handle subscription to a private conversation when there is a sent direct message
-            if (data.message.type === CONSTANTS.MESSAGE_TYPE.TEXT && conversation.type === CONSTANTS.CONVERSATION_TYPE.DIRECT_MESSAGE) {
-              return membersSubscribeToPrivateConversation(conversation)
-                .then(
-                  () => defer.resolve(createdMessage),
-                  err => defer.reject(err)
-                );
-            }
+        return user;
+      });
+    }
 
-            defer.resolve(createdMessage);
-          });
+    function saveMessage(user, conversation) {
+      const defer = Q.defer();
+
+      lib.conversation.permission.userCanWrite(user, conversation).then(writable => {
+        if (!writable) {
+          return defer.reject(new errors.ForbiddenError(`User ${user._id} can not write message in the conversation ${conversation._id}`));
+        }
+
+        const chatMessage = {
+          type: data.message.type,
+          subtype: data.message.subtype,
+          text: data.message.text,
+          date: data.message.date,
+          creator: data.message.creator,
+          channel: data.message.channel
+        };
+
+        if (data.message.client_id) {
+          chatMessage.client_id = data.message.client_id;
+        }
+
+        if (data.message.attachments) {
+          chatMessage.attachments = data.message.attachments;
+        }
+
+        if (data.message.parent) {
+          chatMessage.parent = data.message.parent._id || data.message.parent;
+        }
+
+        lib.message.create(chatMessage, (err, createdMessage) => {
+          if (err) {
+            return defer.reject(err);
+          }
 
-        }, err => {
-          logger.error('Error while checking user write permission', err);
+          // Handle subscription to a private conversation when there is a sent direct message
+          if (data.message.type === CONSTANTS.MESSAGE_TYPE.TEXT && conversation.type === CONSTANTS.CONVERSATION_TYPE.DIRECT_MESSAGE) {
+            return membersSubscribeToPrivateConversation(conversation)
+              .then(
+                () => defer.resolve(createdMessage),
+                err => defer.reject(err)
+              );
+          }
 
-          defer.reject(new Error(`User ${user._id} can not write message in the conversation ${conversation._id}`));
+          defer.resolve(createdMessage);
         });
 
-        return defer.promise;
-      }
+      }, err => {
+        logger.error('Error while checking user write permission', err);
+
+        defer.reject(new Error(`User ${user._id} can not write message in the conversation ${conversation._id}`));
+      });
 
-      function membersSubscribeToPrivateConversation(conversation) {
-        const memberIds = conversation.members.map(member => String(member.member.id));
+      return defer.promise;
+    }
 
-        return Q.all(
-          memberIds.map(memberId => userSubscribedPrivateConversation.get(memberId)
-            .then(doc => {
-              const conversations = doc && doc.conversations ? doc.conversations : [];
+    function membersSubscribeToPrivateConversation(conversation) {
+      const memberIds = conversation.members.map(member => String(member.member.id));
 
-              if (conversations.indexOf(conversation._id) === -1) {
-                conversations.push(conversation._id);
+      return Q.all(
+        memberIds.map(memberId => userSubscribedPrivateConversation.get(memberId)
+          .then(doc => {
+            const conversations = doc && doc.conversations ? doc.conversations : [];
 
-                return userSubscribedPrivateConversation.store(memberId, conversations);
-              }
+            if (conversations.indexOf(conversation._id) === -1) {
+              conversations.push(conversation._id);
 
-              return;
-            })
-          ).filter(Boolean)
-        );
-      }
+              return userSubscribedPrivateConversation.store(memberId, conversations);
+            }
+
+            return;
+          })
+        ).filter(Boolean)
+      );
     }
   }
+
+  function start() {
+    addHandler(require('./handlers/first')(dependencies));
+    addHandler(require('./handlers/mentions')(dependencies));
+
+    localPubsub.topic(CONSTANTS.NOTIFICATIONS.MESSAGE_RECEIVED).subscribe(receiveMessage);
+  }
 };
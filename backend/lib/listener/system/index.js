@@ -4,11 +4,13 @@ module.exports = function(dependencies, lib) {
 
   const joinConversationListener = require('./join-conversation')(dependencies, lib);
   const leaveConversationListener = require('./leave-conversation')(dependencies, lib);
+  const pinMessageListener = require('./pin-message')(dependencies, lib);
   const updateTopicListener = require('./update-topic')(dependencies, lib);
 
   return {
     joinConversationListener,
     leaveConversationListener,
+    pinMessageListener,
     start,
     updateTopicListener
   };
@@ -16,6 +18,7 @@ module.exports = function(dependencies, lib) {
   function start() {
     joinConversationListener.start();
     leaveConversationListener.start();
+    pinMessageListener.start();
     updateTopicListener.start();
   }
 };
@@ -0,0 +1,59 @@
+'use strict';
+
+const CONSTANTS = require('../../constants');
+
+module.exports = function(dependencies) {
+  const logger = dependencies('logger');
+  const pubsub = dependencies('pubsub').local;
+  const newMessageTopic = pubsub.topic(CONSTANTS.NOTIFICATIONS.MESSAGE_RECEIVED);
+  const messagePinnedTopic = pubsub.topic(CONSTANTS.NOTIFICATIONS.MESSAGE_PINNED);
+  const messageUnpinnedTopic = pubsub.topic(CONSTANTS.NOTIFICATIONS.MESSAGE_UNPINNED);
+
+  return {
+    messagePinned,
+    messageUnpinned,
+    start
+  };
+
+  function start() {
+    messagePinnedTopic.subscribe(event => {
+      logger.debug('System pin message handler received a pin event');
+
+      return messagePinned(event.userId, event.conversationId);
+    });
+
+    messageUnpinnedTopic.subscribe(event => {
+      logger.debug('System pin message handler received an unpin event');
+
+      return messageUnpinned(event.userId, event.conversationId);
+    });
+  }
+
+  function messagePinned(userId, conversationId, timestamp = Date.now()) {
+    return publish(`<%@${userId}%> pinned a message.`, CONSTANTS.MESSAGE_SUBTYPE.MESSAGE_PIN, userId, conversationId, timestamp);
+  }
+
+  function messageUnpinned(userId, conversationId, timestamp = Date.now()) {
+    return publish(`<%@${userId}%> unpinned a message.`, CONSTANTS.MESSAGE_SUBTYPE.MESSAGE_UNPIN, userId, conversationId, timestamp);
+  }
+
+  function publish(text, subtype, userId, conversationId, timestamp) {
+    const event = {
+      message: {
+        text,
+        type: 'text',
+        subtype,
+        creator: userId,
+        channel: conversationId,
+        user_mentions: [userId],
+        timestamps: {
+          creation: timestamp
+        }
+      }
+    };
+
+    newMessageTopic.publish(event);
+
+    return event;
+  }
+};
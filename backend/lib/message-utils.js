@@ -2,15 +2,77 @@
 
 const CONSTANTS = require('./constants');
 
+// the markup formatted by the frontend chatMessageFormatter
+const FENCE = /^\s*```/;
+const QUOTE = /^(\s*>\s?)+/;
+const LIST_ITEM = /^\s*([-*+]|\d+[.)])\s+/;
+const INLINE_CODE = /`([^`\n]+)`/g;
+const CODE_PLACEHOLDER = /\u0000(\d+)\u0000/g;
+const EMPHASIS = [
+  {pattern: /\*\*(\S(?:.*?\S)?)\*\*/g, replacement: '$1'},
+  {pattern: /~~(\S(?:.*?\S)?)~~/g, replacement: '$1'},
+  {pattern: /\*(\S(?:.*?\S)?)\*/g, replacement: '$1'},
+  {pattern: /(^|\W)_(\S(?:.*?\S)?)_(?!\w)/g, replacement: '$1$2'}
+];
+
 module.exports = {
   getSystemMessageSubtypes,
-  isSystemMessage
+  isDeletedMessage,
+  isSystemMessage,
+  toPlainText
 };
 
 function getSystemMessageSubtypes() {
-  return [CONSTANTS.MESSAGE_SUBTYPE.CONVERSATION_JOIN, CONSTANTS.MESSAGE_SUBTYPE.TOPIC_UPDATE];
+  return [
+    CONSTANTS.MESSAGE_SUBTYPE.CONVERSATION_JOIN,
+    CONSTANTS.MESSAGE_SUBTYPE.MESSAGE_PIN,
+    CONSTANTS.MESSAGE_SUBTYPE.MESSAGE_UNPIN,
+    CONSTANTS.MESSAGE_SUBTYPE.TOPIC_UPDATE
+  ];
+}
+
+function isDeletedMessage(message) {
+  return !!(message && message.timestamps && message.timestamps.deletion);
 }
 
 function isSystemMessage(message) {
   return !!(message && message.subtype && getSystemMessageSubtypes().includes(message.subtype));
 }
+
+function stripEmphasis(text) {
+  const stripped = EMPHASIS.reduce((result, emphasis) => result.replace(emphasis.pattern, emphasis.replacement), text);
+
+  // emphasis can be nested
+  return stripped === text ? text : stripEmphasis(stripped);
+}
+
+// the inline code is replaced by a placeholder while the emphasis around it is removed
+function stripInline(line) {
+  const codes = [];
+  const placeholders = line.replace(/\u0000/g, '').replace(INLINE_CODE, (match, code) => `\u0000${codes.push(code) - 1}\u0000`);
+
+  return stripEmphasis(placeholders).replace(CODE_PLACEHOLDER, (match, index) => codes[index]);
+}
+
+/**
+ * Remove the formatting markup of a message text: emphasis, code, block quotes and list markers.
+ * The content of the code is kept as typed.
+ *
+ * @param {String} text
+ * @return {String} the plain text
+ */
+function toPlainText(text) {
+  let inCodeBlock = false;
+
+  return String(text || '').split('\n').reduce((lines, line) => {
+    if (FENCE.test(line)) {
+      inCodeBlock = !inCodeBlock;
+
+      return lines;
+    }
+
+    lines.push(inCodeBlock ? line : stripInline(line.replace(QUOTE, '').replace(LIST_ITEM, '')));
+
+    return lines;
+  }, []).join('\n');
+}
@@ -0,0 +1,115 @@
+'use strict';
+
+const _ = require('lodash');
+const Q = require('q');
+const CONSTANTS = require('./constants');
+const MESSAGE_FIELDS = ['type', 'subtype', 'text', 'date', 'creator', 'channel', 'room', 'attachments', 'parent', 'state', 'client_id'];
+const ATTACHMENT_FIELDS = ['_id', 'name', 'contentType', 'length', 'duration'];
+const SENDER = {
+  USER: 'USER'
+};
+
+module.exports = function(dependencies, lib) {
+
+  const logger = dependencies('logger');
+  const filestore = dependencies('filestore');
+
+  return {
+    SENDER,
+    validate
+  };
+
+  /**
+   * Validate a message coming from a client and drop the fields it is not allowed to set.
+   *
+   * @param {Object} message - the received message, its creator must already be set from the authenticated user
+   * @param {String} sender - the kind of sender, defaults to SENDER.USER
+   * @return {Promise} resolved with the sanitised message, rejected with an error explaining why the message is invalid
+   */
+  function validate(message, sender = SENDER.USER) {
+    if (!_.isPlainObject(message)) {
+      return reject('Message must be an object');
+    }
+
+    if (!_.includes(CONSTANTS.MESSAGE_VALIDATION.ALLOWED_TYPES[sender], message.type)) {
+      return reject(`Message type ${message.type} is not allowed`);
+    }
+
+    if (message.subtype && !_.includes(CONSTANTS.MESSAGE_VALIDATION.ALLOWED_SUBTYPES[sender], message.subtype)) {
+      return reject(`Message subtype ${message.subtype} is not allowed`);
+    }
+
+    if (message.text !== undefined && typeof message.text !== 'string') {
+      return reject('Message text must be a string');
+    }
+
+    if (message.text && message.text.length > CONSTANTS.MESSAGE_VALIDATION.MAX_TEXT_LENGTH) {
+      return reject(`Message text can not exceed ${CONSTANTS.MESSAGE_VALIDATION.MAX_TEXT_LENGTH} characters`);
+    }
+
+    if (message.client_id !== undefined && !isValidClientId(message.client_id)) {
+      return reject(`Message client_id must be a string of at most ${CONSTANTS.MESSAGE_VALIDATION.MAX_CLIENT_ID_LENGTH} characters`);
+    }
+
+    if (message.attachments !== undefined && !Array.isArray(message.attachments)) {
+      return reject('Message attachments must be an array');
+    }
+
+    const sanitised = _.pick(message, MESSAGE_FIELDS);
+
+    if (!sanitised.attachments) {
+      return Q(sanitised);
+    }
+
+    sanitised.attachments = sanitised.attachments.map(attachment => _.pick(attachment, ATTACHMENT_FIELDS));
+
+    return Q.all(sanitised.attachments.map(attachment => checkAttachment(attachment, sanitised.creator)))
+      .then(() => lib.attachmentLimits.check(sanitised.creator, sanitised.channel, sanitised.attachments))
+      .then(() => sanitised);
+  }
+
+  function checkAttachment(attachment, creator) {
+    if (!attachment._id) {
+      return reject('Message attachments must have an _id');
+    }
+
+    if (attachment.duration !== undefined && !(_.isFinite(attachment.duration) && attachment.duration >= 0)) {
+      return reject(`Attachment ${attachment._id} duration must be a positive number of seconds`);
+    }
+
+    return Q.ninvoke(filestore, 'getMeta', attachment._id)
+      .catch(err => {
+        logger.error(`Error while getting file ${attachment._id}`, err);
+
+        return reject(`Can not check attachment ${attachment._id}`);
+      })
+      .then(meta => {
+        if (!meta) {
+          return reject(`Attachment ${attachment._id} does not exist`);
+        }
+
+        const owner = meta.metadata && meta.metadata.creator && meta.metadata.creator.id;
+
+        if (!owner || String(owner) !== String(creator)) {
+          return reject(`Attachment ${attachment._id} does not belong to the sender`);
+        }
+
+        // the limits are checked against what has been stored, not against what the client says
+        if (meta.contentType) {
+          attachment.contentType = meta.contentType;
+        }
+
+        if (_.isNumber(meta.length)) {
+          attachment.length = meta.length;
+        }
+      });
+  }
+
+  function isValidClientId(clientId) {
+    return typeof clientId === 'string' && clientId.length > 0 && clientId.length <= CONSTANTS.MESSAGE_VALIDATION.MAX_CLIENT_ID_LENGTH;
+  }
+
+  function reject(details) {
+    return Q.reject(new Error(details));
+  }
+};
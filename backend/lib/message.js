@@ -4,12 +4,15 @@ const async = require('async');
 const Q = require('q');
 const _ = require('lodash');
 const CONSTANTS = require('../lib/constants');
+const errors = require('./errors');
+const messageUtils = require('./message-utils');
 const SKIP_FIELDS = CONSTANTS.SKIP_FIELDS;
 
 module.exports = function(dependencies, lib) {
 
   const logger = dependencies('logger');
   const pubsub = dependencies('pubsub').local;
+  const globalPubsub = dependencies('pubsub').global;
   const mongoose = dependencies('db').mongo.mongoose;
   const ObjectId = mongoose.Types.ObjectId;
   const Conversation = mongoose.model('ChatConversation');
@@ -18,33 +21,74 @@ module.exports = function(dependencies, lib) {
 
   return {
     count,
+    countPinned,
     create,
+    edit,
     getAttachmentsForConversation,
+    getByClientId,
     getById,
     getByIdAndPopulate,
     getForConversation,
+    getMissedForConversation,
+    getPinnedForConversation,
+    getReplies,
     list,
     moderate,
     parseMention,
+    pin,
+    remove,
     save,
     searchForUser,
-    isStarredBy
+    isStarredBy,
+    toggleReaction,
+    unpin
   };
 
   function count(conversationId, callback) {
     ChatMessage.count({channel: conversationId}, callback);
   }
 
+  function countPinned(conversationId, callback) {
+    ChatMessage.count({channel: conversationId, 'timestamps.pin': {$exists: true}}, callback);
+  }
+
   function create(message, callback) {
+    const isReply = !!message.parent;
+    let parentMessage;
+
     parseMention(message);
 
     async.waterfall([
-      saveMessage, updateLastMessage, markAsRead, populate,
+      checkParent, saveMessage, isReply ? updateThread : updateLastMessage, markAsRead, populate,
       function(message, callback) {
         callback(null, message.toJSON());
       }
     ], callback);
 
+    // replies can only be attached to a top-level message of the same conversation
+    function checkParent(callback) {
+      if (!isReply) {
+        return callback();
+      }
+
+      ChatMessage.findById(message.parent, (err, parent) => {
+        if (err) {
+          return callback(err);
+        }
+
+        if (!parent || String(parent.channel) !== String(message.channel)) {
+          return callback(new errors.NotFoundError(`Parent message ${message.parent} not found`));
+        }
+
+        if (parent.parent || messageUtils.isDeletedMessage(parent)) {
+          return callback(new errors.InvalidError(`Invalid parent message ${message.parent}`));
+        }
+
+        parentMessage = parent;
+        callback();
+      });
+    }
+
     function saveMessage(callback) {
       save(message, callback);
     }
@@ -70,6 +114,42 @@ module.exports = function(dependencies, lib) {
       });
     }
 
+    // Replies are not counted in the conversation messages: only thread participants get an unread reply,
+    // counted apart from the read messages of the conversation timeline
+    function updateThread(message, callback) {
+      ChatMessage.findByIdAndUpdate(message.parent, {
+        $inc: {reply_count: 1},
+        $set: {last_reply: {creator: message.creator, date: message.timestamps.creation}},
+        $addToSet: {thread_participants: {$each: [parentMessage.creator, message.creator]}}
+      }, { new: true }, (err, parent) => {
+        if (err || !parent) {
+          logger.error('Can not update thread of message %s', message.parent, err);
+
+          return callback(null, message, null);
+        }
+
+        const participants = parent.thread_participants.map(String)
+          .filter(participant => participant !== String(message.creator));
+
+        if (!participants.length) {
+          return Conversation.findById(message.channel, (err, conversation) => callback(err, message, conversation));
+        }
+
+        const update = {$inc: {}};
+
+        participants.forEach(participant => {
+          update.$inc[`memberStates.${participant}.numOfUnreadReplies`] = 1;
+        });
+
+        Conversation.findByIdAndUpdate(message.channel, update, { new: true }, (err, conversation) => {
+          if (err) {
+            logger.error('Can not update thread participants states in conversation %s', message.channel, err);
+          }
+          callback(null, message, conversation);
+        });
+      });
+    }
+
     function markAsRead(message, conversation, callback) {
       if (!conversation) {
         return callback(null, message);
@@ -80,21 +160,137 @@ module.exports = function(dependencies, lib) {
       });
     }
 
+    function populate(message, callback) {
+      const fields = [{path: 'user_mentions'}, {path: 'creator'}];
+
+      if (isReply) {
+        fields.push({path: 'parent', select: 'reply_count last_reply thread_participants'});
+      }
+
+      ChatMessage.populate(message, fields, callback);
+    }
+  }
+
+  /**
+   * Replace the text of a message, keeping its previous version in the edition history.
+   * The conversation last_message is refreshed when the edited message is the latest one.
+   *
+   * @param {Object} message - the message to edit
+   * @param {String} text - the new text of the message
+   * @param {Function} callback - called with the edited and populated message
+   */
+  function edit(message, text, callback) {
+    const edition = {text};
+    const previous = {
+      text: message.text,
+      user_mentions: (message.user_mentions || []).map(mention => mention._id || mention),
+      date: message.timestamps.edition || message.timestamps.creation
+    };
+
+    parseMention(edition);
+
+    async.waterfall([
+      updateMessage, updateLastMessage, populate,
+      function(message, callback) {
+        callback(null, message.toJSON());
+      }
+    ], (err, edited) => {
+      if (!err) {
+        globalPubsub.topic(CONSTANTS.NOTIFICATIONS.MESSAGE_UPDATED).publish({message: edited});
+      }
+      callback(err, edited);
+    });
+
+    function updateMessage(callback) {
+      ChatMessage.findByIdAndUpdate(message._id, {
+        $set: {
+          text: edition.text,
+          user_mentions: edition.user_mentions,
+          'timestamps.edition': new Date()
+        },
+        $push: {
+          edition_history: previous
+        }
+      }, { new: true }, (err, updated) => {
+        if (err) {
+          return callback(err);
+        }
+
+        if (!updated) {
+          return callback(new Error(`No such message ${message._id}`));
+        }
+
+        pubsub.topic(CONSTANTS.NOTIFICATIONS.MESSAGE_UPDATED).publish(updated);
+        callback(null, updated);
+      });
+    }
+
+    function updateLastMessage(message, callback) {
+      Conversation.update({
+        _id: message.channel,
+        'last_message.date': message.timestamps.creation,
+        'last_message.creator': message.creator
+      }, {
+        $set: {
+          'last_message.text': message.text,
+          'last_message.user_mentions': message.user_mentions
+        }
+      }, err => {
+        if (err) {
+          logger.error('Can not update last message of conversation %s', message.channel, err);
+        }
+        callback(null, message);
+      });
+    }
+
     function populate(message, callback) {
       ChatMessage.populate(message, [{path: 'user_mentions'}, {path: 'creator'}], callback);
     }
   }
 
+  /**
+   * Get a page of the attachments of a conversation, ordered by creation date then by name.
+   * The attachments can be filtered by the following query parameters:
+   * - type: a family of CONSTANTS.ATTACHMENT_FAMILIES
+   * - creator: the id of the user who uploaded them
+   * - from, to: the range of their creation dates, bounds included
+   * - search: a part of their name, case insensitive
+   *
+   * @param {ObjectId} conversationId
+   * @param {Object} query - the filters with offset, limit and sort (1 or -1)
+   * @param {Function} callback - called with the attachments of the page, from the oldest to the newest one
+   */
   function getAttachmentsForConversation(conversationId, query = {}, callback) {
     const offset = parseInt(query.offset || CONSTANTS.DEFAULT_OFFSET, 10);
     const limit = parseInt(query.limit || CONSTANTS.DEFAULT_LIMIT, 10);
     const sort = parseInt(query.sort || -1, 10);
+    const messageMatch = {channel: conversationId, moderate: false, attachments: {$gt: []}};
+    const attachmentMatch = {};
+
+    if (query.creator) {
+      messageMatch.creator = new ObjectId(String(query.creator));
+    }
+
+    if (query.from || query.to) {
+      messageMatch['timestamps.creation'] = _.omitBy({
+        $gte: query.from && new Date(query.from),
+        $lte: query.to && new Date(query.to)
+      }, _.isUndefined);
+    }
 
+    if (query.type) {
+      attachmentMatch['attachments.contentType'] = {$in: CONSTANTS.ATTACHMENT_FAMILIES[query.type]};
+    }
+
+    if (query.search) {
+      attachmentMatch['attachments.name'] = new RegExp(_.escapeRegExp(String(query.search)), 'i');
+    }
+
+    // the page is taken once the attachments are filtered and sorted, so that pages neither skip nor repeat any of them
     const mongoQuery = ChatMessage.aggregate([
-      { $match: {channel: conversationId, moderate: false, attachments: { $gt: [] }} },
+      { $match: messageMatch },
       { $unwind: '$attachments' },
-      { $skip: offset },
-      { $limit: limit },
+      { $match: attachmentMatch },
       { $group: {
         _id: '$attachments._id',
         message_id: { $first: '$_id' },
@@ -102,9 +298,12 @@ module.exports = function(dependencies, lib) {
         creation_date: { $first: '$timestamps.creation' },
         name: { $first: '$attachments.name' },
         contentType: { $first: '$attachments.contentType' },
-        length: { $first: '$attachments.length' }
+        length: { $first: '$attachments.length' },
+        duration: { $first: '$attachments.duration' }
       }},
-      { $sort: { creation_date: sort, name: sort} }
+      { $sort: { creation_date: sort, name: sort, _id: sort } },
+      { $skip: offset },
+      { $limit: limit }
     ]);
 
     mongoQuery.exec((err, result) => {
@@ -115,6 +314,13 @@ module.exports = function(dependencies, lib) {
     });
   }
 
+  function getByClientId(creator, clientId, callback) {
+    ChatMessage.findOne({creator, client_id: clientId})
+      .populate('creator', SKIP_FIELDS.USER)
+      .populate('user_mentions', SKIP_FIELDS.USER)
+      .exec((err, message) => callback(err, message ? message.toJSON() : message));
+  }
+
   function getById(messageId, callback) {
     Q(getByIdAndPopulate(messageId, ['creator', 'user_mentions'])).nodeify(callback);
   }
@@ -123,50 +329,136 @@ module.exports = function(dependencies, lib) {
     return ChatMessage.findById(messageId).populate(populateFields.join(' '), SKIP_FIELDS.USER);
   }
 
+  /**
+   * Get a page of the messages of a conversation, replies excluded, from the oldest to the newest one.
+   * Without cursor, the page is the last one, shifted by query.offset. The cursors are message ids:
+   * - before: the messages older than the given one
+   * - after: the messages newer than the given one
+   * - around: the given message with the newer ones, preceded by the older half of the page
+   *
+   * Messages are ordered by creation date, as the read pointer is, then by id so that pages do not skip nor repeat
+   * the messages created at the same time. The limit is capped to CONSTANTS.MAX_LIMIT.
+   *
+   * @param {Object|String} conversation
+   * @param {Object} query - {limit, offset, before, after, around}
+   * @param {Function} callback - called with the messages
+   */
   function getForConversation(conversation, query = {limit: CONSTANTS.DEFAULT_LIMIT, offset: CONSTANTS.DEFAULT_OFFSET}, callback) {
+    const conversationId = conversation._id || conversation;
+    const q = {channel: conversationId, moderate: false, parent: {$exists: false}};
+    // the invalid values fall back on the default ones
+    const limit = Math.min(parseInt(query.limit, 10) || CONSTANTS.DEFAULT_LIMIT, CONSTANTS.MAX_LIMIT);
+    const offset = Math.max(parseInt(query.offset, 10) || CONSTANTS.DEFAULT_OFFSET, 0);
+
+    function find(condition, direction, limit, offset = 0) {
+      return Q(ChatMessage.find(q)
+        .where(condition)
+        .populate('creator', SKIP_FIELDS.USER)
+        .populate('user_mentions', SKIP_FIELDS.USER)
+        .sort({'timestamps.creation': direction, _id: direction})
+        .skip(offset)
+        .limit(limit)
+        .exec());
+    }
 
-    function getMessages(mongoQuery, callback) {
-      mongoQuery.exec((err, result) => {
-        if (!err) {
-          result.reverse();
-        }
-        callback(err, result);
-      });
+    function findOlder(condition, limit, offset) {
+      return find(condition, -1, limit, offset).then(messages => messages.reverse());
     }
 
-    if (!query.moderate) {
-      query.moderate = false;
+    function findNewer(condition, limit) {
+      return find(condition, 1, limit);
     }
 
-    const conversationId = conversation._id || conversation;
-    const q = {channel: conversationId, moderate: false};
-    const mq = ChatMessage.find(q);
+    function getCursor(messageId) {
+      return Q(ChatMessage.findOne({_id: messageId, channel: conversationId}, 'timestamps.creation').exec()).then(message => {
+        if (!message) {
+          throw new errors.NotFoundError(`No such message ${messageId}`);
+        }
 
-    mq.populate('creator', SKIP_FIELDS.USER);
-    mq.populate('user_mentions', SKIP_FIELDS.USER);
-    mq.limit(+query.limit);
-    mq.skip(+query.offset);
-    mq.sort('-timestamps.creation');
+        return message;
+      });
+    }
 
-    if (query.before) {
-      ChatMessage.findById(query.before).exec((err, before) => {
-        if (err) {
-          logger.error('Error while searching message %s', query.before, err);
+    function compare(cursor, operator, idOperator = operator) {
+      const date = cursor.timestamps.creation;
 
-          return callback(err);
-        }
+      return {$or: [{'timestamps.creation': {[operator]: date}}, {'timestamps.creation': date, _id: {[idOperator]: cursor._id}}]};
+    }
 
-        if (!before) {
-          return getMessages(mq, callback);
-        }
+    let messages;
 
-        mq.where({'timestamps.creation': {$lt: before.timestamps.creation}});
+    if (query.around) {
+      const olderLimit = Math.floor(limit / 2);
 
-        return getMessages(mq, callback);
-      });
+      messages = getCursor(query.around).then(cursor => Q.all([
+        olderLimit ? findOlder(compare(cursor, '$lt'), olderLimit) : [],
+        findNewer(compare(cursor, '$gt', '$gte'), limit - olderLimit)
+      ])).spread((older, newer) => older.concat(newer));
+    } else if (query.after) {
+      messages = getCursor(query.after).then(cursor => findNewer(compare(cursor, '$gt'), limit));
+    } else if (query.before) {
+      messages = getCursor(query.before).then(cursor => findOlder(compare(cursor, '$lt'), limit, offset));
     } else {
-      return getMessages(mq, callback);
+      messages = findOlder({}, limit, offset);
     }
+
+    messages.nodeify(callback);
+  }
+
+  /**
+   * Get the messages of a conversation, replies included, which have been created after the given message
+   * or after the given date, in their creation order.
+   *
+   * @param {Object|String} conversation
+   * @param {Object} since - {messageId} the last message known by the caller or {date} the date of this message
+   * @param {Number} limit - the maximum number of messages to get
+   * @param {Function} callback - called with the messages
+   */
+  function getMissedForConversation(conversation, since = {}, limit, callback) {
+    const q = {channel: conversation._id || conversation, moderate: false};
+
+    if (since.messageId) {
+      q._id = {$gt: since.messageId};
+    } else if (since.date) {
+      q['timestamps.creation'] = {$gt: new Date(since.date)};
+    } else {
+      return callback(new Error('A message id or a date is required to get the missed messages'));
+    }
+
+    ChatMessage.find(q)
+      .populate('creator', SKIP_FIELDS.USER)
+      .populate('user_mentions', SKIP_FIELDS.USER)
+      .populate('parent', 'reply_count last_reply thread_participants')
+      .sort({'timestamps.creation': 1, _id: 1})
+      .limit(+limit)
+      .exec((err, messages) => callback(err, messages && messages.map(message => message.toJSON())));
+  }
+
+  function getPinnedForConversation(conversationId, query = {}, callback) {
+    const limit = +(query.limit || CONSTANTS.DEFAULT_LIMIT);
+    const offset = +(query.offset || CONSTANTS.DEFAULT_OFFSET);
+
+    ChatMessage.find({channel: conversationId, 'timestamps.pin': {$exists: true}})
+      .populate('creator', SKIP_FIELDS.USER)
+      .populate('user_mentions', SKIP_FIELDS.USER)
+      .sort('-timestamps.pin')
+      .skip(offset)
+      .limit(limit)
+      .exec(callback);
+  }
+
+  function getReplies(message, query = {}, callback) {
+    // the invalid values fall back on the default ones
+    const offset = parseInt(query.offset, 10) || CONSTANTS.DEFAULT_OFFSET;
+    const limit = Math.min(parseInt(query.limit, 10) || CONSTANTS.DEFAULT_LIMIT, CONSTANTS.MAX_LIMIT);
+
+    ChatMessage.find({parent: message._id || message, moderate: false})
+      .populate('creator', SKIP_FIELDS.USER)
+      .populate('user_mentions', SKIP_FIELDS.USER)
+      .sort('timestamps.creation')
+      .skip(offset)
+      .limit(limit)
+      .exec(callback);
   }
 
   function list(options, callback) {
@@ -223,6 +515,283 @@ module.exports = function(dependencies, lib) {
     });
   }
 
+  /**
+   * Pin a message in its conversation so that every member can find it in the pinned messages.
+   *
+   * @param {Object} message - the message to pin
+   * @param {Object} user - the user who pins the message
+   * @param {Function} callback - called with the pinned message
+   */
+  function pin(message, user, callback) {
+    updatePin(message, user, {
+      query: {'timestamps.pin': {$exists: false}, 'timestamps.deletion': {$exists: false}},
+      update: {$set: {pinned_by: user._id, 'timestamps.pin': new Date()}},
+      topic: CONSTANTS.NOTIFICATIONS.MESSAGE_PINNED
+    }, callback);
+  }
+
+  function unpin(message, user, callback) {
+    updatePin(message, user, {
+      query: {'timestamps.pin': {$exists: true}},
+      update: {$unset: {pinned_by: '', 'timestamps.pin': ''}},
+      topic: CONSTANTS.NOTIFICATIONS.MESSAGE_UNPINNED
+    }, callback);
+  }
+
+  function updatePin(message, user, options, callback) {
+    const query = Object.assign({_id: message._id}, options.query);
+
+    ChatMessage.findOneAndUpdate(query, options.update, { new: true })
+      .populate('creator', SKIP_FIELDS.USER)
+      .populate('user_mentions', SKIP_FIELDS.USER)
+      .exec((err, updated) => {
+        if (err) {
+          return callback(err);
+        }
+
+        if (!updated) {
+          return callback(new Error(`No such message ${message._id}`));
+        }
+
+        const json = updated.toJSON();
+
+        pubsub.topic(options.topic).publish({
+          conversationId: updated.channel,
+          messageId: updated._id,
+          userId: user._id
+        });
+        globalPubsub.topic(CONSTANTS.NOTIFICATIONS.MESSAGE_UPDATED).publish({message: json});
+
+        callback(null, json);
+      });
+  }
+
+  /**
+   * Turn a message into a tombstone: its content is dropped but it stays in the conversation timeline.
+   * Conversation counters and last_message are updated so that unread messages and mentions stay consistent.
+   *
+   * @param {Object} message - the message to remove
+   * @param {Object} user - the user who removes the message
+   * @param {Function} callback - called with the tombstone
+   */
+  function remove(message, user, callback) {
+    const mentions = (message.user_mentions || []).map(mention => String(mention._id || mention));
+
+    async.waterfall([
+      getPosition, markAsRemoved, updateConversation, populate,
+      function(removed, conversation, callback) {
+        callback(null, removed.toJSON(), conversation);
+      }
+    ], (err, removed, conversation) => {
+      if (!err) {
+        globalPubsub.topic(CONSTANTS.NOTIFICATIONS.MESSAGE_REMOVED).publish({message: removed, conversation});
+      }
+      callback(err, removed);
+    });
+
+    // position of the message in the conversation, used to know which members have already read it
+    function getPosition(callback) {
+      ChatMessage.count({
+        channel: message.channel,
+        parent: {$exists: false},
+        'timestamps.creation': {$lte: message.timestamps.creation},
+        'timestamps.deletion': {$exists: false}
+      }, callback);
+    }
+
+    function markAsRemoved(position, callback) {
+      ChatMessage.findOneAndUpdate({
+        _id: message._id,
+        'timestamps.deletion': {$exists: false}
+      }, {
+        $set: {
+          text: '',
+          attachments: [],
+          user_mentions: [],
+          edition_history: [],
+          link_previews: [],
+          reactions: [],
+          thread_participants: [],
+          deleted_by: user._id,
+          'timestamps.deletion': new Date()
+        },
+        $unset: {pinned_by: '', 'timestamps.pin': '', reply_count: '', last_reply: ''}
+      }, { new: true }, (err, removed) => {
+        if (err) {
+          return callback(err);
+        }
+
+        if (!removed) {
+          return callback(new Error(`No such message ${message._id}`));
+        }
+
+        pubsub.topic(CONSTANTS.NOTIFICATIONS.MESSAGE_REMOVED).publish(removed);
+        callback(null, removed, position);
+      });
+    }
+
+    function updateConversation(removed, position, callback) {
+      if (removed.parent) {
+        return updateThread(removed, callback);
+      }
+
+      Conversation.findById(removed.channel, (err, conversation) => {
+        if (err || !conversation) {
+          logger.error('Can not update conversation %s after message removal', removed.channel, err);
+
+          return callback(null, removed, null);
+        }
+
+        const update = {$inc: {numOfMessage: -1}};
+        const memberStates = conversation.memberStates || {};
+
+        Object.keys(memberStates).forEach(userId => {
+          const state = memberStates[userId] || {};
+
+          if (state.numOfReadMessages >= position) {
+            update.$inc[`memberStates.${userId}.numOfReadMessages`] = -1;
+          } else if (mentions.indexOf(userId) > -1 && state.numOfUnseenMentions > 0) {
+            update.$inc[`memberStates.${userId}.numOfUnseenMentions`] = -1;
+          }
+        });
+
+        getLastMessage(conversation, removed, (err, lastMessage) => {
+          if (err) {
+            logger.error('Can not find the new last message of conversation %s', removed.channel, err);
+          } else if (lastMessage) {
+            update.$set = {
+              last_message: {
+                text: lastMessage.text,
+                date: lastMessage.timestamps.creation,
+                creator: lastMessage.creator,
+                user_mentions: lastMessage.user_mentions
+              }
+            };
+          } else if (lastMessage === null) {
+            update.$unset = {last_message: ''};
+          }
+
+          Conversation.findByIdAndUpdate(removed.channel, update, { new: true })
+            .populate('last_message.creator last_message.user_mentions', SKIP_FIELDS.USER)
+            .exec((err, updated) => {
+              if (err || !updated) {
+                logger.error('Can not update conversation %s after message removal', removed.channel, err);
+
+                return callback(null, removed, null);
+              }
+
+              callback(null, removed, getCounters(updated));
+            });
+        });
+      });
+    }
+
+    // replies are not counted in the conversation, only in their thread: the thread is updated with the replies left
+    // and the other participants who still have unread replies have one less
+    function updateThread(removed, callback) {
+      ChatMessage.findOne({parent: removed.parent, 'timestamps.deletion': {$exists: false}})
+        .sort('-timestamps.creation')
+        .exec((err, lastReply) => {
+          if (err) {
+            logger.error('Can not update thread of message %s after reply removal', removed.parent, err);
+
+            return callback(null, removed, null);
+          }
+
+          const update = {$inc: {reply_count: -1}};
+
+          if (lastReply) {
+            update.$set = {last_reply: {creator: lastReply.creator, date: lastReply.timestamps.creation}};
+          } else {
+            update.$unset = {last_reply: ''};
+          }
+
+          ChatMessage.findOneAndUpdate({_id: removed.parent, 'timestamps.deletion': {$exists: false}}, update, { new: true }, (err, parent) => {
+            if (err) {
+              logger.error('Can not update thread of message %s after reply removal', removed.parent, err);
+            }
+
+            // the thread of a removed parent is not displayed anymore
+            if (err || !parent) {
+              return callback(null, removed, null);
+            }
+
+            updateParticipantsStates(removed, parent, callback);
+          });
+        });
+    }
+
+    function updateParticipantsStates(removed, parent, callback) {
+      Conversation.findById(removed.channel, (err, conversation) => {
+        if (err || !conversation) {
+          logger.error('Can not update thread participants states in conversation %s after reply removal', removed.channel, err);
+
+          return callback(null, removed, null);
+        }
+
+        const update = {$inc: {}};
+        const memberStates = conversation.memberStates || {};
+
+        (parent.thread_participants || []).map(String)
+          .filter(participant => participant !== String(removed.creator))
+          .forEach(participant => {
+            const state = memberStates[participant] || {};
+
+            if (state.numOfUnreadReplies > 0) {
+              update.$inc[`memberStates.${participant}.numOfUnreadReplies`] = -1;
+            }
+          });
+
+        if (!Object.keys(update.$inc).length) {
+          return callback(null, removed, getCounters(conversation));
+        }
+
+        Conversation.findByIdAndUpdate(removed.channel, update, { new: true }, (err, updated) => {
+          if (err || !updated) {
+            logger.error('Can not update thread participants states in conversation %s after reply removal', removed.channel, err);
+
+            return callback(null, removed, null);
+          }
+
+          callback(null, removed, getCounters(updated));
+        });
+      });
+    }
+
+    // gives undefined when the removed message was not the last one, null when there is no message left
+    function getLastMessage(conversation, removed, callback) {
+      const lastMessage = conversation.last_message;
+
+      if (!lastMessage || !lastMessage.date || lastMessage.date.getTime() !== removed.timestamps.creation.getTime()) {
+        return callback();
+      }
+
+      ChatMessage.findOne({channel: removed.channel, parent: {$exists: false}, 'timestamps.deletion': {$exists: false}})
+        .sort('-timestamps.creation')
+        .exec((err, message) => callback(err, message || null));
+    }
+
+    function getCounters(conversation) {
+      return {
+        _id: conversation._id,
+        last_message: conversation.last_message,
+        memberStates: conversation.memberStates,
+        numOfMessage: conversation.numOfMessage
+      };
+    }
+
+    // the parent of a reply is sent along with it so that clients update its thread
+    function populate(removed, conversation, callback) {
+      const fields = [{path: 'creator'}];
+
+      if (removed.parent) {
+        fields.push({path: 'parent', select: 'reply_count last_reply thread_participants'});
+      }
+
+      ChatMessage.populate(removed, fields, (err, populated) => callback(err, populated, conversation));
+    }
+  }
+
   function save(message, callback) {
     ChatMessage.create(message, (err, created) => {
       if (!err) {
@@ -253,4 +822,69 @@ module.exports = function(dependencies, lib) {
 
     return resourceLink.exists({ source: sourceTuple, target: targetTuple, type: CONSTANTS.STAR_LINK_TYPE });
   }
+
+  /**
+   * Add the reaction of the user on the message, or remove it when the user already reacted with the same emoji.
+   *
+   * @param {Object} message - the message to react to
+   * @param {Object} user - the user who reacts
+   * @param {String} emoji - the emoji short name
+   * @param {Function} callback - called with the updated message
+   */
+  function toggleReaction(message, user, emoji, callback) {
+    const reaction = {emoji, user: user._id};
+
+    ChatMessage.findOneAndUpdate({
+      _id: message._id,
+      reactions: {$elemMatch: reaction}
+    }, {
+      $pull: {reactions: reaction}
+    }, { new: true }, (err, updated) => {
+      if (err) {
+        return callback(err);
+      }
+
+      if (updated) {
+        return publish(updated);
+      }
+
+      // the reaction may have been added by a concurrent request in the meantime
+      ChatMessage.findOneAndUpdate({
+        _id: message._id,
+        'timestamps.deletion': {$exists: false},
+        reactions: {$not: {$elemMatch: reaction}}
+      }, {
+        $push: {reactions: {emoji, user: user._id, date: new Date()}}
+      }, { new: true }, (err, updated) => {
+        if (err) {
+          return callback(err);
+        }
+
+        if (updated) {
+          return publish(updated);
+        }
+
+        ChatMessage.findOne({_id: message._id, 'timestamps.deletion': {$exists: false}}, (err, existing) => {
+          if (err) {
+            return callback(err);
+          }
+
+          if (!existing) {
+            return callback(new Error(`No such message ${message._id}`));
+          }
+
+          callback(null, existing.toJSON());
+        });
+      });
+    });
+
+    function publish(updated) {
+      const json = updated.toJSON();
+
+      globalPubsub.topic(CONSTANTS.NOTIFICATIONS.MESSAGE_REACTION_UPDATED).publish({
+        message: {_id: json._id, channel: json.channel, reactions: json.reactions}
+      });
+      callback(null, json);
+    }
+  }
 };
@@ -0,0 +1,189 @@
+'use strict';
+
+const os = require('os');
+const Q = require('q');
+const CONSTANTS = require('./constants');
+const PRESENCE = CONSTANTS.PRESENCE;
+const USER_PRESENCE = CONSTANTS.USER_PRESENCE;
+const USER_CONNECTION = CONSTANTS.NOTIFICATIONS.USER_CONNECTION;
+const USER_DISCONNECTION = CONSTANTS.NOTIFICATIONS.USER_DISCONNECTION;
+const USER_STATE = CONSTANTS.NOTIFICATIONS.USER_STATE;
+// sockets are bound to the node they are connected to, this is how the connections of a stopped node are found.
+// Several nodes may run on the same host, a node is a process of a host.
+const NODE = `${os.hostname()}:${process.pid}`;
+
+module.exports = function(dependencies) {
+
+  const logger = dependencies('logger');
+  const globalPubsub = dependencies('pubsub').global;
+  const mongoose = dependencies('db').mongo.mongoose;
+  const PresenceNode = mongoose.model('ChatPresenceNode');
+  const UserPresence = mongoose.model('ChatUserPresence');
+
+  return {
+    connect,
+    disconnect,
+    getState,
+    getStateOf,
+    setAway,
+    setDoNotDisturb,
+    start
+  };
+
+  /**
+   * Register a new websocket connection of a user.
+   *
+   * @param {String} userId
+   * @param {String} socketId
+   * @return {Promise} resolved with the new state of the user
+   */
+  function connect(userId, socketId) {
+    return updatePresence(userId, {$push: {connections: {node: NODE, socket: socketId, away: false}}});
+  }
+
+  /**
+   * Unregister a websocket connection of a user. The user is offline once all their connections are closed.
+   *
+   * @param {String} userId
+   * @param {String} socketId
+   * @return {Promise} resolved with the new state of the user
+   */
+  function disconnect(userId, socketId) {
+    return updatePresence(userId, {
+      $pull: {connections: {socket: socketId}},
+      $set: {'timestamps.last_seen': new Date()}
+    });
+  }
+
+  /**
+   * Get the presence of a user.
+   *
+   * @param {String} userId
+   * @return {Promise} resolved with {_id, state, last_seen}
+   */
+  function getState(userId) {
+    return Q(UserPresence.findById(userId).exec()).then(presence => ({
+      _id: String(userId),
+      state: getStateOf(presence),
+      last_seen: presence && presence.timestamps ? presence.timestamps.last_seen : undefined
+    }));
+  }
+
+  /**
+   * Compute the state of a user from their presence document:
+   * a user is offline without any connection, away when all their clients are idle
+   * and "do not disturb" overrides the other states while connected.
+   *
+   * @param {Object} presence
+   * @return {String} one of CONSTANTS.USER_PRESENCE
+   */
+  function getStateOf(presence) {
+    if (!presence || !presence.connections || !presence.connections.length) {
+      return USER_PRESENCE.OFFLINE;
+    }
+
+    if (presence.do_not_disturb) {
+      return USER_PRESENCE.DO_NOT_DISTURB;
+    }
+
+    return presence.connections.every(connection => connection.away) ? USER_PRESENCE.AWAY : USER_PRESENCE.ONLINE;
+  }
+
+  /**
+   * Flag a connection of a user as idle or active.
+   *
+   * @param {String} userId
+   * @param {String} socketId
+   * @param {Boolean} away
+   * @return {Promise} resolved with the new state of the user
+   */
+  function setAway(userId, socketId, away) {
+    return updatePresence(userId, {$set: {'connections.$.away': !!away}}, {'connections.socket': socketId});
+  }
+
+  /**
+   * Enable or disable the "do not disturb" mode of a user.
+   *
+   * @param {String} userId
+   * @param {Boolean} enabled
+   * @return {Promise} resolved with the new state of the user
+   */
+  function setDoNotDisturb(userId, enabled) {
+    return updatePresence(userId, {$set: {do_not_disturb: !!enabled}});
+  }
+
+  /**
+   * Tell the other nodes this one is running, periodically, and close the connections of the nodes which stopped telling it:
+   * they crashed or have been stopped without closing their connections.
+   * The connections of this node are closed on start, they have been registered by a previous process with the same id.
+   *
+   * @return {Promise} resolved once the stale connections are closed
+   */
+  function start() {
+    setInterval(() => heartbeat().then(() => closeStaleConnections()), PRESENCE.HEARTBEAT_INTERVAL).unref();
+
+    return heartbeat().then(() => closeStaleConnections([NODE]));
+  }
+
+  function heartbeat() {
+    return Q(PresenceNode.update({_id: NODE}, {$set: {'timestamps.heartbeat': new Date()}}, {upsert: true}).exec())
+      .catch(err => logger.error(`Can not tell node ${NODE} is running`, err));
+  }
+
+  function closeStaleConnections(staleNodes = []) {
+    const since = new Date(Date.now() - PRESENCE.NODE_TIMEOUT);
+
+    return Q.all([
+      UserPresence.distinct('connections.node').exec(),
+      PresenceNode.distinct('_id', {'timestamps.heartbeat': {$gte: since}}).exec()
+    ])
+      .spread((nodes, runningNodes) => {
+        const stale = (nodes || []).filter(node => staleNodes.indexOf(node) !== -1 || (node !== NODE && (runningNodes || []).indexOf(node) === -1));
+
+        if (!stale.length) {
+          return;
+        }
+
+        return Q(UserPresence.distinct('_id', {'connections.node': {$in: stale}}).exec())
+          .then(userIds => Q.all(userIds.map(userId => updatePresence(userId, {
+            $pull: {connections: {node: {$in: stale}}},
+            $set: {'timestamps.last_seen': new Date()}
+          }))));
+      })
+      .catch(err => logger.error('Can not close the stale websocket connections', err));
+  }
+
+  function updatePresence(userId, update, condition = {}) {
+    const query = Object.assign({_id: userId}, condition);
+    const upsert = !Object.keys(condition).length;
+
+    return Q(UserPresence.findOneAndUpdate(query, update, {upsert, new: false}).exec())
+      .then(previous => Q(UserPresence.findById(userId).exec())
+        .then(current => {
+          // the condition did not match, e.g. the connection is already closed: nothing has been updated
+          if (!previous && !upsert) {
+            return getStateOf(current);
+          }
+
+          return publishStateChange(userId, getStateOf(previous), getStateOf(current));
+        }));
+  }
+
+  function publishStateChange(userId, previousState, state) {
+    if (previousState === state) {
+      return state;
+    }
+
+    userId = String(userId);
+
+    if (previousState === USER_PRESENCE.OFFLINE) {
+      globalPubsub.topic(USER_CONNECTION).publish({userId});
+    } else if (state === USER_PRESENCE.OFFLINE) {
+      globalPubsub.topic(USER_DISCONNECTION).publish({userId});
+    }
+
+    globalPubsub.topic(USER_STATE).publish({userId, state});
+
+    return state;
+  }
+};
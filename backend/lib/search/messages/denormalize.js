@@ -1,5 +1,7 @@
 'use strict';
 
+const messageUtils = require('../../message-utils');
+
 module.exports = function(dependencies) {
 
   const mongoose = dependencies('db').mongo.mongoose;
@@ -20,6 +22,8 @@ module.exports = function(dependencies) {
     function transform(doc, ret) {
       ret.id = getId(ret);
       delete ret._id;
+      // the formatting markup is not searched for
+      ret.text = ret.text && messageUtils.toPlainText(ret.text);
     }
 
     return message instanceof ChatMessage ? message.toObject(options) : new ChatMessage(message).toObject(options);
@@ -0,0 +1,168 @@
+'use strict';
+
+const _ = require('lodash');
+const Q = require('q');
+const PassThrough = require('stream').PassThrough;
+const CONSTANTS = require('../constants');
+const TEXT_CONTENT_TYPE = 'text/plain; charset=utf-8';
+
+module.exports = function(dependencies) {
+
+  const logger = dependencies('logger');
+  const filestore = dependencies('filestore');
+  const mongoose = dependencies('db').mongo.mongoose;
+  const ObjectId = mongoose.Types.ObjectId;
+  const Thumbnail = mongoose.model('ChatThumbnail');
+  // the attachments being rendered, so that concurrent requests render them once
+  const rendering = {};
+  let renderer = require('./renderer')();
+
+  return {
+    canPreview,
+    getThumbnail,
+    registerRenderer
+  };
+
+  /**
+   * Tell if an attachment can be previewed: the images and PDF documents are rendered as thumbnails,
+   * the text files are previewed by their beginning.
+   *
+   * @param {Object} attachment - {_id, name, contentType, length}
+   * @return {Boolean}
+   */
+  function canPreview(attachment) {
+    return isText(attachment) || (isRenderable(attachment) && attachment.length <= CONSTANTS.THUMBNAIL.MAX_SOURCE_SIZE);
+  }
+
+  /**
+   * Get the thumbnail of an attachment. The thumbnails are rendered on first access then cached in the filestore,
+   * the attachments which can not be rendered are not rendered again.
+   *
+   * @param {Object} attachment - {_id, name, contentType, length}
+   * @return {Promise} resolved with {contentType, data} where data is a Buffer, or with null when there is no thumbnail
+   */
+  function getThumbnail(attachment) {
+    if (!canPreview(attachment)) {
+      return Q(null);
+    }
+
+    if (isText(attachment)) {
+      return getExcerpt(attachment);
+    }
+
+    return Q(Thumbnail.findOne({attachment: attachment._id}).exec())
+      .then(cached => {
+        if (cached && cached.empty) {
+          return null;
+        }
+
+        return (cached ? readFile(cached.file, Infinity) : Q(null)).then(data => data || render(attachment));
+      })
+      .then(data => (data ? {contentType: CONSTANTS.THUMBNAIL.CONTENT_TYPE, data} : null));
+  }
+
+  /**
+   * Replace the renderer of the thumbnails, e.g. to use an external conversion service.
+   *
+   * @param {Function} thumbnailRenderer - rendering (readable stream, content type) as a JPEG buffer
+   */
+  function registerRenderer(thumbnailRenderer) {
+    renderer = thumbnailRenderer;
+  }
+
+  function getExcerpt(attachment) {
+    return readFile(attachment._id, CONSTANTS.THUMBNAIL.TEXT_EXCERPT_SIZE).then(data => {
+      if (!data) {
+        return null;
+      }
+
+      // the excerpt may end in the middle of a character
+      const text = data.toString('utf8').replace(/\uFFFD+$/, '');
+
+      return {contentType: TEXT_CONTENT_TYPE, data: Buffer.from(text, 'utf8')};
+    });
+  }
+
+  function render(attachment) {
+    const id = String(attachment._id);
+
+    rendering[id] = rendering[id] || Q.ninvoke(filestore, 'get', attachment._id)
+      .spread((meta, source) => {
+        if (!meta) {
+          return Q.reject(new Error(`Attachment ${id} does not exist`));
+        }
+
+        return Q(renderer(source, attachment.contentType)).then(store, err => {
+          // the renderer can not run, e.g. when it is not installed: the attachment is not the culprit
+          if (err.code === 'ENOENT') {
+            return Q.reject(err);
+          }
+
+          logger.warn('Can not render the thumbnail of attachment %s', id, err);
+
+          return save({empty: true}).then(() => null);
+        });
+      })
+      .finally(() => {
+        delete rendering[id];
+      });
+
+    return rendering[id];
+
+    function store(data) {
+      const fileId = new ObjectId();
+      const stream = new PassThrough();
+
+      stream.end(data);
+
+      return Q.ninvoke(filestore, 'store', fileId, CONSTANTS.THUMBNAIL.CONTENT_TYPE, {thumbnail_of: attachment._id}, stream, {filename: `thumbnail-${id}.jpg`})
+        .then(() => save({file: fileId, empty: false}))
+        .then(() => data);
+    }
+
+    function save(thumbnail) {
+      return Thumbnail.findOneAndUpdate({attachment: attachment._id}, {
+        $set: Object.assign({'timestamps.creation': new Date()}, thumbnail)
+      }, {new: true, upsert: true}).exec();
+    }
+  }
+
+  // resolved with the first bytes of a file, or with null when it does not exist
+  function readFile(fileId, maxSize) {
+    return Q.ninvoke(filestore, 'get', fileId).spread((meta, stream) => {
+      if (!meta) {
+        return null;
+      }
+
+      const defer = Q.defer();
+      const chunks = [];
+      let size = 0;
+
+      function resolve() {
+        defer.resolve(Buffer.concat(chunks).slice(0, maxSize));
+      }
+
+      stream.on('data', chunk => {
+        chunks.push(chunk);
+        size += chunk.length;
+
+        if (size >= maxSize) {
+          resolve();
+          _.invoke(stream, 'destroy');
+        }
+      });
+      stream.on('end', resolve);
+      stream.on('error', defer.reject);
+
+      return defer.promise;
+    });
+  }
+
+  function isRenderable(attachment) {
+    return _.includes(CONSTANTS.THUMBNAIL.IMAGE_TYPES, attachment.contentType) || _.includes(CONSTANTS.THUMBNAIL.PDF_TYPES, attachment.contentType);
+  }
+
+  function isText(attachment) {
+    return CONSTANTS.THUMBNAIL.TEXT_TYPES.some(pattern => pattern.test(attachment.contentType || ''));
+  }
+};
@@ -0,0 +1,71 @@
+'use strict';
+
+const childProcess = require('child_process');
+const Q = require('q');
+const CONSTANTS = require('../constants');
+
+/**
+ * The default renderer of the thumbnails: it runs ImageMagick to fit the first frame of an image,
+ * or the first page of a PDF document, in a square of CONSTANTS.THUMBNAIL.SIZE pixels.
+ *
+ * @param {Object} options - {command} to run instead of CONSTANTS.THUMBNAIL.COMMAND
+ * @return {Function} rendering a readable stream of the given content type as a JPEG buffer, the types are the ones of CONSTANTS.THUMBNAIL.CODERS
+ */
+module.exports = function(options = {}) {
+
+  const command = options.command || CONSTANTS.THUMBNAIL.COMMAND;
+
+  return render;
+
+  function render(source, contentType) {
+    const coder = CONSTANTS.THUMBNAIL.CODERS[contentType];
+
+    if (!coder) {
+      return Q.reject(new Error(`Can not render the thumbnail of the ${contentType} file: unsupported type`));
+    }
+
+    const defer = Q.defer();
+    const chunks = [];
+    const errors = [];
+    const child = childProcess.spawn(command, getArguments(coder));
+    const timeout = setTimeout(() => {
+      defer.reject(new Error(`Can not render the thumbnail of the ${contentType} file: timeout`));
+      child.kill();
+    }, CONSTANTS.THUMBNAIL.TIMEOUT);
+
+    child.stdout.on('data', chunk => chunks.push(chunk));
+    child.stderr.on('data', chunk => errors.push(chunk));
+    // the command may stop reading its input, e.g. on invalid files: its exit code tells why
+    child.stdin.on('error', () => {});
+    child.on('error', err => {
+      clearTimeout(timeout);
+      defer.reject(err);
+    });
+    child.on('close', code => {
+      clearTimeout(timeout);
+
+      if (code !== 0 || !chunks.length) {
+        return defer.reject(new Error(`Can not render the thumbnail of the ${contentType} file: ${Buffer.concat(errors).toString('utf8').trim() || `exit code ${code}`}`));
+      }
+
+      defer.resolve(Buffer.concat(chunks));
+    });
+
+    source.on('error', err => {
+      defer.reject(err);
+      child.kill();
+    });
+    source.pipe(child.stdin);
+
+    return defer.promise;
+  }
+};
+
+function getArguments(coder) {
+  const size = CONSTANTS.THUMBNAIL.SIZE;
+  // the transparent parts are rendered on white, JPEG has no transparency
+  const output = ['-auto-orient', '-thumbnail', `${size}x${size}>`, '-background', 'white', '-flatten', '-quality', '85', 'jpeg:-'];
+  const input = [`${coder}:-[0]`];
+
+  return (coder === 'pdf' ? ['-density', '72'].concat(input) : input).concat(output);
+}
@@ -0,0 +1,80 @@
+'use strict';
+
+const Q = require('q');
+const CONSTANTS = require('./constants');
+const USER_STATUS_UPDATED = CONSTANTS.NOTIFICATIONS.USER_STATUS_UPDATED;
+
+module.exports = function(dependencies) {
+
+  const globalPubsub = dependencies('pubsub').global;
+  const mongoose = dependencies('db').mongo.mongoose;
+  const UserStatus = mongoose.model('ChatUserStatus');
+
+  return {
+    clear,
+    get,
+    isExpired,
+    set
+  };
+
+  /**
+   * Clear the custom status of a user.
+   *
+   * @param {String} userId
+   * @return {Promise}
+   */
+  function clear(userId) {
+    return Q(UserStatus.remove({_id: userId}).exec()).then(() => publish(userId, null));
+  }
+
+  /**
+   * Get the custom status of a user.
+   * Expired statuses may not have been removed by mongodb yet, they are filtered out.
+   *
+   * @param {String} userId
+   * @return {Promise} resolved with the status or null when the user does not have one
+   */
+  function get(userId) {
+    return Q(UserStatus.findById(userId).exec()).then(status => (status && !isExpired(status) ? status : null));
+  }
+
+  function isExpired(status) {
+    return !!status.expiration && status.expiration.getTime() <= Date.now();
+  }
+
+  /**
+   * Set the custom status of a user, replacing the previous one.
+   *
+   * @param {String} userId
+   * @param {Object} status - {text, emoji, expiration}, expiration is optional
+   * @return {Promise} resolved with the saved status
+   */
+  function set(userId, status) {
+    const update = {
+      $set: {text: status.text, 'timestamps.creation': new Date()},
+      $unset: {}
+    };
+
+    // optional fields of the previous status must not be kept
+    ['emoji', 'expiration'].forEach(field => {
+      if (status[field]) {
+        update.$set[field] = status[field];
+      } else {
+        update.$unset[field] = '';
+      }
+    });
+
+    if (!Object.keys(update.$unset).length) {
+      delete update.$unset;
+    }
+
+    return Q(UserStatus.findOneAndUpdate({_id: userId}, update, {new: true, upsert: true}).exec())
+      .then(saved => publish(userId, saved));
+  }
+
+  function publish(userId, status) {
+    globalPubsub.topic(USER_STATUS_UPDATED).publish({userId: String(userId), status: status && status.toObject ? status.toObject() : status});
+
+    return status;
+  }
+};
@@ -20,6 +20,7 @@ module.exports = function(dependencies, lib, router) {
   router.put('/conversations/:id', authorizationMW.requiresAPILogin, middleware.load, middleware.canUpdate, controller.update);
 
   router.get('/conversations/:id/messages', authorizationMW.requiresAPILogin, middleware.load, middleware.canRead, messageController.getForConversation);
+  router.post('/conversations/:id/messages', authorizationMW.requiresAPILogin, middleware.load, middleware.canWrite, messageController.create);
 
   router.put('/conversations/:id/topic', authorizationMW.requiresAPILogin, middleware.load, middleware.canUpdate, controller.updateTopic);
 
@@ -35,6 +36,12 @@ module.exports = function(dependencies, lib, router) {
     middleware.canRead,
     controller.getSummaryOfConversation);
 
+  router.get('/conversations/:id/pinned',
+    authorizationMW.requiresAPILogin,
+    middleware.load,
+    middleware.canRead,
+    messageController.getPinnedForConversation);
+
   router.get('/conversations/:id/attachments',
     authorizationMW.requiresAPILogin,
     middleware.load,
@@ -0,0 +1,14 @@
+'use strict';
+
+module.exports = function(dependencies, lib, router) {
+
+  const authorizationMW = dependencies('authorizationMW');
+  const controller = require('../controllers/domain')(dependencies, lib);
+  const middleware = require('../middlewares/domain')(dependencies, lib);
+
+  router.get('/domains/:domainId/attachments/usage',
+    authorizationMW.requiresAPILogin,
+    middleware.load,
+    middleware.canManage,
+    controller.getAttachmentsUsage);
+};
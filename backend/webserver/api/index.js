@@ -9,7 +9,9 @@ module.exports = function(dependencies, lib) {
   const messageMiddleware = require('../middlewares/message')(dependencies, lib);
 
   require('./conversation')(dependencies, lib, router);
+  require('./domain')(dependencies, lib, router);
   require('./message')(dependencies, lib, router);
+  require('./user')(dependencies, lib, router);
   require('./user-subscribed-private-conversation')(dependencies, lib, router);
 
   resourceLinkMiddleware.addCanCreateMiddleware('star', messageMiddleware.canStar);
@@ -14,6 +14,74 @@ module.exports = function(dependencies, lib, router) {
     conversationMiddleware.canRead,
     controller.get);
 
+  router.put('/messages/:id/pin',
+    authorizationMW.requiresAPILogin,
+    middleware.load,
+    middleware.loadMessageConversation,
+    conversationMiddleware.canWrite,
+    middleware.canPin,
+    controller.pin);
+
+  router.delete('/messages/:id/pin',
+    authorizationMW.requiresAPILogin,
+    middleware.load,
+    middleware.loadMessageConversation,
+    conversationMiddleware.canWrite,
+    middleware.canPin,
+    controller.unpin);
+
+  router.post('/messages/:id/unread',
+    authorizationMW.requiresAPILogin,
+    middleware.load,
+    middleware.loadMessageConversation,
+    conversationMiddleware.canWrite,
+    controller.markAsUnread);
+
+  router.post('/messages/:id/reactions',
+    authorizationMW.requiresAPILogin,
+    middleware.load,
+    middleware.loadMessageConversation,
+    conversationMiddleware.canWrite,
+    middleware.canReact,
+    controller.toggleReaction);
+
+  router.get('/messages/:id/attachments/:attachmentId/thumbnail',
+    authorizationMW.requiresAPILogin,
+    middleware.load,
+    middleware.loadMessageConversation,
+    conversationMiddleware.canRead,
+    controller.getAttachmentThumbnail);
+
+  router.delete('/messages/:id/previews/:previewId',
+    authorizationMW.requiresAPILogin,
+    middleware.load,
+    middleware.loadMessageConversation,
+    conversationMiddleware.canRead,
+    controller.hideLinkPreview);
+
+  router.get('/messages/:id/replies',
+    authorizationMW.requiresAPILogin,
+    middleware.load,
+    middleware.loadMessageConversation,
+    conversationMiddleware.canRead,
+    controller.getReplies);
+
+  router.put('/messages/:id',
+    authorizationMW.requiresAPILogin,
+    middleware.load,
+    middleware.loadMessageConversation,
+    conversationMiddleware.canWrite,
+    middleware.canUpdate,
+    controller.update);
+
+  router.delete('/messages/:id',
+    authorizationMW.requiresAPILogin,
+    middleware.load,
+    middleware.loadMessageConversation,
+    conversationMiddleware.canRead,
+    middleware.canRemove,
+    controller.remove);
+
   router.get('/messages',
     authorizationMW.requiresAPILogin,
     controller.search);
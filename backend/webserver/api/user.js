@@ -0,0 +1,27 @@
+'use strict';
+
+module.exports = function(dependencies, lib, router) {
+
+  const authorizationMW = dependencies('authorizationMW');
+  const controller = require('../controllers/user')(dependencies, lib);
+
+  router.get('/users/:id/state',
+    authorizationMW.requiresAPILogin,
+    controller.getState);
+
+  router.get('/users/:id/status',
+    authorizationMW.requiresAPILogin,
+    controller.getStatus);
+
+  router.put('/user/state',
+    authorizationMW.requiresAPILogin,
+    controller.updateState);
+
+  router.put('/user/status',
+    authorizationMW.requiresAPILogin,
+    controller.updateStatus);
+
+  router.delete('/user/status',
+    authorizationMW.requiresAPILogin,
+    controller.clearStatus);
+};
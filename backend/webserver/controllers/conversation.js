@@ -203,10 +203,11 @@ module.exports = function(dependencies, lib) {
         conversation,
         getCreator(conversation),
         getNewestMembers(conversation, memberCount),
-        getNewestAttachments(conversation)
+        getNewestAttachments(conversation),
+        countPinnedMessages(conversation)
       ]);
     })
-    .spread((conversation, creator, members, attachments) =>
+    .spread((conversation, creator, members, attachments, pinnedCount) =>
     Q.all(members).then(members =>
 
         res.status(200).json({
@@ -217,7 +218,8 @@ module.exports = function(dependencies, lib) {
           purpose: conversation.purpose.value,
           members: members,
           memberCount: memberCount.number,
-          attachments: attachments
+          attachments: attachments,
+          pinnedCount: pinnedCount
         })
       )
     )
@@ -267,6 +269,10 @@ module.exports = function(dependencies, lib) {
     function getAttachmentsForConversation(conversationId, query) {
       return Q.denodeify(lib.message.getAttachmentsForConversation)(conversationId, query);
     }
+
+    function countPinnedMessages(conversation) {
+      return Q.denodeify(lib.message.countPinned)(conversation._id);
+    }
   }
 
   function list(req, res) {
@@ -0,0 +1,30 @@
+'use strict';
+
+const Q = require('q');
+
+module.exports = function(dependencies, lib) {
+
+  const logger = dependencies('logger');
+  const utils = require('./utils')(dependencies, lib);
+
+  return {
+    getAttachmentsUsage
+  };
+
+  function getAttachmentsUsage(req, res) {
+    Q.all([
+      lib.attachmentLimits.getLimits(req.domain._id),
+      lib.attachmentLimits.getUsageForDomain(req.domain._id, req.query)
+    ])
+      .spread((limits, usage) => {
+        res.header('X-ESN-Items-Count', usage.total_count);
+        res.status(200).json({limits, usage: usage.list});
+      })
+      .catch(err => {
+        const details = `Error while getting the attachments usage of domain ${req.domain._id}`;
+
+        logger.error(details, err);
+        utils.sendHTTP500Error(details, res);
+      });
+  }
+};
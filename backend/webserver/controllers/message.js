@@ -2,26 +2,129 @@
 
 const Q = require('q');
 const CONSTANTS = require('../../lib/constants');
+const errors = require('../../lib/errors');
+const EMOJI_PATTERN = CONSTANTS.EMOJI_PATTERN;
+const CURSORS = ['before', 'after', 'around'];
+const ATTACHMENT_FAMILIES = Object.keys(CONSTANTS.ATTACHMENT_FAMILIES);
 
 module.exports = function(dependencies, lib) {
 
   const logger = dependencies('logger');
+  const ObjectId = dependencies('db').mongo.mongoose.Types.ObjectId;
   const denormalizer = require('../denormalizers/message')(dependencies, lib);
   const resourceLink = dependencies('resourceLink');
   const utils = require('./utils')(dependencies, lib);
 
   return {
+    create,
     get,
+    getAttachmentThumbnail,
     getAttachmentsForConversation,
     getForConversation,
-    search
+    getPinnedForConversation,
+    getReplies,
+    hideLinkPreview,
+    markAsUnread,
+    pin,
+    remove,
+    search,
+    toggleReaction,
+    unpin,
+    update
   };
 
+  function create(req, res) {
+    const text = req.body && req.body.text;
+    const attachments = req.body && req.body.attachments;
+
+    if ((!text || !String(text).trim()) && !(attachments && attachments.length)) {
+      return sendHTTP400Error('You should provide the text or the attachments of the message', res);
+    }
+
+    const message = {
+      type: attachments && attachments.length ? CONSTANTS.MESSAGE_TYPE.FILE : CONSTANTS.MESSAGE_TYPE.TEXT,
+      text: text || '',
+      date: Date.now(),
+      creator: String(req.user._id),
+      channel: String(req.conversation._id)
+    };
+
+    if (attachments && attachments.length) {
+      message.attachments = attachments;
+    }
+
+    if (req.body.parent && !ObjectId.isValid(req.body.parent)) {
+      return sendHTTP400Error('The parent should be a valid message id', res);
+    }
+
+    if (req.body.parent) {
+      message.parent = String(req.body.parent);
+    }
+
+    if (req.body.client_id) {
+      message.client_id = req.body.client_id;
+    }
+
+    // same path as messages sent from websocket
+    lib.messageValidator.validate(message).then(validMessage =>
+      lib.listener.listeners.message.receiveMessage({message: validMessage})
+        .then(created => denormalizer.denormalizeMessage(created, req.user))
+        .then(denormalizedMessage => res.status(201).json(denormalizedMessage))
+        .catch(err => {
+          // the errors of the sender, e.g. when they can not write in the conversation, are not server errors
+          if (err instanceof errors.ChatError) {
+            return sendHTTPClientError(err, res);
+          }
+
+          sendHTTPError(`Error while creating message in conversation ${req.conversation._id}`, err, res);
+        }),
+      err => sendHTTP400Error(err.message, res)
+    );
+  }
+
   function get(req, res) {
     denormalizer.denormalizeMessage(req.message, req.user).then(denormalizedMessage => res.status(200).json(denormalizedMessage));
   }
 
+  function getAttachmentThumbnail(req, res) {
+    const attachmentId = req.params.attachmentId;
+    const attachment = (req.message.attachments || []).find(attachment => String(attachment._id) === attachmentId);
+
+    if (!attachment) {
+      return sendHTTP404Error(`No such attachment ${attachmentId} in message ${req.message._id}`, res);
+    }
+
+    lib.thumbnail.getThumbnail(attachment)
+      .then(thumbnail => {
+        if (!thumbnail) {
+          return sendHTTP404Error(`Attachment ${attachmentId} can not be previewed`, res);
+        }
+
+        // the attachments of a message never change, nor do their thumbnails
+        res.set('Cache-Control', `private, max-age=${CONSTANTS.THUMBNAIL.CACHE_MAX_AGE}`);
+        res.type(thumbnail.contentType);
+        res.status(200).send(thumbnail.data);
+      })
+      .catch(err => sendHTTPError(`Error while getting the thumbnail of attachment ${attachmentId}`, err, res));
+  }
+
   function getAttachmentsForConversation(req, res) {
+    const query = req.query || {};
+
+    if (query.type && ATTACHMENT_FAMILIES.indexOf(query.type) === -1) {
+      return sendHTTP400Error(`The type parameter should be one of ${ATTACHMENT_FAMILIES.join(', ')}`, res);
+    }
+
+    if (query.creator && !ObjectId.isValid(query.creator)) {
+      return sendHTTP400Error('The creator parameter should be a valid user id', res);
+    }
+
+    const invalidDate = ['from', 'to'].find(name => query[name] && isNaN(new Date(query[name]).getTime()));
+
+    if (invalidDate) {
+      return sendHTTP400Error(`The ${invalidDate} parameter should be a valid date`, res);
+    }
+
     lib.message.getAttachmentsForConversation(req.conversation._id, req.query, (err, attachments = []) => {
       if (err) {
         return sendHTTPError(`Error while getting attachments of conversation ${req.conversation._id}`, err, res);
@@ -38,7 +141,27 @@ module.exports = function(dependencies, lib) {
   }
 
   function getForConversation(req, res) {
+    const cursors = CURSORS.filter(cursor => req.query && req.query[cursor]);
+
+    if (cursors.length > 1) {
+      return sendHTTP400Error(`Only one of the following parameters can be used: ${CURSORS.join(', ')}`, res);
+    }
+
+    if (cursors.length && !ObjectId.isValid(req.query[cursors[0]])) {
+      return sendHTTP400Error(`The ${cursors[0]} parameter should be a valid message id`, res);
+    }
+
+    const paginationError = validatePagination(req.query || {});
+
+    if (paginationError) {
+      return sendHTTP400Error(paginationError, res);
+    }
+
     lib.message.getForConversation(req.conversation._id, req.query, (err, results) => {
+      if (err instanceof errors.ChatError) {
+        return sendHTTPClientError(err, res);
+      }
+
       if (err) {
         return sendHTTPError(`Error while getting messages for conversation ${req.conversation._id}`, err, res);
       }
@@ -47,6 +170,32 @@ module.exports = function(dependencies, lib) {
     });
   }
 
+  function getPinnedForConversation(req, res) {
+    lib.message.getPinnedForConversation(req.conversation._id, req.query, (err, messages) => {
+      if (err) {
+        return sendHTTPError(`Error while getting pinned messages of conversation ${req.conversation._id}`, err, res);
+      }
+
+      return denormalizer.denormalizeMessages(messages, req.user).then(denormalizedMessages => res.status(200).json(denormalizedMessages));
+    });
+  }
+
+  function getReplies(req, res) {
+    const paginationError = validatePagination(req.query || {});
+
+    if (paginationError) {
+      return sendHTTP400Error(paginationError, res);
+    }
+
+    lib.message.getReplies(req.message, req.query, (err, replies) => {
+      if (err) {
+        return sendHTTPError(`Error while getting replies of message ${req.message._id}`, err, res);
+      }
+
+      return denormalizer.denormalizeMessages(replies, req.user).then(denormalizedMessages => res.status(200).json(denormalizedMessages));
+    });
+  }
+
   function getStarredMessages(req, res) {
     const offset = parseInt(req.query.offset || CONSTANTS.DEFAULT_OFFSET, 10);
     const limit = parseInt(req.query.limit || CONSTANTS.DEFAULT_LIMIT, 10);
@@ -101,6 +250,172 @@ module.exports = function(dependencies, lib) {
     }
   }
 
+  // the preview is only removed for the current user
+  function hideLinkPreview(req, res) {
+    const previewId = req.params.previewId;
+    const exists = (req.message.link_previews || []).some(preview => String(preview._id) === previewId);
+
+    if (!exists) {
+      return res.status(404).json({
+        error: {
+          code: 404,
+          message: 'Not found',
+          details: `No such link preview ${previewId} in message ${req.message._id}`
+        }
+      });
+    }
+
+    lib.linkPreview.hide(req.message, req.user, previewId)
+      .then(message => denormalizer.denormalizeMessage(message, req.user))
+      .then(denormalizedMessage => res.status(200).json(denormalizedMessage))
+      .catch(err => sendHTTPError(`Error while removing link preview ${previewId} of message ${req.message._id}`, err, res));
+  }
+
+  // replies are read in their thread, only the messages of the conversation timeline hold the read pointer
+  function markAsUnread(req, res) {
+    if (req.message.parent || (req.message.timestamps && req.message.timestamps.deletion)) {
+      return sendHTTP400Error('Only the messages of the conversation can be marked as unread', res);
+    }
+
+    lib.conversation.markUserAsUnreadFromMessage(req.user._id, req.conversation, req.message, (err, memberState) => {
+      if (err) {
+        return sendHTTPError(`Error while marking message ${req.message._id} as unread`, err, res);
+      }
+
+      res.status(200).json(memberState);
+    });
+  }
+
+  function pin(req, res) {
+    updatePin(req, res, true);
+  }
+
+  function remove(req, res) {
+    lib.message.remove(req.message, req.user, err => {
+      if (err) {
+        return sendHTTPError(`Error while removing message ${req.message._id}`, err, res);
+      }
+
+      res.status(204).end();
+    });
+  }
+
+  function toggleReaction(req, res) {
+    const emoji = req.body && req.body.emoji;
+
+    if (!emoji || !EMOJI_PATTERN.test(emoji)) {
+      return res.status(400).json({
+        error: {
+          code: 400,
+          message: 'Bad Request',
+          details: 'You should provide a valid emoji short name'
+        }
+      });
+    }
+
+    lib.message.toggleReaction(req.message, req.user, emoji, (err, message) => {
+      if (err) {
+        return sendHTTPError(`Error while reacting to message ${req.message._id}`, err, res);
+      }
+
+      denormalizer.denormalizeMessage(message, req.user)
+        .then(denormalizedMessage => res.status(200).json(denormalizedMessage))
+        .catch(err => sendHTTPError(`Error while denormalizing message ${req.message._id}`, err, res));
+    });
+  }
+
+  function unpin(req, res) {
+    updatePin(req, res, false);
+  }
+
+  // pinning an already pinned message (or unpinning a message which is not) does nothing
+  function updatePin(req, res, pinned) {
+    const isPinned = !!(req.message.timestamps && req.message.timestamps.pin);
+
+    if (isPinned === pinned) {
+      return sendMessage(req.message);
+    }
+
+    (pinned ? lib.message.pin : lib.message.unpin)(req.message, req.user, (err, message) => {
+      if (err) {
+        return sendHTTPError(`Error while ${pinned ? 'pinning' : 'unpinning'} message ${req.message._id}`, err, res);
+      }
+
+      sendMessage(message);
+    });
+
+    function sendMessage(message) {
+      denormalizer.denormalizeMessage(message, req.user)
+        .then(denormalizedMessage => res.status(200).json(denormalizedMessage))
+        .catch(err => sendHTTPError(`Error while denormalizing message ${req.message._id}`, err, res));
+    }
+  }
+
+  function update(req, res) {
+    const text = req.body && req.body.text;
+
+    if (!text || !String(text).trim()) {
+      return res.status(400).json({
+        error: {
+          code: 400,
+          message: 'Bad Request',
+          details: 'You should provide the new text of the message'
+        }
+      });
+    }
+
+    lib.message.edit(req.message, String(text), (err, message) => {
+      if (err) {
+        return sendHTTPError(`Error while updating message ${req.message._id}`, err, res);
+      }
+
+      denormalizer.denormalizeMessage(message, req.user)
+        .then(denormalizedMessage => res.status(200).json(denormalizedMessage))
+        .catch(err => sendHTTPError(`Error while denormalizing message ${req.message._id}`, err, res));
+    });
+  }
+
+  function sendHTTP400Error(details, res) {
+    res.status(400).json({
+      error: {
+        code: 400,
+        message: 'Bad Request',
+        details
+      }
+    });
+  }
+
+  function sendHTTP404Error(details, res) {
+    res.status(404).json({
+      error: {
+        code: 404,
+        message: 'Not found',
+        details
+      }
+    });
+  }
+
+  // the limit is capped by the lib, greater values are valid
+  function validatePagination(query) {
+    if (query.limit !== undefined && !/^[1-9]\d*$/.test(query.limit)) {
+      return 'The limit parameter should be a positive integer';
+    }
+
+    if (query.offset !== undefined && !/^\d+$/.test(query.offset)) {
+      return 'The offset parameter should be a positive integer or zero';
+    }
+  }
+
+  function sendHTTPClientError(err, res) {
+    res.status(err.status).json({
+      error: {
+        code: err.status,
+        message: errors.HTTP_STATUS_MESSAGES[err.status],
+        details: err.message
+      }
+    });
+  }
+
   function sendHTTPError(message, err, res) {
     logger.error(message, err);
 
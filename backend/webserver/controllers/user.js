@@ -0,0 +1,102 @@
+'use strict';
+
+const CONSTANTS = require('../../lib/constants');
+const USER_PRESENCE = CONSTANTS.USER_PRESENCE;
+// away and offline states are computed from the user connections, they can not be set manually
+const MANUAL_STATES = [USER_PRESENCE.DO_NOT_DISTURB, USER_PRESENCE.ONLINE];
+const STATUS_TEXT_MAX_LENGTH = CONSTANTS.USER_STATUS.TEXT_MAX_LENGTH;
+const EMOJI_PATTERN = CONSTANTS.EMOJI_PATTERN;
+
+module.exports = function(dependencies, lib) {
+
+  const logger = dependencies('logger');
+  const mongoose = dependencies('db').mongo.mongoose;
+  const ObjectId = mongoose.Types.ObjectId;
+  const utils = require('./utils')(dependencies, lib);
+
+  return {
+    clearStatus,
+    getState,
+    getStatus,
+    updateState,
+    updateStatus
+  };
+
+  function clearStatus(req, res) {
+    lib.userStatus.clear(req.user._id)
+      .then(() => res.status(204).end())
+      .catch(err => sendHTTPError(`Error while clearing status of user ${req.user._id}`, err, res));
+  }
+
+  function getState(req, res) {
+    if (!ObjectId.isValid(req.params.id)) {
+      return sendHTTP400Error('You should provide a valid user id', res);
+    }
+
+    lib.presence.getState(req.params.id)
+      .then(state => res.status(200).json(state))
+      .catch(err => sendHTTPError(`Error while getting state of user ${req.params.id}`, err, res));
+  }
+
+  function getStatus(req, res) {
+    if (!ObjectId.isValid(req.params.id)) {
+      return sendHTTP400Error('You should provide a valid user id', res);
+    }
+
+    lib.userStatus.get(req.params.id)
+      .then(status => (status ? res.status(200).json(status) : res.status(204).end()))
+      .catch(err => sendHTTPError(`Error while getting status of user ${req.params.id}`, err, res));
+  }
+
+  function updateState(req, res) {
+    const state = req.body && req.body.state;
+
+    if (MANUAL_STATES.indexOf(state) === -1) {
+      return sendHTTP400Error(`You should provide one of the following states: ${MANUAL_STATES.join(', ')}`, res);
+    }
+
+    lib.presence.setDoNotDisturb(req.user._id, state === USER_PRESENCE.DO_NOT_DISTURB)
+      .then(() => lib.presence.getState(req.user._id))
+      .then(state => res.status(200).json(state))
+      .catch(err => sendHTTPError(`Error while updating state of user ${req.user._id}`, err, res));
+  }
+
+  function updateStatus(req, res) {
+    const status = req.body || {};
+    const text = typeof status.text === 'string' ? status.text.trim() : '';
+    const expiration = status.expiration ? new Date(status.expiration) : undefined;
+
+    if (!text || text.length > STATUS_TEXT_MAX_LENGTH) {
+      return sendHTTP400Error(`You should provide a status text of at most ${STATUS_TEXT_MAX_LENGTH} characters`, res);
+    }
+
+    // the emojis are the same as the ones of the reactions
+    if (status.emoji && (typeof status.emoji !== 'string' || !EMOJI_PATTERN.test(status.emoji))) {
+      return sendHTTP400Error('The status emoji should be a valid emoji name', res);
+    }
+
+    if (expiration && (isNaN(expiration.getTime()) || expiration.getTime() <= Date.now())) {
+      return sendHTTP400Error('The status expiration should be a date in the future', res);
+    }
+
+    lib.userStatus.set(req.user._id, {text, emoji: status.emoji, expiration})
+      .then(saved => res.status(200).json(saved))
+      .catch(err => sendHTTPError(`Error while updating status of user ${req.user._id}`, err, res));
+  }
+
+  function sendHTTP400Error(details, res) {
+    res.status(400).json({
+      error: {
+        code: 400,
+        message: 'Bad Request',
+        details
+      }
+    });
+  }
+
+  function sendHTTPError(message, err, res) {
+    logger.error(message, err);
+
+    return utils.sendHTTP500Error(message, res);
+  }
+};
@@ -25,6 +25,10 @@ module.exports = function(dependencies, lib) {
       conversation.member_status = isMember.state === 'fulfilled' ? (isMember.value ? MEMBER_STATUS.MEMBER : MEMBER_STATUS.NONE) || MEMBER_STATUS.NONE : MEMBER_STATUS.NONE;
       conversation.members_count = numberOfMembers.state === 'fulfilled' ? numberOfMembers.value || 0 : 0;
 
+      if (lib.conversation.hasReadReceipts(conversation)) {
+        conversation.read_receipts = lib.conversation.getReadReceipts(conversation);
+      }
+
       if (conversation.type !== CONVERSATION_TYPE.DIRECT_MESSAGE) {
         delete conversation.members;
       }
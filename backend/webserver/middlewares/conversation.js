@@ -259,8 +259,33 @@ module.exports = function(dependencies, lib) {
     });
   }
 
-  function canWrite() {
+  function canWrite(req, res, next) {
+    lib.conversation.permission.userCanWrite(req.user, req.conversation).then(writable => {
+      if (writable) {
+        return next();
+      }
+
+      return res.status(403).json({
+        error: {
+          code: 403,
+          message: 'Forbidden',
+          details: `Can not write in conversation ${req.conversation.id}`
+        }
+      });
+
+    }, err => {
+      const msg = `Error while checking write rights on conversation ${req.conversation.id}`;
 
+      logger.error(msg, err);
+
+      return res.status(500).json({
+        error: {
+          code: 500,
+          message: 'Server Error',
+          details: msg
+        }
+      });
+    });
   }
 
   function load(req, res, next) {
@@ -0,0 +1,69 @@
+'use strict';
+
+module.exports = function(dependencies, lib) {
+
+  const logger = dependencies('logger');
+  const ObjectId = dependencies('db').mongo.mongoose.Types.ObjectId;
+
+  return {
+    canManage,
+    load
+  };
+
+  function canManage(req, res, next) {
+    lib.domain.userIsDomainAdministrator(req.user, req.domain)
+      .then(isDomainAdministrator => {
+        if (isDomainAdministrator) {
+          return next();
+        }
+
+        res.status(403).json({
+          error: {
+            code: 403,
+            message: 'Forbidden',
+            details: 'Only the administrators of the domain can do this'
+          }
+        });
+      })
+      .catch(err => sendHTTP500Error(`Error while checking the administrators of domain ${req.domain._id}`, err, res));
+  }
+
+  function load(req, res, next) {
+    if (!ObjectId.isValid(req.params.domainId)) {
+      return sendHTTP404Error(req.params.domainId, res);
+    }
+
+    lib.domain.load(req.params.domainId)
+      .then(domain => {
+        if (!domain) {
+          return sendHTTP404Error(req.params.domainId, res);
+        }
+
+        req.domain = domain;
+        next();
+      })
+      .catch(err => sendHTTP500Error(`Error while getting domain ${req.params.domainId}`, err, res));
+  }
+
+  function sendHTTP404Error(domainId, res) {
+    res.status(404).json({
+      error: {
+        code: 404,
+        message: 'Not found',
+        details: `Domain ${domainId} not found`
+      }
+    });
+  }
+
+  function sendHTTP500Error(details, err, res) {
+    logger.error(details, err);
+
+    res.status(500).json({
+      error: {
+        code: 500,
+        message: 'Server Error',
+        details
+      }
+    });
+  }
+};
@@ -1,6 +1,7 @@
 'use strict';
 
 const CONSTANTS = require('../../lib/constants');
+const messageUtils = require('../../lib/message-utils');
 
 module.exports = function(dependencies, lib) {
 
@@ -8,8 +9,12 @@ module.exports = function(dependencies, lib) {
   const resourceLinkMiddleware = dependencies('resourceLinkMW');
 
   return {
+    canPin,
+    canReact,
+    canRemove,
     canUnstar,
     canStar,
+    canUpdate,
     load,
     loadMessageConversation
   };
@@ -74,6 +79,134 @@ module.exports = function(dependencies, lib) {
     });
   }
 
+  function canUpdate(req, res, next) {
+    const creator = req.message.creator && (req.message.creator._id || req.message.creator);
+
+    if (String(creator) !== String(req.user._id)) {
+      return res.status(403).json({
+        error: {
+          code: 403,
+          message: 'Forbidden',
+          details: 'You can not update a message of someone else'
+        }
+      });
+    }
+
+    if (messageUtils.isSystemMessage(req.message)) {
+      return res.status(403).json({
+        error: {
+          code: 403,
+          message: 'Forbidden',
+          details: 'You can not update a system message'
+        }
+      });
+    }
+
+    if (messageUtils.isDeletedMessage(req.message)) {
+      return res.status(403).json({
+        error: {
+          code: 403,
+          message: 'Forbidden',
+          details: 'You can not update a deleted message'
+        }
+      });
+    }
+
+    next();
+  }
+
+  function canPin(req, res, next) {
+    if (messageUtils.isSystemMessage(req.message)) {
+      return res.status(403).json({
+        error: {
+          code: 403,
+          message: 'Forbidden',
+          details: 'You can not pin a system message'
+        }
+      });
+    }
+
+    if (messageUtils.isDeletedMessage(req.message)) {
+      return res.status(403).json({
+        error: {
+          code: 403,
+          message: 'Forbidden',
+          details: 'You can not pin a deleted message'
+        }
+      });
+    }
+
+    next();
+  }
+
+  function canReact(req, res, next) {
+    if (messageUtils.isSystemMessage(req.message)) {
+      return res.status(403).json({
+        error: {
+          code: 403,
+          message: 'Forbidden',
+          details: 'You can not react to a system message'
+        }
+      });
+    }
+
+    if (messageUtils.isDeletedMessage(req.message)) {
+      return res.status(403).json({
+        error: {
+          code: 403,
+          message: 'Forbidden',
+          details: 'You can not react to a deleted message'
+        }
+      });
+    }
+
+    next();
+  }
+
+  function canRemove(req, res, next) {
+    const creator = req.message.creator && (req.message.creator._id || req.message.creator);
+
+    if (messageUtils.isSystemMessage(req.message)) {
+      return sendForbidden('You can not remove a system message');
+    }
+
+    if (messageUtils.isDeletedMessage(req.message)) {
+      return sendForbidden('Message has already been removed');
+    }
+
+    if (String(creator) === String(req.user._id)) {
+      return next();
+    }
+
+    lib.members.isManager(req.conversation, req.user).then(isManager => {
+      if (isManager) {
+        return next();
+      }
+
+      sendForbidden('You can not remove a message of someone else');
+    }, err => {
+      logger.error('Error while checking if user %s is manager of conversation %s', req.user._id, req.conversation._id, err);
+
+      res.status(500).json({
+        error: {
+          code: 500,
+          message: 'Server Error',
+          details: 'Error while checking message removal rights'
+        }
+      });
+    });
+
+    function sendForbidden(details) {
+      res.status(403).json({
+        error: {
+          code: 403,
+          message: 'Forbidden',
+          details
+        }
+      });
+    }
+  }
+
   function canStar(req, res, next) {
     const link = req.link;
 
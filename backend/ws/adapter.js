@@ -1,39 +1,66 @@
 'use strict';
 
+const _ = require('lodash');
 const Q = require('q');
 const CONSTANTS = require('../lib/constants');
+const errors = require('../lib/errors');
 const CONVERSATION_CREATED = CONSTANTS.NOTIFICATIONS.CONVERSATION_CREATED;
 const CONVERSATION_DELETED = CONSTANTS.NOTIFICATIONS.CONVERSATION_DELETED;
 const CONVERSATION_UPDATED = CONSTANTS.NOTIFICATIONS.CONVERSATION_UPDATED;
 const MEMBER_ADDED_TO_CONVERSATION = CONSTANTS.NOTIFICATIONS.MEMBER_ADDED_TO_CONVERSATION;
 const MEMBER_JOINED_CONVERSATION = CONSTANTS.NOTIFICATIONS.MEMBER_JOINED_CONVERSATION;
 const MEMBER_LEFT_CONVERSATION = CONSTANTS.NOTIFICATIONS.MEMBER_LEFT_CONVERSATION;
+const MESSAGE_REACTION_UPDATED = CONSTANTS.NOTIFICATIONS.MESSAGE_REACTION_UPDATED;
 const MESSAGE_RECEIVED = CONSTANTS.NOTIFICATIONS.MESSAGE_RECEIVED;
+const MESSAGE_REMOVED = CONSTANTS.NOTIFICATIONS.MESSAGE_REMOVED;
+const MESSAGE_UPDATED = CONSTANTS.NOTIFICATIONS.MESSAGE_UPDATED;
 const CONVERSATION_TOPIC_UPDATED = CONSTANTS.NOTIFICATIONS.CONVERSATION_TOPIC_UPDATED;
+const CONVERSATION_TYPING = CONSTANTS.NOTIFICATIONS.CONVERSATION_TYPING;
 const MEMBER_READ_CONVERSATION = CONSTANTS.NOTIFICATIONS.MEMBER_READ_CONVERSATION;
+const MEMBER_UNREAD_CONVERSATION = CONSTANTS.NOTIFICATIONS.MEMBER_UNREAD_CONVERSATION;
+const RESYNC = CONSTANTS.WEBSOCKET.RESYNC;
+const USER_ACTIVITY = CONSTANTS.WEBSOCKET.USER_ACTIVITY;
+const USER_CONNECTION = CONSTANTS.NOTIFICATIONS.USER_CONNECTION;
+const USER_DISCONNECTION = CONSTANTS.NOTIFICATIONS.USER_DISCONNECTION;
+const USER_STATE = CONSTANTS.NOTIFICATIONS.USER_STATE;
+const USER_STATUS_UPDATED = CONSTANTS.NOTIFICATIONS.USER_STATUS_UPDATED;
+const USER_TYPING = CONSTANTS.WEBSOCKET.USER_TYPING;
 
 module.exports = (dependencies, lib) => {
   const logger = dependencies('logger');
-  const pubsub = dependencies('pubsub');
-  const globalPubsub = pubsub.global;
-  const localPubsub = pubsub.local;
+  const globalPubsub = dependencies('pubsub').global;
+  const resync = require('./resync')(dependencies, lib);
 
   return {
     bindEvents
   };
 
   function bindEvents(messenger) {
+    const typing = require('./typing')(dependencies, publishUsersTyping);
+
     globalPubsub.topic(CONVERSATION_CREATED).subscribe(messenger.conversationCreated.bind(messenger));
     globalPubsub.topic(CONVERSATION_DELETED).subscribe(messenger.conversationDeleted.bind(messenger));
     globalPubsub.topic(CONVERSATION_UPDATED).subscribe(data => messenger.conversationUpdated.bind(messenger)(data.conversation));
     globalPubsub.topic(CONVERSATION_TOPIC_UPDATED).subscribe(topicUpdated);
+    globalPubsub.topic(CONVERSATION_TYPING).subscribe(usersTyping);
     globalPubsub.topic(MEMBER_ADDED_TO_CONVERSATION).subscribe(memberHasBeenAdded);
     globalPubsub.topic(MEMBER_JOINED_CONVERSATION).subscribe(memberHasJoined);
     globalPubsub.topic(MEMBER_LEFT_CONVERSATION).subscribe(memberHasLeft);
     globalPubsub.topic(MESSAGE_RECEIVED).subscribe(sendMessage);
+    globalPubsub.topic(MESSAGE_UPDATED).subscribe(messageUpdated);
+    globalPubsub.topic(MESSAGE_REMOVED).subscribe(messageRemoved);
+    globalPubsub.topic(MESSAGE_REACTION_UPDATED).subscribe(messageReactionUpdated);
     globalPubsub.topic(MEMBER_READ_CONVERSATION).subscribe(memberHasRead);
+    globalPubsub.topic(MEMBER_UNREAD_CONVERSATION).subscribe(memberHasUnread);
+    globalPubsub.topic(USER_STATE).subscribe(userStateChanged);
+    globalPubsub.topic(USER_STATUS_UPDATED).subscribe(userStatusUpdated);
 
-    messenger.on('message', message => localPubsub.topic(MESSAGE_RECEIVED).publish({message}));
+    messenger.on('message', receiveMessage);
+    messenger.on(RESYNC, replayMissedEvents);
+    messenger.on(USER_ACTIVITY, userActivity);
+    messenger.on(USER_CONNECTION, userConnected);
+    messenger.on(USER_DISCONNECTION, userDisconnected);
+    messenger.on(USER_TYPING, typing.setState);
 
     function countMembers(conversation) {
       return lib.members.countMembers(conversation);
@@ -92,6 +119,51 @@ module.exports = (dependencies, lib) => {
         });
     }
 
+    // The sender is acknowledged with the saved message so that it can match it with the one it sent
+    function receiveMessage(message, ack) {
+      const acknowledge = typeof ack === 'function' ? ack : () => {};
+
+      lib.listener.listeners.message.receiveMessage({message})
+        .then(savedMessage => acknowledge({message: savedMessage}))
+        .catch(err => {
+          // the errors of the sender, e.g. when they can not write in the conversation, are not server errors
+          if (err instanceof errors.ChatError) {
+            return acknowledge({
+              error: {
+                code: err.status,
+                message: errors.HTTP_STATUS_MESSAGES[err.status],
+                details: err.message
+              }
+            });
+          }
+
+          logger.error(`Can not save the message sent by user ${message.creator}`, err);
+          acknowledge({
+            error: {
+              code: 500,
+              message: 'Server Error',
+              details: err.message
+            }
+          });
+        });
+    }
+
+    // Request payload is {userId, conversations} where conversations holds the last message seen by the client in each of them
+    function replayMissedEvents(request, ack) {
+      resync.getMissedEvents(request.userId, request.conversations)
+        .then(ack)
+        .catch(err => {
+          logger.error(`Can not replay missed events for user ${request.userId}`, err);
+          ack({
+            error: {
+              code: 500,
+              message: 'Server Error',
+              details: err.message
+            }
+          });
+        });
+    }
+
     // Event payload is { room, message }
     function sendMessage(event) {
       getConversation(event.message.channel)
@@ -103,6 +175,39 @@ module.exports = (dependencies, lib) => {
         });
     }
 
+    // Event payload is { message }
+    function messageUpdated(event) {
+      getConversation(event.message.channel)
+        .then(conversation => {
+          messenger.messageUpdated(conversation, event.message);
+        })
+        .catch(err => {
+          logger.error('Error while getting conversation to send updated message', err);
+        });
+    }
+
+    // Event payload is { message, conversation } where conversation holds the updated counters
+    function messageRemoved(event) {
+      getConversation(event.message.channel)
+        .then(conversation => {
+          messenger.messageRemoved(conversation, event.message, event.conversation);
+        })
+        .catch(err => {
+          logger.error('Error while getting conversation to send removed message', err);
+        });
+    }
+
+    // Event payload is { message } where message only holds its _id, channel and reactions
+    function messageReactionUpdated(event) {
+      getConversation(event.message.channel)
+        .then(conversation => {
+          messenger.messageReactionUpdated(conversation, event.message);
+        })
+        .catch(err => {
+          logger.error('Error while getting conversation to send message reactions', err);
+        });
+    }
+
     /**
     * Event payload is {conversationId: conversationId, topic: topic}
     */
@@ -116,13 +221,119 @@ module.exports = (dependencies, lib) => {
         });
     }
 
+    // Event payload is {userId, socketId, away}
+    function userActivity(event, ack) {
+      const acknowledge = typeof ack === 'function' ? ack : () => {};
+
+      lib.presence.setAway(event.userId, event.socketId, event.away)
+        .then(state => acknowledge({state}))
+        .catch(err => {
+          logger.error(`Can not update activity of user ${event.userId}`, err);
+          acknowledge({
+            error: {
+              code: 500,
+              message: 'Server Error',
+              details: err.message
+            }
+          });
+        });
+    }
+
+    // The typing states are gathered by the node the typing users are connected to,
+    // the viewers of the conversation may be connected to any node
+    function publishUsersTyping(conversationId, users) {
+      globalPubsub.topic(CONVERSATION_TYPING).publish({conversationId, users});
+    }
+
+    // Event payload is {conversationId, users} where users is [{user, state}]
+    function usersTyping(event) {
+      messenger.usersTyping(event.conversationId, event.users);
+    }
+
+    // Event payload is {userId, socketId}
+    function userConnected(event) {
+      lib.presence.connect(event.userId, event.socketId)
+        .catch(err => logger.error(`Can not register connection of user ${event.userId}`, err));
+    }
+
+    // Event payload is {userId, socketId}
+    function userDisconnected(event) {
+      typing.stopSocket(event.socketId);
+      lib.presence.disconnect(event.userId, event.socketId)
+        .catch(err => logger.error(`Can not unregister connection of user ${event.userId}`, err));
+    }
+
+    // the user and the users they share a conversation with
+    function getContactIds(userId) {
+      return lib.conversation.getAllForUser({_id: userId}).then(conversations => _(conversations)
+        .flatMap(conversation => conversation.members || [])
+        .filter(member => member.member.objectType === CONSTANTS.OBJECT_TYPES.USER)
+        .map(member => String(member.member.id))
+        .concat(String(userId))
+        .uniq()
+        .value());
+    }
+
+    // Event payload is {userId, state}.
+    // It is sent to the users they share a conversation with and to the users of their domains connected to this node.
+    function userStateChanged(event) {
+      return Q.all([getContactIds(event.userId), messenger.getConnectedUsersSharingDomainsWith(event.userId)])
+        .spread((contactIds, domainUserIds) => messenger.userStateChanged(_.uniq(contactIds.concat(domainUserIds)), event))
+        .catch(err => logger.error(`Can not send the state of user ${event.userId}`, err));
+    }
+
+    // Event payload is {userId, status}, status is null when it has been cleared.
+    // It is sent to the user and to the users they share a conversation with.
+    function userStatusUpdated(event) {
+      return getContactIds(event.userId)
+        .then(userIds => messenger.userStatusUpdated(userIds, event))
+        .catch(err => logger.error(`Can not send the status of user ${event.userId}`, err));
+    }
+
     /**
-     * Event payload is {conversationId}
+     * Event payload is {userId, conversationId, messageId}
      */
     function memberHasRead(event) {
       messenger.sendDataToUser(event.userId, MEMBER_READ_CONVERSATION, {
         conversationId: event.conversationId
       });
+
+      if (!event.messageId) {
+        return;
+      }
+
+      return getConversation(event.conversationId)
+        .then(conversation => {
+          if (lib.conversation.hasReadReceipts(conversation)) {
+            messenger.memberHasReadMessage(conversation, {
+              conversationId: String(event.conversationId),
+              userId: String(event.userId),
+              messageId: event.messageId
+            });
+          }
+        })
+        .catch(err => logger.error(`Can not send the read receipt of user ${event.userId} in conversation ${event.conversationId}`, err));
+    }
+
+    /**
+     * Send the new read state to all the sessions of the user, and move their read receipt back.
+     *
+     * Event payload is {userId, conversationId, numOfMessage, memberState}
+     */
+    function memberHasUnread(event) {
+      messenger.sendDataToUser(event.userId, MEMBER_UNREAD_CONVERSATION, event);
+
+      return getConversation(event.conversationId)
+        .then(conversation => {
+          if (lib.conversation.hasReadReceipts(conversation)) {
+            messenger.memberHasReadMessage(conversation, {
+              conversationId: event.conversationId,
+              userId: event.userId,
+              messageId: event.memberState.lastReadMessageId
+            });
+          }
+        })
+        .catch(err => logger.error(`Can not send the read receipt of user ${event.userId} in conversation ${event.conversationId}`, err));
     }
   }
 };
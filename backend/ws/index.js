@@ -22,7 +22,11 @@ function init(dependencies, lib) {
 
   chatNamespace = io.of(NAMESPACE);
 
-  const transport = new Transport(chatNamespace, {dependencies});
+  const transport = new Transport(chatNamespace, {
+    dependencies,
+    rooms: require('./rooms')(dependencies, lib),
+    validator: lib.messageValidator
+  });
   const messenger = new Messenger(transport, {dependencies});
 
   adapter.bindEvents(messenger);
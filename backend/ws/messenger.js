@@ -1,6 +1,7 @@
 'use strict';
 
 const EventEmitter = require('events').EventEmitter;
+const Q = require('q');
 
 const CONSTANTS = require('../lib/constants');
 const CONVERSATION_CREATED = CONSTANTS.NOTIFICATIONS.CONVERSATION_CREATED;
@@ -10,8 +11,20 @@ const CONVERSATION_UPDATED = CONSTANTS.NOTIFICATIONS.CONVERSATION_UPDATED;
 const MEMBER_ADDED_TO_CONVERSATION = CONSTANTS.NOTIFICATIONS.MEMBER_ADDED_TO_CONVERSATION;
 const MEMBER_JOINED_CONVERSATION = CONSTANTS.NOTIFICATIONS.MEMBER_JOINED_CONVERSATION;
 const MEMBER_LEFT_CONVERSATION = CONSTANTS.NOTIFICATIONS.MEMBER_LEFT_CONVERSATION;
+const MEMBER_READ_RECEIPT = CONSTANTS.NOTIFICATIONS.MEMBER_READ_RECEIPT;
+const MESSAGE_REACTION_UPDATED = CONSTANTS.NOTIFICATIONS.MESSAGE_REACTION_UPDATED;
+const MESSAGE_REMOVED = CONSTANTS.NOTIFICATIONS.MESSAGE_REMOVED;
+const MESSAGE_UPDATED = CONSTANTS.NOTIFICATIONS.MESSAGE_UPDATED;
 const CONVERSATION_TOPIC_UPDATED = CONSTANTS.NOTIFICATIONS.CONVERSATION_TOPIC_UPDATED;
+const CONVERSATION_TYPING = CONSTANTS.NOTIFICATIONS.CONVERSATION_TYPING;
 const DEFAULT_ROOM = CONSTANTS.WEBSOCKET.DEFAULT_ROOM;
+const RESYNC = CONSTANTS.WEBSOCKET.RESYNC;
+const USER_ACTIVITY = CONSTANTS.WEBSOCKET.USER_ACTIVITY;
+const USER_CONNECTION = CONSTANTS.NOTIFICATIONS.USER_CONNECTION;
+const USER_DISCONNECTION = CONSTANTS.NOTIFICATIONS.USER_DISCONNECTION;
+const USER_STATE = CONSTANTS.NOTIFICATIONS.USER_STATE;
+const USER_STATUS_UPDATED = CONSTANTS.NOTIFICATIONS.USER_STATUS_UPDATED;
+const USER_TYPING = CONSTANTS.WEBSOCKET.USER_TYPING;
 
 class Messenger extends EventEmitter {
 
@@ -23,7 +36,12 @@ class Messenger extends EventEmitter {
   }
 
   conversationCreated(conversation) {
-    this.sendDataToClients(conversation, CONVERSATION_CREATED, conversation);
+    // everybody in the domains of an open channel can read it, the sockets join its room before it is sent there
+    const joined = conversation.type === CONVERSATION_TYPE.OPEN ?
+      this.transport.addAllUsersToConversation(conversation) :
+      this.transport.addUsersToConversation(conversation, getMemberIds(conversation));
+
+    return Q(joined).then(() => this.sendDataToClients(conversation, CONVERSATION_CREATED, conversation));
   }
 
   conversationDeleted(conversation) {
@@ -35,8 +53,18 @@ class Messenger extends EventEmitter {
   }
 
   listenToIncomingEvents() {
-    this.transport.on('message', message => {
-      this.emit('message', message);
+    this.transport.on('message', (message, ack) => {
+      this.emit('message', message, ack);
+    });
+
+    this.transport.on(RESYNC, (request, ack) => {
+      this.emit(RESYNC, request, ack);
+    });
+
+    [USER_ACTIVITY, USER_CONNECTION, USER_DISCONNECTION, USER_TYPING].forEach(type => {
+      this.transport.on(type, (event, ack) => {
+        this.emit(type, event, ack);
+      });
     });
   }
 
@@ -45,24 +73,44 @@ class Messenger extends EventEmitter {
   }
 
   memberHasJoined(conversation, member, members_count) {
+    this.transport.addUsersToConversation(conversation, [member.member.id]);
     this.sendDataToClients(conversation, MEMBER_JOINED_CONVERSATION, {conversation, member, members_count});
   }
 
   memberHasLeft(conversation, member, members_count) {
     this.sendDataToClients(conversation, MEMBER_LEFT_CONVERSATION, {conversation, member, members_count});
+
+    // open channels can still be read by the user who left
+    if (conversation.type !== CONVERSATION_TYPE.OPEN) {
+      this.transport.removeUserFromConversation(conversation, member.member.id);
+    }
+  }
+
+  // receipt is {conversationId, userId, messageId}
+  memberHasReadMessage(conversation, receipt) {
+    this.sendDataToClients(conversation, MEMBER_READ_RECEIPT, receipt);
+  }
+
+  messageReactionUpdated(conversation, message) {
+    this.sendDataToClients(conversation, MESSAGE_REACTION_UPDATED, message);
+  }
+
+  messageRemoved(conversation, message, counters) {
+    this.sendDataToClients(conversation, MESSAGE_REMOVED, {message, conversation: counters});
+  }
+
+  messageUpdated(conversation, message) {
+    this.sendDataToClients(conversation, MESSAGE_UPDATED, message);
   }
 
+  // only the sockets of the users who can read the conversation are in its room
   sendDataToClients(conversation, type, data) {
     const payload = {
       data: data,
       room: DEFAULT_ROOM
     };
 
-    if (conversation.type === CONVERSATION_TYPE.DIRECT_MESSAGE) {
-      this.transport.sendDataToMembers(conversation.members, type, payload);
-    } else {
-      this.transport.sendDataToUsers(type, payload);
-    }
+    this.transport.sendDataToConversation(conversation, type, payload);
   }
 
   sendDataToUser(user, type, data) {
@@ -82,9 +130,33 @@ class Messenger extends EventEmitter {
     this.sendDataToUser(user, 'message', message);
   }
 
+  // users is [{user, state}]
+  usersTyping(conversationId, users) {
+    this.transport.sendDataToConversationViewers(conversationId, CONVERSATION_TYPING, {
+      data: {conversationId, users},
+      room: DEFAULT_ROOM
+    });
+  }
+
   topicUpdated(conversation) {
     this.sendDataToClients(conversation, CONVERSATION_TOPIC_UPDATED, conversation);
   }
+
+  getConnectedUsersSharingDomainsWith(userId) {
+    return this.transport.getConnectedUsersSharingDomainsWith(userId);
+  }
+
+  userStateChanged(userIds, event) {
+    userIds.forEach(userId => this.sendDataToUser(userId, USER_STATE, event));
+  }
+
+  userStatusUpdated(userIds, event) {
+    userIds.forEach(userId => this.sendDataToUser(userId, USER_STATUS_UPDATED, event));
+  }
+}
+
+function getMemberIds(conversation) {
+  return (conversation.members || []).map(member => member.member.id);
 }
 
 module.exports = Messenger;
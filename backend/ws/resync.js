@@ -0,0 +1,81 @@
+'use strict';
+
+const _ = require('lodash');
+const Q = require('q');
+const CONSTANTS = require('../lib/constants');
+const RESYNC_MESSAGES_LIMIT = CONSTANTS.WEBSOCKET.RESYNC_MESSAGES_LIMIT;
+
+module.exports = (dependencies, lib) => {
+  const ObjectId = dependencies('db').mongo.mongoose.Types.ObjectId;
+  const rooms = require('./rooms')(dependencies, lib);
+
+  return {
+    getMissedEvents
+  };
+
+  /**
+   * Get what a client missed while it was disconnected from the websocket.
+   * Membership and topic changes are replayed with the messages since they are stored as system messages.
+   *
+   * @param {String} userId
+   * @param {Object} lastSeen - conversation id => {messageId, date} of the last message the client received in it
+   * @return {Promise} resolved with {conversations, added, removed}:
+   *   - conversations: [{conversation, members_count, messages, hasMore}] for each known conversation the user can still read
+   *   - added: the conversations the user can read and the client does not know
+   *   - removed: the ids of the known conversations the user can not read anymore
+   */
+  function getMissedEvents(userId, lastSeen = {}) {
+    return rooms.getConversationsForUser(userId).then(readable => {
+      const readableById = _.keyBy(readable, conversation => String(conversation._id));
+      const knownIds = Object.keys(lastSeen).filter(conversationId => ObjectId.isValid(conversationId));
+      const added = readable.filter(conversation => !_.has(lastSeen, String(conversation._id)));
+      const removed = knownIds.filter(conversationId => !readableById[conversationId]);
+
+      return Q.all(knownIds
+        .filter(conversationId => readableById[conversationId])
+        .map(conversationId => getMissedForConversation(readableById[conversationId], lastSeen[conversationId]))
+      ).then(conversations => ({
+        conversations: conversations.filter(Boolean),
+        added: added.map(toJSON),
+        removed
+      }));
+    });
+  }
+
+  // one more message is fetched to know if there are more messages than the ones replayed
+  function getMissedForConversation(conversation, since) {
+    since = getSince(since);
+
+    if (!since) {
+      return Q();
+    }
+
+    return Q.all([
+      Q.denodeify(lib.message.getMissedForConversation)(conversation, since, RESYNC_MESSAGES_LIMIT + 1),
+      lib.members.countMembers(conversation)
+    ]).spread((messages, membersCount) => ({
+      conversation: toJSON(conversation),
+      members_count: membersCount,
+      messages: messages.slice(0, RESYNC_MESSAGES_LIMIT),
+      hasMore: messages.length > RESYNC_MESSAGES_LIMIT
+    }));
+  }
+
+  function getSince(since) {
+    if (!since || typeof since !== 'object') {
+      return;
+    }
+
+    if (since.messageId && ObjectId.isValid(since.messageId)) {
+      return {messageId: String(since.messageId)};
+    }
+
+    if (since.date && !isNaN(new Date(since.date).getTime())) {
+      return {date: since.date};
+    }
+  }
+
+  function toJSON(conversation) {
+    return typeof conversation.toJSON === 'function' ? conversation.toJSON() : conversation;
+  }
+};
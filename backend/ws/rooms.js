@@ -0,0 +1,85 @@
+'use strict';
+
+const _ = require('lodash');
+const Q = require('q');
+
+module.exports = (dependencies, lib) => {
+  const userModule = dependencies('user');
+  const User = dependencies('db').mongo.mongoose.model('User');
+
+  return {
+    getConversationIdsForUser,
+    getConversationsForUser,
+    getUsersInConversationDomains,
+    getUsersSharingDomainsWith
+  };
+
+  /**
+   * Get the ids of the conversations a user can read.
+   * Sockets of the user are subscribed to the room of each of them.
+   *
+   * @param {String} userId
+   * @return {Promise} resolved with the conversation ids
+   */
+  function getConversationIdsForUser(userId) {
+    return getConversationsForUser(userId).then(conversations => conversations.map(conversation => String(conversation._id)));
+  }
+
+  /**
+   * Get the conversations a user can read: the ones the user is a member of and the open channels of their domains.
+   *
+   * @param {String} userId
+   * @return {Promise} resolved with the conversations
+   */
+  function getConversationsForUser(userId) {
+    return Q.denodeify(userModule.get)(userId).then(user => {
+      if (!user) {
+        return Q.reject(new Error(`No such user ${userId}`));
+      }
+
+      const domainIds = (user.domains || []).map(domain => domain.domain_id);
+
+      return Q.all([
+        lib.conversation.getAllForUser({_id: userId}),
+        Q.denodeify(lib.conversation.getOpenChannels)({domainIds})
+      ]);
+    }).spread((userConversations, openChannels) => _.uniqBy(userConversations.concat(openChannels || []), conversation => String(conversation._id)));
+  }
+
+  /**
+   * Keep the users who belong to one of the domains of a conversation, the ones who can read it when it is open.
+   *
+   * @param {Object} conversation
+   * @param {[String]} userIds
+   * @return {Promise} resolved with the ids of the users in the domains of the conversation
+   */
+  function getUsersInConversationDomains(conversation, userIds) {
+    return getUsersInDomains(conversation.domain_ids, userIds);
+  }
+
+  /**
+   * Keep the users who share one of the domains of a user, the ones who can see them in their domain.
+   *
+   * @param {String} userId
+   * @param {[String]} userIds
+   * @return {Promise} resolved with the ids of the users sharing a domain with the user
+   */
+  function getUsersSharingDomainsWith(userId, userIds) {
+    return Q.denodeify(userModule.get)(userId).then(user => {
+      if (!user) {
+        return Q.reject(new Error(`No such user ${userId}`));
+      }
+
+      return getUsersInDomains((user.domains || []).map(domain => domain.domain_id), userIds);
+    });
+  }
+
+  function getUsersInDomains(domainIds, userIds) {
+    if (!userIds.length || !(domainIds || []).length) {
+      return Q([]);
+    }
+
+    return Q(User.distinct('_id', {_id: {$in: userIds}, 'domains.domain_id': {$in: domainIds}}).exec())
+      .then(ids => ids.map(String));
+  }
+};
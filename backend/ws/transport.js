@@ -1,6 +1,19 @@
 'use strict';
 
 const EventEmitter = require('events').EventEmitter;
+const _ = require('lodash');
+const Q = require('q');
+const CONSTANTS = require('../lib/constants');
+const MESSAGE_REJECTED = CONSTANTS.NOTIFICATIONS.MESSAGE_REJECTED;
+const DEFAULT_ROOM = CONSTANTS.WEBSOCKET.DEFAULT_ROOM;
+const CONVERSATION_ROOM_PREFIX = CONSTANTS.WEBSOCKET.CONVERSATION_ROOM_PREFIX;
+const CONVERSATION_VIEW = CONSTANTS.WEBSOCKET.CONVERSATION_VIEW;
+const RESYNC = CONSTANTS.WEBSOCKET.RESYNC;
+const USER_ACTIVITY = CONSTANTS.WEBSOCKET.USER_ACTIVITY;
+const USER_CONNECTION = CONSTANTS.NOTIFICATIONS.USER_CONNECTION;
+const USER_DISCONNECTION = CONSTANTS.NOTIFICATIONS.USER_DISCONNECTION;
+const USER_TYPING = CONSTANTS.WEBSOCKET.USER_TYPING;
+const VIEWERS_ROOM_PREFIX = CONSTANTS.WEBSOCKET.VIEWERS_ROOM_PREFIX;
 
 class Transport extends EventEmitter {
   constructor(chatNamespace, options) {
@@ -8,50 +21,222 @@ class Transport extends EventEmitter {
     this.chatNamespace = chatNamespace;
     this.helper = options.dependencies('wsserver').ioHelper;
     this.logger = options.dependencies('logger');
+    this.validator = options.validator;
+    this.rooms = options.rooms;
     this.listenToEvents();
   }
 
+  // the connected users who are in the domains of the conversation join its room
+  addAllUsersToConversation(conversation) {
+    const room = getConversationRoom(conversation);
+    const sockets = _.values(this.chatNamespace.sockets);
+
+    if (!this.rooms) {
+      return Q();
+    }
+
+    return this.rooms.getUsersInConversationDomains(conversation, this.getConnectedUserIds())
+      .then(allowedIds => sockets
+        .filter(socket => allowedIds.indexOf(String(this.helper.getUserId(socket))) > -1)
+        .forEach(socket => socket.join(room)))
+      .catch(err => this.logger.error(`Can not subscribe sockets to conversation ${conversation._id || conversation}`, err));
+  }
+
+  addUsersToConversation(conversation, userIds = []) {
+    const room = getConversationRoom(conversation);
+
+    userIds.forEach(userId => this.getUserSockets(userId).forEach(socket => socket.join(room)));
+  }
+
+  getConnectedUserIds() {
+    return _.uniq(_.values(this.chatNamespace.sockets).map(socket => String(this.helper.getUserId(socket))));
+  }
+
+  // the users connected to this node who share a domain with the user
+  getConnectedUsersSharingDomainsWith(userId) {
+    if (!this.rooms) {
+      return Q([]);
+    }
+
+    return this.rooms.getUsersSharingDomainsWith(userId, this.getConnectedUserIds());
+  }
+
+  getUserSockets(user) {
+    return this.helper.getUserSocketsFromNamespace(user._id || user, this.chatNamespace.sockets) || [];
+  }
+
+  joinConversationRooms(socket, userId) {
+    if (!this.rooms) {
+      return;
+    }
+
+    this.rooms.getConversationIdsForUser(userId)
+      .then(conversationIds => conversationIds.forEach(conversationId => socket.join(getConversationRoom(conversationId))))
+      .catch(err => this.logger.error(`Can not subscribe sockets of user ${userId} to their conversations`, err));
+  }
+
+  // the handlers are registered once per socket, the messages are sent to the last room the socket has subscribed to
   listenToEvents() {
     this.chatNamespace.on('connection', socket => {
       const userId = this.helper.getUserId(socket);
+      let subscribedRoom = null;
+
+      this.joinConversationRooms(socket, userId);
+      this.emit(USER_CONNECTION, {userId, socketId: socket.id});
+
+      socket.on('disconnect', () => this.emit(USER_DISCONNECTION, {userId, socketId: socket.id}));
 
       socket.on('subscribe', room => {
+        // the rooms of the conversations are only joined on server side, once the user is allowed to read them
+        if (isReservedRoom(room)) {
+          this.logger.warn(`User ${userId} can not join chat channel ${room}`);
+
+          return;
+        }
+
         this.logger.info(`Joining chat channel ${room}`);
         socket.emit('hello');
         socket.join(room);
+        subscribedRoom = room;
+      });
 
-        socket.on('unsubscribe', room => {
-          this.logger.info(`Leaving chat channel ${room}`);
-          socket.leave(room);
-        });
+      socket.on('unsubscribe', room => {
+        if (isReservedRoom(room)) {
+          return;
+        }
 
-        socket.on('message', message => {
-          message.date = Date.now();
-          message.room = room;
-          message.creator = userId;
-          this.emit('message', message);
-        });
+        this.logger.info(`Leaving chat channel ${room}`);
+        socket.leave(room);
+
+        if (room === subscribedRoom) {
+          subscribedRoom = null;
+        }
       });
+
+      socket.on('message', (message, ack) => this.onMessage(socket, userId, subscribedRoom, message, ack));
+      socket.on(RESYNC, (data, ack) => this.onResync(userId, data, ack));
+      socket.on(USER_ACTIVITY, (data, ack) => this.emit(USER_ACTIVITY, {userId, socketId: socket.id, away: !!(data && data.away)}, ack));
+      socket.on(CONVERSATION_VIEW, data => this.onConversationView(socket, data));
+      socket.on(USER_TYPING, data => this.onUserTyping(socket, userId, data));
     });
   }
 
+  // a socket views one conversation at a time, null conversationId means it does not view any
+  onConversationView(socket, data) {
+    const conversationId = data && data.conversationId;
+
+    getRooms(socket)
+      .filter(room => room.indexOf(VIEWERS_ROOM_PREFIX) === 0 && room !== getViewersRoom(conversationId))
+      .forEach(room => socket.leave(room));
+
+    if (conversationId && isInRoom(socket, getConversationRoom(conversationId))) {
+      this.logger.debug(`Socket ${socket.id} is viewing conversation ${conversationId}`);
+      socket.join(getViewersRoom(conversationId));
+    }
+  }
+
+  // ack is the socket.io acknowledgement callback given by the client, if any
+  onMessage(socket, userId, room, message, ack) {
+    if (message && typeof message === 'object') {
+      message.date = Date.now();
+      message.room = room;
+      message.creator = userId;
+    }
+
+    const validation = room ? this.validate(message) : Q.reject(new Error('Subscribe to a chat channel before sending messages'));
+
+    validation.then(
+      validMessage => this.emit('message', validMessage, ack),
+      err => {
+        const error = {
+          code: 400,
+          message: 'Bad Request',
+          details: err.message
+        };
+
+        this.logger.warn(`Rejected message from user ${userId}: ${err.message}`);
+        socket.emit(MESSAGE_REJECTED, {
+          data: {message, error},
+          room: DEFAULT_ROOM
+        });
+        typeof ack === 'function' && ack({error});
+      }
+    );
+  }
+
+  // the client sends the last message it received in each conversation it knows when it reconnects
+  onResync(userId, data, ack) {
+    if (typeof ack !== 'function') {
+      return this.logger.warn(`Resync requested by user ${userId} without acknowledgement callback`);
+    }
+
+    const conversations = data && typeof data.conversations === 'object' ? data.conversations : {};
+
+    this.emit(RESYNC, {userId, conversations}, ack);
+  }
+
+  // only the conversations the socket can read are accepted
+  onUserTyping(socket, userId, data) {
+    if (!data || typeof data.conversationId !== 'string' || !isInRoom(socket, getConversationRoom(data.conversationId))) {
+      return this.logger.debug(`Ignoring typing event from user ${userId}`);
+    }
+
+    this.emit(USER_TYPING, {userId, socketId: socket.id, conversationId: data.conversationId, state: !!data.state});
+  }
+
+  removeUserFromConversation(conversation, userId) {
+    const room = getConversationRoom(conversation);
+
+    this.getUserSockets(userId).forEach(socket => socket.leave(room));
+  }
+
+  sendDataToConversation(conversation, type, data) {
+    this.chatNamespace.to(getConversationRoom(conversation)).emit(type, data);
+  }
+
+  // only the sockets currently displaying the conversation are in its viewers room
+  sendDataToConversationViewers(conversation, type, data) {
+    this.chatNamespace.to(getViewersRoom(conversation)).emit(type, data);
+  }
+
   sendDataToMembers(members = [], type, data) {
     members.forEach(member => {
-      const sockets = this.helper.getUserSocketsFromNamespace(member.member.id, this.chatNamespace.sockets) || [];
-
-      sockets.forEach(socket => socket.emit(type, data));
+      this.getUserSockets(member.member.id).forEach(socket => socket.emit(type, data));
     });
   }
 
   sendDataToUser(user, type, data) {
-    const sockets = this.helper.getUserSocketsFromNamespace(user._id || user, this.chatNamespace.sockets) || [];
-
-    sockets.forEach(socket => socket.emit(type, data));
+    this.getUserSockets(user).forEach(socket => socket.emit(type, data));
   }
 
   sendDataToUsers(type, data) {
     this.chatNamespace.emit(type, data);
   }
+
+  validate(message) {
+    return this.validator ? this.validator.validate(message) : Q(message);
+  }
+}
+
+function getConversationRoom(conversation) {
+  return `${CONVERSATION_ROOM_PREFIX}${conversation._id || conversation}`;
+}
+
+// socket.rooms is an array or an object depending on the socket.io version
+function getRooms(socket) {
+  return Array.isArray(socket.rooms) ? socket.rooms : Object.keys(socket.rooms || {});
+}
+
+function isReservedRoom(room) {
+  return typeof room !== 'string' || room.indexOf(CONVERSATION_ROOM_PREFIX) === 0 || room.indexOf(VIEWERS_ROOM_PREFIX) === 0;
+}
+
+function getViewersRoom(conversation) {
+  return `${VIEWERS_ROOM_PREFIX}${conversation && (conversation._id || conversation)}`;
+}
+
+function isInRoom(socket, room) {
+  return getRooms(socket).indexOf(room) !== -1;
 }
 
 module.exports = Transport;
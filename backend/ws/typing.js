@@ -0,0 +1,107 @@
+'use strict';
+
+const Q = require('q');
+const CONSTANTS = require('../lib/constants');
+const COALESCE_DELAY = CONSTANTS.TYPING.COALESCE_DELAY;
+const THROTTLE_DELAY = CONSTANTS.TYPING.THROTTLE_DELAY;
+const TIMEOUT = CONSTANTS.TYPING.TIMEOUT;
+
+/**
+ * Keep track of the users typing in conversations through the sockets connected to this node.
+ * State changes are throttled and gathered per conversation, then given to the send function
+ * as (conversationId, [{user, state}]) where user is the denormalized user.
+ */
+module.exports = (dependencies, send) => {
+  const logger = dependencies('logger');
+  const userCache = require('./user-cache')(dependencies);
+  // `${conversationId}:${userId}` => {conversationId, userId, socketId, lastSent, timer}
+  const typing = new Map();
+  // conversation id => {changes: Map(user id => state), timer}
+  const pending = new Map();
+
+  return {
+    setState,
+    stopSocket
+  };
+
+  /**
+   * Update the typing state of a user in a conversation.
+   *
+   * @param {Object} event - {userId, socketId, conversationId, state}
+   */
+  function setState(event) {
+    const key = `${event.conversationId}:${event.userId}`;
+    const entry = typing.get(key);
+
+    if (!event.state) {
+      return entry && stop(key);
+    }
+
+    if (entry) {
+      clearTimeout(entry.timer);
+      entry.socketId = event.socketId;
+      entry.timer = setTimeout(() => stop(key), TIMEOUT);
+
+      // the viewers already know the user is typing, they only need to be reminded from time to time
+      if (Date.now() - entry.lastSent >= THROTTLE_DELAY) {
+        entry.lastSent = Date.now();
+        queue(entry.conversationId, entry.userId, true);
+      }
+
+      return;
+    }
+
+    typing.set(key, {
+      conversationId: String(event.conversationId),
+      userId: String(event.userId),
+      socketId: event.socketId,
+      lastSent: Date.now(),
+      timer: setTimeout(() => stop(key), TIMEOUT)
+    });
+    queue(event.conversationId, event.userId, true);
+  }
+
+  /**
+   * Stop all the typing states of a socket, used when it is disconnected without saying the user stopped typing.
+   *
+   * @param {String} socketId
+   */
+  function stopSocket(socketId) {
+    typing.forEach((entry, key) => entry.socketId === socketId && stop(key));
+  }
+
+  function stop(key) {
+    const entry = typing.get(key);
+
+    clearTimeout(entry.timer);
+    typing.delete(key);
+    queue(entry.conversationId, entry.userId, false);
+  }
+
+  function queue(conversationId, userId, state) {
+    conversationId = String(conversationId);
+
+    if (!pending.has(conversationId)) {
+      pending.set(conversationId, {
+        changes: new Map(),
+        timer: setTimeout(() => flush(conversationId), COALESCE_DELAY)
+      });
+    }
+
+    // only the last state of a user during the delay matters
+    pending.get(conversationId).changes.set(String(userId), state);
+  }
+
+  function flush(conversationId) {
+    const changes = pending.get(conversationId).changes;
+
+    pending.delete(conversationId);
+
+    return Q.all(Array.from(changes).map(change => userCache.get(change[0])
+      .then(user => ({user, state: change[1]}))
+      .catch(err => logger.warn(`Can not resolve typing user ${change[0]}`, err))))
+      .then(users => users.filter(Boolean))
+      .then(users => users.length && send(conversationId, users))
+      .catch(err => logger.error(`Can not send typing users of conversation ${conversationId}`, err));
+  }
+};
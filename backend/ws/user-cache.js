@@ -0,0 +1,53 @@
+'use strict';
+
+const Q = require('q');
+const CONSTANTS = require('../lib/constants');
+const MAX_SIZE = CONSTANTS.TYPING.USER_CACHE_MAX_SIZE;
+const TTL = CONSTANTS.TYPING.USER_CACHE_TTL;
+
+module.exports = dependencies => {
+  const userModule = dependencies('user');
+  const denormalizeUser = dependencies('denormalizeUser');
+  // user id => {promise, expiration}, the Map keeps insertion order so the first entry is the oldest one
+  const users = new Map();
+
+  return {
+    get
+  };
+
+  /**
+   * Get the denormalized user from memory, fetching it from the database only when it is not cached or outdated.
+   *
+   * @param {String} userId
+   * @return {Promise} resolved with the denormalized user, rejected when it does not exist
+   */
+  function get(userId) {
+    userId = String(userId);
+
+    const cached = users.get(userId);
+
+    if (cached && cached.expiration > Date.now()) {
+      return cached.promise;
+    }
+
+    users.delete(userId);
+
+    if (users.size >= MAX_SIZE) {
+      users.delete(users.keys().next().value);
+    }
+
+    const promise = Q.denodeify(userModule.get)(userId).then(user => {
+      if (!user) {
+        throw new Error(`No such user ${userId}`);
+      }
+
+      return denormalizeUser.denormalize(user);
+    });
+
+    users.set(userId, {promise, expiration: Date.now() + TTL});
+    // failures must not be cached
+    promise.catch(() => users.delete(userId));
+
+    return promise;
+  }
+};
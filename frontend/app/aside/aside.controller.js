@@ -4,17 +4,29 @@
   angular.module('linagora.esn.chat')
     .controller('chatAsideController', chatAsideController);
 
-  function chatAsideController(chatConversationsStoreService, chatDesktopNotificationService) {
+  function chatAsideController($log, chatConversationsStoreService, chatDesktopNotificationService, chatUserPresenceService) {
     var self = this;
 
     self.chatConversationsStoreService = chatConversationsStoreService;
+    self.isDoNotDisturb = isDoNotDisturb;
     self.isNotificationEnabled = isNotificationEnabled;
+    self.toggleDoNotDisturb = toggleDoNotDisturb;
     self.toggleNotification = toggleNotification;
 
+    function isDoNotDisturb() {
+      return chatUserPresenceService.isDoNotDisturb();
+    }
+
     function isNotificationEnabled() {
       return chatDesktopNotificationService.isEnabled();
     }
 
+    function toggleDoNotDisturb() {
+      chatUserPresenceService.setDoNotDisturb(!isDoNotDisturb()).catch(function(err) {
+        $log.error('Can not update the do not disturb mode', err);
+      });
+    }
+
     function toggleNotification() {
       var enable = isNotificationEnabled();
 
@@ -3,11 +3,56 @@
 
   angular.module('linagora.esn.chat')
     .constant('CHAT', {
-      DEFAULT_FETCH_SIZE: 20
+      DEFAULT_FETCH_SIZE: 20,
+      // above this number of unread messages, the conversation is opened on its last messages
+      MAX_UNREAD_FETCH_SIZE: 100
     })
     .constant('CHAT_ATTACHMENT_PROVIDER', {
       conversation: 'chat.conversation'
     })
+    // the limits of the attachments when the domain does not set them, see the ATTACHMENT_LIMITS backend constants
+    .constant('CHAT_ATTACHMENT_LIMITS', {
+      CONFIG: 'linagora.esn.chat.attachments',
+      DEFAULTS: {
+        maxSize: 104857600,
+        allowedTypes: [],
+        deniedTypes: [],
+        quota: null
+      }
+    })
+    // the attachments previewed by the server, see the THUMBNAIL backend constants
+    .constant('CHAT_ATTACHMENT_PREVIEW', {
+      KIND: {
+        AUDIO: 'audio',
+        IMAGE: 'image',
+        PDF: 'pdf',
+        TEXT: 'text'
+      },
+      IMAGE_TYPES: ['image/bmp', 'image/gif', 'image/jpeg', 'image/png', 'image/tiff', 'image/webp'],
+      MAX_SOURCE_SIZE: 20971520,
+      PDF_TYPES: ['application/pdf'],
+      TEXT_TYPES: [/^text\//, /^application\/(json|xml|javascript)$/]
+    })
+    .constant('CHAT_VOICE_MESSAGE', {
+      // the extensions of the recorded files, by content type
+      EXTENSIONS: {
+        'audio/mp4': 'm4a',
+        'audio/ogg': 'ogg',
+        'audio/webm': 'webm'
+      },
+      // in seconds, the recording stops and is sent once it reaches MAX_DURATION, shorter ones than MIN_DURATION are dropped
+      MAX_DURATION: 300,
+      MIN_DURATION: 1,
+      // the first one the browser supports is recorded
+      MIME_TYPES: ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus', 'audio/webm', 'audio/mp4'],
+      WAVEFORM: {
+        BARS: 40,
+        // the bars of silent parts are still displayed, as a ratio of the loudest one
+        MIN_PEAK: 0.05,
+        // bigger files are not downloaded to draw their waveform, in bytes
+        MAX_SOURCE_SIZE: 5242880
+      }
+    })
     .constant('CHAT_MEMBER_STATUS', {
       MEMBER: 'member',
       NONE: 'none'
@@ -26,8 +71,17 @@
       MEMBER_JOINED_CONVERSATION: 'chat:conversation:members:joined',
       MEMBER_LEFT_CONVERSATION: 'chat:conversation:members:left',
       MEMBER_READ_CONVERSATION: 'chat:conversation:member:read',
+      MEMBER_READ_RECEIPT: 'chat:conversation:member:read_receipt',
+      MEMBER_UNREAD_CONVERSATION: 'chat:conversation:member:unread',
+      MESSAGE_REACTION_UPDATED: 'chat:message:reaction:updated',
+      MESSAGE_PENDING: 'chat:message:pending',
       MESSAGE_RECEIVED: 'chat:message:received',
+      MESSAGE_REJECTED: 'chat:message:rejected',
+      MESSAGE_REMOVED: 'chat:message:removed',
+      MESSAGE_UPDATED: 'chat:message:updated',
       USER_CHANGE_STATE: 'user:state',
+      USER_STATUS_UPDATED: 'chat:user:status:updated',
+      USERS_TYPING: 'chat:conversation:users_typing',
       NEW_CONVERSATION: 'chat:conversation:created',
       CONVERSATION_DELETION: 'chat:conversation:deleted',
       TEXT_MESSAGE: 'chat:message:text',
@@ -37,14 +91,33 @@
       UNSET_ACTIVE_ROOM: 'chat:message:unset_active_room',
       CONVERSATIONS: {
         UPDATE: 'chat:conversation:update'
+      },
+      SCROLL: {
+        DOWN: 'chat:scroll:down',
+        TO_MESSAGE: 'chat:scroll:message'
       }
     })
     .constant('CHAT_WEBSOCKET_EVENTS', {
+      CONNECTED: 'connected',
+      CONVERSATION_TYPING: 'chat:conversation:typing',
+      CONVERSATION_VIEW: 'conversation:view',
       MESSAGE: 'message',
+      RESYNC: 'resync',
+      USER_ACTIVITY: 'user:activity',
+      USER_TYPING: 'user:typing',
       CONVERSATION: {
-        MEMBER_READ: 'chat:conversation:member:read'
+        MEMBER_READ: 'chat:conversation:member:read',
+        MEMBER_READ_RECEIPT: 'chat:conversation:member:read_receipt',
+        MEMBER_UNREAD: 'chat:conversation:member:unread'
       }
     })
+    .constant('CHAT_MESSAGE_PERMALINK_STATE', 'chat.channels-views.message')
+    // only a window of the loaded messages is rendered, it is moved by STEP messages when scrolling out of it
+    .constant('CHAT_MESSAGES_WINDOW', {
+      SIZE: 100,
+      STEP: 30,
+      SCROLL_THRESHOLD: 100
+    })
     .constant('CHAT_WEBSOCKET_ROOM', {
       DEFAULT: 'default'
     })
@@ -54,7 +127,7 @@
       BOT: 'bot'
     })
     .constant('CHAT_MESSAGE_PREFIX', 'chat:message:')
-    .constant('CHAT_SYSTEM_MESSAGE_SUBTYPES', ['conversation_join', 'conversation_leave', 'topic_update'])
+    .constant('CHAT_SYSTEM_MESSAGE_SUBTYPES', ['conversation_join', 'conversation_leave', 'message_pin', 'message_unpin', 'topic_update'])
     .constant('CHAT_STATUS_ICON', {
       CONFIDENTIAL: 'confidential',
       DM: 'dm',
@@ -96,6 +169,41 @@
       TEXT: 'text',
       FILE: 'file'
     })
+    .constant('CHAT_MESSAGE_STATUS', {
+      PENDING: 'pending',
+      SENT: 'sent',
+      FAILED: 'failed'
+    })
+    .constant('CHAT_MESSAGE_ACK_TIMEOUT', 10000)
+    .constant('CHAT_KNOWN_MESSAGES_LIMIT', 200)
+    .constant('CHAT_USER_PRESENCE', {
+      AWAY: 'away',
+      DO_NOT_DISTURB: 'dnd',
+      OFFLINE: 'offline',
+      ONLINE: 'online'
+    })
+    .constant('CHAT_USER_AWAY_DELAY', 300000)
+    .constant('CHAT_TYPING', {
+      // the user stops typing when the text did not change for IDLE_DELAY
+      IDLE_DELAY: 2000,
+      // a user still typing says it again every REFRESH_DELAY, the server expires them otherwise
+      REFRESH_DELAY: 2000,
+      // a user is not displayed as typing anymore when nothing has been received for TIMEOUT
+      TIMEOUT: 8000
+    })
+    .constant('CHAT_USER_STATUS', {
+      TEXT_MAX_LENGTH: 100
+    })
+    .constant('CHAT_MESSAGE_FORMATS', {
+      // the markups of the formatting toolbar, block ones start on their own line
+      BOLD: {before: '**'},
+      ITALIC: {before: '_'},
+      STRIKETHROUGH: {before: '~~'},
+      CODE: {before: '`'},
+      CODE_BLOCK: {before: '```\n', after: '\n```', block: true},
+      QUOTE: {prefix: '> '},
+      LIST: {prefix: '- '}
+    })
     .constant('CHAT_MESSAGE_GROUP', {
       SAME_USER_LENGTH: 10,
       TIMESPAN: 60000
@@ -106,7 +214,8 @@
       ARROW_LEFT: 37,
       ARROW_UP: 38,
       ARROW_RIGHT: 39,
-      ARROW_DOWN: 40
+      ARROW_DOWN: 40,
+      ESCAPE: 27
     })
     .constant('CHAT_BOT', {
       MESSAGE_DEFAULT_SUBTYPES: 'text',
@@ -8,6 +8,7 @@
     'esn.pagination',
     'restangular',
     'esn.collaboration',
+    'esn.configuration',
     'esn.search',
     'esn.attachment',
     'esn.attachment-list',
@@ -39,6 +40,7 @@
     'angular-inview',
     'esn.module-registry',
     'esn.datetime',
-    'esn.app-state'
+    'esn.app-state',
+    'uuid4'
   ]);
 })();
@@ -48,6 +48,10 @@
           chatLastConversationService.set(conversation._id);
         }
       })
+      // permalink of a message, the conversation view loads the messages around it
+      .state('chat.channels-views.message', {
+        url: '/message/:messageId'
+      })
       .state('chat.channels-views.attachments', {
         url: '/attachments',
         views: {
@@ -72,6 +76,22 @@
           }
         }
       })
+      .state('chat.channels-views.pinned', {
+        url: '/pinned',
+        views: {
+          'sidebar@chat.channels-views': {
+            template: '<chat-conversation-sidebar-pinned-list/>'
+          }
+        }
+      })
+      .state('chat.channels-views.thread', {
+        url: '/thread/:messageId',
+        views: {
+          'sidebar@chat.channels-views': {
+            template: '<chat-conversation-sidebar-thread/>'
+          }
+        }
+      })
       .state('chat.channels-views.member', {
         url: '/member/:memberId',
         views: {
@@ -0,0 +1,18 @@
+(function() {
+  'use strict';
+
+  angular.module('linagora.esn.chat')
+    .component('chatUserPresence', chatUserPresence());
+
+  function chatUserPresence() {
+    return {
+      bindings: {
+        userId: '=',
+        showLabel: '=?'
+      },
+      controller: 'ChatUserPresenceController',
+      controllerAs: 'ctrl',
+      templateUrl: '/chat/app/components/user-presence/user-presence.html'
+    };
+  }
+})();
@@ -0,0 +1,37 @@
+(function() {
+  'use strict';
+
+  angular.module('linagora.esn.chat')
+    .controller('ChatUserPresenceController', ChatUserPresenceController);
+
+  function ChatUserPresenceController($log, $scope, chatUserPresenceService, CHAT_EVENTS, CHAT_USER_PRESENCE) {
+    var self = this;
+
+    self.$onInit = $onInit;
+    self.state = CHAT_USER_PRESENCE.OFFLINE;
+
+    function $onInit() {
+      $scope.$watch(function() {
+        return self.userId;
+      }, updateState);
+
+      $scope.$on(CHAT_EVENTS.USER_CHANGE_STATE, function(event, data) {
+        if (data.userId === self.userId) {
+          self.state = data.state;
+        }
+      });
+    }
+
+    function updateState(userId) {
+      if (!userId) {
+        return;
+      }
+
+      chatUserPresenceService.get(userId).then(function(state) {
+        self.state = state;
+      }, function(err) {
+        $log.error('Can not get the state of user', userId, err);
+      });
+    }
+  }
+})();
@@ -0,0 +1,73 @@
+'use strict';
+
+/* global chai, sinon: false */
+
+var expect = chai.expect;
+
+describe('The ChatUserPresenceController controller', function() {
+  var $controller, $q, $rootScope, $scope, chatUserPresenceService, CHAT_EVENTS, CHAT_USER_PRESENCE;
+
+  beforeEach(function() {
+    chatUserPresenceService = {
+      get: sinon.spy(function() {
+        return $q.when('away');
+      })
+    };
+
+    module('linagora.esn.chat', function($provide) {
+      $provide.value('searchProviders', {
+        add: sinon.spy()
+      });
+      $provide.value('chatSearchProviderService', {});
+      $provide.value('chatUserPresenceService', chatUserPresenceService);
+    });
+  });
+
+  beforeEach(angular.mock.inject(function(_$controller_, _$q_, _$rootScope_, _CHAT_EVENTS_, _CHAT_USER_PRESENCE_) {
+    $controller = _$controller_;
+    $q = _$q_;
+    $rootScope = _$rootScope_;
+    CHAT_EVENTS = _CHAT_EVENTS_;
+    CHAT_USER_PRESENCE = _CHAT_USER_PRESENCE_;
+    $scope = $rootScope.$new();
+  }));
+
+  function initController(userId) {
+    var controller = $controller('ChatUserPresenceController', {$scope: $scope}, {userId: userId});
+
+    controller.$onInit();
+    $scope.$digest();
+
+    return controller;
+  }
+
+  it('should be offline by default', function() {
+    var controller = initController();
+
+    expect(controller.state).to.equal(CHAT_USER_PRESENCE.OFFLINE);
+    expect(chatUserPresenceService.get).to.not.have.been.called;
+  });
+
+  it('should get the state of the user', function() {
+    var controller = initController('userId');
+
+    expect(chatUserPresenceService.get).to.have.been.calledWith('userId');
+    expect(controller.state).to.equal(CHAT_USER_PRESENCE.AWAY);
+  });
+
+  it('should update the state when the user changes it', function() {
+    var controller = initController('userId');
+
+    $rootScope.$broadcast(CHAT_EVENTS.USER_CHANGE_STATE, {userId: 'userId', state: CHAT_USER_PRESENCE.ONLINE});
+
+    expect(controller.state).to.equal(CHAT_USER_PRESENCE.ONLINE);
+  });
+
+  it('should not update the state when another user changes it', function() {
+    var controller = initController('userId');
+
+    $rootScope.$broadcast(CHAT_EVENTS.USER_CHANGE_STATE, {userId: 'otherUserId', state: CHAT_USER_PRESENCE.ONLINE});
+
+    expect(controller.state).to.equal(CHAT_USER_PRESENCE.AWAY);
+  });
+});
@@ -0,0 +1,14 @@
+(function() {
+  'use strict';
+
+  angular.module('linagora.esn.chat')
+    .component('chatUserStatusEditor', chatUserStatusEditor());
+
+  function chatUserStatusEditor() {
+    return {
+      controller: 'ChatUserStatusEditorController',
+      controllerAs: 'ctrl',
+      templateUrl: '/chat/app/components/user-status-editor/user-status-editor.html'
+    };
+  }
+})();
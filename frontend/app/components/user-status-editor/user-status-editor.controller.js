@@ -0,0 +1,74 @@
+(function() {
+  'use strict';
+
+  angular.module('linagora.esn.chat')
+    .controller('ChatUserStatusEditorController', ChatUserStatusEditorController);
+
+  function ChatUserStatusEditorController($log, session, notificationFactory, chatUserStatusService, CHAT_USER_STATUS) {
+    var self = this;
+
+    self.$onInit = $onInit;
+    self.clear = clear;
+    self.save = save;
+    self.textMaxLength = CHAT_USER_STATUS.TEXT_MAX_LENGTH;
+
+    function $onInit() {
+      self.form = {text: '', emoji: '', duration: ''};
+
+      chatUserStatusService.get(session.user._id).then(function(status) {
+        self.status = status;
+
+        if (status) {
+          self.form.text = status.text;
+          self.form.emoji = status.emoji || '';
+        }
+      }, function(err) {
+        $log.error('Can not get the status of the current user', err);
+      });
+    }
+
+    function clear() {
+      return chatUserStatusService.clear().then(function() {
+        self.status = null;
+        self.form = {text: '', emoji: '', duration: ''};
+      }, function(err) {
+        $log.error('Can not clear the status', err);
+        notificationFactory.weakError('error', 'Can not clear the status');
+      });
+    }
+
+    // duration is a number of minutes, or "today" to expire at the end of the day
+    function getExpiration(duration) {
+      if (!duration) {
+        return;
+      }
+
+      if (duration === 'today') {
+        var endOfDay = new Date();
+
+        endOfDay.setHours(23, 59, 59, 999);
+
+        return endOfDay.toISOString();
+      }
+
+      return new Date(Date.now() + (parseInt(duration, 10) * 60000)).toISOString();
+    }
+
+    function save() {
+      if (!self.form.text) {
+        return;
+      }
+
+      return chatUserStatusService.set({
+        text: self.form.text,
+        emoji: self.form.emoji || undefined,
+        expiration: getExpiration(self.form.duration)
+      }).then(function(status) {
+        self.status = status;
+      }, function(err) {
+        $log.error('Can not update the status', err);
+        notificationFactory.weakError('error', 'Can not update the status');
+      });
+    }
+  }
+})();
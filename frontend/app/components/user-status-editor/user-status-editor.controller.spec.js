@@ -0,0 +1,118 @@
+'use strict';
+
+/* global chai, sinon: false */
+
+var expect = chai.expect;
+
+describe('The ChatUserStatusEditorController controller', function() {
+  var $controller, $q, $rootScope, chatUserStatusService, notificationFactory, status;
+
+  beforeEach(function() {
+    status = {text: 'In a meeting', emoji: 'calendar'};
+    chatUserStatusService = {
+      clear: sinon.spy(function() {
+        return $q.when();
+      }),
+      get: sinon.spy(function() {
+        return $q.when(status);
+      }),
+      set: sinon.spy(function(status) {
+        return $q.when(status);
+      })
+    };
+    notificationFactory = {
+      weakError: sinon.spy()
+    };
+
+    module('linagora.esn.chat', function($provide) {
+      $provide.value('searchProviders', {
+        add: sinon.spy()
+      });
+      $provide.value('chatSearchProviderService', {});
+      $provide.value('chatUserStatusService', chatUserStatusService);
+      $provide.value('notificationFactory', notificationFactory);
+      $provide.value('session', {user: {_id: 'userId'}});
+    });
+  });
+
+  beforeEach(angular.mock.inject(function(_$controller_, _$q_, _$rootScope_) {
+    $controller = _$controller_;
+    $q = _$q_;
+    $rootScope = _$rootScope_;
+  }));
+
+  function initController() {
+    var controller = $controller('ChatUserStatusEditorController');
+
+    controller.$onInit();
+    $rootScope.$digest();
+
+    return controller;
+  }
+
+  it('should fill the form with the current status', function() {
+    var controller = initController();
+
+    expect(chatUserStatusService.get).to.have.been.calledWith('userId');
+    expect(controller.form).to.deep.equal({text: 'In a meeting', emoji: 'calendar', duration: ''});
+  });
+
+  describe('The save function', function() {
+    it('should save the status without expiration by default', function() {
+      var controller = initController();
+
+      controller.save();
+      $rootScope.$digest();
+
+      expect(chatUserStatusService.set).to.have.been.calledWith({text: 'In a meeting', emoji: 'calendar', expiration: undefined});
+    });
+
+    it('should compute the expiration from the selected duration', function() {
+      var controller = initController();
+      var before = Date.now();
+
+      controller.form.duration = '30';
+      controller.save();
+      $rootScope.$digest();
+
+      var expiration = new Date(chatUserStatusService.set.firstCall.args[0].expiration).getTime();
+
+      expect(expiration).to.be.at.least(before + 1800000);
+      expect(expiration).to.be.at.most(Date.now() + 1800000);
+    });
+
+    it('should not save a status without text', function() {
+      var controller = initController();
+
+      controller.form.text = '';
+      controller.save();
+
+      expect(chatUserStatusService.set).to.not.have.been.called;
+    });
+
+    it('should notify when the status can not be saved', function() {
+      var controller = initController();
+
+      chatUserStatusService.set = sinon.spy(function() {
+        return $q.reject(new Error('failed'));
+      });
+      controller.save();
+      $rootScope.$digest();
+
+      expect(notificationFactory.weakError).to.have.been.calledWith('error', 'Can not update the status');
+    });
+  });
+
+  describe('The clear function', function() {
+    it('should clear the status and reset the form', function() {
+      var controller = initController();
+
+      controller.clear();
+      $rootScope.$digest();
+
+      expect(chatUserStatusService.clear).to.have.been.called;
+      expect(controller.status).to.be.null;
+      expect(controller.form.text).to.equal('');
+    });
+  });
+});
@@ -0,0 +1,18 @@
+(function() {
+  'use strict';
+
+  angular.module('linagora.esn.chat')
+    .component('chatUserStatus', chatUserStatus());
+
+  function chatUserStatus() {
+    return {
+      bindings: {
+        userId: '=',
+        compact: '=?'
+      },
+      controller: 'ChatUserStatusController',
+      controllerAs: 'ctrl',
+      templateUrl: '/chat/app/components/user-status/user-status.html'
+    };
+  }
+})();
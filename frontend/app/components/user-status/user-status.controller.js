@@ -0,0 +1,38 @@
+(function() {
+  'use strict';
+
+  angular.module('linagora.esn.chat')
+    .controller('ChatUserStatusController', ChatUserStatusController);
+
+  function ChatUserStatusController($log, $scope, chatUserStatusService, CHAT_EVENTS) {
+    var self = this;
+
+    self.$onInit = $onInit;
+
+    function $onInit() {
+      $scope.$watch(function() {
+        return self.userId;
+      }, updateStatus);
+
+      $scope.$on(CHAT_EVENTS.USER_STATUS_UPDATED, function(event, data) {
+        if (data.userId === self.userId) {
+          self.status = data.status;
+        }
+      });
+    }
+
+    function updateStatus(userId) {
+      self.status = null;
+
+      if (!userId) {
+        return;
+      }
+
+      chatUserStatusService.get(userId).then(function(status) {
+        self.status = status;
+      }, function(err) {
+        $log.error('Can not get the status of user', userId, err);
+      });
+    }
+  }
+})();
@@ -0,0 +1,66 @@
+'use strict';
+
+/* global chai, sinon: false */
+
+var expect = chai.expect;
+
+describe('The ChatUserStatusController controller', function() {
+  var $controller, $q, $rootScope, $scope, chatUserStatusService, status, CHAT_EVENTS;
+
+  beforeEach(function() {
+    status = {text: 'In a meeting'};
+    chatUserStatusService = {
+      get: sinon.spy(function() {
+        return $q.when(status);
+      })
+    };
+
+    module('linagora.esn.chat', function($provide) {
+      $provide.value('searchProviders', {
+        add: sinon.spy()
+      });
+      $provide.value('chatSearchProviderService', {});
+      $provide.value('chatUserStatusService', chatUserStatusService);
+    });
+  });
+
+  beforeEach(angular.mock.inject(function(_$controller_, _$q_, _$rootScope_, _CHAT_EVENTS_) {
+    $controller = _$controller_;
+    $q = _$q_;
+    $rootScope = _$rootScope_;
+    CHAT_EVENTS = _CHAT_EVENTS_;
+    $scope = $rootScope.$new();
+  }));
+
+  function initController(userId) {
+    var controller = $controller('ChatUserStatusController', {$scope: $scope}, {userId: userId});
+
+    controller.$onInit();
+    $scope.$digest();
+
+    return controller;
+  }
+
+  it('should get the status of the user', function() {
+    var controller = initController('userId');
+
+    expect(chatUserStatusService.get).to.have.been.calledWith('userId');
+    expect(controller.status).to.equal(status);
+  });
+
+  it('should update the status when the user changes it', function() {
+    var controller = initController('userId');
+
+    $rootScope.$broadcast(CHAT_EVENTS.USER_STATUS_UPDATED, {userId: 'userId', status: null});
+
+    expect(controller.status).to.be.null;
+  });
+
+  it('should not update the status when another user changes it', function() {
+    var controller = initController('userId');
+
+    $rootScope.$broadcast(CHAT_EVENTS.USER_STATUS_UPDATED, {userId: 'otherUserId', status: null});
+
+    expect(controller.status).to.equal(status);
+  });
+});
@@ -0,0 +1,14 @@
+(function() {
+  'use strict';
+
+  angular.module('linagora.esn.chat')
+    .component('chatAttachmentLightbox', chatAttachmentLightbox());
+
+    function chatAttachmentLightbox() {
+      return {
+        controller: 'chatAttachmentLightboxController',
+        controllerAs: 'ctrl',
+        templateUrl: '/chat/app/conversation/attachments/lightbox/attachment-lightbox.html'
+      };
+    }
+})();
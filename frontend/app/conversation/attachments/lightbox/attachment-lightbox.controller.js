@@ -0,0 +1,46 @@
+(function() {
+  'use strict';
+
+  angular.module('linagora.esn.chat')
+    .controller('chatAttachmentLightboxController', chatAttachmentLightboxController);
+
+    function chatAttachmentLightboxController($document, $scope, chatAttachmentLightboxService, KEY_CODE) {
+      var self = this;
+      var KEY_ACTIONS = {};
+
+      KEY_ACTIONS[KEY_CODE.ARROW_LEFT] = chatAttachmentLightboxService.previous;
+      KEY_ACTIONS[KEY_CODE.ARROW_RIGHT] = chatAttachmentLightboxService.next;
+      KEY_ACTIONS[KEY_CODE.ESCAPE] = chatAttachmentLightboxService.close;
+
+      self.lightbox = chatAttachmentLightboxService.lightbox;
+      self.close = chatAttachmentLightboxService.close;
+      self.hasNext = chatAttachmentLightboxService.hasNext;
+      self.hasPrevious = chatAttachmentLightboxService.hasPrevious;
+      self.next = chatAttachmentLightboxService.next;
+      self.previous = chatAttachmentLightboxService.previous;
+      self.getImage = getImage;
+      self.$onInit = $onInit;
+
+      function $onInit() {
+        $document.on('keydown', onKeydown);
+        $scope.$on('$destroy', function() {
+          $document.off('keydown', onKeydown);
+        });
+      }
+
+      function getImage() {
+        return self.lightbox.images[self.lightbox.index];
+      }
+
+      function onKeydown(event) {
+        var action = KEY_ACTIONS[event.keyCode];
+
+        if (!self.lightbox.opened || !action) {
+          return;
+        }
+
+        event.preventDefault();
+        $scope.$apply(action);
+      }
+    }
+})();
@@ -0,0 +1,84 @@
+'use strict';
+
+/* global chai, sinon: false */
+
+var expect = chai.expect;
+
+describe('The chatAttachmentLightboxController controller', function() {
+
+  var $controller, $document, $rootScope, scope, chatAttachmentLightboxService, KEY_CODE;
+
+  beforeEach(module('linagora.esn.chat', function($provide) {
+    $provide.value('searchProviders', {
+      add: sinon.spy()
+    });
+    $provide.value('chatSearchProviderService', {});
+  }));
+
+  beforeEach(angular.mock.inject(function(_$controller_, _$document_, _$rootScope_, _chatAttachmentLightboxService_, _KEY_CODE_) {
+    $controller = _$controller_;
+    $document = _$document_;
+    $rootScope = _$rootScope_;
+    chatAttachmentLightboxService = _chatAttachmentLightboxService_;
+    KEY_CODE = _KEY_CODE_;
+    scope = $rootScope.$new();
+
+    chatAttachmentLightboxService.lightbox.opened = true;
+    chatAttachmentLightboxService.lightbox.images = [{_id: 'image1'}, {_id: 'image2'}];
+    chatAttachmentLightboxService.lightbox.index = 0;
+  }));
+
+  function initController() {
+    var controller = $controller('chatAttachmentLightboxController', {$scope: scope});
+
+    controller.$onInit();
+
+    return controller;
+  }
+
+  function keydown(keyCode) {
+    $document.triggerHandler({type: 'keydown', keyCode: keyCode});
+  }
+
+  it('should get the displayed image', function() {
+    chatAttachmentLightboxService.lightbox.index = 1;
+
+    expect(initController().getImage()).to.deep.equal({_id: 'image2'});
+  });
+
+  it('should browse the images with the arrow keys', function() {
+    initController();
+
+    keydown(KEY_CODE.ARROW_RIGHT);
+    expect(chatAttachmentLightboxService.lightbox.index).to.equal(1);
+
+    keydown(KEY_CODE.ARROW_LEFT);
+    expect(chatAttachmentLightboxService.lightbox.index).to.equal(0);
+  });
+
+  it('should close the lightbox with the escape key', function() {
+    initController();
+
+    keydown(KEY_CODE.ESCAPE);
+
+    expect(chatAttachmentLightboxService.lightbox.opened).to.be.false;
+  });
+
+  it('should not handle the keys when the lightbox is closed', function() {
+    chatAttachmentLightboxService.lightbox.opened = false;
+    initController();
+
+    keydown(KEY_CODE.ARROW_RIGHT);
+
+    expect(chatAttachmentLightboxService.lightbox.index).to.equal(0);
+  });
+
+  it('should not handle the keys once destroyed', function() {
+    initController();
+    scope.$destroy();
+
+    keydown(KEY_CODE.ARROW_RIGHT);
+
+    expect(chatAttachmentLightboxService.lightbox.index).to.equal(0);
+  });
+});
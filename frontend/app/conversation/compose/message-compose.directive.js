@@ -5,7 +5,7 @@
     .module('linagora.esn.chat')
     .directive('chatMessageCompose', chatMessageCompose);
 
-  function chatMessageCompose($log, $rootScope, deviceDetector, session, chatConversationsStoreService, chatScrollService, chatMessageService, KEY_CODE, chatHumanizeEntitiesLabel, chatComposerState, ChatTextManipulator) {
+  function chatMessageCompose($filter, $log, $rootScope, deviceDetector, session, chatConversationsStoreService, chatScrollService, chatMessageService, chatTypingService, KEY_CODE, chatHumanizeEntitiesLabel, chatComposerState, chatMessageFormatter, ChatTextManipulator, CHAT_MESSAGE_FORMATS, CHAT_TYPING) {
     var directive = {
       restrict: 'E',
       templateUrl: '/chat/app/conversation/compose/message-compose.html',
@@ -30,6 +30,7 @@
       var currentRoomId = chatConversationsStoreService.activeRoom._id;
 
       scope.typing = false;
+      scope.preview = false;
       scope.text = '';
 
       chatComposerState.getMessage(chatConversationsStoreService.activeRoom._id).then(function(message) {
@@ -38,20 +39,20 @@
 
       scope.$on('$destroy', function() {
         chatComposerState.saveMessage(currentRoomId, {text: scope.text});
+        stopTyping();
       });
 
       function sendUserTyping(state) {
-        var message = {
-          state: state,
-          channel: chatConversationsStoreService.activeRoom._id,
-          date: Date.now()
-        };
+        chatTypingService.setTyping(currentRoomId, state);
+      }
 
-        chatMessageService.sendUserTyping(message).then(function(result) {
-          $log.debug('Message ACK', result);
-        }, function(err) {
-          $log.error('Error while sending message', err);
-        });
+      function stopTyping() {
+        clearTimeout(timer);
+
+        if (scope.typing) {
+          scope.typing = false;
+          sendUserTyping(false);
+        }
       }
 
       function textareaAdapter() {
@@ -86,15 +87,14 @@
       });
 
       scope.onTextChanged = function() {
-        if (!scope.typing) {
-          sendUserTyping(true);
-        }
+        // sent again while typing, chatTypingService throttles it
+        sendUserTyping(true);
         scope.typing = true;
         clearTimeout(timer);
         timer = setTimeout(function() {
           scope.typing = false;
           sendUserTyping(false);
-        }, 2000);
+        }, CHAT_TYPING.IDLE_DELAY);
         $rootScope.$broadcast('chat:message:compose:textChanged', textareaAdapter());
       };
 
@@ -121,7 +121,9 @@
 
         var message = buildCurrentMessage();
 
+        stopTyping();
         scope.text = '';
+        scope.preview = false;
         chatHumanizeEntitiesLabel.reset();
 
         if (chatScrollService.canScrollDown(message.channel)) {
@@ -134,6 +136,37 @@
         });
       };
 
+      scope.applyFormat = function(name) {
+        var format = CHAT_MESSAGE_FORMATS[name];
+        var adapter = textareaAdapter();
+        var before = format.before;
+        var result;
+
+        if (format.prefix) {
+          result = ChatTextManipulator.prefixSelectedLines(format.prefix, adapter.value, adapter.selectionStart, adapter.selectionEnd);
+        } else {
+          if (format.block && adapter.selectionStart > 0 && adapter.value.charAt(adapter.selectionStart - 1) !== '\n') {
+            before = '\n' + before;
+          }
+
+          result = ChatTextManipulator.wrapSelectedText(before, format.after, adapter.value, adapter.selectionStart, adapter.selectionEnd);
+        }
+
+        scope.preview = false;
+        adapter.replaceText(result.text, result.selectionStart, result.selectionEnd);
+      };
+
+      scope.togglePreview = function() {
+        scope.preview = !scope.preview;
+      };
+
+      // the mentions are displayed as they are typed, they are only resolved once the message is sent
+      scope.getPreview = function() {
+        return chatMessageFormatter.format(scope.text, function(text) {
+          return $filter('esnEmoticonify')($filter('linky')(text, '_blank'), {class: 'chat-emoji'});
+        });
+      };
+
       scope.onEmojiSelected = function(emojiValue) {
         if (emojiValue) {
           scope.text = ChatTextManipulator.replaceSelectedText(emojiValue, textarea.value, textarea.selectionStart, textarea.selectionEnd);
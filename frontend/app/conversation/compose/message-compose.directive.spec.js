@@ -5,7 +5,7 @@
 var expect = chai.expect;
 
 describe('The message-compose directive', function() {
-  var $scope, $rootScope, $compile, $q, chatComposerState, deviceDetector, chatConversationsStoreService, chatMessageService, domainAPI, ChatTextManipulator;
+  var element, $scope, $rootScope, $compile, $q, chatComposerState, deviceDetector, chatConversationsStoreService, chatMessageService, chatTypingService, domainAPI, ChatTextManipulator;
 
   beforeEach(function() {
     chatComposerState = {
@@ -25,12 +25,15 @@ describe('The message-compose directive', function() {
     };
 
     chatMessageService = {
-      sendUserTyping: sinon.spy(),
       sendMessage: sinon.spy(),
       sendMessageWithAttachments: sinon.spy(),
       connect: sinon.spy()
     };
 
+    chatTypingService = {
+      setTyping: sinon.spy()
+    };
+
     domainAPI = {
       getMembers: sinon.spy(function() {
         return $q.when();
@@ -43,6 +46,7 @@ describe('The message-compose directive', function() {
       $provide.value('deviceDetector', deviceDetector);
       $provide.value('chatConversationsStoreService', chatConversationsStoreService);
       $provide.value('chatMessageService', chatMessageService);
+      $provide.value('chatTypingService', chatTypingService);
       $provide.value('domainAPI', domainAPI);
       $provide.value('chatSearchProviderService', {});
       $provide.value('session', {user: {_id: ''}});
@@ -51,6 +55,9 @@ describe('The message-compose directive', function() {
       $provide.value('searchProviders', {add: sinon.spy()});
       $provide.value('esnEmoticonRegistry', {getShortNames: sinon.spy()});
       $provide.value('notificationFactory', {});
+      $provide.value('esnEmoticonifyFilter', function(text) {
+        return text;
+      });
     });
   });
 
@@ -63,7 +70,7 @@ describe('The message-compose directive', function() {
 
   function initDirective() {
     $scope = $rootScope.$new();
-    $compile('<chat-message-compose channel-id=""></chat-message-compose>')($scope);
+    element = $compile('<chat-message-compose channel-id=""></chat-message-compose>')($scope);
     $scope.$digest();
   }
 
@@ -117,4 +124,107 @@ describe('The message-compose directive', function() {
 
     expect($scope.text).to.equal(':aValue:');
   });
+
+  describe('The typing state', function() {
+    it('should tell the user is typing when the text changes', function() {
+      initDirective();
+
+      $scope.onTextChanged();
+
+      expect(chatTypingService.setTyping).to.have.been.calledWith('1', true);
+    });
+
+    it('should tell the user stopped typing when the message is sent', function() {
+      chatMessageService.sendMessage = sinon.spy(function() {
+        return $q.when();
+      });
+      initDirective();
+
+      $scope.onTextChanged();
+      $scope.text = 'Hello';
+      $scope.sendMessage();
+
+      expect(chatTypingService.setTyping).to.have.been.calledWith('1', false);
+    });
+
+    it('should not tell the user stopped typing on scope destroy when they were not typing', function() {
+      initDirective();
+
+      $scope.$destroy();
+
+      expect(chatTypingService.setTyping).to.not.have.been.called;
+    });
+  });
+
+  describe('The formatting toolbar', function() {
+    function select(text, selectionStart, selectionEnd) {
+      var textarea = element.find('textarea').get(0);
+
+      $scope.text = text;
+      $scope.$digest();
+      textarea.setSelectionRange(selectionStart, selectionEnd);
+    }
+
+    it('should surround the selected text with the markup', function() {
+      initDirective();
+      select('Hello world', 6, 11);
+
+      $scope.applyFormat('BOLD');
+
+      expect($scope.text).to.equal('Hello **world**');
+    });
+
+    it('should start the code blocks on their own line', function() {
+      initDirective();
+      select('Hello world', 6, 11);
+
+      $scope.applyFormat('CODE_BLOCK');
+
+      expect($scope.text).to.equal('Hello \n```\nworld\n```');
+    });
+
+    it('should prefix the selected lines with the markup', function() {
+      initDirective();
+      select('one\ntwo', 0, 7);
+
+      $scope.applyFormat('QUOTE');
+
+      expect($scope.text).to.equal('> one\n> two');
+    });
+
+    it('should leave the preview to edit the formatted text', function() {
+      initDirective();
+      select('Hello', 0, 5);
+      $scope.togglePreview();
+
+      $scope.applyFormat('ITALIC');
+
+      expect($scope.preview).to.be.false;
+    });
+  });
+
+  describe('The preview', function() {
+    it('should display the formatted text', function() {
+      initDirective();
+      $scope.text = '**Hello** <b>world</b>';
+      $scope.togglePreview();
+      $scope.$digest();
+
+      expect($scope.getPreview()).to.equal('<strong>Hello</strong> &lt;b&gt;world&lt;/b&gt;');
+      expect(element.find('.chat-message-compose-preview strong').text()).to.equal('Hello');
+    });
+
+    it('should be closed when the message is sent', function() {
+      chatMessageService.sendMessage = sinon.spy(function() {
+        return $q.when();
+      });
+      initDirective();
+      $scope.togglePreview();
+      $scope.text = 'Hello';
+
+      $scope.sendMessage();
+
+      expect($scope.preview).to.be.false;
+    });
+  });
 });
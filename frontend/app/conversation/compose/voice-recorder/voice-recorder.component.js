@@ -0,0 +1,14 @@
+(function() {
+  'use strict';
+
+  angular.module('linagora.esn.chat')
+    .component('chatVoiceRecorder', chatVoiceRecorder());
+
+    function chatVoiceRecorder() {
+      return {
+        controller: 'chatVoiceRecorderController',
+        controllerAs: 'ctrl',
+        templateUrl: '/chat/app/conversation/compose/voice-recorder/voice-recorder.html'
+      };
+    }
+})();
@@ -0,0 +1,118 @@
+(function() {
+  'use strict';
+
+  angular.module('linagora.esn.chat')
+    .controller('chatVoiceRecorderController', chatVoiceRecorderController);
+
+    function chatVoiceRecorderController(
+      $interval,
+      $log,
+      $scope,
+      notificationFactory,
+      session,
+      chatConversationMemberService,
+      chatConversationsStoreService,
+      chatMessageService,
+      chatVoiceRecorderService,
+      CHAT_VOICE_MESSAGE
+    ) {
+      var self = this;
+      var timer;
+
+      self.$onInit = $onInit;
+      self.cancel = cancel;
+      self.start = start;
+      self.stop = stop;
+
+      function $onInit() {
+        self.supported = chatVoiceRecorderService.isSupported();
+        self.recording = null;
+        self.elapsed = 0;
+
+        // the recording is dropped when the conversation is left before it is sent
+        $scope.$on('$destroy', cancel);
+      }
+
+      function start() {
+        if (self.recording || self.starting) {
+          return;
+        }
+
+        var conversation = chatConversationsStoreService.activeRoom;
+
+        if (!chatConversationMemberService.currentUserIsMemberOf(conversation)) {
+          notificationFactory.weakError('error', 'You can not upload files without being a member');
+
+          return;
+        }
+
+        self.starting = true;
+        chatVoiceRecorderService.start().then(function(recording) {
+          self.recording = recording;
+          self.channel = conversation._id;
+          self.startDate = Date.now();
+          self.elapsed = 0;
+          timer = $interval(tick, 200);
+        }, function(err) {
+          $log.error('Can not record a voice message', err);
+          notificationFactory.weakError('error', 'Can not access the microphone');
+        }).finally(function() {
+          self.starting = false;
+        });
+      }
+
+      function tick() {
+        self.elapsed = (Date.now() - self.startDate) / 1000;
+
+        if (self.elapsed >= CHAT_VOICE_MESSAGE.MAX_DURATION) {
+          stop();
+        }
+      }
+
+      function stop() {
+        var recording = self.recording;
+
+        if (!recording) {
+          return;
+        }
+
+        var message = {
+          text: '',
+          creator: session.user._id,
+          channel: self.channel,
+          date: Date.now()
+        };
+
+        reset();
+
+        return recording.stop().then(function(file) {
+          if (file.duration < CHAT_VOICE_MESSAGE.MIN_DURATION) {
+            $log.debug('Voice message is too short to be sent', file.duration);
+
+            return;
+          }
+
+          return chatMessageService.sendMessageWithAttachments(message, [file]);
+        }).catch(function(err) {
+          $log.error('Error while sending voice message', err);
+
+          if (err && err.rejectedFiles) {
+            notificationFactory.weakError('error', err.message);
+          }
+        });
+      }
+
+      function cancel() {
+        if (self.recording) {
+          self.recording.cancel();
+          reset();
+        }
+      }
+
+      function reset() {
+        $interval.cancel(timer);
+        self.recording = null;
+        self.elapsed = 0;
+      }
+    }
+})();
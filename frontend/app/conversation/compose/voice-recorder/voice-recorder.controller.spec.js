@@ -0,0 +1,194 @@
+'use strict';
+
+/* global chai, sinon: false */
+
+var expect = chai.expect;
+
+describe('The chatVoiceRecorderController controller', function() {
+
+  var $controller, $interval, $q, $rootScope, $scope, notificationFactory, chatConversationMemberService, chatMessageService, chatVoiceRecorderService, CHAT_VOICE_MESSAGE, recording, file;
+
+  beforeEach(function() {
+    file = {name: 'voice-message.webm', type: 'audio/webm', size: 2048, duration: 4.2};
+    recording = {
+      cancel: sinon.spy(),
+      stop: sinon.spy(function() {
+        return $q.when(file);
+      })
+    };
+    notificationFactory = {
+      weakError: sinon.spy()
+    };
+    chatConversationMemberService = {
+      currentUserIsMemberOf: sinon.spy(function() {
+        return true;
+      })
+    };
+    chatMessageService = {
+      sendMessageWithAttachments: sinon.spy(function() {
+        return $q.when();
+      })
+    };
+    chatVoiceRecorderService = {
+      isSupported: sinon.spy(function() {
+        return true;
+      }),
+      start: sinon.spy(function() {
+        return $q.when(recording);
+      })
+    };
+
+    module('linagora.esn.chat', function($provide) {
+      $provide.value('searchProviders', {
+        add: sinon.spy()
+      });
+      $provide.value('chatSearchProviderService', {});
+      $provide.value('notificationFactory', notificationFactory);
+      $provide.value('session', {user: {_id: 'userId'}});
+      $provide.value('chatConversationsStoreService', {activeRoom: {_id: 'conversationId'}});
+      $provide.value('chatConversationMemberService', chatConversationMemberService);
+      $provide.value('chatMessageService', chatMessageService);
+      $provide.value('chatVoiceRecorderService', chatVoiceRecorderService);
+    });
+
+    angular.mock.inject(function(_$controller_, _$interval_, _$q_, _$rootScope_, _CHAT_VOICE_MESSAGE_) {
+      $controller = _$controller_;
+      $interval = _$interval_;
+      $q = _$q_;
+      $rootScope = _$rootScope_;
+      CHAT_VOICE_MESSAGE = _CHAT_VOICE_MESSAGE_;
+      $scope = $rootScope.$new();
+    });
+  });
+
+  function initController() {
+    var controller = $controller('chatVoiceRecorderController', {$scope: $scope});
+
+    controller.$onInit();
+    $rootScope.$digest();
+
+    return controller;
+  }
+
+  function startRecording() {
+    var controller = initController();
+
+    controller.start();
+    $rootScope.$digest();
+
+    return controller;
+  }
+
+  it('should tell whether the browser can record voice messages', function() {
+    chatVoiceRecorderService.isSupported = sinon.spy(function() {
+      return false;
+    });
+
+    expect(initController().supported).to.be.false;
+  });
+
+  describe('The start function', function() {
+    it('should start recording', function() {
+      var controller = startRecording();
+
+      expect(chatVoiceRecorderService.start).to.have.been.calledOnce;
+      expect(controller.recording).to.equal(recording);
+    });
+
+    it('should not record when the user is not a member of the conversation', function() {
+      chatConversationMemberService.currentUserIsMemberOf = sinon.spy(function() {
+        return false;
+      });
+
+      var controller = startRecording();
+
+      expect(chatVoiceRecorderService.start).to.not.have.been.called;
+      expect(controller.recording).to.be.null;
+      expect(notificationFactory.weakError).to.have.been.calledWith('error', 'You can not upload files without being a member');
+    });
+
+    it('should show an error when the microphone can not be used', function() {
+      chatVoiceRecorderService.start = sinon.spy(function() {
+        return $q.reject(new Error('NotAllowedError'));
+      });
+
+      var controller = startRecording();
+
+      expect(controller.recording).to.be.null;
+      expect(controller.starting).to.be.false;
+      expect(notificationFactory.weakError).to.have.been.calledWith('error', 'Can not access the microphone');
+    });
+  });
+
+  describe('The stop function', function() {
+    it('should send the recording as an attachment of a message in the conversation', function() {
+      var controller = startRecording();
+
+      controller.stop();
+      $rootScope.$digest();
+
+      expect(recording.stop).to.have.been.calledOnce;
+      expect(chatMessageService.sendMessageWithAttachments).to.have.been.calledWith(sinon.match({
+        text: '',
+        creator: 'userId',
+        channel: 'conversationId'
+      }), [file]);
+      expect(controller.recording).to.be.null;
+    });
+
+    it('should not send the recordings which are too short', function() {
+      file.duration = CHAT_VOICE_MESSAGE.MIN_DURATION / 2;
+
+      startRecording().stop();
+      $rootScope.$digest();
+
+      expect(chatMessageService.sendMessageWithAttachments).to.not.have.been.called;
+    });
+
+    it('should show an error when the recording does not fit in the limits of the domain', function() {
+      var error = new Error('Some files are too large to be sent');
+
+      error.rejectedFiles = [file];
+      chatMessageService.sendMessageWithAttachments = sinon.spy(function() {
+        return $q.reject(error);
+      });
+
+      startRecording().stop();
+      $rootScope.$digest();
+
+      expect(notificationFactory.weakError).to.have.been.calledWith('error', 'Some files are too large to be sent');
+    });
+
+    it('should stop and send the recording once it reaches the maximum duration', function() {
+      var clock = sinon.useFakeTimers(Date.now());
+
+      startRecording();
+      clock.tick(CHAT_VOICE_MESSAGE.MAX_DURATION * 1000);
+      $interval.flush(200);
+      clock.restore();
+
+      expect(recording.stop).to.have.been.calledOnce;
+      expect(chatMessageService.sendMessageWithAttachments).to.have.been.calledOnce;
+    });
+  });
+
+  describe('The cancel function', function() {
+    it('should drop the recording', function() {
+      var controller = startRecording();
+
+      controller.cancel();
+
+      expect(recording.cancel).to.have.been.calledOnce;
+      expect(controller.recording).to.be.null;
+      expect(chatMessageService.sendMessageWithAttachments).to.not.have.been.called;
+    });
+
+    it('should drop the recording when the scope is destroyed', function() {
+      startRecording();
+
+      $scope.$destroy();
+
+      expect(recording.cancel).to.have.been.calledOnce;
+    });
+  });
+});
@@ -42,6 +42,10 @@
         chatMessageService.sendMessageWithAttachments(buildCurrentMessage(), files)
           .catch(function(err) {
             $log.error('Error while sending message with attachments', err);
+
+            if (err && err.rejectedFiles) {
+              notificationFactory.weakError('error', err.message);
+            }
           });
       }
     }
@@ -125,5 +125,30 @@ describe('the chatFileUploadController controller', function() {
 
       clock.restore();
     });
+
+    it('should show an error when the files do not fit in the limits of the domain', function() {
+      var error = new Error('Some files are too large to be sent');
+
+      error.rejectedFiles = files;
+      chatMessageService.sendMessageWithAttachments = sinon.spy(function() {
+        return $q.reject(error);
+      });
+
+      initController(conversation).onFileSelect(files);
+      $rootScope.$digest();
+
+      expect(notificationFactory.weakError).to.have.been.calledWith('error', 'Some files are too large to be sent');
+    });
+
+    it('should not show an error when the message can not be sent', function() {
+      chatMessageService.sendMessageWithAttachments = sinon.spy(function() {
+        return $q.reject(new Error('No acknowledgement received from the server'));
+      });
+
+      initController(conversation).onFileSelect(files);
+      $rootScope.$digest();
+
+      expect(notificationFactory.weakError).to.not.have.been.called;
+    });
   });
 });
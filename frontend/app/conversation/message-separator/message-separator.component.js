@@ -9,7 +9,8 @@
     return {
       bindings: {
         prevMessage: '=?',
-        currentMessage: '='
+        currentMessage: '=',
+        firstUnreadId: '<'
       },
       templateUrl: '/chat/app/conversation/message-separator/message-separator.html',
       controller: 'chatMessageSeparatorController',
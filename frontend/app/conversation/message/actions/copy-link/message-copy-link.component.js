@@ -0,0 +1,13 @@
+(function() {
+  'use strict';
+
+  angular.module('linagora.esn.chat')
+    .component('chatMessageCopyLink', chatMessageCopyLink());
+
+    function chatMessageCopyLink() {
+      return {
+        templateUrl: '/chat/app/conversation/message/actions/copy-link/message-copy-link.html',
+        controllerAs: 'ctrl'
+      };
+    }
+})();
@@ -0,0 +1,13 @@
+(function() {
+  'use strict';
+
+  angular.module('linagora.esn.chat')
+    .component('chatMessageDelete', chatMessageDelete());
+
+    function chatMessageDelete() {
+      return {
+        templateUrl: '/chat/app/conversation/message/actions/delete/message-delete.html',
+        controllerAs: 'ctrl'
+      };
+    }
+})();
@@ -0,0 +1,13 @@
+(function() {
+  'use strict';
+
+  angular.module('linagora.esn.chat')
+    .component('chatMessageEdit', chatMessageEdit());
+
+    function chatMessageEdit() {
+      return {
+        templateUrl: '/chat/app/conversation/message/actions/edit/message-edit.html',
+        controllerAs: 'ctrl'
+      };
+    }
+})();
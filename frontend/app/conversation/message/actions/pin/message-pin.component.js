@@ -0,0 +1,16 @@
+(function() {
+  'use strict';
+
+  angular.module('linagora.esn.chat')
+    .component('chatMessagePin', chatMessagePin());
+
+    function chatMessagePin() {
+      return {
+        bindings: {
+          pinned: '<'
+        },
+        templateUrl: '/chat/app/conversation/message/actions/pin/message-pin.html',
+        controllerAs: 'ctrl'
+      };
+    }
+})();
@@ -0,0 +1,13 @@
+(function() {
+  'use strict';
+
+  angular.module('linagora.esn.chat')
+    .component('chatMessageReply', chatMessageReply());
+
+    function chatMessageReply() {
+      return {
+        templateUrl: '/chat/app/conversation/message/actions/reply/message-reply.html',
+        controllerAs: 'ctrl'
+      };
+    }
+})();
@@ -0,0 +1,13 @@
+(function() {
+  'use strict';
+
+  angular.module('linagora.esn.chat')
+    .component('chatMessageUnread', chatMessageUnread());
+
+    function chatMessageUnread() {
+      return {
+        templateUrl: '/chat/app/conversation/message/actions/unread/message-unread.html',
+        controllerAs: 'ctrl'
+      };
+    }
+})();
@@ -0,0 +1,18 @@
+(function() {
+  'use strict';
+
+  angular.module('linagora.esn.chat')
+    .component('chatMessageAttachmentPreview', chatMessageAttachmentPreview());
+
+    function chatMessageAttachmentPreview() {
+      return {
+        bindings: {
+          attachment: '<',
+          messageId: '<'
+        },
+        controller: 'chatMessageAttachmentPreviewController',
+        controllerAs: 'ctrl',
+        templateUrl: '/chat/app/conversation/message/attachment-preview/message-attachment-preview.html'
+      };
+    }
+})();
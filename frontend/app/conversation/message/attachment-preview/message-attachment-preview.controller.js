@@ -0,0 +1,39 @@
+(function() {
+  'use strict';
+
+  angular.module('linagora.esn.chat')
+    .controller('chatMessageAttachmentPreviewController', chatMessageAttachmentPreviewController);
+
+    function chatMessageAttachmentPreviewController($log, chatAttachmentLightboxService, chatAttachmentPreviewService, CHAT_ATTACHMENT_PREVIEW) {
+      var self = this;
+
+      self.KIND = CHAT_ATTACHMENT_PREVIEW.KIND;
+      self.$onInit = $onInit;
+      self.onPreviewError = onPreviewError;
+      self.openLightbox = openLightbox;
+
+      function $onInit() {
+        self.kind = chatAttachmentPreviewService.getKind(self.attachment);
+        self.thumbnailUrl = chatAttachmentPreviewService.getThumbnailUrl(self.messageId, self.attachment._id);
+
+        if (self.kind === self.KIND.TEXT) {
+          chatAttachmentPreviewService.getExcerpt(self.messageId, self.attachment._id).then(function(excerpt) {
+            self.excerpt = excerpt;
+          }).catch(onPreviewError);
+        }
+      }
+
+      // the attachment is displayed as any file when the server can not preview it
+      function onPreviewError(err) {
+        if (err) {
+          $log.debug('Can not preview attachment', self.attachment._id, err);
+        }
+
+        self.kind = null;
+      }
+
+      function openLightbox() {
+        chatAttachmentLightboxService.open(self.attachment);
+      }
+    }
+})();
@@ -0,0 +1,89 @@
+'use strict';
+
+/* global chai, sinon: false */
+
+var expect = chai.expect;
+
+describe('The chatMessageAttachmentPreviewController controller', function() {
+
+  var $controller, $q, $rootScope, chatAttachmentLightboxService, chatAttachmentPreviewService, CHAT_ATTACHMENT_PREVIEW, attachment;
+
+  beforeEach(module('linagora.esn.chat', function($provide) {
+    $provide.value('searchProviders', {
+      add: sinon.spy()
+    });
+    $provide.value('chatSearchProviderService', {});
+  }));
+
+  beforeEach(angular.mock.inject(function(_$controller_, _$q_, _$rootScope_, _chatAttachmentLightboxService_, _chatAttachmentPreviewService_, _CHAT_ATTACHMENT_PREVIEW_) {
+    $controller = _$controller_;
+    $q = _$q_;
+    $rootScope = _$rootScope_;
+    chatAttachmentLightboxService = _chatAttachmentLightboxService_;
+    chatAttachmentPreviewService = _chatAttachmentPreviewService_;
+    CHAT_ATTACHMENT_PREVIEW = _CHAT_ATTACHMENT_PREVIEW_;
+
+    attachment = {_id: 'attachmentId', name: 'photo.png', contentType: 'image/png', length: 1024};
+    chatAttachmentPreviewService.getExcerpt = sinon.spy(function() {
+      return $q.when('the beginning of the file');
+    });
+  }));
+
+  function initController() {
+    var controller = $controller('chatMessageAttachmentPreviewController', {}, {attachment: attachment, messageId: 'messageId'});
+
+    controller.$onInit();
+    $rootScope.$digest();
+
+    return controller;
+  }
+
+  describe('the $onInit function', function() {
+    it('should display the thumbnail of the images', function() {
+      var controller = initController();
+
+      expect(controller.kind).to.equal(CHAT_ATTACHMENT_PREVIEW.KIND.IMAGE);
+      expect(controller.thumbnailUrl).to.equal('/chat/api/messages/messageId/attachments/attachmentId/thumbnail');
+      expect(chatAttachmentPreviewService.getExcerpt).to.not.have.been.called;
+    });
+
+    it('should load the excerpt of the text files', function() {
+      attachment.contentType = 'text/plain';
+
+      var controller = initController();
+
+      expect(chatAttachmentPreviewService.getExcerpt).to.have.been.calledWith('messageId', 'attachmentId');
+      expect(controller.excerpt).to.equal('the beginning of the file');
+    });
+
+    it('should display the text files as any file when their excerpt can not be loaded', function() {
+      attachment.contentType = 'text/plain';
+      chatAttachmentPreviewService.getExcerpt = sinon.spy(function() {
+        return $q.reject(new Error('404'));
+      });
+
+      expect(initController().kind).to.be.null;
+    });
+  });
+
+  describe('the onPreviewError function', function() {
+    it('should display the attachment as any file', function() {
+      var controller = initController();
+
+      controller.onPreviewError();
+
+      expect(controller.kind).to.be.null;
+    });
+  });
+
+  describe('the openLightbox function', function() {
+    it('should open the lightbox on the attachment', function() {
+      var controller = initController();
+
+      chatAttachmentLightboxService.open = sinon.spy();
+      controller.openLightbox();
+
+      expect(chatAttachmentLightboxService.open).to.have.been.calledWith(attachment);
+    });
+  });
+});
@@ -0,0 +1,17 @@
+(function() {
+  'use strict';
+
+  angular.module('linagora.esn.chat')
+    .directive('chatOnImageError', chatOnImageError);
+
+  function chatOnImageError() {
+    return {
+      restrict: 'A',
+      link: function(scope, element, attrs) {
+        element.on('error', function() {
+          scope.$apply(attrs.chatOnImageError);
+        });
+      }
+    };
+  }
+})();
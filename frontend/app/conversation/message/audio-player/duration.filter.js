@@ -0,0 +1,23 @@
+(function() {
+  'use strict';
+
+  angular.module('linagora.esn.chat')
+    .filter('chatDuration', chatDuration);
+
+  // formats a number of seconds as m:ss, or h:mm:ss for the longest ones
+  function chatDuration() {
+    return function(seconds) {
+      var value = Number(seconds);
+      var total = isFinite(value) && value > 0 ? Math.round(value) : 0;
+      var hours = Math.floor(total / 3600);
+      var minutes = Math.floor(total % 3600 / 60);
+      var parts = [minutes, total % 60].map(pad);
+
+      return hours ? [hours].concat(parts).join(':') : [String(minutes)].concat(parts.slice(1)).join(':');
+    };
+
+    function pad(value) {
+      return value < 10 ? '0' + value : String(value);
+    }
+  }
+})();
@@ -0,0 +1,36 @@
+'use strict';
+
+/* global chai, sinon: false */
+
+var expect = chai.expect;
+
+describe('The chatDuration filter', function() {
+  var chatDurationFilter;
+
+  beforeEach(module('linagora.esn.chat', function($provide) {
+    $provide.value('searchProviders', {
+      add: sinon.spy()
+    });
+    $provide.value('chatSearchProviderService', {});
+  }));
+
+  beforeEach(angular.mock.inject(function(_chatDurationFilter_) {
+    chatDurationFilter = _chatDurationFilter_;
+  }));
+
+  it('should format the seconds as minutes and seconds', function() {
+    expect(chatDurationFilter(0)).to.equal('0:00');
+    expect(chatDurationFilter(4.2)).to.equal('0:04');
+    expect(chatDurationFilter(65.6)).to.equal('1:06');
+    expect(chatDurationFilter(600)).to.equal('10:00');
+  });
+
+  it('should add the hours to the longest durations', function() {
+    expect(chatDurationFilter(3725)).to.equal('1:02:05');
+  });
+
+  it('should format the missing durations as zero', function() {
+    expect(chatDurationFilter(undefined)).to.equal('0:00');
+    expect(chatDurationFilter(Infinity)).to.equal('0:00');
+  });
+});
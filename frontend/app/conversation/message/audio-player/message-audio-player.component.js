@@ -0,0 +1,17 @@
+(function() {
+  'use strict';
+
+  angular.module('linagora.esn.chat')
+    .component('chatMessageAudioPlayer', chatMessageAudioPlayer());
+
+    function chatMessageAudioPlayer() {
+      return {
+        bindings: {
+          attachment: '<'
+        },
+        controller: 'chatMessageAudioPlayerController',
+        controllerAs: 'ctrl',
+        templateUrl: '/chat/app/conversation/message/audio-player/message-audio-player.html'
+      };
+    }
+})();
@@ -0,0 +1,114 @@
+(function() {
+  'use strict';
+
+  angular.module('linagora.esn.chat')
+    .controller('chatMessageAudioPlayerController', chatMessageAudioPlayerController);
+
+    function chatMessageAudioPlayerController(_, $log, $scope, $window, chatAudioWaveformService, CHAT_VOICE_MESSAGE) {
+      var self = this;
+      var audio;
+
+      self.$onInit = $onInit;
+      self.isPlayed = isPlayed;
+      self.seek = seek;
+      self.toggle = toggle;
+
+      function $onInit() {
+        self.url = '/api/files/' + self.attachment._id;
+        self.playing = false;
+        self.currentTime = 0;
+        // the files recorded by the browsers often do not tell their duration until they are played to the end
+        self.duration = self.attachment.duration || 0;
+        self.peaks = _.range(CHAT_VOICE_MESSAGE.WAVEFORM.BARS).map(_.constant(CHAT_VOICE_MESSAGE.WAVEFORM.MIN_PEAK));
+
+        if (self.attachment.length <= CHAT_VOICE_MESSAGE.WAVEFORM.MAX_SOURCE_SIZE) {
+          chatAudioWaveformService.getPeaks(self.url, CHAT_VOICE_MESSAGE.WAVEFORM.BARS).then(function(peaks) {
+            self.peaks = peaks;
+          }, function(err) {
+            $log.debug('Can not draw the waveform of attachment', self.attachment._id, err);
+          });
+        }
+
+        $scope.$on('$destroy', function() {
+          if (audio) {
+            audio.pause();
+          }
+        });
+      }
+
+      function getAudio() {
+        if (!audio) {
+          audio = new $window.Audio(self.url);
+          audio.addEventListener('timeupdate', update);
+          audio.addEventListener('durationchange', update);
+          audio.addEventListener('ended', function() {
+            $scope.$applyAsync(function() {
+              self.playing = false;
+              self.currentTime = 0;
+            });
+          });
+          audio.addEventListener('error', function() {
+            $log.error('Can not play attachment', self.attachment._id, audio.error);
+            $scope.$applyAsync(function() {
+              self.playing = false;
+              self.error = true;
+            });
+          });
+        }
+
+        return audio;
+      }
+
+      function update() {
+        $scope.$applyAsync(function() {
+          self.currentTime = audio.currentTime;
+
+          if (_.isFinite(audio.duration) && audio.duration > 0) {
+            self.duration = audio.duration;
+          }
+        });
+      }
+
+      function isPlayed(index) {
+        return self.duration > 0 && (index + 1) / self.peaks.length <= self.currentTime / self.duration;
+      }
+
+      function seek(index) {
+        if (!self.duration) {
+          return;
+        }
+
+        self.currentTime = index / self.peaks.length * self.duration;
+        getAudio().currentTime = self.currentTime;
+
+        if (!self.playing) {
+          toggle();
+        }
+      }
+
+      function toggle() {
+        var player = getAudio();
+
+        if (self.playing) {
+          player.pause();
+          self.playing = false;
+
+          return;
+        }
+
+        self.playing = true;
+        self.error = false;
+        // play returns a promise in the browsers which support it, which is rejected when the file can not be played
+        var playing = player.play();
+
+        if (playing && _.isFunction(playing.catch)) {
+          playing.catch(function(err) {
+            $log.error('Can not play attachment', self.attachment._id, err);
+            $scope.$applyAsync(function() {
+              self.playing = false;
+            });
+          });
+        }
+      }
+    }
+})();
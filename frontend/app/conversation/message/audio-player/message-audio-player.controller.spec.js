@@ -0,0 +1,169 @@
+'use strict';
+
+/* global chai, sinon: false */
+
+var expect = chai.expect;
+
+describe('The chatMessageAudioPlayerController controller', function() {
+
+  var $controller, $q, $rootScope, $scope, $window, chatAudioWaveformService, CHAT_VOICE_MESSAGE, attachment, audio, originalAudio;
+
+  beforeEach(module('linagora.esn.chat', function($provide) {
+    $provide.value('searchProviders', {
+      add: sinon.spy()
+    });
+    $provide.value('chatSearchProviderService', {});
+  }));
+
+  beforeEach(angular.mock.inject(function(_$controller_, _$q_, _$rootScope_, _$window_, _chatAudioWaveformService_, _CHAT_VOICE_MESSAGE_) {
+    $controller = _$controller_;
+    $q = _$q_;
+    $rootScope = _$rootScope_;
+    $window = _$window_;
+    chatAudioWaveformService = _chatAudioWaveformService_;
+    CHAT_VOICE_MESSAGE = _CHAT_VOICE_MESSAGE_;
+
+    $scope = $rootScope.$new();
+    attachment = {_id: 'fileId', name: 'voice-message.webm', contentType: 'audio/webm', length: 2048, duration: 10};
+    audio = undefined;
+    originalAudio = $window.Audio;
+    $window.Audio = function(url) {
+      var self = this;
+      var listeners = {};
+
+      audio = self;
+      self.url = url;
+      self.currentTime = 0;
+      self.duration = Infinity;
+      self.play = sinon.spy();
+      self.pause = sinon.spy();
+      self.addEventListener = function(name, listener) {
+        listeners[name] = listener;
+      };
+      self.trigger = function(name) {
+        listeners[name]();
+        $rootScope.$digest();
+      };
+    };
+    chatAudioWaveformService.getPeaks = sinon.spy(function() {
+      return $q.when([0.5, 1, 0.25, 0.75]);
+    });
+  }));
+
+  afterEach(function() {
+    $window.Audio = originalAudio;
+  });
+
+  function initController() {
+    var controller = $controller('chatMessageAudioPlayerController', {$scope: $scope}, {attachment: attachment});
+
+    controller.$onInit();
+    $rootScope.$digest();
+
+    return controller;
+  }
+
+  it('should draw the waveform of the attachment', function() {
+    var controller = initController();
+
+    expect(chatAudioWaveformService.getPeaks).to.have.been.calledWith('/api/files/fileId', CHAT_VOICE_MESSAGE.WAVEFORM.BARS);
+    expect(controller.peaks).to.deep.equal([0.5, 1, 0.25, 0.75]);
+    expect(controller.duration).to.equal(10);
+  });
+
+  it('should not download the attachments which are too big to draw their waveform', function() {
+    attachment.length = CHAT_VOICE_MESSAGE.WAVEFORM.MAX_SOURCE_SIZE + 1;
+
+    var controller = initController();
+
+    expect(chatAudioWaveformService.getPeaks).to.not.have.been.called;
+    expect(controller.peaks).to.have.length(CHAT_VOICE_MESSAGE.WAVEFORM.BARS);
+  });
+
+  it('should keep flat bars when the waveform can not be drawn', function() {
+    chatAudioWaveformService.getPeaks = sinon.spy(function() {
+      return $q.reject(new Error('Can not decode audio file'));
+    });
+
+    var controller = initController();
+
+    expect(controller.peaks).to.have.length(CHAT_VOICE_MESSAGE.WAVEFORM.BARS);
+    expect(controller.peaks[0]).to.equal(CHAT_VOICE_MESSAGE.WAVEFORM.MIN_PEAK);
+  });
+
+  it('should not load the audio file until it is played', function() {
+    initController();
+
+    expect(audio).to.be.undefined;
+  });
+
+  describe('The toggle function', function() {
+    it('should play then pause the attachment', function() {
+      var controller = initController();
+
+      controller.toggle();
+
+      expect(audio.url).to.equal('/api/files/fileId');
+      expect(audio.play).to.have.been.calledOnce;
+      expect(controller.playing).to.be.true;
+
+      controller.toggle();
+
+      expect(audio.pause).to.have.been.calledOnce;
+      expect(controller.playing).to.be.false;
+    });
+
+    it('should follow the progress of the attachment, keeping its duration when the file does not tell it', function() {
+      var controller = initController();
+
+      controller.toggle();
+      audio.currentTime = 5;
+      audio.trigger('timeupdate');
+
+      expect(controller.currentTime).to.equal(5);
+      expect(controller.duration).to.equal(10);
+      expect(controller.isPlayed(1)).to.be.true;
+      expect(controller.isPlayed(2)).to.be.false;
+    });
+
+    it('should go back to the beginning once the attachment has been played', function() {
+      var controller = initController();
+
+      controller.toggle();
+      audio.currentTime = 10;
+      audio.trigger('ended');
+
+      expect(controller.playing).to.be.false;
+      expect(controller.currentTime).to.equal(0);
+    });
+
+    it('should stop playing when the attachment can not be played', function() {
+      var controller = initController();
+
+      controller.toggle();
+      audio.trigger('error');
+
+      expect(controller.playing).to.be.false;
+      expect(controller.error).to.be.true;
+    });
+  });
+
+  describe('The seek function', function() {
+    it('should play the attachment from the clicked bar', function() {
+      var controller = initController();
+
+      controller.seek(2);
+
+      expect(audio.currentTime).to.equal(5);
+      expect(audio.play).to.have.been.calledOnce;
+    });
+  });
+
+  it('should pause the attachment when the scope is destroyed', function() {
+    initController().toggle();
+
+    $scope.$destroy();
+
+    expect(audio.pause).to.have.been.calledOnce;
+  });
+});
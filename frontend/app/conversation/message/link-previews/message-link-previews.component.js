@@ -0,0 +1,17 @@
+(function() {
+  'use strict';
+
+  angular.module('linagora.esn.chat')
+    .component('chatMessageLinkPreviews', chatMessageLinkPreviews());
+
+    function chatMessageLinkPreviews() {
+      return {
+        bindings: {
+          message: '='
+        },
+        controller: 'chatMessageLinkPreviewsController',
+        controllerAs: 'ctrl',
+        templateUrl: '/chat/app/conversation/message/link-previews/message-link-previews.html'
+      };
+    }
+})();
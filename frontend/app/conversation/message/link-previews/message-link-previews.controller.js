@@ -0,0 +1,35 @@
+(function() {
+  'use strict';
+
+  angular.module('linagora.esn.chat')
+    .controller('chatMessageLinkPreviewsController', chatMessageLinkPreviewsController);
+
+    function chatMessageLinkPreviewsController(_, $log, $scope, session, chatMessageService) {
+      var self = this;
+
+      self.previews = [];
+      self.$onInit = $onInit;
+      self.hide = hide;
+
+      function $onInit() {
+        $scope.$watchCollection(function() {
+          return self.message.link_previews;
+        }, filterPreviews);
+      }
+
+      // the previews removed by the current user are only hidden to this user
+      function filterPreviews(previews) {
+        self.previews = (previews || []).filter(function(preview) {
+          return !_.contains(preview.hidden_by, session.user._id);
+        });
+      }
+
+      function hide(preview) {
+        return chatMessageService.hideLinkPreview(self.message._id, preview._id).then(function(message) {
+          self.message.link_previews = message.link_previews;
+        }).catch(function(err) {
+          $log.error('Error while removing link preview', err);
+        });
+      }
+    }
+})();
@@ -0,0 +1,96 @@
+'use strict';
+
+/* global chai, sinon: false */
+
+var expect = chai.expect;
+
+describe('The chatMessageLinkPreviewsController controller', function() {
+
+  var $controller, $rootScope, $q, scope, session, chatMessageService, message;
+
+  beforeEach(function() {
+    session = {user: {_id: 'userId'}, ready: {then: angular.noop}};
+    message = {
+      _id: 'messageId',
+      link_previews: [
+        {_id: 'preview1', url: 'http://open-paas.org', title: 'OpenPaaS', hidden_by: []},
+        {_id: 'preview2', url: 'http://linagora.com', title: 'Linagora', hidden_by: ['userId']}
+      ]
+    };
+
+    module('linagora.esn.chat', function($provide) {
+      $provide.value('searchProviders', {
+        add: sinon.spy()
+      });
+      $provide.value('chatSearchProviderService', {});
+      $provide.value('session', session);
+    });
+  });
+
+  beforeEach(angular.mock.inject(function(_$controller_, _$rootScope_, _$q_, _chatMessageService_) {
+    $controller = _$controller_;
+    $rootScope = _$rootScope_;
+    $q = _$q_;
+    chatMessageService = _chatMessageService_;
+    scope = $rootScope.$new();
+  }));
+
+  function initController() {
+    var controller = $controller('chatMessageLinkPreviewsController', {$scope: scope}, {message: message});
+
+    controller.$onInit();
+    $rootScope.$digest();
+
+    return controller;
+  }
+
+  describe('the $onInit function', function() {
+    it('should not display the previews hidden by the current user', function() {
+      var controller = initController();
+
+      expect(controller.previews).to.deep.equal([message.link_previews[0]]);
+    });
+
+    it('should filter the previews again when they change', function() {
+      var controller = initController();
+
+      message.link_previews = [{_id: 'preview3', url: 'http://open-paas.org/blog'}];
+      $rootScope.$digest();
+
+      expect(controller.previews).to.deep.equal(message.link_previews);
+    });
+  });
+
+  describe('the hide function', function() {
+    it('should hide the preview and update the message previews', function() {
+      var linkPreviews = [{_id: 'preview1', hidden_by: ['userId']}];
+      var controller = initController();
+
+      chatMessageService.hideLinkPreview = sinon.spy(function() {
+        return $q.when({_id: 'messageId', link_previews: linkPreviews});
+      });
+
+      controller.hide({_id: 'preview1'});
+      $rootScope.$digest();
+
+      expect(chatMessageService.hideLinkPreview).to.have.been.calledWith('messageId', 'preview1');
+      expect(message.link_previews).to.equal(linkPreviews);
+      expect(controller.previews).to.deep.equal([]);
+    });
+
+    it('should keep the previews on failure', function() {
+      var previews = message.link_previews;
+      var controller = initController();
+
+      chatMessageService.hideLinkPreview = sinon.spy(function() {
+        return $q.reject(new Error('failure'));
+      });
+
+      controller.hide({_id: 'preview1'});
+      $rootScope.$digest();
+
+      expect(message.link_previews).to.equal(previews);
+      expect(controller.previews).to.have.length(1);
+    });
+  });
+});
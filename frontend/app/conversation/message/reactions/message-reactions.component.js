@@ -0,0 +1,17 @@
+(function() {
+  'use strict';
+
+  angular.module('linagora.esn.chat')
+    .component('chatMessageReactions', chatMessageReactions());
+
+    function chatMessageReactions() {
+      return {
+        bindings: {
+          message: '='
+        },
+        controller: 'chatMessageReactionsController',
+        controllerAs: 'ctrl',
+        templateUrl: '/chat/app/conversation/message/reactions/message-reactions.html'
+      };
+    }
+})();
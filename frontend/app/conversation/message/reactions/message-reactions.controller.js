@@ -0,0 +1,63 @@
+(function() {
+  'use strict';
+
+  angular.module('linagora.esn.chat')
+    .controller('chatMessageReactionsController', chatMessageReactionsController);
+
+    function chatMessageReactionsController(_, $log, $q, $scope, session, chatUsername, chatMessageService) {
+      var self = this;
+
+      self.reactions = [];
+      self.$onInit = $onInit;
+      self.toggle = toggle;
+      self.onEmojiSelected = onEmojiSelected;
+
+      function $onInit() {
+        $scope.$watchCollection(function() {
+          return self.message.reactions;
+        }, groupReactions);
+      }
+
+      // reactions are stored one per user and emoji, they are displayed grouped by emoji
+      function groupReactions(reactions) {
+        var groups = [];
+
+        (reactions || []).forEach(function(reaction) {
+          var group = _.find(groups, {emoji: reaction.emoji});
+
+          if (!group) {
+            group = {emoji: reaction.emoji, users: []};
+            groups.push(group);
+          }
+
+          group.users.push(reaction.user);
+        });
+
+        groups.forEach(function(group) {
+          group.reacted = _.contains(group.users, session.user._id);
+
+          $q.all(group.users.map(function(userId) {
+            return chatUsername.getFromCache(userId, false);
+          })).then(function(names) {
+            group.names = names.join(', ');
+          });
+        });
+
+        self.reactions = groups;
+      }
+
+      function toggle(emoji) {
+        return chatMessageService.toggleReaction(self.message._id, emoji).then(function(message) {
+          self.message.reactions = message.reactions;
+        }).catch(function(err) {
+          $log.error('Error while reacting to message', err);
+        });
+      }
+
+      function onEmojiSelected(emojiValue) {
+        if (emojiValue) {
+          toggle(emojiValue.replace(/:/g, ''));
+        }
+      }
+    }
+})();
@@ -0,0 +1,104 @@
+'use strict';
+
+/* global chai, sinon: false */
+
+var expect = chai.expect;
+
+describe('The chatMessageReactionsController controller', function() {
+
+  var $controller, $rootScope, $q, scope, session, chatUsername, chatMessageService, message;
+
+  beforeEach(function() {
+    session = {user: {_id: 'userId'}, ready: {then: angular.noop}};
+    chatUsername = {
+      getFromCache: sinon.spy(function(userId) {
+        return $q.when('name of ' + userId);
+      })
+    };
+    message = {
+      _id: 'messageId',
+      reactions: [
+        {emoji: 'smile', user: 'userId'},
+        {emoji: 'smile', user: 'anotherUserId'},
+        {emoji: 'heart', user: 'anotherUserId'}
+      ]
+    };
+
+    module('linagora.esn.chat', function($provide) {
+      $provide.value('searchProviders', {
+        add: sinon.spy()
+      });
+      $provide.value('chatSearchProviderService', {});
+      $provide.value('session', session);
+      $provide.value('chatUsername', chatUsername);
+    });
+  });
+
+  beforeEach(angular.mock.inject(function(_$controller_, _$rootScope_, _$q_, _chatMessageService_) {
+    $controller = _$controller_;
+    $rootScope = _$rootScope_;
+    $q = _$q_;
+    chatMessageService = _chatMessageService_;
+    scope = $rootScope.$new();
+  }));
+
+  function initController() {
+    var controller = $controller('chatMessageReactionsController', {$scope: scope}, {message: message});
+
+    controller.$onInit();
+    $rootScope.$digest();
+
+    return controller;
+  }
+
+  describe('the $onInit function', function() {
+    it('should group reactions by emoji with the names of the users who reacted', function() {
+      var controller = initController();
+
+      expect(controller.reactions).to.shallowDeepEqual([
+        {emoji: 'smile', users: ['userId', 'anotherUserId'], reacted: true, names: 'name of userId, name of anotherUserId'},
+        {emoji: 'heart', users: ['anotherUserId'], reacted: false, names: 'name of anotherUserId'}
+      ]);
+    });
+
+    it('should group reactions again when they change', function() {
+      var controller = initController();
+
+      message.reactions = [{emoji: 'heart', user: 'userId'}];
+      $rootScope.$digest();
+
+      expect(controller.reactions).to.shallowDeepEqual([{emoji: 'heart', users: ['userId'], reacted: true}]);
+    });
+  });
+
+  describe('the toggle function', function() {
+    it('should toggle the reaction and update the message reactions', function() {
+      var reactions = [{emoji: 'heart', user: 'anotherUserId'}];
+      var controller = initController();
+
+      chatMessageService.toggleReaction = sinon.spy(function() {
+        return $q.when({_id: 'messageId', reactions: reactions});
+      });
+
+      controller.toggle('smile');
+      $rootScope.$digest();
+
+      expect(chatMessageService.toggleReaction).to.have.been.calledWith('messageId', 'smile');
+      expect(message.reactions).to.equal(reactions);
+    });
+  });
+
+  describe('the onEmojiSelected function', function() {
+    it('should toggle the reaction with the emoji short name', function() {
+      var controller = initController();
+
+      chatMessageService.toggleReaction = sinon.spy(function() {
+        return $q.when({reactions: []});
+      });
+
+      controller.onEmojiSelected(':smile:');
+
+      expect(chatMessageService.toggleReaction).to.have.been.calledWith('messageId', 'smile');
+    });
+  });
+});
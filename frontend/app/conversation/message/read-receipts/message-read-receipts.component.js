@@ -0,0 +1,17 @@
+(function() {
+  'use strict';
+
+  angular.module('linagora.esn.chat')
+    .component('chatMessageReadReceipts', chatMessageReadReceipts());
+
+    function chatMessageReadReceipts() {
+      return {
+        bindings: {
+          userIds: '<'
+        },
+        controller: 'ChatMessageReadReceiptsController',
+        controllerAs: 'ctrl',
+        templateUrl: '/chat/app/conversation/message/read-receipts/message-read-receipts.html'
+      };
+    }
+})();
@@ -0,0 +1,26 @@
+(function() {
+  'use strict';
+
+  angular.module('linagora.esn.chat')
+    .controller('ChatMessageReadReceiptsController', ChatMessageReadReceiptsController);
+
+    function ChatMessageReadReceiptsController($q, $scope, chatUsername) {
+      var self = this;
+
+      self.$onInit = $onInit;
+
+      function $onInit() {
+        $scope.$watchCollection(function() {
+          return self.userIds;
+        }, updateNames);
+      }
+
+      function updateNames(userIds) {
+        $q.all((userIds || []).map(function(userId) {
+          return chatUsername.getFromCache(userId, false);
+        })).then(function(names) {
+          self.names = names.join(', ');
+        });
+      }
+    }
+})();
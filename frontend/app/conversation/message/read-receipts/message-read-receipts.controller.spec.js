@@ -0,0 +1,61 @@
+'use strict';
+
+/* global chai, sinon: false */
+
+var expect = chai.expect;
+
+describe('The ChatMessageReadReceiptsController controller', function() {
+
+  var $controller, $rootScope, $q, scope, chatUsername, userIds;
+
+  beforeEach(function() {
+    userIds = ['userId1', 'userId2'];
+    chatUsername = {
+      getFromCache: sinon.spy(function(userId) {
+        return $q.when('name of ' + userId);
+      })
+    };
+
+    module('linagora.esn.chat', function($provide) {
+      $provide.value('searchProviders', {
+        add: sinon.spy()
+      });
+      $provide.value('chatSearchProviderService', {});
+      $provide.value('chatUsername', chatUsername);
+    });
+  });
+
+  beforeEach(angular.mock.inject(function(_$controller_, _$rootScope_, _$q_) {
+    $controller = _$controller_;
+    $rootScope = _$rootScope_;
+    $q = _$q_;
+    scope = $rootScope.$new();
+  }));
+
+  function initController() {
+    var controller = $controller('ChatMessageReadReceiptsController', {$scope: scope}, {userIds: userIds});
+
+    controller.$onInit();
+    $rootScope.$digest();
+
+    return controller;
+  }
+
+  describe('the $onInit function', function() {
+    it('should give the names of the readers', function() {
+      var controller = initController();
+
+      expect(chatUsername.getFromCache).to.have.been.calledWith('userId1', false);
+      expect(controller.names).to.equal('name of userId1, name of userId2');
+    });
+
+    it('should update the names when a reader is added', function() {
+      var controller = initController();
+
+      userIds.push('userId3');
+      $rootScope.$digest();
+
+      expect(controller.names).to.equal('name of userId1, name of userId2, name of userId3');
+    });
+  });
+});
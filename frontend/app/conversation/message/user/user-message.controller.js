@@ -4,7 +4,7 @@
   angular.module('linagora.esn.chat')
     .controller('chatUserMessageController', chatUserMessageController);
 
-    function chatUserMessageController($filter, $log, chatParseMention, session, userUtils, chatUsername, chatMessageStarService) {
+    function chatUserMessageController(_, $filter, $log, $scope, $state, notificationFactory, chatParseMention, session, userUtils, chatUsername, chatClipboardService, chatConversationActionsService, chatConversationMemberService, chatConversationsStoreService, chatMessageFormatter, chatMessageService, chatMessageStarService, CHAT_MESSAGE_PERMALINK_STATE, CHAT_MESSAGE_STATUS) {
       var self = this;
 
       self.displayFile = true;
@@ -13,6 +13,26 @@
       self.$onInit = $onInit;
       self.toggleStar = toggleStar;
       self.selectMessage = selectMessage;
+      self.isOwner = isOwner;
+      self.isDeleted = isDeleted;
+      self.isPinned = isPinned;
+      self.isSaved = isSaved;
+      self.isPending = isPending;
+      self.isFailed = isFailed;
+      self.retry = retry;
+      self.canCopyLink = canCopyLink;
+      self.canMarkAsUnread = canMarkAsUnread;
+      self.canPin = canPin;
+      self.canRemove = canRemove;
+      self.canReply = canReply;
+      self.copyLink = copyLink;
+      self.markAsUnread = markAsUnread;
+      self.remove = remove;
+      self.togglePin = togglePin;
+      self.editing = false;
+      self.startEdition = startEdition;
+      self.cancelEdition = cancelEdition;
+      self.saveEdition = saveEdition;
 
       function sessionReady(session) {
         self.user = session.user;
@@ -26,6 +46,135 @@
         self.displayFile = !self.displayFile;
       }
 
+      function isOwner() {
+        return !!self.user && self.user._id === self.message.creator._id;
+      }
+
+      function isDeleted() {
+        return !!(self.message.timestamps && self.message.timestamps.deletion);
+      }
+
+      function isPinned() {
+        return !!(self.message.timestamps && self.message.timestamps.pin);
+      }
+
+      // messages sent from this session are displayed before being saved, they can not be acted on until then
+      function isSaved() {
+        return !!self.message._id;
+      }
+
+      function isPending() {
+        return self.message.status === CHAT_MESSAGE_STATUS.PENDING;
+      }
+
+      function isFailed() {
+        return self.message.status === CHAT_MESSAGE_STATUS.FAILED;
+      }
+
+      function retry() {
+        chatMessageService.retryMessage(self.message).catch(function(err) {
+          $log.error('Error while resending message', err);
+        });
+      }
+
+      // permalinks open the conversation timeline, replies are only displayed in their thread
+      function canCopyLink() {
+        return isSaved() && !self.message.parent && !isDeleted();
+      }
+
+      function copyLink() {
+        var link = $state.href(CHAT_MESSAGE_PERMALINK_STATE, {id: self.message.channel, messageId: self.message._id}, {absolute: true});
+
+        chatClipboardService.copy(link).then(function() {
+          notificationFactory.weakSuccess('success', 'Link copied to the clipboard');
+        }).catch(function(err) {
+          $log.error('Error while copying the link of the message', err);
+          notificationFactory.weakError('error', 'Can not copy the link of the message');
+        });
+      }
+
+      // the read pointer is on the conversation timeline, replies are read in their thread
+      function canMarkAsUnread() {
+        if (!isSaved() || isDeleted() || self.message.parent) {
+          return false;
+        }
+
+        return chatConversationMemberService.currentUserIsMemberOf(chatConversationsStoreService.activeRoom);
+      }
+
+      function canPin() {
+        if (!isSaved() || isDeleted() || chatMessageService.isSystemMessage(self.message)) {
+          return false;
+        }
+
+        return chatConversationMemberService.currentUserIsMemberOf(chatConversationsStoreService.activeRoom);
+      }
+
+      function canRemove() {
+        if (!self.user || !isSaved() || isDeleted() || chatMessageService.isSystemMessage(self.message)) {
+          return false;
+        }
+
+        var conversation = chatConversationsStoreService.activeRoom;
+
+        return isOwner() || (!!conversation.creator && chatConversationActionsService.currentUserIsCreator(conversation));
+      }
+
+      function canReply() {
+        return isSaved() && !self.message.parent && !isDeleted() && !chatMessageService.isSystemMessage(self.message);
+      }
+
+      function markAsUnread() {
+        chatMessageService.markAsUnread(self.message._id).catch(function(err) {
+          $log.error('Error while marking message as unread', err);
+        });
+      }
+
+      function remove() {
+        chatMessageService.removeMessage(self.message._id).then(function() {
+          self.message.text = '';
+          self.message.attachments = [];
+          self.message.user_mentions = [];
+          self.message.timestamps.deletion = Date.now();
+          cancelEdition();
+        }).catch(function(err) {
+          $log.error('Error while removing message', err);
+        });
+      }
+
+      function togglePin() {
+        (isPinned() ? chatMessageService.unpinMessage : chatMessageService.pinMessage)(self.message._id).then(function(message) {
+          _.assign(self.message, _.pick(message, ['pinned_by', 'timestamps']));
+        }).catch(function(err) {
+          $log.error('Error while pinning message', err);
+        });
+      }
+
+      function startEdition() {
+        self.edition = {
+          text: self.message.text
+        };
+        self.editing = true;
+      }
+
+      function cancelEdition() {
+        self.editing = false;
+        self.edition = null;
+      }
+
+      function saveEdition() {
+        if (!self.edition.text || self.edition.text === self.message.text) {
+          return cancelEdition();
+        }
+
+        chatMessageService.editMessage(self.message._id, self.edition.text).then(function(message) {
+          _.assign(self.message, _.pick(message, ['text', 'user_mentions', 'edition_history', 'timestamps']));
+          cancelEdition();
+        }).catch(function(err) {
+          $log.error('Error while editing message', err);
+        });
+      }
+
       function toggleStar() {
         (self.message.isStarred ? chatMessageStarService.unstar : chatMessageStarService.star)(self.message._id).then(function() {
           self.message.isStarred = !self.message.isStarred;
@@ -38,21 +187,41 @@
         return text.replace(/@/g, ' @').replace(/^ @/, '@').replace(/ {2}@/g, ' @');
       }
 
-      function $onInit() {
-        var parsedText = $filter('oembedImageFilter')(self.message.text);
+      function formatText(text) {
+        var parsedText = $filter('oembedImageFilter')(text);
 
         if (self.message.user_mentions.length > 0) {
           parsedText = splitMentions(parsedText);
         }
-        session.ready.then(sessionReady);
 
         parsedText = $filter('linky')(parsedText, '_blank');
-        parsedText = $filter('esnEmoticonify')(parsedText, {class: 'chat-emoji'});
-        chatParseMention.parseMentions(parsedText, self.message.user_mentions).then(function(result) {
+
+        return $filter('esnEmoticonify')(parsedText, {class: 'chat-emoji'});
+      }
+
+      function parseText(text) {
+        chatParseMention.parseMentions(chatMessageFormatter.format(text, formatText), self.message.user_mentions).then(function(result) {
           self.parsed = {
             text: result
           };
         });
+      }
+
+      function $onInit() {
+        session.ready.then(sessionReady);
+
+        // mentions are resolved by the server so they are only known once a sent message has been saved
+        $scope.$watchGroup([
+          function() {
+            return self.message.text;
+          },
+          function() {
+            return _.pluck(self.message.user_mentions, '_id').join();
+          }
+        ], function() {
+          parseText(self.message.text);
+        });
+
         chatUsername.getFromCache(self.message.creator._id, false).then(function(creator) {
           self.displayName = creator;
         });
@@ -20,9 +20,16 @@ describe('the chatUserMessageController controller', function() {
       message,
       searchProvidersMock,
       chatMessageStarServiceMock,
+      chatMessageServiceMock,
+      chatConversationActionsServiceMock,
+      chatConversationMemberServiceMock,
+      chatConversationsStoreServiceMock,
       userUtilsMock,
       user,
-      chatUsernameMock;
+      chatUsernameMock,
+      $stateMock,
+      notificationFactoryMock,
+      chatClipboardServiceMock;
 
   beforeEach(function() {
 
@@ -40,13 +47,13 @@ describe('the chatUserMessageController controller', function() {
       }
     };
 
-    oembedImageFilterMock = function() {
-      return message.text;
+    oembedImageFilterMock = function(text) {
+      return text;
     };
 
-    linkyMock = function(text) {
+    linkyMock = sinon.spy(function(text) {
       return text;
-    };
+    });
 
     esnEmoticonifyMock = function(text) {
       return text;
@@ -58,6 +65,7 @@ describe('the chatUserMessageController controller', function() {
     };
 
     message = {
+      _id: 'messageId',
       text: 'Hello',
       user_mentions: [{}],
       creator: {
@@ -85,6 +93,40 @@ describe('the chatUserMessageController controller', function() {
       })
     };
 
+    chatMessageServiceMock = {
+      editMessage: sinon.spy(function(id, text) {
+        return $q.when({_id: id, text: text, isStarred: true, timestamps: {creation: 1, edition: 2}, edition_history: [{text: 'Hello'}]});
+      }),
+      isSystemMessage: sinon.stub().returns(false),
+      markAsUnread: sinon.spy(function() {
+        return $q.when({numOfReadMessages: 1, numOfUnseenMentions: 0});
+      }),
+      pinMessage: sinon.spy(function(id) {
+        return $q.when({_id: id, pinned_by: 'userId', timestamps: {creation: 1, pin: 2}});
+      }),
+      removeMessage: sinon.spy(function() {
+        return $q.when();
+      }),
+      retryMessage: sinon.spy(function() {
+        return $q.when();
+      }),
+      unpinMessage: sinon.spy(function(id) {
+        return $q.when({_id: id, timestamps: {creation: 1}});
+      })
+    };
+
+    chatConversationActionsServiceMock = {
+      currentUserIsCreator: sinon.stub().returns(false)
+    };
+
+    chatConversationMemberServiceMock = {
+      currentUserIsMemberOf: sinon.stub().returns(true)
+    };
+
+    chatConversationsStoreServiceMock = {
+      activeRoom: {_id: 'conversationId', creator: 'creatorId'}
+    };
+
     userUtilsMock = {
       displayNameOf: sinon.spy()
     };
@@ -93,6 +135,21 @@ describe('the chatUserMessageController controller', function() {
       error: sinon.spy()
     };
 
+    $stateMock = {
+      href: sinon.stub().returns('http://localhost/#/chat/channels/view/conversationId/message/messageId')
+    };
+
+    notificationFactoryMock = {
+      weakSuccess: sinon.spy(),
+      weakError: sinon.spy()
+    };
+
+    chatClipboardServiceMock = {
+      copy: sinon.spy(function() {
+        return $q.when();
+      })
+    };
+
     angular.mock.module('linagora.esn.chat', function($provide) {
       $provide.value('searchProviders', searchProvidersMock);
       $provide.value('chatSearchProviderService', {});
@@ -107,9 +164,16 @@ describe('the chatUserMessageController controller', function() {
       $provide.value('linkyFilter', linkyMock);
       $provide.value('esnEmoticonifyFilter', esnEmoticonifyMock);
       $provide.value('chatMessageStarService', chatMessageStarServiceMock);
+      $provide.value('chatMessageService', chatMessageServiceMock);
+      $provide.value('chatConversationActionsService', chatConversationActionsServiceMock);
+      $provide.value('chatConversationMemberService', chatConversationMemberServiceMock);
+      $provide.value('chatConversationsStoreService', chatConversationsStoreServiceMock);
       $provide.value('userUtils', userUtilsMock);
       $provide.value('$log', $log);
       $provide.value('chatUsername', chatUsernameMock);
+      $provide.value('$state', $stateMock);
+      $provide.value('notificationFactory', notificationFactoryMock);
+      $provide.value('chatClipboardService', chatClipboardServiceMock);
     });
 
     angular.mock.inject(function(_$rootScope_, _$controller_, _$q_) {
@@ -174,6 +238,56 @@ describe('the chatUserMessageController controller', function() {
       expect(controller.parsed.text).to.deep.equal(message.text);
     });
 
+    it('should parse the text again when the message text changes', function() {
+      var controller = initController(message);
+
+      controller.$onInit();
+      $rootScope.$digest();
+
+      message.text = 'Hello world';
+      $rootScope.$digest();
+
+      expect(controller.parsed.text).to.equal('Hello world');
+    });
+
+    it('should parse the text again when the mentions of the message are known', function() {
+      var controller = initController(message);
+
+      chatParseMentionMock.parseMentions = sinon.spy(function(text) {
+        return $q.when(text);
+      });
+      controller.$onInit();
+      $rootScope.$digest();
+
+      message.user_mentions = [{_id: 'mentionedUserId'}];
+      $rootScope.$digest();
+
+      expect(chatParseMentionMock.parseMentions).to.have.been.calledTwice;
+      expect(chatParseMentionMock.parseMentions.secondCall.args[1]).to.equal(message.user_mentions);
+    });
+
+    it('should format the markdown of the text', function() {
+      message.text = '**Hello** _world_';
+      var controller = initController(message);
+
+      controller.$onInit();
+      $rootScope.$digest();
+
+      expect(controller.parsed.text).to.equal('<strong>Hello</strong> <em>world</em>');
+    });
+
+    it('should not parse the links, emoticons and mentions of the code', function() {
+      message.text = 'Hello `http://linagora.com :smile:`';
+      var controller = initController(message);
+
+      controller.$onInit();
+      $rootScope.$digest();
+
+      expect(linkyMock).to.have.been.calledWith('Hello ');
+      expect(linkyMock).to.not.have.been.calledWith(sinon.match('linagora.com'));
+      expect(controller.parsed.text).to.equal('Hello <code>http://linagora.com :smile:</code>');
+    });
+
     it('should call chatUsername.getFromCache with message.creator._id to have the name of the creator', function() {
 
       var controller = initController(message);
@@ -228,6 +342,407 @@ describe('the chatUserMessageController controller', function() {
     });
   });
 
+  describe('the isOwner function', function() {
+    it('should return true when current user is the creator of the message', function() {
+      message.creator._id = sessionMock.user._id;
+      var controller = initController(message);
+
+      controller.$onInit();
+      $rootScope.$digest();
+
+      expect(controller.isOwner()).to.be.true;
+    });
+
+    it('should return false when current user is not the creator of the message', function() {
+      var controller = initController(message);
+
+      controller.$onInit();
+      $rootScope.$digest();
+
+      expect(controller.isOwner()).to.be.false;
+    });
+  });
+
+  describe('the edition functions', function() {
+    beforeEach(function() {
+      message._id = 'messageId';
+      message.timestamps = {creation: 1};
+    });
+
+    it('should initialize the edition with the message text', function() {
+      var controller = initController(message);
+
+      controller.startEdition();
+
+      expect(controller.editing).to.be.true;
+      expect(controller.edition.text).to.equal(message.text);
+    });
+
+    it('should stop edition on cancel', function() {
+      var controller = initController(message);
+
+      controller.startEdition();
+      controller.cancelEdition();
+
+      expect(controller.editing).to.be.false;
+      expect(chatMessageServiceMock.editMessage).to.not.have.been.called;
+    });
+
+    it('should not call chatMessageService.editMessage when text did not change', function() {
+      var controller = initController(message);
+
+      controller.startEdition();
+      controller.saveEdition();
+
+      expect(controller.editing).to.be.false;
+      expect(chatMessageServiceMock.editMessage).to.not.have.been.called;
+    });
+
+    it('should save the edition and update the message', function() {
+      var controller = initController(message);
+
+      controller.startEdition();
+      controller.edition.text = 'Hello world';
+      controller.saveEdition();
+      $rootScope.$digest();
+
+      expect(chatMessageServiceMock.editMessage).to.have.been.calledWith('messageId', 'Hello world');
+      expect(controller.editing).to.be.false;
+      expect(message.text).to.equal('Hello world');
+      expect(message.timestamps.edition).to.equal(2);
+      expect(message.isStarred).to.be.undefined;
+    });
+
+    it('should keep editing and log error when edition fails', function() {
+      chatMessageServiceMock.editMessage = sinon.spy(function() {
+        return $q.reject(new Error('failed'));
+      });
+      var controller = initController(message);
+
+      controller.startEdition();
+      controller.edition.text = 'Hello world';
+      controller.saveEdition();
+      $rootScope.$digest();
+
+      expect(controller.editing).to.be.true;
+      expect(message.text).to.equal('Hello');
+      expect($log.error).to.have.been.calledWith('Error while editing message');
+    });
+  });
+
+  describe('the canRemove function', function() {
+    it('should return true when current user is the creator of the message', function() {
+      message.creator._id = sessionMock.user._id;
+      var controller = initController(message);
+
+      controller.$onInit();
+      $rootScope.$digest();
+
+      expect(controller.canRemove()).to.be.true;
+    });
+
+    it('should return true when current user is the creator of the conversation', function() {
+      chatConversationActionsServiceMock.currentUserIsCreator = sinon.stub().returns(true);
+      var controller = initController(message);
+
+      controller.$onInit();
+      $rootScope.$digest();
+
+      expect(controller.canRemove()).to.be.true;
+      expect(chatConversationActionsServiceMock.currentUserIsCreator).to.have.been.calledWith(chatConversationsStoreServiceMock.activeRoom);
+    });
+
+    it('should return false when current user is neither the creator of the message nor of the conversation', function() {
+      var controller = initController(message);
+
+      controller.$onInit();
+      $rootScope.$digest();
+
+      expect(controller.canRemove()).to.be.false;
+    });
+
+    it('should return false when message has already been removed', function() {
+      message.creator._id = sessionMock.user._id;
+      message.timestamps = {creation: 1, deletion: 2};
+      var controller = initController(message);
+
+      controller.$onInit();
+      $rootScope.$digest();
+
+      expect(controller.canRemove()).to.be.false;
+    });
+  });
+
+  describe('the canReply function', function() {
+    it('should return true for a top-level message', function() {
+      var controller = initController(message);
+
+      expect(controller.canReply()).to.be.true;
+    });
+
+    it('should return false when message is already a reply', function() {
+      message.parent = 'parentId';
+      var controller = initController(message);
+
+      expect(controller.canReply()).to.be.false;
+    });
+
+    it('should return false when message has been removed', function() {
+      message.timestamps = {creation: 1, deletion: 2};
+      var controller = initController(message);
+
+      expect(controller.canReply()).to.be.false;
+    });
+  });
+
+  describe('the delivery status functions', function() {
+    it('should consider a message without _id as not saved', function() {
+      delete message._id;
+      message.status = 'pending';
+      var controller = initController(message);
+
+      expect(controller.isSaved()).to.be.false;
+      expect(controller.isPending()).to.be.true;
+      expect(controller.canReply()).to.be.false;
+      expect(controller.canPin()).to.be.false;
+      expect(controller.canRemove()).to.be.false;
+    });
+
+    it('should tell when the message failed to be sent', function() {
+      delete message._id;
+      message.status = 'failed';
+      var controller = initController(message);
+
+      expect(controller.isFailed()).to.be.true;
+      expect(controller.isPending()).to.be.false;
+    });
+
+    it('should send the message again on retry', function() {
+      delete message._id;
+      message.status = 'failed';
+      var controller = initController(message);
+
+      controller.retry();
+      $rootScope.$digest();
+
+      expect(chatMessageServiceMock.retryMessage).to.have.been.calledWith(message);
+    });
+
+    it('should log error when message can not be sent again', function() {
+      chatMessageServiceMock.retryMessage = sinon.spy(function() {
+        return $q.reject(new Error('failed'));
+      });
+      var controller = initController(message);
+
+      controller.retry();
+      $rootScope.$digest();
+
+      expect($log.error).to.have.been.calledWith('Error while resending message');
+    });
+  });
+
+  describe('the canPin function', function() {
+    it('should return true when current user is member of the conversation', function() {
+      var controller = initController(message);
+
+      expect(controller.canPin()).to.be.true;
+      expect(chatConversationMemberServiceMock.currentUserIsMemberOf).to.have.been.calledWith(chatConversationsStoreServiceMock.activeRoom);
+    });
+
+    it('should return false when current user is not member of the conversation', function() {
+      chatConversationMemberServiceMock.currentUserIsMemberOf = sinon.stub().returns(false);
+      var controller = initController(message);
+
+      expect(controller.canPin()).to.be.false;
+    });
+
+    it('should return false when message has been removed', function() {
+      message.timestamps = {creation: 1, deletion: 2};
+      var controller = initController(message);
+
+      expect(controller.canPin()).to.be.false;
+    });
+
+    it('should return false for a system message', function() {
+      chatMessageServiceMock.isSystemMessage = sinon.stub().returns(true);
+      var controller = initController(message);
+
+      expect(controller.canPin()).to.be.false;
+    });
+  });
+
+  describe('the togglePin function', function() {
+    beforeEach(function() {
+      message._id = 'messageId';
+      message.timestamps = {creation: 1};
+    });
+
+    it('should pin the message when it is not pinned', function() {
+      var controller = initController(message);
+
+      controller.togglePin();
+      $rootScope.$digest();
+
+      expect(chatMessageServiceMock.pinMessage).to.have.been.calledWith('messageId');
+      expect(message.pinned_by).to.equal('userId');
+      expect(controller.isPinned()).to.be.true;
+    });
+
+    it('should unpin the message when it is pinned', function() {
+      message.timestamps.pin = 2;
+      var controller = initController(message);
+
+      controller.togglePin();
+      $rootScope.$digest();
+
+      expect(chatMessageServiceMock.unpinMessage).to.have.been.calledWith('messageId');
+      expect(controller.isPinned()).to.be.false;
+    });
+
+    it('should log error when pinning fails', function() {
+      chatMessageServiceMock.pinMessage = sinon.spy(function() {
+        return $q.reject(new Error('failed'));
+      });
+      var controller = initController(message);
+
+      controller.togglePin();
+      $rootScope.$digest();
+
+      expect(controller.isPinned()).to.be.false;
+      expect($log.error).to.have.been.calledWith('Error while pinning message');
+    });
+  });
+
+  describe('the canMarkAsUnread function', function() {
+    it('should return true when current user is member of the conversation', function() {
+      var controller = initController(message);
+
+      expect(controller.canMarkAsUnread()).to.be.true;
+      expect(chatConversationMemberServiceMock.currentUserIsMemberOf).to.have.been.calledWith(chatConversationsStoreServiceMock.activeRoom);
+    });
+
+    it('should return false for a reply', function() {
+      message.parent = 'parentId';
+      var controller = initController(message);
+
+      expect(controller.canMarkAsUnread()).to.be.false;
+    });
+
+    it('should return false when message has been removed', function() {
+      message.timestamps = {creation: 1, deletion: 2};
+      var controller = initController(message);
+
+      expect(controller.canMarkAsUnread()).to.be.false;
+    });
+  });
+
+  describe('the markAsUnread function', function() {
+    it('should mark the conversation as unread from the message', function() {
+      var controller = initController(message);
+
+      controller.markAsUnread();
+      $rootScope.$digest();
+
+      expect(chatMessageServiceMock.markAsUnread).to.have.been.calledWith('messageId');
+      expect($log.error).to.not.have.been.called;
+    });
+
+    it('should log error when the message can not be marked as unread', function() {
+      chatMessageServiceMock.markAsUnread = sinon.spy(function() {
+        return $q.reject(new Error('failed'));
+      });
+      var controller = initController(message);
+
+      controller.markAsUnread();
+      $rootScope.$digest();
+
+      expect($log.error).to.have.been.calledWith('Error while marking message as unread');
+    });
+  });
+
+  describe('the canCopyLink function', function() {
+    it('should return true for a message of the conversation', function() {
+      var controller = initController(message);
+
+      expect(controller.canCopyLink()).to.be.true;
+    });
+
+    it('should return false for a reply', function() {
+      message.parent = 'parentId';
+      var controller = initController(message);
+
+      expect(controller.canCopyLink()).to.be.false;
+    });
+
+    it('should return false when message has been removed', function() {
+      message.timestamps = {creation: 1, deletion: 2};
+      var controller = initController(message);
+
+      expect(controller.canCopyLink()).to.be.false;
+    });
+  });
+
+  describe('the copyLink function', function() {
+    it('should copy the permalink of the message to the clipboard', function() {
+      message.channel = 'conversationId';
+      var controller = initController(message);
+
+      controller.copyLink();
+      $rootScope.$digest();
+
+      expect($stateMock.href).to.have.been.calledWith('chat.channels-views.message', {id: 'conversationId', messageId: 'messageId'}, {absolute: true});
+      expect(chatClipboardServiceMock.copy).to.have.been.calledWith('http://localhost/#/chat/channels/view/conversationId/message/messageId');
+      expect(notificationFactoryMock.weakSuccess).to.have.been.called;
+    });
+
+    it('should notify the user when the link can not be copied', function() {
+      chatClipboardServiceMock.copy = sinon.spy(function() {
+        return $q.reject(new Error('failed'));
+      });
+      var controller = initController(message);
+
+      controller.copyLink();
+      $rootScope.$digest();
+
+      expect($log.error).to.have.been.calledWith('Error while copying the link of the message');
+      expect(notificationFactoryMock.weakError).to.have.been.called;
+    });
+  });
+
+  describe('the remove function', function() {
+    beforeEach(function() {
+      message._id = 'messageId';
+      message.timestamps = {creation: 1};
+      message.attachments = [{_id: 'attachmentId'}];
+    });
+
+    it('should remove the message and display it as deleted', function() {
+      var controller = initController(message);
+
+      controller.remove();
+      $rootScope.$digest();
+
+      expect(chatMessageServiceMock.removeMessage).to.have.been.calledWith('messageId');
+      expect(message.text).to.equal('');
+      expect(message.attachments).to.be.empty;
+      expect(controller.isDeleted()).to.be.true;
+    });
+
+    it('should log error when removal fails', function() {
+      chatMessageServiceMock.removeMessage = sinon.spy(function() {
+        return $q.reject(new Error('failed'));
+      });
+      var controller = initController(message);
+
+      controller.remove();
+      $rootScope.$digest();
+
+      expect(controller.isDeleted()).to.be.false;
+      expect(message.text).to.equal('Hello');
+      expect($log.error).to.have.been.calledWith('Error while removing message');
+    });
+  });
+
   describe('the selectMessage function', function() {
     it('should change messageSelected to true', function() {
       var controller = initController();
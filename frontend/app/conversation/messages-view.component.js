@@ -10,6 +10,11 @@
       bindings: {
         conversation: '=',
         messages: '=',
+        readers: '<',
+        firstUnreadId: '<',
+        highlightedMessageId: '<',
+        showJumpToFirstUnread: '<',
+        jumpToFirstUnread: '&',
         loadPreviousMessages: '&',
         spinnerKey: '=',
         topOfConversation: '=',
@@ -0,0 +1,101 @@
+'use strict';
+
+/* global chai: false */
+/* global sinon: false */
+
+var expect = chai.expect;
+
+describe('The chatMessagesView component', function() {
+  var $compile, $rootScope, $scope, element;
+
+  beforeEach(function() {
+    angular.mock.module('jadeTemplates');
+
+    angular.mock.module('linagora.esn.chat', function($provide, $compileProvider) {
+      $provide.value('searchProviders', {add: sinon.spy()});
+      $provide.value('chatSearchProviderService', {});
+      $provide.value('chatScrollService', {
+        keepScrollPosition: function(update) {
+          update();
+        }
+      });
+      $provide.constant('CHAT_MESSAGES_WINDOW', {SIZE: 3, STEP: 2, SCROLL_THRESHOLD: 100});
+
+      // the children of the view are not rendered, only the messages repeat is tested
+      [
+        'chatFileUploadDragOver',
+        'chatConversationTopbar',
+        'chatConversationHeader',
+        'chatMessageSeparator',
+        'chatMessage',
+        'chatMessageReadReceipts',
+        'chatMessageIndicator',
+        'chatFooter',
+        'chatScrollTop'
+      ].forEach(function(name) {
+        $compileProvider.directive(name, function() {
+          return {priority: 1, terminal: true};
+        });
+      });
+    });
+
+    angular.mock.inject(function(_$compile_, _$rootScope_) {
+      $compile = _$compile_;
+      $rootScope = _$rootScope_;
+    });
+  });
+
+  function initComponent(messages) {
+    $scope = $rootScope.$new();
+    $scope.conversation = {_id: 'conversationId'};
+    $scope.messages = messages;
+    $scope.setLastLineInView = sinon.spy();
+    $scope.loadPreviousMessages = sinon.spy();
+
+    element = $compile('<chat-messages-view conversation="conversation" messages="messages" set-last-line-in-view="setLastLineInView" load-previous-messages="loadPreviousMessages()"></chat-messages-view>')($scope);
+    $scope.$digest();
+  }
+
+  function getRenderedMessages() {
+    return element.find('[data-message-id]');
+  }
+
+  it('should render every message of the window', function() {
+    initComponent([{_id: 'id1', client_id: 'clientId1'}, {_id: 'id2'}]);
+
+    var rendered = getRenderedMessages();
+
+    expect(rendered.length).to.equal(2);
+    expect(rendered.eq(0).attr('data-message-id')).to.equal('id1');
+    expect(rendered.eq(1).attr('data-message-id')).to.equal('id2');
+  });
+
+  it('should render the pending messages which only have a client id', function() {
+    initComponent([{_id: 'id1'}, {client_id: 'clientId2'}, {client_id: 'clientId3'}]);
+
+    expect(getRenderedMessages().length).to.equal(3);
+  });
+
+  it('should keep rendering a pending message once it has been saved', function() {
+    var pending = {client_id: 'clientId2'};
+
+    initComponent([{_id: 'id1'}, pending]);
+    pending._id = 'id2';
+    $scope.$digest();
+
+    var rendered = getRenderedMessages();
+
+    expect(rendered.length).to.equal(2);
+    expect(rendered.eq(1).attr('data-message-id')).to.equal('id2');
+  });
+
+  it('should only render the last messages of the window', function() {
+    initComponent([{_id: 'id1'}, {_id: 'id2'}, {_id: 'id3'}, {_id: 'id4'}]);
+
+    var rendered = getRenderedMessages();
+
+    expect(rendered.length).to.equal(3);
+    expect(rendered.eq(0).attr('data-message-id')).to.equal('id2');
+    expect(rendered.eq(2).attr('data-message-id')).to.equal('id4');
+  });
+});
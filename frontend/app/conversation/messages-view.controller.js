@@ -4,13 +4,161 @@
   angular.module('linagora.esn.chat')
     .controller('ChatMessageViewController', ChatMessageViewController);
 
-  function ChatMessageViewController(CHAT_MEMBER_STATUS) {
-    var self = this;
+  function ChatMessageViewController(_, $q, $scope, chatScrollService, CHAT_EVENTS, CHAT_MEMBER_STATUS, CHAT_MESSAGES_WINDOW) {
+    var self = this,
+      // the window is delimited by messages and not by indexes, which move when older messages are loaded.
+      // Without last message, the window follows the last messages of the conversation.
+      windowFirst,
+      windowLast = null,
+      loadingPreviousMessages = null;
 
+    self.glued = true;
+    self.start = 0;
+    self.visibleMessages = [];
+    self.getPreviousMessage = getPreviousMessage;
+    self.onLastLineInView = onLastLineInView;
+    self.showPreviousMessages = showPreviousMessages;
     self.$onInit = $onInit;
 
     function $onInit() {
       self.isMember = self.conversation.member_status === CHAT_MEMBER_STATUS.MEMBER;
+
+      $scope.$watchCollection(function() {
+        return self.messages;
+      }, updateWindow);
+      $scope.$on(CHAT_EVENTS.SCROLL.DOWN, showLastMessages);
+      $scope.$on(CHAT_EVENTS.SCROLL.TO_MESSAGE, function(event, messageId) {
+        showMessage(messageId);
+      });
+    }
+
+    function setWindow(start, end) {
+      var messages = self.messages || [];
+
+      start = Math.max(0, start);
+      end = Math.min(messages.length, end);
+
+      self.start = start;
+      self.visibleMessages = messages.slice(start, end);
+      windowFirst = messages[start];
+      windowLast = end < messages.length ? messages[end - 1] : null;
+    }
+
+    function updateWindow() {
+      var messages = self.messages || [];
+      var start = messages.indexOf(windowFirst);
+      var end = windowLast ? messages.indexOf(windowLast) + 1 : messages.length;
+
+      // the messages have been replaced
+      if (start === -1 || end <= start) {
+        start = 0;
+        end = messages.length;
+        windowLast = null;
+      }
+
+      if (end - start <= CHAT_MESSAGES_WINDOW.SIZE) {
+        return setWindow(start, end);
+      }
+
+      if (windowLast) {
+        return setWindow(start, start + CHAT_MESSAGES_WINDOW.SIZE);
+      }
+
+      // the oldest messages are removed from the window following the new ones, the list stays scrolled down when glued
+      if (self.glued) {
+        return setWindow(end - CHAT_MESSAGES_WINDOW.SIZE, end);
+      }
+
+      chatScrollService.keepScrollPosition(function() {
+        setWindow(end - CHAT_MESSAGES_WINDOW.SIZE, end);
+      });
+    }
+
+    function getPreviousMessage(index) {
+      return self.messages[self.start + index - 1] || null;
+    }
+
+    function revealPreviousMessages() {
+      updateWindow();
+
+      var start = Math.max(0, self.start - CHAT_MESSAGES_WINDOW.STEP);
+      var end = Math.min(self.start + self.visibleMessages.length, start + CHAT_MESSAGES_WINDOW.SIZE);
+
+      chatScrollService.keepScrollPosition(function() {
+        setWindow(start, end);
+      });
+    }
+
+    /**
+     * Display the messages older than the window, loading them when all the loaded ones are displayed.
+     *
+     * @return {Promise} resolved once displayed
+     */
+    function showPreviousMessages() {
+      updateWindow();
+
+      if (self.start > 0) {
+        return $q.when(revealPreviousMessages());
+      }
+
+      if (self.topOfConversation) {
+        return $q.when();
+      }
+
+      loadingPreviousMessages = loadingPreviousMessages || $q.when(self.loadPreviousMessages())
+        .then(revealPreviousMessages)
+        .finally(function() {
+          loadingPreviousMessages = null;
+        });
+
+      return loadingPreviousMessages;
+    }
+
+    // the messages following the window are displayed without scrolling down to the new bottom of the list
+    function showNextMessages() {
+      updateWindow();
+
+      if (!windowLast) {
+        return;
+      }
+
+      var end = self.start + self.visibleMessages.length + CHAT_MESSAGES_WINDOW.STEP;
+
+      self.glued = false;
+      chatScrollService.keepScrollPosition(function() {
+        setWindow(Math.max(self.start, end - CHAT_MESSAGES_WINDOW.SIZE), end);
+      });
+    }
+
+    function showLastMessages() {
+      var length = (self.messages || []).length;
+
+      self.glued = true;
+      setWindow(length - CHAT_MESSAGES_WINDOW.SIZE, length);
+    }
+
+    function showMessage(messageId) {
+      updateWindow();
+
+      var index = _.findIndex(self.messages, {_id: messageId});
+
+      if (index === -1 || (index >= self.start && index < self.start + self.visibleMessages.length)) {
+        return;
+      }
+
+      var start = Math.max(0, index - Math.floor(CHAT_MESSAGES_WINDOW.SIZE / 2));
+
+      self.glued = false;
+      setWindow(start, start + CHAT_MESSAGES_WINDOW.SIZE);
+    }
+
+    // the conversation only sees its last message when the window displays it
+    function onLastLineInView(inview) {
+      self.setLastLineInView(inview && !windowLast);
+
+      if (inview && windowLast) {
+        showNextMessages();
+      }
     }
   }
 })();
@@ -7,7 +7,7 @@ var expect = chai.expect;
 
 describe('the ChatMessageViewController controller', function() {
 
-  var $rootScope, $scope, $controller, conversation, session, conversationId, userId, CHAT_MEMBER_STATUS;
+  var $rootScope, $scope, $controller, $q, conversation, session, conversationId, userId, chatScrollService, CHAT_EVENTS, CHAT_MEMBER_STATUS;
 
   beforeEach(function() {
 
@@ -24,17 +24,27 @@ describe('the ChatMessageViewController controller', function() {
       }
     };
 
+    chatScrollService = {
+      keepScrollPosition: sinon.spy(function(update) {
+        update();
+      })
+    };
+
     angular.mock.module('linagora.esn.chat', function($provide) {
       $provide.value('searchProviders', {add: sinon.spy()});
       $provide.value('chatSearchProviderService', {});
       $provide.value('session', session);
+      $provide.value('chatScrollService', chatScrollService);
+      $provide.constant('CHAT_MESSAGES_WINDOW', {SIZE: 10, STEP: 4, SCROLL_THRESHOLD: 100});
     });
 
-    angular.mock.inject(function(_$rootScope_, _$controller_, _session_, _CHAT_MEMBER_STATUS_) {
+    angular.mock.inject(function(_$rootScope_, _$controller_, _$q_, _session_, _CHAT_EVENTS_, _CHAT_MEMBER_STATUS_) {
       $rootScope = _$rootScope_;
       $scope = $rootScope.$new();
       $controller = _$controller_;
+      $q = _$q_;
       session = _session_;
+      CHAT_EVENTS = _CHAT_EVENTS_;
       CHAT_MEMBER_STATUS = _CHAT_MEMBER_STATUS_;
     });
   });
@@ -71,4 +81,155 @@ describe('the ChatMessageViewController controller', function() {
     });
 
   });
+
+  describe('the messages window', function() {
+    var controller, messages;
+
+    function getMessages(from, to) {
+      var result = [];
+
+      for (var i = from; i <= to; i++) {
+        result.push({_id: 'message' + i, timestamps: {creation: i}});
+      }
+
+      return result;
+    }
+
+    function getVisibleIds() {
+      return controller.visibleMessages.map(function(message) {
+        return message._id;
+      });
+    }
+
+    function getIds(from, to) {
+      return getMessages(from, to).map(function(message) {
+        return message._id;
+      });
+    }
+
+    beforeEach(function() {
+      messages = getMessages(1, 5);
+      controller = $controller('ChatMessageViewController', {$scope: $scope}, {
+        conversation: conversation,
+        messages: messages,
+        loadPreviousMessages: sinon.spy(function() {
+          Array.prototype.unshift.apply(messages, getMessages(-9, 0));
+
+          return $q.when(messages);
+        }),
+        setLastLineInView: sinon.spy()
+      });
+      controller.$onInit();
+      $scope.$digest();
+    });
+
+    it('should display all the messages when they fit in the window', function() {
+      expect(controller.start).to.equal(0);
+      expect(getVisibleIds()).to.deep.equal(getIds(1, 5));
+    });
+
+    it('should display the new messages and remove the oldest ones from the window', function() {
+      Array.prototype.push.apply(messages, getMessages(6, 12));
+      $scope.$digest();
+
+      expect(controller.start).to.equal(2);
+      expect(getVisibleIds()).to.deep.equal(getIds(3, 12));
+    });
+
+    it('should keep the scroll position when the oldest messages are removed while the list is not scrolled down', function() {
+      controller.glued = false;
+      Array.prototype.push.apply(messages, getMessages(6, 12));
+      $scope.$digest();
+
+      expect(chatScrollService.keepScrollPosition).to.have.been.calledOnce;
+      expect(getVisibleIds()).to.deep.equal(getIds(3, 12));
+    });
+
+    it('should not display the older messages loaded until the top of the window is reached', function() {
+      messages.unshift({_id: 'message0', timestamps: {creation: 0}});
+      $scope.$digest();
+
+      expect(getVisibleIds()).to.deep.equal(getIds(1, 5));
+    });
+
+    it('should display the messages loaded from the conversation on top of the window', function() {
+      controller.showPreviousMessages();
+      $scope.$digest();
+
+      expect(controller.loadPreviousMessages).to.have.been.calledOnce;
+      expect(chatScrollService.keepScrollPosition).to.have.been.calledOnce;
+      expect(controller.start).to.equal(6);
+      expect(getVisibleIds()).to.deep.equal(getIds(-3, 5));
+    });
+
+    it('should display the loaded messages before the window without loading more messages', function() {
+      controller.showPreviousMessages();
+      $scope.$digest();
+      controller.showPreviousMessages();
+      $scope.$digest();
+
+      expect(controller.loadPreviousMessages).to.have.been.calledOnce;
+      expect(controller.start).to.equal(2);
+      expect(getVisibleIds()).to.deep.equal(getIds(-7, 2));
+    });
+
+    it('should not load messages at the top of the conversation', function() {
+      controller.topOfConversation = true;
+
+      controller.showPreviousMessages();
+      $scope.$digest();
+
+      expect(controller.loadPreviousMessages).to.not.have.been.called;
+    });
+
+    it('should display the messages following the window when its last message is displayed', function() {
+      controller.showPreviousMessages();
+      $scope.$digest();
+      controller.showPreviousMessages();
+      $scope.$digest();
+
+      controller.onLastLineInView(true);
+
+      expect(controller.setLastLineInView).to.have.been.calledWith(false);
+      expect(controller.glued).to.be.false;
+      expect(chatScrollService.keepScrollPosition).to.have.been.calledThrice;
+      expect(getVisibleIds()).to.deep.equal(getIds(-3, 5));
+
+      controller.onLastLineInView(true);
+
+      expect(controller.setLastLineInView).to.have.been.calledWith(true);
+      expect(getVisibleIds()).to.deep.equal(getIds(-3, 5));
+    });
+
+    it('should display the message to scroll to', function() {
+      controller.showPreviousMessages();
+      $scope.$digest();
+      controller.showPreviousMessages();
+      $scope.$digest();
+
+      $rootScope.$broadcast(CHAT_EVENTS.SCROLL.TO_MESSAGE, 'message-8');
+
+      expect(getVisibleIds()).to.deep.equal(getIds(-9, 0));
+    });
+
+    it('should display the last messages when the list is scrolled down', function() {
+      controller.showPreviousMessages();
+      $scope.$digest();
+      controller.showPreviousMessages();
+      $scope.$digest();
+
+      $rootScope.$broadcast(CHAT_EVENTS.SCROLL.DOWN);
+
+      expect(controller.glued).to.be.true;
+      expect(getVisibleIds()).to.deep.equal(getIds(-4, 5));
+    });
+
+    it('should give the previous message of the conversation for the first message of the window', function() {
+      controller.showPreviousMessages();
+      $scope.$digest();
+
+      expect(controller.getPreviousMessage(0)).to.equal(messages[5]);
+      expect(controller.getPreviousMessage(1)).to.equal(messages[6]);
+    });
+  });
 });
@@ -0,0 +1,25 @@
+(function() {
+  'use strict';
+
+  angular
+    .module('linagora.esn.chat')
+    .directive('chatScrollTop', chatScrollTop);
+
+    function chatScrollTop(_, CHAT_MESSAGES_WINDOW) {
+      var directive = {
+        restrict: 'A',
+        link: link
+      };
+
+      return directive;
+
+      // evaluates the attribute expression each time the element is scrolled near its top
+      function link(scope, element, attrs) {
+        element.on('scroll', _.throttle(function() {
+          if (element[0].scrollTop < CHAT_MESSAGES_WINDOW.SCROLL_THRESHOLD) {
+            scope.$apply(attrs.chatScrollTop);
+          }
+        }, 100));
+      }
+    }
+})();
@@ -0,0 +1,44 @@
+'use strict';
+
+/* global chai, sinon: false */
+
+var expect = chai.expect;
+
+describe('The chatScrollTop directive', function() {
+  var $compile, $rootScope, scope, element;
+
+  beforeEach(function() {
+    module('linagora.esn.chat', function($provide) {
+      $provide.value('searchProviders', {add: sinon.spy()});
+      $provide.value('chatSearchProviderService', {});
+      $provide.constant('CHAT_MESSAGES_WINDOW', {SCROLL_THRESHOLD: 100});
+    });
+  });
+
+  beforeEach(inject(function(_$compile_, _$rootScope_) {
+    $compile = _$compile_;
+    $rootScope = _$rootScope_;
+    scope = $rootScope.$new();
+    scope.onTop = sinon.spy();
+    element = $compile('<div chat-scroll-top="onTop()" style="height: 100px; overflow: auto;"><div style="height: 1000px;"></div></div>')(scope);
+    angular.element(document.body).append(element);
+  }));
+
+  afterEach(function() {
+    element.remove();
+  });
+
+  it('should evaluate the expression when the element is scrolled near its top', function() {
+    element[0].scrollTop = 50;
+    element.triggerHandler('scroll');
+
+    expect(scope.onTop).to.have.been.calledOnce;
+  });
+
+  it('should not evaluate the expression when the element is scrolled far from its top', function() {
+    element[0].scrollTop = 500;
+    element.triggerHandler('scroll');
+
+    expect(scope.onTop).to.not.have.been.called;
+  });
+});
@@ -4,11 +4,100 @@
   angular.module('linagora.esn.chat')
     .controller('ChatConversationSidebarAttachmentsListController', ChatConversationSidebarAttachmentsListController);
 
-  function ChatConversationSidebarAttachmentsListController($stateParams, chatConversationsStoreService, CHAT, CHAT_ATTACHMENT_PROVIDER) {
+  function ChatConversationSidebarAttachmentsListController($log, $q, $stateParams, _, esnPaginationtionProviderBuilder, chatConversationService, chatConversationsStoreService, chatUsername, CHAT) {
     var self = this;
+    var options = {
+      offset: 0,
+      limit: CHAT.DEFAULT_FETCH_SIZE
+    };
 
-    self.objectType = CHAT_ATTACHMENT_PROVIDER.conversation;
     self.id = $stateParams.id || chatConversationsStoreService.activeRoom._id;
-    self.DEFAULT_FETCH_SIZE = CHAT.DEFAULT_FETCH_SIZE;
+    self.filters = {};
+    self.members = [];
+    self.$onInit = $onInit;
+    self.clearFilters = clearFilters;
+    self.hasFilters = hasFilters;
+    self.onChange = onChange;
+    self.toggleType = toggleType;
+
+    function $onInit() {
+      getMembers();
+      getAttachmentsProvider();
+    }
+
+    function getAttachmentsProvider() {
+      esnPaginationtionProviderBuilder(self, 'conversationSidebarAttachments', getAttachments, options);
+    }
+
+    function getAttachments(paginationOptions) {
+      return chatConversationService.fetchAttachments(self.id, _.assign({}, paginationOptions || options, getQuery()))
+        .then(function(response) {
+          // each page is sent from its oldest attachment, the list displays the newest ones first
+          response.data = response.data.reverse().map(function(attachment) {
+            attachment.date = new Date(attachment.creation_date);
+
+            return attachment;
+          });
+
+          return response;
+        })
+        .catch(function(err) {
+          $log.error('Error while fetching attachments', err);
+
+          return $q.reject(new Error('Error while fetching attachments'));
+        });
+    }
+
+    function getMembers() {
+      var members = chatConversationsStoreService.activeRoom.members || [];
+
+      $q.all(members.map(function(member) {
+        return chatUsername.getFromCache(member.member.id, false).then(function(name) {
+          return {id: member.member.id, name: name};
+        });
+      })).then(function(users) {
+        self.members = _.sortBy(users, 'name');
+      });
+    }
+
+    // the dates are days of the user timezone, bounds included
+    function getQuery() {
+      var to = self.filters.to && new Date(self.filters.to);
+
+      if (to) {
+        to.setHours(23, 59, 59, 999);
+      }
+
+      return _.omit({
+        type: self.filters.type,
+        creator: self.filters.creator,
+        from: self.filters.from && self.filters.from.toISOString(),
+        to: to && to.toISOString(),
+        search: self.filters.search
+      }, function(value) {
+        return !value;
+      });
+    }
+
+    function hasFilters() {
+      return !_.isEmpty(getQuery());
+    }
+
+    function clearFilters() {
+      self.filters = {};
+      onChange();
+    }
+
+    function toggleType(type) {
+      self.filters.type = self.filters.type === type ? null : type;
+      onChange();
+    }
+
+    function onChange() {
+      self.elements = [];
+      self.infiniteScrollCompleted = false;
+      getAttachmentsProvider();
+      self.loadMoreElements();
+    }
   }
 })();
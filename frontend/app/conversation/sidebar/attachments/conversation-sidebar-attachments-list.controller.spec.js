@@ -0,0 +1,136 @@
+'use strict';
+
+/* global chai, sinon: false */
+
+var expect = chai.expect;
+
+describe('The ChatConversationSidebarAttachmentsListController controller', function() {
+
+  var $controller, $q, $rootScope, esnPaginationtionProviderBuilder, chatConversationService, chatConversationsStoreService, chatUsername, attachments, CHAT;
+
+  beforeEach(function() {
+    attachments = [
+      {_id: 'attachment1', creation_date: '2017-01-01T10:00:00.000Z'},
+      {_id: 'attachment2', creation_date: '2017-01-02T10:00:00.000Z'}
+    ];
+    esnPaginationtionProviderBuilder = sinon.spy(function(controller) {
+      controller.loadMoreElements = sinon.spy();
+    });
+    chatConversationService = {
+      fetchAttachments: sinon.spy(function() {
+        return $q.when({data: attachments});
+      })
+    };
+    chatConversationsStoreService = {
+      activeRoom: {_id: 'conversationId', members: [{member: {id: 'user1'}}, {member: {id: 'user2'}}]}
+    };
+    chatUsername = {
+      getFromCache: sinon.spy(function(userId) {
+        return $q.when(userId === 'user1' ? 'Zoe' : 'Alice');
+      })
+    };
+
+    module('linagora.esn.chat', function($provide) {
+      $provide.value('esnPaginationtionProviderBuilder', esnPaginationtionProviderBuilder);
+      $provide.value('searchProviders', {
+        add: sinon.spy()
+      });
+      $provide.value('chatSearchProviderService', {});
+      $provide.value('chatConversationService', chatConversationService);
+      $provide.value('chatConversationsStoreService', chatConversationsStoreService);
+      $provide.value('chatUsername', chatUsername);
+    });
+  });
+
+  beforeEach(angular.mock.inject(function(_$controller_, _$q_, _$rootScope_, _CHAT_) {
+    $controller = _$controller_;
+    $q = _$q_;
+    $rootScope = _$rootScope_;
+    CHAT = _CHAT_;
+  }));
+
+  function initController() {
+    var controller = $controller('ChatConversationSidebarAttachmentsListController', {$stateParams: {}});
+
+    controller.$onInit();
+    $rootScope.$digest();
+
+    return controller;
+  }
+
+  function fetch() {
+    var result;
+
+    esnPaginationtionProviderBuilder.lastCall.args[2]({offset: 0, limit: CHAT.DEFAULT_FETCH_SIZE}).then(function(response) {
+      result = response.data;
+    });
+    $rootScope.$digest();
+
+    return result;
+  }
+
+  describe('the $onInit function', function() {
+    it('should list the members of the conversation by name', function() {
+      expect(initController().members).to.deep.equal([{id: 'user2', name: 'Alice'}, {id: 'user1', name: 'Zoe'}]);
+    });
+
+    it('should fetch the attachments of the conversation from the newest one', function() {
+      var controller = initController();
+
+      expect(esnPaginationtionProviderBuilder).to.have.been.calledWith(controller, 'conversationSidebarAttachments', sinon.match.func);
+
+      var result = fetch();
+
+      expect(chatConversationService.fetchAttachments).to.have.been.calledWith('conversationId', {offset: 0, limit: CHAT.DEFAULT_FETCH_SIZE});
+      expect(result).to.shallowDeepEqual([{_id: 'attachment2'}, {_id: 'attachment1'}]);
+      expect(result[0].date).to.deep.equal(new Date('2017-01-02T10:00:00.000Z'));
+    });
+  });
+
+  describe('the filters', function() {
+    it('should fetch the attachments matching the filters', function() {
+      var controller = initController();
+      var to = new Date(2017, 0, 31);
+
+      controller.filters = {creator: 'user1', from: new Date(2017, 0, 1), to: to, search: 'report'};
+      controller.toggleType('images');
+
+      expect(controller.loadMoreElements).to.have.been.calledOnce;
+      fetch();
+
+      to.setHours(23, 59, 59, 999);
+      expect(chatConversationService.fetchAttachments).to.have.been.calledWith('conversationId', {
+        offset: 0,
+        limit: CHAT.DEFAULT_FETCH_SIZE,
+        type: 'images',
+        creator: 'user1',
+        from: new Date(2017, 0, 1).toISOString(),
+        to: to.toISOString(),
+        search: 'report'
+      });
+    });
+
+    it('should remove the type filter when toggled again', function() {
+      var controller = initController();
+
+      controller.toggleType('images');
+      controller.toggleType('images');
+
+      expect(controller.hasFilters()).to.be.false;
+    });
+
+    it('should clear the filters and fetch the attachments again', function() {
+      var controller = initController();
+
+      controller.filters = {search: 'report'};
+      expect(controller.hasFilters()).to.be.true;
+
+      controller.elements = [{_id: 'attachment1'}];
+      controller.clearFilters();
+
+      expect(controller.hasFilters()).to.be.false;
+      expect(controller.elements).to.deep.equal([]);
+      expect(controller.loadMoreElements).to.have.been.calledOnce;
+    });
+  });
+});
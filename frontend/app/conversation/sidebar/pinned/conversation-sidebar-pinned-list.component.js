@@ -0,0 +1,14 @@
+(function() {
+  'use strict';
+
+  angular.module('linagora.esn.chat')
+    .component('chatConversationSidebarPinnedList', chatConversationSidebarPinnedList());
+
+  function chatConversationSidebarPinnedList() {
+    return {
+      controller: 'ChatConversationSidebarPinnedListController',
+      controllerAs: 'ctrl',
+      templateUrl: '/chat/app/conversation/sidebar/pinned/conversation-sidebar-pinned-list.html'
+    };
+  }
+})();
@@ -0,0 +1,52 @@
+(function() {
+  'use strict';
+
+  angular.module('linagora.esn.chat')
+    .controller('ChatConversationSidebarPinnedListController', ChatConversationSidebarPinnedListController);
+
+  function ChatConversationSidebarPinnedListController($log, $q, $scope, _, esnPaginationtionProviderBuilder, chatConversationService, chatConversationsStoreService, CHAT, CHAT_EVENTS) {
+    var self = this;
+    var options = {
+      offset: 0,
+      limit: CHAT.DEFAULT_FETCH_SIZE
+    };
+
+    self.$onInit = $onInit;
+
+    function $onInit() {
+      getPinnedMessagesProvider();
+
+      [CHAT_EVENTS.MESSAGE_UPDATED, CHAT_EVENTS.MESSAGE_REMOVED].forEach(function(eventReceived) {
+        $scope.$on(eventReceived, onMessageUpdated);
+      });
+    }
+
+    function getPinnedMessages() {
+      return chatConversationService.fetchPinnedMessages(chatConversationsStoreService.activeRoom._id, options)
+        .catch(function(err) {
+          $log.error('Error while fetching pinned messages', err);
+
+          return $q.reject(new Error('Error while fetching pinned messages'));
+        });
+    }
+
+    function getPinnedMessagesProvider() {
+      esnPaginationtionProviderBuilder(self, 'conversationSidebarPinned', getPinnedMessages, options);
+    }
+
+    function onMessageUpdated(event, message) {
+      if (!self.elements || message.channel !== chatConversationsStoreService.activeRoom._id) {
+        return;
+      }
+
+      var pinnedMessage = _.find(self.elements, {_id: message._id});
+
+      // removed messages are unpinned too
+      if (pinnedMessage && !message.timestamps.pin) {
+        self.elements.splice(self.elements.indexOf(pinnedMessage), 1);
+      } else if (!pinnedMessage && message.timestamps.pin) {
+        self.elements.unshift(message);
+      }
+    }
+  }
+})();
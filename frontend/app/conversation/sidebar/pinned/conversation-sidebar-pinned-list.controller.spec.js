@@ -0,0 +1,106 @@
+'use strict';
+
+/* global chai, sinon: false */
+
+var expect = chai.expect;
+
+describe('The ChatConversationSidebarPinnedListController controller', function() {
+
+  var $controller, $rootScope, $scope, esnPaginationtionProviderBuilder, chatConversationService, chatConversationsStoreService, options, CHAT, CHAT_EVENTS;
+
+  beforeEach(function() {
+    esnPaginationtionProviderBuilder = sinon.spy();
+    chatConversationService = {
+      fetchPinnedMessages: sinon.spy()
+    };
+    chatConversationsStoreService = {
+      activeRoom: {_id: 'conversationId'}
+    };
+
+    module('linagora.esn.chat', function($provide) {
+      $provide.value('esnPaginationtionProviderBuilder', esnPaginationtionProviderBuilder);
+      $provide.value('searchProviders', {
+        add: sinon.spy()
+      });
+      $provide.value('newProvider', function(_provider) {
+        return _provider;
+      });
+      $provide.value('chatSearchProviderService', {});
+      $provide.value('chatConversationService', chatConversationService);
+      $provide.value('chatConversationsStoreService', chatConversationsStoreService);
+    });
+  });
+
+  beforeEach(angular.mock.inject(function(_$controller_, _$rootScope_, _CHAT_, _CHAT_EVENTS_) {
+    $controller = _$controller_;
+    $rootScope = _$rootScope_;
+    $scope = $rootScope.$new();
+    CHAT = _CHAT_;
+    CHAT_EVENTS = _CHAT_EVENTS_;
+    options = {
+      offset: 0,
+      limit: CHAT.DEFAULT_FETCH_SIZE
+    };
+  }));
+
+  function initController() {
+    var controller = $controller('ChatConversationSidebarPinnedListController', {$scope: $scope});
+
+    controller.$onInit();
+
+    return controller;
+  }
+
+  describe('the initialization', function() {
+
+    it('should call esnPaginationtionProviderBuilder with the right params', function() {
+      var controller = initController();
+
+      expect(esnPaginationtionProviderBuilder).to.have.been.calledWith(controller, 'conversationSidebarPinned', sinon.match.func, options);
+    });
+
+    it('should fetch the pinned messages of the active conversation', function() {
+      initController();
+
+      esnPaginationtionProviderBuilder.firstCall.args[2]();
+
+      expect(chatConversationService.fetchPinnedMessages).to.have.been.calledWith('conversationId', options);
+    });
+  });
+
+  describe('on message update', function() {
+    var controller;
+
+    beforeEach(function() {
+      controller = initController();
+      controller.elements = [{_id: 'message1', channel: 'conversationId', timestamps: {pin: 1}}];
+    });
+
+    it('should add the message when it has been pinned', function() {
+      var message = {_id: 'message2', channel: 'conversationId', timestamps: {pin: 2}};
+
+      $rootScope.$broadcast(CHAT_EVENTS.MESSAGE_UPDATED, message);
+
+      expect(controller.elements[0]).to.equal(message);
+      expect(controller.elements).to.have.length(2);
+    });
+
+    it('should remove the message when it has been unpinned', function() {
+      $rootScope.$broadcast(CHAT_EVENTS.MESSAGE_UPDATED, {_id: 'message1', channel: 'conversationId', timestamps: {}});
+
+      expect(controller.elements).to.be.empty;
+    });
+
+    it('should remove the message when it has been removed', function() {
+      $rootScope.$broadcast(CHAT_EVENTS.MESSAGE_REMOVED, {_id: 'message1', channel: 'conversationId', timestamps: {deletion: 2}});
+
+      expect(controller.elements).to.be.empty;
+    });
+
+    it('should ignore messages of other conversations', function() {
+      $rootScope.$broadcast(CHAT_EVENTS.MESSAGE_UPDATED, {_id: 'message2', channel: 'anotherConversationId', timestamps: {pin: 2}});
+
+      expect(controller.elements).to.have.length(1);
+    });
+  });
+});
@@ -0,0 +1,14 @@
+(function() {
+  'use strict';
+
+  angular.module('linagora.esn.chat')
+    .component('chatConversationSidebarThread', chatConversationSidebarThread());
+
+  function chatConversationSidebarThread() {
+    return {
+      controller: 'ChatConversationSidebarThreadController',
+      controllerAs: 'ctrl',
+      templateUrl: '/chat/app/conversation/sidebar/thread/conversation-sidebar-thread.html'
+    };
+  }
+})();
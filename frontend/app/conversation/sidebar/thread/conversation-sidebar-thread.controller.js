@@ -0,0 +1,147 @@
+(function() {
+  'use strict';
+
+  angular.module('linagora.esn.chat')
+    .controller('ChatConversationSidebarThreadController', ChatConversationSidebarThreadController);
+
+  function ChatConversationSidebarThreadController(_, $log, $q, $scope, $stateParams, session, chatMessageService, chatConversationsStoreService, CHAT_EVENTS, CHAT_MESSAGE_STATUS, CHAT) {
+    var self = this,
+      // the replies are loaded by pages from the oldest one, the replies received meanwhile are not counted
+      offset = 0,
+      loadingReplies = null;
+
+    self.replies = [];
+    self.hasMoreReplies = true;
+    self.loadMoreReplies = loadMoreReplies;
+    self.onLastReplyInView = onLastReplyInView;
+    self.sendReply = sendReply;
+    self.$onInit = $onInit;
+
+    function $onInit() {
+      chatMessageService.getMessage($stateParams.messageId)
+        .then(function(parent) {
+          self.parent = parent;
+
+          return loadMoreReplies();
+        })
+        .catch(function(err) {
+          $log.error('Error while fetching thread', err);
+        });
+
+      $scope.$on(CHAT_EVENTS.MESSAGE_PENDING, function(event, message) {
+        if (isInThread(message)) {
+          self.replies.push(message);
+        }
+      });
+
+      [CHAT_EVENTS.TEXT_MESSAGE, CHAT_EVENTS.FILE_MESSAGE].forEach(function(eventReceived) {
+        $scope.$on(eventReceived, function(event, message) {
+          if (!isInThread(message)) {
+            return;
+          }
+
+          updateParent(message.parent);
+
+          var existing = findReply(message);
+
+          if (existing) {
+            return _.assign(existing, message, {status: CHAT_MESSAGE_STATUS.SENT});
+          }
+
+          self.replies.push(message);
+        });
+      });
+
+      [CHAT_EVENTS.MESSAGE_UPDATED, CHAT_EVENTS.MESSAGE_REMOVED, CHAT_EVENTS.MESSAGE_REACTION_UPDATED].forEach(function(eventReceived) {
+        $scope.$on(eventReceived, function(event, message) {
+          if (eventReceived === CHAT_EVENTS.MESSAGE_REMOVED && isInThread(message)) {
+            updateParent(message.parent);
+          }
+
+          var existing = self.parent && self.parent._id === message._id ? self.parent : _.find(self.replies, {_id: message._id});
+
+          if (existing) {
+            _.assign(existing, _.pick(message, ['text', 'user_mentions', 'attachments', 'edition_history', 'deleted_by', 'pinned_by', 'reactions', 'link_previews', 'timestamps']));
+          }
+        });
+      });
+    }
+
+    /**
+     * Load the next page of replies, the ones already displayed are not added twice.
+     *
+     * @return {Promise} resolved once loaded
+     */
+    function loadMoreReplies() {
+      if (!self.parent || !self.hasMoreReplies) {
+        return $q.when();
+      }
+
+      loadingReplies = loadingReplies || chatMessageService.getReplies(self.parent._id, {offset: offset, limit: CHAT.DEFAULT_FETCH_SIZE})
+        .then(function(replies) {
+          offset += replies.length;
+          self.hasMoreReplies = replies.length === CHAT.DEFAULT_FETCH_SIZE;
+
+          replies.forEach(function(reply) {
+            if (!findReply(reply)) {
+              self.replies.push(reply);
+            }
+          });
+        })
+        .finally(function() {
+          loadingReplies = null;
+        });
+
+      return loadingReplies;
+    }
+
+    function onLastReplyInView(inview) {
+      if (inview) {
+        loadMoreReplies().catch(function(err) {
+          $log.error('Error while fetching replies', err);
+        });
+      }
+    }
+
+    function findReply(message) {
+      return _.find(self.replies, function(reply) {
+        return (!!message._id && reply._id === message._id) || (!!message.client_id && reply.client_id === message.client_id);
+      });
+    }
+
+    function getParentId(message) {
+      return message.parent && (message.parent._id || message.parent);
+    }
+
+    function isInThread(message) {
+      return !!self.parent && getParentId(message) === self.parent._id;
+    }
+
+    function updateParent(parent) {
+      if (_.isObject(parent)) {
+        _.assign(self.parent, _.pick(parent, ['reply_count', 'last_reply', 'thread_participants']));
+      }
+    }
+
+    function sendReply() {
+      if (!self.text || !self.parent) {
+        return;
+      }
+
+      var message = {
+        type: 'text',
+        text: self.text,
+        creator: session.user._id,
+        channel: chatConversationsStoreService.activeRoom._id,
+        parent: self.parent._id,
+        date: Date.now()
+      };
+
+      self.text = '';
+
+      chatMessageService.sendMessage(message).catch(function(err) {
+        $log.error('Error while sending reply', err);
+      });
+    }
+  }
+})();
@@ -0,0 +1,223 @@
+'use strict';
+
+/* global chai, sinon: false, _: false */
+
+var expect = chai.expect;
+
+describe('The ChatConversationSidebarThreadController controller', function() {
+
+  var $controller, $rootScope, $q, scope, $stateParams, session, chatMessageService, chatConversationsStoreService, parent, replies, CHAT_EVENTS;
+
+  beforeEach(function() {
+    parent = {_id: 'parentId', channel: 'channelId', reply_count: 1, timestamps: {creation: 1}};
+    replies = [{_id: 'replyId', channel: 'channelId', parent: 'parentId', text: 'reply', timestamps: {creation: 2}}];
+    $stateParams = {messageId: 'parentId'};
+    session = {user: {_id: 'userId'}};
+    chatConversationsStoreService = {activeRoom: {_id: 'channelId'}};
+
+    module('linagora.esn.chat', function($provide) {
+      $provide.value('searchProviders', {
+        add: sinon.spy()
+      });
+      $provide.value('chatSearchProviderService', {});
+      $provide.value('$stateParams', $stateParams);
+      $provide.value('session', session);
+      $provide.value('chatConversationsStoreService', chatConversationsStoreService);
+    });
+  });
+
+  beforeEach(angular.mock.inject(function(_$controller_, _$rootScope_, _$q_, _chatMessageService_, _CHAT_EVENTS_) {
+    $controller = _$controller_;
+    $rootScope = _$rootScope_;
+    $q = _$q_;
+    chatMessageService = _chatMessageService_;
+    CHAT_EVENTS = _CHAT_EVENTS_;
+    scope = $rootScope.$new();
+
+    chatMessageService.getMessage = sinon.spy(function() {
+      return $q.when(parent);
+    });
+    chatMessageService.getReplies = sinon.spy(function() {
+      return $q.when(replies);
+    });
+    chatMessageService.sendMessage = sinon.spy(function() {
+      return $q.when();
+    });
+  }));
+
+  function initController() {
+    var controller = $controller('ChatConversationSidebarThreadController', {$scope: scope});
+
+    controller.$onInit();
+    $rootScope.$digest();
+
+    return controller;
+  }
+
+  describe('the $onInit function', function() {
+    it('should load the parent message and its replies', function() {
+      var controller = initController();
+
+      expect(chatMessageService.getMessage).to.have.been.calledWith('parentId');
+      expect(chatMessageService.getReplies).to.have.been.calledWith('parentId', {offset: 0, limit: 20});
+      expect(controller.parent).to.equal(parent);
+      expect(controller.replies).to.deep.equal(replies);
+      expect(controller.hasMoreReplies).to.be.false;
+    });
+
+    it('should only load the first page of replies of a long thread', function() {
+      parent.reply_count = 10000;
+      replies = _.range(20).map(function(index) {
+        return {_id: 'replyId' + index, channel: 'channelId', parent: 'parentId', timestamps: {creation: index + 2}};
+      });
+
+      var controller = initController();
+
+      expect(chatMessageService.getReplies).to.have.been.calledOnce;
+      expect(chatMessageService.getReplies).to.have.been.calledWith('parentId', {offset: 0, limit: 20});
+      expect(controller.replies).to.have.length(20);
+      expect(controller.hasMoreReplies).to.be.true;
+    });
+  });
+
+  describe('the onLastReplyInView function', function() {
+    beforeEach(function() {
+      replies = _.range(20).map(function(index) {
+        return {_id: 'replyId' + index, channel: 'channelId', parent: 'parentId', timestamps: {creation: index + 2}};
+      });
+    });
+
+    it('should load the next page of replies when the last reply is displayed', function() {
+      var controller = initController();
+
+      replies = [{_id: 'replyId20', channel: 'channelId', parent: 'parentId', timestamps: {creation: 22}}];
+      controller.onLastReplyInView(true);
+      $rootScope.$digest();
+
+      expect(chatMessageService.getReplies).to.have.been.calledWith('parentId', {offset: 20, limit: 20});
+      expect(controller.replies).to.have.length(21);
+      expect(controller.hasMoreReplies).to.be.false;
+    });
+
+    it('should not load anything when the last reply is not displayed', function() {
+      var controller = initController();
+
+      chatMessageService.getReplies.reset();
+      controller.onLastReplyInView(false);
+
+      expect(chatMessageService.getReplies).to.not.have.been.called;
+    });
+
+    it('should not add the replies received while loading twice', function() {
+      var controller = initController();
+      var reply = {_id: 'replyId20', channel: 'channelId', parent: {_id: 'parentId', reply_count: 21}, timestamps: {creation: 22}};
+
+      scope.$emit(CHAT_EVENTS.TEXT_MESSAGE, reply);
+      replies = [reply];
+      controller.onLastReplyInView(true);
+      $rootScope.$digest();
+
+      expect(controller.replies).to.have.length(21);
+    });
+
+    it('should not load anything once all the replies are loaded', function() {
+      replies = [];
+
+      var controller = initController();
+
+      chatMessageService.getReplies.reset();
+      controller.onLastReplyInView(true);
+      $rootScope.$digest();
+
+      expect(chatMessageService.getReplies).to.not.have.been.called;
+    });
+  });
+
+  describe('on new messages', function() {
+    it('should add the replies of the thread and update the parent', function() {
+      var controller = initController();
+      var reply = {_id: 'newReplyId', channel: 'channelId', parent: {_id: 'parentId', reply_count: 2, thread_participants: ['userId']}, timestamps: {creation: 3}};
+
+      scope.$emit(CHAT_EVENTS.TEXT_MESSAGE, reply);
+
+      expect(controller.replies).to.have.length(2);
+      expect(controller.replies[1]).to.equal(reply);
+      expect(controller.parent.reply_count).to.equal(2);
+    });
+
+    it('should not add messages from other threads', function() {
+      var controller = initController();
+
+      scope.$emit(CHAT_EVENTS.TEXT_MESSAGE, {_id: 'anotherId', channel: 'channelId', parent: {_id: 'anotherParentId'}});
+      scope.$emit(CHAT_EVENTS.TEXT_MESSAGE, {_id: 'topLevelId', channel: 'channelId'});
+
+      expect(controller.replies).to.have.length(1);
+    });
+
+    it('should add the pending replies of the thread', function() {
+      var controller = initController();
+      var pending = {client_id: 'clientId', channel: 'channelId', parent: 'parentId', status: 'pending', timestamps: {creation: 3}};
+
+      scope.$emit(CHAT_EVENTS.MESSAGE_PENDING, pending);
+
+      expect(controller.replies).to.have.length(2);
+      expect(controller.replies[1]).to.equal(pending);
+    });
+
+    it('should update the pending reply when it is received', function() {
+      var controller = initController();
+      var pending = {client_id: 'clientId', channel: 'channelId', parent: 'parentId', status: 'pending', timestamps: {creation: 3}};
+
+      scope.$emit(CHAT_EVENTS.MESSAGE_PENDING, pending);
+      scope.$emit(CHAT_EVENTS.TEXT_MESSAGE, {_id: 'newReplyId', client_id: 'clientId', channel: 'channelId', parent: {_id: 'parentId', reply_count: 2}, timestamps: {creation: 3}});
+
+      expect(controller.replies).to.have.length(2);
+      expect(pending).to.shallowDeepEqual({_id: 'newReplyId', status: 'sent'});
+      expect(controller.parent.reply_count).to.equal(2);
+    });
+  });
+
+  describe('on removed messages', function() {
+    it('should replace the reply by its tombstone', function() {
+      var controller = initController();
+
+      scope.$emit(CHAT_EVENTS.MESSAGE_REMOVED, {_id: 'replyId', text: '', timestamps: {creation: 2, deletion: 3}});
+
+      expect(controller.replies[0]).to.shallowDeepEqual({text: '', timestamps: {deletion: 3}});
+    });
+
+    it('should update the parent sent along with the removed reply', function() {
+      var controller = initController();
+
+      scope.$emit(CHAT_EVENTS.MESSAGE_REMOVED, {_id: 'replyId', parent: {_id: 'parentId', reply_count: 0}, text: '', timestamps: {creation: 2, deletion: 3}});
+
+      expect(controller.parent.reply_count).to.equal(0);
+    });
+  });
+
+  describe('the sendReply function', function() {
+    it('should send a message with the thread parent', function() {
+      var controller = initController();
+
+      controller.text = 'my reply';
+      controller.sendReply();
+
+      expect(chatMessageService.sendMessage).to.have.been.calledWith(sinon.match({
+        type: 'text',
+        text: 'my reply',
+        creator: 'userId',
+        channel: 'channelId',
+        parent: 'parentId'
+      }));
+      expect(controller.text).to.equal('');
+    });
+
+    it('should not send empty replies', function() {
+      var controller = initController();
+
+      controller.sendReply();
+
+      expect(chatMessageService.sendMessage).to.not.have.been.called;
+    });
+  });
+});
@@ -0,0 +1,17 @@
+(function() {
+  'use strict';
+
+  angular.module('linagora.esn.chat')
+    .component('chatConversationTopbarActionsPinned', chatConversationTopbarActionsPinned());
+
+  function chatConversationTopbarActionsPinned() {
+    return {
+      controller: 'ChatConversationTopbarActionsPinned',
+      controllerAs: 'ctrl',
+      templateUrl: '/chat/app/conversation/topbar/actions/pinned/conversation-topbar-actions-pinned.html',
+      bindings: {
+        conversation: '<'
+      }
+    };
+  }
+})();
@@ -0,0 +1,20 @@
+(function() {
+  'use strict';
+
+  angular.module('linagora.esn.chat')
+    .controller('ChatConversationTopbarActionsPinned', ChatConversationTopbarActionsPinned);
+
+  function ChatConversationTopbarActionsPinned($state) {
+    var self = this;
+
+    self.toggleDisplay = toggleDisplay;
+
+    function toggleDisplay() {
+      if ($state.includes('chat.channels-views.pinned')) {
+        $state.go('chat.channels-views');
+      } else {
+        $state.go('chat.channels-views.pinned', {id: self.conversation._id});
+      }
+    }
+  }
+})();
@@ -4,36 +4,29 @@
   angular.module('linagora.esn.chat')
     .controller('ChatUserTypingController', ChatUserTypingController);
 
-    function ChatUserTypingController($q, $scope, _, session, chatUsername, chatConversationMemberService, chatConversationsStoreService, CHAT_MESSAGE_TYPE) {
+    function ChatUserTypingController($scope, chatUsername, chatConversationsStoreService, chatTypingService, CHAT_EVENTS) {
       var self = this;
 
-      self.typing = {};
+      self.usersTyping = [];
       self.$onInit = $onInit;
 
       function $onInit() {
-        $scope.$on('chat:message:' + CHAT_MESSAGE_TYPE.USER_TYPING, onUserTyping);
+        updateUsersTyping(chatTypingService.getTypingUsers(chatConversationsStoreService.activeRoom._id));
+
+        $scope.$on(CHAT_EVENTS.USERS_TYPING, onUsersTyping);
       }
 
-      function onUserTyping(evt, message) {
-        if (!message || !message.creator || !message.creator._id || !chatConversationMemberService.currentUserIsMemberOf(chatConversationsStoreService.activeRoom)) {
+      // event data is {conversationId, users}
+      function onUsersTyping(evt, data) {
+        if (!data || data.conversationId !== chatConversationsStoreService.activeRoom._id) {
           return;
         }
 
-        self.typing[message.creator._id] = message;
-
-        var usersTyping = _.chain(self.typing)
-          .filter(function(message) {
-            return message.state && chatConversationsStoreService.activeRoom._id === message.channel && message.creator._id !== session.user._id;
-          })
-          .map('creator')
-          .value();
-
-        $q.all(usersTyping.map(function(user) {
+        updateUsersTyping(data.users);
+      }
 
-          return chatUsername.getFromCache(user._id, false);
-        })).then(function(usersName) {
-          self.usersTyping = usersName;
-        });
+      function updateUsersTyping(users) {
+        self.usersTyping = (users || []).map(chatUsername.generate);
       }
     }
 })();
@@ -6,15 +6,12 @@ var expect = chai.expect;
 
 describe('The ChatUserTypingController controller', function() {
 
-  var $q, $rootScope, $scope, $controller;
-  var event, channelId, message, session, user, chatConversationsStoreService, chatUsername, isMemberOfConversation, chatConversationMemberService, CHAT_MESSAGE_TYPE;
+  var $rootScope, $scope, $controller;
+  var channelId, user, chatConversationsStoreService, chatTypingService, chatUsername, CHAT_EVENTS;
 
   beforeEach(function() {
-    isMemberOfConversation = true;
-    user = {_id: 1};
-    channelId = 3;
-    session = {user: user};
-    message = {_id: 2, state: true, channel: channelId, creator: {_id: session.user._id}};
+    user = {_id: 'userId'};
+    channelId = 'channelId';
 
     chatConversationsStoreService = {
       activeRoom: {
@@ -22,15 +19,15 @@ describe('The ChatUserTypingController controller', function() {
       }
     };
 
-    chatUsername = {
-      getFromCache: sinon.spy(function() {
-        return $q.when();
+    chatTypingService = {
+      getTypingUsers: sinon.spy(function() {
+        return [];
       })
     };
 
-    chatConversationMemberService = {
-      currentUserIsMemberOf: sinon.spy(function() {
-        return isMemberOfConversation;
+    chatUsername = {
+      generate: sinon.spy(function(user) {
+        return 'name of ' + user._id;
       })
     };
 
@@ -39,173 +36,64 @@ describe('The ChatUserTypingController controller', function() {
       $provide.value('searchProviders', {add: sinon.spy()});
       $provide.value('chatSearchProviderService', {});
       $provide.value('chatConversationsStoreService', chatConversationsStoreService);
-      $provide.value('chatConversationMemberService', chatConversationMemberService);
+      $provide.value('chatTypingService', chatTypingService);
       $provide.value('chatUsername', chatUsername);
-      $provide.value('session', session);
     });
   });
 
-  beforeEach(angular.mock.inject(function(_$q_, _$rootScope_, _$controller_, _CHAT_MESSAGE_TYPE_) {
-    $q = _$q_;
+  beforeEach(angular.mock.inject(function(_$rootScope_, _$controller_, _CHAT_EVENTS_) {
     $rootScope = _$rootScope_;
     $scope = $rootScope.$new();
     $controller = _$controller_;
-    CHAT_MESSAGE_TYPE = _CHAT_MESSAGE_TYPE_;
-    event = 'chat:message:' + CHAT_MESSAGE_TYPE.USER_TYPING;
+    CHAT_EVENTS = _CHAT_EVENTS_;
   }));
 
   function getController() {
     var controller = $controller('ChatUserTypingController', {$scope: $scope});
 
+    controller.$onInit();
     $scope.$digest();
 
     return controller;
   }
 
   describe('The $onInit function', function() {
-    it('should register a $scope listener on "chat:message:user_typing" events', function() {
-      var scopeOnSpy = sinon.spy($scope, '$on');
-
-      getController().$onInit();
-
-      expect(scopeOnSpy).to.have.been.calledWith(event, sinon.match.func);
-    });
-
-    describe('on "chat:message:user_typing" event', function() {
-      it('should do nothing when message is undefined', function() {
-        var scopeOnSpy = sinon.spy($scope, '$on');
-        var controller = getController();
-
-        message = undefined;
-        controller.$onInit();
-
-        expect(scopeOnSpy).to.have.been.calledWith(event, sinon.match.func.and(sinon.match(function(onUserTyping) {
-          onUserTyping(event, message);
-
-          expect(controller.typing).to.be.empty;
-          expect(controller.usersTyping).to.not.be.defined;
-
-          return true;
-        })));
+    it('should display the users already typing in the active conversation', function() {
+      chatTypingService.getTypingUsers = sinon.spy(function() {
+        return [user];
       });
 
-      it('should do nothing when message creator is undefined', function() {
-        var scopeOnSpy = sinon.spy($scope, '$on');
-        var controller = getController();
-
-        message.creator = undefined;
-        controller.$onInit();
-
-        expect(scopeOnSpy).to.have.been.calledWith(event, sinon.match.func.and(sinon.match(function(onUserTyping) {
-          onUserTyping(event, message);
-
-          expect(controller.typing).to.be.empty;
-          expect(controller.usersTyping).to.not.be.defined;
-
-          return true;
-        })));
-      });
-
-      it('should do nothing when message creator id is undefined', function() {
-        var scopeOnSpy = sinon.spy($scope, '$on');
-        var controller = getController();
-
-        message.creator = {};
-        controller.$onInit();
-
-        expect(scopeOnSpy).to.have.been.calledWith(event, sinon.match.func.and(sinon.match(function(onUserTyping) {
-          onUserTyping(event, message);
-
-          expect(controller.typing).to.be.empty;
-          expect(controller.usersTyping).to.not.be.defined;
-
-          return true;
-        })));
-      });
-
-      it('should do nothing when current user is not member of the conversation', function() {
-        var scopeOnSpy = sinon.spy($scope, '$on');
-        var controller = getController();
-
-        isMemberOfConversation = false;
-        controller.$onInit();
+      var controller = getController();
 
-        expect(scopeOnSpy).to.have.been.calledWith(event, sinon.match.func.and(sinon.match(function(onUserTyping) {
-          onUserTyping(event, message);
-
-          expect(controller.typing).to.be.empty;
-          expect(controller.usersTyping).to.not.be.defined;
-
-          return true;
-        })));
-      });
-
-      it('should not include current user when he is the message creator', function() {
-        var scopeOnSpy = sinon.spy($scope, '$on');
-        var controller = getController();
-
-        controller.$onInit();
-
-        expect(scopeOnSpy).to.have.been.calledWith(event, sinon.match.func.and(sinon.match(function(onUserTyping) {
-          onUserTyping(event, message);
-
-          expect(controller.typing).to.deep.equals({1: message});
-          expect(controller.usersTyping).to.be.empty;
-
-          return true;
-        })));
-      });
-
-      it('should not include user when message.state is falsy', function() {
-        var scopeOnSpy = sinon.spy($scope, '$on');
-        var controller = getController();
-
-        message.state = false;
-        controller.$onInit();
-
-        expect(scopeOnSpy).to.have.been.calledWith(event, sinon.match.func.and(sinon.match(function(onUserTyping) {
-          onUserTyping(event, message);
-
-          expect(controller.typing).to.deep.equals({1: message});
-          expect(controller.usersTyping).to.be.empty;
-
-          return true;
-        })));
-      });
-
-      it('should not include user when not part of current channel', function() {
-        var scopeOnSpy = sinon.spy($scope, '$on');
-        var controller = getController();
+      expect(chatTypingService.getTypingUsers).to.have.been.calledWith(channelId);
+      expect(controller.usersTyping).to.deep.equal(['name of userId']);
+    });
+  });
 
-        chatConversationsStoreService.activeRoom._id = '!' + message.channel;
-        controller.$onInit();
+  describe('on CHAT_EVENTS.USERS_TYPING event', function() {
+    it('should display the users typing in the active conversation', function() {
+      var controller = getController();
 
-        expect(scopeOnSpy).to.have.been.calledWith(event, sinon.match.func.and(sinon.match(function(onUserTyping) {
-          onUserTyping(event, message);
+      $rootScope.$broadcast(CHAT_EVENTS.USERS_TYPING, {conversationId: channelId, users: [user]});
 
-          expect(controller.typing).to.deep.equals({1: message});
-          expect(controller.usersTyping).to.be.empty;
+      expect(controller.usersTyping).to.deep.equal(['name of userId']);
+    });
 
-          return true;
-        })));
-      });
+    it('should ignore the users typing in another conversation', function() {
+      var controller = getController();
 
-      it('should include user when not current user, message.state is true and related to current conversation', function() {
-        var scopeOnSpy = sinon.spy($scope, '$on');
-        var controller = getController();
+      $rootScope.$broadcast(CHAT_EVENTS.USERS_TYPING, {conversationId: 'otherChannelId', users: [user]});
 
-        message.creator._id = '!' + session.user._id;
-        controller.$onInit();
+      expect(controller.usersTyping).to.be.empty;
+    });
 
-        expect(scopeOnSpy).to.have.been.calledWith(event, sinon.match.func.and(sinon.match(function(onUserTyping) {
-          onUserTyping(event, message);
+    it('should clear the users when nobody is typing anymore', function() {
+      var controller = getController();
 
-          expect(chatUsername.getFromCache).to.have.been.calledWith(message.creator._id, false);
-          expect(controller.typing).to.deep.equals({'!1': message});
+      $rootScope.$broadcast(CHAT_EVENTS.USERS_TYPING, {conversationId: channelId, users: [user]});
+      $rootScope.$broadcast(CHAT_EVENTS.USERS_TYPING, {conversationId: channelId, users: []});
 
-          return true;
-        })));
-      });
+      expect(controller.usersTyping).to.be.empty;
     });
   });
 });
@@ -10,6 +10,8 @@
     $log,
     $scope,
     $q,
+    $state,
+    $stateParams,
     $timeout,
     session,
     usSpinnerService,
@@ -20,32 +22,40 @@
     chatConversationsStoreService,
     chatMessageService,
     CHAT_MESSAGE_GROUP,
+    CHAT_MESSAGE_STATUS,
     CHAT_EVENTS,
     CHAT,
     CHAT_DRAG_FILE_CLASS,
+    CHAT_MESSAGE_PERMALINK_STATE,
     ESN_APP_STATE_CHANGE_EVENT
   ) {
     var self = this,
-      messageCounterFromTheSameUser = 0;
+      messageCounterFromTheSameUser = 0,
+      unread = {count: 0},
+      targetMessageId = null,
+      loadingNewerMessages = null;
 
     self.spinnerKey = 'ChatConversationSpinner';
     self.chatConversationsStoreService = chatConversationsStoreService;
     self.chatConversationActionsService = chatConversationActionsService;
     self.user = session.user;
     self.messages = [];
+    self.readers = {};
+    self.firstUnreadId = null;
+    self.jumpToFirstUnread = jumpToFirstUnread;
+    self.showJumpToFirstUnread = false;
+    self.highlightedMessageId = null;
     self.glued = true;
     self.loadPreviousMessages = loadPreviousMessages;
+    self.loadNewerMessages = loadNewerMessages;
     self.newMessage = newMessage;
     self.topOfConversation = false;
+    self.bottomOfConversation = true;
     self.setLastLineInView = setLastLineInView;
     self.inview = false;
     self.onDragOver = onDragOver;
     self.$onInit = $onInit;
 
-    function addUniqId(message) {
-      message._uniqId = message.creator._id + ':' + message.timestamps.creation + '' + message.text;
-    }
-
     function getConversationId() {
       return chatConversationsStoreService.activeRoom._id;
     }
@@ -54,13 +64,80 @@
       return self.messages && self.messages[0] && self.messages[0]._id;
     }
 
+    // pending messages have no id yet
+    function getNewerMessageId() {
+      var newer = _.findLast(self.messages, '_id');
+
+      return newer && newer._id;
+    }
+
+    // the read state has to be kept before the conversation is marked as read to display where the user stopped
+    function getUnreadState(conversation) {
+      var memberState = conversation.memberStates && conversation.memberStates[session.user._id];
+
+      return {
+        count: conversation.unreadMessageCount || 0,
+        lastReadMessageId: memberState && memberState.lastReadMessageId
+      };
+    }
+
+    // the first page is centered on the last read message when the unread ones do not fit in the last page
+    function shouldLoadAroundLastRead() {
+      return !!unread.lastReadMessageId && unread.count >= CHAT.DEFAULT_FETCH_SIZE && unread.count < CHAT.MAX_UNREAD_FETCH_SIZE;
+    }
+
+    function isTopOfConversation(result, options) {
+      var index = options.around ? _.findIndex(result, {_id: options.around}) : -1;
+
+      return index > -1 ? index < Math.floor(options.limit / 2) : result.length < options.limit;
+    }
+
+    // the newer half of a page loaded around a message is not full when there is no newer message
+    function isBottomOfConversation(result, options) {
+      var index = options.around ? _.findIndex(result, {_id: options.around}) : -1;
+
+      return index > -1 ? result.length - index < options.limit - Math.floor(options.limit / 2) : true;
+    }
+
+    function updateFirstUnread() {
+      if (self.firstUnreadId || !unread.count) {
+        return;
+      }
+
+      var index = unread.lastReadMessageId ?
+        _.findIndex(self.messages, {_id: unread.lastReadMessageId}) + 1 :
+        self.messages.length - unread.count;
+
+      if (index > 0 && index < self.messages.length) {
+        self.firstUnreadId = self.messages[index]._id;
+      }
+    }
+
+    /**
+     * Scroll to the first unread message, loading the older messages until it is found.
+     *
+     * @return {Promise} resolved once scrolled
+     */
+    function jumpToFirstUnread() {
+      self.showJumpToFirstUnread = false;
+
+      if (self.firstUnreadId) {
+        return $q.when(chatScrollService.scrollToMessage(self.firstUnreadId));
+      }
+
+      if (self.topOfConversation || !unread.count) {
+        return $q.when();
+      }
+
+      return loadPreviousMessages().then(jumpToFirstUnread);
+    }
+
     function updateMessageSameUser(message, isTheSameUser) {
       message.sameUser = isTheSameUser;
       messageCounterFromTheSameUser = isTheSameUser ? messageCounterFromTheSameUser + 1 : 1;
     }
 
     function newMessage(message) {
-      addUniqId(message);
       // chances are, the new message is the most recent
       // So we traverse the array starting by the end
       for (var i = self.messages.length - 1; i > -1; i--) {
@@ -78,13 +155,11 @@
     function queueOlderMessages(messages, isFirstLoad) {
       if (isFirstLoad) {
         return messages.forEach(function(message) {
-          addUniqId(message);
           self.messages.push(message);
         });
       }
 
       messages.reverse().forEach(function(message) {
-        addUniqId(message);
         self.messages.unshift(message);
       });
     }
@@ -100,6 +175,11 @@
 
       if (older) {
         options.before = older;
+      } else if (targetMessageId) {
+        options.around = targetMessageId;
+      } else if (shouldLoadAroundLastRead()) {
+        options.around = unread.lastReadMessageId;
+        options.limit = 2 * (unread.count + 1);
       }
 
       usSpinnerService.spin(self.spinnerKey);
@@ -107,10 +187,17 @@
       return chatConversationService.fetchMessages(getConversationId(), options)
         .then(checkMessagesOfSameUser)
         .then(function(result) {
-          self.topOfConversation = result.length < CHAT.DEFAULT_FETCH_SIZE;
+          self.topOfConversation = isTopOfConversation(result, options);
+
+          if (isFirstLoad) {
+            self.bottomOfConversation = isBottomOfConversation(result, options);
+          }
+
           var lastLoaded = result.length - 1;
 
           queueOlderMessages(result, isFirstLoad);
+          updateReaders();
+          updateFirstUnread();
 
           if (!isFirstLoad && lastLoaded > 0) {
             for (var i = lastLoaded; i < self.messages.length - lastLoaded && i < lastLoaded + CHAT_MESSAGE_GROUP.SAME_USER_LENGTH; i++) {
@@ -130,6 +217,84 @@
         });
     }
 
+    /**
+     * Load the page of messages following the last loaded one, when the displayed messages are not the last ones
+     * of the conversation. The messages in between are not loaded when jumping to an old message.
+     * A page which can not be loaded is loaded again the next time the last message is displayed.
+     *
+     * @return {Promise} resolved with the messages
+     */
+    function loadNewerMessages() {
+      var options = {limit: CHAT.DEFAULT_FETCH_SIZE, after: getNewerMessageId()};
+
+      if (self.bottomOfConversation || !options.after) {
+        return $q.when(self.messages);
+      }
+
+      loadingNewerMessages = loadingNewerMessages || chatConversationService.fetchMessages(getConversationId(), options)
+        .then(function(result) {
+          result.forEach(function(message) {
+            findMessage(message) || newMessage(message);
+          });
+          self.bottomOfConversation = result.length < options.limit;
+          updateReaders();
+
+          return self.messages;
+        })
+        .catch(function(err) {
+          $log.error('Error while fetching newer messages', err);
+
+          return self.messages;
+        })
+        .finally(function() {
+          loadingNewerMessages = null;
+        });
+
+      return loadingNewerMessages;
+    }
+
+    // the last page replaces the displayed messages when they are far from the last ones
+    function loadLastMessages() {
+      self.messages = [];
+      self.topOfConversation = false;
+      self.firstUnreadId = null;
+      self.highlightedMessageId = null;
+      messageCounterFromTheSameUser = 0;
+
+      return loadPreviousMessages(true);
+    }
+
+    /**
+     * Display the given message highlighted, loading the messages around it when it is not loaded yet.
+     *
+     * @param {String} messageId
+     * @return {Promise}
+     */
+    function jumpToMessage(messageId) {
+      self.highlightedMessageId = messageId;
+
+      if (_.find(self.messages, {_id: messageId})) {
+        return $q.when(chatScrollService.scrollToMessage(messageId));
+      }
+
+      targetMessageId = messageId;
+      self.messages = [];
+      self.topOfConversation = false;
+      self.firstUnreadId = null;
+      messageCounterFromTheSameUser = 0;
+
+      return loadPreviousMessages(true)
+        .then(function() {
+          chatScrollService.scrollToMessage(messageId);
+        })
+        .catch(function(err) {
+          $log.error('Error while loading message ' + messageId, err);
+        })
+        .finally(function() {
+          targetMessageId = null;
+        });
+    }
+
     function checkMessagesOfSameUser(messages) {
       var previousMessage;
 
@@ -146,6 +311,22 @@
       return messages;
     }
 
+    // the other members are displayed under the last message they read, unless they wrote it
+    function updateReaders() {
+      var readers = {};
+
+      _.forEach(chatConversationsStoreService.activeRoom.read_receipts, function(messageId, userId) {
+        var message = userId !== session.user._id && _.find(self.messages, {_id: messageId});
+
+        if (message && message.creator && message.creator._id !== userId) {
+          readers[messageId] = readers[messageId] || [];
+          readers[messageId].push(userId);
+        }
+      });
+
+      self.readers = readers;
+    }
+
     function scrollDown(isOwnerOfmessage, messageChannel) {
       if (isOwnerOfmessage || self.inview) {
         chatScrollService.setCanScrollDown(messageChannel, true);
@@ -157,6 +338,10 @@
 
     function setLastLineInView(inview) {
       self.inview = inview;
+
+      if (inview && !self.bottomOfConversation) {
+        loadNewerMessages();
+      }
     }
 
     function isSameUser(previousMessage, nextMessage) {
@@ -166,12 +351,24 @@
     }
 
     function $onInit() {
+      unread = getUnreadState(chatConversationsStoreService.activeRoom);
       chatConversationActionsService.markAllMessagesAsRead(chatConversationsStoreService.activeRoom);
-      loadPreviousMessages(true).then(function(isOwnerOfmessage, messageChannel) {
-        $timeout(function() {
-          scrollDown(isOwnerOfmessage, messageChannel);
-        }, 0);
-      });
+
+      if ($state.includes(CHAT_MESSAGE_PERMALINK_STATE)) {
+        jumpToMessage($stateParams.messageId);
+      } else {
+        loadPreviousMessages(true).then(function(isOwnerOfmessage, messageChannel) {
+          if (self.firstUnreadId) {
+            return chatScrollService.scrollToMessage(self.firstUnreadId);
+          }
+
+          self.showJumpToFirstUnread = unread.count > 0;
+          $timeout(function() {
+            scrollDown(isOwnerOfmessage, messageChannel);
+          }, 0);
+        });
+      }
+
       $scope.$on(ESN_APP_STATE_CHANGE_EVENT, function(event, foreground) {
         if (foreground) {
           chatConversationActionsService.markAllMessagesAsRead(chatConversationsStoreService.activeRoom);
@@ -179,23 +376,120 @@
       });
     }
 
-    function isDuplicate(message) {
-      return _.find(self.messages, {_uniqId: message._uniqId});
+    // messages sent from this session are already displayed as pending ones, they are matched by their client_id
+    function findMessage(message) {
+      return _.find(self.messages, function(existing) {
+        return (!!message._id && existing._id === message._id) || (!!message.client_id && existing.client_id === message.client_id);
+      });
+    }
+
+    function isInActiveRoom(message) {
+      return !!message.channel && message.channel === self.chatConversationsStoreService.activeRoom._id;
+    }
+
+    function updateMessage(message) {
+      var existing = _.find(self.messages, {_id: message._id});
+
+      if (existing) {
+        _.assign(existing, _.pick(message, ['text', 'user_mentions', 'attachments', 'edition_history', 'deleted_by', 'pinned_by', 'reactions', 'link_previews', 'timestamps']));
+      }
+    }
+
+    function updateThread(parent) {
+      var existing = _.isObject(parent) && _.find(self.messages, {_id: parent._id});
+
+      if (existing) {
+        _.assign(existing, _.pick(parent, ['reply_count', 'last_reply', 'thread_participants']));
+      }
+    }
+
+    // the parent is sent along with the removed reply, with the replies left
+    function removeReply(reply) {
+      if (_.isObject(reply.parent)) {
+        return updateThread(reply.parent);
+      }
+
+      var existing = _.find(self.messages, {_id: reply.parent});
+
+      if (existing && existing.reply_count > 0) {
+        existing.reply_count--;
+      }
     }
 
     function onDragOver() {
       return chatConversationMemberService.currentUserIsMemberOf(chatConversationsStoreService.activeRoom) ? CHAT_DRAG_FILE_CLASS.IS_MEMBER : CHAT_DRAG_FILE_CLASS.IS_NOT_MEMBER;
     }
 
+    $scope.$on(CHAT_EVENTS.MESSAGE_PENDING, function(event, message) {
+      if (isInActiveRoom(message) && !message.parent) {
+        if (!self.bottomOfConversation) {
+          return loadLastMessages().then(function() {
+            findMessage(message) || self.newMessage(message);
+            scrollDown(true, message.channel);
+          });
+        }
+
+        self.newMessage(message);
+        scrollDown(true, message.channel);
+      }
+    });
+
     [CHAT_EVENTS.BOT_MESSAGE, CHAT_EVENTS.TEXT_MESSAGE, CHAT_EVENTS.FILE_MESSAGE].forEach(function(eventReceived) {
       $scope.$on(eventReceived, function(event, message) {
-        if (message.channel && message.channel === self.chatConversationsStoreService.activeRoom._id) {
-          addUniqId(message);
+        if (isInActiveRoom(message)) {
+          // replies are displayed in the thread sidebar, only their parent is updated here
+          if (message.parent) {
+            return updateThread(message.parent);
+          }
+
+          var existing = findMessage(message);
+
+          if (existing) {
+            return _.assign(existing, message, {status: CHAT_MESSAGE_STATUS.SENT});
+          }
 
-          if (!isDuplicate(message)) {
-            self.newMessage(message);
-            scrollDown(message.creator._id === session.user._id, message.channel);
+          // it will be loaded with the newer messages once the user scrolls down to it
+          if (!self.bottomOfConversation) {
+            return;
           }
+
+          self.newMessage(message);
+          updateReaders();
+          scrollDown(message.creator._id === session.user._id, message.channel);
+        }
+      });
+    });
+
+    $scope.$on(CHAT_EVENTS.MEMBER_READ_RECEIPT, function(event, receipt) {
+      if (receipt.conversationId === self.chatConversationsStoreService.activeRoom._id) {
+        updateReaders();
+      }
+    });
+
+    // another permalink of the conversation is opened while it is displayed
+    $scope.$on('$stateChangeSuccess', function(event, toState, toParams) {
+      if (toState.name === CHAT_MESSAGE_PERMALINK_STATE && toParams.id === getConversationId() && toParams.messageId !== self.highlightedMessageId) {
+        jumpToMessage(toParams.messageId);
+      }
+    });
+
+    // the divider moves to the message the user marked as unread, from this session or another one
+    $scope.$on(CHAT_EVENTS.MEMBER_UNREAD_CONVERSATION, function(event, data) {
+      if (data.conversationId === self.chatConversationsStoreService.activeRoom._id) {
+        unread = getUnreadState(self.chatConversationsStoreService.activeRoom);
+        self.firstUnreadId = null;
+        updateFirstUnread();
+      }
+    });
+
+    [CHAT_EVENTS.MESSAGE_UPDATED, CHAT_EVENTS.MESSAGE_REMOVED, CHAT_EVENTS.MESSAGE_REACTION_UPDATED].forEach(function(eventReceived) {
+      $scope.$on(eventReceived, function(event, message) {
+        if (message.channel && message.channel === self.chatConversationsStoreService.activeRoom._id) {
+          if (eventReceived === CHAT_EVENTS.MESSAGE_REMOVED && message.parent) {
+            return removeReply(message);
+          }
+
+          updateMessage(message);
         }
       });
     });
@@ -5,7 +5,7 @@
 var expect = chai.expect;
 
 describe('The ChatConversationViewController controller', function() {
-  var $rootScope, $controller, $q, $stateParams;
+  var $rootScope, $controller, $q, $stateParams, $state;
   var scope,
     sessionMock,
     chatConversationServiceMock,
@@ -23,7 +23,8 @@ describe('The ChatConversationViewController controller', function() {
   beforeEach(function() {
 
     CHAT = {
-      DEFAULT_FETCH_SIZE: 3
+      DEFAULT_FETCH_SIZE: 3,
+      MAX_UNREAD_FETCH_SIZE: 10
     };
 
     chatConversationServiceMock = {};
@@ -42,6 +43,7 @@ describe('The ChatConversationViewController controller', function() {
 
     chatScrollServiceMock = {
       scrollDown: function() {},
+      scrollToMessage: sinon.spy(),
       setCanScrollDown: sinon.spy(function() {
         return $q.when([]);
       }),
@@ -60,6 +62,10 @@ describe('The ChatConversationViewController controller', function() {
       id: '123'
     };
 
+    $state = {
+      includes: sinon.stub().returns(false)
+    };
+
     user = {_id: 'userId'};
 
     sessionMock = {user: user};
@@ -86,6 +92,7 @@ describe('The ChatConversationViewController controller', function() {
       $provide.value('chatConversationActionsService', chatConversationActionsService);
       $provide.value('chatScrollService', chatScrollServiceMock);
       $provide.value('$stateParams', $stateParams);
+      $provide.value('$state', $state);
       $provide.value('chatScrollService', chatScrollServiceMock);
       $provide.value('chatConversationsStoreService', chatConversationsStoreService);
       $provide.value('chatConversationMemberService', chatConversationMemberService);
@@ -170,6 +177,24 @@ describe('The ChatConversationViewController controller', function() {
       expect(scope.vm.messages).to.shallowDeepEqual([message]);
     });
 
+    it('should update the parent message instead of adding a reply', function() {
+      var channel = 1;
+      var parent = {_id: 'parentId', creator: {_id: 'userId'}, timestamps: {creation: 2}, text: 'parent', channel: channel};
+      var ctrl;
+
+      chatConversationsStoreService.activeRoom._id = channel;
+      message.channel = channel;
+      message.parent = {_id: 'parentId', reply_count: 2, last_reply: {creator: 'userId', date: 3}, thread_participants: ['userId']};
+      ctrl = initCtrl(true);
+      ctrl.messages = [parent];
+
+      scope.$emit(CHAT_EVENTS.TEXT_MESSAGE, message);
+      $rootScope.$digest();
+
+      expect(ctrl.messages).to.deep.equal([parent]);
+      expect(parent).to.shallowDeepEqual({reply_count: 2, last_reply: {creator: 'userId', date: 3}, thread_participants: ['userId']});
+    });
+
     it('should not add the message if message channel is not the current one', function() {
       chatConversationsStoreService.activeRoom._id = 1;
       message.channel = 2;
@@ -228,6 +253,51 @@ describe('The ChatConversationViewController controller', function() {
     });
   });
 
+  describe('on $scope chat:message:pending event', function() {
+    var message;
+
+    beforeEach(function() {
+      chatConversationsStoreService.activeRoom._id = 1;
+      message = {client_id: 'clientId', channel: 1, creator: {_id: 'userId'}, timestamps: {creation: 3}, text: 'haha', status: 'pending'};
+      chatConversationServiceMock.fetchMessages = function() {
+        return $q.when([]);
+      };
+    });
+
+    it('should add the pending message when it is sent in the current conversation', function() {
+      initCtrl(true);
+
+      scope.$emit(CHAT_EVENTS.MESSAGE_PENDING, message);
+      $rootScope.$digest();
+
+      expect(scope.vm.messages).to.deep.equal([message]);
+    });
+
+    it('should not add a pending reply', function() {
+      message.parent = 'parentId';
+      initCtrl(true);
+
+      scope.$emit(CHAT_EVENTS.MESSAGE_PENDING, message);
+      $rootScope.$digest();
+
+      expect(scope.vm.messages).to.be.empty;
+    });
+
+    it('should update the pending message instead of adding the received one with the same client_id', function() {
+      var received = {_id: 'messageId', client_id: 'clientId', channel: 1, creator: {_id: 'userId'}, timestamps: {creation: 4}, text: 'haha'};
+
+      initCtrl(true);
+
+      scope.$emit(CHAT_EVENTS.MESSAGE_PENDING, message);
+      scope.$emit(CHAT_EVENTS.TEXT_MESSAGE, received);
+      $rootScope.$digest();
+
+      expect(scope.vm.messages).to.have.length(1);
+      expect(scope.vm.messages[0]).to.equal(message);
+      expect(message).to.shallowDeepEqual({_id: 'messageId', status: 'sent', timestamps: {creation: 4}});
+    });
+  });
+
   describe('on $scope chat:message:file event', function() {
 
     var message;
@@ -274,6 +344,145 @@ describe('The ChatConversationViewController controller', function() {
     });
   });
 
+  describe('on $scope chat:message:updated event', function() {
+    var channel, messages;
+
+    beforeEach(function() {
+      channel = 1;
+      $stateParams.id = null;
+      chatConversationsStoreService.activeRoom._id = channel;
+      messages = [
+        {_id: 1, creator: {_id: 'userId'}, timestamps: {creation: 3}, text: 'haha', channel: channel},
+        {_id: 2, creator: {_id: 'userId'}, timestamps: {creation: 4}, text: 'hoho', channel: channel}
+      ];
+      chatConversationServiceMock.fetchMessages = function() {
+        return $q.when([]);
+      };
+    });
+
+    it('should update the message text in place when message channel is the current one', function() {
+      var ctrl = initCtrl(true);
+      var updated = {_id: 2, creator: {_id: 'userId'}, timestamps: {creation: 4, edition: 5}, text: 'edited', user_mentions: [], edition_history: [{text: 'hoho'}], channel: channel};
+
+      ctrl.messages = messages;
+
+      scope.$emit(CHAT_EVENTS.MESSAGE_UPDATED, updated);
+      $rootScope.$digest();
+
+      expect(scope.vm.messages.length).to.equal(2);
+      expect(scope.vm.messages[1]).to.equal(messages[1]);
+      expect(scope.vm.messages[1]).to.shallowDeepEqual({text: 'edited', timestamps: {creation: 4, edition: 5}, edition_history: [{text: 'hoho'}]});
+    });
+
+    it('should update the link previews of the message', function() {
+      var ctrl = initCtrl(true);
+      var linkPreviews = [{_id: 'previewId', url: 'http://open-paas.org', title: 'OpenPaaS'}];
+
+      ctrl.messages = messages;
+
+      scope.$emit(CHAT_EVENTS.MESSAGE_UPDATED, {_id: 2, timestamps: {creation: 4}, text: 'hoho', link_previews: linkPreviews, channel: channel});
+      $rootScope.$digest();
+
+      expect(scope.vm.messages[1].link_previews).to.equal(linkPreviews);
+    });
+
+    it('should not update the message when message channel is not the current one', function() {
+      var ctrl = initCtrl(true);
+
+      ctrl.messages = messages;
+
+      scope.$emit(CHAT_EVENTS.MESSAGE_UPDATED, {_id: 2, timestamps: {creation: 4, edition: 5}, text: 'edited', channel: 2});
+      $rootScope.$digest();
+
+      expect(scope.vm.messages[1].text).to.equal('hoho');
+    });
+  });
+
+  describe('on $scope chat:message:removed event', function() {
+    it('should replace the message by its tombstone when message channel is the current one', function() {
+      var channel = 1;
+      var messages = [{_id: 1, creator: {_id: 'userId'}, timestamps: {creation: 3}, text: 'haha', attachments: [{_id: 'file'}], channel: channel}];
+
+      $stateParams.id = null;
+      chatConversationsStoreService.activeRoom._id = channel;
+      chatConversationServiceMock.fetchMessages = function() {
+        return $q.when([]);
+      };
+      var ctrl = initCtrl(true);
+
+      ctrl.messages = messages;
+
+      scope.$emit(CHAT_EVENTS.MESSAGE_REMOVED, {_id: 1, timestamps: {creation: 3, deletion: 4}, text: '', attachments: [], deleted_by: 'userId', channel: channel});
+      $rootScope.$digest();
+
+      expect(scope.vm.messages[0]).to.shallowDeepEqual({text: '', attachments: [], deleted_by: 'userId', timestamps: {creation: 3, deletion: 4}});
+    });
+  });
+
+  describe('on $scope chat:message:reaction:updated event', function() {
+    it('should update the reactions of the message when message channel is the current one', function() {
+      var channel = 1;
+      var messages = [{_id: 1, creator: {_id: 'userId'}, timestamps: {creation: 3}, text: 'haha', channel: channel}];
+      var reactions = [{emoji: 'smile', user: 'userId'}];
+
+      $stateParams.id = null;
+      chatConversationsStoreService.activeRoom._id = channel;
+      chatConversationServiceMock.fetchMessages = function() {
+        return $q.when([]);
+      };
+      var ctrl = initCtrl(true);
+
+      ctrl.messages = messages;
+
+      scope.$emit(CHAT_EVENTS.MESSAGE_REACTION_UPDATED, {_id: 1, channel: channel, reactions: reactions});
+      $rootScope.$digest();
+
+      expect(ctrl.messages[0]).to.shallowDeepEqual({text: 'haha', reactions: reactions});
+    });
+  });
+
+  describe('on $scope chat:message:removed event for a reply', function() {
+    it('should decrement the reply count of the parent message', function() {
+      var channel = 1;
+      var messages = [{_id: 'parentId', creator: {_id: 'userId'}, timestamps: {creation: 3}, text: 'haha', reply_count: 2, channel: channel}];
+
+      $stateParams.id = null;
+      chatConversationsStoreService.activeRoom._id = channel;
+      chatConversationServiceMock.fetchMessages = function() {
+        return $q.when([]);
+      };
+      var ctrl = initCtrl(true);
+
+      ctrl.messages = messages;
+
+      scope.$emit(CHAT_EVENTS.MESSAGE_REMOVED, {_id: 2, parent: 'parentId', timestamps: {creation: 4, deletion: 5}, text: '', channel: channel});
+      $rootScope.$digest();
+
+      expect(ctrl.messages).to.have.length(1);
+      expect(ctrl.messages[0].reply_count).to.equal(1);
+    });
+
+    it('should update the thread of the parent message sent along with the removed reply', function() {
+      var channel = 1;
+      var messages = [{_id: 'parentId', creator: {_id: 'userId'}, timestamps: {creation: 3}, text: 'haha', reply_count: 2, last_reply: {date: 5}, channel: channel}];
+
+      $stateParams.id = null;
+      chatConversationsStoreService.activeRoom._id = channel;
+      chatConversationServiceMock.fetchMessages = function() {
+        return $q.when([]);
+      };
+      var ctrl = initCtrl(true);
+
+      ctrl.messages = messages;
+
+      scope.$emit(CHAT_EVENTS.MESSAGE_REMOVED, {_id: 2, parent: {_id: 'parentId', reply_count: 1, last_reply: {date: 4}}, timestamps: {creation: 5, deletion: 6}, text: '', channel: channel});
+      $rootScope.$digest();
+
+      expect(ctrl.messages[0].reply_count).to.equal(1);
+      expect(ctrl.messages[0].last_reply).to.deep.equal({date: 4});
+    });
+  });
+
   describe('The $onInit function', function() {
     it('should fetch messages', function() {
       chatConversationServiceMock.fetchMessages = sinon.spy(function() {
@@ -707,6 +916,305 @@ describe('The ChatConversationViewController controller', function() {
     });
   });
 
+  describe('The read receipts', function() {
+    var messages;
+
+    beforeEach(function() {
+      messages = [
+        {_id: 'message1', creator: {_id: 'otherUserId'}, timestamps: {creation: 1}},
+        {_id: 'message2', creator: {_id: 'userId'}, timestamps: {creation: 2}}
+      ];
+      chatConversationsStoreService.activeRoom = {
+        _id: channelId,
+        read_receipts: {userId: 'message2', otherUserId: 'message1', thirdUserId: 'message2'}
+      };
+      chatConversationServiceMock.fetchMessages = function() {
+        return $q.when(angular.copy(messages));
+      };
+    });
+
+    it('should display the other members under the last message they read', function() {
+      initCtrl(true);
+      $rootScope.$digest();
+
+      expect(scope.vm.readers).to.deep.equal({message2: ['thirdUserId']});
+    });
+
+    it('should not display any reader when the conversation does not share read receipts', function() {
+      delete chatConversationsStoreService.activeRoom.read_receipts;
+
+      initCtrl(true);
+      $rootScope.$digest();
+
+      expect(scope.vm.readers).to.deep.equal({});
+    });
+
+    it('should update the readers on CHAT_EVENTS.MEMBER_READ_RECEIPT for the active conversation', function() {
+      initCtrl(true);
+      $rootScope.$digest();
+
+      chatConversationsStoreService.activeRoom.read_receipts.otherUserId = 'message2';
+      scope.$emit(CHAT_EVENTS.MEMBER_READ_RECEIPT, {conversationId: channelId, userId: 'otherUserId', messageId: 'message2'});
+
+      expect(scope.vm.readers).to.deep.equal({message2: ['otherUserId', 'thirdUserId']});
+    });
+  });
+
+  describe('The unread messages', function() {
+    function getMessages(from, to) {
+      var messages = [];
+
+      for (var i = from; i <= to; i++) {
+        messages.push({_id: 'message' + i, creator: {_id: 'otherUserId'}, timestamps: {creation: i}});
+      }
+
+      return messages;
+    }
+
+    beforeEach(function() {
+      chatConversationsStoreService.activeRoom = {
+        _id: channelId,
+        unreadMessageCount: 2,
+        memberStates: {userId: {numOfReadMessages: 3, lastReadMessageId: 'message3'}}
+      };
+    });
+
+    it('should display the divider before the first unread message and scroll to it', function() {
+      chatConversationServiceMock.fetchMessages = sinon.spy(function() {
+        return $q.when(getMessages(3, 5));
+      });
+
+      initCtrl(true);
+      $rootScope.$digest();
+
+      expect(scope.vm.firstUnreadId).to.equal('message4');
+      expect(scope.vm.showJumpToFirstUnread).to.be.false;
+      expect(chatScrollServiceMock.scrollToMessage).to.have.been.calledWith('message4');
+    });
+
+    it('should load the messages around the last read one when the unread ones do not fit in a page', function() {
+      chatConversationsStoreService.activeRoom.unreadMessageCount = 4;
+      chatConversationServiceMock.fetchMessages = sinon.spy(function() {
+        return $q.when(getMessages(1, 7));
+      });
+
+      initCtrl(true);
+      $rootScope.$digest();
+
+      expect(chatConversationServiceMock.fetchMessages).to.have.been.calledWith(channelId, {limit: 10, around: 'message3'});
+      expect(scope.vm.firstUnreadId).to.equal('message4');
+      expect(scope.vm.topOfConversation).to.be.true;
+    });
+
+    it('should load the last messages and display the jump button when there are too many unread messages', function() {
+      chatConversationsStoreService.activeRoom.unreadMessageCount = 10;
+      chatConversationServiceMock.fetchMessages = sinon.spy(function() {
+        return $q.when(getMessages(12, 14));
+      });
+
+      initCtrl(true);
+      $rootScope.$digest();
+
+      expect(chatConversationServiceMock.fetchMessages).to.have.been.calledWith(channelId, {limit: CHAT.DEFAULT_FETCH_SIZE});
+      expect(scope.vm.firstUnreadId).to.be.null;
+      expect(scope.vm.showJumpToFirstUnread).to.be.true;
+    });
+
+    it('should not display the divider when all the messages have been read', function() {
+      chatConversationsStoreService.activeRoom.unreadMessageCount = 0;
+      chatConversationServiceMock.fetchMessages = sinon.spy(function() {
+        return $q.when(getMessages(1, 3));
+      });
+
+      initCtrl(true);
+      $rootScope.$digest();
+
+      expect(scope.vm.firstUnreadId).to.be.null;
+      expect(scope.vm.showJumpToFirstUnread).to.be.false;
+    });
+
+    it('should move the divider to the message marked as unread', function() {
+      chatConversationsStoreService.activeRoom.unreadMessageCount = 0;
+      chatConversationServiceMock.fetchMessages = sinon.spy(function() {
+        return $q.when(getMessages(3, 5));
+      });
+
+      initCtrl(true);
+      $rootScope.$digest();
+
+      chatConversationsStoreService.activeRoom.unreadMessageCount = 2;
+      chatConversationsStoreService.activeRoom.memberStates.userId = {numOfReadMessages: 1, lastReadMessageId: 'message3'};
+      $rootScope.$broadcast(CHAT_EVENTS.MEMBER_UNREAD_CONVERSATION, {conversationId: channelId});
+
+      expect(scope.vm.firstUnreadId).to.equal('message4');
+    });
+
+    it('should load the older messages until the first unread one when jumping to it', function() {
+      var pages = [getMessages(12, 14), getMessages(9, 11), getMessages(6, 8), getMessages(3, 5)];
+
+      chatConversationsStoreService.activeRoom.unreadMessageCount = 10;
+      chatConversationServiceMock.fetchMessages = sinon.spy(function() {
+        return $q.when(pages.shift());
+      });
+
+      initCtrl(true);
+      $rootScope.$digest();
+      scope.vm.jumpToFirstUnread();
+      $rootScope.$digest();
+
+      expect(chatConversationServiceMock.fetchMessages).to.have.callCount(4);
+      expect(scope.vm.firstUnreadId).to.equal('message4');
+      expect(scope.vm.showJumpToFirstUnread).to.be.false;
+      expect(chatScrollServiceMock.scrollToMessage).to.have.been.calledWith('message4');
+    });
+  });
+
+  describe('The message permalink', function() {
+    var pages;
+
+    function getMessages(from, to) {
+      var messages = [];
+
+      for (var i = from; i <= to; i++) {
+        messages.push({_id: 'message' + i, creator: {_id: 'otherUserId'}, timestamps: {creation: i}});
+      }
+
+      return messages;
+    }
+
+    beforeEach(function() {
+      chatConversationsStoreService.activeRoom = {_id: channelId};
+      $state.includes = sinon.stub().returns(true);
+      $stateParams.messageId = 'message5';
+      pages = [getMessages(4, 6), getMessages(7, 9), getMessages(10, 10)];
+      chatConversationServiceMock.fetchMessages = sinon.spy(function() {
+        return $q.when(pages.shift());
+      });
+    });
+
+    it('should only load the messages around the message', function() {
+      initCtrl(true);
+      $rootScope.$digest();
+
+      expect(chatConversationServiceMock.fetchMessages).to.have.been.calledOnce;
+      expect(chatConversationServiceMock.fetchMessages).to.have.been.calledWith(channelId, {limit: CHAT.DEFAULT_FETCH_SIZE, around: 'message5'});
+      expect(scope.vm.messages.map(function(message) {
+        return message._id;
+      })).to.deep.equal(['message4', 'message5', 'message6']);
+      expect(scope.vm.bottomOfConversation).to.be.false;
+    });
+
+    it('should load the newer messages each time the last one is displayed until the last one of the conversation', function() {
+      initCtrl(true);
+      $rootScope.$digest();
+
+      scope.vm.setLastLineInView(true);
+      $rootScope.$digest();
+
+      expect(chatConversationServiceMock.fetchMessages).to.have.been.calledWith(channelId, {limit: CHAT.DEFAULT_FETCH_SIZE, after: 'message6'});
+      expect(scope.vm.bottomOfConversation).to.be.false;
+
+      scope.vm.setLastLineInView(true);
+      $rootScope.$digest();
+
+      expect(chatConversationServiceMock.fetchMessages).to.have.been.calledWith(channelId, {limit: CHAT.DEFAULT_FETCH_SIZE, after: 'message9'});
+      expect(scope.vm.bottomOfConversation).to.be.true;
+
+      scope.vm.setLastLineInView(true);
+      $rootScope.$digest();
+
+      expect(chatConversationServiceMock.fetchMessages).to.have.been.calledThrice;
+      expect(scope.vm.messages.map(function(message) {
+        return message._id;
+      })).to.deep.equal(getMessages(4, 10).map(function(message) {
+        return message._id;
+      }));
+    });
+
+    it('should not load the same newer messages twice while they are loading', function() {
+      initCtrl(true);
+      $rootScope.$digest();
+
+      scope.vm.setLastLineInView(true);
+      scope.vm.setLastLineInView(false);
+      scope.vm.setLastLineInView(true);
+      $rootScope.$digest();
+
+      expect(chatConversationServiceMock.fetchMessages).to.have.been.calledTwice;
+    });
+
+    it('should not display the received messages until the newer messages are loaded', function() {
+      initCtrl(true);
+      $rootScope.$digest();
+
+      scope.$emit(CHAT_EVENTS.TEXT_MESSAGE, {_id: 'message11', channel: channelId, creator: {_id: 'otherUserId'}, timestamps: {creation: 11}});
+
+      expect(scope.vm.messages).to.have.length(3);
+    });
+
+    it('should load the last messages when the user sends a message', function() {
+      var pending = {client_id: 'clientId', channel: channelId, creator: {_id: 'userId'}, timestamps: {creation: 11}, status: 'pending'};
+
+      initCtrl(true);
+      $rootScope.$digest();
+
+      pages = [getMessages(8, 10)];
+      scope.$emit(CHAT_EVENTS.MESSAGE_PENDING, pending);
+      $rootScope.$digest();
+
+      expect(chatConversationServiceMock.fetchMessages).to.have.been.calledWith(channelId, {limit: CHAT.DEFAULT_FETCH_SIZE});
+      expect(scope.vm.messages.map(function(message) {
+        return message._id || message.client_id;
+      })).to.deep.equal(['message8', 'message9', 'message10', 'clientId']);
+      expect(scope.vm.bottomOfConversation).to.be.true;
+      expect(scope.vm.highlightedMessageId).to.be.null;
+    });
+
+    it('should highlight the message and scroll to it', function() {
+      initCtrl(true);
+      $rootScope.$digest();
+
+      expect(scope.vm.highlightedMessageId).to.equal('message5');
+      expect(chatScrollServiceMock.scrollToMessage).to.have.been.calledWith('message5');
+    });
+
+    it('should load the older messages before the loaded ones once the message is displayed', function() {
+      initCtrl(true);
+      $rootScope.$digest();
+
+      pages = [getMessages(1, 3)];
+      scope.vm.loadPreviousMessages();
+      $rootScope.$digest();
+
+      expect(chatConversationServiceMock.fetchMessages).to.have.been.calledWith(channelId, {limit: CHAT.DEFAULT_FETCH_SIZE, before: 'message4'});
+    });
+
+    it('should scroll to another message of the conversation without loading it again when it is displayed', function() {
+      initCtrl(true);
+      $rootScope.$digest();
+
+      $rootScope.$broadcast('$stateChangeSuccess', {name: 'chat.channels-views.message'}, {id: channelId, messageId: 'message6'});
+      $rootScope.$digest();
+
+      expect(chatConversationServiceMock.fetchMessages).to.have.been.calledOnce;
+      expect(scope.vm.highlightedMessageId).to.equal('message6');
+      expect(chatScrollServiceMock.scrollToMessage).to.have.been.calledWith('message6');
+    });
+
+    it('should load the messages around another message of the conversation when it is not displayed', function() {
+      initCtrl(true);
+      $rootScope.$digest();
+
+      pages = [getMessages(1, 3)];
+      $rootScope.$broadcast('$stateChangeSuccess', {name: 'chat.channels-views.message'}, {id: channelId, messageId: 'message2'});
+      $rootScope.$digest();
+
+      expect(chatConversationServiceMock.fetchMessages).to.have.been.calledWith(channelId, {limit: CHAT.DEFAULT_FETCH_SIZE, around: 'message2'});
+      expect(scope.vm.highlightedMessageId).to.equal('message2');
+      expect(chatScrollServiceMock.scrollToMessage).to.have.been.calledWith('message2');
+    });
+  });
+
   describe('The onDragOver function', function() {
     it('should return CHAT_DRAG_FILE_CLASS.IS_MEMBER when user is member', function() {
       chatConversationMemberService.currentUserIsMemberOf = sinon.spy(function() {
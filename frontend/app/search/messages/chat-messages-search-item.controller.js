@@ -22,6 +22,8 @@
             id: item.channel._id,
             name: item.channel.name
         };
+        self.messageId = item._id;
+        self.parentId = item.parent && (item.parent._id || item.parent);
         self.creationDate = item.timestamps && item.timestamps.creation;
         self.text = item && item.text;
       }
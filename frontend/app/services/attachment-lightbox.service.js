@@ -0,0 +1,79 @@
+(function() {
+  'use strict';
+
+  angular.module('linagora.esn.chat')
+    .factory('chatAttachmentLightboxService', chatAttachmentLightboxService);
+
+  function chatAttachmentLightboxService(_, $log, chatAttachmentPreviewService, chatConversationsStoreService) {
+    var lightbox = {
+      opened: false,
+      images: [],
+      index: 0
+    };
+
+    return {
+      close: close,
+      hasNext: hasNext,
+      hasPrevious: hasPrevious,
+      lightbox: lightbox,
+      next: next,
+      open: open,
+      previous: previous
+    };
+
+    /**
+     * Open the lightbox on an image, it browses all the images of the active conversation.
+     * The image is displayed at once, the other ones are available once loaded.
+     *
+     * @param {Object} attachment - the image to display
+     * @return {Promise} resolved once the images of the conversation are loaded
+     */
+    function open(attachment) {
+      var opened = [attachment];
+
+      lightbox.opened = true;
+      lightbox.images = opened;
+      lightbox.index = 0;
+
+      return chatAttachmentPreviewService.getImages(chatConversationsStoreService.activeRoom._id).then(function(images) {
+        var index = _.findIndex(images, {_id: attachment._id});
+
+        // the lightbox has been closed, or opened on another image, in the meantime
+        if (lightbox.images !== opened || index === -1) {
+          return;
+        }
+
+        lightbox.images = images;
+        lightbox.index = index;
+      }).catch(function(err) {
+        $log.error('Error while loading the images of the conversation', err);
+      });
+    }
+
+    function close() {
+      lightbox.opened = false;
+      lightbox.images = [];
+      lightbox.index = 0;
+    }
+
+    function hasNext() {
+      return lightbox.index < lightbox.images.length - 1;
+    }
+
+    function hasPrevious() {
+      return lightbox.index > 0;
+    }
+
+    function next() {
+      if (hasNext()) {
+        lightbox.index++;
+      }
+    }
+
+    function previous() {
+      if (hasPrevious()) {
+        lightbox.index--;
+      }
+    }
+  }
+})();
@@ -0,0 +1,82 @@
+'use strict';
+
+/* global chai, sinon: false */
+
+var expect = chai.expect;
+
+describe('The chatAttachmentLightboxService service', function() {
+  var $q, $rootScope, chatAttachmentLightboxService, chatAttachmentPreviewService, chatConversationsStoreService, images;
+
+  beforeEach(angular.mock.module('linagora.esn.chat', function($provide) {
+    $provide.value('searchProviders', {
+      add: sinon.spy()
+    });
+    $provide.value('chatSearchProviderService', {});
+  }));
+
+  beforeEach(angular.mock.inject(function(_$q_, _$rootScope_, _chatAttachmentLightboxService_, _chatAttachmentPreviewService_, _chatConversationsStoreService_) {
+    $q = _$q_;
+    $rootScope = _$rootScope_;
+    chatAttachmentLightboxService = _chatAttachmentLightboxService_;
+    chatAttachmentPreviewService = _chatAttachmentPreviewService_;
+    chatConversationsStoreService = _chatConversationsStoreService_;
+
+    images = [{_id: 'image1'}, {_id: 'image2'}, {_id: 'image3'}];
+    chatConversationsStoreService.activeRoom._id = 'conversationId';
+    chatAttachmentPreviewService.getImages = sinon.spy(function() {
+      return $q.when(images);
+    });
+  }));
+
+  describe('The open function', function() {
+    it('should display the image at once then all the images of the active conversation', function() {
+      var lightbox = chatAttachmentLightboxService.lightbox;
+
+      chatAttachmentLightboxService.open({_id: 'image2'});
+
+      expect(lightbox).to.shallowDeepEqual({opened: true, images: [{_id: 'image2'}], index: 0});
+
+      $rootScope.$digest();
+
+      expect(chatAttachmentPreviewService.getImages).to.have.been.calledWith('conversationId');
+      expect(lightbox).to.shallowDeepEqual({opened: true, images: images, index: 1});
+    });
+
+    it('should only display the image when it is not in the images of the conversation', function() {
+      chatAttachmentLightboxService.open({_id: 'other'});
+      $rootScope.$digest();
+
+      expect(chatAttachmentLightboxService.lightbox.images).to.deep.equal([{_id: 'other'}]);
+    });
+
+    it('should not display the images when the lightbox has been closed in the meantime', function() {
+      chatAttachmentLightboxService.open({_id: 'image2'});
+      chatAttachmentLightboxService.close();
+      $rootScope.$digest();
+
+      expect(chatAttachmentLightboxService.lightbox).to.shallowDeepEqual({opened: false, images: []});
+    });
+  });
+
+  describe('The next and previous functions', function() {
+    it('should browse the images without going past the first and the last ones', function() {
+      var lightbox = chatAttachmentLightboxService.lightbox;
+
+      chatAttachmentLightboxService.open({_id: 'image2'});
+      $rootScope.$digest();
+
+      chatAttachmentLightboxService.next();
+      expect(lightbox.index).to.equal(2);
+      expect(chatAttachmentLightboxService.hasNext()).to.be.false;
+
+      chatAttachmentLightboxService.next();
+      expect(lightbox.index).to.equal(2);
+
+      chatAttachmentLightboxService.previous();
+      chatAttachmentLightboxService.previous();
+      chatAttachmentLightboxService.previous();
+      expect(lightbox.index).to.equal(0);
+      expect(chatAttachmentLightboxService.hasPrevious()).to.be.false;
+    });
+  });
+});
@@ -0,0 +1,69 @@
+(function() {
+  'use strict';
+
+  angular.module('linagora.esn.chat')
+    .factory('chatAttachmentLimitsService', chatAttachmentLimitsService);
+
+  function chatAttachmentLimitsService(_, $q, esnConfig, CHAT_ATTACHMENT_LIMITS) {
+
+    return {
+      check: check,
+      getLimits: getLimits
+    };
+
+    /**
+     * Check files against the limits of the domain before uploading them.
+     * The server checks them again along with the quota of the user when the message is sent.
+     *
+     * @param {Array} files - the selected File objects
+     * @return {Promise} resolved when the files can be sent, rejected with an error listing in rejectedFiles the ones which can not
+     */
+    function check(files) {
+      return getLimits().then(function(limits) {
+        var tooLarge = _.filter(files, function(file) {
+          return _.isNumber(limits.maxSize) && file.size > limits.maxSize;
+        });
+        var notAllowed = _.filter(files, function(file) {
+          return (limits.allowedTypes.length && !matchesType(file.type, limits.allowedTypes)) || matchesType(file.type, limits.deniedTypes);
+        });
+
+        if (tooLarge.length) {
+          return reject('Some files are too large to be sent', tooLarge);
+        }
+
+        if (notAllowed.length) {
+          return reject('Some files are of a type which can not be sent', notAllowed);
+        }
+      });
+    }
+
+    /**
+     * Get the limits of the attachments in the domain of the user, the ones the domain does not set are the default ones.
+     *
+     * @return {Promise} resolved with {maxSize, allowedTypes, deniedTypes, quota}
+     */
+    function getLimits() {
+      return esnConfig(CHAT_ATTACHMENT_LIMITS.CONFIG, {}).then(function(config) {
+        return _.defaults(_.pick(config || {}, _.keys(CHAT_ATTACHMENT_LIMITS.DEFAULTS)), CHAT_ATTACHMENT_LIMITS.DEFAULTS);
+      });
+    }
+
+    function matchesType(contentType, types) {
+      var type = String(contentType || '').split(';')[0].trim().toLowerCase();
+
+      return _.some(types, function(pattern) {
+        var expected = String(pattern).trim().toLowerCase();
+
+        return /\/\*$/.test(expected) ? type.indexOf(expected.slice(0, -1)) === 0 : type === expected;
+      });
+    }
+
+    function reject(message, rejectedFiles) {
+      var error = new Error(message);
+
+      error.rejectedFiles = rejectedFiles;
+
+      return $q.reject(error);
+    }
+  }
+})();
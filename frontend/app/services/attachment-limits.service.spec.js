@@ -0,0 +1,99 @@
+'use strict';
+
+/* global chai, sinon: false */
+
+var expect = chai.expect;
+
+describe('The chatAttachmentLimitsService service', function() {
+  var $q, $rootScope, chatAttachmentLimitsService, esnConfig, config, CHAT_ATTACHMENT_LIMITS;
+
+  beforeEach(angular.mock.module('linagora.esn.chat', function($provide) {
+    config = {};
+    esnConfig = sinon.spy(function() {
+      return $q.when(config);
+    });
+
+    $provide.value('searchProviders', {
+      add: sinon.spy()
+    });
+    $provide.value('chatSearchProviderService', {});
+    $provide.value('esnConfig', esnConfig);
+  }));
+
+  beforeEach(angular.mock.inject(function(_$q_, _$rootScope_, _chatAttachmentLimitsService_, _CHAT_ATTACHMENT_LIMITS_) {
+    $q = _$q_;
+    $rootScope = _$rootScope_;
+    chatAttachmentLimitsService = _chatAttachmentLimitsService_;
+    CHAT_ATTACHMENT_LIMITS = _CHAT_ATTACHMENT_LIMITS_;
+  }));
+
+  describe('The getLimits function', function() {
+    it('should use the default limits the domain does not set', function() {
+      var spy = sinon.spy();
+
+      config = {maxSize: 1024, foo: 'bar'};
+
+      chatAttachmentLimitsService.getLimits().then(spy);
+      $rootScope.$digest();
+
+      expect(esnConfig).to.have.been.calledWith(CHAT_ATTACHMENT_LIMITS.CONFIG);
+      expect(spy).to.have.been.calledWith({maxSize: 1024, allowedTypes: [], deniedTypes: [], quota: null});
+    });
+  });
+
+  describe('The check function', function() {
+    var files;
+
+    beforeEach(function() {
+      files = [{name: 'photo.png', type: 'image/png', size: 1024}, {name: 'report.pdf', type: 'application/pdf', size: 4096}];
+    });
+
+    function check() {
+      var result = {};
+
+      chatAttachmentLimitsService.check(files).then(function() {
+        result.resolved = true;
+      }, function(err) {
+        result.error = err;
+      });
+      $rootScope.$digest();
+
+      return result;
+    }
+
+    it('should resolve when the files fit in the limits', function() {
+      expect(check().resolved).to.be.true;
+    });
+
+    it('should reject with the files which are too large', function() {
+      config = {maxSize: 2048};
+
+      var error = check().error;
+
+      expect(error.message).to.equal('Some files are too large to be sent');
+      expect(error.rejectedFiles).to.deep.equal([files[1]]);
+    });
+
+    it('should not limit the size when the maximum size is null', function() {
+      config = {maxSize: null};
+      files[0].size = CHAT_ATTACHMENT_LIMITS.DEFAULTS.maxSize + 1;
+
+      expect(check().resolved).to.be.true;
+    });
+
+    it('should reject with the files which are not of an allowed type', function() {
+      config = {allowedTypes: ['image/*']};
+
+      var error = check().error;
+
+      expect(error.message).to.equal('Some files are of a type which can not be sent');
+      expect(error.rejectedFiles).to.deep.equal([files[1]]);
+    });
+
+    it('should reject with the files which are of a denied type', function() {
+      config = {deniedTypes: ['IMAGE/PNG']};
+
+      expect(check().error.rejectedFiles).to.deep.equal([files[0]]);
+    });
+  });
+});
@@ -0,0 +1,88 @@
+(function() {
+  'use strict';
+
+  angular.module('linagora.esn.chat')
+    .factory('chatAttachmentPreviewService', chatAttachmentPreviewService);
+
+  function chatAttachmentPreviewService(_, $http, $q, chatConversationService, CHAT, CHAT_ATTACHMENT_PREVIEW) {
+    var KIND = CHAT_ATTACHMENT_PREVIEW.KIND;
+
+    return {
+      getExcerpt: getExcerpt,
+      getImages: getImages,
+      getKind: getKind,
+      getThumbnailUrl: getThumbnailUrl
+    };
+
+    /**
+     * Get the way an attachment is previewed: the images and PDF documents have a thumbnail,
+     * the text files are previewed by their beginning and the audio files are played.
+     *
+     * @param {Object} attachment - {_id, name, contentType, length, duration}
+     * @return {String} one of CHAT_ATTACHMENT_PREVIEW.KIND, or null when the attachment has no preview
+     */
+    function getKind(attachment) {
+      var contentType = attachment.contentType || '';
+
+      var isText = _.some(CHAT_ATTACHMENT_PREVIEW.TEXT_TYPES, function(pattern) {
+        return pattern.test(contentType);
+      });
+
+      if (isText) {
+        return KIND.TEXT;
+      }
+
+      if (/^audio\//.test(contentType)) {
+        return KIND.AUDIO;
+      }
+
+      if (attachment.length > CHAT_ATTACHMENT_PREVIEW.MAX_SOURCE_SIZE) {
+        return null;
+      }
+
+      if (_.contains(CHAT_ATTACHMENT_PREVIEW.IMAGE_TYPES, contentType)) {
+        return KIND.IMAGE;
+      }
+
+      return _.contains(CHAT_ATTACHMENT_PREVIEW.PDF_TYPES, contentType) ? KIND.PDF : null;
+    }
+
+    function getThumbnailUrl(messageId, attachmentId) {
+      return '/chat/api/messages/' + messageId + '/attachments/' + attachmentId + '/thumbnail';
+    }
+
+    function getExcerpt(messageId, attachmentId) {
+      // the excerpt is displayed as is, even when it looks like JSON
+      return $http.get(getThumbnailUrl(messageId, attachmentId), {transformResponse: angular.identity}).then(function(response) {
+        return response.data;
+      });
+    }
+
+    /**
+     * Get all the images attached to the messages of a conversation, from the oldest to the newest one.
+     *
+     * @param {String} conversationId
+     * @return {Promise} resolved with the attachments, with their message_id
+     */
+    function getImages(conversationId) {
+      var pages = [];
+
+      function fetchPage(offset) {
+        return chatConversationService.fetchAttachments(conversationId, {type: 'images', limit: CHAT.DEFAULT_FETCH_SIZE, offset: offset}).then(function(response) {
+          var attachments = response.data || [];
+
+          // each page is ordered from the oldest attachment, the pages go back in time
+          pages.unshift(attachments);
+
+          return attachments.length < CHAT.DEFAULT_FETCH_SIZE ? $q.when() : fetchPage(offset + attachments.length);
+        });
+      }
+
+      return fetchPage(0).then(function() {
+        return _.flatten(pages).filter(function(attachment) {
+          return getKind(attachment) === KIND.IMAGE;
+        });
+      });
+    }
+  }
+})();
@@ -0,0 +1,87 @@
+'use strict';
+
+/* global chai, sinon: false */
+
+var expect = chai.expect;
+
+describe('The chatAttachmentPreviewService service', function() {
+  var $httpBackend, $q, $rootScope, chatAttachmentPreviewService, chatConversationService, CHAT, CHAT_ATTACHMENT_PREVIEW;
+
+  beforeEach(angular.mock.module('linagora.esn.chat', function($provide) {
+    $provide.value('searchProviders', {
+      add: sinon.spy()
+    });
+    $provide.value('chatSearchProviderService', {});
+  }));
+
+  beforeEach(angular.mock.inject(function(_$httpBackend_, _$q_, _$rootScope_, _chatAttachmentPreviewService_, _chatConversationService_, _CHAT_, _CHAT_ATTACHMENT_PREVIEW_) {
+    $httpBackend = _$httpBackend_;
+    $q = _$q_;
+    $rootScope = _$rootScope_;
+    chatAttachmentPreviewService = _chatAttachmentPreviewService_;
+    chatConversationService = _chatConversationService_;
+    CHAT = _CHAT_;
+    CHAT_ATTACHMENT_PREVIEW = _CHAT_ATTACHMENT_PREVIEW_;
+  }));
+
+  describe('The getKind function', function() {
+    it('should preview the images and the PDF documents which are not too big', function() {
+      expect(chatAttachmentPreviewService.getKind({contentType: 'image/png', length: 1024})).to.equal(CHAT_ATTACHMENT_PREVIEW.KIND.IMAGE);
+      expect(chatAttachmentPreviewService.getKind({contentType: 'application/pdf', length: 1024})).to.equal(CHAT_ATTACHMENT_PREVIEW.KIND.PDF);
+      expect(chatAttachmentPreviewService.getKind({contentType: 'image/png', length: CHAT_ATTACHMENT_PREVIEW.MAX_SOURCE_SIZE + 1})).to.be.null;
+    });
+
+    it('should preview the text files whatever their size', function() {
+      expect(chatAttachmentPreviewService.getKind({contentType: 'text/plain', length: CHAT_ATTACHMENT_PREVIEW.MAX_SOURCE_SIZE + 1})).to.equal(CHAT_ATTACHMENT_PREVIEW.KIND.TEXT);
+    });
+
+    it('should play the audio files whatever their size', function() {
+      expect(chatAttachmentPreviewService.getKind({contentType: 'audio/webm', length: CHAT_ATTACHMENT_PREVIEW.MAX_SOURCE_SIZE + 1})).to.equal(CHAT_ATTACHMENT_PREVIEW.KIND.AUDIO);
+    });
+
+    it('should not preview the other files', function() {
+      expect(chatAttachmentPreviewService.getKind({contentType: 'application/zip', length: 1024})).to.be.null;
+    });
+  });
+
+  describe('The getExcerpt function', function() {
+    it('should get the excerpt of the text file without parsing it', function() {
+      var excerpt;
+
+      $httpBackend.expectGET('/chat/api/messages/messageId/attachments/attachmentId/thumbnail').respond(200, '{"truncated": ', {'Content-Type': 'text/plain'});
+
+      chatAttachmentPreviewService.getExcerpt('messageId', 'attachmentId').then(function(result) {
+        excerpt = result;
+      });
+      $httpBackend.flush();
+
+      expect(excerpt).to.equal('{"truncated": ');
+    });
+  });
+
+  describe('The getImages function', function() {
+    it('should get the images of all the pages of attachments from the oldest one', function() {
+      var firstPage = [];
+      var images;
+
+      for (var i = 0; i < CHAT.DEFAULT_FETCH_SIZE; i++) {
+        firstPage.push({_id: 'new' + i, contentType: i % 2 ? 'image/png' : 'application/zip', length: 1});
+      }
+
+      chatConversationService.fetchAttachments = sinon.spy(function(id, options) {
+        return $q.when({data: options.offset ? [{_id: 'old', contentType: 'image/jpeg', length: 1}] : firstPage});
+      });
+
+      chatAttachmentPreviewService.getImages('conversationId').then(function(result) {
+        images = result;
+      });
+      $rootScope.$digest();
+
+      expect(chatConversationService.fetchAttachments).to.have.been.calledTwice;
+      expect(chatConversationService.fetchAttachments.secondCall).to.have.been.calledWith('conversationId', {type: 'images', limit: CHAT.DEFAULT_FETCH_SIZE, offset: CHAT.DEFAULT_FETCH_SIZE});
+      expect(images.length).to.equal(CHAT.DEFAULT_FETCH_SIZE / 2 + 1);
+      expect(images[0]._id).to.equal('old');
+      expect(images[1]._id).to.equal('new1');
+    });
+  });
+});
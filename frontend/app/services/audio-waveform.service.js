@@ -0,0 +1,81 @@
+(function() {
+  'use strict';
+
+  angular.module('linagora.esn.chat')
+    .factory('chatAudioWaveformService', chatAudioWaveformService);
+
+  function chatAudioWaveformService(_, $http, $q, $window, CHAT_VOICE_MESSAGE) {
+    var peaks = {};
+    var context;
+
+    return {
+      getPeaks: getPeaks
+    };
+
+    /**
+     * Get the waveform of an audio file as the loudest sample of each of its parts.
+     * The file is downloaded and decoded once, its waveform is kept for the next calls.
+     *
+     * @param {String} url - the URL of the audio file
+     * @param {Number} count - the number of parts, defaults to CHAT_VOICE_MESSAGE.WAVEFORM.BARS
+     * @return {Promise} resolved with count numbers from CHAT_VOICE_MESSAGE.WAVEFORM.MIN_PEAK to 1
+     */
+    function getPeaks(url, count) {
+      count = count || CHAT_VOICE_MESSAGE.WAVEFORM.BARS;
+
+      var key = url + '#' + count;
+
+      if (!peaks[key]) {
+        peaks[key] = $http.get(url, {responseType: 'arraybuffer'})
+          .then(function(response) {
+            return decode(response.data);
+          })
+          .then(function(buffer) {
+            return computePeaks(buffer.getChannelData(0), count);
+          })
+          .catch(function(err) {
+            delete peaks[key];
+
+            return $q.reject(err);
+          });
+      }
+
+      return peaks[key];
+    }
+
+    function decode(data) {
+      var AudioContext = $window.AudioContext || $window.webkitAudioContext;
+      var defer = $q.defer();
+
+      if (!AudioContext) {
+        return $q.reject(new Error('Audio decoding is not supported by the browser'));
+      }
+
+      context = context || new AudioContext();
+      // the callbacks are the only way to be notified by some browsers
+      context.decodeAudioData(data, defer.resolve, function(err) {
+        defer.reject(err || new Error('Can not decode audio file'));
+      });
+
+      return defer.promise;
+    }
+
+    function computePeaks(samples, count) {
+      var size = Math.max(1, Math.floor(samples.length / count));
+      var result = _.range(count).map(function(index) {
+        var peak = 0;
+
+        for (var i = index * size, end = Math.min(samples.length, (index + 1) * size); i < end; i++) {
+          peak = Math.max(peak, Math.abs(samples[i]));
+        }
+
+        return peak;
+      });
+      var max = _.max(result) || 1;
+
+      return result.map(function(peak) {
+        return Math.max(CHAT_VOICE_MESSAGE.WAVEFORM.MIN_PEAK, peak / max);
+      });
+    }
+  }
+})();
@@ -0,0 +1,83 @@
+'use strict';
+
+/* global chai, sinon: false */
+
+var expect = chai.expect;
+
+describe('The chatAudioWaveformService service', function() {
+  var $httpBackend, $window, chatAudioWaveformService, originalAudioContext, samples, decodeAudioData;
+
+  beforeEach(angular.mock.module('linagora.esn.chat', function($provide) {
+    $provide.value('searchProviders', {
+      add: sinon.spy()
+    });
+    $provide.value('chatSearchProviderService', {});
+  }));
+
+  beforeEach(angular.mock.inject(function(_$httpBackend_, _$window_, _chatAudioWaveformService_) {
+    $httpBackend = _$httpBackend_;
+    $window = _$window_;
+    chatAudioWaveformService = _chatAudioWaveformService_;
+
+    samples = [0, 0.1, -0.5, 0.2, 0, 0, 0.25, -0.1];
+    decodeAudioData = sinon.spy(function(data, resolve) {
+      resolve({
+        getChannelData: function() {
+          return samples;
+        }
+      });
+    });
+    originalAudioContext = $window.AudioContext;
+    $window.AudioContext = function() {
+      this.decodeAudioData = decodeAudioData;
+    };
+  }));
+
+  afterEach(function() {
+    $window.AudioContext = originalAudioContext;
+  });
+
+  it('should resolve with the loudest sample of each part, relative to the loudest one', function() {
+    var peaks;
+
+    $httpBackend.expectGET('/api/files/fileId').respond(200, 'data');
+
+    chatAudioWaveformService.getPeaks('/api/files/fileId', 4).then(function(result) {
+      peaks = result;
+    });
+    $httpBackend.flush();
+
+    expect(peaks).to.deep.equal([0.2, 1, 0.05, 0.5]);
+  });
+
+  it('should not download the file again for the next calls', function() {
+    var spy = sinon.spy();
+
+    $httpBackend.expectGET('/api/files/fileId').respond(200, 'data');
+
+    chatAudioWaveformService.getPeaks('/api/files/fileId', 4);
+    $httpBackend.flush();
+    chatAudioWaveformService.getPeaks('/api/files/fileId', 4).then(spy);
+    $httpBackend.verifyNoOutstandingRequest();
+
+    expect(decodeAudioData).to.have.been.calledOnce;
+  });
+
+  it('should reject and try again next time when the file can not be decoded', function() {
+    var errorSpy = sinon.spy();
+
+    decodeAudioData = sinon.spy(function(data, resolve, reject) {
+      reject();
+    });
+    $httpBackend.expectGET('/api/files/fileId').respond(200, 'data');
+
+    chatAudioWaveformService.getPeaks('/api/files/fileId', 4).catch(errorSpy);
+    $httpBackend.flush();
+
+    expect(errorSpy).to.have.been.calledOnce;
+
+    $httpBackend.expectGET('/api/files/fileId').respond(200, 'data');
+    chatAudioWaveformService.getPeaks('/api/files/fileId', 4);
+    $httpBackend.flush();
+  });
+});
@@ -0,0 +1,44 @@
+(function() {
+  'use strict';
+
+  angular.module('linagora.esn.chat')
+    .factory('chatClipboardService', chatClipboardService);
+
+  function chatClipboardService($document, $q, $window) {
+
+    return {
+      copy: copy
+    };
+
+    /**
+     * Copy a text to the clipboard. Browsers without the asynchronous clipboard API
+     * can only copy the selection, so the text is selected in a hidden textarea.
+     *
+     * @param {String} text
+     * @return {Promise}
+     */
+    function copy(text) {
+      var clipboard = $window.navigator && $window.navigator.clipboard;
+
+      if (clipboard && clipboard.writeText) {
+        return $q.when(clipboard.writeText(text));
+      }
+
+      var document = $document[0];
+      var textarea = document.createElement('textarea');
+
+      textarea.value = text;
+      textarea.setAttribute('readonly', '');
+      textarea.style.position = 'absolute';
+      textarea.style.left = '-9999px';
+      document.body.appendChild(textarea);
+      textarea.select();
+
+      try {
+        return document.execCommand('copy') ? $q.when() : $q.reject(new Error('Can not copy the text to the clipboard'));
+      } finally {
+        document.body.removeChild(textarea);
+      }
+    }
+  }
+})();
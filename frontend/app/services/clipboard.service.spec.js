@@ -0,0 +1,70 @@
+'use strict';
+
+/* global chai, sinon: false */
+
+var expect = chai.expect;
+
+describe('The chatClipboardService factory', function() {
+  var $rootScope, $window, chatClipboardService;
+
+  beforeEach(function() {
+    $window = {
+      navigator: {}
+    };
+
+    module('linagora.esn.chat', function($provide) {
+      $provide.value('searchProviders', {add: sinon.spy()});
+      $provide.value('chatSearchProviderService', {});
+      $provide.value('$window', $window);
+    });
+  });
+
+  beforeEach(inject(function(_$rootScope_, _chatClipboardService_) {
+    $rootScope = _$rootScope_;
+    chatClipboardService = _chatClipboardService_;
+  }));
+
+  describe('The copy function', function() {
+    it('should write the text with the clipboard API when available', function(done) {
+      $window.navigator.clipboard = {
+        writeText: sinon.spy(function() {
+          return Promise.resolve();
+        })
+      };
+
+      chatClipboardService.copy('text').then(function() {
+        expect($window.navigator.clipboard.writeText).to.have.been.calledWith('text');
+        done();
+      }, done);
+
+      $rootScope.$digest();
+    });
+
+    it('should copy the text from a hidden textarea when the clipboard API is not available', function(done) {
+      var execCommand = sinon.stub(document, 'execCommand').returns(true);
+
+      chatClipboardService.copy('text').then(function() {
+        expect(execCommand).to.have.been.calledWith('copy');
+        expect(document.querySelector('textarea[readonly]')).to.be.null;
+        execCommand.restore();
+        done();
+      }, done);
+
+      $rootScope.$digest();
+    });
+
+    it('should reject when the text can not be copied', function(done) {
+      var execCommand = sinon.stub(document, 'execCommand').returns(false);
+
+      chatClipboardService.copy('text').then(function() {
+        done(new Error('should not resolve'));
+      }, function(err) {
+        expect(err.message).to.equal('Can not copy the text to the clipboard');
+        execCommand.restore();
+        done();
+      });
+
+      $rootScope.$digest();
+    });
+  });
+});
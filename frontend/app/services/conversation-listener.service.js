@@ -6,8 +6,10 @@
 
   function chatConversationListenerService(
     _,
+    $log,
     $rootScope,
     session,
+    notificationFactory,
     chatConversationService,
     chatConversationActionsService,
     chatConversationsStoreService,
@@ -43,8 +45,14 @@
       chatMessengerService.addEventListener(CHAT_EVENTS.MEMBER_JOINED_CONVERSATION, memberHasJoined);
       chatMessengerService.addEventListener(CHAT_EVENTS.MEMBER_LEFT_CONVERSATION, memberHasLeft);
       chatMessengerService.addEventListener(CHAT_WEBSOCKET_EVENTS.CONVERSATION.MEMBER_READ, memberHasRead);
+      chatMessengerService.addEventListener(CHAT_WEBSOCKET_EVENTS.CONVERSATION.MEMBER_READ_RECEIPT, memberHasReadMessage);
+      chatMessengerService.addEventListener(CHAT_WEBSOCKET_EVENTS.CONVERSATION.MEMBER_UNREAD, memberHasUnread);
       chatMessengerService.addEventListener(CHAT_EVENTS.CONVERSATIONS.UPDATE, updateConversation);
       chatMessengerService.addEventListener(CHAT_EVENTS.CONVERSATION_TOPIC_UPDATED, topicUpdated);
+      chatMessengerService.addEventListener(CHAT_EVENTS.MESSAGE_UPDATED, messageUpdated);
+      chatMessengerService.addEventListener(CHAT_EVENTS.MESSAGE_REMOVED, messageRemoved);
+      chatMessengerService.addEventListener(CHAT_EVENTS.MESSAGE_REACTION_UPDATED, messageReactionUpdated);
+      chatMessengerService.addEventListener(CHAT_EVENTS.MESSAGE_REJECTED, messageRejected);
     }
 
     function deleteConversation(conversation) {
@@ -69,7 +77,90 @@
       $rootScope.$broadcast(CHAT_EVENTS.MEMBER_READ_CONVERSATION, event);
     }
 
+    // event is {conversationId, userId, messageId}
+    function memberHasReadMessage(event) {
+      chatConversationsStoreService.updateReadReceipt(event.conversationId, event.userId, event.messageId);
+      $rootScope.$broadcast(CHAT_EVENTS.MEMBER_READ_RECEIPT, event);
+    }
+
+    // event is {conversationId, userId, numOfMessage, memberState}, only sent to the sessions of the current user
+    function memberHasUnread(event) {
+      chatConversationsStoreService.markAsUnread(event.conversationId, event.numOfMessage, event.memberState);
+      $rootScope.$broadcast(CHAT_EVENTS.MEMBER_UNREAD_CONVERSATION, event);
+    }
+
+    function messageReactionUpdated(message) {
+      $rootScope.$broadcast(CHAT_EVENTS.MESSAGE_REACTION_UPDATED, message);
+    }
+
+    function messageRejected(event) {
+      $log.error('Message has been rejected by the server', event.error);
+      notificationFactory.weakError('error', 'Your message has been rejected');
+      $rootScope.$broadcast(CHAT_EVENTS.MESSAGE_REJECTED, event);
+    }
+
+    function messageRemoved(event) {
+      var conversation = chatConversationsStoreService.findConversation(event.message.channel);
+      var counters = event.conversation;
+
+      if (conversation && counters) {
+        var memberState = counters.memberStates && counters.memberStates[session.user._id];
+
+        chatConversationsStoreService.updateMessageCounters(conversation._id, counters.numOfMessage, memberState);
+
+        if (!counters.last_message) {
+          delete conversation.last_message;
+        } else if (new Date(counters.last_message.date).getTime() !== new Date(conversation.last_message && conversation.last_message.date).getTime()) {
+          chatParseMention.parseMentions(counters.last_message.text, counters.last_message.user_mentions, {skipLink: true}).then(function(text) {
+            conversation.last_message = {
+              text: text,
+              date: counters.last_message.date,
+              creator: counters.last_message.creator,
+              user_mentions: counters.last_message.user_mentions
+            };
+          });
+        }
+      }
+
+      $rootScope.$broadcast(CHAT_EVENTS.MESSAGE_REMOVED, event.message);
+    }
+
+    function messageUpdated(message) {
+      var conversation = chatConversationsStoreService.findConversation(message.channel);
+
+      if (conversation && conversation.last_message && new Date(conversation.last_message.date).getTime() === new Date(message.timestamps.creation).getTime()) {
+        chatParseMention.parseMentions(message.text, message.user_mentions, {skipLink: true}).then(function(text) {
+          conversation.last_message.text = text;
+          conversation.last_message.user_mentions = message.user_mentions;
+        });
+      }
+
+      $rootScope.$broadcast(CHAT_EVENTS.MESSAGE_UPDATED, message);
+    }
+
+    function isThreadParticipant(message) {
+      var participants = (message.parent && message.parent.thread_participants) || [];
+
+      return (message.creator._id || message.creator) !== session.user._id && _.contains(participants, session.user._id);
+    }
+
+    // replies do not change the conversation last message and are only unread for thread participants
+    function updateConversationOnReply(message, conversation) {
+      if (isThreadParticipant(message)) {
+        chatConversationActionsService.increaseNumberOfUnreadMessages(conversation._id);
+      }
+      chatConversationActionsService.updateUserMentionsCount(conversation._id, message.user_mentions);
+
+      if (esnAppStateService.isForeground() && chatConversationsStoreService.isActiveRoom(conversation._id)) {
+        markAllMessagesAsReadThrottled(conversation);
+      }
+    }
+
     function updateConversationOnMessage(message, conversation) {
+      if (message.parent) {
+        return updateConversationOnReply(message, conversation);
+      }
+
       chatConversationActionsService.increaseNumberOfUnreadMessages(conversation._id);
       chatConversationActionsService.updateUserMentionsCount(conversation._id, message.user_mentions);
       chatParseMention.parseMentions(message.text, message.user_mentions, {skipLink: true}).then(function(text) {
@@ -6,7 +6,7 @@ var expect = chai.expect;
 
 describe('The chatConversationListenerService service', function() {
 
-  var $rootScope, $q, text, directmessage, conversation, chatMessengerService, chatConversationService, chatParseMention, chatConversationActionsService, chatConversationsStoreService, chatConversationListenerService, session, esnAppStateService;
+  var $rootScope, $q, text, directmessage, conversation, chatMessengerService, chatConversationService, chatParseMention, chatConversationActionsService, chatConversationsStoreService, chatConversationListenerService, session, esnAppStateService, notificationFactory;
   var CHAT_WEBSOCKET_EVENTS, CHAT_EVENTS, CHAT_CONVERSATION_TYPE;
 
   beforeEach(function() {
@@ -40,6 +40,10 @@ describe('The chatConversationListenerService service', function() {
       }
     };
 
+    notificationFactory = {
+      weakError: sinon.spy()
+    };
+
     module('linagora.esn.chat', function($provide) {
       $provide.value('searchProviders', {
         add: angular.noop
@@ -51,6 +55,7 @@ describe('The chatConversationListenerService service', function() {
       $provide.value('chatMessengerService', chatMessengerService);
       $provide.value('chatConversationService', chatConversationService);
       $provide.value('session', session);
+      $provide.value('notificationFactory', notificationFactory);
     });
   });
 
@@ -213,6 +218,174 @@ describe('The chatConversationListenerService service', function() {
       });
     });
 
+    describe('on CHAT_EVENTS.MESSAGE_REACTION_UPDATED', function() {
+      it('should broadcast the message reactions', function() {
+        var message = {_id: 'messageId', channel: conversation._id, reactions: [{emoji: 'smile', user: 'userId'}]};
+
+        $rootScope.$broadcast = sinon.spy();
+        chatConversationListenerService.addEventListeners();
+
+        expect(chatMessengerService.addEventListener).to.have.been.calledWith(CHAT_EVENTS.MESSAGE_REACTION_UPDATED, sinon.match.func.and(sinon.match(function(callback) {
+          callback(message);
+
+          expect($rootScope.$broadcast).to.have.been.calledWith(CHAT_EVENTS.MESSAGE_REACTION_UPDATED, message);
+
+          return true;
+        })));
+      });
+    });
+
+    describe('on CHAT_EVENTS.MESSAGE_REJECTED', function() {
+      it('should notify the user and broadcast the rejection', function() {
+        var event = {message: {text: 'Hello'}, error: {code: 400, details: 'Message type bot is not allowed'}};
+
+        $rootScope.$broadcast = sinon.spy();
+        chatConversationListenerService.addEventListeners();
+
+        expect(chatMessengerService.addEventListener).to.have.been.calledWith(CHAT_EVENTS.MESSAGE_REJECTED, sinon.match.func.and(sinon.match(function(callback) {
+          callback(event);
+
+          expect(notificationFactory.weakError).to.have.been.calledOnce;
+          expect($rootScope.$broadcast).to.have.been.calledWith(CHAT_EVENTS.MESSAGE_REJECTED, event);
+
+          return true;
+        })));
+      });
+    });
+
+    describe('on CHAT_EVENTS.MESSAGE_UPDATED', function() {
+      var message;
+
+      beforeEach(function() {
+        message = {_id: 'messageId', channel: conversation._id, text: 'edited', user_mentions: [], timestamps: {creation: 1000, edition: 2000}};
+        chatConversationsStoreService.findConversation = sinon.spy(function() {
+          return conversation;
+        });
+      });
+
+      it('should update the conversation last message when it is the updated message', function() {
+        conversation.last_message = {text: 'previous', date: new Date(1000).toISOString()};
+
+        chatConversationListenerService.addEventListeners();
+
+        expect(chatMessengerService.addEventListener).to.have.been.calledWith(CHAT_EVENTS.MESSAGE_UPDATED, sinon.match.func.and(sinon.match(function(callback) {
+          callback(message);
+          $rootScope.$digest();
+
+          expect(chatConversationsStoreService.findConversation).to.have.been.calledWith(conversation._id);
+          expect(chatParseMention.parseMentions).to.have.been.calledWith(message.text, message.user_mentions, {skipLink: true});
+          expect(conversation.last_message.text).to.equal(text);
+
+          return true;
+        })));
+      });
+
+      it('should not update the conversation last message when it is another message', function() {
+        conversation.last_message = {text: 'previous', date: new Date(3000).toISOString()};
+
+        chatConversationListenerService.addEventListeners();
+
+        expect(chatMessengerService.addEventListener).to.have.been.calledWith(CHAT_EVENTS.MESSAGE_UPDATED, sinon.match.func.and(sinon.match(function(callback) {
+          callback(message);
+          $rootScope.$digest();
+
+          expect(chatParseMention.parseMentions).to.not.have.been.called;
+          expect(conversation.last_message.text).to.equal('previous');
+
+          return true;
+        })));
+      });
+
+      it('should broadcast CHAT_EVENTS.MESSAGE_UPDATED with the updated message', function() {
+        $rootScope.$broadcast = sinon.spy();
+
+        chatConversationListenerService.addEventListeners();
+
+        expect(chatMessengerService.addEventListener).to.have.been.calledWith(CHAT_EVENTS.MESSAGE_UPDATED, sinon.match.func.and(sinon.match(function(callback) {
+          callback(message);
+
+          expect($rootScope.$broadcast).to.have.been.calledWith(CHAT_EVENTS.MESSAGE_UPDATED, message);
+
+          return true;
+        })));
+      });
+    });
+
+    describe('on CHAT_EVENTS.MESSAGE_REMOVED', function() {
+      var event;
+
+      beforeEach(function() {
+        conversation.last_message = {text: 'removed', date: new Date(1000).toISOString()};
+        event = {
+          message: {_id: 'messageId', channel: conversation._id, text: '', timestamps: {creation: 1000, deletion: 2000}},
+          conversation: {
+            _id: conversation._id,
+            numOfMessage: 3,
+            memberStates: {_userId: {numOfReadMessages: 1, numOfUnseenMentions: 0}},
+            last_message: {text: 'previous', date: new Date(500).toISOString(), user_mentions: []}
+          }
+        };
+        chatConversationsStoreService.findConversation = sinon.spy(function() {
+          return conversation;
+        });
+        chatConversationsStoreService.updateMessageCounters = sinon.spy();
+      });
+
+      it('should update the conversation counters with the current user state', function() {
+        chatConversationListenerService.addEventListeners();
+
+        expect(chatMessengerService.addEventListener).to.have.been.calledWith(CHAT_EVENTS.MESSAGE_REMOVED, sinon.match.func.and(sinon.match(function(callback) {
+          callback(event);
+
+          expect(chatConversationsStoreService.updateMessageCounters).to.have.been.calledWith(conversation._id, 3, event.conversation.memberStates._userId);
+
+          return true;
+        })));
+      });
+
+      it('should replace the conversation last message when it changed', function() {
+        chatConversationListenerService.addEventListeners();
+
+        expect(chatMessengerService.addEventListener).to.have.been.calledWith(CHAT_EVENTS.MESSAGE_REMOVED, sinon.match.func.and(sinon.match(function(callback) {
+          callback(event);
+          $rootScope.$digest();
+
+          expect(chatParseMention.parseMentions).to.have.been.calledWith('previous', [], {skipLink: true});
+          expect(conversation.last_message).to.shallowDeepEqual({text: text, date: event.conversation.last_message.date});
+
+          return true;
+        })));
+      });
+
+      it('should remove the conversation last message when there is no message left', function() {
+        delete event.conversation.last_message;
+
+        chatConversationListenerService.addEventListeners();
+
+        expect(chatMessengerService.addEventListener).to.have.been.calledWith(CHAT_EVENTS.MESSAGE_REMOVED, sinon.match.func.and(sinon.match(function(callback) {
+          callback(event);
+
+          expect(conversation.last_message).to.be.undefined;
+
+          return true;
+        })));
+      });
+
+      it('should broadcast CHAT_EVENTS.MESSAGE_REMOVED with the tombstone', function() {
+        $rootScope.$broadcast = sinon.spy();
+
+        chatConversationListenerService.addEventListeners();
+
+        expect(chatMessengerService.addEventListener).to.have.been.calledWith(CHAT_EVENTS.MESSAGE_REMOVED, sinon.match.func.and(sinon.match(function(callback) {
+          callback(event);
+
+          expect($rootScope.$broadcast).to.have.been.calledWith(CHAT_EVENTS.MESSAGE_REMOVED, event.message);
+
+          return true;
+        })));
+      });
+    });
+
     describe('on CHAT_WEBSOCKET_EVENTS.CONVERSATION.MEMBER_READ', function() {
       it('should reset number of unread messages and unseen mentions of a conversation', function() {
         var eventPayload = {
@@ -257,6 +430,61 @@ describe('The chatConversationListenerService service', function() {
         );
       });
     });
+
+    describe('on CHAT_WEBSOCKET_EVENTS.CONVERSATION.MEMBER_READ_RECEIPT', function() {
+      it('should update the read receipt of the conversation and broadcast it', function() {
+        var eventPayload = {
+          conversationId: 'conversationId',
+          userId: 'userId',
+          messageId: 'messageId'
+        };
+
+        chatConversationsStoreService.updateReadReceipt = sinon.spy();
+        $rootScope.$broadcast = sinon.spy();
+
+        chatConversationListenerService.addEventListeners();
+
+        expect(chatMessengerService.addEventListener).to.have.been.calledWith(
+          CHAT_WEBSOCKET_EVENTS.CONVERSATION.MEMBER_READ_RECEIPT,
+          sinon.match.func.and(sinon.match(function(callback) {
+            callback(eventPayload);
+
+            expect(chatConversationsStoreService.updateReadReceipt).to.have.been.calledWith('conversationId', 'userId', 'messageId');
+            expect($rootScope.$broadcast).to.have.been.calledWith(CHAT_EVENTS.MEMBER_READ_RECEIPT, eventPayload);
+
+            return true;
+          }))
+        );
+      });
+    });
+
+    describe('on CHAT_WEBSOCKET_EVENTS.CONVERSATION.MEMBER_UNREAD', function() {
+      it('should update the counters of the conversation and broadcast the new state', function() {
+        var eventPayload = {
+          conversationId: 'conversationId',
+          userId: 'userId',
+          numOfMessage: 5,
+          memberState: {numOfReadMessages: 3, numOfUnseenMentions: 1, lastReadMessageId: 'messageId'}
+        };
+
+        chatConversationsStoreService.markAsUnread = sinon.spy();
+        $rootScope.$broadcast = sinon.spy();
+
+        chatConversationListenerService.addEventListeners();
+
+        expect(chatMessengerService.addEventListener).to.have.been.calledWith(
+          CHAT_WEBSOCKET_EVENTS.CONVERSATION.MEMBER_UNREAD,
+          sinon.match.func.and(sinon.match(function(callback) {
+            callback(eventPayload);
+
+            expect(chatConversationsStoreService.markAsUnread).to.have.been.calledWith('conversationId', 5, eventPayload.memberState);
+            expect($rootScope.$broadcast).to.have.been.calledWith(CHAT_EVENTS.MEMBER_UNREAD_CONVERSATION, eventPayload);
+
+            return true;
+          }))
+        );
+      });
+    });
   });
 
   describe('The $rootScope events', function() {
@@ -404,6 +632,47 @@ describe('The chatConversationListenerService service', function() {
       });
     });
 
+    describe('on CHAT_EVENTS.TEXT_MESSAGE for a reply', function() {
+      beforeEach(function() {
+        message.parent = {_id: 'parentId', reply_count: 1, thread_participants: [3]};
+        chatConversationActionsService.increaseNumberOfUnreadMessages = sinon.spy();
+        chatConversationActionsService.updateUserMentionsCount = sinon.spy();
+        chatParseMention.parseMentions = sinon.spy();
+        chatConversationsStoreService.findConversation = sinon.spy(function() {
+          return conversation;
+        });
+      });
+
+      it('should not update the conversation last message', function() {
+        chatConversationListenerService.start();
+
+        $rootScope.$emit(CHAT_EVENTS.TEXT_MESSAGE, message);
+        $rootScope.$digest();
+
+        expect(chatParseMention.parseMentions).to.not.have.been.called;
+        expect(conversation.last_message).to.be.undefined;
+      });
+
+      it('should not increase the number of unread messages when user does not participate to the thread', function() {
+        chatConversationListenerService.start();
+
+        $rootScope.$emit(CHAT_EVENTS.TEXT_MESSAGE, message);
+        $rootScope.$digest();
+
+        expect(chatConversationActionsService.increaseNumberOfUnreadMessages).to.not.have.been.called;
+      });
+
+      it('should increase the number of unread messages when user participates to the thread', function() {
+        message.parent.thread_participants.push(session.user._id);
+        chatConversationListenerService.start();
+
+        $rootScope.$emit(CHAT_EVENTS.TEXT_MESSAGE, message);
+        $rootScope.$digest();
+
+        expect(chatConversationActionsService.increaseNumberOfUnreadMessages).to.have.been.calledWith(conversation._id);
+      });
+    });
+
     describe('on CHAT_EVENTS.FILE_MESSAGE', function() {
       it('should update the conversation number of unread message', function() {
         chatConversationActionsService.increaseNumberOfUnreadMessages = sinon.spy();
@@ -20,6 +20,7 @@
         create: create,
         fetchMessages: fetchMessages,
         fetchAttachments: fetchAttachments,
+        fetchPinnedMessages: fetchPinnedMessages,
         fetchOpenAndSubscribedConversations: fetchOpenAndSubscribedConversations,
         fetchUnreadOpenAndSubscribedConversations: fetchUnreadOpenAndSubscribedConversations,
         get: get,
@@ -66,6 +67,10 @@
         return _getBase(id).all('attachments').getList(options);
       }
 
+      function fetchPinnedMessages(id, options) {
+        return _getBase(id).all('pinned').getList(options);
+      }
+
       function get(id) {
         return _getBase(id).get().then(_stripResponse);
       }
@@ -163,9 +168,11 @@
       function _calculateUnreadMessage(conversations) {
         return conversations.map(function(conversation) {
           var numOfMessage = conversation.numOfMessage;
-          var numOfReadMessages = conversation.memberStates && conversation.memberStates[session.user.id] && conversation.memberStates[session.user.id].numOfReadMessages || 0;
+          var memberState = conversation.memberStates && conversation.memberStates[session.user.id] || {};
+          var numOfReadMessages = memberState.numOfReadMessages || 0;
 
-          conversation.unreadMessageCount = numOfMessage - numOfReadMessages;
+          // the unread replies of the threads the user takes part in are not counted in the messages of the conversation
+          conversation.unreadMessageCount = numOfMessage - numOfReadMessages + (memberState.numOfUnreadReplies || 0);
 
           return conversation;
         });
@@ -85,6 +85,16 @@ describe('The linagora.esn.chat conversation service', function() {
     });
   });
 
+  describe('fetchPinnedMessages function', function() {
+    it('should call the right endpoint', function() {
+      $httpBackend.expectGET('/chat/api/conversations/' + id + '/pinned?limit=20').respond([]);
+
+      chatConversationService.fetchPinnedMessages(id, {limit: 20});
+      $rootScope.$digest();
+      $httpBackend.flush();
+    });
+  });
+
   describe('The fetchOpenAndSubscribedConversations function', function() {
     it('should fetch all open and subscribed private conversations that user is a member of and calculate the unread message', function(done) {
       var openConversations, subscribedPrivateConversations;
@@ -265,6 +275,17 @@ describe('The linagora.esn.chat conversation service', function() {
             }
           },
           unreadMessageCount: 0
+        },
+        {
+          _id: 5,
+          type: CHAT_CONVERSATION_TYPE.OPEN,
+          numOfMessage: 10,
+          memberStates: {
+            userId: {
+              numOfReadMessages: 10,
+              numOfUnreadReplies: 3
+            }
+          }
         }
       ];
 
@@ -309,6 +330,11 @@ describe('The linagora.esn.chat conversation service', function() {
             },
             unreadMessageCount: 2
           },
+          {
+            _id: 5,
+            type: CHAT_CONVERSATION_TYPE.OPEN,
+            unreadMessageCount: 3
+          },
           {
             _id: 2,
             type: CHAT_CONVERSATION_TYPE.DIRECT_MESSAGE,
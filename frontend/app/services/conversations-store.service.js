@@ -8,12 +8,15 @@
     $log,
     _,
     esnAppStateService,
+    session,
     chatPrivateConversationService,
     CHAT_CONVERSATION_TYPE,
     CHAT_EVENTS,
+    CHAT_KNOWN_MESSAGES_LIMIT,
     CHAT_MEMBER_STATUS
   ) {
     var activeRoom = {};
+    var knownMessageIds = {};
     var store = {
       addConversation: addConversation,
       addConversations: addConversations,
@@ -22,6 +25,7 @@
       deleteConversation: deleteConversation,
       findConversation: findConversation,
       find: find,
+      getLastMessageId: getLastMessageId,
       getNumberOfUnreadMessages: getNumberOfUnreadMessages,
       increaseNumberOfUnreadMessages: increaseNumberOfUnreadMessages,
       increaseUserMentionsCount: increaseUserMentionsCount,
@@ -29,7 +33,9 @@
       joinConversation: joinConversation,
       leaveConversation: leaveConversation,
       markAllMessagesAsRead: markAllMessagesAsRead,
+      markAsUnread: markAsUnread,
       privateConversations: [],
+      registerMessage: registerMessage,
       resetNumberOfUnreadMessages: resetNumberOfUnreadMessages,
       resetNumberOfUnseenMentions: resetNumberOfUnseenMentions,
       setActive: setActive,
@@ -38,6 +44,8 @@
       unsubscribePrivateConversation: unsubscribePrivateConversation,
       updateConversation: updateConversation,
       updateMembersCount: updateMembersCount,
+      updateMessageCounters: updateMessageCounters,
+      updateReadReceipt: updateReadReceipt,
       updateTopic: updateTopic,
       get activeRoom() {
         return activeRoom;
@@ -101,6 +109,10 @@
       return _.find(store.conversations, filter);
     }
 
+    function getLastMessageId(conversationId) {
+      return _.last(knownMessageIds[conversationId]);
+    }
+
     function getNumberOfUnreadMessages() {
       var unreadedMessages = 0;
 
@@ -111,6 +123,27 @@
       return unreadedMessages;
     }
 
+    // messages replayed after a websocket reconnection may have already been received, they must not be counted twice
+    function registerMessage(message) {
+      if (!message || !message._id || !message.channel) {
+        return true;
+      }
+
+      var ids = knownMessageIds[message.channel] = knownMessageIds[message.channel] || [];
+
+      if (_.contains(ids, message._id)) {
+        return false;
+      }
+
+      ids.push(message._id);
+
+      if (ids.length > CHAT_KNOWN_MESSAGES_LIMIT) {
+        ids.shift();
+      }
+
+      return true;
+    }
+
     function resetNumberOfUnreadMessages(conversationId) {
       var conversation = _.find(store.conversations, function(conversation) {
         return conversation._id === conversationId;
@@ -192,6 +225,21 @@
       }
     }
 
+    // unlike new messages, the counters are updated even on the active conversation: the user explicitly asked for it
+    function markAsUnread(conversationId, numOfMessage, memberState) {
+      var conversation = findConversation(conversationId);
+
+      if (!conversation) {
+        return;
+      }
+
+      conversation.numOfMessage = numOfMessage;
+      conversation.memberStates = conversation.memberStates || {};
+      conversation.memberStates[session.user._id] = memberState;
+      conversation.unreadMessageCount = Math.max(numOfMessage - (memberState.numOfReadMessages || 0), 0) + (memberState.numOfUnreadReplies || 0);
+      conversation.mention_count = memberState.numOfUnseenMentions || 0;
+    }
+
     function setActive(conversation) {
       if (!conversation) {
         return false;
@@ -223,6 +271,24 @@
       activeRoom = {};
     }
 
+    function updateMessageCounters(conversationId, numOfMessage, memberState) {
+      var conversation = findConversation(conversationId);
+
+      if (!conversation) {
+        return;
+      }
+
+      conversation.numOfMessage = numOfMessage;
+
+      if (isActiveRoom(conversation._id) && esnAppStateService.isForeground()) {
+        return;
+      }
+
+      memberState = memberState || {};
+      conversation.unreadMessageCount = Math.max(numOfMessage - (memberState.numOfReadMessages || 0), 0) + (memberState.numOfUnreadReplies || 0);
+      conversation.mention_count = memberState.numOfUnseenMentions || 0;
+    }
+
     function updateConversation(conversation) {
       var conv = findConversation(conversation._id);
 
@@ -259,6 +325,17 @@
       conv.members_count = count;
     }
 
+    // read_receipts is only defined on the conversations which share them
+    function updateReadReceipt(conversationId, userId, messageId) {
+      var conversation = findConversation(conversationId);
+
+      if (!conversation || !conversation.read_receipts) {
+        return;
+      }
+
+      conversation.read_receipts[userId] = messageId;
+    }
+
     function updateTopic(conversation, topic) {
       var conv = findConversation(conversation._id);
 
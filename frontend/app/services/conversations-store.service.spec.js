@@ -213,6 +213,20 @@ describe('The chatConversationsStoreService service', function() {
     });
   });
 
+  describe('The getLastMessageId function', function() {
+    it('should return undefined when no message has been received in the conversation', function() {
+      expect(chatConversationsStoreService.getLastMessageId(conversation._id)).to.be.undefined;
+    });
+
+    it('should return the id of the last message received in the conversation', function() {
+      chatConversationsStoreService.registerMessage({_id: 'message1', channel: conversation._id});
+      chatConversationsStoreService.registerMessage({_id: 'message2', channel: conversation._id});
+      chatConversationsStoreService.registerMessage({_id: 'message3', channel: publicConversation._id});
+
+      expect(chatConversationsStoreService.getLastMessageId(conversation._id)).to.equal('message2');
+    });
+  });
+
   describe('The getNumberOfUnreadMessages function', function() {
     it('should return the sum of unreads from all the stored conversations', function() {
       conversation.unreadMessageCount = 2;
@@ -359,6 +373,31 @@ describe('The chatConversationsStoreService service', function() {
     });
   });
 
+  describe('The markAsUnread function', function() {
+    it('should update the counters and the state of the current user even on the active conversation', function() {
+      var memberState = {numOfReadMessages: 3, numOfUnseenMentions: 1, lastReadMessageId: 'messageId'};
+
+      chatConversationsStoreService.conversations = [conversation];
+      chatConversationsStoreService.setActive(conversation);
+      chatConversationsStoreService.markAsUnread(conversation._id, 5, memberState);
+
+      expect(conversation).to.shallowDeepEqual({
+        numOfMessage: 5,
+        unreadMessageCount: 2,
+        mention_count: 1,
+        memberStates: {userId: memberState}
+      });
+    });
+
+    it('should do nothing when conversation not found', function() {
+      chatConversationsStoreService.conversations = [conversation];
+      chatConversationsStoreService.markAsUnread(publicConversation._id, 5, {numOfReadMessages: 3});
+
+      expect(conversation.unreadMessageCount).to.be.undefined;
+      expect(publicConversation.unreadMessageCount).to.be.undefined;
+    });
+  });
+
   describe('The setActive function', function() {
     it('should return false when conversation is undefined', function() {
       expect(chatConversationsStoreService.setActive()).to.be.false;
@@ -445,6 +484,64 @@ describe('The chatConversationsStoreService service', function() {
     });
   });
 
+  describe('The updateMessageCounters function', function() {
+    it('should do nothing when conversation not found', function() {
+      chatConversationsStoreService.conversations = [conversation];
+      chatConversationsStoreService.updateMessageCounters(publicConversation._id, 2, {numOfReadMessages: 1});
+
+      expect(conversation.numOfMessage).to.be.undefined;
+      expect(conversation.unreadMessageCount).to.be.undefined;
+    });
+
+    it('should update the number of unread messages and mentions from the member state', function() {
+      chatConversationsStoreService.conversations = [publicConversation, conversation];
+      chatConversationsStoreService.setActive(publicConversation);
+      chatConversationsStoreService.updateMessageCounters(conversation._id, 5, {numOfReadMessages: 3, numOfUnseenMentions: 1});
+
+      expect(conversation.numOfMessage).to.equal(5);
+      expect(conversation.unreadMessageCount).to.equal(2);
+      expect(conversation.mention_count).to.equal(1);
+    });
+
+    it('should consider all messages as unread when there is no member state', function() {
+      chatConversationsStoreService.conversations = [publicConversation, conversation];
+      chatConversationsStoreService.setActive(publicConversation);
+      chatConversationsStoreService.updateMessageCounters(conversation._id, 5);
+
+      expect(conversation.unreadMessageCount).to.equal(5);
+      expect(conversation.mention_count).to.equal(0);
+    });
+
+    it('should not update unread counters of the active conversation when app is in foreground', function() {
+      chatConversationsStoreService.conversations = [publicConversation, conversation];
+      chatConversationsStoreService.setActive(conversation);
+      esnAppStateService.isForeground = sinon.stub().returns(true);
+      chatConversationsStoreService.updateMessageCounters(conversation._id, 5, {numOfReadMessages: 3});
+
+      expect(conversation.numOfMessage).to.equal(5);
+      expect(conversation.unreadMessageCount).to.equal(0);
+    });
+  });
+
+  describe('The updateReadReceipt function', function() {
+    it('should update the last message read by the user', function() {
+      conversation.read_receipts = {userId: 'message1'};
+      chatConversationsStoreService.conversations = [conversation];
+
+      chatConversationsStoreService.updateReadReceipt(conversation._id, 'userId', 'message2');
+
+      expect(conversation.read_receipts).to.deep.equal({userId: 'message2'});
+    });
+
+    it('should not add read receipts to the conversations which do not share them', function() {
+      chatConversationsStoreService.conversations = [conversation];
+
+      chatConversationsStoreService.updateReadReceipt(conversation._id, 'userId', 'message2');
+
+      expect(conversation.read_receipts).to.be.undefined;
+    });
+  });
+
   describe('The updateTopic function', function() {
     it('should not add the conversation if not in store', function() {
       var topic = {value: 'My new topic'};
@@ -473,6 +570,35 @@ describe('The chatConversationsStoreService service', function() {
     });
   });
 
+  describe('The registerMessage function', function() {
+    it('should return true when the message has never been received', function() {
+      expect(chatConversationsStoreService.registerMessage({_id: 'message1', channel: conversation._id})).to.be.true;
+    });
+
+    it('should return false when the message has already been received', function() {
+      chatConversationsStoreService.registerMessage({_id: 'message1', channel: conversation._id});
+
+      expect(chatConversationsStoreService.registerMessage({_id: 'message1', channel: conversation._id})).to.be.false;
+    });
+
+    it('should return true for messages which can not be identified', function() {
+      var typing = {type: 'user_typing', channel: conversation._id};
+
+      chatConversationsStoreService.registerMessage(typing);
+
+      expect(chatConversationsStoreService.registerMessage(typing)).to.be.true;
+    });
+
+    it('should forget the oldest messages when too many messages have been received', inject(function(CHAT_KNOWN_MESSAGES_LIMIT) {
+      for (var i = 0; i <= CHAT_KNOWN_MESSAGES_LIMIT; i++) {
+        chatConversationsStoreService.registerMessage({_id: 'message' + i, channel: conversation._id});
+      }
+
+      expect(chatConversationsStoreService.registerMessage({_id: 'message1', channel: conversation._id})).to.be.false;
+      expect(chatConversationsStoreService.registerMessage({_id: 'message0', channel: conversation._id})).to.be.true;
+    }));
+  });
+
   describe('The resetNumberOfUnreadMessages function', function() {
     it('should reset the number of unread messages of a conversation', function() {
       conversation.unreadMessageCount = 10;
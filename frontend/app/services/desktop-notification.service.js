@@ -14,6 +14,7 @@
       chatConversationMemberService,
       chatConversationsStoreService,
       chatParseMention,
+      chatUserPresenceService,
       CHAT_LOCAL_STORAGE,
       CHAT_NOTIFICATION
     ) {
@@ -33,7 +34,7 @@
       ////////////
 
       function canNotify() {
-        return !$window.document.hasFocus() && enable;
+        return !$window.document.hasFocus() && enable && !chatUserPresenceService.isDoNotDisturb();
       }
 
       function canNotifyOnMessage(message) {
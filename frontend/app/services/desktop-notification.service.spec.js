@@ -13,6 +13,7 @@ describe('The chatDesktopNotificationService service', function() {
     chatConversationsStoreService,
     chatDesktopNotificationService,
     chatParseMention,
+    chatUserPresenceService,
     localStorageService,
     localForage,
     webNotification,
@@ -53,6 +54,11 @@ describe('The chatDesktopNotificationService service', function() {
       permissionGranted: true,
       showNotification: sinon.spy()
     };
+    chatUserPresenceService = {
+      isDoNotDisturb: sinon.spy(function() {
+        return false;
+      })
+    };
     chatParseMention = {
       parseMentions: sinon.spy(function() {
         return $q.when();
@@ -62,6 +68,7 @@ describe('The chatDesktopNotificationService service', function() {
     angular.mock.module(function($provide) {
       $provide.value('session', session);
       $provide.value('chatParseMention', chatParseMention);
+      $provide.value('chatUserPresenceService', chatUserPresenceService);
       $provide.value('chatConversationMemberService', chatConversationMemberService);
       $provide.value('chatConversationsStoreService', chatConversationsStoreService);
       $provide.value('localStorageService', localStorageService);
@@ -159,6 +166,18 @@ describe('The chatDesktopNotificationService service', function() {
         expect(chatDesktopNotificationService.canNotify()).to.be.ok;
         expect($window.document.hasFocus).to.have.been.called;
       });
+
+      it('should return false when the user is in do not disturb mode', function() {
+        $window.document.hasFocus = sinon.spy(function() {
+          return false;
+        });
+        chatUserPresenceService.isDoNotDisturb = sinon.spy(function() {
+          return true;
+        });
+        chatDesktopNotificationService.setNotificationStatus(true);
+
+        expect(chatDesktopNotificationService.canNotify()).to.not.be.ok;
+      });
     });
 
     describe('The notify function', function() {
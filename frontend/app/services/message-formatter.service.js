@@ -0,0 +1,178 @@
+(function() {
+  'use strict';
+
+  angular.module('linagora.esn.chat')
+    .factory('chatMessageFormatter', chatMessageFormatter);
+
+  function chatMessageFormatter() {
+    var FENCE = /^\s*```/;
+    var QUOTE = /^\s*>\s?/;
+    var UNORDERED_ITEM = /^\s*[-*+]\s+/;
+    var ORDERED_ITEM = /^\s*\d+[.)]\s+/;
+    var INLINE_CODE = /`([^`\n]+)`/g;
+    // inline code is replaced by a placeholder while the emphasis around it is parsed
+    var CODE_PLACEHOLDER = /\u0000(\d+)\u0000/;
+    // the content of an emphasis can not start nor end with a space, underscores inside words are not emphasis
+    var EMPHASIS = [
+      {pattern: /\*(\*\*[^\s*](?:[\s\S]*?[^\s*])?\*\*)\*/, tag: 'em'},
+      {pattern: /\*\*(\S(?:[\s\S]*?\S)?)\*\*/, tag: 'strong'},
+      {pattern: /~~(\S(?:[\s\S]*?\S)?)~~/, tag: 'del'},
+      {pattern: /\*(\S(?:[\s\S]*?\S)?)\*/, tag: 'em'},
+      {pattern: /(^|\W)_(\S(?:[\s\S]*?\S)?)_(?!\w)/, tag: 'em'}
+    ];
+    var HTML_ENTITIES = {'&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;'};
+
+    return {
+      escape: escape,
+      format: format
+    };
+
+    function escape(text) {
+      return String(text).replace(/[&<>"']/g, function(character) {
+        return HTML_ENTITIES[character];
+      });
+    }
+
+    /**
+     * Format the markdown-like markup of a message as HTML: **bold**, *italic* or _italic_, ~~strikethrough~~,
+     * `inline code`, ``` fenced code blocks ```, > block quotes and lists.
+     * No HTML of the text is kept: the text outside of the code is given to formatText,
+     * which has to escape it, and the code is escaped.
+     *
+     * @param {String} text
+     * @param {Function} formatText - turns a plain text into HTML, escape by default
+     * @return {String} the HTML
+     */
+    function format(text, formatText) {
+      return formatBlocks(String(text || '').split('\n'), formatText || escape);
+    }
+
+    function takeLines(lines, index, pattern) {
+      var taken = [];
+
+      while (index + taken.length < lines.length && pattern.test(lines[index + taken.length])) {
+        taken.push(lines[index + taken.length]);
+      }
+
+      return taken;
+    }
+
+    function formatList(items, pattern, tag, formatText) {
+      return '<' + tag + '>' + items.map(function(item) {
+        return '<li>' + formatInline(item.replace(pattern, ''), formatText) + '</li>';
+      }).join('') + '</' + tag + '>';
+    }
+
+    function formatBlocks(lines, formatText) {
+      var html = '';
+      var paragraph = [];
+      var index = 0;
+      var block;
+
+      function flushParagraph() {
+        if (paragraph.length) {
+          html += formatInline(paragraph.join('\n'), formatText);
+          paragraph = [];
+        }
+      }
+
+      while (index < lines.length) {
+        var line = lines[index];
+
+        if (FENCE.test(line)) {
+          var end = index + 1;
+
+          while (end < lines.length && !FENCE.test(lines[end])) {
+            end++;
+          }
+
+          flushParagraph();
+          html += '<pre><code>' + escape(lines.slice(index + 1, end).join('\n')) + '</code></pre>';
+          index = end + 1;
+        } else if (QUOTE.test(line)) {
+          block = takeLines(lines, index, QUOTE);
+          flushParagraph();
+          html += '<blockquote>' + formatBlocks(block.map(function(quoted) {
+            return quoted.replace(QUOTE, '');
+          }), formatText) + '</blockquote>';
+          index += block.length;
+        } else if (UNORDERED_ITEM.test(line)) {
+          block = takeLines(lines, index, UNORDERED_ITEM);
+          flushParagraph();
+          html += formatList(block, UNORDERED_ITEM, 'ul', formatText);
+          index += block.length;
+        } else if (ORDERED_ITEM.test(line)) {
+          block = takeLines(lines, index, ORDERED_ITEM);
+          flushParagraph();
+          html += formatList(block, ORDERED_ITEM, 'ol', formatText);
+          index += block.length;
+        } else {
+          paragraph.push(line);
+          index++;
+        }
+      }
+
+      flushParagraph();
+
+      return html;
+    }
+
+    function formatInline(text, formatText) {
+      var codes = [];
+      var placeholders = text.replace(/\u0000/g, '').replace(INLINE_CODE, function(match, code) {
+        codes.push(code);
+
+        return '\u0000' + (codes.length - 1) + '\u0000';
+      });
+
+      return formatEmphasis(placeholders, function(segment) {
+        return segment.split(CODE_PLACEHOLDER).map(function(part, index) {
+          if (index % 2) {
+            return '<code>' + escape(codes[part]) + '</code>';
+          }
+
+          return part ? formatText(part) : '';
+        }).join('');
+      });
+    }
+
+    function findEmphasis(text) {
+      var found;
+
+      EMPHASIS.forEach(function(emphasis) {
+        var match = emphasis.pattern.exec(text);
+
+        if (!match) {
+          return;
+        }
+
+        // the character before the underscore is not part of the emphasis
+        var prefix = match.length > 2 ? match[1] : '';
+        var index = match.index + prefix.length;
+
+        if (!found || index < found.index) {
+          found = {
+            index: index,
+            length: match[0].length - prefix.length,
+            content: match[match.length - 1],
+            tag: emphasis.tag
+          };
+        }
+      });
+
+      return found;
+    }
+
+    function formatEmphasis(text, formatText) {
+      var emphasis = text && findEmphasis(text);
+
+      if (!emphasis) {
+        return text ? formatText(text) : '';
+      }
+
+      return formatEmphasis(text.slice(0, emphasis.index), formatText) +
+        '<' + emphasis.tag + '>' + formatEmphasis(emphasis.content, formatText) + '</' + emphasis.tag + '>' +
+        formatEmphasis(text.slice(emphasis.index + emphasis.length), formatText);
+    }
+  }
+})();
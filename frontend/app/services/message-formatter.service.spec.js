@@ -0,0 +1,83 @@
+'use strict';
+
+/* global chai, sinon: false */
+
+var expect = chai.expect;
+
+describe('The chatMessageFormatter service', function() {
+  var chatMessageFormatter;
+
+  beforeEach(angular.mock.module('linagora.esn.chat', function($provide) {
+    $provide.value('searchProviders', {
+      add: sinon.spy()
+    });
+    $provide.value('chatSearchProviderService', {});
+  }));
+
+  beforeEach(angular.mock.inject(function(_chatMessageFormatter_) {
+    chatMessageFormatter = _chatMessageFormatter_;
+  }));
+
+  describe('The escape function', function() {
+    it('should escape the HTML special characters', function() {
+      expect(chatMessageFormatter.escape('<a href="x">\'&\'</a>')).to.equal('&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;');
+    });
+  });
+
+  describe('The format function', function() {
+    it('should escape the HTML of the text', function() {
+      expect(chatMessageFormatter.format('<script>alert("x")</script>')).to.equal('&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;');
+    });
+
+    it('should return an empty string without text', function() {
+      expect(chatMessageFormatter.format()).to.equal('');
+    });
+
+    it('should format bold, italic and strikethrough texts', function() {
+      expect(chatMessageFormatter.format('**bold** *italic* _italic_ ~~deleted~~'))
+        .to.equal('<strong>bold</strong> <em>italic</em> <em>italic</em> <del>deleted</del>');
+    });
+
+    it('should format nested emphasis', function() {
+      expect(chatMessageFormatter.format('**bold _and italic_**')).to.equal('<strong>bold <em>and italic</em></strong>');
+      expect(chatMessageFormatter.format('***both***')).to.equal('<em><strong>both</strong></em>');
+    });
+
+    it('should not format the underscores inside words nor the isolated delimiters', function() {
+      expect(chatMessageFormatter.format('snake_case_name and 2 * 3 * 4 and **unclosed'))
+        .to.equal('snake_case_name and 2 * 3 * 4 and **unclosed');
+    });
+
+    it('should format the inline code without formatting its content', function() {
+      expect(chatMessageFormatter.format('run `a **b** <c>` **now `x`**'))
+        .to.equal('run <code>a **b** &lt;c&gt;</code> <strong>now <code>x</code></strong>');
+    });
+
+    it('should format the fenced code blocks without formatting their content', function() {
+      expect(chatMessageFormatter.format('before\n```\nvar a = "**b**";\n  <c>\n```\nafter'))
+        .to.equal('before<pre><code>var a = &quot;**b**&quot;;\n  &lt;c&gt;</code></pre>after');
+    });
+
+    it('should format the block quotes', function() {
+      expect(chatMessageFormatter.format('> quoted **text**\n> second line\nnot quoted'))
+        .to.equal('<blockquote>quoted <strong>text</strong>\nsecond line</blockquote>not quoted');
+    });
+
+    it('should format the unordered and ordered lists', function() {
+      expect(chatMessageFormatter.format('- one\n* two\n1. first\n2) second'))
+        .to.equal('<ul><li>one</li><li>two</li></ul><ol><li>first</li><li>second</li></ol>');
+    });
+
+    it('should keep the line breaks of the paragraphs', function() {
+      expect(chatMessageFormatter.format('line 1\nline 2')).to.equal('line 1\nline 2');
+    });
+
+    it('should give the text outside of the code to the formatText function', function() {
+      var formatText = sinon.spy(function(text) {
+        return '[' + text + ']';
+      });
+
+      expect(chatMessageFormatter.format('a **b** `c`', formatText)).to.equal('[a ]<strong>[b]</strong>[ ]<code>c</code>');
+    });
+  });
+});
@@ -7,6 +7,7 @@
   function chatMessageReceiverService(
     $log,
     chatConversationActionsService,
+    chatConversationsStoreService,
     chatMessengerService,
     CHAT_MESSAGE_PREFIX,
     CHAT_WEBSOCKET_EVENTS
@@ -40,6 +41,12 @@
         return;
       }
 
+      if (!chatConversationsStoreService.registerMessage(message)) {
+        $log.debug('Message has already been received, skipping');
+
+        return;
+      }
+
       chatConversationActionsService.onMessage(CHAT_MESSAGE_PREFIX + message.type, message);
     }
   }
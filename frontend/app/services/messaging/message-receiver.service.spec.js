@@ -74,5 +74,15 @@ describe('The chatMessageReceiverService factory', function() {
 
       expect(chatConversationActionsService.onMessage).to.have.been.calledWith(CHAT_MESSAGE_PREFIX + message.type, message);
     });
+
+    it('should skip when message has already been received', function() {
+      message = {_id: 'messageId', channel: 'conversationId', type: 'text'};
+
+      chatMessageReceiverService.onMessage(message);
+      chatMessageReceiverService.onMessage(angular.copy(message));
+
+      expect(logSpy.lastCall.args[0]).to.equal('Message has already been received, skipping');
+      expect(chatConversationActionsService.onMessage).to.have.been.calledOnce;
+    });
   });
 });
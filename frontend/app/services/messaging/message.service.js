@@ -4,12 +4,21 @@
   angular.module('linagora.esn.chat')
     .factory('chatMessageService', chatMessageService);
 
-  function chatMessageService($q, $log, $rootScope, chatMessengerService, fileUploadService, backgroundProcessorService, CHAT_MESSAGE_TYPE, DEFAULT_FILE_TYPE, CHAT_SYSTEM_MESSAGE_SUBTYPES, _) {
+  function chatMessageService($q, $log, $rootScope, session, uuid4, ChatRestangular, chatMessengerService, fileUploadService, backgroundProcessorService, chatAttachmentLimitsService, CHAT_EVENTS, CHAT_MESSAGE_STATUS, CHAT_MESSAGE_TYPE, DEFAULT_FILE_TYPE, CHAT_SYSTEM_MESSAGE_SUBTYPES, _) {
     return {
+      editMessage: editMessage,
+      getMessage: getMessage,
+      getReplies: getReplies,
+      hideLinkPreview: hideLinkPreview,
       isSystemMessage: isSystemMessage,
+      markAsUnread: markAsUnread,
+      pinMessage: pinMessage,
+      removeMessage: removeMessage,
+      retryMessage: retryMessage,
       sendMessage: sendMessage,
       sendMessageWithAttachments: sendMessageWithAttachments,
-      sendUserTyping: sendUserTyping
+      toggleReaction: toggleReaction,
+      unpinMessage: unpinMessage
     };
 
     function buildMessage(message, attachments) {
@@ -21,12 +30,19 @@
             type = DEFAULT_FILE_TYPE;
           }
 
-          return {
+          var attachmentModel = {
             _id: attachment.response.data._id,
             name: attachment.file.name,
             contentType: type,
             length: attachment.file.size
           };
+
+          // set on the recorded voice messages
+          if (_.isNumber(attachment.file.duration)) {
+            attachmentModel.duration = attachment.file.duration;
+          }
+
+          return attachmentModel;
         });
 
         message.attachments = attachmentsModel;
@@ -35,10 +51,88 @@
       return message;
     }
 
+    // the pending message is displayed right away, it is updated in place once the server acknowledged it
+    function buildPendingMessage(message) {
+      return _.assign({}, message, {
+        client_id: uuid4.generate(),
+        creator: session.user,
+        user_mentions: [],
+        timestamps: {creation: message.date || Date.now()},
+        status: CHAT_MESSAGE_STATUS.PENDING
+      });
+    }
+
+    function deliver(message) {
+      message.status = CHAT_MESSAGE_STATUS.PENDING;
+
+      return _sendMessage(toWireMessage(message)).then(function(savedMessage) {
+        return _.assign(message, savedMessage, {status: CHAT_MESSAGE_STATUS.SENT});
+      }, function(err) {
+        message.status = CHAT_MESSAGE_STATUS.FAILED;
+
+        return $q.reject(err);
+      });
+    }
+
+    function editMessage(messageId, text) {
+      return ChatRestangular.one('messages', messageId).doPUT({text: text}).then(function(response) {
+        return ChatRestangular.stripRestangular(response.data);
+      });
+    }
+
+    function getMessage(messageId) {
+      return ChatRestangular.one('messages', messageId).get().then(function(response) {
+        return ChatRestangular.stripRestangular(response.data);
+      });
+    }
+
+    function getReplies(messageId, options) {
+      return ChatRestangular.one('messages', messageId).all('replies').getList(options).then(function(response) {
+        return ChatRestangular.stripRestangular(response.data);
+      });
+    }
+
     function isSystemMessage(message) {
       return _.contains(CHAT_SYSTEM_MESSAGE_SUBTYPES, message.subtype);
     }
 
+    /**
+     * Move the read pointer of the current user back so that the message and the following ones are unread again.
+     *
+     * @param {String} messageId
+     * @return {Promise} resolved with the new state of the user in the conversation
+     */
+    function markAsUnread(messageId) {
+      return ChatRestangular.one('messages', messageId).one('unread').doPOST().then(function(response) {
+        return ChatRestangular.stripRestangular(response.data);
+      });
+    }
+
+    // the preview is only removed for the current user
+    function hideLinkPreview(messageId, previewId) {
+      return ChatRestangular.one('messages', messageId).one('previews', previewId).remove().then(function(response) {
+        return ChatRestangular.stripRestangular(response.data);
+      });
+    }
+
+    function pinMessage(messageId) {
+      return ChatRestangular.one('messages', messageId).one('pin').doPUT().then(function(response) {
+        return ChatRestangular.stripRestangular(response.data);
+      });
+    }
+
+    function removeMessage(messageId) {
+      return ChatRestangular.one('messages', messageId).remove();
+    }
+
+    function retryMessage(message) {
+      if (message.status !== CHAT_MESSAGE_STATUS.FAILED) {
+        return $q.reject(new Error('Only messages which failed to be sent can be sent again'));
+      }
+
+      return deliver(message);
+    }
+
     function _sendMessage(message) {
       $log.debug('Send message', message);
 
@@ -46,6 +140,13 @@
     }
 
     function sendMessageWithAttachments(message, files) {
+      // the files which do not fit in the limits of the domain are not uploaded at all
+      return chatAttachmentLimitsService.check(files).then(function() {
+        return uploadAndSend(message, files);
+      });
+    }
+
+    function uploadAndSend(message, files) {
       var filesUploadDefer = $q.defer();
       var uploadService = fileUploadService.get();
       var attachments = files.map(function(file) {
@@ -57,7 +158,7 @@
       function filesUploaded(attachments) {
         $log.debug('Upload complete');
 
-        return _sendMessage(buildMessage(message, attachments)).then(function(response) {
+        return _sendTrackedMessage(buildMessage(message, attachments)).then(function(response) {
           $log.debug('Message with files has been sent');
           filesUploadDefer.resolve(response);
         }, function(err) {
@@ -75,16 +176,36 @@
       return filesUploadDefer.promise;
     }
 
-    function sendUserTyping(message) {
-      message.type = CHAT_MESSAGE_TYPE.USER_TYPING;
+    function _sendTrackedMessage(message) {
+      var pendingMessage = buildPendingMessage(message);
+
+      $rootScope.$broadcast(CHAT_EVENTS.MESSAGE_PENDING, pendingMessage);
+
+      return deliver(pendingMessage);
+    }
+
+    function toggleReaction(messageId, emoji) {
+      return ChatRestangular.one('messages', messageId).all('reactions').post({emoji: emoji}).then(function(response) {
+        return ChatRestangular.stripRestangular(response.data);
+      });
+    }
 
-      return _sendMessage(message);
+    function unpinMessage(messageId) {
+      return ChatRestangular.one('messages', messageId).one('pin').remove().then(function(response) {
+        return ChatRestangular.stripRestangular(response.data);
+      });
     }
 
     function sendMessage(message) {
       message.type = CHAT_MESSAGE_TYPE.TEXT;
 
-      return _sendMessage(message);
+      return _sendTrackedMessage(message);
+    }
+
+    function toWireMessage(message) {
+      return _.assign(_.pick(message, ['type', 'text', 'channel', 'client_id', 'attachments', 'parent', 'date']), {
+        creator: session.user._id
+      });
     }
   }
 })();
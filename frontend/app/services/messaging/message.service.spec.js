@@ -5,8 +5,8 @@
 var expect = chai.expect;
 
 describe('The chatMessageService factory', function() {
-  var $q, $rootScope, chatMessengerService, chatMessageService, fileUploadServiceMock, backgroundProcessorServiceMock;
-  var DEFAULT_FILE_TYPE;
+  var $q, $httpBackend, $rootScope, chatMessengerService, chatMessageService, fileUploadServiceMock, backgroundProcessorServiceMock, chatAttachmentLimitsService;
+  var DEFAULT_FILE_TYPE, CHAT_EVENTS, CHAT_MESSAGE_STATUS;
 
   beforeEach(function() {
     DEFAULT_FILE_TYPE = 'txt';
@@ -15,6 +15,11 @@ describe('The chatMessageService factory', function() {
     chatMessengerService = {
       sendMessage: sinon.spy()
     };
+    chatAttachmentLimitsService = {
+      check: sinon.spy(function() {
+        return $q.when();
+      })
+    };
 
     module('linagora.esn.chat', function($provide) {
       $provide.value('searchProviders', {
@@ -24,12 +29,16 @@ describe('The chatMessageService factory', function() {
       $provide.value('backgroundProcessorService', backgroundProcessorServiceMock);
       $provide.value('chatMessengerService', chatMessengerService);
       $provide.value('fileUploadService', fileUploadServiceMock);
+      $provide.value('chatAttachmentLimitsService', chatAttachmentLimitsService);
       $provide.value('DEFAULT_FILE_TYPE', DEFAULT_FILE_TYPE);
     });
   });
 
-  beforeEach(angular.mock.inject(function(_$q_, _$rootScope_, _chatMessageService_) {
+  beforeEach(angular.mock.inject(function(_$q_, _$httpBackend_, _$rootScope_, _chatMessageService_, _CHAT_EVENTS_, _CHAT_MESSAGE_STATUS_) {
     $q = _$q_;
+    CHAT_EVENTS = _CHAT_EVENTS_;
+    CHAT_MESSAGE_STATUS = _CHAT_MESSAGE_STATUS_;
+    $httpBackend = _$httpBackend_;
     $rootScope = _$rootScope_;
     chatMessageService = _chatMessageService_;
 
@@ -38,6 +47,142 @@ describe('The chatMessageService factory', function() {
     });
   }));
 
+  describe('The editMessage function', function() {
+    it('should PUT the new text of the message and resolve with the updated message', function(done) {
+      var messageId = '123';
+      var text = 'edited text';
+
+      $httpBackend.expectPUT('/chat/api/messages/' + messageId, {text: text}).respond({_id: messageId, text: text});
+
+      chatMessageService.editMessage(messageId, text).then(function(message) {
+        expect(message).to.shallowDeepEqual({_id: messageId, text: text});
+        done();
+      }, done);
+
+      $httpBackend.flush();
+    });
+  });
+
+  describe('The getMessage function', function() {
+    it('should GET the message', function(done) {
+      var messageId = '123';
+
+      $httpBackend.expectGET('/chat/api/messages/' + messageId).respond({_id: messageId, text: 'foo'});
+
+      chatMessageService.getMessage(messageId).then(function(message) {
+        expect(message).to.shallowDeepEqual({_id: messageId, text: 'foo'});
+        done();
+      }, done);
+
+      $httpBackend.flush();
+    });
+  });
+
+  describe('The getReplies function', function() {
+    it('should GET the replies of the message', function(done) {
+      var messageId = '123';
+
+      $httpBackend.expectGET('/chat/api/messages/' + messageId + '/replies?limit=20').respond([{_id: 'reply', parent: messageId}]);
+
+      chatMessageService.getReplies(messageId, {limit: 20}).then(function(replies) {
+        expect(replies).to.shallowDeepEqual([{_id: 'reply', parent: messageId}]);
+        done();
+      }, done);
+
+      $httpBackend.flush();
+    });
+  });
+
+  describe('The toggleReaction function', function() {
+    it('should POST the emoji and resolve with the updated message', function(done) {
+      var messageId = '123';
+      var reactions = [{emoji: 'smile', user: 'userId'}];
+
+      $httpBackend.expectPOST('/chat/api/messages/' + messageId + '/reactions', {emoji: 'smile'}).respond({_id: messageId, reactions: reactions});
+
+      chatMessageService.toggleReaction(messageId, 'smile').then(function(message) {
+        expect(message).to.shallowDeepEqual({_id: messageId, reactions: reactions});
+        done();
+      }, done);
+
+      $httpBackend.flush();
+    });
+  });
+
+  describe('The markAsUnread function', function() {
+    it('should POST on the unread resource and resolve with the new state of the user', function(done) {
+      var messageId = '123';
+
+      $httpBackend.expectPOST('/chat/api/messages/' + messageId + '/unread').respond({numOfReadMessages: 2, numOfUnseenMentions: 0, lastReadMessageId: '122'});
+
+      chatMessageService.markAsUnread(messageId).then(function(memberState) {
+        expect(memberState).to.deep.equal({numOfReadMessages: 2, numOfUnseenMentions: 0, lastReadMessageId: '122'});
+        done();
+      }, done);
+
+      $httpBackend.flush();
+    });
+  });
+
+  describe('The pinMessage function', function() {
+    it('should PUT on the pin resource and resolve with the pinned message', function(done) {
+      var messageId = '123';
+
+      $httpBackend.expectPUT('/chat/api/messages/' + messageId + '/pin').respond({_id: messageId, pinned_by: 'userId'});
+
+      chatMessageService.pinMessage(messageId).then(function(message) {
+        expect(message).to.shallowDeepEqual({_id: messageId, pinned_by: 'userId'});
+        done();
+      }, done);
+
+      $httpBackend.flush();
+    });
+  });
+
+  describe('The hideLinkPreview function', function() {
+    it('should DELETE the preview resource and resolve with the updated message', function(done) {
+      var messageId = '123';
+
+      $httpBackend.expectDELETE('/chat/api/messages/' + messageId + '/previews/456').respond({_id: messageId, link_previews: [{_id: '456', hidden_by: ['userId']}]});
+
+      chatMessageService.hideLinkPreview(messageId, '456').then(function(message) {
+        expect(message).to.shallowDeepEqual({_id: messageId, link_previews: [{_id: '456', hidden_by: ['userId']}]});
+        done();
+      }, done);
+
+      $httpBackend.flush();
+    });
+  });
+
+  describe('The unpinMessage function', function() {
+    it('should DELETE the pin resource and resolve with the unpinned message', function(done) {
+      var messageId = '123';
+
+      $httpBackend.expectDELETE('/chat/api/messages/' + messageId + '/pin').respond({_id: messageId});
+
+      chatMessageService.unpinMessage(messageId).then(function(message) {
+        expect(message).to.shallowDeepEqual({_id: messageId});
+        done();
+      }, done);
+
+      $httpBackend.flush();
+    });
+  });
+
+  describe('The removeMessage function', function() {
+    it('should DELETE the message', function(done) {
+      var messageId = '123';
+
+      $httpBackend.expectDELETE('/chat/api/messages/' + messageId).respond(204);
+
+      chatMessageService.removeMessage(messageId).then(function() {
+        done();
+      }, done);
+
+      $httpBackend.flush();
+    });
+  });
+
   describe('The isSystemMessage function', function() {
     it('should return true when message subtype is a `conversation_join`', function() {
       var message = {subtype: 'conversation_join'};
@@ -51,6 +196,12 @@ describe('The chatMessageService factory', function() {
       expect(chatMessageService.isSystemMessage(message)).to.be.true;
     });
 
+    it('should return true when message subtype is a `message_pin`', function() {
+      var message = {subtype: 'message_pin'};
+
+      expect(chatMessageService.isSystemMessage(message)).to.be.true;
+    });
+
     it('should return false when message subtype is not a system message subtype', function() {
       var message = {};
 
@@ -59,26 +210,161 @@ describe('The chatMessageService factory', function() {
   });
 
   describe('sendMessage function', function() {
-    it('should send a message with text as type', function() {
+    var message;
+
+    beforeEach(function() {
+      message = {text: 'Hello', channel: 'channelId', date: 1, creator: 'userId'};
+    });
+
+    it('should send a message with text as type and a client id', function() {
       var promiseCallback = sinon.spy();
 
-      chatMessageService.sendMessage({data: 'data'}).then(promiseCallback);
+      chatMessageService.sendMessage(message).then(promiseCallback);
       $rootScope.$digest();
 
-      expect(chatMessengerService.sendMessage).to.have.been.calledWith({data: 'data', type: 'text'});
+      expect(chatMessengerService.sendMessage).to.have.been.calledWith(sinon.match({
+        type: 'text',
+        text: 'Hello',
+        channel: 'channelId',
+        client_id: sinon.match.string
+      }));
       expect(promiseCallback).to.have.been.calledOnce;
     });
+
+    it('should broadcast the pending message before sending it', function() {
+      var pendingSpy = sinon.spy();
+
+      chatMessengerService.sendMessage = sinon.spy(function() {
+        return $q.defer().promise;
+      });
+      $rootScope.$on(CHAT_EVENTS.MESSAGE_PENDING, pendingSpy);
+
+      chatMessageService.sendMessage(message);
+      $rootScope.$digest();
+
+      expect(pendingSpy).to.have.been.calledWith(sinon.match.any, sinon.match({
+        text: 'Hello',
+        status: CHAT_MESSAGE_STATUS.PENDING,
+        client_id: chatMessengerService.sendMessage.firstCall.args[0].client_id,
+        timestamps: {creation: 1}
+      }));
+    });
+
+    it('should update the pending message with the acknowledged one', function() {
+      var pendingMessage;
+
+      chatMessengerService.sendMessage = sinon.spy(function() {
+        return $q.when({_id: 'messageId', text: 'Hello', user_mentions: []});
+      });
+      $rootScope.$on(CHAT_EVENTS.MESSAGE_PENDING, function(event, message) {
+        pendingMessage = message;
+      });
+
+      chatMessageService.sendMessage(message);
+      $rootScope.$digest();
+
+      expect(pendingMessage).to.shallowDeepEqual({_id: 'messageId', status: CHAT_MESSAGE_STATUS.SENT});
+    });
+
+    it('should mark the pending message as failed when it can not be sent', function() {
+      var pendingMessage, errorSpy = sinon.spy();
+
+      chatMessengerService.sendMessage = sinon.spy(function() {
+        return $q.reject(new Error('No acknowledgement received from the server'));
+      });
+      $rootScope.$on(CHAT_EVENTS.MESSAGE_PENDING, function(event, message) {
+        pendingMessage = message;
+      });
+
+      chatMessageService.sendMessage(message).catch(errorSpy);
+      $rootScope.$digest();
+
+      expect(pendingMessage.status).to.equal(CHAT_MESSAGE_STATUS.FAILED);
+      expect(errorSpy).to.have.been.calledOnce;
+    });
   });
 
-  describe('sendUserTyping function ', function() {
-    it('should send a message with user_typing as type', function() {
-      var promiseCallback = sinon.spy();
+  describe('The sendMessageWithAttachments function', function() {
+    var message, files, uploadService;
+
+    beforeEach(function() {
+      message = {text: '', channel: 'channelId', date: 1, creator: 'userId'};
+      files = [{name: 'photo.png', type: 'image/png', size: 1024}];
+      uploadService = {
+        addFile: sinon.spy(function(file) {
+          return {file: file, response: {data: {_id: 'fileId'}}};
+        }),
+        isComplete: sinon.spy(function() {
+          return true;
+        })
+      };
+      fileUploadServiceMock.get = sinon.spy(function() {
+        return uploadService;
+      });
+    });
 
-      chatMessageService.sendUserTyping({data: 'data'}).then(promiseCallback);
+    it('should upload the files then send the message once the files fit in the limits', function() {
+      chatMessageService.sendMessageWithAttachments(message, files);
       $rootScope.$digest();
 
-      expect(chatMessengerService.sendMessage).to.have.been.calledWith({data: 'data', type: 'user_typing'});
-      expect(promiseCallback).to.have.been.calledOnce;
+      expect(chatAttachmentLimitsService.check).to.have.been.calledWith(files);
+      expect(uploadService.addFile).to.have.been.calledWith(files[0], true);
+      expect(chatMessengerService.sendMessage).to.have.been.calledWith(sinon.match({type: 'file', channel: 'channelId'}));
+    });
+
+    it('should send the duration of the recorded voice messages', function() {
+      files = [{name: 'voice-message.webm', type: 'audio/webm', size: 2048, duration: 4.2}];
+
+      chatMessageService.sendMessageWithAttachments(message, files);
+      $rootScope.$digest();
+
+      expect(chatMessengerService.sendMessage).to.have.been.calledWith(sinon.match({
+        attachments: [{_id: 'fileId', name: 'voice-message.webm', contentType: 'audio/webm', length: 2048, duration: 4.2}]
+      }));
+    });
+
+    it('should reject without uploading the files when they do not fit in the limits', function() {
+      var error = new Error('Some files are too large to be sent');
+      var errorSpy = sinon.spy();
+
+      chatAttachmentLimitsService.check = sinon.spy(function() {
+        return $q.reject(error);
+      });
+
+      chatMessageService.sendMessageWithAttachments(message, files).catch(errorSpy);
+      $rootScope.$digest();
+
+      expect(errorSpy).to.have.been.calledWith(error);
+      expect(fileUploadServiceMock.get).to.not.have.been.called;
+      expect(chatMessengerService.sendMessage).to.not.have.been.called;
+    });
+  });
+
+  describe('The retryMessage function', function() {
+    it('should reject when message has not failed', function() {
+      var errorSpy = sinon.spy();
+
+      chatMessageService.retryMessage({status: CHAT_MESSAGE_STATUS.SENT}).catch(errorSpy);
+      $rootScope.$digest();
+
+      expect(chatMessengerService.sendMessage).to.not.have.been.called;
+      expect(errorSpy).to.have.been.calledOnce;
+    });
+
+    it('should send the failed message again with the same client id', function() {
+      var message = {type: 'text', text: 'Hello', channel: 'channelId', client_id: 'clientId', status: CHAT_MESSAGE_STATUS.FAILED};
+
+      chatMessengerService.sendMessage = sinon.spy(function() {
+        return $q.when({_id: 'messageId'});
+      });
+
+      chatMessageService.retryMessage(message);
+
+      expect(message.status).to.equal(CHAT_MESSAGE_STATUS.PENDING);
+      $rootScope.$digest();
+
+      expect(chatMessengerService.sendMessage).to.have.been.calledWith(sinon.match({client_id: 'clientId', text: 'Hello'}));
+      expect(message).to.shallowDeepEqual({_id: 'messageId', status: CHAT_MESSAGE_STATUS.SENT});
     });
   });
 });
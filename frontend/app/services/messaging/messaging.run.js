@@ -4,12 +4,18 @@
   angular.module('linagora.esn.chat')
     .run(chatMessagingRunBlock);
 
-  function chatMessagingRunBlock(session, chatConversationListenerService, chatMessageReceiverService, chatMessengerService) {
+  function chatMessagingRunBlock(session, chatConversationListenerService, chatMessageReceiverService, chatMessengerService, chatResyncService, chatTypingService, chatUserPresenceService, chatUserStatusService) {
     session.ready.then(function() {
       chatMessageReceiverService.addEventListener();
       chatConversationListenerService.addEventListeners();
+      chatResyncService.addEventListener();
+      chatTypingService.addEventListeners();
+      chatUserPresenceService.addEventListeners();
+      chatUserStatusService.addEventListener();
 
       chatMessengerService.connect();
+      chatUserPresenceService.trackActivity();
+      chatUserPresenceService.get(session.user._id);
     });
   }
 })();
@@ -0,0 +1,96 @@
+(function() {
+  'use strict';
+
+  angular.module('linagora.esn.chat')
+    .factory('chatResyncService', chatResyncService);
+
+  function chatResyncService(
+    $log,
+    $q,
+    _,
+    chatConversationActionsService,
+    chatConversationService,
+    chatConversationsStoreService,
+    chatMessageReceiverService,
+    chatMessengerService,
+    CHAT_WEBSOCKET_EVENTS
+  ) {
+    var connected = false;
+
+    return {
+      addEventListener: addEventListener,
+      resync: resync
+    };
+
+    function addEventListener() {
+      chatMessengerService.addEventListener(CHAT_WEBSOCKET_EVENTS.CONNECTED, onConnected);
+    }
+
+    // nothing has been missed on the first connection, conversations and messages are fetched from the REST API
+    function onConnected() {
+      if (!connected) {
+        connected = true;
+
+        return;
+      }
+
+      resync();
+    }
+
+    function getLastSeen(conversation) {
+      var messageId = chatConversationsStoreService.getLastMessageId(conversation._id);
+
+      if (messageId) {
+        return {messageId: messageId};
+      }
+
+      var date = (conversation.last_message && conversation.last_message.date) || (conversation.timestamps && conversation.timestamps.creation);
+
+      return date ? {date: date} : {};
+    }
+
+    function addConversation(conversation) {
+      return chatConversationService.get(conversation._id)
+        .then(chatConversationActionsService.addConversationWhenCreatorOrConfidential)
+        .catch(function(err) {
+          $log.debug('Conversation created while disconnected has not been added', conversation._id, err);
+        });
+    }
+
+    function replayConversation(missed) {
+      chatConversationsStoreService.updateTopic(missed.conversation, missed.conversation.topic);
+      chatConversationActionsService.updateMembers(missed.conversation, missed.members_count);
+      missed.messages.forEach(chatMessageReceiverService.onMessage);
+    }
+
+    /**
+     * Ask the server for the messages, membership and topic changes missed while the websocket was disconnected
+     * and replay them in order. Messages which have already been received are skipped.
+     *
+     * @return {Promise} resolved once everything has been replayed
+     */
+    function resync() {
+      var lastSeen = {};
+
+      chatConversationsStoreService.conversations.forEach(function(conversation) {
+        lastSeen[conversation._id] = getLastSeen(conversation);
+      });
+
+      return chatMessengerService.resync(lastSeen)
+        .then(function(result) {
+          result.removed.forEach(chatConversationsStoreService.deleteConversation);
+          result.conversations.forEach(replayConversation);
+
+          return $q.all(result.added.map(addConversation)).then(function() {
+            // only the first missed messages are replayed at once, ask again from the last replayed ones
+            if (_.some(result.conversations, 'hasMore')) {
+              return resync();
+            }
+          });
+        })
+        .catch(function(err) {
+          $log.error('Can not get the events missed while disconnected', err);
+        });
+    }
+  }
+})();
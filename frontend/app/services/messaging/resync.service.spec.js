@@ -0,0 +1,180 @@
+'use strict';
+
+/* global chai, sinon: false */
+
+var expect = chai.expect;
+
+describe('The chatResyncService factory', function() {
+  var $q, $rootScope, chatResyncService, chatMessengerService, chatConversationActionsService, chatConversationService, chatConversationsStoreService, chatMessageReceiverService;
+  var conversation, otherConversation, result, CHAT_WEBSOCKET_EVENTS;
+
+  beforeEach(function() {
+    conversation = {_id: 'conversation1', topic: {value: 'old topic'}, last_message: {date: '2017-01-01T10:00:00.000Z'}};
+    otherConversation = {_id: 'conversation2', timestamps: {creation: '2016-01-01T10:00:00.000Z'}};
+    result = {conversations: [], added: [], removed: []};
+
+    chatMessengerService = {
+      addEventListener: sinon.spy(),
+      resync: sinon.spy(function() {
+        return $q.when(result);
+      })
+    };
+    chatConversationActionsService = {
+      addConversationWhenCreatorOrConfidential: sinon.spy(),
+      updateMembers: sinon.spy()
+    };
+    chatConversationService = {
+      get: sinon.spy(function(id) {
+        return $q.when({_id: id});
+      })
+    };
+    chatConversationsStoreService = {
+      conversations: [conversation, otherConversation],
+      deleteConversation: sinon.spy(),
+      getLastMessageId: sinon.spy(function(id) {
+        return id === otherConversation._id ? 'messageId' : undefined;
+      }),
+      updateTopic: sinon.spy()
+    };
+    chatMessageReceiverService = {
+      addEventListener: sinon.spy(),
+      onMessage: sinon.spy()
+    };
+
+    module('linagora.esn.chat', function($provide) {
+      $provide.value('searchProviders', {
+        add: sinon.spy()
+      });
+      $provide.value('chatSearchProviderService', {});
+      $provide.value('chatMessengerService', chatMessengerService);
+      $provide.value('chatConversationActionsService', chatConversationActionsService);
+      $provide.value('chatConversationService', chatConversationService);
+      $provide.value('chatConversationsStoreService', chatConversationsStoreService);
+      $provide.value('chatMessageReceiverService', chatMessageReceiverService);
+    });
+  });
+
+  beforeEach(angular.mock.inject(function(_$q_, _$rootScope_, _chatResyncService_, _CHAT_WEBSOCKET_EVENTS_) {
+    $q = _$q_;
+    $rootScope = _$rootScope_;
+    chatResyncService = _chatResyncService_;
+    CHAT_WEBSOCKET_EVENTS = _CHAT_WEBSOCKET_EVENTS_;
+  }));
+
+  describe('The addEventListener function', function() {
+    var onConnected;
+
+    beforeEach(function() {
+      chatResyncService.addEventListener();
+
+      expect(chatMessengerService.addEventListener).to.have.been.calledWith(CHAT_WEBSOCKET_EVENTS.CONNECTED, sinon.match(function(handler) {
+        onConnected = handler;
+
+        return angular.isFunction(handler);
+      }));
+    });
+
+    it('should not resync on the first connection', function() {
+      onConnected();
+
+      expect(chatMessengerService.resync).to.not.have.been.called;
+    });
+
+    it('should resync on reconnection', function() {
+      onConnected();
+      onConnected();
+
+      expect(chatMessengerService.resync).to.have.been.calledOnce;
+    });
+  });
+
+  describe('The resync function', function() {
+    it('should send the last message seen in each conversation', function() {
+      chatResyncService.resync();
+      $rootScope.$digest();
+
+      expect(chatMessengerService.resync).to.have.been.calledWith({
+        conversation1: {date: conversation.last_message.date},
+        conversation2: {messageId: 'messageId'}
+      });
+    });
+
+    it('should fallback to the conversation creation date when no message has been seen', function() {
+      chatConversationsStoreService.getLastMessageId = sinon.spy();
+
+      chatResyncService.resync();
+      $rootScope.$digest();
+
+      expect(chatMessengerService.resync).to.have.been.calledWith(sinon.match({
+        conversation2: {date: otherConversation.timestamps.creation}
+      }));
+    });
+
+    it('should replay the missed messages in order and update the conversations', function() {
+      var messages = [{_id: 'message1'}, {_id: 'message2'}];
+      var updated = {_id: conversation._id, topic: {value: 'new topic'}};
+
+      result.conversations = [{conversation: updated, members_count: 3, messages: messages, hasMore: false}];
+
+      chatResyncService.resync();
+      $rootScope.$digest();
+
+      expect(chatConversationsStoreService.updateTopic).to.have.been.calledWith(updated, updated.topic);
+      expect(chatConversationActionsService.updateMembers).to.have.been.calledWith(updated, 3);
+      expect(chatMessageReceiverService.onMessage).to.have.been.calledTwice;
+      expect(chatMessageReceiverService.onMessage.firstCall.args[0]).to.equal(messages[0]);
+      expect(chatMessageReceiverService.onMessage.secondCall.args[0]).to.equal(messages[1]);
+    });
+
+    it('should delete the conversations the user can not read anymore', function() {
+      result.removed = [conversation._id];
+
+      chatResyncService.resync();
+      $rootScope.$digest();
+
+      expect(chatConversationsStoreService.deleteConversation).to.have.been.calledWith(conversation._id);
+    });
+
+    it('should add the conversations created while disconnected', function() {
+      result.added = [{_id: 'conversation3'}];
+
+      chatResyncService.resync();
+      $rootScope.$digest();
+
+      expect(chatConversationService.get).to.have.been.calledWith('conversation3');
+      expect(chatConversationActionsService.addConversationWhenCreatorOrConfidential).to.have.been.calledWith({_id: 'conversation3'});
+    });
+
+    it('should resync again when some conversations have more missed messages', function() {
+      var calls = 0;
+
+      chatMessengerService.resync = sinon.spy(function() {
+        calls++;
+
+        return $q.when({
+          conversations: [{conversation: conversation, messages: [{_id: 'message' + calls}], hasMore: calls === 1}],
+          added: [],
+          removed: []
+        });
+      });
+
+      chatResyncService.resync();
+      $rootScope.$digest();
+
+      expect(chatMessengerService.resync).to.have.been.calledTwice;
+      expect(chatMessageReceiverService.onMessage).to.have.been.calledTwice;
+    });
+
+    it('should log error when missed events can not be fetched', inject(function($log) {
+      chatMessengerService.resync = sinon.spy(function() {
+        return $q.reject(new Error('failed'));
+      });
+      $log.error = sinon.spy();
+
+      chatResyncService.resync();
+      $rootScope.$digest();
+
+      expect($log.error).to.have.been.calledWith('Can not get the events missed while disconnected');
+    }));
+  });
+});
@@ -0,0 +1,106 @@
+(function() {
+  'use strict';
+
+  angular.module('linagora.esn.chat')
+    .factory('chatTypingService', chatTypingService);
+
+  function chatTypingService($rootScope, $timeout, _, session, chatConversationsStoreService, chatMessengerService, CHAT_EVENTS, CHAT_TYPING, CHAT_WEBSOCKET_EVENTS) {
+    // conversation id => user id => {user, timer}
+    var typing = {};
+    // conversation id => date of the last "is typing" state sent by the current user
+    var lastSent = {};
+
+    return {
+      addEventListeners: addEventListeners,
+      getTypingUsers: getTypingUsers,
+      setTyping: setTyping
+    };
+
+    function addEventListeners() {
+      chatMessengerService.addEventListener(CHAT_WEBSOCKET_EVENTS.CONVERSATION_TYPING, onTyping);
+      // the server forgets the viewed conversation when the websocket is disconnected
+      chatMessengerService.addEventListener(CHAT_WEBSOCKET_EVENTS.CONNECTED, viewActiveConversation);
+      $rootScope.$on(CHAT_EVENTS.SET_ACTIVE_ROOM, viewActiveConversation);
+      $rootScope.$on(CHAT_EVENTS.UNSET_ACTIVE_ROOM, viewActiveConversation);
+    }
+
+    /**
+     * Get the users typing in a conversation, the current user excluded.
+     *
+     * @param {String} conversationId
+     * @return {Array} the users
+     */
+    function getTypingUsers(conversationId) {
+      return _.map(typing[conversationId], 'user');
+    }
+
+    /**
+     * Tell the viewers of a conversation that the current user is typing in it or stopped.
+     * A user still typing is only sent again once REFRESH_DELAY is elapsed.
+     *
+     * @param {String} conversationId
+     * @param {Boolean} state
+     */
+    function setTyping(conversationId, state) {
+      if (state && lastSent[conversationId] && Date.now() - lastSent[conversationId] < CHAT_TYPING.REFRESH_DELAY) {
+        return;
+      }
+
+      if (!state && !lastSent[conversationId]) {
+        return;
+      }
+
+      if (state) {
+        lastSent[conversationId] = Date.now();
+      } else {
+        delete lastSent[conversationId];
+      }
+
+      chatMessengerService.setTyping(conversationId, state);
+    }
+
+    // event is {conversationId, users: [{user, state}]}
+    function onTyping(event) {
+      typing[event.conversationId] = typing[event.conversationId] || {};
+
+      event.users.forEach(function(typingUser) {
+        if (typingUser.user._id === session.user._id) {
+          return;
+        }
+
+        remove(event.conversationId, typingUser.user._id);
+
+        if (typingUser.state) {
+          typing[event.conversationId][typingUser.user._id] = {
+            user: typingUser.user,
+            timer: $timeout(function() {
+              remove(event.conversationId, typingUser.user._id);
+              broadcast(event.conversationId);
+            }, CHAT_TYPING.TIMEOUT)
+          };
+        }
+      });
+
+      broadcast(event.conversationId);
+    }
+
+    function broadcast(conversationId) {
+      $rootScope.$broadcast(CHAT_EVENTS.USERS_TYPING, {conversationId: conversationId, users: getTypingUsers(conversationId)});
+    }
+
+    function remove(conversationId, userId) {
+      var entry = typing[conversationId] && typing[conversationId][userId];
+
+      if (entry) {
+        $timeout.cancel(entry.timer);
+        delete typing[conversationId][userId];
+      }
+    }
+
+    function viewActiveConversation() {
+      var activeRoom = chatConversationsStoreService.activeRoom;
+
+      chatMessengerService.viewConversation(activeRoom && activeRoom._id);
+    }
+  }
+})();
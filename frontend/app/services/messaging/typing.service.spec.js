@@ -0,0 +1,160 @@
+'use strict';
+
+/* global chai, sinon: false */
+
+var expect = chai.expect;
+
+describe('The chatTypingService factory', function() {
+  var $rootScope, $timeout, chatTypingService, chatMessengerService, chatConversationsStoreService, session, clock;
+  var CHAT_EVENTS, CHAT_TYPING, CHAT_WEBSOCKET_EVENTS;
+
+  beforeEach(function() {
+    session = {user: {_id: 'me'}};
+    chatMessengerService = {
+      addEventListener: sinon.spy(),
+      setTyping: sinon.spy(),
+      viewConversation: sinon.spy()
+    };
+    chatConversationsStoreService = {
+      activeRoom: {_id: 'conversationId'}
+    };
+
+    module('linagora.esn.chat', function($provide) {
+      $provide.value('searchProviders', {
+        add: sinon.spy()
+      });
+      $provide.value('chatSearchProviderService', {});
+      $provide.value('session', session);
+      $provide.value('chatMessengerService', chatMessengerService);
+      $provide.value('chatConversationsStoreService', chatConversationsStoreService);
+    });
+  });
+
+  beforeEach(angular.mock.inject(function(_$rootScope_, _$timeout_, _chatTypingService_, _CHAT_EVENTS_, _CHAT_TYPING_, _CHAT_WEBSOCKET_EVENTS_) {
+    $rootScope = _$rootScope_;
+    $timeout = _$timeout_;
+    chatTypingService = _chatTypingService_;
+    CHAT_EVENTS = _CHAT_EVENTS_;
+    CHAT_TYPING = _CHAT_TYPING_;
+    CHAT_WEBSOCKET_EVENTS = _CHAT_WEBSOCKET_EVENTS_;
+    clock = sinon.useFakeTimers(Date.now());
+  }));
+
+  afterEach(function() {
+    clock.restore();
+  });
+
+  function getListener(type) {
+    var listener;
+
+    chatTypingService.addEventListeners();
+
+    expect(chatMessengerService.addEventListener).to.have.been.calledWith(type, sinon.match(function(handler) {
+      listener = handler;
+
+      return angular.isFunction(handler);
+    }));
+
+    return listener;
+  }
+
+  describe('The setTyping function', function() {
+    it('should send the typing state', function() {
+      chatTypingService.setTyping('conversationId', true);
+
+      expect(chatMessengerService.setTyping).to.have.been.calledWith('conversationId', true);
+    });
+
+    it('should not send the typing state again before the refresh delay', function() {
+      chatTypingService.setTyping('conversationId', true);
+      chatTypingService.setTyping('conversationId', true);
+
+      expect(chatMessengerService.setTyping).to.have.been.calledOnce;
+
+      clock.tick(CHAT_TYPING.REFRESH_DELAY);
+      chatTypingService.setTyping('conversationId', true);
+
+      expect(chatMessengerService.setTyping).to.have.been.calledTwice;
+    });
+
+    it('should send the user stopped typing only when they were typing', function() {
+      chatTypingService.setTyping('conversationId', false);
+
+      expect(chatMessengerService.setTyping).to.not.have.been.called;
+
+      chatTypingService.setTyping('conversationId', true);
+      chatTypingService.setTyping('conversationId', false);
+
+      expect(chatMessengerService.setTyping).to.have.been.calledWith('conversationId', false);
+    });
+  });
+
+  describe('The addEventListeners function', function() {
+    it('should send the active conversation on connection', function() {
+      getListener(CHAT_WEBSOCKET_EVENTS.CONNECTED)();
+
+      expect(chatMessengerService.viewConversation).to.have.been.calledWith('conversationId');
+    });
+
+    it('should send the active conversation when it changes', function() {
+      chatTypingService.addEventListeners();
+      chatConversationsStoreService.activeRoom = {_id: 'otherConversationId'};
+
+      $rootScope.$broadcast(CHAT_EVENTS.SET_ACTIVE_ROOM);
+
+      expect(chatMessengerService.viewConversation).to.have.been.calledWith('otherConversationId');
+    });
+
+    it('should send no conversation when the active one is unset', function() {
+      chatTypingService.addEventListeners();
+      chatConversationsStoreService.activeRoom = undefined;
+
+      $rootScope.$broadcast(CHAT_EVENTS.UNSET_ACTIVE_ROOM);
+
+      expect(chatMessengerService.viewConversation).to.have.been.calledWith(undefined);
+    });
+  });
+
+  describe('On typing event', function() {
+    var onTyping, user;
+
+    beforeEach(function() {
+      user = {_id: 'userId'};
+      onTyping = getListener(CHAT_WEBSOCKET_EVENTS.CONVERSATION_TYPING);
+    });
+
+    it('should add the typing users and broadcast them', function() {
+      var listener = sinon.spy();
+
+      $rootScope.$on(CHAT_EVENTS.USERS_TYPING, listener);
+      onTyping({conversationId: 'conversationId', users: [{user: user, state: true}]});
+
+      expect(chatTypingService.getTypingUsers('conversationId')).to.deep.equal([user]);
+      expect(listener).to.have.been.calledWith(sinon.match.any, {conversationId: 'conversationId', users: [user]});
+    });
+
+    it('should remove the users who stopped typing', function() {
+      onTyping({conversationId: 'conversationId', users: [{user: user, state: true}]});
+      onTyping({conversationId: 'conversationId', users: [{user: user, state: false}]});
+
+      expect(chatTypingService.getTypingUsers('conversationId')).to.be.empty;
+    });
+
+    it('should ignore the current user', function() {
+      onTyping({conversationId: 'conversationId', users: [{user: session.user, state: true}]});
+
+      expect(chatTypingService.getTypingUsers('conversationId')).to.be.empty;
+    });
+
+    it('should remove the typing users once the timeout is elapsed', function() {
+      var listener = sinon.spy();
+
+      onTyping({conversationId: 'conversationId', users: [{user: user, state: true}]});
+      $rootScope.$on(CHAT_EVENTS.USERS_TYPING, listener);
+      $timeout.flush(CHAT_TYPING.TIMEOUT);
+
+      expect(chatTypingService.getTypingUsers('conversationId')).to.be.empty;
+      expect(listener).to.have.been.calledWith(sinon.match.any, {conversationId: 'conversationId', users: []});
+    });
+  });
+});
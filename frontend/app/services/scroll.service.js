@@ -4,20 +4,55 @@
   angular.module('linagora.esn.chat')
     .factory('chatScrollService', chatScrollService);
 
-    function chatScrollService(elementScrollService, chatConversationsStoreService, $timeout) {
+    function chatScrollService(_, $rootScope, elementScrollService, chatConversationsStoreService, $timeout, CHAT_EVENTS) {
 
       return {
+        keepScrollPosition: keepScrollPosition,
         scrollDown: scrollDown,
+        scrollToMessage: scrollToMessage,
         setCanScrollDown: setCanScrollDown,
         canScrollDown: canScrollDown
       };
 
+      /**
+       * Keep the displayed messages at the same place while messages are added or removed around them:
+       * the first visible message is moved back to its previous offset once the list is rendered.
+       *
+       * @param {Function} update - the update of the list of messages
+       */
+      function keepScrollPosition(update) {
+        var container = angular.element('.ms-body .lv-body')[0];
+        var top = container && container.getBoundingClientRect().top;
+        var anchor = container && _.find(container.querySelectorAll('[data-message-id]'), function(element) {
+          return element.getBoundingClientRect().bottom > top;
+        });
+        var offset = anchor && anchor.getBoundingClientRect().top;
+
+        update();
+
+        anchor && $timeout(function() {
+          if (container.contains(anchor)) {
+            container.scrollTop += anchor.getBoundingClientRect().top - offset;
+          }
+        }, 0, false);
+      }
+
       function scrollDown() {
+        $rootScope.$broadcast(CHAT_EVENTS.SCROLL.DOWN);
         $timeout(function() {
           elementScrollService.autoScrollDown(angular.element('.ms-body .lv-body'));
         }, 0);
       }
 
+      function scrollToMessage(messageId) {
+        $rootScope.$broadcast(CHAT_EVENTS.SCROLL.TO_MESSAGE, messageId);
+        $timeout(function() {
+          var message = angular.element('.ms-body .lv-body [data-message-id="' + messageId + '"]');
+
+          message.length && message[0].scrollIntoView();
+        }, 0);
+      }
+
       function setCanScrollDown(conversationId, value) {
         var conversation = chatConversationsStoreService.findConversation(conversationId);
 
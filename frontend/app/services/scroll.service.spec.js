@@ -12,7 +12,9 @@ describe('The linagora.esn.chat chatScrollService', function() {
       chatConversationsStoreService,
       conversation,
       searchProviders,
-      $timeout;
+      $rootScope,
+      $timeout,
+      CHAT_EVENTS;
 
   beforeEach(
     angular.mock.module('linagora.esn.chat')
@@ -44,10 +46,12 @@ describe('The linagora.esn.chat chatScrollService', function() {
     });
   });
 
-  beforeEach(angular.mock.inject(function(_$timeout_, _chatScrollService_, _elementScrollService_) {
+  beforeEach(angular.mock.inject(function(_$rootScope_, _$timeout_, _chatScrollService_, _elementScrollService_, _CHAT_EVENTS_) {
     chatScrollService = _chatScrollService_;
     elementScrollService = _elementScrollService_;
+    $rootScope = _$rootScope_;
     $timeout = _$timeout_;
+    CHAT_EVENTS = _CHAT_EVENTS_;
   }));
 
   describe('The scrollDown function', function() {
@@ -59,6 +63,62 @@ describe('The linagora.esn.chat chatScrollService', function() {
       expect(elementScrollService.autoScrollDown).to.have.been.called;
 
     });
+
+    it('should ask the list to display the last messages', function() {
+      var listener = sinon.spy();
+
+      $rootScope.$on(CHAT_EVENTS.SCROLL.DOWN, listener);
+      chatScrollService.scrollDown();
+
+      expect(listener).to.have.been.calledOnce;
+    });
+  });
+
+  describe('The scrollToMessage function', function() {
+    it('should ask the list to display the message', function() {
+      var listener = sinon.spy();
+
+      $rootScope.$on(CHAT_EVENTS.SCROLL.TO_MESSAGE, listener);
+      chatScrollService.scrollToMessage('messageId');
+
+      expect(listener).to.have.been.calledWith(sinon.match.any, 'messageId');
+    });
+  });
+
+  describe('The keepScrollPosition function', function() {
+    var element, list;
+
+    beforeEach(function() {
+      element = angular.element('<div class="ms-body"><div class="lv-body" style="height: 100px; overflow: auto;"></div></div>');
+      list = element.find('.lv-body');
+      list.append('<div data-message-id="1" style="height: 100px;"></div><div data-message-id="2" style="height: 100px;"></div>');
+      angular.element(document.body).append(element);
+    });
+
+    afterEach(function() {
+      element.remove();
+    });
+
+    it('should keep the first visible message at the same place when messages are added above it', function() {
+      list[0].scrollTop = 90;
+
+      chatScrollService.keepScrollPosition(function() {
+        list.prepend('<div data-message-id="0" style="height: 50px;"></div>');
+      });
+      $timeout.flush();
+
+      expect(list[0].scrollTop).to.equal(140);
+    });
+
+    it('should only update the list when there is no message', function() {
+      var update = sinon.spy();
+
+      list.empty();
+      chatScrollService.keepScrollPosition(update);
+
+      expect(update).to.have.been.calledOnce;
+      $timeout.verifyNoPendingTasks();
+    });
   });
 
   describe('The setCanScrollDown function', function() {
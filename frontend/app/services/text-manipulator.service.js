@@ -7,7 +7,9 @@
   function ChatTextManipulator() {
 
     return {
-      replaceSelectedText: replaceSelectedText
+      prefixSelectedLines: prefixSelectedLines,
+      replaceSelectedText: replaceSelectedText,
+      wrapSelectedText: wrapSelectedText
     };
 
     function replaceSelectedText(value, textareaValue, selectionStart, selectionEnd) {
@@ -18,5 +20,48 @@
 
       return textareaValue + ':' + value + ':';
     }
+
+    /**
+     * Surround the selected text with a markup, e.g. ** for bold.
+     *
+     * @param {String} before - the markup put before the selection
+     * @param {String} after - the markup put after the selection, before when undefined
+     * @param {String} textareaValue
+     * @param {Number} selectionStart
+     * @param {Number} selectionEnd
+     * @return {Object} the text and the new selection, which stays on the wrapped text
+     */
+    function wrapSelectedText(before, after, textareaValue, selectionStart, selectionEnd) {
+      after = angular.isDefined(after) ? after : before;
+
+      return {
+        text: textareaValue.substr(0, selectionStart) + before + textareaValue.substring(selectionStart, selectionEnd) + after + textareaValue.substr(selectionEnd),
+        selectionStart: selectionStart + before.length,
+        selectionEnd: selectionEnd + before.length
+      };
+    }
+
+    /**
+     * Prefix every line of the selection with a markup, e.g. > for quotes.
+     *
+     * @param {String} prefix
+     * @param {String} textareaValue
+     * @param {Number} selectionStart
+     * @param {Number} selectionEnd
+     * @return {Object} the text and the new selection, which stays on the prefixed lines
+     */
+    function prefixSelectedLines(prefix, textareaValue, selectionStart, selectionEnd) {
+      var linesStart = selectionStart > 0 ? textareaValue.lastIndexOf('\n', selectionStart - 1) + 1 : 0;
+      var lines = textareaValue.substring(linesStart, selectionEnd).split('\n');
+      var prefixed = lines.map(function(line) {
+        return prefix + line;
+      }).join('\n');
+
+      return {
+        text: textareaValue.substr(0, linesStart) + prefixed + textareaValue.substr(selectionEnd),
+        selectionStart: selectionStart + prefix.length,
+        selectionEnd: selectionEnd + prefix.length * lines.length
+      };
+    }
   }
 })();
@@ -40,4 +40,34 @@ describe('the ChatTextManipulator constructor', function() {
       expect(textResult).to.equal('00:bien:00');
     });
   });
+
+  describe('the wrapSelectedText method', function() {
+
+    it('should surround the selected text and keep it selected', function() {
+      textResult = ChatTextManipulator.wrapSelectedText('**', undefined, 'Hello world', 6, 11);
+
+      expect(textResult).to.deep.equal({text: 'Hello **world**', selectionStart: 8, selectionEnd: 13});
+    });
+
+    it('should put the caret between the markups when nothing is selected', function() {
+      textResult = ChatTextManipulator.wrapSelectedText('```\n', '\n```', 'Hello', 5, 5);
+
+      expect(textResult).to.deep.equal({text: 'Hello```\n\n```', selectionStart: 9, selectionEnd: 9});
+    });
+  });
+
+  describe('the prefixSelectedLines method', function() {
+
+    it('should prefix the line of the caret', function() {
+      textResult = ChatTextManipulator.prefixSelectedLines('> ', 'first\nsecond', 9, 9);
+
+      expect(textResult).to.deep.equal({text: 'first\n> second', selectionStart: 11, selectionEnd: 11});
+    });
+
+    it('should prefix every selected line', function() {
+      textResult = ChatTextManipulator.prefixSelectedLines('- ', 'one\ntwo\nthree', 1, 9);
+
+      expect(textResult).to.deep.equal({text: '- one\n- two\n- three', selectionStart: 3, selectionEnd: 15});
+    });
+  });
 });
@@ -0,0 +1,123 @@
+(function() {
+  'use strict';
+
+  angular.module('linagora.esn.chat')
+    .factory('chatUserPresenceService', chatUserPresenceService);
+
+  function chatUserPresenceService(
+    $document,
+    $log,
+    $q,
+    $rootScope,
+    $timeout,
+    _,
+    session,
+    ChatRestangular,
+    chatMessengerService,
+    CHAT_EVENTS,
+    CHAT_USER_AWAY_DELAY,
+    CHAT_USER_PRESENCE,
+    CHAT_WEBSOCKET_EVENTS
+  ) {
+    var states = {};
+    var away = false;
+    var awayTimer;
+
+    return {
+      addEventListeners: addEventListeners,
+      get: get,
+      isDoNotDisturb: isDoNotDisturb,
+      setDoNotDisturb: setDoNotDisturb,
+      trackActivity: trackActivity
+    };
+
+    function addEventListeners() {
+      chatMessengerService.addEventListener(CHAT_EVENTS.USER_CHANGE_STATE, onStateChange);
+      // a new connection is an active one on the server side
+      chatMessengerService.addEventListener(CHAT_WEBSOCKET_EVENTS.CONNECTED, function() {
+        away = false;
+        resetAwayTimer();
+      });
+    }
+
+    /**
+     * Get the presence of a user, fetching it once from the server then keeping it up to date from the websocket.
+     *
+     * @param {String} userId
+     * @return {Promise} resolved with one of CHAT_USER_PRESENCE
+     */
+    function get(userId) {
+      if (states[userId]) {
+        return $q.when(states[userId]);
+      }
+
+      return ChatRestangular.one('users', userId).one('state').get().then(function(response) {
+        // the state may have been pushed from the websocket in the meantime
+        states[userId] = states[userId] || response.data.state;
+
+        return states[userId];
+      });
+    }
+
+    function isDoNotDisturb() {
+      return states[session.user._id] === CHAT_USER_PRESENCE.DO_NOT_DISTURB;
+    }
+
+    function onStateChange(event) {
+      states[event.userId] = event.state;
+      $rootScope.$broadcast(CHAT_EVENTS.USER_CHANGE_STATE, event);
+    }
+
+    function setDoNotDisturb(enabled) {
+      var state = enabled ? CHAT_USER_PRESENCE.DO_NOT_DISTURB : CHAT_USER_PRESENCE.ONLINE;
+
+      return ChatRestangular.one('user').one('state').customPUT({state: state}).then(function(response) {
+        onStateChange({userId: session.user._id, state: response.data.state});
+
+        return response.data.state;
+      });
+    }
+
+    function setAway(value) {
+      if (away === value) {
+        return;
+      }
+
+      away = value;
+      chatMessengerService.setAway(value).catch(function(err) {
+        $log.error('Can not send user activity', err);
+      });
+    }
+
+    function resetAwayTimer() {
+      awayTimer && $timeout.cancel(awayTimer);
+      awayTimer = $timeout(function() {
+        setAway(true);
+      }, CHAT_USER_AWAY_DELAY, false);
+    }
+
+    function onActivity() {
+      setAway(false);
+      resetAwayTimer();
+    }
+
+    /**
+     * The user is away when there is no activity in this window for CHAT_USER_AWAY_DELAY
+     * or as soon as the window is hidden.
+     */
+    function trackActivity() {
+      var document = $document[0];
+
+      $document.on('mousemove keydown touchstart', _.throttle(onActivity, 1000));
+      $document.on('visibilitychange', function() {
+        if (document.hidden) {
+          return setAway(true);
+        }
+
+        onActivity();
+      });
+
+      resetAwayTimer();
+    }
+  }
+})();
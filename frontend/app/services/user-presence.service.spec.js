@@ -0,0 +1,141 @@
+'use strict';
+
+/* global chai, sinon: false */
+
+var expect = chai.expect;
+
+describe('The chatUserPresenceService factory', function() {
+  var $q, $rootScope, $timeout, $httpBackend, chatUserPresenceService, chatMessengerService, session;
+  var CHAT_EVENTS, CHAT_USER_AWAY_DELAY, CHAT_USER_PRESENCE, CHAT_WEBSOCKET_EVENTS;
+
+  beforeEach(function() {
+    session = {user: {_id: 'userId'}};
+    chatMessengerService = {
+      addEventListener: sinon.spy(),
+      setAway: sinon.spy(function() {
+        return $q.when({state: 'away'});
+      })
+    };
+
+    module('linagora.esn.chat', function($provide) {
+      $provide.value('searchProviders', {
+        add: sinon.spy()
+      });
+      $provide.value('chatSearchProviderService', {});
+      $provide.value('chatMessengerService', chatMessengerService);
+      $provide.value('session', session);
+    });
+  });
+
+  beforeEach(angular.mock.inject(function(_$q_, _$rootScope_, _$timeout_, _$httpBackend_, _chatUserPresenceService_, _CHAT_EVENTS_, _CHAT_USER_AWAY_DELAY_, _CHAT_USER_PRESENCE_, _CHAT_WEBSOCKET_EVENTS_) {
+    $q = _$q_;
+    $rootScope = _$rootScope_;
+    $timeout = _$timeout_;
+    $httpBackend = _$httpBackend_;
+    chatUserPresenceService = _chatUserPresenceService_;
+    CHAT_EVENTS = _CHAT_EVENTS_;
+    CHAT_USER_AWAY_DELAY = _CHAT_USER_AWAY_DELAY_;
+    CHAT_USER_PRESENCE = _CHAT_USER_PRESENCE_;
+    CHAT_WEBSOCKET_EVENTS = _CHAT_WEBSOCKET_EVENTS_;
+  }));
+
+  function getListener(event) {
+    var listener;
+
+    chatMessengerService.addEventListener.args.forEach(function(args) {
+      if (args[0] === event) {
+        listener = args[1];
+      }
+    });
+
+    return listener;
+  }
+
+  describe('The get function', function() {
+    it('should fetch the state of the user from the server', function() {
+      var thenSpy = sinon.spy();
+
+      $httpBackend.expectGET('/chat/api/users/user1/state').respond({_id: 'user1', state: CHAT_USER_PRESENCE.AWAY});
+
+      chatUserPresenceService.get('user1').then(thenSpy);
+      $httpBackend.flush();
+
+      expect(thenSpy).to.have.been.calledWith(CHAT_USER_PRESENCE.AWAY);
+    });
+
+    it('should not fetch the state again once it is known', function() {
+      var thenSpy = sinon.spy();
+
+      $httpBackend.expectGET('/chat/api/users/user1/state').respond({_id: 'user1', state: CHAT_USER_PRESENCE.AWAY});
+      chatUserPresenceService.get('user1');
+      $httpBackend.flush();
+
+      chatUserPresenceService.get('user1').then(thenSpy);
+      $rootScope.$digest();
+
+      expect(thenSpy).to.have.been.calledWith(CHAT_USER_PRESENCE.AWAY);
+      $httpBackend.verifyNoOutstandingRequest();
+    });
+  });
+
+  describe('The addEventListeners function', function() {
+    it('should keep and broadcast the states received from the websocket', function() {
+      var thenSpy = sinon.spy();
+      var event = {userId: 'user1', state: CHAT_USER_PRESENCE.ONLINE};
+
+      $rootScope.$broadcast = sinon.spy();
+
+      chatUserPresenceService.addEventListeners();
+      getListener(CHAT_EVENTS.USER_CHANGE_STATE)(event);
+      chatUserPresenceService.get('user1').then(thenSpy);
+      $rootScope.$digest();
+
+      expect($rootScope.$broadcast).to.have.been.calledWith(CHAT_EVENTS.USER_CHANGE_STATE, event);
+      expect(thenSpy).to.have.been.calledWith(CHAT_USER_PRESENCE.ONLINE);
+    });
+
+    it('should listen to websocket connections', function() {
+      chatUserPresenceService.addEventListeners();
+
+      expect(getListener(CHAT_WEBSOCKET_EVENTS.CONNECTED)).to.be.a('function');
+    });
+  });
+
+  describe('The setDoNotDisturb function', function() {
+    it('should update the state of the current user', function() {
+      $httpBackend.expectPUT('/chat/api/user/state', {state: CHAT_USER_PRESENCE.DO_NOT_DISTURB}).respond({_id: 'userId', state: CHAT_USER_PRESENCE.DO_NOT_DISTURB});
+
+      chatUserPresenceService.setDoNotDisturb(true);
+      $httpBackend.flush();
+
+      expect(chatUserPresenceService.isDoNotDisturb()).to.be.true;
+    });
+
+    it('should go back online when disabled', function() {
+      $httpBackend.expectPUT('/chat/api/user/state', {state: CHAT_USER_PRESENCE.ONLINE}).respond({_id: 'userId', state: CHAT_USER_PRESENCE.ONLINE});
+
+      chatUserPresenceService.setDoNotDisturb(false);
+      $httpBackend.flush();
+
+      expect(chatUserPresenceService.isDoNotDisturb()).to.be.false;
+    });
+  });
+
+  describe('The trackActivity function', function() {
+    it('should flag the user as away when there is no activity', function() {
+      chatUserPresenceService.trackActivity();
+      $timeout.flush(CHAT_USER_AWAY_DELAY);
+
+      expect(chatMessengerService.setAway).to.have.been.calledWith(true);
+    });
+
+    it('should flag the user as active again on activity', inject(function($document) {
+      chatUserPresenceService.trackActivity();
+      $timeout.flush(CHAT_USER_AWAY_DELAY);
+
+      $document.triggerHandler('keydown');
+
+      expect(chatMessengerService.setAway).to.have.been.calledWith(false);
+    }));
+  });
+});
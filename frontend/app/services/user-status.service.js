@@ -0,0 +1,100 @@
+(function() {
+  'use strict';
+
+  angular.module('linagora.esn.chat')
+    .factory('chatUserStatusService', chatUserStatusService);
+
+  function chatUserStatusService($q, $rootScope, $timeout, session, ChatRestangular, chatMessengerService, CHAT_EVENTS) {
+    // longer delays overflow and make timers fire immediately
+    var MAX_TIMER_DELAY = 2147483647;
+    var statuses = {};
+    var expirationTimers = {};
+
+    return {
+      addEventListener: addEventListener,
+      clear: clear,
+      get: get,
+      set: set
+    };
+
+    function addEventListener() {
+      chatMessengerService.addEventListener(CHAT_EVENTS.USER_STATUS_UPDATED, function(event) {
+        update(event.userId, event.status);
+      });
+    }
+
+    /**
+     * Clear the custom status of the current user.
+     *
+     * @return {Promise}
+     */
+    function clear() {
+      return ChatRestangular.one('user').one('status').remove().then(function() {
+        update(session.user._id, null);
+      });
+    }
+
+    /**
+     * Get the custom status of a user, fetching it once from the server then keeping it up to date from the websocket.
+     *
+     * @param {String} userId
+     * @return {Promise} resolved with the status or null when the user does not have one
+     */
+    function get(userId) {
+      if (!statuses[userId]) {
+        statuses[userId] = ChatRestangular.one('users', userId).one('status').get().then(function(response) {
+          scheduleExpiration(userId, response.data || null);
+
+          return response.data || null;
+        }, function(err) {
+          // do not keep failures so that the status is fetched again next time
+          delete statuses[userId];
+
+          return $q.reject(err);
+        });
+      }
+
+      return statuses[userId];
+    }
+
+    /**
+     * Set the custom status of the current user.
+     *
+     * @param {Object} status - {text, emoji, expiration}
+     * @return {Promise} resolved with the saved status
+     */
+    function set(status) {
+      return ChatRestangular.one('user').one('status').customPUT(status).then(function(response) {
+        update(session.user._id, response.data);
+
+        return response.data;
+      });
+    }
+
+    // expired statuses are not sent by the server, they have to be removed from the clients which already got them
+    function scheduleExpiration(userId, status) {
+      expirationTimers[userId] && $timeout.cancel(expirationTimers[userId]);
+      delete expirationTimers[userId];
+
+      if (!status || !status.expiration) {
+        return;
+      }
+
+      var delay = Math.max(new Date(status.expiration).getTime() - Date.now(), 0);
+
+      if (delay > MAX_TIMER_DELAY) {
+        return;
+      }
+
+      expirationTimers[userId] = $timeout(function() {
+        update(userId, null);
+      }, delay);
+    }
+
+    function update(userId, status) {
+      statuses[userId] = $q.when(status);
+      scheduleExpiration(userId, status);
+      $rootScope.$broadcast(CHAT_EVENTS.USER_STATUS_UPDATED, {userId: userId, status: status});
+    }
+  }
+})();
@@ -0,0 +1,127 @@
+'use strict';
+
+/* global chai, sinon: false */
+
+var expect = chai.expect;
+
+describe('The chatUserStatusService factory', function() {
+  var $rootScope, $timeout, $httpBackend, chatUserStatusService, chatMessengerService, session, CHAT_EVENTS;
+
+  beforeEach(function() {
+    session = {user: {_id: 'userId'}};
+    chatMessengerService = {
+      addEventListener: sinon.spy()
+    };
+
+    module('linagora.esn.chat', function($provide) {
+      $provide.value('searchProviders', {
+        add: sinon.spy()
+      });
+      $provide.value('chatSearchProviderService', {});
+      $provide.value('chatMessengerService', chatMessengerService);
+      $provide.value('session', session);
+    });
+  });
+
+  beforeEach(angular.mock.inject(function(_$rootScope_, _$timeout_, _$httpBackend_, _chatUserStatusService_, _CHAT_EVENTS_) {
+    $rootScope = _$rootScope_;
+    $timeout = _$timeout_;
+    $httpBackend = _$httpBackend_;
+    chatUserStatusService = _chatUserStatusService_;
+    CHAT_EVENTS = _CHAT_EVENTS_;
+  }));
+
+  describe('The get function', function() {
+    it('should fetch the status of the user only once', function() {
+      var thenSpy = sinon.spy();
+      var status = {text: 'In a meeting'};
+
+      $httpBackend.expectGET('/chat/api/users/user1/status').respond(status);
+
+      chatUserStatusService.get('user1');
+      chatUserStatusService.get('user1').then(thenSpy);
+      $httpBackend.flush();
+
+      expect(thenSpy).to.have.been.calledWith(sinon.match(status));
+      $httpBackend.verifyNoOutstandingRequest();
+    });
+
+    it('should resolve with null when the user does not have any status', function() {
+      var thenSpy = sinon.spy();
+
+      $httpBackend.expectGET('/chat/api/users/user1/status').respond(204);
+
+      chatUserStatusService.get('user1').then(thenSpy);
+      $httpBackend.flush();
+
+      expect(thenSpy).to.have.been.calledWith(null);
+    });
+
+    it('should remove the status once expired', function() {
+      var thenSpy = sinon.spy();
+
+      $httpBackend.expectGET('/chat/api/users/user1/status').respond({text: 'In a meeting', expiration: new Date(Date.now() + 60000).toISOString()});
+      chatUserStatusService.get('user1');
+      $httpBackend.flush();
+
+      $rootScope.$broadcast = sinon.spy();
+      $timeout.flush(60000);
+      chatUserStatusService.get('user1').then(thenSpy);
+      $rootScope.$digest();
+
+      expect($rootScope.$broadcast).to.have.been.calledWith(CHAT_EVENTS.USER_STATUS_UPDATED, {userId: 'user1', status: null});
+      expect(thenSpy).to.have.been.calledWith(null);
+    });
+  });
+
+  describe('The addEventListener function', function() {
+    it('should keep and broadcast the statuses received from the websocket', function() {
+      var thenSpy = sinon.spy();
+      var event = {userId: 'user1', status: {text: 'In a meeting'}};
+
+      $rootScope.$broadcast = sinon.spy();
+
+      chatUserStatusService.addEventListener();
+      chatMessengerService.addEventListener.firstCall.args[1](event);
+      chatUserStatusService.get('user1').then(thenSpy);
+      $rootScope.$digest();
+
+      expect(chatMessengerService.addEventListener).to.have.been.calledWith(CHAT_EVENTS.USER_STATUS_UPDATED);
+      expect($rootScope.$broadcast).to.have.been.calledWith(CHAT_EVENTS.USER_STATUS_UPDATED, event);
+      expect(thenSpy).to.have.been.calledWith(event.status);
+    });
+  });
+
+  describe('The set function', function() {
+    it('should save the status of the current user', function() {
+      var status = {text: 'In a meeting', emoji: 'calendar'};
+      var thenSpy = sinon.spy();
+
+      $httpBackend.expectPUT('/chat/api/user/status', status).respond(status);
+
+      chatUserStatusService.set(status);
+      $httpBackend.flush();
+
+      chatUserStatusService.get('userId').then(thenSpy);
+      $rootScope.$digest();
+
+      expect(thenSpy).to.have.been.calledWith(sinon.match(status));
+    });
+  });
+
+  describe('The clear function', function() {
+    it('should clear the status of the current user', function() {
+      var thenSpy = sinon.spy();
+
+      $httpBackend.expectDELETE('/chat/api/user/status').respond(204);
+
+      chatUserStatusService.clear();
+      $httpBackend.flush();
+
+      chatUserStatusService.get('userId').then(thenSpy);
+      $rootScope.$digest();
+
+      expect(thenSpy).to.have.been.calledWith(null);
+    });
+  });
+});
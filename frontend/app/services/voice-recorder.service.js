@@ -0,0 +1,112 @@
+(function() {
+  'use strict';
+
+  angular.module('linagora.esn.chat')
+    .factory('chatVoiceRecorderService', chatVoiceRecorderService);
+
+  function chatVoiceRecorderService(_, $q, $window, CHAT_VOICE_MESSAGE) {
+
+    return {
+      isSupported: isSupported,
+      start: start
+    };
+
+    function isSupported() {
+      var mediaDevices = $window.navigator.mediaDevices;
+
+      return !!($window.MediaRecorder && mediaDevices && mediaDevices.getUserMedia);
+    }
+
+    /**
+     * Start recording the microphone, the browser asks the user for the permission to use it.
+     *
+     * @return {Promise} resolved with the recording: {stop, cancel} where stop resolves with the recorded File,
+     *                   which has a duration property in seconds
+     */
+    function start() {
+      if (!isSupported()) {
+        return $q.reject(new Error('Audio recording is not supported by the browser'));
+      }
+
+      return $q.when($window.navigator.mediaDevices.getUserMedia({audio: true})).then(record);
+    }
+
+    function record(stream) {
+      var mimeType = getMimeType();
+      var recorder = new $window.MediaRecorder(stream, mimeType ? {mimeType: mimeType} : {});
+      var stopped = $q.defer();
+      var chunks = [];
+      var startDate = Date.now();
+
+      recorder.ondataavailable = function(event) {
+        if (event.data && event.data.size) {
+          chunks.push(event.data);
+        }
+      };
+      recorder.onstop = function() {
+        release();
+        stopped.resolve();
+      };
+      recorder.onerror = function(event) {
+        release();
+        stopped.reject(event.error || new Error('Error while recording audio'));
+      };
+      recorder.start();
+
+      return {
+        cancel: cancel,
+        stop: stop
+      };
+
+      function cancel() {
+        chunks = [];
+        stopRecorder();
+      }
+
+      function stop() {
+        var duration = Math.round((Date.now() - startDate) / 100) / 10;
+
+        stopRecorder();
+
+        return stopped.promise.then(function() {
+          return buildFile(chunks, recorder.mimeType || mimeType, duration);
+        });
+      }
+
+      function stopRecorder() {
+        if (recorder.state !== 'inactive') {
+          recorder.stop();
+        }
+      }
+
+      // the microphone is not in use anymore once the recording is over
+      function release() {
+        stream.getTracks().forEach(function(track) {
+          track.stop();
+        });
+      }
+    }
+
+    function buildFile(chunks, mimeType, duration) {
+      var type = (mimeType || CHAT_VOICE_MESSAGE.MIME_TYPES[0]).split(';')[0];
+      var extension = CHAT_VOICE_MESSAGE.EXTENSIONS[type] || 'webm';
+      var file = new $window.File(chunks, 'voice-message-' + Date.now() + '.' + extension, {type: type});
+
+      file.duration = duration;
+
+      return file;
+    }
+
+    function getMimeType() {
+      var MediaRecorder = $window.MediaRecorder;
+
+      if (!_.isFunction(MediaRecorder.isTypeSupported)) {
+        return null;
+      }
+
+      return _.find(CHAT_VOICE_MESSAGE.MIME_TYPES, function(mimeType) {
+        return MediaRecorder.isTypeSupported(mimeType);
+      }) || null;
+    }
+  }
+})();
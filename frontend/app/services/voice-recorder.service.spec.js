@@ -0,0 +1,141 @@
+'use strict';
+
+/* global chai, sinon: false */
+
+var expect = chai.expect;
+
+describe('The chatVoiceRecorderService service', function() {
+  var $q, $rootScope, $window, chatVoiceRecorderService, originalMediaRecorder, stream, track, recorder;
+
+  beforeEach(angular.mock.module('linagora.esn.chat', function($provide) {
+    $provide.value('searchProviders', {
+      add: sinon.spy()
+    });
+    $provide.value('chatSearchProviderService', {});
+  }));
+
+  beforeEach(angular.mock.inject(function(_$q_, _$rootScope_, _$window_, _chatVoiceRecorderService_) {
+    $q = _$q_;
+    $rootScope = _$rootScope_;
+    $window = _$window_;
+    chatVoiceRecorderService = _chatVoiceRecorderService_;
+
+    recorder = undefined;
+    track = {stop: sinon.spy()};
+    stream = {
+      getTracks: function() {
+        return [track];
+      }
+    };
+    originalMediaRecorder = $window.MediaRecorder;
+
+    function FakeMediaRecorder(stream, options) {
+      var self = this;
+
+      recorder = self;
+      self.stream = stream;
+      self.mimeType = options.mimeType;
+      self.state = 'inactive';
+      self.start = sinon.spy(function() {
+        self.state = 'recording';
+      });
+      self.stop = sinon.spy(function() {
+        self.state = 'inactive';
+        self.ondataavailable({data: new $window.Blob(['sound'], {type: 'audio/webm'})});
+        self.onstop();
+      });
+    }
+
+    FakeMediaRecorder.isTypeSupported = function(mimeType) {
+      return mimeType === 'audio/webm';
+    };
+
+    $window.MediaRecorder = FakeMediaRecorder;
+    Object.defineProperty($window.navigator, 'mediaDevices', {
+      configurable: true,
+      value: {
+        getUserMedia: sinon.spy(function() {
+          return $q.when(stream);
+        })
+      }
+    });
+  }));
+
+  afterEach(function() {
+    $window.MediaRecorder = originalMediaRecorder;
+    delete $window.navigator.mediaDevices;
+  });
+
+  function startRecording() {
+    var recording;
+
+    chatVoiceRecorderService.start().then(function(result) {
+      recording = result;
+    });
+    $rootScope.$digest();
+
+    return recording;
+  }
+
+  it('should not be supported when the browser has no MediaRecorder', function() {
+    var errorSpy = sinon.spy();
+
+    delete $window.MediaRecorder;
+
+    expect(chatVoiceRecorderService.isSupported()).to.be.false;
+
+    chatVoiceRecorderService.start().catch(errorSpy);
+    $rootScope.$digest();
+
+    expect(errorSpy).to.have.been.calledOnce;
+  });
+
+  it('should record the microphone with the first supported type', function() {
+    startRecording();
+
+    expect($window.navigator.mediaDevices.getUserMedia).to.have.been.calledWith({audio: true});
+    expect(recorder.stream).to.equal(stream);
+    expect(recorder.mimeType).to.equal('audio/webm');
+    expect(recorder.start).to.have.been.calledOnce;
+  });
+
+  it('should resolve with the recorded file and its duration once stopped', function() {
+    var clock = sinon.useFakeTimers(Date.now());
+    var recording = startRecording();
+    var file;
+
+    clock.tick(4200);
+    recording.stop().then(function(result) {
+      file = result;
+    });
+    $rootScope.$digest();
+    clock.restore();
+
+    expect(file.type).to.equal('audio/webm');
+    expect(file.name).to.match(/^voice-message-\d+\.webm$/);
+    expect(file.size).to.equal(5);
+    expect(file.duration).to.equal(4.2);
+    expect(track.stop).to.have.been.calledOnce;
+  });
+
+  it('should release the microphone when the recording is cancelled', function() {
+    startRecording().cancel();
+
+    expect(recorder.stop).to.have.been.calledOnce;
+    expect(track.stop).to.have.been.calledOnce;
+  });
+
+  it('should reject when the user does not allow to use the microphone', function() {
+    var errorSpy = sinon.spy();
+
+    $window.navigator.mediaDevices.getUserMedia = sinon.spy(function() {
+      return $q.reject(new Error('NotAllowedError'));
+    });
+
+    chatVoiceRecorderService.start().catch(errorSpy);
+    $rootScope.$digest();
+
+    expect(errorSpy).to.have.been.calledOnce;
+    expect(recorder).to.be.undefined;
+  });
+});
@@ -20,6 +20,14 @@
       chatUserNotificationProvider.updateOnConversationRead(data.conversationId);
     }
 
+    function memberHasUnread(event, data) {
+      var conversation = chatConversationsStoreService.findConversation(data.conversationId);
+
+      if (conversation) {
+        chatUserNotificationProvider.updateOnConversationUnread(conversation, conversation.unreadMessageCount, conversation.mention_count);
+      }
+    }
+
     function onMessage(message) {
       if (!(esnAppStateService.isForeground() && chatConversationsStoreService.isActiveRoom(message.channel))) {
         chatUserNotificationProvider.updateOnNewMessageReceived(message);
@@ -28,6 +36,7 @@
 
     function start() {
       $rootScope.$on(CHAT_EVENTS.MEMBER_READ_CONVERSATION, memberHasRead);
+      $rootScope.$on(CHAT_EVENTS.MEMBER_UNREAD_CONVERSATION, memberHasUnread);
 
       [CHAT_EVENTS.BOT_MESSAGE, CHAT_EVENTS.TEXT_MESSAGE, CHAT_EVENTS.FILE_MESSAGE].forEach(function(messageEvent) {
         $rootScope.$on(messageEvent, function(event, message) {
@@ -21,6 +21,7 @@
       getUnreadCount: getUnreadCount,
       list: list,
       updateOnConversationRead: updateOnConversationRead,
+      updateOnConversationUnread: updateOnConversationUnread,
       updateOnNewMessageReceived: updateOnNewMessageReceived
     };
 
@@ -102,6 +103,47 @@
       esnUserNotificationState.refresh();
     }
 
+    /**
+     * Update the counters of a conversation marked as unread, adding it to the unread ones when needed.
+     *
+     * @param {Object} conversation - the conversation from the store, with its last message
+     * @param {Number} numberOfUnreadMessages
+     * @param {Number} numberOfUnseenMentions
+     */
+    function updateOnConversationUnread(conversation, numberOfUnreadMessages, numberOfUnseenMentions) {
+      if (!notification) {
+        return;
+      }
+
+      var unreadConversation = _.find(notification.unreadConversations, { _id: conversation._id });
+
+      if (!unreadConversation) {
+        unreadConversation = {
+          _id: conversation._id,
+          numberOfUnreadMessages: 0,
+          numberOfUnseenMentions: 0,
+          last_message: conversation.last_message
+        };
+        notification.unreadConversations = _.sortBy(notification.unreadConversations.concat(unreadConversation), function(item) {
+          return -new Date(item.last_message.date).getTime();
+        });
+      }
+
+      var numberOfNewUnreadMessages = numberOfUnreadMessages - unreadConversation.numberOfUnreadMessages;
+      var numberOfNewUnseenMentions = numberOfUnseenMentions - unreadConversation.numberOfUnseenMentions;
+
+      unreadConversation.numberOfUnreadMessages = numberOfUnreadMessages;
+      unreadConversation.numberOfUnseenMentions = numberOfUnseenMentions;
+      notification.read = false;
+      notification.numberOfUnreadMessages += numberOfNewUnreadMessages;
+      notification.numberOfUnseenMentions += numberOfNewUnseenMentions;
+      notification.timestamps = { creation: notification.unreadConversations[0].last_message.date };
+      notification.lastUnreadConversationId = notification.unreadConversations[0]._id;
+      esnUserNotificationState.increaseCountBy(numberOfNewUnreadMessages);
+      esnUserNotificationState.increaseNumberOfImportantNotificationsBy(numberOfNewUnseenMentions);
+      esnUserNotificationState.refresh();
+    }
+
     function updateOnNewMessageReceived(message) {
       var conversation = _.find(notification.unreadConversations, { _id: message.channel });
 
@@ -325,6 +325,86 @@ describe('The chatUserNotificationProvider', function() {
     });
   });
 
+  describe('The updateOnConversationUnread function', function() {
+    it('should add the conversation to the unread ones and increase the counters', function(done) {
+      var notification = {
+        category: 'chat:unread',
+        read: true,
+        numberOfUnreadMessages: 0,
+        numberOfUnseenMentions: 0,
+        unreadConversations: []
+      };
+      var conversation = { _id: 'conversationId', last_message: { date: today } };
+
+      chatUserNotificationService.get = sinon.stub().returns($q.when(notification));
+      chatUserNotificationProvider.getUnreadCount()
+        .then(function() {
+          chatUserNotificationProvider.updateOnConversationUnread(conversation, 3, 1);
+
+          expect(notification).to.deep.equal({
+            category: 'chat:unread',
+            read: false,
+            numberOfUnreadMessages: 3,
+            numberOfUnseenMentions: 1,
+            unreadConversations: [
+              { _id: 'conversationId', numberOfUnreadMessages: 3, numberOfUnseenMentions: 1, last_message: { date: today } }
+            ],
+            timestamps: {
+              creation: today
+            },
+            lastUnreadConversationId: 'conversationId'
+          });
+          expect(esnUserNotificationStateMock.increaseCountBy).to.have.been.calledWith(3);
+          expect(esnUserNotificationStateMock.increaseNumberOfImportantNotificationsBy).to.have.been.calledWith(1);
+          expect(esnUserNotificationStateMock.refresh).to.have.been.calledOnce;
+
+          done();
+        });
+
+      $rootScope.$digest();
+    });
+
+    it('should only add the new unread messages of a conversation which is already unread', function(done) {
+      var notification = {
+        category: 'chat:unread',
+        read: false,
+        numberOfUnreadMessages: 3,
+        numberOfUnseenMentions: 0,
+        unreadConversations: [
+          { _id: 'otherConversationId', numberOfUnreadMessages: 1, numberOfUnseenMentions: 0, last_message: { date: today } },
+          { _id: 'conversationId', numberOfUnreadMessages: 2, numberOfUnseenMentions: 0, last_message: { date: today - 1 } }
+        ],
+        timestamps: {
+          creation: today
+        },
+        lastUnreadConversationId: 'otherConversationId'
+      };
+
+      chatUserNotificationService.get = sinon.stub().returns($q.when(notification));
+      chatUserNotificationProvider.getUnreadCount()
+        .then(function() {
+          chatUserNotificationProvider.updateOnConversationUnread({ _id: 'conversationId' }, 5, 1);
+
+          expect(notification).to.shallowDeepEqual({
+            read: false,
+            numberOfUnreadMessages: 6,
+            numberOfUnseenMentions: 1,
+            unreadConversations: [
+              { _id: 'otherConversationId', numberOfUnreadMessages: 1 },
+              { _id: 'conversationId', numberOfUnreadMessages: 5, numberOfUnseenMentions: 1 }
+            ],
+            lastUnreadConversationId: 'otherConversationId'
+          });
+          expect(esnUserNotificationStateMock.increaseCountBy).to.have.been.calledWith(3);
+          expect(esnUserNotificationStateMock.increaseNumberOfImportantNotificationsBy).to.have.been.calledWith(1);
+
+          done();
+        });
+
+      $rootScope.$digest();
+    });
+  });
+
   describe('The updateOnNewMessageReceived function', function() {
     describe('When there is one new message in unread conversation', function() {
       it('should increase the number of unread messages', function(done) {
@@ -30,7 +30,7 @@
 
         return {
           _id: unreadConversation._id,
-          numberOfUnreadMessages: unreadConversation.numOfMessage - memberStates.numberOfReadMessages,
+          numberOfUnreadMessages: unreadConversation.numOfMessage - memberStates.numberOfReadMessages + memberStates.numberOfUnreadReplies,
           numberOfUnseenMentions: memberStates.numberOfUnseenMentions,
           last_message: unreadConversation.last_message
         };
@@ -60,13 +60,15 @@
       if (!conversation.memberStates || !conversation.memberStates[String(userId)]) {
         return {
           numberOfReadMessages: 0,
-          numberOfUnseenMentions: 0
+          numberOfUnseenMentions: 0,
+          numberOfUnreadReplies: 0
         };
       }
 
       return {
         numberOfReadMessages: conversation.memberStates[String(userId)].numOfReadMessages || 0,
-        numberOfUnseenMentions: conversation.memberStates[String(userId)].numOfUnseenMentions || 0
+        numberOfUnseenMentions: conversation.memberStates[String(userId)].numOfUnseenMentions || 0,
+        numberOfUnreadReplies: conversation.memberStates[String(userId)].numOfUnreadReplies || 0
       };
     }
 
@@ -4,7 +4,7 @@
   angular.module('linagora.esn.chat')
     .factory('ChatWebsocketTransportService', ChatWebsocketTransportService);
 
-    function ChatWebsocketTransportService($log, $q, livenotification, _, CHAT_NAMESPACE, CHAT_WEBSOCKET_EVENTS) {
+    function ChatWebsocketTransportService($log, $q, $rootScope, $timeout, livenotification, _, CHAT_NAMESPACE, CHAT_WEBSOCKET_EVENTS, CHAT_MESSAGE_ACK_TIMEOUT) {
 
       function ChatWebsocketTransportService(options) {
         this.options = options;
@@ -16,7 +16,7 @@
           return this.sio.on(event, handler);
         }
 
-        this.handlers[event] = handler;
+        this.handlers[event] = (this.handlers[event] || []).concat(handler);
       };
 
       ChatWebsocketTransportService.prototype.connect = function() {
@@ -24,11 +24,13 @@
           var self = this;
 
           self.sio = livenotification(CHAT_NAMESPACE, self.options.room);
-          _.forEach(self.handlers, function(handler, event) {
-            self.sio.on(event, handler);
+          _.forEach(self.handlers, function(handlers, event) {
+            handlers.forEach(function(handler) {
+              self.sio.on(event, handler);
+            });
           });
 
-          self.sio.on('connected', function() {
+          self.sio.on(CHAT_WEBSOCKET_EVENTS.CONNECTED, function() {
             $log.info('Connected to chat websocket');
           });
         }
@@ -36,15 +38,26 @@
         return this;
       };
 
-      ChatWebsocketTransportService.prototype.sendRawMessage = function(type, data) {
-        if (!this.sio) {
-          return $q.reject(new Error('Not connected to the websocket'));
-        }
+      ChatWebsocketTransportService.prototype.resync = function(conversations) {
+        $log.debug('Ask for the events missed while disconnected', conversations);
+
+        return sendWithAcknowledgement(this, CHAT_WEBSOCKET_EVENTS.RESYNC, {conversations: conversations});
+      };
+
+      ChatWebsocketTransportService.prototype.setAway = function(away) {
+        return sendWithAcknowledgement(this, CHAT_WEBSOCKET_EVENTS.USER_ACTIVITY, {away: away});
+      };
+
+      ChatWebsocketTransportService.prototype.setTyping = function(conversationId, state) {
+        sendEvent(this, CHAT_WEBSOCKET_EVENTS.USER_TYPING, {conversationId: conversationId, state: state});
+      };
 
+      ChatWebsocketTransportService.prototype.sendRawMessage = function(type, data) {
         $log.debug('Send raw message', type, data);
-        this.sio.send(type, data);
 
-        return $q.when(data);
+        return sendWithAcknowledgement(this, type, data).then(function(response) {
+          return (response && response.message) || data;
+        });
       };
 
       ChatWebsocketTransportService.prototype.sendMessage = function(message) {
@@ -53,6 +66,44 @@
         return this.sendRawMessage(CHAT_WEBSOCKET_EVENTS.MESSAGE, message);
       };
 
+      // the conversation displayed by this client, the server only sends it the typing users of this one
+      ChatWebsocketTransportService.prototype.viewConversation = function(conversationId) {
+        sendEvent(this, CHAT_WEBSOCKET_EVENTS.CONVERSATION_VIEW, {conversationId: conversationId || null});
+      };
+
+      function sendEvent(transport, type, data) {
+        if (!transport.sio) {
+          return $log.debug('Not connected to the websocket, can not send', type);
+        }
+
+        transport.sio.send(type, data);
+      }
+
+      function sendWithAcknowledgement(transport, type, data) {
+        if (!transport.sio) {
+          return $q.reject(new Error('Not connected to the websocket'));
+        }
+
+        var defer = $q.defer();
+        var timeout = $timeout(function() {
+          defer.reject(new Error('No acknowledgement received from the server'));
+        }, CHAT_MESSAGE_ACK_TIMEOUT);
+
+        transport.sio.send(type, data, function(response) {
+          $rootScope.$evalAsync(function() {
+            $timeout.cancel(timeout);
+
+            if (response && response.error) {
+              return defer.reject(response.error);
+            }
+
+            defer.resolve(response);
+          });
+        });
+
+        return defer.promise;
+      }
+
       return ChatWebsocketTransportService;
     }
 })();
@@ -5,14 +5,17 @@
 var expect = chai.expect;
 
 describe('The chatWebsocketTransportService factory', function() {
-  var livenotification, options, transport, ChatWebsocketTransportService, $rootScope;
-  var onSpy, sendSpy, successSpy, errorSpy;
-  var CHAT_NAMESPACE;
+  var livenotification, options, transport, ChatWebsocketTransportService, $rootScope, $timeout;
+  var onSpy, sendSpy, successSpy, errorSpy, ackResponse;
+  var CHAT_NAMESPACE, CHAT_MESSAGE_ACK_TIMEOUT;
 
   beforeEach(function() {
     options = {room: '123'};
+    ackResponse = undefined;
     onSpy = sinon.spy();
-    sendSpy = sinon.spy();
+    sendSpy = sinon.spy(function(type, data, ack) {
+      ackResponse && ack(ackResponse);
+    });
     successSpy = sinon.spy();
     errorSpy = sinon.spy();
     livenotification = sinon.spy(function() {
@@ -33,10 +36,12 @@ describe('The chatWebsocketTransportService factory', function() {
     });
   });
 
-  beforeEach(angular.mock.inject(function(_$rootScope_, _ChatWebsocketTransportService_, _CHAT_NAMESPACE_) {
+  beforeEach(angular.mock.inject(function(_$rootScope_, _$timeout_, _ChatWebsocketTransportService_, _CHAT_NAMESPACE_, _CHAT_MESSAGE_ACK_TIMEOUT_) {
     $rootScope = _$rootScope_;
+    $timeout = _$timeout_;
     ChatWebsocketTransportService = _ChatWebsocketTransportService_;
     CHAT_NAMESPACE = _CHAT_NAMESPACE_;
+    CHAT_MESSAGE_ACK_TIMEOUT = _CHAT_MESSAGE_ACK_TIMEOUT_;
   }));
 
   beforeEach(function() {
@@ -68,9 +73,20 @@ describe('The chatWebsocketTransportService factory', function() {
 
       transport.addEventListener(event, handler);
 
-      expect(transport.handlers[event]).to.equals(handler);
+      expect(transport.handlers[event]).to.deep.equal([handler]);
       expect(onSpy).to.not.have.been.called;
     });
+
+    it('should cache all the listeners of the same event', function() {
+      var event = 'connected';
+      var handler = function() {};
+      var otherHandler = function() {};
+
+      transport.addEventListener(event, handler);
+      transport.addEventListener(event, otherHandler);
+
+      expect(transport.handlers[event]).to.deep.equal([handler, otherHandler]);
+    });
   });
 
   describe('The connect function', function() {
@@ -93,8 +109,8 @@ describe('The chatWebsocketTransportService factory', function() {
 
     it('should register all the event listeners', function() {
       transport.handlers = {
-        a: angular.noop,
-        b: angular.noop
+        a: [angular.noop],
+        b: [angular.noop]
       };
       transport.connect();
 
@@ -123,7 +139,24 @@ describe('The chatWebsocketTransportService factory', function() {
       expect(errorSpy).to.have.been.called;
     });
 
-    it('should send the message with the websocket instance', function() {
+    it('should send the message with the websocket instance and resolve with the acknowledged message', function() {
+      var saved = {_id: 'messageId', foo: 'bar'};
+
+      ackResponse = {message: saved};
+      transport.sio = {
+        send: sendSpy
+      };
+
+      transport.sendRawMessage(type, data).then(successSpy, errorSpy);
+      $rootScope.$digest();
+
+      expect(sendSpy).to.have.been.calledWith(type, data, sinon.match.func);
+      expect(successSpy).to.have.been.calledWith(saved);
+      expect(errorSpy).to.not.have.been.called;
+    });
+
+    it('should resolve with the sent data when acknowledgement does not hold any message', function() {
+      ackResponse = {};
       transport.sio = {
         send: sendSpy
       };
@@ -131,10 +164,125 @@ describe('The chatWebsocketTransportService factory', function() {
       transport.sendRawMessage(type, data).then(successSpy, errorSpy);
       $rootScope.$digest();
 
-      expect(sendSpy).to.have.been.calledWith(type, data);
       expect(successSpy).to.have.been.calledWith(data);
+    });
+
+    it('should reject when acknowledgement holds an error', function() {
+      var error = {code: 400, message: 'Bad Request', details: 'Message text must be a string'};
+
+      ackResponse = {error: error};
+      transport.sio = {
+        send: sendSpy
+      };
+
+      transport.sendRawMessage(type, data).then(successSpy, errorSpy);
+      $rootScope.$digest();
+
+      expect(successSpy).to.not.have.been.called;
+      expect(errorSpy).to.have.been.calledWith(error);
+    });
+
+    it('should reject when server does not acknowledge the message in time', function() {
+      transport.sio = {
+        send: sendSpy
+      };
+
+      transport.sendRawMessage(type, data).then(successSpy, errorSpy);
+      $timeout.flush(CHAT_MESSAGE_ACK_TIMEOUT);
+
+      expect(successSpy).to.not.have.been.called;
+      expect(errorSpy).to.have.been.calledWith(sinon.match({message: 'No acknowledgement received from the server'}));
+    });
+  });
+
+  describe('The resync function', function() {
+    var conversations;
+
+    beforeEach(function() {
+      conversations = {conversationId: {messageId: 'messageId'}};
+    });
+
+    it('should reject when websocket is not connected', function() {
+      transport.resync(conversations).then(successSpy, errorSpy);
+      $rootScope.$digest();
+
+      expect(sendSpy).to.not.have.been.called;
+      expect(errorSpy).to.have.been.called;
+    });
+
+    it('should send the last seen messages and resolve with the missed events', function() {
+      ackResponse = {conversations: [], added: [], removed: ['conversationId']};
+      transport.sio = {
+        send: sendSpy
+      };
+
+      transport.resync(conversations).then(successSpy, errorSpy);
+      $rootScope.$digest();
+
+      expect(sendSpy).to.have.been.calledWith('resync', {conversations: conversations}, sinon.match.func);
+      expect(successSpy).to.have.been.calledWith(ackResponse);
       expect(errorSpy).to.not.have.been.called;
     });
+
+    it('should reject when acknowledgement holds an error', function() {
+      var error = {code: 500, message: 'Server Error', details: 'can not read'};
+
+      ackResponse = {error: error};
+      transport.sio = {
+        send: sendSpy
+      };
+
+      transport.resync(conversations).then(successSpy, errorSpy);
+      $rootScope.$digest();
+
+      expect(successSpy).to.not.have.been.called;
+      expect(errorSpy).to.have.been.calledWith(error);
+    });
+  });
+
+  describe('The setAway function', function() {
+    it('should send the activity of the user', function() {
+      ackResponse = {state: 'away'};
+      transport.sio = {
+        send: sendSpy
+      };
+
+      transport.setAway(true).then(successSpy, errorSpy);
+      $rootScope.$digest();
+
+      expect(sendSpy).to.have.been.calledWith('user:activity', {away: true}, sinon.match.func);
+      expect(successSpy).to.have.been.calledWith(ackResponse);
+    });
+  });
+
+  describe('The setTyping function', function() {
+    it('should send the typing state of the user without waiting for an acknowledgement', function() {
+      transport.sio = {
+        send: sendSpy
+      };
+
+      transport.setTyping('conversationId', true);
+
+      expect(sendSpy).to.have.been.calledWith('user:typing', {conversationId: 'conversationId', state: true});
+    });
+
+    it('should not fail when websocket is not connected', function() {
+      transport.setTyping('conversationId', true);
+
+      expect(sendSpy).to.not.have.been.called;
+    });
+  });
+
+  describe('The viewConversation function', function() {
+    it('should send the conversation the user is viewing', function() {
+      transport.sio = {
+        send: sendSpy
+      };
+
+      transport.viewConversation('conversationId');
+
+      expect(sendSpy).to.have.been.calledWith('conversation:view', {conversationId: 'conversationId'});
+    });
   });
 
   describe('The sendMessage function', function() {
@@ -154,6 +302,7 @@ describe('The chatWebsocketTransportService factory', function() {
     });
 
     it('should send the message with the websocket instance', function() {
+      ackResponse = {};
       transport.sio = {
         send: sendSpy
       };
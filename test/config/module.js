@@ -54,3 +54,9 @@ angular.module('esn.app-state', [])
     return {};
   });
 angular.module('esn.user-notification', []);
+angular.module('esn.configuration', [])
+  .factory('esnConfig', function($q) {
+    return function(key, defaultValue) {
+      return $q.when(defaultValue);
+    };
+  });
@@ -40,6 +40,42 @@ describe('The message schema', function() {
 
       expect(transform(null, message)).to.deep.equals({timestamps: {creation: date.getTime()}});
     });
+
+    it('should replace edition date by timestamp', function() {
+      var transform = Message.options.toJSON.transform;
+      var creation = new Date(1000);
+      var edition = new Date(2000);
+      var message = {timestamps: {creation: creation, edition: edition}};
+
+      expect(transform(null, message)).to.deep.equals({timestamps: {creation: creation.getTime(), edition: edition.getTime()}});
+    });
+
+    it('should replace last reply date by timestamp', function() {
+      var transform = Message.options.toJSON.transform;
+      var creation = new Date(1000);
+      var reply = new Date(2000);
+      var message = {timestamps: {creation: creation}, last_reply: {creator: 'userId', date: reply}};
+
+      expect(transform(null, message)).to.deep.equals({timestamps: {creation: creation.getTime()}, last_reply: {creator: 'userId', date: reply.getTime()}});
+    });
+
+    it('should replace reactions dates by timestamp', function() {
+      var transform = Message.options.toJSON.transform;
+      var creation = new Date(1000);
+      var reaction = new Date(2000);
+      var message = {timestamps: {creation: creation}, reactions: [{emoji: 'smile', user: 'userId', date: reaction}]};
+
+      expect(transform(null, message)).to.deep.equals({timestamps: {creation: creation.getTime()}, reactions: [{emoji: 'smile', user: 'userId', date: reaction.getTime()}]});
+    });
+
+    it('should replace deletion date by timestamp', function() {
+      var transform = Message.options.toJSON.transform;
+      var creation = new Date(1000);
+      var deletion = new Date(2000);
+      var message = {timestamps: {creation: creation, deletion: deletion}};
+
+      expect(transform(null, message)).to.deep.equals({timestamps: {creation: creation.getTime(), deletion: deletion.getTime()}});
+    });
   });
 
   describe('channel.options.toObject.transform', function() {
@@ -0,0 +1,218 @@
+'use strict';
+
+const expect = require('chai').expect;
+const sinon = require('sinon');
+const Q = require('q');
+const _ = require('lodash');
+const CONSTANTS = require('../../../backend/lib/constants');
+
+describe('The linagora.esn.chat attachment limits lib', function() {
+  let config, conversation, usage, total, storedIds, files, esnConfig, modelsMock;
+
+  beforeEach(function() {
+    config = null;
+    conversation = {_id: 'conversationId', domain_ids: ['domainId']};
+    usage = [];
+    total = [];
+    storedIds = [];
+    files = [{_id: 'fileId', name: 'report.pdf', contentType: 'application/pdf', length: 1024}];
+
+    esnConfig = {
+      EsnConfig: sinon.spy(function() {
+        this.get = sinon.spy(() => Q.when(config));
+      }),
+      registry: {
+        register: sinon.spy()
+      }
+    };
+    modelsMock = {
+      ChatConversation: {
+        findById: sinon.spy(() => ({exec: () => Q.when(conversation)}))
+      },
+      ChatMessage: {
+        aggregate: sinon.spy(pipeline => ({exec: () => Q.when(_.last(pipeline).$group && _.last(pipeline).$group._id === null ? total : usage)})),
+        distinct: sinon.spy(() => ({exec: () => Q.when(storedIds)}))
+      },
+      User: {
+        collection: {name: 'users'}
+      }
+    };
+
+    this.moduleHelpers.addDep('esn-config', esnConfig);
+    this.moduleHelpers.addDep('db', {
+      mongo: {
+        mongoose: {
+          model: name => modelsMock[name]
+        }
+      }
+    });
+  });
+
+  function getModule(dependencies) {
+    return require('../../../backend/lib/attachment-limits')(dependencies);
+  }
+
+  describe('The getLimits function', function() {
+    it('should get the limits of the domain from esn-config', function() {
+      config = {maxSize: 1024, allowedTypes: ['image/*'], deniedTypes: ['image/svg+xml'], quota: 4096};
+
+      return getModule(this.moduleHelpers.dependencies).getLimits('domainId').then(limits => {
+        expect(esnConfig.EsnConfig).to.have.been.calledWith(CONSTANTS.MODULE_NAME, 'domainId');
+        expect(esnConfig.EsnConfig.firstCall.thisValue.get).to.have.been.calledWith(CONSTANTS.ATTACHMENT_LIMITS.CONFIG_NAME);
+        expect(limits).to.deep.equal(config);
+      });
+    });
+
+    it('should use the default limits the domain does not set and ignore the unknown ones', function() {
+      config = {maxSize: 1024, foo: 'bar'};
+
+      return getModule(this.moduleHelpers.dependencies).getLimits('domainId').then(limits => {
+        expect(limits).to.deep.equal({maxSize: 1024, allowedTypes: [], deniedTypes: [], quota: null});
+      });
+    });
+
+    it('should use the default limits when the domain has no configuration', function() {
+      return expect(getModule(this.moduleHelpers.dependencies).getLimits('domainId')).to.eventually.deep.equal(CONSTANTS.ATTACHMENT_LIMITS.DEFAULTS);
+    });
+  });
+
+  describe('The check function', function() {
+    it('should resolve when the files fit in the default limits of the domain of the conversation', function() {
+      return getModule(this.moduleHelpers.dependencies).check('userId', 'conversationId', files).then(() => {
+        expect(modelsMock.ChatConversation.findById).to.have.been.calledWith('conversationId', 'domain_ids');
+        expect(esnConfig.EsnConfig).to.have.been.calledWith(CONSTANTS.MODULE_NAME, 'domainId');
+        expect(modelsMock.ChatMessage.aggregate).to.not.have.been.called;
+      });
+    });
+
+    it('should reject when the conversation does not exist', function() {
+      conversation = null;
+
+      return expect(getModule(this.moduleHelpers.dependencies).check('userId', 'conversationId', files)).to.be.rejectedWith('Conversation conversationId does not exist');
+    });
+
+    it('should reject when a file is bigger than the maximum size', function() {
+      config = {maxSize: 1000};
+
+      return expect(getModule(this.moduleHelpers.dependencies).check('userId', 'conversationId', files)).to.be.rejectedWith('Attachment report.pdf exceeds the maximum size of 1000 bytes');
+    });
+
+    it('should not limit the size when the maximum size is null', function() {
+      config = {maxSize: null};
+      files[0].length = CONSTANTS.ATTACHMENT_LIMITS.DEFAULTS.maxSize + 1;
+
+      return getModule(this.moduleHelpers.dependencies).check('userId', 'conversationId', files);
+    });
+
+    it('should reject when a file is not of an allowed type', function() {
+      config = {allowedTypes: ['image/*', 'text/plain']};
+
+      return expect(getModule(this.moduleHelpers.dependencies).check('userId', 'conversationId', files)).to.be.rejectedWith('Attachments of type application/pdf are not allowed');
+    });
+
+    it('should resolve when the files are of an allowed family of types', function() {
+      config = {allowedTypes: ['image/*', 'text/plain']};
+      files = [{_id: 'fileId', name: 'photo.png', contentType: 'image/png', length: 1}, {_id: 'fileId2', name: 'notes.txt', contentType: 'text/plain; charset=utf-8', length: 1}];
+
+      return getModule(this.moduleHelpers.dependencies).check('userId', 'conversationId', files);
+    });
+
+    it('should reject when a file is of a denied type, even when it is allowed', function() {
+      config = {allowedTypes: ['application/*'], deniedTypes: ['Application/PDF']};
+
+      return expect(getModule(this.moduleHelpers.dependencies).check('userId', 'conversationId', files)).to.be.rejectedWith('Attachments of type application/pdf are not allowed');
+    });
+
+    it('should reject when the files exceed what is left of the quota of the user', function() {
+      config = {quota: 4096};
+      usage = [{_id: 'userId', count: 2, size: 3500}];
+
+      return expect(getModule(this.moduleHelpers.dependencies).check('userId', 'conversationId', files)).to.be.rejectedWith('Attachments exceed the storage quota of 4096 bytes');
+    });
+
+    it('should resolve when the files fit in what is left of the quota of the user', function() {
+      config = {quota: 4096};
+      usage = [{_id: 'userId', count: 2, size: 3072}];
+
+      return getModule(this.moduleHelpers.dependencies).check('userId', 'conversationId', files).then(() => {
+        expect(modelsMock.ChatMessage.aggregate.firstCall.args[0][0]).to.deep.equal({$match: {attachments: {$gt: []}, creator: 'userId'}});
+      });
+    });
+
+    it('should count a file attached twice to the message once', function() {
+      config = {quota: 4096};
+      usage = [{_id: 'userId', count: 2, size: 3000}];
+      files.push(_.clone(files[0]));
+
+      return getModule(this.moduleHelpers.dependencies).check('userId', 'conversationId', files).then(() => {
+        expect(modelsMock.ChatMessage.distinct).to.have.been.calledWith('attachments._id', {creator: 'userId', 'attachments._id': {$in: ['fileId']}});
+      });
+    });
+
+    it('should not count the files which are already attached to another message of the user', function() {
+      config = {quota: 4096};
+      usage = [{_id: 'userId', count: 2, size: 4000}];
+      storedIds = ['fileId'];
+
+      return getModule(this.moduleHelpers.dependencies).check('userId', 'conversationId', files);
+    });
+  });
+
+  describe('The getUsage function', function() {
+    it('should count each attachment of the user once', function() {
+      usage = [{_id: 'userId', count: 2, size: 3072}];
+
+      return getModule(this.moduleHelpers.dependencies).getUsage('userId').then(result => {
+        const pipeline = modelsMock.ChatMessage.aggregate.firstCall.args[0];
+
+        expect(pipeline.map(stage => Object.keys(stage)[0])).to.deep.equal(['$match', '$unwind', '$group', '$group']);
+        expect(pipeline[2].$group._id).to.equal('$attachments._id');
+        expect(pipeline[3].$group._id).to.equal('$creator');
+        expect(result).to.deep.equal({count: 2, size: 3072});
+      });
+    });
+
+    it('should resolve with an empty usage when the user has no attachment', function() {
+      return expect(getModule(this.moduleHelpers.dependencies).getUsage('userId')).to.eventually.deep.equal({count: 0, size: 0});
+    });
+  });
+
+  describe('The getUsageForDomain function', function() {
+    it('should get a page of the usage of the users of the domain, from the biggest one', function() {
+      usage = [{_id: 'user3', count: 2, size: 20}, {_id: 'user1', count: 1, size: 10}];
+      total = [{_id: null, count: 3}];
+
+      return getModule(this.moduleHelpers.dependencies).getUsageForDomain('domainId', {limit: '2', offset: '1'}).then(result => {
+        const countPipeline = modelsMock.ChatMessage.aggregate.firstCall.args[0];
+        const pagePipeline = modelsMock.ChatMessage.aggregate.secondCall.args[0];
+
+        expect(pagePipeline[0]).to.deep.equal({$match: {attachments: {$gt: []}}});
+        expect(pagePipeline.slice(4, 6)).to.deep.equal([
+          {$lookup: {from: 'users', localField: '_id', foreignField: '_id', as: 'user'}},
+          {$match: {'user.domains.domain_id': 'domainId'}}
+        ]);
+        expect(pagePipeline.slice(-3)).to.deep.equal([{$sort: {size: -1, _id: 1}}, {$skip: 1}, {$limit: 2}]);
+        expect(_.last(countPipeline)).to.deep.equal({$group: {_id: null, count: {$sum: 1}}});
+        expect(result).to.deep.equal({
+          total_count: 3,
+          list: [{user: 'user3', count: 2, size: 20}, {user: 'user1', count: 1, size: 10}]
+        });
+      });
+    });
+
+    it('should resolve with an empty list when no user of the domain has sent attachments', function() {
+      return expect(getModule(this.moduleHelpers.dependencies).getUsageForDomain('domainId')).to.eventually.deep.equal({total_count: 0, list: []});
+    });
+  });
+
+  describe('The register function', function() {
+    it('should register the attachments configuration of the module', function() {
+      getModule(this.moduleHelpers.dependencies).register();
+
+      expect(esnConfig.registry.register).to.have.been.calledWith(CONSTANTS.MODULE_NAME, sinon.match({
+        rights: {padmin: 'rw', admin: 'rw', user: 'r'},
+        configurations: {[CONSTANTS.ATTACHMENT_LIMITS.CONFIG_NAME]: {}}
+      }));
+    });
+  });
+});
@@ -16,10 +16,11 @@ const CONVERSATION_TOPIC_UPDATED = CONSTANTS.NOTIFICATIONS.CONVERSATION_TOPIC_UP
 const MEMBER_ADDED_IN_CONVERSATION = CONSTANTS.NOTIFICATIONS.MEMBER_ADDED_IN_CONVERSATION;
 const MEMBERSHIP_EVENTS = CONSTANTS.NOTIFICATIONS.MEMBERSHIP_EVENTS;
 const MEMBER_READ_CONVERSATION = CONSTANTS.NOTIFICATIONS.MEMBER_READ_CONVERSATION;
+const MEMBER_UNREAD_CONVERSATION = CONSTANTS.NOTIFICATIONS.MEMBER_UNREAD_CONVERSATION;
 
 describe('The linagora.esn.chat conversation lib', function() {
 
-  let deps, lib, logger, channelArchivedLocalTopic, channelCreationTopic, channelAddMember, membershipTopic, modelsMock, ObjectId, mq, localChannelTopicUpdateTopic, channelTopicUpdateTopic, channelUpdateTopic, channelDeletionTopic, channelSavedTopic, memberHasRead;
+  let deps, lib, logger, channelArchivedLocalTopic, channelCreationTopic, channelAddMember, membershipTopic, modelsMock, ObjectId, mq, localChannelTopicUpdateTopic, channelTopicUpdateTopic, channelUpdateTopic, channelDeletionTopic, channelSavedTopic, memberHasRead, memberHasUnread;
 
   function dependencies(name) {
     return deps[name];
@@ -74,6 +75,10 @@ describe('The linagora.esn.chat conversation lib', function() {
       publish: sinon.spy()
     };
 
+    memberHasUnread = {
+      publish: sinon.spy()
+    };
+
     logger = {
       /*eslint no-console: ["error", { allow: ["log"] }] */
       error: console.log,
@@ -181,6 +186,9 @@ describe('The linagora.esn.chat conversation lib', function() {
             if (name === MEMBER_READ_CONVERSATION) {
               return memberHasRead;
             }
+            if (name === MEMBER_UNREAD_CONVERSATION) {
+              return memberHasUnread;
+            }
           }
         }
       }
@@ -368,7 +376,7 @@ describe('The linagora.esn.chat conversation lib', function() {
               { $elemMatch: { 'member.id': new ObjectId(memberId2), 'member.objectType': CONSTANTS.OBJECT_TYPES.USER } }
             ]
           },
-          $where: `(!this.memberStates || !this.memberStates["${memberId1}"] || !isNumber(this.memberStates["${memberId1}"].numOfReadMessages) || this.memberStates["${memberId1}"].numOfReadMessages < this.numOfMessage) && (!this.memberStates || !this.memberStates["${memberId2}"] || !isNumber(this.memberStates["${memberId2}"].numOfReadMessages) || this.memberStates["${memberId2}"].numOfReadMessages < this.numOfMessage)`
+          $where: `(!this.memberStates || !this.memberStates["${memberId1}"] || !isNumber(this.memberStates["${memberId1}"].numOfReadMessages) || this.memberStates["${memberId1}"].numOfReadMessages < this.numOfMessage || this.memberStates["${memberId1}"].numOfUnreadReplies > 0) && (!this.memberStates || !this.memberStates["${memberId2}"] || !isNumber(this.memberStates["${memberId2}"].numOfReadMessages) || this.memberStates["${memberId2}"].numOfReadMessages < this.numOfMessage || this.memberStates["${memberId2}"].numOfUnreadReplies > 0)`
         });
         done();
       });
@@ -408,6 +416,23 @@ describe('The linagora.esn.chat conversation lib', function() {
         done();
       });
     });
+
+    it('should only find the open channels of the given domains', function(done) {
+      const domainId = new ObjectId();
+
+      mq.exec = function(cb) {
+        cb(null, []);
+      };
+      require('../../../backend/lib/conversation')(dependencies, lib).getOpenChannels({domainIds: [String(domainId)]}, function() {
+        expect(modelsMock.ChatConversation.find).to.have.been.calledWith({
+          type: CONVERSATION_TYPE.OPEN,
+          mode: CONVERSATION_MODE.CHANNEL,
+          moderate: false,
+          domain_ids: {$in: [domainId]}
+        });
+        done();
+      });
+    });
   });
 
   describe('The getDefaultChannel function', function() {
@@ -602,7 +627,10 @@ describe('The linagora.esn.chat conversation lib', function() {
         cb(null, {_id: channelId, topic: topic});
       };
 
-      require('../../../backend/lib/conversation')(dependencies, lib).updateTopic(channelId, topic, done);
+      require('../../../backend/lib/conversation')(dependencies, lib).updateTopic(channelId, topic, err => {
+        clock.restore();
+        done(err);
+      });
     });
   });
 
@@ -644,6 +672,19 @@ describe('The linagora.esn.chat conversation lib', function() {
   });
 
   describe('The markUserAsReadAllMessages function', function() {
+    let lastMessage, messageQuery;
+
+    beforeEach(function() {
+      lastMessage = {_id: 'messageId'};
+      messageQuery = {
+        sort: sinon.spy(() => messageQuery),
+        exec: sinon.spy(cb => cb(null, lastMessage))
+      };
+      modelsMock.ChatMessage = {
+        findOne: sinon.spy(() => messageQuery)
+      };
+    });
+
     it('should call Conversation.findByIdAndUpdate with the correct parameter', function(done) {
       const conversation = {
         _id: 'conversationId',
@@ -655,7 +696,39 @@ describe('The linagora.esn.chat conversation lib', function() {
         expect(conversationId).to.equal(conversation._id);
         expect(update).to.deep.equals({
           [`memberStates.${userId}.numOfReadMessages`]: 9001,
-          [`memberStates.${userId}.numOfUnseenMentions`]: 0
+          [`memberStates.${userId}.numOfUnseenMentions`]: 0,
+          [`memberStates.${userId}.numOfUnreadReplies`]: 0,
+          [`memberStates.${userId}.lastReadMessageId`]: 'messageId'
+        });
+
+        cb(null);
+      };
+
+      require('../../../backend/lib/conversation')(dependencies, lib).markUserAsReadAllMessages(userId, conversation, done);
+    });
+
+    it('should set the read pointer on the last message of the conversation timeline', function(done) {
+      const conversation = {_id: 'conversationId'};
+
+      modelsMock.ChatConversation.findByIdAndUpdate = (conversationId, update, cb) => cb(null);
+
+      require('../../../backend/lib/conversation')(dependencies, lib).markUserAsReadAllMessages('userId', conversation, err => {
+        expect(modelsMock.ChatMessage.findOne).to.have.been.calledWith({channel: 'conversationId', parent: {$exists: false}});
+        expect(messageQuery.sort).to.have.been.calledWith('-timestamps.creation');
+        done(err);
+      });
+    });
+
+    it('should not set the read pointer when the conversation has no message', function(done) {
+      const conversation = {_id: 'conversationId', numOfMessage: 0};
+      const userId = 'userId';
+
+      lastMessage = null;
+      modelsMock.ChatConversation.findByIdAndUpdate = function(conversationId, update, cb) {
+        expect(update).to.deep.equals({
+          [`memberStates.${userId}.numOfReadMessages`]: 0,
+          [`memberStates.${userId}.numOfUnseenMentions`]: 0,
+          [`memberStates.${userId}.numOfUnreadReplies`]: 0
         });
 
         cb(null);
@@ -664,6 +737,19 @@ describe('The linagora.esn.chat conversation lib', function() {
       require('../../../backend/lib/conversation')(dependencies, lib).markUserAsReadAllMessages(userId, conversation, done);
     });
 
+    it('should fail when the last message can not be found', function(done) {
+      const error = new Error('failed');
+
+      messageQuery.exec = cb => cb(error);
+      modelsMock.ChatConversation.findByIdAndUpdate = sinon.spy();
+
+      require('../../../backend/lib/conversation')(dependencies, lib).markUserAsReadAllMessages('userId', {_id: 'conversationId'}, err => {
+        expect(err).to.equal(error);
+        expect(modelsMock.ChatConversation.findByIdAndUpdate).to.not.have.been.called;
+        done();
+      });
+    });
+
     it('should publish on MEMBER_READ_CONVERSATION topic', function(done) {
       const conversation = {
         _id: 'conversationId'
@@ -681,13 +767,142 @@ describe('The linagora.esn.chat conversation lib', function() {
 
         expect(memberHasRead.publish).to.have.been.calledWith({
           userId,
-          conversationId: conversation._id
+          conversationId: conversation._id,
+          messageId: 'messageId'
         });
         done();
       });
     });
   });
 
+  describe('The markUserAsUnreadFromMessage function', function() {
+    let conversation, message, counts, previousMessage, updateQuery;
+
+    beforeEach(function() {
+      conversation = {_id: 'conversationId', numOfMessage: 10};
+      message = {_id: 'messageId', timestamps: {creation: 5}};
+      counts = {read: 7, mentions: 1};
+      previousMessage = {_id: 'previousMessageId'};
+      updateQuery = {exec: sinon.spy(() => Q.when())};
+
+      modelsMock.ChatMessage = {
+        count: sinon.spy(query => ({exec: () => Q.when(query.user_mentions ? counts.mentions : counts.read)})),
+        findOne: sinon.spy(() => {
+          const query = {
+            sort: sinon.spy(() => query),
+            exec: () => Q.when(previousMessage)
+          };
+
+          return query;
+        })
+      };
+      modelsMock.ChatConversation.findByIdAndUpdate = sinon.spy(() => updateQuery);
+    });
+
+    function markAsUnread() {
+      return Q.denodeify(require('../../../backend/lib/conversation')(dependencies, lib).markUserAsUnreadFromMessage)('userId', conversation, message);
+    }
+
+    it('should move the read pointer before the message and recompute the unseen mentions', function() {
+      return markAsUnread().then(memberState => {
+        const timeline = {channel: 'conversationId', parent: {$exists: false}, 'timestamps.deletion': {$exists: false}};
+
+        expect(memberState).to.deep.equal({numOfReadMessages: 7, numOfUnseenMentions: 1, lastReadMessageId: 'previousMessageId'});
+        expect(modelsMock.ChatMessage.count).to.have.been.calledWith(Object.assign({'timestamps.creation': {$lt: 5}}, timeline));
+        expect(modelsMock.ChatMessage.count).to.have.been.calledWith(Object.assign({'timestamps.creation': {$gte: 5}, user_mentions: 'userId'}, timeline));
+        expect(modelsMock.ChatConversation.findByIdAndUpdate).to.have.been.calledWith('conversationId', {
+          $set: {
+            'memberStates.userId.numOfReadMessages': 7,
+            'memberStates.userId.numOfUnseenMentions': 1,
+            'memberStates.userId.lastReadMessageId': 'previousMessageId'
+          }
+        });
+      });
+    });
+
+    it('should remove the read pointer when the message is the first one of the conversation', function() {
+      counts = {read: 0, mentions: 0};
+      previousMessage = null;
+
+      return markAsUnread().then(memberState => {
+        expect(memberState.lastReadMessageId).to.be.undefined;
+        expect(modelsMock.ChatConversation.findByIdAndUpdate).to.have.been.calledWith('conversationId', {
+          $set: {
+            'memberStates.userId.numOfReadMessages': 0,
+            'memberStates.userId.numOfUnseenMentions': 0
+          },
+          $unset: {'memberStates.userId.lastReadMessageId': ''}
+        });
+      });
+    });
+
+    it('should publish on MEMBER_UNREAD_CONVERSATION topic', function() {
+      return markAsUnread().then(() => {
+        expect(memberHasUnread.publish).to.have.been.calledWith({
+          userId: 'userId',
+          conversationId: 'conversationId',
+          numOfMessage: 10,
+          memberState: {numOfReadMessages: 7, numOfUnseenMentions: 1, lastReadMessageId: 'previousMessageId'}
+        });
+      });
+    });
+
+    it('should not publish anything when the conversation can not be updated', function() {
+      updateQuery.exec = () => Q.reject(new Error('failed'));
+
+      return markAsUnread().then(() => {
+        throw new Error('should not resolve');
+      }, err => {
+        expect(err.message).to.equal('failed');
+        expect(memberHasUnread.publish).to.not.have.been.called;
+      });
+    });
+  });
+
+  describe('The hasReadReceipts function', function() {
+    function getMembers(count) {
+      return Array.apply(null, Array(count)).map((value, index) => ({member: {id: `user${index}`, objectType: 'user'}}));
+    }
+
+    it('should be true for direct messages and confidential conversations', function() {
+      const conversationLib = require('../../../backend/lib/conversation')(dependencies, lib);
+
+      expect(conversationLib.hasReadReceipts({type: CONVERSATION_TYPE.DIRECT_MESSAGE, members: getMembers(2)})).to.be.true;
+      expect(conversationLib.hasReadReceipts({type: CONVERSATION_TYPE.CONFIDENTIAL, members: getMembers(CONSTANTS.READ_RECEIPTS.MAX_MEMBERS)})).to.be.true;
+    });
+
+    it('should be false for open channels', function() {
+      const conversationLib = require('../../../backend/lib/conversation')(dependencies, lib);
+
+      expect(conversationLib.hasReadReceipts({type: CONVERSATION_TYPE.OPEN, members: getMembers(2)})).to.be.false;
+    });
+
+    it('should be false when the conversation has too many members', function() {
+      const conversationLib = require('../../../backend/lib/conversation')(dependencies, lib);
+
+      expect(conversationLib.hasReadReceipts({type: CONVERSATION_TYPE.CONFIDENTIAL, members: getMembers(CONSTANTS.READ_RECEIPTS.MAX_MEMBERS + 1)})).to.be.false;
+    });
+  });
+
+  describe('The getReadReceipts function', function() {
+    it('should give the last message read by each user member', function() {
+      const conversation = {
+        members: [
+          {member: {id: 'user1', objectType: 'user'}},
+          {member: {id: 'user2', objectType: 'user'}},
+          {member: {id: 'user3', objectType: 'user'}}
+        ],
+        memberStates: {
+          user1: {numOfReadMessages: 2, lastReadMessageId: 'message2'},
+          user2: {numOfReadMessages: 1},
+          formerMember: {numOfReadMessages: 1, lastReadMessageId: 'message1'}
+        }
+      };
+
+      expect(require('../../../backend/lib/conversation')(dependencies, lib).getReadReceipts(conversation)).to.deep.equal({user1: 'message2'});
+    });
+  });
+
   describe('The increaseNumberOfUnseenMentionsOfMembers function', function() {
     it('should call Conversation.findByIdAndUpdate with the correct parameter', function(done) {
       const conversationId = '123';
@@ -0,0 +1,183 @@
+'use strict';
+
+const http = require('http');
+const expect = require('chai').expect;
+const sinon = require('sinon');
+
+describe('The linagora.esn.chat link-preview fetcher', function() {
+  let server, baseUrl;
+
+  const pages = {
+    '/opengraph': {
+      type: 'text/html; charset=utf-8',
+      body: `<html><head><title>Page title</title>
+        <meta name="description" content="Page description">
+        <meta property="og:title" content="OpenPaaS &amp; chat">
+        <meta property="og:description" content='The open source "collaboration" platform'>
+        <meta property="og:image" content="/logo.png">
+        <meta property="og:site_name" content="OpenPaaS">
+        </head><body></body></html>`
+    },
+    '/standard': {
+      type: 'text/html',
+      body: '<html><head><title>Standard &#8211; title</title><meta name="description" content="Standard description"></head></html>'
+    },
+    '/oembed-page': {
+      type: 'text/html',
+      body: '<html><head><title>Video</title><link rel="alternate" type="application/json+oembed" href="/oembed.json"></head></html>'
+    },
+    '/oembed.json': {
+      type: 'application/json',
+      body: JSON.stringify({type: 'video', title: 'Video title', thumbnail_url: 'http://videos.example.org/thumbnail.jpg', provider_name: 'Videos'})
+    },
+    '/empty': {
+      type: 'text/html',
+      body: '<html><head></head><body>Nothing</body></html>'
+    },
+    '/image': {
+      type: 'image/png',
+      body: 'not a page'
+    }
+  };
+
+  function getFetcher(options = {allowPrivateAddresses: true}) {
+    return require('../../../../backend/lib/link-preview/fetcher')(options);
+  }
+
+  before(function(done) {
+    server = http.createServer((req, res) => {
+      if (req.url === '/slow') {
+        res.writeHead(200, {'Content-Type': 'text/html'});
+
+        const interval = setInterval(() => res.write('<!-- still loading -->'), 20);
+
+        return res.on('close', () => clearInterval(interval));
+      }
+
+      if (req.url === '/redirect') {
+        res.writeHead(302, {Location: '/opengraph'});
+
+        return res.end();
+      }
+
+      const page = pages[req.url];
+
+      if (!page) {
+        res.writeHead(404);
+
+        return res.end();
+      }
+
+      res.writeHead(200, {'Content-Type': page.type});
+      res.end(page.body);
+    });
+
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  after(function(done) {
+    server.close(done);
+  });
+
+  it('should resolve with the OpenGraph metadata of the page', function() {
+    return getFetcher()(`${baseUrl}/opengraph`).then(preview => {
+      expect(preview).to.deep.equal({
+        title: 'OpenPaaS & chat',
+        description: 'The open source "collaboration" platform',
+        image: `${baseUrl}/logo.png`,
+        site_name: 'OpenPaaS'
+      });
+    });
+  });
+
+  it('should fall back on the title and the description of the page', function() {
+    return getFetcher()(`${baseUrl}/standard`).then(preview => {
+      expect(preview).to.deep.equal({title: 'Standard – title', description: 'Standard description'});
+    });
+  });
+
+  it('should complete the metadata of the page from its oEmbed endpoint', function() {
+    return getFetcher()(`${baseUrl}/oembed-page`).then(preview => {
+      expect(preview).to.deep.equal({title: 'Video', image: 'http://videos.example.org/thumbnail.jpg', site_name: 'Videos'});
+    });
+  });
+
+  it('should follow the redirections', function() {
+    return getFetcher()(`${baseUrl}/redirect`).then(preview => {
+      expect(preview.title).to.equal('OpenPaaS & chat');
+    });
+  });
+
+  it('should resolve with null when there is nothing to preview', function() {
+    return getFetcher()(`${baseUrl}/empty`).then(preview => {
+      expect(preview).to.be.null;
+    });
+  });
+
+  it('should resolve with null when the link is not a page', function() {
+    return getFetcher()(`${baseUrl}/image`).then(preview => {
+      expect(preview).to.be.null;
+    });
+  });
+
+  it('should reject when the page can not be fetched', function() {
+    return getFetcher()(`${baseUrl}/unknown`).then(() => Promise.reject(new Error('should have failed')), err => {
+      expect(err.message).to.match(/HTTP 404/);
+    });
+  });
+
+  it('should reject the links which are not HTTP ones', function() {
+    return getFetcher()('ftp://example.org/file').then(() => Promise.reject(new Error('should have failed')), err => {
+      expect(err.message).to.match(/unsupported protocol/);
+    });
+  });
+
+  it('should not fetch the pages of the private network by default', function() {
+    return getFetcher({})(`${baseUrl}/opengraph`).then(() => Promise.reject(new Error('should have failed')), err => {
+      expect(err.message).to.match(/private address/);
+    });
+  });
+
+  it('should not follow the host names resolving to a private address by default', function() {
+    return getFetcher({})(`http://localhost:${server.address().port}/opengraph`).then(() => Promise.reject(new Error('should have failed')), err => {
+      expect(err.message).to.match(/private address/);
+    });
+  });
+
+  it('should not follow the host names resolving to a private address among other ones', function() {
+    const dns = require('dns');
+
+    // as resolved when node asks for all the addresses
+    sinon.stub(dns, 'lookup', (hostname, options, callback) => callback(null, [{address: '8.8.8.8', family: 4}, {address: '127.0.0.1', family: 4}]));
+
+    return getFetcher({})(`http://public.example.org:${server.address().port}/opengraph`).then(() => Promise.reject(new Error('should have failed')), err => {
+      expect(err.message).to.match(/private address/);
+    }).finally(() => dns.lookup.restore());
+  });
+
+  it('should reject once the deadline is reached even when the server keeps sending data', function() {
+    const CONSTANTS = require('../../../../backend/lib/constants');
+
+    CONSTANTS.LINK_PREVIEW.TIMEOUT = 200;
+
+    return getFetcher()(`${baseUrl}/slow`).then(() => Promise.reject(new Error('should have failed')), err => {
+      expect(err.message).to.match(/timeout/);
+    });
+  });
+
+  describe('The isPrivateAddress function', function() {
+    it('should tell the loopback and private addresses', function() {
+      const isPrivateAddress = require('../../../../backend/lib/link-preview/fetcher').isPrivateAddress;
+
+      ['127.0.0.1', '10.1.2.3', '100.64.0.1', '100.127.255.254', '172.16.0.1', '192.168.1.1', '169.254.169.254', '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1'].forEach(address => {
+        expect(isPrivateAddress(address), address).to.be.true;
+      });
+      ['8.8.8.8', '100.63.0.1', '100.128.0.1', '172.32.0.1', '2001:4860:4860::8888'].forEach(address => {
+        expect(isPrivateAddress(address), address).to.be.false;
+      });
+    });
+  });
+});
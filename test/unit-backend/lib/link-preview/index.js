@@ -0,0 +1,246 @@
+'use strict';
+
+const sinon = require('sinon');
+const expect = require('chai').expect;
+const Q = require('q');
+const CONSTANTS = require('../../../../backend/lib/constants');
+const MESSAGE_SAVED = CONSTANTS.NOTIFICATIONS.MESSAGE_SAVED;
+const MESSAGE_UPDATED = CONSTANTS.NOTIFICATIONS.MESSAGE_UPDATED;
+
+describe('The linagora.esn.chat link-preview lib', function() {
+  let deps, modelsMock, cached, updated, topics, globalTopic, fetcher;
+
+  function dependencies(name) {
+    return deps[name];
+  }
+
+  function getModule() {
+    const module = require('../../../../backend/lib/link-preview')(dependencies);
+
+    module.registerFetcher(fetcher);
+
+    return module;
+  }
+
+  function query(result) {
+    const mongoQuery = {
+      populate: sinon.spy(() => mongoQuery),
+      exec: () => Q.when(result())
+    };
+
+    return mongoQuery;
+  }
+
+  function cachedPreview(preview) {
+    return Object.assign({toObject: () => Object.assign({_id: 'cacheId'}, preview)}, preview);
+  }
+
+  beforeEach(function() {
+    cached = {};
+    updated = null;
+    topics = {};
+    globalTopic = {publish: sinon.spy()};
+    fetcher = sinon.spy(url => Q.when({title: `Title of ${url}`}));
+
+    modelsMock = {
+      ChatMessage: {
+        findOneAndUpdate: sinon.spy(() => query(() => updated))
+      },
+      ChatLinkPreview: {
+        findOne: sinon.spy(condition => query(() => cached[condition.url] || null)),
+        findOneAndUpdate: sinon.spy((condition, update) => query(() => cachedPreview(Object.assign({url: condition.url}, update.$set))))
+      }
+    };
+
+    deps = {
+      logger: {
+        debug: () => {},
+        error: () => {}
+      },
+      db: {
+        mongo: {
+          mongoose: {
+            model: type => modelsMock[type]
+          }
+        }
+      },
+      pubsub: {
+        local: {
+          topic: name => {
+            topics[name] = topics[name] || {subscribe: sinon.spy()};
+
+            return topics[name];
+          }
+        },
+        global: {
+          topic: sinon.spy(() => globalTopic)
+        }
+      }
+    };
+  });
+
+  describe('The extractUrls function', function() {
+    it('should get the distinct links of the text without the ending punctuation', function() {
+      const urls = getModule().extractUrls('See http://open-paas.org/chat, https://linagora.com. and (http://open-paas.org/chat) **http://a.org/b**');
+
+      expect(urls).to.deep.equal(['http://open-paas.org/chat', 'https://linagora.com', 'http://a.org/b']);
+    });
+
+    it('should not get more than MAX_PER_MESSAGE links', function() {
+      const urls = getModule().extractUrls('http://a.org http://b.org http://c.org http://d.org');
+
+      expect(urls).to.have.length(CONSTANTS.LINK_PREVIEW.MAX_PER_MESSAGE);
+    });
+
+    it('should not get the links of the code', function() {
+      expect(getModule().extractUrls('`http://a.org`\n```\nhttp://b.org\n```\nhttp://c.org')).to.deep.equal(['http://c.org']);
+    });
+  });
+
+  describe('The getPreview function', function() {
+    it('should resolve with the cached preview without fetching it', function() {
+      cached['http://a.org'] = cachedPreview({url: 'http://a.org', title: 'Cached', empty: false});
+
+      return getModule().getPreview('http://a.org').then(preview => {
+        expect(preview).to.deep.equal({url: 'http://a.org', title: 'Cached'});
+        expect(fetcher).to.not.have.been.called;
+      });
+    });
+
+    it('should resolve with null when the cached link has nothing to preview', function() {
+      cached['http://a.org'] = cachedPreview({url: 'http://a.org', empty: true});
+
+      return getModule().getPreview('http://a.org').then(preview => {
+        expect(preview).to.be.null;
+        expect(fetcher).to.not.have.been.called;
+      });
+    });
+
+    it('should fetch the preview and cache it', function() {
+      return getModule().getPreview('http://a.org').then(preview => {
+        expect(fetcher).to.have.been.calledWith('http://a.org');
+        expect(modelsMock.ChatLinkPreview.findOneAndUpdate).to.have.been.calledWith({url: 'http://a.org'}, {
+          $set: sinon.match({empty: false, title: 'Title of http://a.org'})
+        }, {new: true, upsert: true});
+        expect(preview).to.deep.equal({url: 'http://a.org', title: 'Title of http://a.org'});
+      });
+    });
+
+    it('should cache the links which can not be fetched', function() {
+      fetcher = sinon.spy(() => Q.reject(new Error('timeout')));
+
+      return getModule().getPreview('http://a.org').then(preview => {
+        expect(modelsMock.ChatLinkPreview.findOneAndUpdate).to.have.been.calledWith({url: 'http://a.org'}, {
+          $set: sinon.match({empty: true})
+        });
+        expect(preview).to.be.null;
+      });
+    });
+  });
+
+  describe('The previewMessage function', function() {
+    let message;
+
+    beforeEach(function() {
+      message = {_id: 'messageId', type: 'text', text: 'Look at http://a.org and http://b.org'};
+      updated = {toJSON: () => ({_id: 'messageId', channel: 'channelId', link_previews: []})};
+    });
+
+    it('should not update the message when there is no link', function() {
+      message.text = 'Hello';
+
+      return getModule().previewMessage(message).then(result => {
+        expect(result).to.be.null;
+        expect(modelsMock.ChatMessage.findOneAndUpdate).to.not.have.been.called;
+      });
+    });
+
+    it('should attach the previews to the message when it has not changed and publish it', function() {
+      fetcher = sinon.spy(url => Q.when(url === 'http://a.org' ? {title: 'A'} : null));
+
+      return getModule().previewMessage(message).then(result => {
+        expect(modelsMock.ChatMessage.findOneAndUpdate).to.have.been.calledWith({
+          _id: 'messageId',
+          text: message.text,
+          'timestamps.deletion': {$exists: false}
+        }, {
+          $set: {link_previews: [{url: 'http://a.org', title: 'A'}]}
+        }, {new: true});
+        expect(globalTopic.publish).to.have.been.calledWith({message: updated.toJSON()});
+        expect(result).to.deep.equal(updated.toJSON());
+      });
+    });
+
+    it('should keep the previews hidden for the users who removed them', function() {
+      message.link_previews = [{_id: 'previewId', url: 'http://a.org', title: 'Old', hidden_by: ['userId']}];
+      cached['http://a.org'] = cachedPreview({url: 'http://a.org', title: 'A', empty: false});
+      cached['http://b.org'] = cachedPreview({url: 'http://b.org', empty: true});
+
+      return getModule().previewMessage(message).then(() => {
+        expect(modelsMock.ChatMessage.findOneAndUpdate).to.have.been.calledWith(sinon.match.object, {
+          $set: {link_previews: [{_id: 'previewId', hidden_by: ['userId'], url: 'http://a.org', title: 'A'}]}
+        });
+      });
+    });
+
+    it('should remove the previews of the links which are not in the edited message anymore', function() {
+      message.text = 'No more link';
+      message.link_previews = [{_id: 'previewId', url: 'http://a.org', title: 'A'}];
+
+      return getModule().previewMessage(message).then(() => {
+        expect(modelsMock.ChatMessage.findOneAndUpdate).to.have.been.calledWith(sinon.match.object, {$set: {link_previews: []}});
+      });
+    });
+
+    it('should not publish the message when it has been edited or removed in the meantime', function() {
+      updated = null;
+
+      return getModule().previewMessage(message).then(result => {
+        expect(result).to.be.null;
+        expect(globalTopic.publish).to.not.have.been.called;
+      });
+    });
+  });
+
+  describe('The hide function', function() {
+    it('should hide the preview for the user and publish the message', function() {
+      updated = {toJSON: () => ({_id: 'messageId', link_previews: [{_id: 'previewId', hidden_by: ['userId']}]})};
+
+      return getModule().hide({_id: 'messageId'}, {_id: 'userId'}, 'previewId').then(result => {
+        expect(modelsMock.ChatMessage.findOneAndUpdate).to.have.been.calledWith({_id: 'messageId', 'link_previews._id': 'previewId'}, {
+          $addToSet: {'link_previews.$.hidden_by': 'userId'}
+        }, {new: true});
+        expect(globalTopic.publish).to.have.been.calledWith({message: updated.toJSON()});
+        expect(result).to.deep.equal(updated.toJSON());
+      });
+    });
+
+    it('should reject when the message does not have the preview', function() {
+      return getModule().hide({_id: 'messageId'}, {_id: 'userId'}, 'previewId').then(() => Q.reject(new Error('should have failed')), err => {
+        expect(err.message).to.equal('No such link preview previewId in message messageId');
+      });
+    });
+  });
+
+  describe('The start function', function() {
+    it('should preview the saved and the edited text messages', function() {
+      getModule().start();
+
+      const onMessage = topics[MESSAGE_SAVED].subscribe.firstCall.args[0];
+
+      expect(topics[MESSAGE_UPDATED].subscribe).to.have.been.calledWith(onMessage);
+
+      onMessage({_id: 'messageId', type: 'text', text: 'http://a.org'});
+
+      expect(modelsMock.ChatLinkPreview.findOne).to.have.been.calledWith({url: 'http://a.org'});
+    });
+
+    it('should not preview the system messages', function() {
+      getModule().start();
+
+      topics[MESSAGE_SAVED].subscribe.firstCall.args[0]({_id: 'messageId', type: 'text', subtype: CONSTANTS.MESSAGE_SUBTYPE.TOPIC_UPDATE, text: 'http://a.org'});
+
+      expect(modelsMock.ChatLinkPreview.findOne).to.not.have.been.called;
+    });
+  });
+});
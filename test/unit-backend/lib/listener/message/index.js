@@ -84,9 +84,6 @@ describe('The linagora.esn.chat lib message listener module', function() {
       mockery.registerMock('./handlers/mentions', function() {
         return function() {};
       });
-      mockery.registerMock('./forward/user-typing', function() {
-        return function() {};
-      });
     });
 
     it('should not save when message is forwardable', function(done) {
@@ -178,6 +175,30 @@ describe('The linagora.esn.chat lib message listener module', function() {
         messageReceivedListener(data);
       });
 
+      it('should save the parent of the message when it is a reply', function(done) {
+        user = {_id: 1};
+        data.message.parent = {_id: 'parentId'};
+        const conversationMock = {
+          getById: sinon.spy((id, callback) => callback(null, {members: [{_id: creator}]})),
+          permission: {
+            userCanWrite: () => Q.when(true)
+          }
+        };
+        const messageMock = {
+          create: sinon.spy((_m, callback) => callback(null, 'createMessageResult'))
+        };
+        const module = require('../../../../../backend/lib/listener/message')(dependencies, {conversation: conversationMock, message: messageMock});
+
+        module.start();
+
+        globalPublish = function() {
+          expect(messageMock.create).to.have.been.calledWith(sinon.match({parent: 'parentId'}));
+          done();
+        };
+
+        messageReceivedListener(data);
+      });
+
       it('should handle subscription of members to private conversation if there is a sent direct message', function(done) {
         user = { _id: creator };
         const conversationData = {
@@ -412,6 +433,158 @@ describe('The linagora.esn.chat lib message listener module', function() {
     });
   });
 
+  describe('The receiveMessage function', function() {
+    it('should save the message and resolve with the created message', function(done) {
+      user = {_id: 1};
+      const createdMessage = {_id: 'messageId', text: 'yolo'};
+      const conversationMock = {
+        getById: sinon.spy((id, callback) => callback(null, {_id: 'general', members: []})),
+        permission: {
+          userCanWrite: () => Q.when(true)
+        }
+      };
+      const messageMock = {
+        create: sinon.spy((_m, callback) => callback(null, createdMessage))
+      };
+      const module = require('../../../../../backend/lib/listener/message')(dependencies, {conversation: conversationMock, message: messageMock});
+
+      module.receiveMessage({message: {type: 'text', text: 'yolo', creator: '1', channel: 'general'}}).then(message => {
+        expect(message).to.equal(createdMessage);
+        expect(globalPublish).to.have.been.calledWith({message: createdMessage});
+        done();
+      }).catch(done);
+    });
+
+    it('should save the client_id of the message', function(done) {
+      user = {_id: 1};
+      const conversationMock = {
+        getById: sinon.spy((id, callback) => callback(null, {_id: 'general', members: []})),
+        permission: {
+          userCanWrite: () => Q.when(true)
+        }
+      };
+      const messageMock = {
+        getByClientId: sinon.spy((creator, clientId, callback) => callback()),
+        create: sinon.spy((_m, callback) => callback(null, {_id: 'messageId'}))
+      };
+      const module = require('../../../../../backend/lib/listener/message')(dependencies, {conversation: conversationMock, message: messageMock});
+
+      module.receiveMessage({message: {type: 'text', text: 'yolo', creator: '1', channel: 'general', client_id: 'clientId'}}).then(() => {
+        expect(messageMock.getByClientId).to.have.been.calledWith('1', 'clientId');
+        expect(messageMock.create).to.have.been.calledWith(sinon.match({client_id: 'clientId'}));
+        done();
+      }).catch(done);
+    });
+
+    it('should resolve with the already saved message and not save it again when client_id is known', function(done) {
+      const savedMessage = {_id: 'messageId', client_id: 'clientId'};
+      const messageMock = {
+        getByClientId: sinon.spy((creator, clientId, callback) => callback(null, savedMessage)),
+        create: sinon.spy()
+      };
+      const module = require('../../../../../backend/lib/listener/message')(dependencies, {conversation: {}, message: messageMock});
+
+      module.receiveMessage({message: {type: 'text', text: 'yolo', creator: '1', channel: 'general', client_id: 'clientId'}}).then(message => {
+        expect(message).to.equal(savedMessage);
+        expect(messageMock.create).to.not.have.been.called;
+        expect(globalPublish).to.not.have.been.called;
+        done();
+      }).catch(done);
+    });
+
+    it('should resolve with the message saved meanwhile when the client_id is a duplicate one', function(done) {
+      user = {_id: 1};
+      const savedMessage = {_id: 'messageId', client_id: 'clientId'};
+      const conversationMock = {
+        getById: sinon.spy((id, callback) => callback(null, {_id: 'general', members: []})),
+        permission: {
+          userCanWrite: () => Q.when(true)
+        }
+      };
+      const messageMock = {
+        getByClientId: sinon.stub(),
+        create: sinon.spy((_m, callback) => callback(Object.assign(new Error('E11000 duplicate key error'), {code: 11000})))
+      };
+
+      messageMock.getByClientId.onFirstCall().yields();
+      messageMock.getByClientId.onSecondCall().yields(null, savedMessage);
+
+      const module = require('../../../../../backend/lib/listener/message')(dependencies, {conversation: conversationMock, message: messageMock});
+
+      module.receiveMessage({message: {type: 'text', text: 'yolo', creator: '1', channel: 'general', client_id: 'clientId'}}).then(message => {
+        expect(message).to.equal(savedMessage);
+        expect(messageMock.getByClientId).to.have.been.calledTwice;
+        expect(globalPublish).to.not.have.been.called;
+        done();
+      }).catch(done);
+    });
+
+    it('should reject on duplicate key errors when the message has no client_id', function(done) {
+      user = {_id: 1};
+      const error = Object.assign(new Error('E11000 duplicate key error'), {code: 11000});
+      const conversationMock = {
+        getById: sinon.spy((id, callback) => callback(null, {_id: 'general', members: []})),
+        permission: {
+          userCanWrite: () => Q.when(true)
+        }
+      };
+      const messageMock = {
+        getByClientId: sinon.spy(),
+        create: sinon.spy((_m, callback) => callback(error))
+      };
+      const module = require('../../../../../backend/lib/listener/message')(dependencies, {conversation: conversationMock, message: messageMock});
+
+      module.receiveMessage({message: {type: 'text', text: 'yolo', creator: '1', channel: 'general'}}).then(() => done(new Error('should not resolve')), err => {
+        expect(err).to.equal(error);
+        expect(messageMock.getByClientId).to.not.have.been.called;
+        done();
+      }).catch(done);
+    });
+
+    it('should reject with a conflict when the duplicate message can not be found', function(done) {
+      user = {_id: 1};
+      const errors = require('../../../../../backend/lib/errors');
+      const conversationMock = {
+        getById: sinon.spy((id, callback) => callback(null, {_id: 'general', members: []})),
+        permission: {
+          userCanWrite: () => Q.when(true)
+        }
+      };
+      const messageMock = {
+        getByClientId: sinon.spy((creator, clientId, callback) => callback()),
+        create: sinon.spy((_m, callback) => callback(Object.assign(new Error('E11000 duplicate key error'), {code: 11000})))
+      };
+      const module = require('../../../../../backend/lib/listener/message')(dependencies, {conversation: conversationMock, message: messageMock});
+
+      module.receiveMessage({message: {type: 'text', text: 'yolo', creator: '1', channel: 'general', client_id: 'clientId'}}).then(() => done(new Error('should not resolve')), err => {
+        expect(err).to.be.an.instanceof(errors.ConflictError);
+        expect(err.message).to.equal('Message clientId has already been sent');
+        done();
+      }).catch(done);
+    });
+
+    it('should reject with a forbidden error when the user can not write in the conversation', function(done) {
+      user = {_id: 1};
+      const errors = require('../../../../../backend/lib/errors');
+      const conversationMock = {
+        getById: sinon.spy((id, callback) => callback(null, {_id: 'general', members: []})),
+        permission: {
+          userCanWrite: () => Q.when(false)
+        }
+      };
+      const messageMock = {
+        create: sinon.spy()
+      };
+      const module = require('../../../../../backend/lib/listener/message')(dependencies, {conversation: conversationMock, message: messageMock});
+
+      module.receiveMessage({message: {type: 'text', text: 'yolo', creator: '1', channel: 'general'}}).then(() => done(new Error('should not resolve')), err => {
+        expect(err).to.be.an.instanceof(errors.ForbiddenError);
+        expect(messageMock.create).to.not.have.been.called;
+        done();
+      }).catch(done);
+    });
+  });
+
   describe('The handleMessage function', function() {
 
     var module;
@@ -0,0 +1,123 @@
+'use strict';
+
+const sinon = require('sinon');
+const expect = require('chai').expect;
+const CONSTANTS = require('../../../../../backend/lib/constants');
+
+describe('The pin message system message handler', function() {
+
+  let clock, deps, dependencies, newMessageTopic, messagePinnedTopic, messageUnpinnedTopic, userId, conversationId, timestamp;
+
+  beforeEach(function() {
+    dependencies = function(name) {
+      return deps[name];
+    };
+
+    clock = sinon.useFakeTimers();
+    userId = '456';
+    conversationId = '789';
+    timestamp = Date.now();
+
+    newMessageTopic = {
+      subscribe: sinon.spy(),
+      publish: sinon.spy()
+    };
+
+    messagePinnedTopic = {
+      subscribe: sinon.spy(),
+      publish: sinon.spy()
+    };
+
+    messageUnpinnedTopic = {
+      subscribe: sinon.spy(),
+      publish: sinon.spy()
+    };
+
+    deps = {
+      logger: {
+        /*eslint no-console: ["error", { allow: ["log"] }] */
+        error: console.log,
+        info: console.log,
+        debug: console.log
+      },
+      pubsub: {
+        local: {
+          topic: function(name) {
+            if (name === CONSTANTS.NOTIFICATIONS.MESSAGE_RECEIVED) {
+              return newMessageTopic;
+            } else if (name === CONSTANTS.NOTIFICATIONS.MESSAGE_PINNED) {
+              return messagePinnedTopic;
+            } else if (name === CONSTANTS.NOTIFICATIONS.MESSAGE_UNPINNED) {
+              return messageUnpinnedTopic;
+            }
+          }
+        }
+      }
+    };
+  });
+
+  afterEach(function() {
+    clock.restore();
+  });
+
+  describe('The start function', function() {
+    it('should subscribe to MESSAGE_PINNED and MESSAGE_UNPINNED topics', function() {
+      const module = require('../../../../../backend/lib/listener/system/pin-message')(dependencies);
+
+      module.start();
+
+      expect(messagePinnedTopic.subscribe).to.have.been.calledOnce;
+      expect(messageUnpinnedTopic.subscribe).to.have.been.calledOnce;
+    });
+
+    it('should publish event on MESSAGE_RECEIVED topic with pin message when a message has been pinned', function() {
+      let handler;
+
+      messagePinnedTopic.subscribe = function(callback) {
+        handler = callback;
+      };
+
+      const module = require('../../../../../backend/lib/listener/system/pin-message')(dependencies);
+
+      module.start();
+      handler({userId, conversationId, messageId: '123'});
+
+      expect(newMessageTopic.publish).to.have.been.calledWith({
+        message: {
+          text: `<%@${userId}%> pinned a message.`,
+          type: 'text',
+          subtype: CONSTANTS.MESSAGE_SUBTYPE.MESSAGE_PIN,
+          creator: userId,
+          channel: conversationId,
+          user_mentions: [userId],
+          timestamps: {creation: timestamp}
+        }
+      });
+    });
+
+    it('should publish event on MESSAGE_RECEIVED topic with unpin message when a message has been unpinned', function() {
+      let handler;
+
+      messageUnpinnedTopic.subscribe = function(callback) {
+        handler = callback;
+      };
+
+      const module = require('../../../../../backend/lib/listener/system/pin-message')(dependencies);
+
+      module.start();
+      handler({userId, conversationId, messageId: '123'});
+
+      expect(newMessageTopic.publish).to.have.been.calledWith({
+        message: {
+          text: `<%@${userId}%> unpinned a message.`,
+          type: 'text',
+          subtype: CONSTANTS.MESSAGE_SUBTYPE.MESSAGE_UNPIN,
+          creator: userId,
+          channel: conversationId,
+          user_mentions: [userId],
+          timestamps: {creation: timestamp}
+        }
+      });
+    });
+  });
+});
@@ -10,6 +10,20 @@ describe('The message-utils module', function() {
     messageUtils = require('../../../backend/lib/message-utils');
   });
 
+  describe('The isDeletedMessage function', function() {
+    it('should return false when message is undefined', function() {
+      expect(messageUtils.isDeletedMessage()).to.be.false;
+    });
+
+    it('should return false when message has no deletion timestamp', function() {
+      expect(messageUtils.isDeletedMessage({timestamps: {creation: 1}})).to.be.false;
+    });
+
+    it('should return true when message has a deletion timestamp', function() {
+      expect(messageUtils.isDeletedMessage({timestamps: {creation: 1, deletion: 2}})).to.be.true;
+    });
+  });
+
   describe('The isSystemMessage function', function() {
     it('should return false when message is undefined', function() {
       expect(messageUtils.isSystemMessage()).to.be.false;
@@ -29,4 +43,26 @@ describe('The message-utils module', function() {
       });
     });
   });
+
+  describe('The toPlainText function', function() {
+    it('should return an empty string when text is undefined', function() {
+      expect(messageUtils.toPlainText()).to.equal('');
+    });
+
+    it('should remove the emphasis markup', function() {
+      expect(messageUtils.toPlainText('**bold** *italic* _italic_ ~~deleted~~ ***both***')).to.equal('bold italic italic deleted both');
+    });
+
+    it('should keep the underscores inside words and the isolated delimiters', function() {
+      expect(messageUtils.toPlainText('snake_case_name 2 * 3 * 4 **unclosed')).to.equal('snake_case_name 2 * 3 * 4 **unclosed');
+    });
+
+    it('should keep the content of the code as typed', function() {
+      expect(messageUtils.toPlainText('`a **b**` **c `d`**\n```\nvar _a_ = 1;\n```\nafter')).to.equal('a **b** c d\nvar _a_ = 1;\nafter');
+    });
+
+    it('should remove the block quote and list markers', function() {
+      expect(messageUtils.toPlainText('> quoted\n> > nested\n- one\n* two\n1. first\n2) second')).to.equal('quoted\nnested\none\ntwo\nfirst\nsecond');
+    });
+  });
 });
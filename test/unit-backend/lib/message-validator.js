@@ -0,0 +1,181 @@
+'use strict';
+
+const expect = require('chai').expect;
+const sinon = require('sinon');
+const Q = require('q');
+const CONSTANTS = require('../../../backend/lib/constants');
+
+describe('The linagora.esn.chat message validator lib', function() {
+  let filestore, meta, message, lib;
+
+  beforeEach(function() {
+    meta = {_id: 'fileId', metadata: {creator: {objectType: 'user', id: 'userId'}}};
+    filestore = {
+      getMeta: sinon.spy((id, callback) => callback(null, meta))
+    };
+    message = {
+      type: 'text',
+      text: 'Hello',
+      creator: 'userId',
+      channel: 'conversationId',
+      date: 1,
+      room: 'default'
+    };
+
+    lib = {
+      attachmentLimits: {
+        check: sinon.spy(() => Q.when())
+      }
+    };
+
+    this.moduleHelpers.addDep('filestore', filestore);
+  });
+
+  function getModule(dependencies) {
+    return require('../../../backend/lib/message-validator')(dependencies, lib);
+  }
+
+  it('should resolve with the message when it is valid', function() {
+    return expect(getModule(this.moduleHelpers.dependencies).validate(message)).to.eventually.deep.equal(message);
+  });
+
+  it('should drop the fields which can not be set by the sender', function() {
+    message.moderate = true;
+    message.timestamps = {creation: 0};
+    message.reactions = [{emoji: 'smile', user: 'anotherUserId'}];
+
+    return getModule(this.moduleHelpers.dependencies).validate(message).then(result => {
+      expect(result).to.not.have.property('moderate');
+      expect(result).to.not.have.property('timestamps');
+      expect(result).to.not.have.property('reactions');
+    });
+  });
+
+  it('should reject when message is not an object', function() {
+    return expect(getModule(this.moduleHelpers.dependencies).validate('Hello')).to.be.rejectedWith('Message must be an object');
+  });
+
+  it('should reject bot messages sent by a user', function() {
+    message.type = CONSTANTS.MESSAGE_TYPE.BOT;
+
+    return expect(getModule(this.moduleHelpers.dependencies).validate(message)).to.be.rejectedWith('Message type bot is not allowed');
+  });
+
+  it('should reject system messages sent by a user', function() {
+    message.subtype = CONSTANTS.MESSAGE_SUBTYPE.CONVERSATION_JOIN;
+
+    return expect(getModule(this.moduleHelpers.dependencies).validate(message)).to.be.rejectedWith('Message subtype conversation_join is not allowed');
+  });
+
+  it('should reject when text is not a string', function() {
+    message.text = {foo: 'bar'};
+
+    return expect(getModule(this.moduleHelpers.dependencies).validate(message)).to.be.rejectedWith('Message text must be a string');
+  });
+
+  it('should reject when text is too long', function() {
+    message.text = new Array(CONSTANTS.MESSAGE_VALIDATION.MAX_TEXT_LENGTH + 2).join('a');
+
+    return expect(getModule(this.moduleHelpers.dependencies).validate(message)).to.be.rejectedWith(`Message text can not exceed ${CONSTANTS.MESSAGE_VALIDATION.MAX_TEXT_LENGTH} characters`);
+  });
+
+  it('should keep the client_id of the message', function() {
+    message.client_id = 'a4f5c1e2-53a4-4b8c-9a3e-0c5e3c2f6d1b';
+
+    return expect(getModule(this.moduleHelpers.dependencies).validate(message)).to.eventually.have.property('client_id', message.client_id);
+  });
+
+  it('should reject when client_id is not a valid string', function() {
+    message.client_id = new Array(CONSTANTS.MESSAGE_VALIDATION.MAX_CLIENT_ID_LENGTH + 2).join('a');
+
+    return expect(getModule(this.moduleHelpers.dependencies).validate(message)).to.be.rejectedWith(`Message client_id must be a string of at most ${CONSTANTS.MESSAGE_VALIDATION.MAX_CLIENT_ID_LENGTH} characters`);
+  });
+
+  it('should not check the limits of the attachments when the message has none', function() {
+    return getModule(this.moduleHelpers.dependencies).validate(message).then(() => {
+      expect(lib.attachmentLimits.check).to.not.have.been.called;
+    });
+  });
+
+  describe('when message has attachments', function() {
+    beforeEach(function() {
+      message.type = CONSTANTS.MESSAGE_TYPE.FILE;
+      message.attachments = [{_id: 'fileId', name: 'foo.png', contentType: 'image/png', length: 10, url: 'http://evil'}];
+    });
+
+    it('should resolve with the sanitised attachments when they have been uploaded by the sender', function() {
+      return getModule(this.moduleHelpers.dependencies).validate(message).then(result => {
+        expect(filestore.getMeta).to.have.been.calledWith('fileId');
+        expect(result.attachments).to.deep.equal([{_id: 'fileId', name: 'foo.png', contentType: 'image/png', length: 10}]);
+      });
+    });
+
+    it('should reject when attachments is not an array', function() {
+      message.attachments = 'fileId';
+
+      return expect(getModule(this.moduleHelpers.dependencies).validate(message)).to.be.rejectedWith('Message attachments must be an array');
+    });
+
+    it('should keep the duration of the audio attachments', function() {
+      message.attachments = [{_id: 'fileId', name: 'voice-message.webm', contentType: 'audio/webm', length: 10, duration: 4.2}];
+
+      return getModule(this.moduleHelpers.dependencies).validate(message).then(result => {
+        expect(result.attachments).to.deep.equal([{_id: 'fileId', name: 'voice-message.webm', contentType: 'audio/webm', length: 10, duration: 4.2}]);
+      });
+    });
+
+    it('should reject when the duration of an attachment is not a positive number', function() {
+      message.attachments[0].duration = '4 seconds';
+
+      return expect(getModule(this.moduleHelpers.dependencies).validate(message)).to.be.rejectedWith('Attachment fileId duration must be a positive number of seconds');
+    });
+
+    it('should reject when the duration of an attachment is negative', function() {
+      message.attachments[0].duration = -1;
+
+      return expect(getModule(this.moduleHelpers.dependencies).validate(message)).to.be.rejectedWith('Attachment fileId duration must be a positive number of seconds');
+    });
+
+    it('should reject when an attachment has no _id', function() {
+      message.attachments = [{name: 'foo.png'}];
+
+      return expect(getModule(this.moduleHelpers.dependencies).validate(message)).to.be.rejectedWith('Message attachments must have an _id');
+    });
+
+    it('should reject when the file does not exist', function() {
+      meta = null;
+
+      return expect(getModule(this.moduleHelpers.dependencies).validate(message)).to.be.rejectedWith('Attachment fileId does not exist');
+    });
+
+    it('should reject when the file has been uploaded by someone else', function() {
+      meta.metadata.creator.id = 'anotherUserId';
+
+      return expect(getModule(this.moduleHelpers.dependencies).validate(message)).to.be.rejectedWith('Attachment fileId does not belong to the sender');
+    });
+
+    it('should take the content type and the length of the attachments from the filestore', function() {
+      meta.contentType = 'application/x-msdownload';
+      meta.length = 2048;
+
+      return getModule(this.moduleHelpers.dependencies).validate(message).then(result => {
+        const attachments = [{_id: 'fileId', name: 'foo.png', contentType: 'application/x-msdownload', length: 2048}];
+
+        expect(result.attachments).to.deep.equal(attachments);
+        expect(lib.attachmentLimits.check).to.have.been.calledWith('userId', 'conversationId', attachments);
+      });
+    });
+
+    it('should reject when the attachments do not fit in the limits of the domain', function() {
+      lib.attachmentLimits.check = sinon.spy(() => Q.reject(new Error('Attachments exceed the storage quota of 4096 bytes')));
+
+      return expect(getModule(this.moduleHelpers.dependencies).validate(message)).to.be.rejectedWith('Attachments exceed the storage quota of 4096 bytes');
+    });
+
+    it('should reject when the file can not be fetched', function() {
+      filestore.getMeta = sinon.spy((id, callback) => callback(new Error('failed')));
+
+      return expect(getModule(this.moduleHelpers.dependencies).validate(message)).to.be.rejectedWith('Can not check attachment fileId');
+    });
+  });
+});
@@ -10,13 +10,18 @@ const CONVERSATION_UPDATED = CONSTANTS.NOTIFICATIONS.CONVERSATION_UPDATED;
 const CONVERSATION_DELETED = CONSTANTS.NOTIFICATIONS.CONVERSATION_DELETED;
 const CONVERSATION_TOPIC_UPDATED = CONSTANTS.NOTIFICATIONS.CONVERSATION_TOPIC_UPDATED;
 const MESSAGE_SAVED = CONSTANTS.NOTIFICATIONS.MESSAGE_SAVED;
+const MESSAGE_UPDATED = CONSTANTS.NOTIFICATIONS.MESSAGE_UPDATED;
+const MESSAGE_REMOVED = CONSTANTS.NOTIFICATIONS.MESSAGE_REMOVED;
+const MESSAGE_REACTION_UPDATED = CONSTANTS.NOTIFICATIONS.MESSAGE_REACTION_UPDATED;
+const MESSAGE_PINNED = CONSTANTS.NOTIFICATIONS.MESSAGE_PINNED;
+const MESSAGE_UNPINNED = CONSTANTS.NOTIFICATIONS.MESSAGE_UNPINNED;
 const MEMBER_ADDED_IN_CONVERSATION = CONSTANTS.NOTIFICATIONS.MEMBER_ADDED_IN_CONVERSATION;
 const OBJECT_TYPE_USER = CONSTANTS.OBJECT_TYPES.USER;
 const OBJECT_TYPE_MESSAGE = CONSTANTS.OBJECT_TYPES.MESSAGE;
 const STAR_LINK_TYPE = CONSTANTS.STAR_LINK_TYPE;
 
 describe('The linagora.esn.chat message lib', function() {
-  let deps, logger, messageSavedTopic, channelCreationTopic, channelAddMember, modelsMock, ObjectIdMock, mq, channelTopicUpdateTopic, channelUpdateTopic, channelDeletionTopic, resourceLink;
+  let deps, logger, messageSavedTopic, channelCreationTopic, channelAddMember, modelsMock, ObjectIdMock, mq, channelTopicUpdateTopic, channelUpdateTopic, channelDeletionTopic, resourceLink, messageUpdatedTopic, globalMessageUpdatedTopic, messageRemovedTopic, globalMessageRemovedTopic, globalMessageReactionUpdatedTopic, messagePinnedTopic, messageUnpinnedTopic;
 
   function dependencies(name) {
     return deps[name];
@@ -28,6 +33,34 @@ describe('The linagora.esn.chat message lib', function() {
       publish: sinon.spy()
     };
 
+    messageUpdatedTopic = {
+      publish: sinon.spy()
+    };
+
+    globalMessageUpdatedTopic = {
+      publish: sinon.spy()
+    };
+
+    messageRemovedTopic = {
+      publish: sinon.spy()
+    };
+
+    globalMessageRemovedTopic = {
+      publish: sinon.spy()
+    };
+
+    globalMessageReactionUpdatedTopic = {
+      publish: sinon.spy()
+    };
+
+    messagePinnedTopic = {
+      publish: sinon.spy()
+    };
+
+    messageUnpinnedTopic = {
+      publish: sinon.spy()
+    };
+
     channelCreationTopic = {
       publish: sinon.spy()
     };
@@ -130,6 +163,18 @@ describe('The linagora.esn.chat message lib', function() {
             if (name === MESSAGE_SAVED) {
               return messageSavedTopic;
             }
+            if (name === MESSAGE_UPDATED) {
+              return messageUpdatedTopic;
+            }
+            if (name === MESSAGE_REMOVED) {
+              return messageRemovedTopic;
+            }
+            if (name === MESSAGE_PINNED) {
+              return messagePinnedTopic;
+            }
+            if (name === MESSAGE_UNPINNED) {
+              return messageUnpinnedTopic;
+            }
           }
         },
         global: {
@@ -149,6 +194,15 @@ describe('The linagora.esn.chat message lib', function() {
             if (name === CONVERSATION_DELETED) {
               return channelDeletionTopic;
             }
+            if (name === MESSAGE_UPDATED) {
+              return globalMessageUpdatedTopic;
+            }
+            if (name === MESSAGE_REMOVED) {
+              return globalMessageRemovedTopic;
+            }
+            if (name === MESSAGE_REACTION_UPDATED) {
+              return globalMessageReactionUpdatedTopic;
+            }
           }
         }
       }
@@ -264,107 +318,1095 @@ describe('The linagora.esn.chat message lib', function() {
 
       require('../../../backend/lib/message')(dependencies, lib).create(message, done);
     });
-  });
 
-  describe('The getForConversation function', function() {
+    describe('when the message is a reply', function() {
+      let lib, message, parent, updatedParent, conversation;
+
+      beforeEach(function() {
+        lib = {
+          conversation: {
+            markUserAsReadAllMessages: sinon.spy((userId, conversation, cb) => {
+              cb(null);
+            })
+          }
+        };
+        message = {id: 1, creator: 'userId', channel: 'channelId', parent: 'parentId', text: '', timestamps: {creation: '0405'}};
+        parent = {_id: 'parentId', channel: 'channelId', creator: 'parentCreatorId', timestamps: {creation: '0404'}};
+        updatedParent = {_id: 'parentId', creator: 'parentCreatorId', thread_participants: ['parentCreatorId', 'userId']};
+        conversation = {_id: 'channelId', numOfMessage: 42};
+
+        modelsMock.ChatMessage = {
+          findById: sinon.spy((id, cb) => cb(null, parent)),
+          findByIdAndUpdate: sinon.spy((id, update, options, cb) => cb(null, updatedParent)),
+          create: sinon.spy((message, cb) => {
+            message.toJSON = _.constant(message);
+            cb(null, message);
+          }),
+          populate: sinon.spy((message, fields, cb) => cb(null, message))
+        };
+        modelsMock.ChatConversation.findByIdAndUpdate = sinon.spy((id, update, options, cb) => cb(null, conversation));
+        modelsMock.ChatConversation.findById = sinon.spy((id, cb) => cb(null, conversation));
+      });
+
+      it('should update the thread of the parent message', function(done) {
+        require('../../../backend/lib/message')(dependencies, lib).create(message, err => {
+          expect(err).to.not.exist;
+          expect(modelsMock.ChatMessage.findByIdAndUpdate).to.have.been.calledWith('parentId', {
+            $inc: {reply_count: 1},
+            $set: {last_reply: {creator: 'userId', date: '0405'}},
+            $addToSet: {thread_participants: {$each: ['parentCreatorId', 'userId']}}
+          }, {new: true});
+          done();
+        });
+      });
+
+      it('should only add an unread reply to the other thread participants, without changing their read messages', function(done) {
+        require('../../../backend/lib/message')(dependencies, lib).create(message, err => {
+          expect(err).to.not.exist;
+          expect(modelsMock.ChatConversation.findByIdAndUpdate).to.have.been.calledOnce;
+          expect(modelsMock.ChatConversation.findByIdAndUpdate).to.have.been.calledWith('channelId', {
+            $inc: {'memberStates.parentCreatorId.numOfUnreadReplies': 1}
+          }, {new: true});
+          expect(lib.conversation.markUserAsReadAllMessages).to.have.been.calledWith('userId', conversation);
+          done();
+        });
+      });
+
+      it('should not update the conversation when the author is the only thread participant', function(done) {
+        updatedParent.thread_participants = ['userId'];
+
+        require('../../../backend/lib/message')(dependencies, lib).create(message, err => {
+          expect(err).to.not.exist;
+          expect(modelsMock.ChatConversation.findByIdAndUpdate).to.not.have.been.called;
+          expect(modelsMock.ChatConversation.findById).to.have.been.calledWith('channelId');
+          done();
+        });
+      });
+
+      it('should populate the parent thread information', function(done) {
+        require('../../../backend/lib/message')(dependencies, lib).create(message, err => {
+          expect(err).to.not.exist;
+          expect(modelsMock.ChatMessage.populate).to.have.been.calledWith(message, [
+            {path: 'user_mentions'},
+            {path: 'creator'},
+            {path: 'parent', select: 'reply_count last_reply thread_participants'}
+          ]);
+          done();
+        });
+      });
+
+      it('should fail when the parent message does not exist', function(done) {
+        parent = null;
+
+        require('../../../backend/lib/message')(dependencies, lib).create(message, err => {
+          expect(err).to.be.an.instanceof(require('../../../backend/lib/errors').NotFoundError);
+          expect(err.message).to.equal('Parent message parentId not found');
+          expect(modelsMock.ChatMessage.create).to.not.have.been.called;
+          done();
+        });
+      });
+
+      it('should fail when the parent message is itself a reply', function(done) {
+        parent.parent = 'anotherParentId';
+
+        require('../../../backend/lib/message')(dependencies, lib).create(message, err => {
+          expect(err).to.be.an.instanceof(require('../../../backend/lib/errors').InvalidError);
+          expect(err.message).to.equal('Invalid parent message parentId');
+          expect(modelsMock.ChatMessage.create).to.not.have.been.called;
+          done();
+        });
+      });
+
+      it('should fail when the parent message is in another conversation', function(done) {
+        parent.channel = 'anotherChannelId';
 
-    it('should call ChatMessage.find with the correct param and reverse the result', function(done) {
-      var id = 1;
-      var options = {_id: id};
-      var limit = 2;
-      var offset = 3;
-      var query = {_id: 1, foo: 'bar', limit: limit, offset: offset};
+        require('../../../backend/lib/message')(dependencies, lib).create(message, err => {
+          expect(err).to.be.an.instanceof(require('../../../backend/lib/errors').NotFoundError);
+          expect(err.message).to.equal('Parent message parentId not found');
+          expect(modelsMock.ChatMessage.create).to.not.have.been.called;
+          done();
+        });
+      });
 
-      var populateMock = sinon.spy();
-      var limitMock = sinon.spy();
-      var skipMock = sinon.spy();
-      var sortMock = sinon.spy();
-      var result = [1, 2];
+      it('should fail when the parent message has been removed', function(done) {
+        parent.timestamps.deletion = '0406';
+
+        require('../../../backend/lib/message')(dependencies, lib).create(message, err => {
+          expect(err.message).to.equal('Invalid parent message parentId');
+          expect(modelsMock.ChatMessage.create).to.not.have.been.called;
+          done();
+        });
+      });
+    });
+  });
+
+  describe('The edit function', function() {
+    let message, updated;
+
+    beforeEach(function() {
+      message = {
+        _id: 'messageId',
+        channel: 'channelId',
+        creator: 'userId',
+        text: 'Hello',
+        user_mentions: [{_id: 'mentionId'}],
+        timestamps: {creation: new Date(1000)}
+      };
+      updated = {
+        _id: 'messageId',
+        channel: 'channelId',
+        creator: 'userId',
+        text: 'Hello world',
+        user_mentions: [],
+        timestamps: {creation: message.timestamps.creation, edition: new Date(2000)},
+        toJSON: function() {
+          return {_id: 'messageId', text: 'Hello world'};
+        }
+      };
 
       modelsMock.ChatMessage = {
-        find: function(q) {
-          expect(q).to.deep.equal({channel: id, moderate: false});
+        findByIdAndUpdate: sinon.spy(function(id, update, options, callback) {
+          callback(null, updated);
+        }),
+        populate: sinon.spy(function(message, fields, callback) {
+          callback(null, message);
+        })
+      };
+    });
+
+    it('should update the text and push the previous version in the edition history', function(done) {
+      require('../../../backend/lib/message')(dependencies).edit(message, 'Hello world', err => {
+        expect(err).to.not.exist;
+        expect(modelsMock.ChatMessage.findByIdAndUpdate).to.have.been.calledWith('messageId', sinon.match({
+          $set: {text: 'Hello world', user_mentions: []},
+          $push: {edition_history: {text: 'Hello', user_mentions: ['mentionId'], date: message.timestamps.creation}}
+        }), {new: true});
+        expect(modelsMock.ChatMessage.findByIdAndUpdate.firstCall.args[1].$set['timestamps.edition']).to.be.a('date');
+        done();
+      });
+    });
+
+    it('should use the last edition date as date of the previous version', function(done) {
+      message.timestamps.edition = new Date(1500);
+
+      require('../../../backend/lib/message')(dependencies).edit(message, 'Hello world', err => {
+        expect(err).to.not.exist;
+        expect(modelsMock.ChatMessage.findByIdAndUpdate.firstCall.args[1].$push.edition_history.date).to.equal(message.timestamps.edition);
+        done();
+      });
+    });
+
+    it('should update the conversation last message only when it is the edited message', function(done) {
+      modelsMock.ChatConversation.update = sinon.spy(function(query, update, callback) {
+        callback();
+      });
+
+      require('../../../backend/lib/message')(dependencies).edit(message, 'Hello world', err => {
+        expect(err).to.not.exist;
+        expect(modelsMock.ChatConversation.update).to.have.been.calledWith({
+          _id: 'channelId',
+          'last_message.date': message.timestamps.creation,
+          'last_message.creator': 'userId'
+        }, {
+          $set: {
+            'last_message.text': 'Hello world',
+            'last_message.user_mentions': []
+          }
+        });
+        done();
+      });
+    });
+
+    it('should publish the updated message locally and the edited message globally', function(done) {
+      require('../../../backend/lib/message')(dependencies).edit(message, 'Hello world', (err, edited) => {
+        expect(err).to.not.exist;
+        expect(edited).to.deep.equal({_id: 'messageId', text: 'Hello world'});
+        expect(messageUpdatedTopic.publish).to.have.been.calledWith(updated);
+        expect(globalMessageUpdatedTopic.publish).to.have.been.calledWith({message: edited});
+        done();
+      });
+    });
+
+    it('should fail when message does not exist', function(done) {
+      modelsMock.ChatMessage.findByIdAndUpdate = sinon.spy(function(id, update, options, callback) {
+        callback();
+      });
+
+      require('../../../backend/lib/message')(dependencies).edit(message, 'Hello world', err => {
+        expect(err.message).to.equal('No such message messageId');
+        expect(messageUpdatedTopic.publish).to.not.have.been.called;
+        expect(globalMessageUpdatedTopic.publish).to.not.have.been.called;
+        done();
+      });
+    });
+  });
+
+  describe('The remove function', function() {
+    let message, removed, conversation, updatedConversation, previousMessage, user;
+
+    beforeEach(function() {
+      user = {_id: 'managerId'};
+      message = {
+        _id: 'messageId',
+        channel: 'channelId',
+        creator: {_id: 'userId'},
+        text: 'Hello @mentionId',
+        user_mentions: [{_id: 'mentionId'}],
+        timestamps: {creation: new Date(1000)}
+      };
+      removed = {
+        _id: 'messageId',
+        channel: 'channelId',
+        creator: 'userId',
+        text: '',
+        timestamps: {creation: message.timestamps.creation, deletion: new Date(2000)},
+        toJSON: function() {
+          return {_id: 'messageId', text: ''};
+        }
+      };
+      previousMessage = {
+        text: 'Previous',
+        creator: 'anotherUserId',
+        user_mentions: [],
+        timestamps: {creation: new Date(500)}
+      };
+      conversation = {
+        _id: 'channelId',
+        numOfMessage: 3,
+        last_message: {date: new Date(3000)},
+        memberStates: {
+          userId: {numOfReadMessages: 3},
+          mentionId: {numOfReadMessages: 1, numOfUnseenMentions: 1},
+          anotherUserId: {numOfReadMessages: 2, numOfUnseenMentions: 0}
+        }
+      };
+      updatedConversation = {_id: 'channelId', numOfMessage: 2, last_message: {}, memberStates: {}};
 
+      mq.exec = sinon.spy(function(callback) {
+        callback(null, updatedConversation);
+      });
+
+      modelsMock.ChatMessage = {
+        count: sinon.spy(function(query, callback) {
+          callback(null, 2);
+        }),
+        findOneAndUpdate: sinon.spy(function(query, update, options, callback) {
+          callback(null, removed);
+        }),
+        findOne: sinon.spy(function() {
           return {
-            populate: populateMock,
-            limit: limitMock,
-            skip: skipMock,
-            sort: sortMock,
-            exec: function(callback) {
-              expect(populateMock).to.have.been.calledWith('creator');
-              expect(populateMock).to.have.been.calledWith('user_mentions');
-              expect(limitMock).to.have.been.calledWith(limit);
-              expect(skipMock).to.have.been.calledWith(offset);
-              expect(sortMock).to.have.been.calledWith('-timestamps.creation');
-              callback(null, result.slice(0).reverse());
+            sort: function() {
+              return {
+                exec: function(callback) {
+                  callback(null, previousMessage);
+                }
+              };
             }
           };
-        }
+        }),
+        populate: sinon.spy(function(message, fields, callback) {
+          callback(null, message);
+        })
       };
+      modelsMock.ChatConversation.findById = sinon.spy(function(id, callback) {
+        callback(null, conversation);
+      });
+      modelsMock.ChatConversation.findByIdAndUpdate = sinon.spy(function() {
+        return mq;
+      });
+    });
 
-      require('../../../backend/lib/message')(dependencies).getForConversation(options, query, function(err, _result) {
-        expect(err).to.be.null;
-        expect(_result).to.be.deep.equal(result);
+    it('should clear the message content and set the deletion information', function(done) {
+      require('../../../backend/lib/message')(dependencies).remove(message, user, err => {
+        expect(err).to.not.exist;
+        expect(modelsMock.ChatMessage.count).to.have.been.calledWith({
+          channel: 'channelId',
+          parent: {$exists: false},
+          'timestamps.creation': {$lte: message.timestamps.creation},
+          'timestamps.deletion': {$exists: false}
+        });
+        expect(modelsMock.ChatMessage.findOneAndUpdate).to.have.been.calledWith({
+          _id: 'messageId',
+          'timestamps.deletion': {$exists: false}
+        }, sinon.match({
+          $set: {text: '', attachments: [], user_mentions: [], edition_history: [], link_previews: [], reactions: [], thread_participants: [], deleted_by: 'managerId'},
+          $unset: {pinned_by: '', 'timestamps.pin': '', reply_count: '', last_reply: ''}
+        }), {new: true});
+        expect(modelsMock.ChatMessage.findOneAndUpdate.firstCall.args[1].$set['timestamps.deletion']).to.be.a('date');
+        done();
+      });
+    });
+
+    it('should decrement the number of messages and the read counters of members who already read it', function(done) {
+      require('../../../backend/lib/message')(dependencies).remove(message, user, err => {
+        expect(err).to.not.exist;
+        expect(modelsMock.ChatConversation.findByIdAndUpdate).to.have.been.calledWith('channelId', {
+          $inc: {
+            numOfMessage: -1,
+            'memberStates.userId.numOfReadMessages': -1,
+            'memberStates.mentionId.numOfUnseenMentions': -1,
+            'memberStates.anotherUserId.numOfReadMessages': -1
+          }
+        }, {new: true});
         done();
       });
     });
 
-    it('should call ChatMessage.find with the before parameter', function(done) {
-      var id = 1;
-      var beforeId = 'beforeId';
-      var beforeTimestamp = 'beforeTimestamp';
-      var before = {_id: beforeId, timestamps: {creation: beforeTimestamp}};
-      var options = {_id: id};
-      var limit = 2;
-      var offset = 3;
-      var query = {_id: 1, foo: 'bar', limit: limit, offset: offset, before: beforeId};
+    it('should replace the conversation last message when the removed message was the last one', function(done) {
+      conversation.last_message.date = new Date(1000);
+
+      require('../../../backend/lib/message')(dependencies).remove(message, user, err => {
+        expect(err).to.not.exist;
+        expect(modelsMock.ChatMessage.findOne).to.have.been.calledWith({channel: 'channelId', parent: {$exists: false}, 'timestamps.deletion': {$exists: false}});
+        expect(modelsMock.ChatConversation.findByIdAndUpdate.firstCall.args[1].$set).to.deep.equal({
+          last_message: {
+            text: previousMessage.text,
+            date: previousMessage.timestamps.creation,
+            creator: previousMessage.creator,
+            user_mentions: previousMessage.user_mentions
+          }
+        });
+        done();
+      });
+    });
 
-      var populateMock = sinon.spy();
-      var limitMock = sinon.spy();
-      var skipMock = sinon.spy();
-      var sortMock = sinon.spy();
-      var whereMock = sinon.spy();
-      var result = [1, 2];
+    it('should unset the conversation last message when there is no message left', function(done) {
+      conversation.last_message.date = new Date(1000);
+      previousMessage = null;
 
-      modelsMock.ChatMessage = {
-        findById: function(id) {
-          expect(id).to.equal(beforeId);
+      require('../../../backend/lib/message')(dependencies).remove(message, user, err => {
+        expect(err).to.not.exist;
+        expect(modelsMock.ChatConversation.findByIdAndUpdate.firstCall.args[1].$unset).to.deep.equal({last_message: ''});
+        done();
+      });
+    });
 
+    it('should publish the tombstone locally and globally with the conversation counters', function(done) {
+      require('../../../backend/lib/message')(dependencies).remove(message, user, (err, tombstone) => {
+        expect(err).to.not.exist;
+        expect(tombstone).to.deep.equal({_id: 'messageId', text: ''});
+        expect(messageRemovedTopic.publish).to.have.been.calledWith(removed);
+        expect(globalMessageRemovedTopic.publish).to.have.been.calledWith({
+          message: tombstone,
+          conversation: {
+            _id: 'channelId',
+            last_message: updatedConversation.last_message,
+            memberStates: updatedConversation.memberStates,
+            numOfMessage: 2
+          }
+        });
+        done();
+      });
+    });
+
+    describe('when removing a reply', function() {
+      let parent, lastReply;
+
+      beforeEach(function() {
+        removed.parent = 'parentId';
+        lastReply = {creator: 'anotherUserId', timestamps: {creation: new Date(900)}};
+        parent = {_id: 'parentId', reply_count: 1, thread_participants: ['parentCreatorId', 'userId', 'mentionId', 'anotherUserId']};
+        conversation.memberStates.parentCreatorId = {numOfReadMessages: 3, numOfUnreadReplies: 2};
+        conversation.memberStates.anotherUserId.numOfUnreadReplies = 0;
+        conversation.memberStates.userId.numOfUnreadReplies = 1;
+
+        modelsMock.ChatMessage.findOne = sinon.spy(function() {
           return {
-            exec: function(callback) {
-              callback(null, before);
+            sort: function() {
+              return {
+                exec: function(callback) {
+                  callback(null, lastReply);
+                }
+              };
             }
           };
-        },
-        find: function(q) {
-          expect(q).to.deep.equal({channel: id, moderate: false});
+        });
+        modelsMock.ChatMessage.findOneAndUpdate = sinon.spy(function(query, update, options, callback) {
+          callback(null, query._id === 'parentId' ? parent : removed);
+        });
+        modelsMock.ChatConversation.findByIdAndUpdate = sinon.spy(function(id, update, options, callback) {
+          callback(null, updatedConversation);
+        });
+      });
 
-          return {
-            populate: populateMock,
-            limit: limitMock,
-            skip: skipMock,
-            sort: sortMock,
-            where: whereMock,
-            exec: function(callback) {
-              expect(populateMock).to.have.been.calledWith('creator');
-              expect(populateMock).to.have.been.calledWith('user_mentions');
-              expect(limitMock).to.have.been.calledWith(limit);
-              expect(skipMock).to.have.been.calledWith(offset);
-              expect(sortMock).to.have.been.calledWith('-timestamps.creation');
-              expect(whereMock).to.have.been.calledWith({'timestamps.creation': {$lt: beforeTimestamp}});
-              callback(null, result.slice(0).reverse());
+      it('should decrement the reply count of the parent and set its last reply', function(done) {
+        require('../../../backend/lib/message')(dependencies).remove(message, user, err => {
+          expect(err).to.not.exist;
+          expect(modelsMock.ChatMessage.findOne).to.have.been.calledWith({parent: 'parentId', 'timestamps.deletion': {$exists: false}});
+          expect(modelsMock.ChatMessage.findOneAndUpdate).to.have.been.calledWith(
+            {_id: 'parentId', 'timestamps.deletion': {$exists: false}},
+            {$inc: {reply_count: -1}, $set: {last_reply: {creator: 'anotherUserId', date: lastReply.timestamps.creation}}},
+            {new: true}
+          );
+          done();
+        });
+      });
+
+      it('should unset the last reply of the parent when there is no reply left', function(done) {
+        lastReply = null;
+
+        require('../../../backend/lib/message')(dependencies).remove(message, user, err => {
+          expect(err).to.not.exist;
+          expect(modelsMock.ChatMessage.findOneAndUpdate).to.have.been.calledWith(
+            {_id: 'parentId', 'timestamps.deletion': {$exists: false}},
+            {$inc: {reply_count: -1}, $unset: {last_reply: ''}}
+          );
+          done();
+        });
+      });
+
+      it('should decrement the unread replies of the other participants and publish the conversation counters', function(done) {
+        require('../../../backend/lib/message')(dependencies).remove(message, user, err => {
+          expect(err).to.not.exist;
+          expect(modelsMock.ChatConversation.findByIdAndUpdate).to.have.been.calledOnce;
+          expect(modelsMock.ChatConversation.findByIdAndUpdate).to.have.been.calledWith('channelId', {
+            $inc: {'memberStates.parentCreatorId.numOfUnreadReplies': -1}
+          }, {new: true});
+          expect(globalMessageRemovedTopic.publish).to.have.been.calledWith({
+            message: {_id: 'messageId', text: ''},
+            conversation: {
+              _id: 'channelId',
+              last_message: updatedConversation.last_message,
+              memberStates: updatedConversation.memberStates,
+              numOfMessage: 2
             }
-          };
-        }
+          });
+          done();
+        });
+      });
+
+      it('should not update the conversation when no participant has unread replies', function(done) {
+        conversation.memberStates.parentCreatorId.numOfUnreadReplies = 0;
+
+        require('../../../backend/lib/message')(dependencies).remove(message, user, err => {
+          expect(err).to.not.exist;
+          expect(modelsMock.ChatConversation.findByIdAndUpdate).to.not.have.been.called;
+          expect(globalMessageRemovedTopic.publish).to.have.been.calledWith(sinon.match({conversation: sinon.match({_id: 'channelId', numOfMessage: 3})}));
+          done();
+        });
+      });
+
+      it('should send the parent along with the tombstone', function(done) {
+        require('../../../backend/lib/message')(dependencies).remove(message, user, err => {
+          expect(err).to.not.exist;
+          expect(modelsMock.ChatMessage.populate).to.have.been.calledWith(removed, [{path: 'creator'}, {path: 'parent', select: 'reply_count last_reply thread_participants'}]);
+          done();
+        });
+      });
+
+      it('should not update anything else when the parent has been removed', function(done) {
+        parent = null;
+
+        require('../../../backend/lib/message')(dependencies).remove(message, user, err => {
+          expect(err).to.not.exist;
+          expect(modelsMock.ChatConversation.findById).to.not.have.been.called;
+          expect(globalMessageRemovedTopic.publish).to.have.been.calledWith({message: {_id: 'messageId', text: ''}, conversation: null});
+          done();
+        });
+      });
+    });
+
+    it('should fail when message does not exist or is already removed', function(done) {
+      removed = null;
+
+      require('../../../backend/lib/message')(dependencies).remove(message, user, err => {
+        expect(err.message).to.equal('No such message messageId');
+        expect(messageRemovedTopic.publish).to.not.have.been.called;
+        expect(globalMessageRemovedTopic.publish).to.not.have.been.called;
+        done();
+      });
+    });
+  });
+
+  describe('The getForConversation function', function() {
+    let queries, results, cursor;
+
+    function mockQuery() {
+      const result = results[queries.length] || [];
+      const query = {
+        where: sinon.spy(() => query),
+        populate: sinon.spy(() => query),
+        sort: sinon.spy(() => query),
+        skip: sinon.spy(() => query),
+        limit: sinon.spy(() => query),
+        exec: sinon.spy(() => Q.when(result.slice(0)))
       };
 
-      require('../../../backend/lib/message')(dependencies).getForConversation(options, query, function(err, _result) {
-        expect(err).to.be.null;
-        expect(_result).to.be.deep.equal(result);
+      queries.push(query);
+
+      return query;
+    }
+
+    function getForConversation(query) {
+      return Q.ninvoke(require('../../../backend/lib/message')(dependencies), 'getForConversation', 'conversationId', query);
+    }
+
+    function olderThan(id, operator = '$lt') {
+      return {$or: [{'timestamps.creation': {$lt: cursor.timestamps.creation}}, {'timestamps.creation': cursor.timestamps.creation, _id: {[operator]: id}}]};
+    }
+
+    function newerThan(id, operator = '$gt') {
+      return {$or: [{'timestamps.creation': {$gt: cursor.timestamps.creation}}, {'timestamps.creation': cursor.timestamps.creation, _id: {[operator]: id}}]};
+    }
+
+    beforeEach(function() {
+      queries = [];
+      results = [];
+      cursor = {timestamps: {creation: new Date(1000)}};
+
+      modelsMock.ChatMessage = {
+        find: sinon.spy(mockQuery),
+        findOne: sinon.spy(query => ({exec: () => Q.when(cursor && Object.assign({_id: query._id}, cursor))}))
+      };
+    });
+
+    it('should get the last messages of the conversation from the oldest one', function() {
+      results = [[2, 1]];
+
+      return getForConversation({limit: 2, offset: 3}).then(messages => {
+        expect(modelsMock.ChatMessage.find).to.have.been.calledWith({channel: 'conversationId', moderate: false, parent: {$exists: false}});
+        expect(queries[0].where).to.have.been.calledWith({});
+        expect(queries[0].populate).to.have.been.calledWith('creator');
+        expect(queries[0].populate).to.have.been.calledWith('user_mentions');
+        expect(queries[0].sort).to.have.been.calledWith({'timestamps.creation': -1, _id: -1});
+        expect(queries[0].skip).to.have.been.calledWith(3);
+        expect(queries[0].limit).to.have.been.calledWith(2);
+        expect(messages).to.deep.equal([1, 2]);
+      });
+    });
+
+    it('should use the default limit', function() {
+      return getForConversation({}).then(() => {
+        expect(queries[0].limit).to.have.been.calledWith(CONSTANTS.DEFAULT_LIMIT);
+        expect(queries[0].skip).to.have.been.calledWith(0);
+      });
+    });
+
+    it('should use the default values instead of the invalid ones', function() {
+      return getForConversation({limit: 'NaN', offset: '-3'}).then(() => {
+        expect(queries[0].limit).to.have.been.calledWith(CONSTANTS.DEFAULT_LIMIT);
+        expect(queries[0].skip).to.have.been.calledWith(0);
+      });
+    });
+
+    it('should cap the limit', function() {
+      return getForConversation({limit: '100000'}).then(() => {
+        expect(queries[0].limit).to.have.been.calledWith(CONSTANTS.MAX_LIMIT);
+      });
+    });
+
+    it('should get the messages older than the before one', function() {
+      results = [[2, 1]];
+
+      return getForConversation({limit: 2, before: 'beforeId'}).then(messages => {
+        expect(modelsMock.ChatMessage.findOne).to.have.been.calledWith({_id: 'beforeId', channel: 'conversationId'}, 'timestamps.creation');
+        expect(queries[0].where).to.have.been.calledWith(olderThan('beforeId'));
+        expect(queries[0].sort).to.have.been.calledWith({'timestamps.creation': -1, _id: -1});
+        expect(messages).to.deep.equal([1, 2]);
+      });
+    });
+
+    it('should get the messages newer than the after one from the oldest one', function() {
+      results = [[3, 4]];
+
+      return getForConversation({limit: 2, after: 'afterId'}).then(messages => {
+        expect(queries[0].where).to.have.been.calledWith(newerThan('afterId'));
+        expect(queries[0].sort).to.have.been.calledWith({'timestamps.creation': 1, _id: 1});
+        expect(queries[0].limit).to.have.been.calledWith(2);
+        expect(messages).to.deep.equal([3, 4]);
+      });
+    });
+
+    it('should get the older half of the page then the around message and the newer ones', function() {
+      results = [[2, 1], [3, 4, 5]];
+
+      return getForConversation({limit: 5, around: 'aroundId'}).then(messages => {
+        expect(queries[0].where).to.have.been.calledWith(olderThan('aroundId'));
+        expect(queries[0].sort).to.have.been.calledWith({'timestamps.creation': -1, _id: -1});
+        expect(queries[0].limit).to.have.been.calledWith(2);
+        expect(queries[1].where).to.have.been.calledWith(newerThan('aroundId', '$gte'));
+        expect(queries[1].sort).to.have.been.calledWith({'timestamps.creation': 1, _id: 1});
+        expect(queries[1].limit).to.have.been.calledWith(3);
+        expect(messages).to.deep.equal([1, 2, 3, 4, 5]);
+      });
+    });
+
+    it('should only get the around message when the limit is 1', function() {
+      results = [[3]];
+
+      return getForConversation({limit: 1, around: 'aroundId'}).then(messages => {
+        expect(queries).to.have.length(1);
+        expect(queries[0].where).to.have.been.calledWith(newerThan('aroundId', '$gte'));
+        expect(messages).to.deep.equal([3]);
+      });
+    });
+
+    it('should fail with a not found error when the cursor message is not in the conversation', function() {
+      cursor = null;
+
+      return getForConversation({after: 'afterId'}).then(() => {
+        throw new Error('should not resolve');
+      }, err => {
+        expect(err.status).to.equal(404);
+        expect(err.message).to.equal('No such message afterId');
+        expect(modelsMock.ChatMessage.find).to.not.have.been.called;
+      });
+    });
+
+    it('should fail when the messages can not be fetched', function() {
+      const error = new Error('failed');
+
+      modelsMock.ChatMessage.find = () => {
+        const query = mockQuery();
+
+        query.exec = () => Q.reject(error);
+
+        return query;
+      };
+
+      return getForConversation({before: 'beforeId'}).then(() => {
+        throw new Error('should not resolve');
+      }, err => {
+        expect(err).to.equal(error);
+      });
+    });
+  });
+
+  describe('The getReplies function', function() {
+    it('should get the replies of the message sorted by creation date', function(done) {
+      const replies = [1, 2];
+      const query = {
+        populate: sinon.spy(() => query),
+        sort: sinon.spy(() => query),
+        skip: sinon.spy(() => query),
+        limit: sinon.spy(() => query),
+        exec: callback => callback(null, replies)
+      };
+
+      modelsMock.ChatMessage = {
+        find: sinon.spy(() => query)
+      };
+
+      require('../../../backend/lib/message')(dependencies).getReplies({_id: 'parentId'}, {limit: '5', offset: '10'}, (err, result) => {
+        expect(err).to.not.exist;
+        expect(result).to.equal(replies);
+        expect(modelsMock.ChatMessage.find).to.have.been.calledWith({parent: 'parentId', moderate: false});
+        expect(query.populate).to.have.been.calledWith('creator');
+        expect(query.populate).to.have.been.calledWith('user_mentions');
+        expect(query.sort).to.have.been.calledWith('timestamps.creation');
+        expect(query.skip).to.have.been.calledWith(10);
+        expect(query.limit).to.have.been.calledWith(5);
+        done();
+      });
+    });
+
+    it('should use the default limit and offset when they are not numbers', function(done) {
+      const query = {
+        populate: sinon.spy(() => query),
+        sort: sinon.spy(() => query),
+        skip: sinon.spy(() => query),
+        limit: sinon.spy(() => query),
+        exec: callback => callback(null, [])
+      };
+
+      modelsMock.ChatMessage = {
+        find: sinon.spy(() => query)
+      };
+
+      require('../../../backend/lib/message')(dependencies).getReplies({_id: 'parentId'}, {limit: 'foo', offset: 'bar'}, err => {
+        expect(err).to.not.exist;
+        expect(query.skip).to.have.been.calledWith(CONSTANTS.DEFAULT_OFFSET);
+        expect(query.limit).to.have.been.calledWith(CONSTANTS.DEFAULT_LIMIT);
+        done();
+      });
+    });
+  });
+
+  describe('The getMissedForConversation function', function() {
+    let query, messages;
+
+    beforeEach(function() {
+      messages = [{toJSON: () => ({_id: 'message1'})}, {toJSON: () => ({_id: 'message2'})}];
+      query = {
+        populate: sinon.spy(() => query),
+        sort: sinon.spy(() => query),
+        limit: sinon.spy(() => query),
+        exec: sinon.spy(callback => callback(null, messages))
+      };
+      modelsMock.ChatMessage = {
+        find: sinon.spy(() => query)
+      };
+    });
+
+    it('should get the messages created after the given message in creation order', function(done) {
+      require('../../../backend/lib/message')(dependencies).getMissedForConversation({_id: 'conversationId'}, {messageId: 'messageId'}, 10, (err, result) => {
+        expect(err).to.not.exist;
+        expect(result).to.deep.equal([{_id: 'message1'}, {_id: 'message2'}]);
+        expect(modelsMock.ChatMessage.find).to.have.been.calledWith({channel: 'conversationId', moderate: false, _id: {$gt: 'messageId'}});
+        expect(query.populate).to.have.been.calledWith('creator');
+        expect(query.populate).to.have.been.calledWith('user_mentions');
+        expect(query.populate).to.have.been.calledWith('parent');
+        expect(query.sort).to.have.been.calledWith({'timestamps.creation': 1, _id: 1});
+        expect(query.limit).to.have.been.calledWith(10);
+        done();
+      });
+    });
+
+    it('should get the messages created after the given date', function(done) {
+      require('../../../backend/lib/message')(dependencies).getMissedForConversation('conversationId', {date: '2017-01-01T10:00:00.000Z'}, 10, err => {
+        expect(err).to.not.exist;
+        expect(modelsMock.ChatMessage.find).to.have.been.calledWith({
+          channel: 'conversationId',
+          moderate: false,
+          'timestamps.creation': {$gt: new Date('2017-01-01T10:00:00.000Z')}
+        });
+        done();
+      });
+    });
+
+    it('should fail when neither a message id nor a date is given', function(done) {
+      require('../../../backend/lib/message')(dependencies).getMissedForConversation('conversationId', {}, 10, err => {
+        expect(err.message).to.match(/A message id or a date is required/);
+        expect(modelsMock.ChatMessage.find).to.not.have.been.called;
+        done();
+      });
+    });
+  });
+
+  describe('The getByClientId function', function() {
+    let query, found;
+
+    beforeEach(function() {
+      found = {_id: 'messageId', client_id: 'clientId', toJSON: () => ({_id: 'messageId', client_id: 'clientId'})};
+      query = {
+        populate: sinon.spy(() => query),
+        exec: sinon.spy(callback => callback(null, found))
+      };
+      modelsMock.ChatMessage = {
+        findOne: sinon.spy(() => query)
+      };
+    });
+
+    it('should get the message of the creator having the given client id', function(done) {
+      require('../../../backend/lib/message')(dependencies).getByClientId('userId', 'clientId', (err, result) => {
+        expect(err).to.not.exist;
+        expect(result).to.deep.equal({_id: 'messageId', client_id: 'clientId'});
+        expect(modelsMock.ChatMessage.findOne).to.have.been.calledWith({creator: 'userId', client_id: 'clientId'});
+        expect(query.populate).to.have.been.calledWith('creator');
+        expect(query.populate).to.have.been.calledWith('user_mentions');
+        done();
+      });
+    });
+
+    it('should send back nothing when there is no such message', function(done) {
+      found = null;
+
+      require('../../../backend/lib/message')(dependencies).getByClientId('userId', 'clientId', (err, result) => {
+        expect(err).to.not.exist;
+        expect(result).to.not.exist;
         done();
       });
     });
+  });
+
+  describe('The toggleReaction function', function() {
+    let message, user, updated, json;
+
+    beforeEach(function() {
+      message = {_id: 'messageId', channel: 'channelId'};
+      user = {_id: 'userId'};
+      json = {_id: 'messageId', channel: 'channelId', text: 'Hello', reactions: [{emoji: 'smile', user: 'userId'}]};
+      updated = {toJSON: () => json};
+    });
 
+    it('should remove the reaction when user already reacted with the same emoji', function(done) {
+      modelsMock.ChatMessage = {
+        findOneAndUpdate: sinon.spy((query, update, options, callback) => callback(null, updated))
+      };
+
+      require('../../../backend/lib/message')(dependencies).toggleReaction(message, user, 'smile', (err, result) => {
+        expect(err).to.not.exist;
+        expect(result).to.equal(json);
+        expect(modelsMock.ChatMessage.findOneAndUpdate).to.have.been.calledOnce;
+        expect(modelsMock.ChatMessage.findOneAndUpdate).to.have.been.calledWith({
+          _id: 'messageId',
+          reactions: {$elemMatch: {emoji: 'smile', user: 'userId'}}
+        }, {
+          $pull: {reactions: {emoji: 'smile', user: 'userId'}}
+        }, {new: true});
+        done();
+      });
+    });
+
+    it('should add the reaction when user did not react with the emoji yet', function(done) {
+      modelsMock.ChatMessage = {
+        findOneAndUpdate: sinon.stub()
+      };
+      modelsMock.ChatMessage.findOneAndUpdate.onFirstCall().callsArgWith(3, null, null);
+      modelsMock.ChatMessage.findOneAndUpdate.onSecondCall().callsArgWith(3, null, updated);
+
+      require('../../../backend/lib/message')(dependencies).toggleReaction(message, user, 'smile', (err, result) => {
+        expect(err).to.not.exist;
+        expect(result).to.equal(json);
+        expect(modelsMock.ChatMessage.findOneAndUpdate.secondCall.args[0]).to.deep.equal({
+          _id: 'messageId',
+          'timestamps.deletion': {$exists: false},
+          reactions: {$not: {$elemMatch: {emoji: 'smile', user: 'userId'}}}
+        });
+        expect(modelsMock.ChatMessage.findOneAndUpdate.secondCall.args[1].$push.reactions).to.shallowDeepEqual({emoji: 'smile', user: 'userId'});
+        expect(modelsMock.ChatMessage.findOneAndUpdate.secondCall.args[1].$push.reactions.date).to.be.a('date');
+        done();
+      });
+    });
+
+    it('should publish the reactions of the message globally', function(done) {
+      modelsMock.ChatMessage = {
+        findOneAndUpdate: sinon.spy((query, update, options, callback) => callback(null, updated))
+      };
+
+      require('../../../backend/lib/message')(dependencies).toggleReaction(message, user, 'smile', err => {
+        expect(err).to.not.exist;
+        expect(globalMessageReactionUpdatedTopic.publish).to.have.been.calledWith({
+          message: {_id: 'messageId', channel: 'channelId', reactions: json.reactions}
+        });
+        done();
+      });
+    });
+
+    it('should not add the reaction twice when it has been added by a concurrent request', function(done) {
+      modelsMock.ChatMessage = {
+        findOneAndUpdate: sinon.spy((query, update, options, callback) => callback(null, null)),
+        findOne: sinon.spy((query, callback) => callback(null, updated))
+      };
+
+      require('../../../backend/lib/message')(dependencies).toggleReaction(message, user, 'smile', (err, result) => {
+        expect(err).to.not.exist;
+        expect(result).to.equal(json);
+        expect(modelsMock.ChatMessage.findOneAndUpdate).to.have.been.calledTwice;
+        expect(modelsMock.ChatMessage.findOne).to.have.been.calledWith({_id: 'messageId', 'timestamps.deletion': {$exists: false}});
+        expect(globalMessageReactionUpdatedTopic.publish).to.not.have.been.called;
+        done();
+      });
+    });
+
+    it('should fail when message does not exist or has been removed', function(done) {
+      modelsMock.ChatMessage = {
+        findOneAndUpdate: sinon.spy((query, update, options, callback) => callback(null, null)),
+        findOne: sinon.spy((query, callback) => callback(null, null))
+      };
+
+      require('../../../backend/lib/message')(dependencies).toggleReaction(message, user, 'smile', err => {
+        expect(err.message).to.equal('No such message messageId');
+        expect(globalMessageReactionUpdatedTopic.publish).to.not.have.been.called;
+        done();
+      });
+    });
+  });
+
+  describe('The pin function', function() {
+    let message, user, updated, json, query;
+
+    beforeEach(function() {
+      message = {_id: 'messageId', channel: 'channelId'};
+      user = {_id: 'userId'};
+      json = {_id: 'messageId', channel: 'channelId', pinned_by: 'userId'};
+      updated = {_id: 'messageId', channel: 'channelId', toJSON: () => json};
+      query = {
+        populate: sinon.spy(() => query),
+        exec: sinon.spy(callback => callback(null, updated))
+      };
+      modelsMock.ChatMessage = {
+        findOneAndUpdate: sinon.spy(() => query)
+      };
+    });
+
+    it('should pin the message when it is not pinned nor deleted', function(done) {
+      require('../../../backend/lib/message')(dependencies).pin(message, user, (err, result) => {
+        expect(err).to.not.exist;
+        expect(result).to.equal(json);
+        expect(modelsMock.ChatMessage.findOneAndUpdate).to.have.been.calledWith({
+          _id: 'messageId',
+          'timestamps.pin': {$exists: false},
+          'timestamps.deletion': {$exists: false}
+        }, sinon.match({$set: {pinned_by: 'userId', 'timestamps.pin': sinon.match.date}}), {new: true});
+        expect(query.populate).to.have.been.calledWith('creator');
+        expect(query.populate).to.have.been.calledWith('user_mentions');
+        done();
+      });
+    });
+
+    it('should publish the pinned message locally and the updated message globally', function(done) {
+      require('../../../backend/lib/message')(dependencies).pin(message, user, err => {
+        expect(err).to.not.exist;
+        expect(messagePinnedTopic.publish).to.have.been.calledWith({conversationId: 'channelId', messageId: 'messageId', userId: 'userId'});
+        expect(globalMessageUpdatedTopic.publish).to.have.been.calledWith({message: json});
+        done();
+      });
+    });
+
+    it('should fail when message can not be pinned', function(done) {
+      updated = null;
+
+      require('../../../backend/lib/message')(dependencies).pin(message, user, err => {
+        expect(err.message).to.equal('No such message messageId');
+        expect(messagePinnedTopic.publish).to.not.have.been.called;
+        expect(globalMessageUpdatedTopic.publish).to.not.have.been.called;
+        done();
+      });
+    });
+  });
+
+  describe('The unpin function', function() {
+    let message, user, updated, json, query;
+
+    beforeEach(function() {
+      message = {_id: 'messageId', channel: 'channelId'};
+      user = {_id: 'userId'};
+      json = {_id: 'messageId', channel: 'channelId'};
+      updated = {_id: 'messageId', channel: 'channelId', toJSON: () => json};
+      query = {
+        populate: sinon.spy(() => query),
+        exec: sinon.spy(callback => callback(null, updated))
+      };
+      modelsMock.ChatMessage = {
+        findOneAndUpdate: sinon.spy(() => query)
+      };
+    });
+
+    it('should unpin the pinned message and publish it', function(done) {
+      require('../../../backend/lib/message')(dependencies).unpin(message, user, (err, result) => {
+        expect(err).to.not.exist;
+        expect(result).to.equal(json);
+        expect(modelsMock.ChatMessage.findOneAndUpdate).to.have.been.calledWith({
+          _id: 'messageId',
+          'timestamps.pin': {$exists: true}
+        }, {$unset: {pinned_by: '', 'timestamps.pin': ''}}, {new: true});
+        expect(messageUnpinnedTopic.publish).to.have.been.calledWith({conversationId: 'channelId', messageId: 'messageId', userId: 'userId'});
+        expect(globalMessageUpdatedTopic.publish).to.have.been.calledWith({message: json});
+        done();
+      });
+    });
+
+    it('should fail when message is not pinned', function(done) {
+      updated = null;
+
+      require('../../../backend/lib/message')(dependencies).unpin(message, user, err => {
+        expect(err.message).to.equal('No such message messageId');
+        expect(messageUnpinnedTopic.publish).to.not.have.been.called;
+        done();
+      });
+    });
+  });
+
+  describe('The countPinned function', function() {
+    it('should count the pinned messages of the conversation', function(done) {
+      modelsMock.ChatMessage = {
+        count: sinon.spy((query, callback) => callback(null, 3))
+      };
+
+      require('../../../backend/lib/message')(dependencies).countPinned('channelId', (err, count) => {
+        expect(err).to.not.exist;
+        expect(count).to.equal(3);
+        expect(modelsMock.ChatMessage.count).to.have.been.calledWith({channel: 'channelId', 'timestamps.pin': {$exists: true}});
+        done();
+      });
+    });
+  });
+
+  describe('The getAttachmentsForConversation function', function() {
+    let attachments;
+
+    beforeEach(function() {
+      attachments = [{_id: 'attachment2'}, {_id: 'attachment1'}];
+      modelsMock.ChatMessage = {
+        aggregate: sinon.spy(() => ({
+          exec: callback => callback(null, attachments)
+        }))
+      };
+      deps.db.mongo.mongoose.Types.ObjectId = function(id) {
+        this.id = id;
+      };
+    });
+
+    it('should get a page of the sorted attachments, from the oldest to the newest one', function(done) {
+      require('../../../backend/lib/message')(dependencies).getAttachmentsForConversation('channelId', {offset: '20', limit: '10'}, (err, result) => {
+        expect(err).to.not.exist;
+        expect(result).to.deep.equal([{_id: 'attachment1'}, {_id: 'attachment2'}]);
+
+        const pipeline = modelsMock.ChatMessage.aggregate.firstCall.args[0];
+        const stages = pipeline.map(stage => Object.keys(stage)[0]);
+
+        expect(pipeline[0]).to.deep.equal({$match: {channel: 'channelId', moderate: false, attachments: {$gt: []}}});
+        // the page is taken once the attachments are sorted
+        expect(stages).to.deep.equal(['$match', '$unwind', '$match', '$group', '$sort', '$skip', '$limit']);
+        expect(pipeline[4]).to.deep.equal({$sort: {creation_date: -1, name: -1, _id: -1}});
+        expect(pipeline[5]).to.deep.equal({$skip: 20});
+        expect(pipeline[6]).to.deep.equal({$limit: 10});
+        done();
+      });
+    });
+
+    it('should keep the duration of the audio attachments', function(done) {
+      require('../../../backend/lib/message')(dependencies).getAttachmentsForConversation('channelId', {}, err => {
+        expect(err).to.not.exist;
+        expect(modelsMock.ChatMessage.aggregate.firstCall.args[0][3].$group.duration).to.deep.equal({$first: '$attachments.duration'});
+        done();
+      });
+    });
+
+    it('should filter the attachments by family, creator, dates and name', function(done) {
+      const query = {type: 'images', creator: 'userId', from: '2017-01-01T00:00:00.000Z', to: '2017-12-31T23:59:59.999Z', search: 'report (1).png'};
+
+      require('../../../backend/lib/message')(dependencies).getAttachmentsForConversation('channelId', query, err => {
+        expect(err).to.not.exist;
+
+        const pipeline = modelsMock.ChatMessage.aggregate.firstCall.args[0];
+        const messageMatch = pipeline[0].$match;
+        const attachmentMatch = pipeline[2].$match;
+
+        expect(messageMatch.creator.id).to.equal('userId');
+        expect(messageMatch['timestamps.creation']).to.deep.equal({$gte: new Date(query.from), $lte: new Date(query.to)});
+        expect(attachmentMatch['attachments.contentType']).to.deep.equal({$in: CONSTANTS.ATTACHMENT_FAMILIES.images});
+        expect(attachmentMatch['attachments.name'].test('Monthly REPORT (1).png')).to.be.true;
+        expect(attachmentMatch['attachments.name'].test('report 1.png')).to.be.false;
+        done();
+      });
+    });
+
+    it('should only filter on the given bound of the dates', function(done) {
+      require('../../../backend/lib/message')(dependencies).getAttachmentsForConversation('channelId', {from: '2017-01-01T00:00:00.000Z'}, err => {
+        expect(err).to.not.exist;
+        expect(modelsMock.ChatMessage.aggregate.firstCall.args[0][0].$match['timestamps.creation']).to.deep.equal({$gte: new Date('2017-01-01T00:00:00.000Z')});
+        done();
+      });
+    });
+  });
+
+  describe('The getPinnedForConversation function', function() {
+    it('should get the pinned messages of the conversation, most recently pinned first', function(done) {
+      const messages = [1, 2];
+      const query = {
+        populate: sinon.spy(() => query),
+        sort: sinon.spy(() => query),
+        skip: sinon.spy(() => query),
+        limit: sinon.spy(() => query),
+        exec: callback => callback(null, messages)
+      };
+
+      modelsMock.ChatMessage = {
+        find: sinon.spy(() => query)
+      };
+
+      require('../../../backend/lib/message')(dependencies).getPinnedForConversation('channelId', {limit: '5', offset: '10'}, (err, result) => {
+        expect(err).to.not.exist;
+        expect(result).to.equal(messages);
+        expect(modelsMock.ChatMessage.find).to.have.been.calledWith({channel: 'channelId', 'timestamps.pin': {$exists: true}});
+        expect(query.sort).to.have.been.calledWith('-timestamps.pin');
+        expect(query.skip).to.have.been.calledWith(10);
+        expect(query.limit).to.have.been.calledWith(5);
+        done();
+      });
+    });
   });
 
   describe('The isStarred function', function() {
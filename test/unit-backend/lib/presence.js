@@ -0,0 +1,278 @@
+'use strict';
+
+const sinon = require('sinon');
+const expect = require('chai').expect;
+const Q = require('q');
+const os = require('os');
+const CONSTANTS = require('../../../backend/lib/constants');
+const USER_PRESENCE = CONSTANTS.USER_PRESENCE;
+const USER_CONNECTION = CONSTANTS.NOTIFICATIONS.USER_CONNECTION;
+const USER_DISCONNECTION = CONSTANTS.NOTIFICATIONS.USER_DISCONNECTION;
+const USER_STATE = CONSTANTS.NOTIFICATIONS.USER_STATE;
+
+describe('The linagora.esn.chat presence lib', function() {
+  let deps, modelsMock, previous, current, topics, logger;
+
+  function dependencies(name) {
+    return deps[name];
+  }
+
+  function query(result) {
+    return {exec: sinon.spy(() => Q.when(result))};
+  }
+
+  function getModule() {
+    return require('../../../backend/lib/presence')(dependencies);
+  }
+
+  beforeEach(function() {
+    previous = null;
+    current = null;
+    topics = {};
+    logger = {error: sinon.spy()};
+
+    modelsMock = {
+      ChatPresenceNode: {
+        distinct: sinon.spy(() => query([])),
+        update: sinon.spy(() => query())
+      },
+      ChatUserPresence: {
+        findById: sinon.spy(() => query(current)),
+        findOneAndUpdate: sinon.spy(() => query(previous)),
+        update: sinon.spy(() => query())
+      }
+    };
+
+    deps = {
+      logger,
+      db: {
+        mongo: {
+          mongoose: {
+            model: type => modelsMock[type]
+          }
+        }
+      },
+      pubsub: {
+        global: {
+          topic: name => {
+            topics[name] = topics[name] || {publish: sinon.spy()};
+
+            return topics[name];
+          }
+        }
+      }
+    };
+  });
+
+  describe('The getStateOf function', function() {
+    it('should return offline when user has no connection', function() {
+      expect(getModule().getStateOf(null)).to.equal(USER_PRESENCE.OFFLINE);
+      expect(getModule().getStateOf({connections: [], do_not_disturb: true})).to.equal(USER_PRESENCE.OFFLINE);
+    });
+
+    it('should return dnd when a connected user enabled the do not disturb mode', function() {
+      expect(getModule().getStateOf({connections: [{away: true}], do_not_disturb: true})).to.equal(USER_PRESENCE.DO_NOT_DISTURB);
+    });
+
+    it('should return away when all the clients of the user are idle', function() {
+      expect(getModule().getStateOf({connections: [{away: true}, {away: true}]})).to.equal(USER_PRESENCE.AWAY);
+    });
+
+    it('should return online when one of the clients of the user is active', function() {
+      expect(getModule().getStateOf({connections: [{away: true}, {away: false}]})).to.equal(USER_PRESENCE.ONLINE);
+    });
+  });
+
+  describe('The connect function', function() {
+    it('should register the connection and publish the user is now online', function() {
+      current = {connections: [{socket: 'socketId'}]};
+
+      return getModule().connect('userId', 'socketId').then(state => {
+        expect(state).to.equal(USER_PRESENCE.ONLINE);
+        expect(modelsMock.ChatUserPresence.findOneAndUpdate).to.have.been.calledWith(
+          {_id: 'userId'},
+          {$push: {connections: {node: `${os.hostname()}:${process.pid}`, socket: 'socketId', away: false}}},
+          {upsert: true, new: false}
+        );
+        expect(topics[USER_CONNECTION].publish).to.have.been.calledWith({userId: 'userId'});
+        expect(topics[USER_STATE].publish).to.have.been.calledWith({userId: 'userId', state: USER_PRESENCE.ONLINE});
+      });
+    });
+
+    it('should not publish anything when the user was already online', function() {
+      previous = {connections: [{socket: 'otherSocketId'}]};
+      current = {connections: [{socket: 'otherSocketId'}, {socket: 'socketId'}]};
+
+      return getModule().connect('userId', 'socketId').then(state => {
+        expect(state).to.equal(USER_PRESENCE.ONLINE);
+        expect(topics).to.be.empty;
+      });
+    });
+  });
+
+  describe('The disconnect function', function() {
+    it('should unregister the connection and publish the user is offline when it was the last one', function() {
+      previous = {connections: [{socket: 'socketId'}]};
+      current = {connections: []};
+
+      return getModule().disconnect('userId', 'socketId').then(state => {
+        expect(state).to.equal(USER_PRESENCE.OFFLINE);
+        expect(modelsMock.ChatUserPresence.findOneAndUpdate).to.have.been.calledWith({_id: 'userId'}, sinon.match({$pull: {connections: {socket: 'socketId'}}}));
+        expect(topics[USER_DISCONNECTION].publish).to.have.been.calledWith({userId: 'userId'});
+        expect(topics[USER_STATE].publish).to.have.been.calledWith({userId: 'userId', state: USER_PRESENCE.OFFLINE});
+      });
+    });
+  });
+
+  describe('The setAway function', function() {
+    it('should flag the connection and publish the new state', function() {
+      previous = {connections: [{socket: 'socketId', away: false}]};
+      current = {connections: [{socket: 'socketId', away: true}]};
+
+      return getModule().setAway('userId', 'socketId', true).then(state => {
+        expect(state).to.equal(USER_PRESENCE.AWAY);
+        expect(modelsMock.ChatUserPresence.findOneAndUpdate).to.have.been.calledWith(
+          {_id: 'userId', 'connections.socket': 'socketId'},
+          {$set: {'connections.$.away': true}},
+          {upsert: false, new: false}
+        );
+        expect(topics[USER_CONNECTION]).to.not.exist;
+        expect(topics[USER_STATE].publish).to.have.been.calledWith({userId: 'userId', state: USER_PRESENCE.AWAY});
+      });
+    });
+
+    it('should not publish anything when the connection is not registered anymore', function() {
+      current = {connections: [{socket: 'otherSocketId', away: false}]};
+
+      return getModule().setAway('userId', 'socketId', true).then(state => {
+        expect(state).to.equal(USER_PRESENCE.ONLINE);
+        expect(topics).to.be.empty;
+      });
+    });
+  });
+
+  describe('The setDoNotDisturb function', function() {
+    it('should enable the do not disturb mode', function() {
+      previous = {connections: [{socket: 'socketId'}]};
+      current = {connections: [{socket: 'socketId'}], do_not_disturb: true};
+
+      return getModule().setDoNotDisturb('userId', true).then(state => {
+        expect(state).to.equal(USER_PRESENCE.DO_NOT_DISTURB);
+        expect(modelsMock.ChatUserPresence.findOneAndUpdate).to.have.been.calledWith({_id: 'userId'}, {$set: {do_not_disturb: true}});
+        expect(topics[USER_STATE].publish).to.have.been.calledWith({userId: 'userId', state: USER_PRESENCE.DO_NOT_DISTURB});
+      });
+    });
+  });
+
+  describe('The getState function', function() {
+    it('should resolve with the state of the user', function() {
+      const lastSeen = new Date();
+
+      current = {connections: [], timestamps: {last_seen: lastSeen}};
+
+      return getModule().getState('userId').then(state => {
+        expect(modelsMock.ChatUserPresence.findById).to.have.been.calledWith('userId');
+        expect(state).to.deep.equal({_id: 'userId', state: USER_PRESENCE.OFFLINE, last_seen: lastSeen});
+      });
+    });
+  });
+
+  describe('The start function', function() {
+    const NODE = `${os.hostname()}:${process.pid}`;
+    let clock, nodes, runningNodes, userIds;
+
+    beforeEach(function() {
+      clock = sinon.useFakeTimers('setInterval');
+      nodes = [];
+      runningNodes = [NODE];
+      userIds = [];
+      modelsMock.ChatPresenceNode.distinct = sinon.spy(() => query(runningNodes));
+      modelsMock.ChatUserPresence.distinct = sinon.spy(field => query(field === '_id' ? userIds : nodes));
+    });
+
+    afterEach(function() {
+      clock.restore();
+    });
+
+    it('should tell the node is running', function() {
+      return getModule().start().then(() => {
+        expect(modelsMock.ChatPresenceNode.update).to.have.been.calledWith(
+          {_id: NODE},
+          {$set: {'timestamps.heartbeat': sinon.match.date}},
+          {upsert: true}
+        );
+      });
+    });
+
+    it('should close the connections registered by a previous process of the current node and publish the users are offline', function() {
+      nodes = [NODE];
+      userIds = ['userId'];
+      previous = {connections: [{node: NODE, socket: 'socketId'}]};
+      current = {connections: []};
+
+      return getModule().start().then(() => {
+        expect(modelsMock.ChatUserPresence.distinct).to.have.been.calledWith('_id', {'connections.node': {$in: [NODE]}});
+        expect(modelsMock.ChatUserPresence.findOneAndUpdate).to.have.been.calledWith(
+          {_id: 'userId'},
+          {$pull: {connections: {node: {$in: [NODE]}}}, $set: {'timestamps.last_seen': sinon.match.date}}
+        );
+        expect(topics[USER_DISCONNECTION].publish).to.have.been.calledWith({userId: 'userId'});
+        expect(topics[USER_STATE].publish).to.have.been.calledWith({userId: 'userId', state: USER_PRESENCE.OFFLINE});
+      });
+    });
+
+    it('should close the connections of the nodes which stopped telling they are running', function() {
+      nodes = ['otherhost:1234', 'otherhost:5678', os.hostname()];
+      runningNodes = [NODE, 'otherhost:5678'];
+      userIds = ['userId'];
+
+      return getModule().start().then(() => {
+        expect(modelsMock.ChatPresenceNode.distinct).to.have.been.calledWith('_id', {'timestamps.heartbeat': {$gte: sinon.match.date}});
+        expect(modelsMock.ChatUserPresence.findOneAndUpdate).to.have.been.calledWith(
+          {_id: 'userId'},
+          sinon.match({$pull: {connections: {node: {$in: ['otherhost:1234', os.hostname()]}}}})
+        );
+      });
+    });
+
+    it('should keep the connections of the running nodes', function() {
+      nodes = ['otherhost:5678'];
+      runningNodes = [NODE, 'otherhost:5678'];
+
+      return getModule().start().then(() => {
+        expect(modelsMock.ChatUserPresence.findOneAndUpdate).to.not.have.been.called;
+      });
+    });
+
+    it('should periodically tell the node is running and close the connections of the stopped nodes except its own ones', function() {
+      const module = getModule();
+
+      return module.start().then(() => {
+        nodes = [NODE, 'otherhost:1234'];
+        runningNodes = [];
+        userIds = ['userId'];
+        modelsMock.ChatPresenceNode.update.reset();
+
+        clock.tick(CONSTANTS.PRESENCE.HEARTBEAT_INTERVAL);
+
+        return Q.delay(10);
+      }).then(() => {
+        expect(modelsMock.ChatPresenceNode.update).to.have.been.calledOnce;
+        expect(modelsMock.ChatUserPresence.findOneAndUpdate).to.have.been.calledWith(
+          {_id: 'userId'},
+          sinon.match({$pull: {connections: {node: {$in: ['otherhost:1234']}}}})
+        );
+      });
+    });
+
+    it('should log error when connections can not be closed', function() {
+      nodes = ['otherhost:1234'];
+      runningNodes = [];
+      modelsMock.ChatUserPresence.distinct = sinon.spy(() => ({exec: () => Q.reject(new Error('failed'))}));
+
+      return getModule().start().then(() => {
+        expect(logger.error).to.have.been.calledWith('Can not close the stale websocket connections');
+      });
+    });
+  });
+});
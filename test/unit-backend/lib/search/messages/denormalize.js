@@ -0,0 +1,56 @@
+'use strict';
+
+const expect = require('chai').expect;
+
+describe('The search messages denormalize module', function() {
+
+  let deps;
+
+  function dependencies(name) {
+    return deps[name];
+  }
+
+  function getModule() {
+    return require('../../../../../backend/lib/search/messages/denormalize')(dependencies);
+  }
+
+  beforeEach(function() {
+    function ChatMessage(message) {
+      this.message = message;
+    }
+
+    ChatMessage.prototype.toObject = function(options) {
+      const ret = Object.assign({}, this.message);
+
+      options.transform(this, ret);
+
+      return ret;
+    };
+
+    deps = {
+      db: {
+        mongo: {
+          mongoose: {
+            model: function() {
+              return ChatMessage;
+            }
+          }
+        }
+      }
+    };
+  });
+
+  describe('The denormalize function', function() {
+    it('should replace the _id by an id', function() {
+      const result = getModule().denormalize({_id: 'messageId', text: 'Hello'});
+
+      expect(result).to.deep.equal({id: 'messageId', text: 'Hello'});
+    });
+
+    it('should index the text without its formatting markup', function() {
+      const result = getModule().denormalize({_id: 'messageId', text: '> **Hello** _world_\n- `code`'});
+
+      expect(result.text).to.equal('Hello world\ncode');
+    });
+  });
+});
@@ -0,0 +1,197 @@
+'use strict';
+
+const sinon = require('sinon');
+const expect = require('chai').expect;
+const mongoose = require('mongoose');
+const Q = require('q');
+const PassThrough = require('stream').PassThrough;
+const CONSTANTS = require('../../../../backend/lib/constants');
+
+describe('The linagora.esn.chat thumbnail lib', function() {
+  let deps, modelsMock, files, cached, renderer, attachment;
+
+  function dependencies(name) {
+    return deps[name];
+  }
+
+  function getModule() {
+    const module = require('../../../../backend/lib/thumbnail')(dependencies);
+
+    module.registerRenderer(renderer);
+
+    return module;
+  }
+
+  function query(result) {
+    return {exec: () => Q.when(result())};
+  }
+
+  function fileStream(content) {
+    const stream = new PassThrough();
+
+    stream.end(content);
+
+    return stream;
+  }
+
+  beforeEach(function() {
+    files = {attachmentId: 'the image'};
+    cached = null;
+    attachment = {_id: 'attachmentId', name: 'photo.png', contentType: 'image/png', length: 1024};
+    renderer = sinon.spy(() => Q.when(Buffer.from('thumbnail')));
+
+    modelsMock = {
+      ChatThumbnail: {
+        findOne: sinon.spy(() => query(() => cached)),
+        findOneAndUpdate: sinon.spy((condition, update) => query(() => Object.assign({}, condition, update.$set)))
+      }
+    };
+
+    deps = {
+      logger: {
+        warn: () => {}
+      },
+      filestore: {
+        get: sinon.spy((id, callback) => {
+          const content = files[String(id)];
+
+          callback(null, content === undefined ? null : {_id: id}, content === undefined ? null : fileStream(content));
+        }),
+        store: sinon.spy((id, contentType, metadata, stream, options, callback) => {
+          const chunks = [];
+
+          stream.on('data', chunk => chunks.push(chunk));
+          stream.on('end', () => {
+            files[String(id)] = Buffer.concat(chunks);
+            callback(null, {_id: id});
+          });
+        })
+      },
+      db: {
+        mongo: {
+          mongoose: {
+            Types: {ObjectId: mongoose.Types.ObjectId},
+            model: type => modelsMock[type]
+          }
+        }
+      }
+    };
+  });
+
+  describe('The canPreview function', function() {
+    it('should allow the images and the PDF documents which are not too big', function() {
+      const module = getModule();
+
+      expect(module.canPreview({contentType: 'image/jpeg', length: 1024})).to.be.true;
+      expect(module.canPreview({contentType: 'application/pdf', length: 1024})).to.be.true;
+      expect(module.canPreview({contentType: 'image/png', length: CONSTANTS.THUMBNAIL.MAX_SOURCE_SIZE + 1})).to.be.false;
+    });
+
+    it('should allow the text files whatever their size', function() {
+      const module = getModule();
+
+      expect(module.canPreview({contentType: 'text/plain', length: CONSTANTS.THUMBNAIL.MAX_SOURCE_SIZE + 1})).to.be.true;
+      expect(module.canPreview({contentType: 'application/json', length: 1024})).to.be.true;
+    });
+
+    it('should not allow the other files', function() {
+      expect(getModule().canPreview({contentType: 'application/zip', length: 1024})).to.be.false;
+    });
+  });
+
+  describe('The getThumbnail function', function() {
+    it('should resolve with null when the attachment can not be previewed', function() {
+      attachment.contentType = 'application/zip';
+
+      return getModule().getThumbnail(attachment).then(thumbnail => {
+        expect(thumbnail).to.be.null;
+        expect(deps.filestore.get).to.not.have.been.called;
+      });
+    });
+
+    it('should resolve with the beginning of the text files', function() {
+      attachment.contentType = 'text/plain';
+      files.attachmentId = `${'a'.repeat(CONSTANTS.THUMBNAIL.TEXT_EXCERPT_SIZE - 1)}é and more`;
+
+      return getModule().getThumbnail(attachment).then(thumbnail => {
+        expect(thumbnail.contentType).to.equal('text/plain; charset=utf-8');
+        // the last character is cut in the middle
+        expect(thumbnail.data.toString('utf8')).to.equal('a'.repeat(CONSTANTS.THUMBNAIL.TEXT_EXCERPT_SIZE - 1));
+        expect(renderer).to.not.have.been.called;
+      });
+    });
+
+    it('should resolve with the cached thumbnail without rendering it', function() {
+      cached = {attachment: 'attachmentId', file: 'thumbnailId', empty: false};
+      files.thumbnailId = 'cached thumbnail';
+
+      return getModule().getThumbnail(attachment).then(thumbnail => {
+        expect(thumbnail.contentType).to.equal(CONSTANTS.THUMBNAIL.CONTENT_TYPE);
+        expect(thumbnail.data.toString('utf8')).to.equal('cached thumbnail');
+        expect(renderer).to.not.have.been.called;
+      });
+    });
+
+    it('should resolve with null when the attachment could not be rendered before', function() {
+      cached = {attachment: 'attachmentId', empty: true};
+
+      return getModule().getThumbnail(attachment).then(thumbnail => {
+        expect(thumbnail).to.be.null;
+        expect(renderer).to.not.have.been.called;
+      });
+    });
+
+    it('should render the thumbnail and cache it in the filestore', function() {
+      return getModule().getThumbnail(attachment).then(thumbnail => {
+        expect(renderer).to.have.been.calledWith(sinon.match.object, 'image/png');
+        expect(deps.filestore.store).to.have.been.calledWith(sinon.match.object, CONSTANTS.THUMBNAIL.CONTENT_TYPE, {thumbnail_of: 'attachmentId'});
+        expect(modelsMock.ChatThumbnail.findOneAndUpdate).to.have.been.calledWith({attachment: 'attachmentId'}, {
+          $set: sinon.match({file: deps.filestore.store.firstCall.args[0], empty: false})
+        }, {new: true, upsert: true});
+        expect(thumbnail.data.toString('utf8')).to.equal('thumbnail');
+      });
+    });
+
+    it('should render the thumbnail again when the cached file does not exist anymore', function() {
+      cached = {attachment: 'attachmentId', file: 'thumbnailId', empty: false};
+
+      return getModule().getThumbnail(attachment).then(thumbnail => {
+        expect(renderer).to.have.been.calledOnce;
+        expect(thumbnail.data.toString('utf8')).to.equal('thumbnail');
+      });
+    });
+
+    it('should render the attachment once for concurrent calls', function() {
+      const module = getModule();
+
+      return Q.all([module.getThumbnail(attachment), module.getThumbnail(attachment)]).then(thumbnails => {
+        expect(renderer).to.have.been.calledOnce;
+        expect(thumbnails[0].data).to.equal(thumbnails[1].data);
+      });
+    });
+
+    it('should remember the attachments which can not be rendered', function() {
+      renderer = sinon.spy(() => Q.reject(new Error('not an image')));
+
+      return getModule().getThumbnail(attachment).then(thumbnail => {
+        expect(thumbnail).to.be.null;
+        expect(deps.filestore.store).to.not.have.been.called;
+        expect(modelsMock.ChatThumbnail.findOneAndUpdate).to.have.been.calledWith({attachment: 'attachmentId'}, {
+          $set: sinon.match({empty: true})
+        });
+      });
+    });
+
+    it('should reject without remembering the attachment when the renderer can not run', function() {
+      const err = new Error('spawn convert ENOENT');
+
+      err.code = 'ENOENT';
+      renderer = sinon.spy(() => Q.reject(err));
+
+      return getModule().getThumbnail(attachment).then(() => Q.reject(new Error('should not resolve')), rejection => {
+        expect(rejection).to.equal(err);
+        expect(modelsMock.ChatThumbnail.findOneAndUpdate).to.not.have.been.called;
+      });
+    });
+  });
+});
@@ -0,0 +1,79 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const expect = require('chai').expect;
+const PassThrough = require('stream').PassThrough;
+const CONSTANTS = require('../../../../backend/lib/constants');
+
+describe('The linagora.esn.chat thumbnail renderer', function() {
+  let directory;
+
+  // the commands stand for ImageMagick: they write their arguments and their input
+  function getRenderer(script) {
+    const command = path.join(directory, 'convert');
+
+    fs.writeFileSync(command, `#!/bin/sh\n${script}\n`, {mode: 0o755});
+
+    return require('../../../../backend/lib/thumbnail/renderer')({command});
+  }
+
+  function source(content) {
+    const stream = new PassThrough();
+
+    stream.end(content);
+
+    return stream;
+  }
+
+  beforeEach(function() {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'chat-thumbnail-'));
+  });
+
+  afterEach(function() {
+    fs.readdirSync(directory).forEach(file => fs.unlinkSync(path.join(directory, file)));
+    fs.rmdirSync(directory);
+  });
+
+  it('should render the first frame of the images', function() {
+    const size = CONSTANTS.THUMBNAIL.SIZE;
+
+    return getRenderer('echo "$@"; cat')(source('image'), 'image/png').then(thumbnail => {
+      expect(thumbnail.toString('utf8')).to.equal(`png:-[0] -auto-orient -thumbnail ${size}x${size}> -background white -flatten -quality 85 jpeg:-\nimage`);
+    });
+  });
+
+  it('should read the images with the coder of their content type', function() {
+    return getRenderer('echo "$@"')(source('image'), 'image/jpeg').then(thumbnail => {
+      expect(thumbnail.toString('utf8')).to.match(/^jpeg:-\[0\] -auto-orient /);
+    });
+  });
+
+  it('should reject the content types which have no coder, without running the command', function() {
+    return getRenderer(`touch ${path.join(directory, 'ran')}`)(source('image'), 'image/svg+xml').then(() => Promise.reject(new Error('should not resolve')), err => {
+      expect(err.message).to.equal('Can not render the thumbnail of the image/svg+xml file: unsupported type');
+      expect(fs.existsSync(path.join(directory, 'ran'))).to.be.false;
+    });
+  });
+
+  it('should render the first page of the PDF documents', function() {
+    return getRenderer('echo "$@"')(source('document'), 'application/pdf').then(thumbnail => {
+      expect(thumbnail.toString('utf8')).to.match(/^-density 72 pdf:-\[0\] -auto-orient /);
+    });
+  });
+
+  it('should reject with the error output of the command when it fails', function() {
+    return getRenderer('cat > /dev/null; echo "not an image" >&2; exit 1')(source('image'), 'image/png').then(() => Promise.reject(new Error('should not resolve')), err => {
+      expect(err.message).to.equal('Can not render the thumbnail of the image/png file: not an image');
+    });
+  });
+
+  it('should reject when the command does not exist', function() {
+    const renderer = require('../../../../backend/lib/thumbnail/renderer')({command: path.join(directory, 'missing')});
+
+    return renderer(source('image'), 'image/png').then(() => Promise.reject(new Error('should not resolve')), err => {
+      expect(err.code).to.equal('ENOENT');
+    });
+  });
+});
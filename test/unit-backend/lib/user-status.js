@@ -0,0 +1,109 @@
+'use strict';
+
+const sinon = require('sinon');
+const expect = require('chai').expect;
+const Q = require('q');
+const CONSTANTS = require('../../../backend/lib/constants');
+const USER_STATUS_UPDATED = CONSTANTS.NOTIFICATIONS.USER_STATUS_UPDATED;
+
+describe('The linagora.esn.chat user-status lib', function() {
+  let deps, modelsMock, saved, topic;
+
+  function dependencies(name) {
+    return deps[name];
+  }
+
+  function getModule() {
+    return require('../../../backend/lib/user-status')(dependencies);
+  }
+
+  beforeEach(function() {
+    saved = null;
+    topic = {publish: sinon.spy()};
+
+    modelsMock = {
+      ChatUserStatus: {
+        findById: sinon.spy(() => ({exec: () => Q.when(saved)})),
+        findOneAndUpdate: sinon.spy(() => ({exec: () => Q.when(saved)})),
+        remove: sinon.spy(() => ({exec: () => Q.when()}))
+      }
+    };
+
+    deps = {
+      db: {
+        mongo: {
+          mongoose: {
+            model: type => modelsMock[type]
+          }
+        }
+      },
+      pubsub: {
+        global: {
+          topic: sinon.spy(() => topic)
+        }
+      }
+    };
+  });
+
+  describe('The get function', function() {
+    it('should resolve with the status of the user', function() {
+      saved = {text: 'In a meeting', expiration: new Date(Date.now() + 60000)};
+
+      return getModule().get('userId').then(status => {
+        expect(modelsMock.ChatUserStatus.findById).to.have.been.calledWith('userId');
+        expect(status).to.equal(saved);
+      });
+    });
+
+    it('should resolve with null when status has expired', function() {
+      saved = {text: 'In a meeting', expiration: new Date(Date.now() - 60000)};
+
+      return getModule().get('userId').then(status => {
+        expect(status).to.be.null;
+      });
+    });
+
+    it('should resolve with null when user does not have any status', function() {
+      return getModule().get('userId').then(status => {
+        expect(status).to.be.null;
+      });
+    });
+  });
+
+  describe('The set function', function() {
+    it('should save the status and publish it', function() {
+      const expiration = new Date(Date.now() + 60000);
+
+      saved = {text: 'In a meeting', emoji: 'calendar', expiration, toObject: () => ({text: 'In a meeting'})};
+
+      return getModule().set('userId', {text: 'In a meeting', emoji: 'calendar', expiration}).then(status => {
+        expect(status).to.equal(saved);
+        expect(modelsMock.ChatUserStatus.findOneAndUpdate).to.have.been.calledWith(
+          {_id: 'userId'},
+          {$set: {text: 'In a meeting', emoji: 'calendar', expiration, 'timestamps.creation': sinon.match.date}},
+          {new: true, upsert: true}
+        );
+        expect(deps.pubsub.global.topic).to.have.been.calledWith(USER_STATUS_UPDATED);
+        expect(topic.publish).to.have.been.calledWith({userId: 'userId', status: {text: 'In a meeting'}});
+      });
+    });
+
+    it('should remove the optional fields of the previous status', function() {
+      return getModule().set('userId', {text: 'In a meeting'}).then(() => {
+        expect(modelsMock.ChatUserStatus.findOneAndUpdate).to.have.been.calledWith(
+          {_id: 'userId'},
+          {$set: {text: 'In a meeting', 'timestamps.creation': sinon.match.date}, $unset: {emoji: '', expiration: ''}}
+        );
+      });
+    });
+  });
+
+  describe('The clear function', function() {
+    it('should remove the status and publish it has been cleared', function() {
+      return getModule().clear('userId').then(() => {
+        expect(modelsMock.ChatUserStatus.remove).to.have.been.calledWith({_id: 'userId'});
+        expect(topic.publish).to.have.been.calledWith({userId: 'userId', status: null});
+      });
+    });
+  });
+});
@@ -53,6 +53,9 @@ describe('The conversation controller', function() {
         find: sinon.spy(function(options, callback) {
           return callback(err, result);
         }),
+        hasReadReceipts: sinon.spy(function() {
+          return false;
+        }),
         removeMember: sinon.spy(function(channelId, userId, callback) {
           return callback(err, result);
         }),
@@ -69,6 +72,9 @@ describe('The conversation controller', function() {
         }
       },
       message: {
+        countPinned: sinon.spy(function(conversationId, callback) {
+          return callback(null, 2);
+        }),
         getAttachmentsForConversation: sinon.spy(function(conversationId, query, callback) {
           return callback(attachmentsForConversationErr, attachmentsForConversationResult);
         })
@@ -849,7 +855,8 @@ describe('The conversation controller', function() {
         creation_date: '2017-09-07T10:31:44.986Z',
         name: 'test2',
         contentType: 'application/octet-stream',
-        length: 517 }]
+        length: 517 }],
+        pinnedCount: 2
       };
 
       newestMembersResult.total_count = 3;
@@ -0,0 +1,66 @@
+'use strict';
+
+const expect = require('chai').expect;
+const sinon = require('sinon');
+const Q = require('q');
+const CONSTANTS = require('../../../../backend/lib/constants');
+
+describe('The domain controller', function() {
+  let lib, usage;
+
+  beforeEach(function() {
+    usage = {total_count: 3, list: [{user: 'userId', count: 2, size: 2048}]};
+
+    lib = {
+      attachmentLimits: {
+        getLimits: sinon.spy(() => Q.when(CONSTANTS.ATTACHMENT_LIMITS.DEFAULTS)),
+        getUsageForDomain: sinon.spy(() => Q.when(usage))
+      }
+    };
+  });
+
+  function getController(dependencies) {
+    return require('../../../../backend/webserver/controllers/domain')(dependencies, lib);
+  }
+
+  describe('The getAttachmentsUsage function', function() {
+    it('should send back the limits and the usage of the domain', function(done) {
+      const req = {domain: {_id: 'domainId'}, query: {limit: '10'}};
+      const res = {
+        header: sinon.spy(),
+        status: function(code) {
+          expect(code).to.equal(200);
+
+          return {
+            json: function(json) {
+              expect(lib.attachmentLimits.getLimits).to.have.been.calledWith('domainId');
+              expect(lib.attachmentLimits.getUsageForDomain).to.have.been.calledWith('domainId', req.query);
+              expect(res.header).to.have.been.calledWith('X-ESN-Items-Count', 3);
+              expect(json).to.deep.equal({limits: CONSTANTS.ATTACHMENT_LIMITS.DEFAULTS, usage: usage.list});
+              done();
+            }
+          };
+        }
+      };
+
+      getController(this.moduleHelpers.dependencies).getAttachmentsUsage(req, res);
+    });
+
+    it('should send back HTTP 500 when the usage can not be computed', function(done) {
+      lib.attachmentLimits.getUsageForDomain = sinon.spy(() => Q.reject(new Error('failed')));
+
+      getController(this.moduleHelpers.dependencies).getAttachmentsUsage({domain: {_id: 'domainId'}, query: {}}, {
+        status: function(code) {
+          expect(code).to.equal(500);
+
+          return {
+            json: function(json) {
+              expect(json.error.details).to.equal('Error while getting the attachments usage of domain domainId');
+              done();
+            }
+          };
+        }
+      });
+    });
+  });
+});
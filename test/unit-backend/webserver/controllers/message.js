@@ -16,6 +16,14 @@ describe('The message controller', function() {
     err = undefined;
     result = undefined;
 
+    this.moduleHelpers.addDep('db', {
+      mongo: {
+        mongoose: {
+          Types: {ObjectId: require('mongoose').Types.ObjectId}
+        }
+      }
+    });
+
     lib = {
       message: {
         getById: sinon.spy(function(id, callback) {
@@ -24,6 +32,9 @@ describe('The message controller', function() {
         getForConversation: sinon.spy(function(channel, options, callback) {
           return callback(err, result);
         }),
+        getReplies: sinon.spy(function(message, options, callback) {
+          return callback(err, result);
+        }),
         isStarredBy: function() {
           return Q.when();
         }
@@ -35,6 +46,213 @@ describe('The message controller', function() {
     return require('../../../../backend/webserver/controllers/message')(dependencies, lib);
   }
 
+  describe('The create function', function() {
+    let req, receiveMessage;
+
+    beforeEach(function() {
+      req = {
+        user: {_id: 'userId'},
+        conversation: {_id: 'conversationId'},
+        body: {text: 'Hello'}
+      };
+      receiveMessage = sinon.spy(function() {
+        return err ? Q.reject(err) : Q.when(result);
+      });
+      lib.listener = {
+        listeners: {
+          message: {receiveMessage}
+        }
+      };
+      lib.messageValidator = {
+        validate: sinon.spy(message => Q.when(message))
+      };
+    });
+
+    function expect400(details, done) {
+      return {
+        status: function(code) {
+          expect(code).to.equal(400);
+
+          return {
+            json: function(json) {
+              expect(json).to.deep.equal({error: {code: 400, message: 'Bad Request', details}});
+              expect(receiveMessage).to.not.have.been.called;
+              done();
+            }
+          };
+        }
+      };
+    }
+
+    it('should send back HTTP 400 when there is neither text nor attachments', function(done) {
+      req.body = {text: '  '};
+
+      getController(this.moduleHelpers.dependencies, lib).create(req, expect400('You should provide the text or the attachments of the message', done));
+    });
+
+    it('should send back HTTP 400 when message is not valid', function(done) {
+      req.body.attachments = [{_id: 'fileId'}];
+      lib.messageValidator.validate = sinon.spy(() => Q.reject(new Error('Attachment fileId does not belong to the sender')));
+
+      getController(this.moduleHelpers.dependencies, lib).create(req, expect400('Attachment fileId does not belong to the sender', done));
+    });
+
+    it('should receive a text message from the current user in the conversation', function(done) {
+      result = {_id: 'messageId', text: 'Hello'};
+
+      getController(this.moduleHelpers.dependencies, lib).create(req, {
+        status: function(code) {
+          expect(code).to.equal(201);
+
+          return {
+            json: function(json) {
+              expect(json).to.shallowDeepEqual({_id: 'messageId', text: 'Hello'});
+              expect(receiveMessage).to.have.been.calledWith({
+                message: sinon.match({
+                  type: CONSTANTS.MESSAGE_TYPE.TEXT,
+                  text: 'Hello',
+                  creator: 'userId',
+                  channel: 'conversationId'
+                })
+              });
+              done();
+            }
+          };
+        }
+      });
+    });
+
+    it('should keep the client_id given by the sender', function(done) {
+      result = {_id: 'messageId'};
+      req.body.client_id = 'clientId';
+
+      getController(this.moduleHelpers.dependencies, lib).create(req, {
+        status: function(code) {
+          expect(code).to.equal(201);
+
+          return {
+            json: function() {
+              expect(receiveMessage).to.have.been.calledWith({message: sinon.match({client_id: 'clientId'})});
+              done();
+            }
+          };
+        }
+      });
+    });
+
+    it('should receive a file message when attachments are provided', function(done) {
+      result = {_id: 'messageId'};
+      req.body = {
+        attachments: [{_id: 'fileId', name: 'foo.png', contentType: 'image/png', length: 10}]
+      };
+
+      getController(this.moduleHelpers.dependencies, lib).create(req, {
+        status: function(code) {
+          expect(code).to.equal(201);
+
+          return {
+            json: function() {
+              expect(receiveMessage).to.have.been.calledWith({
+                message: sinon.match({
+                  type: CONSTANTS.MESSAGE_TYPE.FILE,
+                  text: '',
+                  attachments: [{_id: 'fileId', name: 'foo.png', contentType: 'image/png', length: 10}]
+                })
+              });
+              done();
+            }
+          };
+        }
+      });
+    });
+
+    it('should send back HTTP 500 when message can not be saved', function(done) {
+      err = new Error('failed');
+
+      getController(this.moduleHelpers.dependencies, lib).create(req, {
+        status: function(code) {
+          expect(code).to.equal(500);
+
+          return {
+            json: function(json) {
+              expect(json).to.shallowDeepEqual({error: {code: 500, details: 'Error while creating message in conversation conversationId'}});
+              done();
+            }
+          };
+        }
+      });
+    });
+
+    function expectClientError(code, message, details, done) {
+      return {
+        status: function(status) {
+          expect(status).to.equal(code);
+
+          return {
+            json: function(json) {
+              expect(json).to.deep.equal({error: {code, message, details}});
+              done();
+            }
+          };
+        }
+      };
+    }
+
+    it('should send back HTTP 403 when the user can not write in the conversation', function(done) {
+      const errors = require('../../../../backend/lib/errors');
+
+      err = new errors.ForbiddenError('User userId can not write message in the conversation conversationId');
+
+      getController(this.moduleHelpers.dependencies, lib).create(req, expectClientError(403, 'Forbidden', 'User userId can not write message in the conversation conversationId', done));
+    });
+
+    it('should send back HTTP 400 when the parent is not a message id', function(done) {
+      req.body.parent = 'parentId';
+
+      getController(this.moduleHelpers.dependencies, lib).create(req, expect400('The parent should be a valid message id', done));
+    });
+
+    it('should send back HTTP 400 when the parent message is not valid', function(done) {
+      const errors = require('../../../../backend/lib/errors');
+      const parentId = '5a1d0f1e9b1e8a0c3c7a0d11';
+
+      err = new errors.InvalidError(`Invalid parent message ${parentId}`);
+      req.body.parent = parentId;
+
+      getController(this.moduleHelpers.dependencies, lib).create(req, expectClientError(400, 'Bad Request', `Invalid parent message ${parentId}`, () => {
+        expect(receiveMessage).to.have.been.calledWith({message: sinon.match({parent: parentId})});
+        done();
+      }));
+    });
+
+    it('should send back HTTP 404 when the parent message does not exist in the conversation', function(done) {
+      const errors = require('../../../../backend/lib/errors');
+      const parentId = '5a1d0f1e9b1e8a0c3c7a0d11';
+
+      err = new errors.NotFoundError(`Parent message ${parentId} not found`);
+      req.body.parent = parentId;
+
+      getController(this.moduleHelpers.dependencies, lib).create(req, expectClientError(404, 'Not found', `Parent message ${parentId} not found`, done));
+    });
+
+    it('should send back HTTP 404 when the conversation does not exist anymore', function(done) {
+      const errors = require('../../../../backend/lib/errors');
+
+      err = new errors.NotFoundError('No such conversation conversationId');
+
+      getController(this.moduleHelpers.dependencies, lib).create(req, expectClientError(404, 'Not found', 'No such conversation conversationId', done));
+    });
+
+    it('should send back HTTP 409 when the message is a duplicate one', function(done) {
+      const errors = require('../../../../backend/lib/errors');
+
+      err = new errors.ConflictError('Message clientId has already been sent');
+      req.body.client_id = 'clientId';
+
+      getController(this.moduleHelpers.dependencies, lib).create(req, expectClientError(409, 'Conflict', 'Message clientId has already been sent', done));
+    });
+  });
+
   describe('The getForConversation function', function() {
 
     function createMessage(base, timestamp) {
@@ -103,6 +321,918 @@ describe('The message controller', function() {
         }
       });
     });
+
+    it('should send back HTTP 400 when a cursor is not a message id', function(done) {
+      var req = {conversation: {_id: 1}, query: {before: 'notAnId'}};
+      var controller = getController(this.moduleHelpers.dependencies, lib);
+
+      controller.getForConversation(req, {
+        status: function(code) {
+          expect(code).to.equal(400);
+
+          return {
+            json: function(json) {
+              expect(json).to.shallowDeepEqual({error: {code: 400, details: 'The before parameter should be a valid message id'}});
+              expect(lib.message.getForConversation).to.not.have.been.called;
+              done();
+            }
+          };
+        }
+      });
+    });
+
+    it('should send back HTTP 400 when several cursors are given', function(done) {
+      var req = {conversation: {_id: 1}, query: {before: '583e9769ecac5c59a19fe6af', after: '583e9769ecac5c59a19fe6af'}};
+      var controller = getController(this.moduleHelpers.dependencies, lib);
+
+      controller.getForConversation(req, {
+        status: function(code) {
+          expect(code).to.equal(400);
+
+          return {
+            json: function(json) {
+              expect(json).to.shallowDeepEqual({error: {code: 400, details: 'Only one of the following parameters can be used: before, after, around'}});
+              expect(lib.message.getForConversation).to.not.have.been.called;
+              done();
+            }
+          };
+        }
+      });
+    });
+
+    it('should send back HTTP 400 when the limit is not a positive integer', function(done) {
+      var controller = getController(this.moduleHelpers.dependencies, lib);
+
+      Q.all(['0', '-5', 'NaN', '1e3'].map(limit => {
+        const defer = Q.defer();
+
+        controller.getForConversation({conversation: {_id: 1}, query: {limit}}, {
+          status: function(code) {
+            return {
+              json: function(json) {
+                defer.resolve({code, json});
+              }
+            };
+          }
+        });
+
+        return defer.promise;
+      })).then(responses => {
+        responses.forEach(response => {
+          expect(response.code).to.equal(400);
+          expect(response.json).to.shallowDeepEqual({error: {code: 400, details: 'The limit parameter should be a positive integer'}});
+        });
+        expect(lib.message.getForConversation).to.not.have.been.called;
+      }).then(done, done);
+    });
+
+    it('should send back HTTP 400 when the offset is negative', function(done) {
+      var req = {conversation: {_id: 1}, query: {offset: '-1'}};
+      var controller = getController(this.moduleHelpers.dependencies, lib);
+
+      controller.getForConversation(req, {
+        status: function(code) {
+          expect(code).to.equal(400);
+
+          return {
+            json: function(json) {
+              expect(json).to.shallowDeepEqual({error: {code: 400, details: 'The offset parameter should be a positive integer or zero'}});
+              expect(lib.message.getForConversation).to.not.have.been.called;
+              done();
+            }
+          };
+        }
+      });
+    });
+
+    it('should send back HTTP 404 when the cursor message is not in the conversation', function(done) {
+      const errors = require('../../../../backend/lib/errors');
+      var req = {conversation: {_id: 1}, query: {after: '583e9769ecac5c59a19fe6af'}};
+      var controller = getController(this.moduleHelpers.dependencies, lib);
+
+      err = new errors.NotFoundError('No such message 583e9769ecac5c59a19fe6af');
+      controller.getForConversation(req, {
+        status: function(code) {
+          expect(code).to.equal(404);
+
+          return {
+            json: function(json) {
+              expect(json).to.shallowDeepEqual({error: {code: 404, details: 'No such message 583e9769ecac5c59a19fe6af'}});
+              done();
+            }
+          };
+        }
+      });
+    });
+
+    it('should get the messages from a valid cursor', function(done) {
+      var query = {around: '583e9769ecac5c59a19fe6af', limit: 10};
+      var req = {conversation: {_id: 1}, query: query};
+      var controller = getController(this.moduleHelpers.dependencies, lib);
+
+      result = [];
+      controller.getForConversation(req, {
+        status: function(code) {
+          expect(code).to.equal(200);
+
+          return {
+            json: function() {
+              expect(lib.message.getForConversation).to.have.been.calledWith(1, query);
+              done();
+            }
+          };
+        }
+      });
+    });
+  });
+
+  describe('The getReplies function', function() {
+
+    it('should send back HTTP 500 when lib fails to get the replies', function(done) {
+      err = new Error('failed');
+      const req = {message: {_id: 'parentId'}, query: {limit: 5}};
+
+      getController(this.moduleHelpers.dependencies, lib).getReplies(req, {
+        status: function(code) {
+          expect(code).to.equal(500);
+
+          return {
+            json: function(json) {
+              expect(json).to.shallowDeepEqual({error: {code: 500, details: 'Error while getting replies of message parentId'}});
+              expect(lib.message.getReplies).to.have.been.calledWith(req.message, req.query);
+              done();
+            }
+          };
+        }
+      });
+    });
+
+    it('should send back HTTP 200 with the denormalized replies', function(done) {
+      const req = {message: {_id: 'parentId'}, query: {}, user: {_id: 'userId'}};
+
+      result = [{_id: 'reply1', text: 'foo'}, {_id: 'reply2', text: 'bar'}];
+
+      getController(this.moduleHelpers.dependencies, lib).getReplies(req, {
+        status: function(code) {
+          expect(code).to.equal(200);
+
+          return {
+            json: function(json) {
+              expect(json).to.shallowDeepEqual([{_id: 'reply1', text: 'foo'}, {_id: 'reply2', text: 'bar'}]);
+              done();
+            }
+          };
+        }
+      });
+    });
+
+    function expect400(details, done) {
+      return {
+        status: function(code) {
+          expect(code).to.equal(400);
+
+          return {
+            json: function(json) {
+              expect(json).to.deep.equal({error: {code: 400, message: 'Bad Request', details}});
+              expect(lib.message.getReplies).to.not.have.been.called;
+              done();
+            }
+          };
+        }
+      };
+    }
+
+    it('should send back HTTP 400 when the limit is not a positive integer', function(done) {
+      const req = {message: {_id: 'parentId'}, query: {limit: 'ten'}};
+
+      getController(this.moduleHelpers.dependencies, lib).getReplies(req, expect400('The limit parameter should be a positive integer', done));
+    });
+
+    it('should send back HTTP 400 when the limit is zero', function(done) {
+      const req = {message: {_id: 'parentId'}, query: {limit: '0'}};
+
+      getController(this.moduleHelpers.dependencies, lib).getReplies(req, expect400('The limit parameter should be a positive integer', done));
+    });
+
+    it('should send back HTTP 400 when the offset is negative', function(done) {
+      const req = {message: {_id: 'parentId'}, query: {offset: '-5'}};
+
+      getController(this.moduleHelpers.dependencies, lib).getReplies(req, expect400('The offset parameter should be a positive integer or zero', done));
+    });
+  });
+
+  describe('The remove function', function() {
+    let req;
+
+    beforeEach(function() {
+      req = {
+        user: {_id: 'userId'},
+        message: {_id: 'messageId', text: 'foo'}
+      };
+      lib.message.remove = sinon.spy(function(message, user, callback) {
+        return callback(err, result);
+      });
+    });
+
+    it('should send back HTTP 500 when lib fails to remove the message', function(done) {
+      err = new Error('failed');
+      const controller = getController(this.moduleHelpers.dependencies, lib);
+
+      controller.remove(req, {
+        status: function(code) {
+          expect(code).to.equal(500);
+
+          return {
+            json: function(json) {
+              expect(json).to.shallowDeepEqual({error: {code: 500, message: 'Server Error', details: 'Error while removing message messageId'}});
+              expect(lib.message.remove).to.have.been.calledWith(req.message, req.user);
+              done();
+            }
+          };
+        }
+      });
+    });
+
+    it('should send back HTTP 204 when message has been removed', function(done) {
+      const controller = getController(this.moduleHelpers.dependencies, lib);
+
+      controller.remove(req, {
+        status: function(code) {
+          expect(code).to.equal(204);
+
+          return {
+            end: function() {
+              expect(lib.message.remove).to.have.been.calledWith(req.message, req.user);
+              done();
+            }
+          };
+        }
+      });
+    });
+  });
+
+  describe('The update function', function() {
+    let req;
+
+    beforeEach(function() {
+      req = {
+        user: {_id: 'userId'},
+        message: {_id: 'messageId', text: 'foo'},
+        body: {text: 'bar'}
+      };
+      lib.message.edit = sinon.spy(function(message, text, callback) {
+        return callback(err, result);
+      });
+    });
+
+    it('should send back HTTP 400 when text is not defined', function(done) {
+      req.body = {};
+      const controller = getController(this.moduleHelpers.dependencies, lib);
+
+      controller.update(req, {
+        status: function(code) {
+          expect(code).to.equal(400);
+
+          return {
+            json: function(json) {
+              expect(json).to.shallowDeepEqual({error: {code: 400, message: 'Bad Request', details: 'You should provide the new text of the message'}});
+              expect(lib.message.edit).to.not.have.been.called;
+              done();
+            }
+          };
+        }
+      });
+    });
+
+    it('should send back HTTP 500 when lib fails to edit the message', function(done) {
+      err = new Error('failed');
+      const controller = getController(this.moduleHelpers.dependencies, lib);
+
+      controller.update(req, {
+        status: function(code) {
+          expect(code).to.equal(500);
+
+          return {
+            json: function(json) {
+              expect(json).to.shallowDeepEqual({error: {code: 500, message: 'Server Error', details: 'Error while updating message messageId'}});
+              expect(lib.message.edit).to.have.been.calledWith(req.message, 'bar');
+              done();
+            }
+          };
+        }
+      });
+    });
+
+    it('should send back HTTP 200 with the edited message', function(done) {
+      result = {_id: 'messageId', text: 'bar', creator: {}, timestamps: {creation: 1, edition: 2}};
+      const controller = getController(this.moduleHelpers.dependencies, lib);
+
+      controller.update(req, {
+        status: function(code) {
+          expect(code).to.equal(200);
+
+          return {
+            json: function(json) {
+              expect(json).to.shallowDeepEqual({_id: 'messageId', text: 'bar'});
+              expect(lib.message.edit).to.have.been.calledWith(req.message, 'bar');
+              done();
+            }
+          };
+        }
+      });
+    });
+  });
+
+  describe('The toggleReaction function', function() {
+    let req;
+
+    beforeEach(function() {
+      req = {
+        user: {_id: 'userId'},
+        message: {_id: 'messageId', text: 'foo'},
+        body: {emoji: 'smile'}
+      };
+      lib.message.toggleReaction = sinon.spy(function(message, user, emoji, callback) {
+        return callback(err, result);
+      });
+    });
+
+    it('should send back HTTP 400 when emoji is not a valid short name', function(done) {
+      req.body = {emoji: '<script>'};
+      const controller = getController(this.moduleHelpers.dependencies, lib);
+
+      controller.toggleReaction(req, {
+        status: function(code) {
+          expect(code).to.equal(400);
+
+          return {
+            json: function(json) {
+              expect(json).to.shallowDeepEqual({error: {code: 400, message: 'Bad Request', details: 'You should provide a valid emoji short name'}});
+              expect(lib.message.toggleReaction).to.not.have.been.called;
+              done();
+            }
+          };
+        }
+      });
+    });
+
+    it('should send back HTTP 500 when lib fails to toggle the reaction', function(done) {
+      err = new Error('failed');
+      const controller = getController(this.moduleHelpers.dependencies, lib);
+
+      controller.toggleReaction(req, {
+        status: function(code) {
+          expect(code).to.equal(500);
+
+          return {
+            json: function(json) {
+              expect(json).to.shallowDeepEqual({error: {code: 500, message: 'Server Error', details: 'Error while reacting to message messageId'}});
+              done();
+            }
+          };
+        }
+      });
+    });
+
+    it('should send back HTTP 200 with the message and its reactions', function(done) {
+      result = {_id: 'messageId', text: 'foo', reactions: [{emoji: 'smile', user: 'userId'}]};
+      const controller = getController(this.moduleHelpers.dependencies, lib);
+
+      controller.toggleReaction(req, {
+        status: function(code) {
+          expect(code).to.equal(200);
+
+          return {
+            json: function(json) {
+              expect(json).to.shallowDeepEqual({_id: 'messageId', reactions: [{emoji: 'smile', user: 'userId'}]});
+              expect(lib.message.toggleReaction).to.have.been.calledWith(req.message, req.user, 'smile');
+              done();
+            }
+          };
+        }
+      });
+    });
+  });
+
+  describe('The getAttachmentThumbnail function', function() {
+    let req;
+
+    beforeEach(function() {
+      req = {
+        user: {_id: 'userId'},
+        params: {attachmentId: 'attachmentId'},
+        message: {_id: 'messageId', attachments: [{_id: 'attachmentId', name: 'photo.png', contentType: 'image/png', length: 1024}]}
+      };
+      lib.thumbnail = {
+        getThumbnail: sinon.spy(function() {
+          return err ? Q.reject(err) : Q.when(result);
+        })
+      };
+    });
+
+    it('should send back HTTP 404 when the message does not have the attachment', function(done) {
+      req.params.attachmentId = 'otherAttachmentId';
+      const controller = getController(this.moduleHelpers.dependencies, lib);
+
+      controller.getAttachmentThumbnail(req, {
+        status: function(code) {
+          expect(code).to.equal(404);
+
+          return {
+            json: function(json) {
+              expect(json).to.shallowDeepEqual({error: {code: 404, message: 'Not found', details: 'No such attachment otherAttachmentId in message messageId'}});
+              expect(lib.thumbnail.getThumbnail).to.not.have.been.called;
+              done();
+            }
+          };
+        }
+      });
+    });
+
+    it('should send back HTTP 404 when the attachment can not be previewed', function(done) {
+      result = null;
+      const controller = getController(this.moduleHelpers.dependencies, lib);
+
+      controller.getAttachmentThumbnail(req, {
+        status: function(code) {
+          expect(code).to.equal(404);
+
+          return {
+            json: function(json) {
+              expect(json).to.shallowDeepEqual({error: {code: 404, message: 'Not found', details: 'Attachment attachmentId can not be previewed'}});
+              done();
+            }
+          };
+        }
+      });
+    });
+
+    it('should send back HTTP 500 when lib fails to get the thumbnail', function(done) {
+      err = new Error('failed');
+      const controller = getController(this.moduleHelpers.dependencies, lib);
+
+      controller.getAttachmentThumbnail(req, {
+        status: function(code) {
+          expect(code).to.equal(500);
+
+          return {
+            json: function(json) {
+              expect(json).to.shallowDeepEqual({error: {code: 500, message: 'Server Error', details: 'Error while getting the thumbnail of attachment attachmentId'}});
+              done();
+            }
+          };
+        }
+      });
+    });
+
+    it('should send back HTTP 200 with the thumbnail', function(done) {
+      const data = Buffer.from('thumbnail');
+      const res = {
+        set: sinon.spy(),
+        type: sinon.spy(),
+        status: function(code) {
+          expect(code).to.equal(200);
+
+          return {
+            send: function(body) {
+              expect(body).to.equal(data);
+              expect(res.type).to.have.been.calledWith('image/jpeg');
+              expect(res.set).to.have.been.calledWith('Cache-Control', `private, max-age=${CONSTANTS.THUMBNAIL.CACHE_MAX_AGE}`);
+              expect(lib.thumbnail.getThumbnail).to.have.been.calledWith(req.message.attachments[0]);
+              done();
+            }
+          };
+        }
+      };
+
+      result = {contentType: 'image/jpeg', data};
+      getController(this.moduleHelpers.dependencies, lib).getAttachmentThumbnail(req, res);
+    });
+  });
+
+  describe('The hideLinkPreview function', function() {
+    let req;
+
+    beforeEach(function() {
+      req = {
+        user: {_id: 'userId'},
+        params: {previewId: 'previewId'},
+        message: {_id: 'messageId', text: 'http://open-paas.org', link_previews: [{_id: 'previewId', url: 'http://open-paas.org'}]}
+      };
+      lib.linkPreview = {
+        hide: sinon.spy(function() {
+          return err ? Q.reject(err) : Q.when(result);
+        })
+      };
+    });
+
+    it('should send back HTTP 404 when the message does not have the preview', function(done) {
+      req.params.previewId = 'otherPreviewId';
+      const controller = getController(this.moduleHelpers.dependencies, lib);
+
+      controller.hideLinkPreview(req, {
+        status: function(code) {
+          expect(code).to.equal(404);
+
+          return {
+            json: function(json) {
+              expect(json).to.shallowDeepEqual({error: {code: 404, message: 'Not found', details: 'No such link preview otherPreviewId in message messageId'}});
+              expect(lib.linkPreview.hide).to.not.have.been.called;
+              done();
+            }
+          };
+        }
+      });
+    });
+
+    it('should send back HTTP 500 when lib fails to hide the preview', function(done) {
+      err = new Error('failed');
+      const controller = getController(this.moduleHelpers.dependencies, lib);
+
+      controller.hideLinkPreview(req, {
+        status: function(code) {
+          expect(code).to.equal(500);
+
+          return {
+            json: function(json) {
+              expect(json).to.shallowDeepEqual({error: {code: 500, message: 'Server Error', details: 'Error while removing link preview previewId of message messageId'}});
+              done();
+            }
+          };
+        }
+      });
+    });
+
+    it('should send back HTTP 200 with the updated message', function(done) {
+      result = {_id: 'messageId', link_previews: [{_id: 'previewId', url: 'http://open-paas.org', hidden_by: ['userId']}]};
+      const controller = getController(this.moduleHelpers.dependencies, lib);
+
+      controller.hideLinkPreview(req, {
+        status: function(code) {
+          expect(code).to.equal(200);
+
+          return {
+            json: function(json) {
+              expect(json).to.shallowDeepEqual({_id: 'messageId', link_previews: [{_id: 'previewId', hidden_by: ['userId']}]});
+              expect(lib.linkPreview.hide).to.have.been.calledWith(req.message, req.user, 'previewId');
+              done();
+            }
+          };
+        }
+      });
+    });
+  });
+
+  describe('The markAsUnread function', function() {
+    let req;
+
+    beforeEach(function() {
+      req = {
+        user: {_id: 'userId'},
+        conversation: {_id: 'conversationId'},
+        message: {_id: 'messageId', text: 'foo', timestamps: {creation: 1}}
+      };
+      lib.conversation = {
+        markUserAsUnreadFromMessage: sinon.spy(function(userId, conversation, message, callback) {
+          return callback(err, result);
+        })
+      };
+    });
+
+    it('should send back HTTP 400 when the message is a reply', function(done) {
+      req.message.parent = 'parentId';
+      const controller = getController(this.moduleHelpers.dependencies, lib);
+
+      controller.markAsUnread(req, {
+        status: function(code) {
+          expect(code).to.equal(400);
+
+          return {
+            json: function(json) {
+              expect(json).to.shallowDeepEqual({error: {code: 400, message: 'Bad Request', details: 'Only the messages of the conversation can be marked as unread'}});
+              expect(lib.conversation.markUserAsUnreadFromMessage).to.not.have.been.called;
+              done();
+            }
+          };
+        }
+      });
+    });
+
+    it('should send back HTTP 500 when lib fails to mark the message as unread', function(done) {
+      err = new Error('failed');
+      const controller = getController(this.moduleHelpers.dependencies, lib);
+
+      controller.markAsUnread(req, {
+        status: function(code) {
+          expect(code).to.equal(500);
+
+          return {
+            json: function(json) {
+              expect(json).to.shallowDeepEqual({error: {code: 500, message: 'Server Error', details: 'Error while marking message messageId as unread'}});
+              done();
+            }
+          };
+        }
+      });
+    });
+
+    it('should send back HTTP 200 with the new state of the member', function(done) {
+      result = {numOfReadMessages: 2, numOfUnseenMentions: 1, lastReadMessageId: 'previousMessageId'};
+      const controller = getController(this.moduleHelpers.dependencies, lib);
+
+      controller.markAsUnread(req, {
+        status: function(code) {
+          expect(code).to.equal(200);
+
+          return {
+            json: function(json) {
+              expect(json).to.deep.equal(result);
+              expect(lib.conversation.markUserAsUnreadFromMessage).to.have.been.calledWith('userId', req.conversation, req.message);
+              done();
+            }
+          };
+        }
+      });
+    });
+  });
+
+  describe('The pin function', function() {
+    let req;
+
+    beforeEach(function() {
+      req = {
+        user: {_id: 'userId'},
+        message: {_id: 'messageId', text: 'foo', timestamps: {creation: 1}}
+      };
+      lib.message.pin = sinon.spy(function(message, user, callback) {
+        return callback(err, result);
+      });
+    });
+
+    it('should send back HTTP 500 when lib fails to pin the message', function(done) {
+      err = new Error('failed');
+      const controller = getController(this.moduleHelpers.dependencies, lib);
+
+      controller.pin(req, {
+        status: function(code) {
+          expect(code).to.equal(500);
+
+          return {
+            json: function(json) {
+              expect(json).to.shallowDeepEqual({error: {code: 500, message: 'Server Error', details: 'Error while pinning message messageId'}});
+              done();
+            }
+          };
+        }
+      });
+    });
+
+    it('should send back HTTP 200 with the pinned message', function(done) {
+      result = {_id: 'messageId', text: 'foo', pinned_by: 'userId'};
+      const controller = getController(this.moduleHelpers.dependencies, lib);
+
+      controller.pin(req, {
+        status: function(code) {
+          expect(code).to.equal(200);
+
+          return {
+            json: function(json) {
+              expect(json).to.shallowDeepEqual({_id: 'messageId', pinned_by: 'userId'});
+              expect(lib.message.pin).to.have.been.calledWith(req.message, req.user);
+              done();
+            }
+          };
+        }
+      });
+    });
+
+    it('should send back HTTP 200 without pinning the message again when it is already pinned', function(done) {
+      req.message.timestamps.pin = 2;
+      const controller = getController(this.moduleHelpers.dependencies, lib);
+
+      controller.pin(req, {
+        status: function(code) {
+          expect(code).to.equal(200);
+
+          return {
+            json: function(json) {
+              expect(json).to.shallowDeepEqual({_id: 'messageId'});
+              expect(lib.message.pin).to.not.have.been.called;
+              done();
+            }
+          };
+        }
+      });
+    });
+  });
+
+  describe('The unpin function', function() {
+    let req;
+
+    beforeEach(function() {
+      req = {
+        user: {_id: 'userId'},
+        message: {_id: 'messageId', text: 'foo', timestamps: {creation: 1, pin: 2}}
+      };
+      lib.message.unpin = sinon.spy(function(message, user, callback) {
+        return callback(err, result);
+      });
+    });
+
+    it('should send back HTTP 500 when lib fails to unpin the message', function(done) {
+      err = new Error('failed');
+      const controller = getController(this.moduleHelpers.dependencies, lib);
+
+      controller.unpin(req, {
+        status: function(code) {
+          expect(code).to.equal(500);
+
+          return {
+            json: function(json) {
+              expect(json).to.shallowDeepEqual({error: {code: 500, message: 'Server Error', details: 'Error while unpinning message messageId'}});
+              done();
+            }
+          };
+        }
+      });
+    });
+
+    it('should send back HTTP 200 with the unpinned message', function(done) {
+      result = {_id: 'messageId', text: 'foo'};
+      const controller = getController(this.moduleHelpers.dependencies, lib);
+
+      controller.unpin(req, {
+        status: function(code) {
+          expect(code).to.equal(200);
+
+          return {
+            json: function(json) {
+              expect(json).to.shallowDeepEqual({_id: 'messageId'});
+              expect(lib.message.unpin).to.have.been.calledWith(req.message, req.user);
+              done();
+            }
+          };
+        }
+      });
+    });
+
+    it('should send back HTTP 200 without calling lib when message is not pinned', function(done) {
+      delete req.message.timestamps.pin;
+      const controller = getController(this.moduleHelpers.dependencies, lib);
+
+      controller.unpin(req, {
+        status: function(code) {
+          expect(code).to.equal(200);
+
+          return {
+            json: function() {
+              expect(lib.message.unpin).to.not.have.been.called;
+              done();
+            }
+          };
+        }
+      });
+    });
+  });
+
+  describe('The getAttachmentsForConversation function', function() {
+    let req;
+
+    beforeEach(function() {
+      req = {
+        user: {_id: 'userId'},
+        conversation: {_id: 'conversationId'},
+        query: {limit: 10}
+      };
+      lib.message.getAttachmentsForConversation = sinon.spy(function(conversationId, query, callback) {
+        return callback(err, result);
+      });
+    });
+
+    function expect400(details, done) {
+      return {
+        status: function(code) {
+          expect(code).to.equal(400);
+
+          return {
+            json: function(json) {
+              expect(json).to.deep.equal({error: {code: 400, message: 'Bad Request', details}});
+              expect(lib.message.getAttachmentsForConversation).to.not.have.been.called;
+              done();
+            }
+          };
+        }
+      };
+    }
+
+    it('should send back HTTP 400 when type is not a family of attachments', function(done) {
+      req.query.type = 'constructor';
+
+      getController(this.moduleHelpers.dependencies, lib).getAttachmentsForConversation(req, expect400('The type parameter should be one of images, documents, audio, archives', done));
+    });
+
+    it('should send back HTTP 400 when creator is not a valid id', function(done) {
+      req.query.creator = 'me';
+
+      getController(this.moduleHelpers.dependencies, lib).getAttachmentsForConversation(req, expect400('The creator parameter should be a valid user id', done));
+    });
+
+    it('should send back HTTP 400 when a date is not valid', function(done) {
+      req.query.from = '2017-01-01';
+      req.query.to = 'tomorrow';
+
+      getController(this.moduleHelpers.dependencies, lib).getAttachmentsForConversation(req, expect400('The to parameter should be a valid date', done));
+    });
+
+    it('should send back HTTP 500 when lib fails', function(done) {
+      err = new Error('failed');
+      const controller = getController(this.moduleHelpers.dependencies, lib);
+
+      controller.getAttachmentsForConversation(req, {
+        status: function(code) {
+          expect(code).to.equal(500);
+
+          return {
+            json: function(json) {
+              expect(json).to.shallowDeepEqual({error: {code: 500, message: 'Server Error', details: 'Error while getting attachments of conversation conversationId'}});
+              done();
+            }
+          };
+        }
+      });
+    });
+
+    it('should send back HTTP 200 with the filtered attachments', function(done) {
+      result = [];
+      req.query = {type: 'images', creator: '5a1e3f2b9c8d7e6f5a4b3c2d', from: '2017-01-01T00:00:00.000Z', to: '2017-12-31T23:59:59.999Z', search: 'report'};
+      const controller = getController(this.moduleHelpers.dependencies, lib);
+
+      controller.getAttachmentsForConversation(req, {
+        status: function(code) {
+          expect(code).to.equal(200);
+
+          return {
+            json: function(json) {
+              expect(json).to.deep.equal([]);
+              expect(lib.message.getAttachmentsForConversation).to.have.been.calledWith('conversationId', req.query);
+              done();
+            }
+          };
+        }
+      });
+    });
+  });
+
+  describe('The getPinnedForConversation function', function() {
+    let req;
+
+    beforeEach(function() {
+      req = {
+        user: {_id: 'userId'},
+        conversation: {_id: 'conversationId'},
+        query: {limit: 10}
+      };
+      lib.message.getPinnedForConversation = sinon.spy(function(conversationId, query, callback) {
+        return callback(err, result);
+      });
+    });
+
+    it('should send back HTTP 500 when lib fails', function(done) {
+      err = new Error('failed');
+      const controller = getController(this.moduleHelpers.dependencies, lib);
+
+      controller.getPinnedForConversation(req, {
+        status: function(code) {
+          expect(code).to.equal(500);
+
+          return {
+            json: function(json) {
+              expect(json).to.shallowDeepEqual({error: {code: 500, message: 'Server Error', details: 'Error while getting pinned messages of conversation conversationId'}});
+              done();
+            }
+          };
+        }
+      });
+    });
+
+    it('should send back HTTP 200 with the pinned messages', function(done) {
+      result = [{_id: 'message1'}, {_id: 'message2'}];
+      const controller = getController(this.moduleHelpers.dependencies, lib);
+
+      controller.getPinnedForConversation(req, {
+        status: function(code) {
+          expect(code).to.equal(200);
+
+          return {
+            json: function(json) {
+              expect(json).to.shallowDeepEqual(result);
+              expect(lib.message.getPinnedForConversation).to.have.been.calledWith('conversationId', req.query);
+              done();
+            }
+          };
+        }
+      });
+    });
   });
 
   describe('the search function', function() {
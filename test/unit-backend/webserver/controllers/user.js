@@ -0,0 +1,232 @@
+'use strict';
+
+const expect = require('chai').expect;
+const sinon = require('sinon');
+const Q = require('q');
+const CONSTANTS = require('../../../../backend/lib/constants');
+const USER_PRESENCE = CONSTANTS.USER_PRESENCE;
+
+describe('The user controller', function() {
+  let lib, userId, state, status;
+
+  beforeEach(function() {
+    const ObjectId = require('mongoose').Types.ObjectId;
+
+    userId = String(new ObjectId());
+    state = {_id: userId, state: USER_PRESENCE.ONLINE};
+    status = {_id: userId, text: 'In a meeting', emoji: 'calendar'};
+
+    this.moduleHelpers.addDep('db', {
+      mongo: {
+        mongoose: {
+          Types: {ObjectId}
+        }
+      }
+    });
+
+    lib = {
+      presence: {
+        getState: sinon.spy(() => Q.when(state)),
+        setDoNotDisturb: sinon.spy(() => Q.when(USER_PRESENCE.DO_NOT_DISTURB))
+      },
+      userStatus: {
+        clear: sinon.spy(() => Q.when()),
+        get: sinon.spy(() => Q.when(status)),
+        set: sinon.spy(() => Q.when(status))
+      }
+    };
+  });
+
+  function getController(dependencies) {
+    return require('../../../../backend/webserver/controllers/user')(dependencies, lib);
+  }
+
+  function expectStatus(status, check, done) {
+    return {
+      status: function(code) {
+        expect(code).to.equal(status);
+
+        return {
+          json: function(json) {
+            check(json);
+            done();
+          }
+        };
+      }
+    };
+  }
+
+  function expectEmptyStatus(status, check, done) {
+    return {
+      status: function(code) {
+        expect(code).to.equal(status);
+
+        return {
+          end: function() {
+            check();
+            done();
+          }
+        };
+      }
+    };
+  }
+
+  describe('The getState function', function() {
+    it('should send back HTTP 400 when user id is not valid', function(done) {
+      getController(this.moduleHelpers.dependencies).getState({params: {id: 'notAnId'}}, expectStatus(400, json => {
+        expect(json.error.details).to.equal('You should provide a valid user id');
+        expect(lib.presence.getState).to.not.have.been.called;
+      }, done));
+    });
+
+    it('should send back HTTP 200 with the state of the user', function(done) {
+      getController(this.moduleHelpers.dependencies).getState({params: {id: userId}}, expectStatus(200, json => {
+        expect(lib.presence.getState).to.have.been.calledWith(userId);
+        expect(json).to.deep.equal(state);
+      }, done));
+    });
+
+    it('should send back HTTP 500 when state can not be fetched', function(done) {
+      lib.presence.getState = sinon.spy(() => Q.reject(new Error('failed')));
+
+      getController(this.moduleHelpers.dependencies).getState({params: {id: userId}}, expectStatus(500, json => {
+        expect(json.error.code).to.equal(500);
+      }, done));
+    });
+  });
+
+  describe('The updateState function', function() {
+    it('should send back HTTP 400 when state can not be set manually', function(done) {
+      getController(this.moduleHelpers.dependencies).updateState({user: {_id: userId}, body: {state: USER_PRESENCE.AWAY}}, expectStatus(400, json => {
+        expect(json.error.details).to.match(/You should provide one of the following states/);
+        expect(lib.presence.setDoNotDisturb).to.not.have.been.called;
+      }, done));
+    });
+
+    it('should enable the do not disturb mode and send back the new state', function(done) {
+      state.state = USER_PRESENCE.DO_NOT_DISTURB;
+
+      getController(this.moduleHelpers.dependencies).updateState({user: {_id: userId}, body: {state: USER_PRESENCE.DO_NOT_DISTURB}}, expectStatus(200, json => {
+        expect(lib.presence.setDoNotDisturb).to.have.been.calledWith(userId, true);
+        expect(json).to.deep.equal(state);
+      }, done));
+    });
+
+    it('should disable the do not disturb mode when user goes back online', function(done) {
+      getController(this.moduleHelpers.dependencies).updateState({user: {_id: userId}, body: {state: USER_PRESENCE.ONLINE}}, expectStatus(200, () => {
+        expect(lib.presence.setDoNotDisturb).to.have.been.calledWith(userId, false);
+      }, done));
+    });
+
+    it('should send back HTTP 500 when state can not be updated', function(done) {
+      lib.presence.setDoNotDisturb = sinon.spy(() => Q.reject(new Error('failed')));
+
+      getController(this.moduleHelpers.dependencies).updateState({user: {_id: userId}, body: {state: USER_PRESENCE.ONLINE}}, expectStatus(500, json => {
+        expect(json.error.code).to.equal(500);
+      }, done));
+    });
+  });
+
+  describe('The getStatus function', function() {
+    it('should send back HTTP 400 when user id is not valid', function(done) {
+      getController(this.moduleHelpers.dependencies).getStatus({params: {id: 'notAnId'}}, expectStatus(400, () => {
+        expect(lib.userStatus.get).to.not.have.been.called;
+      }, done));
+    });
+
+    it('should send back HTTP 200 with the status of the user', function(done) {
+      getController(this.moduleHelpers.dependencies).getStatus({params: {id: userId}}, expectStatus(200, json => {
+        expect(lib.userStatus.get).to.have.been.calledWith(userId);
+        expect(json).to.deep.equal(status);
+      }, done));
+    });
+
+    it('should send back HTTP 204 when the user does not have any status', function(done) {
+      lib.userStatus.get = sinon.spy(() => Q.when(null));
+
+      getController(this.moduleHelpers.dependencies).getStatus({params: {id: userId}}, expectEmptyStatus(204, () => {}, done));
+    });
+
+    it('should send back HTTP 500 when status can not be fetched', function(done) {
+      lib.userStatus.get = sinon.spy(() => Q.reject(new Error('failed')));
+
+      getController(this.moduleHelpers.dependencies).getStatus({params: {id: userId}}, expectStatus(500, json => {
+        expect(json.error.code).to.equal(500);
+      }, done));
+    });
+  });
+
+  describe('The updateStatus function', function() {
+    it('should send back HTTP 400 when text is missing', function(done) {
+      getController(this.moduleHelpers.dependencies).updateStatus({user: {_id: userId}, body: {emoji: 'calendar'}}, expectStatus(400, json => {
+        expect(json.error.details).to.match(/You should provide a status text/);
+        expect(lib.userStatus.set).to.not.have.been.called;
+      }, done));
+    });
+
+    it('should send back HTTP 400 when text is too long', function(done) {
+      getController(this.moduleHelpers.dependencies).updateStatus({user: {_id: userId}, body: {text: new Array(CONSTANTS.USER_STATUS.TEXT_MAX_LENGTH + 2).join('a')}}, expectStatus(400, () => {
+        expect(lib.userStatus.set).to.not.have.been.called;
+      }, done));
+    });
+
+    it('should send back HTTP 400 when the emoji is not a valid emoji name', function(done) {
+      getController(this.moduleHelpers.dependencies).updateStatus({user: {_id: userId}, body: {text: 'In a meeting', emoji: '<img src=x>'}}, expectStatus(400, json => {
+        expect(json.error.details).to.equal('The status emoji should be a valid emoji name');
+        expect(lib.userStatus.set).to.not.have.been.called;
+      }, done));
+    });
+
+    it('should send back HTTP 400 when the emoji is not a string', function(done) {
+      getController(this.moduleHelpers.dependencies).updateStatus({user: {_id: userId}, body: {text: 'In a meeting', emoji: {name: 'calendar'}}}, expectStatus(400, () => {
+        expect(lib.userStatus.set).to.not.have.been.called;
+      }, done));
+    });
+
+    it('should send back HTTP 400 when expiration is in the past', function(done) {
+      getController(this.moduleHelpers.dependencies).updateStatus({user: {_id: userId}, body: {text: 'In a meeting', expiration: new Date(Date.now() - 1000).toISOString()}}, expectStatus(400, json => {
+        expect(json.error.details).to.equal('The status expiration should be a date in the future');
+        expect(lib.userStatus.set).to.not.have.been.called;
+      }, done));
+    });
+
+    it('should send back HTTP 400 when expiration is not a date', function(done) {
+      getController(this.moduleHelpers.dependencies).updateStatus({user: {_id: userId}, body: {text: 'In a meeting', expiration: 'tomorrow'}}, expectStatus(400, () => {
+        expect(lib.userStatus.set).to.not.have.been.called;
+      }, done));
+    });
+
+    it('should save the status and send it back', function(done) {
+      const expiration = new Date(Date.now() + 3600000);
+
+      getController(this.moduleHelpers.dependencies).updateStatus({user: {_id: userId}, body: {text: ' In a meeting ', emoji: 'calendar', expiration: expiration.toISOString()}}, expectStatus(200, json => {
+        expect(lib.userStatus.set).to.have.been.calledWith(userId, {text: 'In a meeting', emoji: 'calendar', expiration});
+        expect(json).to.deep.equal(status);
+      }, done));
+    });
+
+    it('should send back HTTP 500 when status can not be saved', function(done) {
+      lib.userStatus.set = sinon.spy(() => Q.reject(new Error('failed')));
+
+      getController(this.moduleHelpers.dependencies).updateStatus({user: {_id: userId}, body: {text: 'In a meeting'}}, expectStatus(500, json => {
+        expect(json.error.code).to.equal(500);
+      }, done));
+    });
+  });
+
+  describe('The clearStatus function', function() {
+    it('should clear the status of the user and send back HTTP 204', function(done) {
+      getController(this.moduleHelpers.dependencies).clearStatus({user: {_id: userId}}, expectEmptyStatus(204, () => {
+        expect(lib.userStatus.clear).to.have.been.calledWith(userId);
+      }, done));
+    });
+
+    it('should send back HTTP 500 when status can not be cleared', function(done) {
+      lib.userStatus.clear = sinon.spy(() => Q.reject(new Error('failed')));
+
+      getController(this.moduleHelpers.dependencies).clearStatus({user: {_id: userId}}, expectStatus(500, json => {
+        expect(json.error.code).to.equal(500);
+      }, done));
+    });
+  });
+});
@@ -0,0 +1,58 @@
+const expect = require('chai').expect;
+const sinon = require('sinon');
+const Q = require('q');
+const CONSTANTS = require('../../../../backend/lib/constants');
+
+describe('the conversation denormalizer', function() {
+  let lib, conversation, user, readReceipts, getDenormalizer;
+
+  beforeEach(function() {
+    readReceipts = {userId: 'messageId'};
+    user = {_id: 'userId'};
+    conversation = {
+      _id: 'conversationId',
+      type: CONSTANTS.CONVERSATION_TYPE.CONFIDENTIAL,
+      members: [{member: {id: 'userId', objectType: 'user'}}]
+    };
+
+    lib = {
+      conversation: {
+        getReadReceipts: sinon.spy(() => readReceipts),
+        hasReadReceipts: sinon.spy(() => true)
+      },
+      members: {
+        countMembers: sinon.spy(() => Q.when(1)),
+        isMember: sinon.spy(() => Q.when(true))
+      }
+    };
+
+    getDenormalizer = function() {
+      return require('../../../../backend/webserver/denormalizers/conversation')(this.moduleHelpers.dependencies, lib);
+    }.bind(this);
+  });
+
+  it('should add the member status and the number of members', function() {
+    return getDenormalizer()(conversation, user).then(denormalized => {
+      expect(denormalized.member_status).to.equal(CONSTANTS.MEMBER_STATUS.MEMBER);
+      expect(denormalized.members_count).to.equal(1);
+    });
+  });
+
+  it('should add the read receipts of the conversations which share them', function() {
+    return getDenormalizer()(conversation, user).then(denormalized => {
+      expect(lib.conversation.hasReadReceipts).to.have.been.calledWith(conversation);
+      expect(lib.conversation.getReadReceipts).to.have.been.calledWith(conversation);
+      expect(denormalized.read_receipts).to.deep.equal(readReceipts);
+      expect(denormalized.members).to.not.exist;
+    });
+  });
+
+  it('should not add read receipts to the conversations which do not share them', function() {
+    lib.conversation.hasReadReceipts = sinon.spy(() => false);
+
+    return getDenormalizer()(conversation, user).then(denormalized => {
+      expect(lib.conversation.getReadReceipts).to.not.have.been.called;
+      expect(denormalized.read_receipts).to.not.exist;
+    });
+  });
+});
@@ -364,4 +364,72 @@ describe('The conversation middleware', function() {
       });
     });
   });
+
+  describe('The canWrite function', function() {
+    beforeEach(function() {
+      req.conversation = {id: 'conversationId'};
+      lib.conversation.permission = {};
+    });
+
+    it('should call next when user can write in the conversation', function(done) {
+      lib.conversation.permission.userCanWrite = sinon.spy(function() {
+        return Q(true);
+      });
+
+      getMiddleware().canWrite(req, res, () => {
+        expect(lib.conversation.permission.userCanWrite).to.have.been.calledWith(req.user, req.conversation);
+        done();
+      });
+    });
+
+    it('should send back HTTP 403 when user can not write in the conversation', function(done) {
+      lib.conversation.permission.userCanWrite = sinon.spy(function() {
+        return Q(false);
+      });
+
+      res.status = function(status) {
+        expect(status).to.equals(403);
+
+        return {
+          json: function(json) {
+            expect(json).to.deep.equals({
+              error: {
+                code: 403,
+                message: 'Forbidden',
+                details: 'Can not write in conversation conversationId'
+              }
+            });
+
+            done();
+          }
+        };
+      };
+
+      getMiddleware().canWrite(req, res, () => {
+        done(new Error('Test failed'));
+      });
+    });
+
+    it('should send back HTTP 500 when write permission check fails', function(done) {
+      lib.conversation.permission.userCanWrite = sinon.spy(function() {
+        return Q.reject(new Error('I failed'));
+      });
+
+      res.status = function(status) {
+        expect(status).to.equals(500);
+
+        return {
+          json: function(json) {
+            expect(json.error.code).to.equal(500);
+
+            done();
+          }
+        };
+      };
+
+      getMiddleware().canWrite(req, res, () => {
+        done(new Error('Test failed'));
+      });
+    });
+  });
 });
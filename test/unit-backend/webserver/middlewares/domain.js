@@ -0,0 +1,111 @@
+'use strict';
+
+const expect = require('chai').expect;
+const sinon = require('sinon');
+const Q = require('q');
+const ObjectId = require('mongoose').Types.ObjectId;
+
+describe('The domain middleware', function() {
+  let lib, domain, domainId;
+
+  beforeEach(function() {
+    domainId = String(new ObjectId());
+    domain = {_id: domainId};
+
+    lib = {
+      domain: {
+        load: sinon.spy(() => Q.when(domain)),
+        userIsDomainAdministrator: sinon.spy(() => Q.when(true))
+      }
+    };
+
+    this.moduleHelpers.addDep('db', {
+      mongo: {
+        mongoose: {
+          Types: {ObjectId}
+        }
+      }
+    });
+  });
+
+  function getMiddleware(dependencies) {
+    return require('../../../../backend/webserver/middlewares/domain')(dependencies, lib);
+  }
+
+  function expectStatus(status, check, done) {
+    return {
+      status: function(code) {
+        expect(code).to.equal(status);
+
+        return {
+          json: function(json) {
+            check(json);
+            done();
+          }
+        };
+      }
+    };
+  }
+
+  describe('The load function', function() {
+    it('should set the domain in the request', function(done) {
+      const req = {params: {domainId}};
+
+      getMiddleware(this.moduleHelpers.dependencies).load(req, {}, () => {
+        expect(lib.domain.load).to.have.been.calledWith(domainId);
+        expect(req.domain).to.equal(domain);
+        done();
+      });
+    });
+
+    it('should send back HTTP 404 when the domain id is not valid', function(done) {
+      getMiddleware(this.moduleHelpers.dependencies).load({params: {domainId: 'foo'}}, expectStatus(404, json => {
+        expect(json.error.details).to.equal('Domain foo not found');
+        expect(lib.domain.load).to.not.have.been.called;
+      }, done), done);
+    });
+
+    it('should send back HTTP 404 when the domain does not exist', function(done) {
+      domain = null;
+
+      getMiddleware(this.moduleHelpers.dependencies).load({params: {domainId}}, expectStatus(404, json => {
+        expect(json.error.details).to.equal(`Domain ${domainId} not found`);
+      }, done), done);
+    });
+
+    it('should send back HTTP 500 when the domain can not be loaded', function(done) {
+      lib.domain.load = sinon.spy(() => Q.reject(new Error('failed')));
+
+      getMiddleware(this.moduleHelpers.dependencies).load({params: {domainId}}, expectStatus(500, json => {
+        expect(json.error.details).to.equal(`Error while getting domain ${domainId}`);
+      }, done), done);
+    });
+  });
+
+  describe('The canManage function', function() {
+    it('should call next when the user is an administrator of the domain', function(done) {
+      const req = {user: {_id: 'userId'}, domain};
+
+      getMiddleware(this.moduleHelpers.dependencies).canManage(req, {}, () => {
+        expect(lib.domain.userIsDomainAdministrator).to.have.been.calledWith(req.user, domain);
+        done();
+      });
+    });
+
+    it('should send back HTTP 403 when the user is not an administrator of the domain', function(done) {
+      lib.domain.userIsDomainAdministrator = sinon.spy(() => Q.when(false));
+
+      getMiddleware(this.moduleHelpers.dependencies).canManage({user: {_id: 'userId'}, domain}, expectStatus(403, json => {
+        expect(json.error.details).to.equal('Only the administrators of the domain can do this');
+      }, done), done);
+    });
+
+    it('should send back HTTP 500 when the administrators can not be checked', function(done) {
+      lib.domain.userIsDomainAdministrator = sinon.spy(() => Q.reject(new Error('failed')));
+
+      getMiddleware(this.moduleHelpers.dependencies).canManage({user: {_id: 'userId'}, domain}, expectStatus(500, json => {
+        expect(json.error.code).to.equal(500);
+      }, done), done);
+    });
+  });
+});
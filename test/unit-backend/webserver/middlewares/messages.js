@@ -99,6 +99,277 @@ describe('The message middleware', function() {
     });
   });
 
+  describe('The canUpdate function', function() {
+    let req;
+
+    beforeEach(function() {
+      req = {
+        user: {_id: 'userId'},
+        message: {_id: 'messageId', type: 'text', creator: {_id: 'userId'}}
+      };
+    });
+
+    function expect403(details, done) {
+      return {
+        status: function(code) {
+          expect(code).to.equal(403);
+
+          return {
+            json: function(json) {
+              expect(json).to.deep.equal({
+                error: {
+                  code: 403,
+                  message: 'Forbidden',
+                  details: details
+                }
+              });
+              done();
+            }
+          };
+        }
+      };
+    }
+
+    it('should send back HTTP 403 when user is not the creator of the message', function(done) {
+      req.message.creator = {_id: 'anotherUserId'};
+      const middleware = getMiddleware(this.moduleHelpers.dependencies, lib);
+
+      middleware.canUpdate(req, expect403('You can not update a message of someone else', done), function() {
+        done(new Error('Should not be called'));
+      });
+    });
+
+    it('should send back HTTP 403 when message is a system message', function(done) {
+      req.message.subtype = CONSTANTS.MESSAGE_SUBTYPE.TOPIC_UPDATE;
+      const middleware = getMiddleware(this.moduleHelpers.dependencies, lib);
+
+      middleware.canUpdate(req, expect403('You can not update a system message', done), function() {
+        done(new Error('Should not be called'));
+      });
+    });
+
+    it('should send back HTTP 403 when message has been removed', function(done) {
+      req.message.timestamps = {creation: 1, deletion: 2};
+      const middleware = getMiddleware(this.moduleHelpers.dependencies, lib);
+
+      middleware.canUpdate(req, expect403('You can not update a deleted message', done), function() {
+        done(new Error('Should not be called'));
+      });
+    });
+
+    it('should call next when user is the creator of the message', function(done) {
+      req.message.creator = 'userId';
+      const middleware = getMiddleware(this.moduleHelpers.dependencies, lib);
+
+      middleware.canUpdate(req, {}, done);
+    });
+  });
+
+  describe('The canReact function', function() {
+    let req;
+
+    beforeEach(function() {
+      req = {
+        user: {_id: 'userId'},
+        message: {_id: 'messageId', type: 'text', creator: {_id: 'anotherUserId'}}
+      };
+    });
+
+    function expect403(details, done) {
+      return {
+        status: function(code) {
+          expect(code).to.equal(403);
+
+          return {
+            json: function(json) {
+              expect(json).to.deep.equal({
+                error: {
+                  code: 403,
+                  message: 'Forbidden',
+                  details: details
+                }
+              });
+              done();
+            }
+          };
+        }
+      };
+    }
+
+    it('should send back HTTP 403 when message is a system message', function(done) {
+      req.message.subtype = CONSTANTS.MESSAGE_SUBTYPE.TOPIC_UPDATE;
+      const middleware = getMiddleware(this.moduleHelpers.dependencies, lib);
+
+      middleware.canReact(req, expect403('You can not react to a system message', done), function() {
+        done(new Error('Should not be called'));
+      });
+    });
+
+    it('should send back HTTP 403 when message has been removed', function(done) {
+      req.message.timestamps = {creation: 1, deletion: 2};
+      const middleware = getMiddleware(this.moduleHelpers.dependencies, lib);
+
+      middleware.canReact(req, expect403('You can not react to a deleted message', done), function() {
+        done(new Error('Should not be called'));
+      });
+    });
+
+    it('should call next when message is a message of someone else', function(done) {
+      const middleware = getMiddleware(this.moduleHelpers.dependencies, lib);
+
+      middleware.canReact(req, {}, done);
+    });
+  });
+
+  describe('The canPin function', function() {
+    let req;
+
+    beforeEach(function() {
+      req = {
+        user: {_id: 'userId'},
+        message: {_id: 'messageId', type: 'text', creator: {_id: 'anotherUserId'}}
+      };
+    });
+
+    function expect403(details, done) {
+      return {
+        status: function(code) {
+          expect(code).to.equal(403);
+
+          return {
+            json: function(json) {
+              expect(json).to.deep.equal({
+                error: {
+                  code: 403,
+                  message: 'Forbidden',
+                  details: details
+                }
+              });
+              done();
+            }
+          };
+        }
+      };
+    }
+
+    it('should send back HTTP 403 when message is a system message', function(done) {
+      req.message.subtype = CONSTANTS.MESSAGE_SUBTYPE.TOPIC_UPDATE;
+      const middleware = getMiddleware(this.moduleHelpers.dependencies, lib);
+
+      middleware.canPin(req, expect403('You can not pin a system message', done), function() {
+        done(new Error('Should not be called'));
+      });
+    });
+
+    it('should send back HTTP 403 when message has been removed', function(done) {
+      req.message.timestamps = {creation: 1, deletion: 2};
+      const middleware = getMiddleware(this.moduleHelpers.dependencies, lib);
+
+      middleware.canPin(req, expect403('You can not pin a deleted message', done), function() {
+        done(new Error('Should not be called'));
+      });
+    });
+
+    it('should call next when message is a message of someone else', function(done) {
+      const middleware = getMiddleware(this.moduleHelpers.dependencies, lib);
+
+      middleware.canPin(req, {}, done);
+    });
+  });
+
+  describe('The canRemove function', function() {
+    let req;
+
+    beforeEach(function() {
+      req = {
+        user: {_id: 'userId'},
+        conversation: {_id: 'conversationId'},
+        message: {_id: 'messageId', type: 'text', creator: {_id: 'userId'}, timestamps: {creation: 1}}
+      };
+      lib.members = {
+        isManager: sinon.spy(function() {
+          return Q(false);
+        })
+      };
+    });
+
+    function expectStatus(code, details, done) {
+      return {
+        status: function(status) {
+          expect(status).to.equal(code);
+
+          return {
+            json: function(json) {
+              expect(json.error).to.shallowDeepEqual({code: code, details: details});
+              done();
+            }
+          };
+        }
+      };
+    }
+
+    it('should call next when user is the creator of the message', function(done) {
+      const middleware = getMiddleware(this.moduleHelpers.dependencies, lib);
+
+      middleware.canRemove(req, {}, function() {
+        expect(lib.members.isManager).to.not.have.been.called;
+        done();
+      });
+    });
+
+    it('should call next when user is a manager of the conversation', function(done) {
+      req.message.creator = {_id: 'anotherUserId'};
+      lib.members.isManager = sinon.spy(function() {
+        return Q(true);
+      });
+      const middleware = getMiddleware(this.moduleHelpers.dependencies, lib);
+
+      middleware.canRemove(req, {}, function() {
+        expect(lib.members.isManager).to.have.been.calledWith(req.conversation, req.user);
+        done();
+      });
+    });
+
+    it('should send back HTTP 403 when user is neither the creator nor a manager', function(done) {
+      req.message.creator = {_id: 'anotherUserId'};
+      const middleware = getMiddleware(this.moduleHelpers.dependencies, lib);
+
+      middleware.canRemove(req, expectStatus(403, 'You can not remove a message of someone else', done), function() {
+        done(new Error('Should not be called'));
+      });
+    });
+
+    it('should send back HTTP 403 when message is a system message', function(done) {
+      req.message.subtype = CONSTANTS.MESSAGE_SUBTYPE.CONVERSATION_JOIN;
+      const middleware = getMiddleware(this.moduleHelpers.dependencies, lib);
+
+      middleware.canRemove(req, expectStatus(403, 'You can not remove a system message', done), function() {
+        done(new Error('Should not be called'));
+      });
+    });
+
+    it('should send back HTTP 403 when message has already been removed', function(done) {
+      req.message.timestamps.deletion = 2;
+      const middleware = getMiddleware(this.moduleHelpers.dependencies, lib);
+
+      middleware.canRemove(req, expectStatus(403, 'Message has already been removed', done), function() {
+        done(new Error('Should not be called'));
+      });
+    });
+
+    it('should send back HTTP 500 when manager check fails', function(done) {
+      req.message.creator = {_id: 'anotherUserId'};
+      lib.members.isManager = sinon.spy(function() {
+        return Q.reject(new Error('failed'));
+      });
+      const middleware = getMiddleware(this.moduleHelpers.dependencies, lib);
+
+      middleware.canRemove(req, expectStatus(500, 'Error while checking message removal rights', done), function() {
+        done(new Error('Should not be called'));
+      });
+    });
+  });
+
   describe('The canStar function', function() {
     const objectType = CONSTANTS.OBJECT_TYPES.MESSAGE;
     const link = {
@@ -4,6 +4,7 @@ const expect = require('chai').expect;
 const sinon = require('sinon');
 const _ = require('lodash');
 const Q = require('q');
+const mockery = require('mockery');
 const CONSTANTS = require('../../../backend/lib/constants');
 const CONVERSATION_CREATED = CONSTANTS.NOTIFICATIONS.CONVERSATION_CREATED;
 const CONVERSATION_DELETED = CONSTANTS.NOTIFICATIONS.CONVERSATION_DELETED;
@@ -12,12 +13,23 @@ const MEMBER_ADDED_TO_CONVERSATION = CONSTANTS.NOTIFICATIONS.MEMBER_ADDED_TO_CON
 const MEMBER_JOINED_CONVERSATION = CONSTANTS.NOTIFICATIONS.MEMBER_JOINED_CONVERSATION;
 const MEMBER_LEFT_CONVERSATION = CONSTANTS.NOTIFICATIONS.MEMBER_LEFT_CONVERSATION;
 const MESSAGE_RECEIVED = CONSTANTS.NOTIFICATIONS.MESSAGE_RECEIVED;
+const MESSAGE_UPDATED = CONSTANTS.NOTIFICATIONS.MESSAGE_UPDATED;
+const MESSAGE_REMOVED = CONSTANTS.NOTIFICATIONS.MESSAGE_REMOVED;
+const MESSAGE_REACTION_UPDATED = CONSTANTS.NOTIFICATIONS.MESSAGE_REACTION_UPDATED;
 const CONVERSATION_TOPIC_UPDATED = CONSTANTS.NOTIFICATIONS.CONVERSATION_TOPIC_UPDATED;
+const CONVERSATION_TYPING = CONSTANTS.NOTIFICATIONS.CONVERSATION_TYPING;
 const MEMBER_READ_CONVERSATION = CONSTANTS.NOTIFICATIONS.MEMBER_READ_CONVERSATION;
+const MEMBER_UNREAD_CONVERSATION = CONSTANTS.NOTIFICATIONS.MEMBER_UNREAD_CONVERSATION;
+const RESYNC = CONSTANTS.WEBSOCKET.RESYNC;
+const USER_ACTIVITY = CONSTANTS.WEBSOCKET.USER_ACTIVITY;
+const USER_CONNECTION = CONSTANTS.NOTIFICATIONS.USER_CONNECTION;
+const USER_DISCONNECTION = CONSTANTS.NOTIFICATIONS.USER_DISCONNECTION;
+const USER_STATE = CONSTANTS.NOTIFICATIONS.USER_STATE;
+const USER_STATUS_UPDATED = CONSTANTS.NOTIFICATIONS.USER_STATUS_UPDATED;
 
 describe('The chat websocket adapter', function() {
 
-  var adapter, lib, message, localMessageReceivedTopic, globalMessageReceivedTopic, conversationAddMemberTopic, conversationRemoveMemberTopic, logger, conversationCreatedTopic, conversationDeletedTopic, conversationTopicUpdatedTopic, conversationUpdatedTopic, conversationMemberAddedTopic, conversationReadTopic;
+  var adapter, lib, message, localMessageReceivedTopic, globalMessageReceivedTopic, conversationAddMemberTopic, conversationRemoveMemberTopic, logger, conversationCreatedTopic, conversationDeletedTopic, conversationTopicUpdatedTopic, conversationUpdatedTopic, conversationMemberAddedTopic, conversationReadTopic, conversationUnreadTopic, messageUpdatedTopic, messageRemovedTopic, messageReactionUpdatedTopic, userStateTopic, userStatusTopic, conversationTypingTopic, resync, typing, typingSend;
 
   beforeEach(function() {
     var self = this;
@@ -74,9 +86,45 @@ describe('The chat websocket adapter', function() {
       publish: sinon.spy()
     };
 
+    conversationUnreadTopic = {
+      subscribe: sinon.spy(),
+      publish: sinon.spy()
+    };
+
+    messageUpdatedTopic = {
+      subscribe: sinon.spy(),
+      publish: sinon.spy()
+    };
+
+    messageRemovedTopic = {
+      subscribe: sinon.spy(),
+      publish: sinon.spy()
+    };
+
+    messageReactionUpdatedTopic = {
+      subscribe: sinon.spy(),
+      publish: sinon.spy()
+    };
+
+    userStateTopic = {
+      subscribe: sinon.spy(),
+      publish: sinon.spy()
+    };
+
+    userStatusTopic = {
+      subscribe: sinon.spy(),
+      publish: sinon.spy()
+    };
+
+    conversationTypingTopic = {
+      subscribe: sinon.spy(),
+      publish: sinon.spy()
+    };
+
     lib = {
       conversation: {},
-      members: {}
+      members: {},
+      presence: {}
     };
 
     logger = { info: sinon.spy(), warn: sinon.spy(), error: sinon.spy() };
@@ -119,6 +167,27 @@ describe('The chat websocket adapter', function() {
             if (name === MEMBER_READ_CONVERSATION) {
               return conversationReadTopic;
             }
+            if (name === MEMBER_UNREAD_CONVERSATION) {
+              return conversationUnreadTopic;
+            }
+            if (name === MESSAGE_UPDATED) {
+              return messageUpdatedTopic;
+            }
+            if (name === MESSAGE_REMOVED) {
+              return messageRemovedTopic;
+            }
+            if (name === MESSAGE_REACTION_UPDATED) {
+              return messageReactionUpdatedTopic;
+            }
+            if (name === USER_STATE) {
+              return userStateTopic;
+            }
+            if (name === USER_STATUS_UPDATED) {
+              return userStatusTopic;
+            }
+            if (name === CONVERSATION_TYPING) {
+              return conversationTypingTopic;
+            }
           }
         }
       },
@@ -129,6 +198,17 @@ describe('The chat websocket adapter', function() {
   });
 
   beforeEach(function() {
+    resync = {};
+    typing = {
+      setState: sinon.spy(),
+      stopSocket: sinon.spy()
+    };
+    mockery.registerMock('./resync', () => resync);
+    mockery.registerMock('./typing', (dependencies, send) => {
+      typingSend = send;
+
+      return typing;
+    });
     adapter = require('../../../backend/ws/adapter')(this.moduleHelpers.dependencies, lib);
   });
 
@@ -147,9 +227,16 @@ describe('The chat websocket adapter', function() {
         memberHasBeenAdded: sinon.spy(),
         memberHasJoined: sinon.spy(),
         memberHasLeft: sinon.spy(),
+        memberHasReadMessage: sinon.spy(),
+        messageReactionUpdated: sinon.spy(),
+        messageRemoved: sinon.spy(),
+        messageUpdated: sinon.spy(),
         sendMessage: sinon.spy(),
         topicUpdated: sinon.spy(),
-        sendDataToUser: sinon.spy()
+        sendDataToUser: sinon.spy(),
+        userStateChanged: sinon.spy(),
+        userStatusUpdated: sinon.spy(),
+        usersTyping: sinon.spy()
       };
     });
 
@@ -270,6 +357,136 @@ describe('The chat websocket adapter', function() {
       });
     });
 
+    it('should subscribe to MESSAGE_UPDATED event', function(done) {
+      lib.conversation.getById = sinon.spy(function(id, callback) {
+        callback(null, conversation);
+      });
+      adapter.bindEvents(messenger);
+
+      expect(messageUpdatedTopic.subscribe).to.have.been.calledWith(sinon.match(function(callback) {
+        subscribeCallback = callback;
+
+        return _.isFunction(callback);
+      }));
+
+      subscribeCallback({message});
+
+      process.nextTick(function() {
+        expect(lib.conversation.getById).to.have.been.calledWith(message.channel);
+        expect(messenger.messageUpdated).to.have.been.calledWith(conversation, message);
+        done();
+      });
+    });
+
+    it('should subscribe to MESSAGE_UPDATED event but not call messenger when conversation can not be found', function(done) {
+      lib.conversation.getById = sinon.spy(function(id, callback) {
+        callback();
+      });
+      adapter.bindEvents(messenger);
+
+      expect(messageUpdatedTopic.subscribe).to.have.been.calledWith(sinon.match(function(callback) {
+        subscribeCallback = callback;
+
+        return _.isFunction(callback);
+      }));
+
+      subscribeCallback({message});
+
+      process.nextTick(function() {
+        expect(messenger.messageUpdated).to.not.have.been.called;
+        expect(logger.error.args[0][0]).to.equal('Error while getting conversation to send updated message');
+        done();
+      });
+    });
+
+    it('should subscribe to MESSAGE_REMOVED event', function(done) {
+      const counters = {_id: conversation._id, numOfMessage: 1};
+
+      lib.conversation.getById = sinon.spy(function(id, callback) {
+        callback(null, conversation);
+      });
+      adapter.bindEvents(messenger);
+
+      expect(messageRemovedTopic.subscribe).to.have.been.calledWith(sinon.match(function(callback) {
+        subscribeCallback = callback;
+
+        return _.isFunction(callback);
+      }));
+
+      subscribeCallback({message, conversation: counters});
+
+      process.nextTick(function() {
+        expect(lib.conversation.getById).to.have.been.calledWith(message.channel);
+        expect(messenger.messageRemoved).to.have.been.calledWith(conversation, message, counters);
+        done();
+      });
+    });
+
+    it('should subscribe to MESSAGE_REMOVED event but not call messenger when conversation can not be found', function(done) {
+      lib.conversation.getById = sinon.spy(function(id, callback) {
+        callback();
+      });
+      adapter.bindEvents(messenger);
+
+      expect(messageRemovedTopic.subscribe).to.have.been.calledWith(sinon.match(function(callback) {
+        subscribeCallback = callback;
+
+        return _.isFunction(callback);
+      }));
+
+      subscribeCallback({message});
+
+      process.nextTick(function() {
+        expect(messenger.messageRemoved).to.not.have.been.called;
+        expect(logger.error.args[0][0]).to.equal('Error while getting conversation to send removed message');
+        done();
+      });
+    });
+
+    it('should subscribe to MESSAGE_REACTION_UPDATED event', function(done) {
+      const reactions = {_id: message._id, channel: message.channel, reactions: [{emoji: 'smile', user: 'userId'}]};
+
+      lib.conversation.getById = sinon.spy(function(id, callback) {
+        callback(null, conversation);
+      });
+      adapter.bindEvents(messenger);
+
+      expect(messageReactionUpdatedTopic.subscribe).to.have.been.calledWith(sinon.match(function(callback) {
+        subscribeCallback = callback;
+
+        return _.isFunction(callback);
+      }));
+
+      subscribeCallback({message: reactions});
+
+      process.nextTick(function() {
+        expect(lib.conversation.getById).to.have.been.calledWith(message.channel);
+        expect(messenger.messageReactionUpdated).to.have.been.calledWith(conversation, reactions);
+        done();
+      });
+    });
+
+    it('should subscribe to MESSAGE_REACTION_UPDATED event but not call messenger when conversation can not be found', function(done) {
+      lib.conversation.getById = sinon.spy(function(id, callback) {
+        callback();
+      });
+      adapter.bindEvents(messenger);
+
+      expect(messageReactionUpdatedTopic.subscribe).to.have.been.calledWith(sinon.match(function(callback) {
+        subscribeCallback = callback;
+
+        return _.isFunction(callback);
+      }));
+
+      subscribeCallback({message});
+
+      process.nextTick(function() {
+        expect(messenger.messageReactionUpdated).to.not.have.been.called;
+        expect(logger.error.args[0][0]).to.equal('Error while getting conversation to send message reactions');
+        done();
+      });
+    });
+
     it('should subscribe to MEMBER_JOINED_CONVERSATION event', function() {
       adapter.bindEvents(messenger);
 
@@ -664,19 +881,290 @@ describe('The chat websocket adapter', function() {
       });
     });
 
-    it('should publish a message in local pubsub on messenger "message" event', function() {
-      data = {message};
+    describe('on messenger "message" event', function() {
+      let handler;
 
-      adapter.bindEvents(messenger);
+      beforeEach(function() {
+        lib.listener = {
+          listeners: {
+            message: {}
+          }
+        };
+
+        adapter.bindEvents(messenger);
+
+        expect(messenger.on).to.have.been.calledWith('message', sinon.match(function(callback) {
+          handler = callback;
+
+          return _.isFunction(callback);
+        }));
+      });
+
+      it('should give the message to the message listener and acknowledge with the saved message', function(done) {
+        const savedMessage = {_id: 'messageId', client_id: 'clientId'};
+
+        lib.listener.listeners.message.receiveMessage = sinon.spy(() => Q.when(savedMessage));
+
+        handler(message, function(response) {
+          expect(lib.listener.listeners.message.receiveMessage).to.have.been.calledWith({message});
+          expect(response).to.deep.equal({message: savedMessage});
+          done();
+        });
+      });
+
+      it('should acknowledge with an error when message can not be saved', function(done) {
+        lib.listener.listeners.message.receiveMessage = sinon.spy(() => Q.reject(new Error('can not write')));
+
+        handler(message, function(response) {
+          expect(response).to.deep.equal({error: {code: 500, message: 'Server Error', details: 'can not write'}});
+          expect(logger.error).to.have.been.calledWith(sinon.match(/Can not save the message sent by user/));
+          done();
+        });
+      });
 
-      expect(messenger.on).to.have.been.calledWith('message', sinon.match.func.and(sinon.match(function(handler) {
-        handler(data);
-        expect(localMessageReceivedTopic.publish).to.have.been.calledWith({
-          message: data
+      it('should acknowledge with the status of the error when the sender can not send the message', function(done) {
+        const errors = require('../../../backend/lib/errors');
+
+        lib.listener.listeners.message.receiveMessage = sinon.spy(() => Q.reject(new errors.ForbiddenError('can not write')));
+
+        handler(message, function(response) {
+          expect(response).to.deep.equal({error: {code: 403, message: 'Forbidden', details: 'can not write'}});
+          expect(logger.error).to.not.have.been.called;
+          done();
+        });
+      });
+
+      it('should acknowledge with a not found error when the conversation does not exist', function(done) {
+        const errors = require('../../../backend/lib/errors');
+
+        lib.listener.listeners.message.receiveMessage = sinon.spy(() => Q.reject(new errors.NotFoundError('no conversation')));
+
+        handler(message, function(response) {
+          expect(response).to.deep.equal({error: {code: 404, message: 'Not found', details: 'no conversation'}});
+          done();
+        });
+      });
+
+      it('should not fail when the sender did not ask for an acknowledgement', function(done) {
+        lib.listener.listeners.message.receiveMessage = sinon.spy(() => Q.when(message));
+
+        handler(message);
+
+        process.nextTick(function() {
+          expect(lib.listener.listeners.message.receiveMessage).to.have.been.calledWith({message});
+          done();
+        });
+      });
+    });
+
+    describe('on messenger RESYNC event', function() {
+      let handler, request;
+
+      beforeEach(function() {
+        request = {userId: 'userId', conversations: {conversationId: {messageId: 'messageId'}}};
+
+        adapter.bindEvents(messenger);
+
+        expect(messenger.on).to.have.been.calledWith(RESYNC, sinon.match(function(callback) {
+          handler = callback;
+
+          return _.isFunction(callback);
+        }));
+      });
+
+      it('should acknowledge with the events missed by the user', function(done) {
+        const missed = {conversations: [], added: [], removed: ['conversationId']};
+
+        resync.getMissedEvents = sinon.spy(() => Q.when(missed));
+
+        handler(request, function(response) {
+          expect(resync.getMissedEvents).to.have.been.calledWith(request.userId, request.conversations);
+          expect(response).to.deep.equal(missed);
+          done();
+        });
+      });
+
+      it('should acknowledge with an error when missed events can not be computed', function(done) {
+        resync.getMissedEvents = sinon.spy(() => Q.reject(new Error('can not read')));
+
+        handler(request, function(response) {
+          expect(logger.error).to.have.been.calledWith('Can not replay missed events for user userId');
+          expect(response).to.deep.equal({error: {code: 500, message: 'Server Error', details: 'can not read'}});
+          done();
+        });
+      });
+    });
+
+    describe('on USER_STATE event', function() {
+      let event;
+
+      beforeEach(function() {
+        event = {userId: 'userId', state: 'away'};
+        lib.conversation.getAllForUser = sinon.spy(() => Q.when([
+          {members: [{member: {id: 'userId', objectType: 'user'}}, {member: {id: 'user1', objectType: 'user'}}]}
+        ]));
+        messenger.getConnectedUsersSharingDomainsWith = sinon.spy(() => Q.when(['user1', 'user2']));
+
+        adapter.bindEvents(messenger);
+
+        expect(userStateTopic.subscribe).to.have.been.calledWith(sinon.match(callback => {
+          subscribeCallback = callback;
+
+          return _.isFunction(callback);
+        }));
+      });
+
+      it('should send the state to the members of the conversations of the user and to the users of their domains', function() {
+        return subscribeCallback(event).then(() => {
+          expect(lib.conversation.getAllForUser).to.have.been.calledWith({_id: 'userId'});
+          expect(messenger.getConnectedUsersSharingDomainsWith).to.have.been.calledWith('userId');
+          expect(messenger.userStateChanged).to.have.been.calledWith(['userId', 'user1', 'user2'], event);
+        });
+      });
+
+      it('should log error when the users to send the state to can not be fetched', function() {
+        messenger.getConnectedUsersSharingDomainsWith = sinon.spy(() => Q.reject(new Error('failed')));
+
+        return subscribeCallback(event).then(() => {
+          expect(messenger.userStateChanged).to.not.have.been.called;
+          expect(logger.error).to.have.been.calledWith('Can not send the state of user userId');
+        });
+      });
+    });
+
+    describe('on typing states', function() {
+      beforeEach(function() {
+        adapter.bindEvents(messenger);
+      });
+
+      it('should publish the typing states gathered on this node to all the nodes', function() {
+        const users = [{user: {_id: 'userId'}, state: true}];
+
+        typingSend('conversationId', users);
+
+        expect(conversationTypingTopic.publish).to.have.been.calledWith({conversationId: 'conversationId', users});
+        expect(messenger.usersTyping).to.not.have.been.called;
+      });
+
+      it('should send the published typing states to the viewers connected to this node', function() {
+        const users = [{user: {_id: 'userId'}, state: false}];
+
+        expect(conversationTypingTopic.subscribe).to.have.been.calledWith(sinon.match(callback => {
+          subscribeCallback = callback;
+
+          return _.isFunction(callback);
+        }));
+
+        subscribeCallback({conversationId: 'conversationId', users});
+
+        expect(messenger.usersTyping).to.have.been.calledWith('conversationId', users);
+      });
+    });
+
+    describe('on USER_STATUS_UPDATED event', function() {
+      let event;
+
+      beforeEach(function() {
+        event = {userId: 'userId', status: {text: 'In a meeting'}};
+
+        adapter.bindEvents(messenger);
+
+        expect(userStatusTopic.subscribe).to.have.been.calledWith(sinon.match(callback => {
+          subscribeCallback = callback;
+
+          return _.isFunction(callback);
+        }));
+      });
+
+      it('should send the status to the user and to the members of their conversations', function() {
+        lib.conversation.getAllForUser = sinon.spy(() => Q.when([
+          {members: [{member: {id: 'userId', objectType: 'user'}}, {member: {id: 'user1', objectType: 'user'}}]},
+          {members: [{member: {id: 'user1', objectType: 'user'}}, {member: {id: 'communityId', objectType: 'community'}}, {member: {id: 'user2', objectType: 'user'}}]}
+        ]));
+
+        return subscribeCallback(event).then(() => {
+          expect(lib.conversation.getAllForUser).to.have.been.calledWith({_id: 'userId'});
+          expect(messenger.userStatusUpdated).to.have.been.calledWith(['userId', 'user1', 'user2'], event);
         });
+      });
+
+      it('should log error when conversations of the user can not be fetched', function() {
+        lib.conversation.getAllForUser = sinon.spy(() => Q.reject(new Error('failed')));
 
-        return true;
-      })));
+        return subscribeCallback(event).then(() => {
+          expect(messenger.userStatusUpdated).to.not.have.been.called;
+          expect(logger.error).to.have.been.calledWith('Can not send the status of user userId');
+        });
+      });
+    });
+
+    describe('on messenger presence events', function() {
+      let event;
+
+      function getHandler(type) {
+        return messenger.on.args.filter(args => args[0] === type)[0][1];
+      }
+
+      beforeEach(function() {
+        event = {userId: 'userId', socketId: 'socketId', away: true};
+        lib.presence = {
+          connect: sinon.spy(() => Q.when('online')),
+          disconnect: sinon.spy(() => Q.when('offline')),
+          setAway: sinon.spy(() => Q.when('away'))
+        };
+
+        adapter.bindEvents(messenger);
+      });
+
+      it('should register the connection of the user', function() {
+        getHandler(USER_CONNECTION)(event);
+
+        expect(lib.presence.connect).to.have.been.calledWith('userId', 'socketId');
+      });
+
+      it('should unregister the connection of the user', function() {
+        getHandler(USER_DISCONNECTION)(event);
+
+        expect(lib.presence.disconnect).to.have.been.calledWith('userId', 'socketId');
+      });
+
+      it('should stop the typing states of the disconnected socket', function() {
+        getHandler(USER_DISCONNECTION)(event);
+
+        expect(typing.stopSocket).to.have.been.calledWith('socketId');
+      });
+
+      it('should update the typing state of the user', function() {
+        expect(getHandler(CONSTANTS.WEBSOCKET.USER_TYPING)).to.equal(typing.setState);
+      });
+
+      it('should log error when connection can not be registered', function(done) {
+        lib.presence.connect = sinon.spy(() => Q.reject(new Error('failed')));
+
+        getHandler(USER_CONNECTION)(event);
+
+        process.nextTick(() => {
+          expect(logger.error).to.have.been.calledWith('Can not register connection of user userId');
+          done();
+        });
+      });
+
+      it('should update the activity of the user and acknowledge with the new state', function(done) {
+        getHandler(USER_ACTIVITY)(event, response => {
+          expect(lib.presence.setAway).to.have.been.calledWith('userId', 'socketId', true);
+          expect(response).to.deep.equal({state: 'away'});
+          done();
+        });
+      });
+
+      it('should acknowledge with an error when activity can not be updated', function(done) {
+        lib.presence.setAway = sinon.spy(() => Q.reject(new Error('failed')));
+
+        getHandler(USER_ACTIVITY)(event, response => {
+          expect(response).to.deep.equal({error: {code: 500, message: 'Server Error', details: 'failed'}});
+          done();
+        });
+      });
     });
 
     it('should subscribe to MEMBER_READ_CONVERSATION event', function() {
@@ -699,5 +1187,85 @@ describe('The chat websocket adapter', function() {
         conversationId: data.conversationId
       });
     });
+
+    describe('on MEMBER_READ_CONVERSATION event with a read message', function() {
+      beforeEach(function() {
+        data = {
+          userId: 'user-id',
+          conversationId: 'conversation-id',
+          messageId: 'message-id'
+        };
+        lib.conversation.getById = sinon.spy((id, callback) => callback(null, conversation));
+        lib.conversation.hasReadReceipts = sinon.spy(() => true);
+
+        adapter.bindEvents(messenger);
+        subscribeCallback = conversationReadTopic.subscribe.firstCall.args[0];
+      });
+
+      it('should send the read receipt to the conversation members', function() {
+        return subscribeCallback(data).then(() => {
+          expect(lib.conversation.hasReadReceipts).to.have.been.calledWith(conversation);
+          expect(messenger.memberHasReadMessage).to.have.been.calledWith(conversation, data);
+        });
+      });
+
+      it('should not send the read receipt when the conversation does not share them', function() {
+        lib.conversation.hasReadReceipts = sinon.spy(() => false);
+
+        return subscribeCallback(data).then(() => {
+          expect(messenger.memberHasReadMessage).to.not.have.been.called;
+        });
+      });
+
+      it('should log error when the conversation can not be found', function() {
+        lib.conversation.getById = sinon.spy((id, callback) => callback());
+
+        return subscribeCallback(data).then(() => {
+          expect(messenger.memberHasReadMessage).to.not.have.been.called;
+          expect(logger.error).to.have.been.calledWith('Can not send the read receipt of user user-id in conversation conversation-id');
+        });
+      });
+    });
+
+    describe('on MEMBER_UNREAD_CONVERSATION event', function() {
+      beforeEach(function() {
+        data = {
+          userId: 'user-id',
+          conversationId: 'conversation-id',
+          numOfMessage: 10,
+          memberState: {numOfReadMessages: 7, numOfUnseenMentions: 1, lastReadMessageId: 'message-id'}
+        };
+        lib.conversation.getById = sinon.spy((id, callback) => callback(null, conversation));
+        lib.conversation.hasReadReceipts = sinon.spy(() => true);
+
+        adapter.bindEvents(messenger);
+        subscribeCallback = conversationUnreadTopic.subscribe.firstCall.args[0];
+      });
+
+      it('should send the new state to the user', function() {
+        return subscribeCallback(data).then(() => {
+          expect(messenger.sendDataToUser).to.have.been.calledWith('user-id', MEMBER_UNREAD_CONVERSATION, data);
+        });
+      });
+
+      it('should move the read receipt of the user back', function() {
+        return subscribeCallback(data).then(() => {
+          expect(messenger.memberHasReadMessage).to.have.been.calledWith(conversation, {
+            conversationId: 'conversation-id',
+            userId: 'user-id',
+            messageId: 'message-id'
+          });
+        });
+      });
+
+      it('should not send the read receipt when the conversation does not share them', function() {
+        lib.conversation.hasReadReceipts = sinon.spy(() => false);
+
+        return subscribeCallback(data).then(() => {
+          expect(messenger.sendDataToUser).to.have.been.called;
+          expect(messenger.memberHasReadMessage).to.not.have.been.called;
+        });
+      });
+    });
   });
 });
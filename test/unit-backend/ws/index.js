@@ -68,6 +68,7 @@ describe('The Websocket module', function() {
         };
       });
       mockery.registerMock('./messenger', messenger);
+      mockery.registerMock('./rooms', () => ({}));
       mockery.registerMock('./transport', transport);
     });
 
@@ -2,13 +2,14 @@
 
 const sinon = require('sinon');
 const expect = require('chai').expect;
+const Q = require('q');
 const EventEmitter = require('events').EventEmitter;
 const CONSTANTS = require('../../../backend/lib/constants');
 const CONVERSATION_TYPE = CONSTANTS.CONVERSATION_TYPE;
 const DEFAULT_ROOM = CONSTANTS.WEBSOCKET.DEFAULT_ROOM;
 
 describe('The chat websocket messenger', function() {
-  let channel, conversation, members, message, messenger, logger, options, transport, sendDataToMembersSpy, sendDataToUsersSpy, sendDataToUserSpy;
+  let channel, conversation, members, message, messenger, logger, options, transport, sendDataToConversationSpy, sendDataToUserSpy, addAllUsersToConversationSpy, addUsersToConversationSpy, removeUserFromConversationSpy;
 
   beforeEach(function() {
     members = [];
@@ -16,9 +17,11 @@ describe('The chat websocket messenger', function() {
     conversation = {_id: 1, members: members};
     logger = { info: sinon.spy(), warn: sinon.spy(), error: sinon.spy() };
     message = {_id: 1, text: 'My message', channel: channel};
-    sendDataToMembersSpy = sinon.spy();
-    sendDataToUsersSpy = sinon.spy();
+    sendDataToConversationSpy = sinon.spy();
     sendDataToUserSpy = sinon.spy();
+    addAllUsersToConversationSpy = sinon.spy();
+    addUsersToConversationSpy = sinon.spy();
+    removeUserFromConversationSpy = sinon.spy();
 
     this.moduleHelpers.addDep('logger', logger);
     options = {
@@ -29,12 +32,20 @@ describe('The chat websocket messenger', function() {
   beforeEach(function() {
     transport = new (class Transport extends EventEmitter {
       /*eslint class-methods-use-this: "off"*/
-      sendDataToMembers(members, type, data) {
-        sendDataToMembersSpy(members, type, data);
+      addAllUsersToConversation(conversation) {
+        addAllUsersToConversationSpy(conversation);
       }
 
-      sendDataToUsers(type, data) {
-        sendDataToUsersSpy(type, data);
+      addUsersToConversation(conversation, userIds) {
+        addUsersToConversationSpy(conversation, userIds);
+      }
+
+      removeUserFromConversation(conversation, userId) {
+        removeUserFromConversationSpy(conversation, userId);
+      }
+
+      sendDataToConversation(conversation, type, data) {
+        sendDataToConversationSpy(conversation, type, data);
       }
 
       sendDataToUser(user, type, data) {
@@ -57,64 +68,130 @@ describe('The chat websocket messenger', function() {
 
   it('should listen to transport events', function(done) {
     const messageSpy = sinon.spy();
+    const ack = function() {};
 
     messenger.on('message', messageSpy);
-    transport.emit('message', message);
+    transport.emit('message', message, ack);
 
     process.nextTick(() => {
-      expect(messageSpy).to.have.been.calledWith(message);
+      expect(messageSpy).to.have.been.calledWith(message, ack);
       done();
     });
   });
 
-  describe('The conversationCreated function', function() {
-    it('should send conversation to members when conversation is directmessage', function() {
-      conversation.type = CONVERSATION_TYPE.DIRECT_MESSAGE;
-      conversation.members = [1, 2, 3];
-      messenger.conversationCreated(conversation);
+  it('should forward resync requests from the transport', function(done) {
+    const resyncSpy = sinon.spy();
+    const request = {userId: 'userId', conversations: {}};
+    const ack = function() {};
+
+    messenger.on(CONSTANTS.WEBSOCKET.RESYNC, resyncSpy);
+    transport.emit(CONSTANTS.WEBSOCKET.RESYNC, request, ack);
 
-      expect(sendDataToMembersSpy).to.have.been.calledWith(conversation.members, CONSTANTS.NOTIFICATIONS.CONVERSATION_CREATED, {data: conversation, room: DEFAULT_ROOM});
+    process.nextTick(() => {
+      expect(resyncSpy).to.have.been.calledWith(request, ack);
+      done();
     });
+  });
 
-    it('should send conversation to users when conversation is not directmessage', function() {
-      conversation.type = CONVERSATION_TYPE.OPEN;
-      messenger.conversationCreated(conversation);
+  it('should forward presence and typing events from the transport', function() {
+    const event = {userId: 'userId', socketId: 'socketId'};
+    const ack = function() {};
+
+    [CONSTANTS.WEBSOCKET.USER_ACTIVITY, CONSTANTS.NOTIFICATIONS.USER_CONNECTION, CONSTANTS.NOTIFICATIONS.USER_DISCONNECTION, CONSTANTS.WEBSOCKET.USER_TYPING].forEach(type => {
+      const spy = sinon.spy();
+
+      messenger.on(type, spy);
+      transport.emit(type, event, ack);
 
-      expect(sendDataToUsersSpy).to.have.been.calledWith(CONSTANTS.NOTIFICATIONS.CONVERSATION_CREATED, {data: conversation, room: DEFAULT_ROOM});
+      expect(spy).to.have.been.calledWith(event, ack);
     });
   });
 
-  describe('The conversationDeleted function', function() {
-    it('should send conversation to members when conversation is directmessage', function() {
-      conversation.type = CONVERSATION_TYPE.DIRECT_MESSAGE;
-      conversation.members = [1, 2, 3];
-      messenger.conversationDeleted(conversation);
+  describe('The userStateChanged function', function() {
+    it('should send the new state to each user', function() {
+      const event = {userId: 'userId', state: 'away'};
+
+      messenger.userStateChanged(['userId', 'user1'], event);
 
-      expect(sendDataToMembersSpy).to.have.been.calledWith(conversation.members, CONSTANTS.NOTIFICATIONS.CONVERSATION_DELETED, {data: conversation, room: DEFAULT_ROOM});
+      expect(sendDataToUserSpy).to.have.been.calledTwice;
+      expect(sendDataToUserSpy).to.have.been.calledWith('userId', CONSTANTS.NOTIFICATIONS.USER_STATE, {data: event, room: DEFAULT_ROOM});
+      expect(sendDataToUserSpy).to.have.been.calledWith('user1', CONSTANTS.NOTIFICATIONS.USER_STATE, {data: event, room: DEFAULT_ROOM});
     });
+  });
 
-    it('should send conversation to users when conversation is not directmessage', function() {
-      conversation.type = CONVERSATION_TYPE.OPEN;
-      messenger.conversationDeleted(conversation);
+  describe('The getConnectedUsersSharingDomainsWith function', function() {
+    it('should get the connected users sharing a domain with the user from the transport', function() {
+      transport.getConnectedUsersSharingDomainsWith = sinon.spy(() => Q.when(['user1']));
 
-      expect(sendDataToUsersSpy).to.have.been.calledWith(CONSTANTS.NOTIFICATIONS.CONVERSATION_DELETED, {data: conversation, room: DEFAULT_ROOM});
+      return messenger.getConnectedUsersSharingDomainsWith('userId').then(userIds => {
+        expect(transport.getConnectedUsersSharingDomainsWith).to.have.been.calledWith('userId');
+        expect(userIds).to.deep.equal(['user1']);
+      });
     });
   });
 
-  describe('The conversationUpdated function', function() {
-    it('should send conversation to members when conversation is directmessage', function() {
+  describe('The usersTyping function', function() {
+    it('should send the typing users to the viewers of the conversation', function() {
+      const users = [{user: {_id: 'userId'}, state: true}];
+
+      transport.sendDataToConversationViewers = sinon.spy();
+      messenger.usersTyping('conversationId', users);
+
+      expect(transport.sendDataToConversationViewers).to.have.been.calledWith('conversationId', CONSTANTS.NOTIFICATIONS.CONVERSATION_TYPING, {
+        data: {conversationId: 'conversationId', users},
+        room: DEFAULT_ROOM
+      });
+    });
+  });
+
+  describe('The userStatusUpdated function', function() {
+    it('should send the status to each user', function() {
+      const event = {userId: 'userId', status: {text: 'In a meeting'}};
+
+      messenger.userStatusUpdated(['userId', 'user1'], event);
+
+      expect(sendDataToUserSpy).to.have.been.calledTwice;
+      expect(sendDataToUserSpy).to.have.been.calledWith('userId', CONSTANTS.NOTIFICATIONS.USER_STATUS_UPDATED, {data: event, room: DEFAULT_ROOM});
+      expect(sendDataToUserSpy).to.have.been.calledWith('user1', CONSTANTS.NOTIFICATIONS.USER_STATUS_UPDATED, {data: event, room: DEFAULT_ROOM});
+    });
+  });
+
+  describe('The conversationCreated function', function() {
+    it('should subscribe the members to the conversation room and send the conversation to it', function() {
       conversation.type = CONVERSATION_TYPE.DIRECT_MESSAGE;
-      conversation.members = [1, 2, 3];
-      messenger.conversationUpdated(conversation);
+      conversation.members = [{member: {id: 1}}, {member: {id: 2}}];
 
-      expect(sendDataToMembersSpy).to.have.been.calledWith(conversation.members, CONSTANTS.NOTIFICATIONS.CONVERSATION_UPDATED, {data: conversation, room: DEFAULT_ROOM});
+      return messenger.conversationCreated(conversation).then(() => {
+        expect(addUsersToConversationSpy).to.have.been.calledWith(conversation, [1, 2]);
+        expect(addAllUsersToConversationSpy).to.not.have.been.called;
+        expect(sendDataToConversationSpy).to.have.been.calledWith(conversation, CONSTANTS.NOTIFICATIONS.CONVERSATION_CREATED, {data: conversation, room: DEFAULT_ROOM});
+      });
     });
 
-    it('should send conversation to users when conversation is not directmessage', function() {
+    it('should subscribe the users of its domains to the room of an open channel', function() {
       conversation.type = CONVERSATION_TYPE.OPEN;
+
+      return messenger.conversationCreated(conversation).then(() => {
+        expect(addAllUsersToConversationSpy).to.have.been.calledWith(conversation);
+        expect(addUsersToConversationSpy).to.not.have.been.called;
+        expect(sendDataToConversationSpy).to.have.been.calledWith(conversation, CONSTANTS.NOTIFICATIONS.CONVERSATION_CREATED, {data: conversation, room: DEFAULT_ROOM});
+      });
+    });
+  });
+
+  describe('The conversationDeleted function', function() {
+    it('should send conversation to the conversation room', function() {
+      messenger.conversationDeleted(conversation);
+
+      expect(sendDataToConversationSpy).to.have.been.calledWith(conversation, CONSTANTS.NOTIFICATIONS.CONVERSATION_DELETED, {data: conversation, room: DEFAULT_ROOM});
+    });
+  });
+
+  describe('The conversationUpdated function', function() {
+    it('should send conversation to the conversation room', function() {
       messenger.conversationUpdated(conversation);
 
-      expect(sendDataToUsersSpy).to.have.been.calledWith(CONSTANTS.NOTIFICATIONS.CONVERSATION_UPDATED, {data: conversation, room: DEFAULT_ROOM});
+      expect(sendDataToConversationSpy).to.have.been.calledWith(conversation, CONSTANTS.NOTIFICATIONS.CONVERSATION_UPDATED, {data: conversation, room: DEFAULT_ROOM});
     });
   });
 
@@ -126,19 +203,13 @@ describe('The chat websocket messenger', function() {
       members_count = 10;
     });
 
-    it('should send conversation to members when conversation is directmessage', function() {
-      conversation.type = CONVERSATION_TYPE.DIRECT_MESSAGE;
-      conversation.members = [1, 2, 3];
+    it('should subscribe the member to the conversation room then send the event to it', function() {
+      conversation.type = CONVERSATION_TYPE.CONFIDENTIAL;
       messenger.memberHasJoined(conversation, member, members_count);
 
-      expect(sendDataToMembersSpy).to.have.been.calledWith(conversation.members, CONSTANTS.NOTIFICATIONS.MEMBER_JOINED_CONVERSATION, {data: {conversation, member, members_count}, room: DEFAULT_ROOM});
-    });
-
-    it('should send conversation to users when conversation is not directmessage', function() {
-      conversation.type = CONVERSATION_TYPE.OPEN;
-      messenger.memberHasJoined(conversation, member, members_count);
-
-      expect(sendDataToUsersSpy).to.have.been.calledWith(CONSTANTS.NOTIFICATIONS.MEMBER_JOINED_CONVERSATION, {data: {conversation, member, members_count}, room: DEFAULT_ROOM});
+      expect(addUsersToConversationSpy).to.have.been.calledWith(conversation, ['1']);
+      expect(sendDataToConversationSpy).to.have.been.calledWith(conversation, CONSTANTS.NOTIFICATIONS.MEMBER_JOINED_CONVERSATION, {data: {conversation, member, members_count}, room: DEFAULT_ROOM});
+      expect(addUsersToConversationSpy).to.have.been.calledBefore(sendDataToConversationSpy);
     });
   });
 
@@ -150,19 +221,21 @@ describe('The chat websocket messenger', function() {
       members_count = 10;
     });
 
-    it('should send conversation to members when conversation is directmessage', function() {
-      conversation.type = CONVERSATION_TYPE.DIRECT_MESSAGE;
-      conversation.members = [1, 2, 3];
+    it('should send the event to the conversation room then unsubscribe the member from it', function() {
+      conversation.type = CONVERSATION_TYPE.CONFIDENTIAL;
       messenger.memberHasLeft(conversation, member, members_count);
 
-      expect(sendDataToMembersSpy).to.have.been.calledWith(conversation.members, CONSTANTS.NOTIFICATIONS.MEMBER_LEFT_CONVERSATION, {data: {conversation, member, members_count}, room: DEFAULT_ROOM});
+      expect(sendDataToConversationSpy).to.have.been.calledWith(conversation, CONSTANTS.NOTIFICATIONS.MEMBER_LEFT_CONVERSATION, {data: {conversation, member, members_count}, room: DEFAULT_ROOM});
+      expect(removeUserFromConversationSpy).to.have.been.calledWith(conversation, '1');
+      expect(sendDataToConversationSpy).to.have.been.calledBefore(removeUserFromConversationSpy);
     });
 
-    it('should send conversation to users when conversation is not directmessage', function() {
+    it('should not unsubscribe the member from the room of an open channel', function() {
       conversation.type = CONVERSATION_TYPE.OPEN;
       messenger.memberHasLeft(conversation, member, members_count);
 
-      expect(sendDataToUsersSpy).to.have.been.calledWith(CONSTANTS.NOTIFICATIONS.MEMBER_LEFT_CONVERSATION, {data: {conversation, member, members_count}, room: DEFAULT_ROOM});
+      expect(sendDataToConversationSpy).to.have.been.called;
+      expect(removeUserFromConversationSpy).to.not.have.been.called;
     });
   });
 
@@ -181,63 +254,70 @@ describe('The chat websocket messenger', function() {
     });
   });
 
-  describe('The sendDataToClients function', function() {
-    it('should send data to members when conversation is directmessage', function() {
-      const type = 'MyType';
-      const data = {data: 'MyData'};
+  describe('The messageRemoved function', function() {
+    it('should send message and conversation counters to the conversation room', function() {
+      const counters = {_id: 1, numOfMessage: 2};
 
-      conversation.type = CONVERSATION_TYPE.DIRECT_MESSAGE;
-      conversation.members = [1, 2, 3];
-      messenger.sendDataToClients(conversation, type, data);
+      messenger.messageRemoved(conversation, message, counters);
 
-      expect(sendDataToMembersSpy).to.have.been.calledWith(conversation.members, type, {data: data, room: DEFAULT_ROOM});
+      expect(sendDataToConversationSpy).to.have.been.calledWith(conversation, CONSTANTS.NOTIFICATIONS.MESSAGE_REMOVED, {data: {message, conversation: counters}, room: DEFAULT_ROOM});
     });
+  });
 
-    it('should send data to users when conversation is not directmessage', function() {
-      const type = 'MyType';
-      const data = {data: 'MyData'};
+  describe('The memberHasReadMessage function', function() {
+    it('should send the read receipt to the conversation room', function() {
+      const receipt = {conversationId: '1', userId: 'userId', messageId: 'messageId'};
 
-      conversation.type = CONVERSATION_TYPE.OPEN;
-      messenger.sendDataToClients(conversation, type, data);
+      messenger.memberHasReadMessage(conversation, receipt);
 
-      expect(sendDataToUsersSpy).to.have.been.calledWith(type, {data: data, room: DEFAULT_ROOM});
+      expect(sendDataToConversationSpy).to.have.been.calledWith(conversation, CONSTANTS.NOTIFICATIONS.MEMBER_READ_RECEIPT, {data: receipt, room: DEFAULT_ROOM});
     });
   });
 
-  describe('The sendMessage function', function() {
-    const room = 'MyRoom';
+  describe('The messageReactionUpdated function', function() {
+    it('should send reactions to the conversation room', function() {
+      messenger.messageReactionUpdated(conversation, message);
 
-    it('should send data to members when conversation is directmessage', function() {
-      conversation.type = CONVERSATION_TYPE.DIRECT_MESSAGE;
-      messenger.sendMessage(conversation, room, message);
+      expect(sendDataToConversationSpy).to.have.been.calledWith(conversation, CONSTANTS.NOTIFICATIONS.MESSAGE_REACTION_UPDATED, {data: message, room: DEFAULT_ROOM});
+    });
+  });
 
-      expect(sendDataToUsersSpy).to.not.have.been.called;
-      expect(sendDataToMembersSpy).to.have.been.called;
+  describe('The messageUpdated function', function() {
+    it('should send message to the conversation room', function() {
+      messenger.messageUpdated(conversation, message);
+
+      expect(sendDataToConversationSpy).to.have.been.calledWith(conversation, CONSTANTS.NOTIFICATIONS.MESSAGE_UPDATED, {data: message, room: DEFAULT_ROOM});
     });
+  });
 
-    it('should send data to users when conversation is not directmessage', function() {
-      conversation.type = CONVERSATION_TYPE.OPEN;
-      messenger.sendMessage(conversation, room, message);
+  describe('The sendDataToClients function', function() {
+    it('should send data to the conversation room whatever the type of the conversation is', function() {
+      const type = 'MyType';
+      const data = {data: 'MyData'};
+
+      [CONVERSATION_TYPE.DIRECT_MESSAGE, CONVERSATION_TYPE.CONFIDENTIAL, CONVERSATION_TYPE.OPEN].forEach(conversationType => {
+        conversation.type = conversationType;
+        messenger.sendDataToClients(conversation, type, data);
+      });
 
-      expect(sendDataToUsersSpy).to.have.been.called;
-      expect(sendDataToMembersSpy).to.not.have.been.called;
+      expect(sendDataToConversationSpy).to.have.been.calledThrice;
+      expect(sendDataToConversationSpy).to.always.have.been.calledWith(conversation, type, {data: data, room: DEFAULT_ROOM});
     });
   });
 
-  describe('The topicUpdated function', function() {
-    it('should send conversation to members when conversation is directmessage', function() {
-      conversation.type = CONVERSATION_TYPE.DIRECT_MESSAGE;
-      conversation.members = [1, 2, 3];
-      messenger.topicUpdated(conversation);
+  describe('The sendMessage function', function() {
+    it('should send the message to the conversation room', function() {
+      messenger.sendMessage(conversation, message);
 
-      expect(sendDataToMembersSpy).to.have.been.calledWith(conversation.members, CONSTANTS.NOTIFICATIONS.CONVERSATION_TOPIC_UPDATED, {data: conversation, room: DEFAULT_ROOM});
+      expect(sendDataToConversationSpy).to.have.been.calledWith(conversation, 'message', {data: message, room: DEFAULT_ROOM});
     });
+  });
 
-    it('should send conversation to users when conversation is not directmessage', function() {
-      conversation.type = CONVERSATION_TYPE.OPEN;
+  describe('The topicUpdated function', function() {
+    it('should send conversation to the conversation room', function() {
       messenger.topicUpdated(conversation);
 
-      expect(sendDataToUsersSpy).to.have.been.calledWith(CONSTANTS.NOTIFICATIONS.CONVERSATION_TOPIC_UPDATED, {data: conversation, room: DEFAULT_ROOM});
+      expect(sendDataToConversationSpy).to.have.been.calledWith(conversation, CONSTANTS.NOTIFICATIONS.CONVERSATION_TOPIC_UPDATED, {data: conversation, room: DEFAULT_ROOM});
     });
   });
 
@@ -0,0 +1,119 @@
+'use strict';
+
+const sinon = require('sinon');
+const expect = require('chai').expect;
+const mockery = require('mockery');
+const Q = require('q');
+const CONSTANTS = require('../../../backend/lib/constants');
+const RESYNC_MESSAGES_LIMIT = CONSTANTS.WEBSOCKET.RESYNC_MESSAGES_LIMIT;
+
+describe('The chat websocket resync module', function() {
+  let lib, rooms, ObjectId, privateId, openId, messageId;
+
+  beforeEach(function() {
+    ObjectId = require('mongoose').Types.ObjectId;
+    privateId = String(new ObjectId());
+    openId = String(new ObjectId());
+    messageId = String(new ObjectId());
+
+    rooms = {
+      getConversationsForUser: sinon.spy(() => Q.when([{_id: privateId, name: 'private'}, {_id: openId, name: 'open'}]))
+    };
+    lib = {
+      members: {
+        countMembers: sinon.spy(() => Q.when(2))
+      },
+      message: {
+        getMissedForConversation: sinon.spy((conversation, since, limit, callback) => callback(null, [{_id: 'message1'}, {_id: 'message2'}]))
+      }
+    };
+
+    mockery.registerMock('./rooms', () => rooms);
+    this.moduleHelpers.addDep('db', {
+      mongo: {
+        mongoose: {
+          Types: {ObjectId}
+        }
+      }
+    });
+  });
+
+  function getModule(dependencies) {
+    return require('../../../backend/ws/resync')(dependencies, lib);
+  }
+
+  describe('The getMissedEvents function', function() {
+    it('should resolve with the messages created after the last message seen in each conversation', function() {
+      const lastSeen = {};
+
+      lastSeen[privateId] = {messageId};
+      lastSeen[openId] = {date: '2017-01-01T10:00:00.000Z'};
+
+      return getModule(this.moduleHelpers.dependencies).getMissedEvents('userId', lastSeen).then(result => {
+        expect(rooms.getConversationsForUser).to.have.been.calledWith('userId');
+        expect(lib.message.getMissedForConversation).to.have.been.calledWith({_id: privateId, name: 'private'}, {messageId}, RESYNC_MESSAGES_LIMIT + 1);
+        expect(lib.message.getMissedForConversation).to.have.been.calledWith({_id: openId, name: 'open'}, {date: lastSeen[openId].date}, RESYNC_MESSAGES_LIMIT + 1);
+        expect(result).to.deep.equal({
+          conversations: [
+            {conversation: {_id: privateId, name: 'private'}, members_count: 2, messages: [{_id: 'message1'}, {_id: 'message2'}], hasMore: false},
+            {conversation: {_id: openId, name: 'open'}, members_count: 2, messages: [{_id: 'message1'}, {_id: 'message2'}], hasMore: false}
+          ],
+          added: [],
+          removed: []
+        });
+      });
+    });
+
+    it('should only replay the first messages and flag the conversation when there are too many missed messages', function() {
+      const lastSeen = {};
+      const messages = [];
+
+      for (let i = 0; i <= RESYNC_MESSAGES_LIMIT; i++) {
+        messages.push({_id: `message${i}`});
+      }
+      lastSeen[privateId] = {messageId};
+      lib.message.getMissedForConversation = sinon.spy((conversation, since, limit, callback) => callback(null, messages));
+
+      return getModule(this.moduleHelpers.dependencies).getMissedEvents('userId', lastSeen).then(result => {
+        expect(result.conversations[0].messages).to.have.length(RESYNC_MESSAGES_LIMIT);
+        expect(result.conversations[0].hasMore).to.be.true;
+      });
+    });
+
+    it('should resolve with the conversations the client does not know and the ones the user can not read anymore', function() {
+      const lastSeen = {};
+      const removedId = String(new ObjectId());
+
+      lastSeen[privateId] = {messageId};
+      lastSeen[removedId] = {messageId};
+
+      return getModule(this.moduleHelpers.dependencies).getMissedEvents('userId', lastSeen).then(result => {
+        expect(lib.message.getMissedForConversation).to.have.been.calledOnce;
+        expect(result.added).to.deep.equal([{_id: openId, name: 'open'}]);
+        expect(result.removed).to.deep.equal([removedId]);
+      });
+    });
+
+    it('should not replay messages of a conversation when the last seen message is invalid', function() {
+      const lastSeen = {};
+
+      lastSeen[privateId] = {messageId: 'notAnId'};
+      lastSeen[openId] = {date: 'notADate'};
+      lastSeen.notAConversationId = {messageId};
+
+      return getModule(this.moduleHelpers.dependencies).getMissedEvents('userId', lastSeen).then(result => {
+        expect(lib.message.getMissedForConversation).to.not.have.been.called;
+        expect(result).to.deep.equal({conversations: [], added: [], removed: []});
+      });
+    });
+
+    it('should reject when messages can not be fetched', function() {
+      const lastSeen = {};
+
+      lastSeen[privateId] = {messageId};
+      lib.message.getMissedForConversation = sinon.spy((conversation, since, limit, callback) => callback(new Error('failed')));
+
+      return expect(getModule(this.moduleHelpers.dependencies).getMissedEvents('userId', lastSeen)).to.be.rejectedWith('failed');
+    });
+  });
+});
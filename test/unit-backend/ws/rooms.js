@@ -0,0 +1,113 @@
+'use strict';
+
+const sinon = require('sinon');
+const expect = require('chai').expect;
+const Q = require('q');
+
+describe('The chat websocket rooms module', function() {
+  let lib, user, User;
+
+  beforeEach(function() {
+    user = {_id: 'userId', domains: [{domain_id: 'domain1'}, {domain_id: 'domain2'}]};
+    lib = {
+      conversation: {
+        getAllForUser: sinon.spy(() => Q.when([{_id: 'private'}, {_id: 'open1'}])),
+        getOpenChannels: sinon.spy((options, callback) => callback(null, [{_id: 'open1'}, {_id: 'open2'}]))
+      }
+    };
+    User = {
+      distinct: sinon.spy(() => ({exec: () => Q.when(['user1'])}))
+    };
+
+    this.moduleHelpers.addDep('user', {
+      get: sinon.spy((id, callback) => callback(null, user))
+    });
+    this.moduleHelpers.addDep('db', {
+      mongo: {
+        mongoose: {
+          model: () => User
+        }
+      }
+    });
+  });
+
+  function getModule(dependencies) {
+    return require('../../../backend/ws/rooms')(dependencies, lib);
+  }
+
+  describe('The getConversationIdsForUser function', function() {
+    it('should resolve with the ids of the conversations of the user and of the open channels', function() {
+      return getModule(this.moduleHelpers.dependencies).getConversationIdsForUser('userId').then(ids => {
+        expect(lib.conversation.getAllForUser).to.have.been.calledWith({_id: 'userId'});
+        expect(ids).to.deep.equal(['private', 'open1', 'open2']);
+      });
+    });
+
+    it('should reject when conversations can not be fetched', function() {
+      lib.conversation.getOpenChannels = sinon.spy((options, callback) => callback(new Error('failed')));
+
+      return expect(getModule(this.moduleHelpers.dependencies).getConversationIdsForUser('userId')).to.be.rejectedWith('failed');
+    });
+  });
+
+  describe('The getConversationsForUser function', function() {
+    it('should resolve with the conversations of the user and the open channels without duplicates', function() {
+      return getModule(this.moduleHelpers.dependencies).getConversationsForUser('userId').then(conversations => {
+        expect(lib.conversation.getAllForUser).to.have.been.calledWith({_id: 'userId'});
+        expect(conversations).to.deep.equal([{_id: 'private'}, {_id: 'open1'}, {_id: 'open2'}]);
+      });
+    });
+
+    it('should only get the open channels of the domains of the user', function() {
+      return getModule(this.moduleHelpers.dependencies).getConversationsForUser('userId').then(() => {
+        expect(lib.conversation.getOpenChannels).to.have.been.calledWith({domainIds: ['domain1', 'domain2']});
+      });
+    });
+
+    it('should reject when the user does not exist', function() {
+      user = null;
+
+      return expect(getModule(this.moduleHelpers.dependencies).getConversationsForUser('userId')).to.be.rejectedWith('No such user userId');
+    });
+  });
+
+  describe('The getUsersInConversationDomains function', function() {
+    it('should resolve with the users who are in the domains of the conversation', function() {
+      return getModule(this.moduleHelpers.dependencies).getUsersInConversationDomains({_id: 'open1', domain_ids: ['domain1']}, ['user1', 'user2']).then(userIds => {
+        expect(User.distinct).to.have.been.calledWith('_id', {_id: {$in: ['user1', 'user2']}, 'domains.domain_id': {$in: ['domain1']}});
+        expect(userIds).to.deep.equal(['user1']);
+      });
+    });
+
+    it('should resolve with no user when the conversation is not in any domain', function() {
+      return getModule(this.moduleHelpers.dependencies).getUsersInConversationDomains({_id: 'open1'}, ['user1']).then(userIds => {
+        expect(User.distinct).to.not.have.been.called;
+        expect(userIds).to.deep.equal([]);
+      });
+    });
+  });
+
+  describe('The getUsersSharingDomainsWith function', function() {
+    it('should resolve with the users who are in the domains of the user', function() {
+      return getModule(this.moduleHelpers.dependencies).getUsersSharingDomainsWith('userId', ['user1', 'user2']).then(userIds => {
+        expect(User.distinct).to.have.been.calledWith('_id', {_id: {$in: ['user1', 'user2']}, 'domains.domain_id': {$in: ['domain1', 'domain2']}});
+        expect(userIds).to.deep.equal(['user1']);
+      });
+    });
+
+    it('should resolve with no user when the user is not in any domain', function() {
+      user.domains = [];
+
+      return getModule(this.moduleHelpers.dependencies).getUsersSharingDomainsWith('userId', ['user1']).then(userIds => {
+        expect(User.distinct).to.not.have.been.called;
+        expect(userIds).to.deep.equal([]);
+      });
+    });
+
+    it('should reject when the user does not exist', function() {
+      user = null;
+
+      return expect(getModule(this.moduleHelpers.dependencies).getUsersSharingDomainsWith('userId', ['user1'])).to.be.rejectedWith('No such user userId');
+    });
+  });
+});
@@ -3,13 +3,15 @@
 const _ = require('lodash');
 const sinon = require('sinon');
 const expect = require('chai').expect;
+const Q = require('q');
+const CONSTANTS = require('../../../backend/lib/constants');
 
 describe('The chat websocket transport', function() {
   let channel, ioHelper, logger, options, transport, message, chatNamespace;
 
   beforeEach(function() {
     channel = 123;
-    logger = { info: sinon.spy(), warn: sinon.spy(), error: sinon.spy() };
+    logger = { debug: sinon.spy(), info: sinon.spy(), warn: sinon.spy(), error: sinon.spy() };
     message = {_id: 1, text: 'My message', channel: channel};
     chatNamespace = {
       on: sinon.spy(),
@@ -17,7 +19,7 @@ describe('The chat websocket transport', function() {
     };
     ioHelper = {
       getUserSocketsFromNamespace: sinon.spy(),
-      getUserId: sinon.spy()
+      getUserId: sinon.spy(() => 'userId')
     };
 
     this.moduleHelpers.addDep('wsserver', { ioHelper });
@@ -91,6 +93,190 @@ describe('The chat websocket transport', function() {
     });
   });
 
+  describe('The sendDataToConversation function', function() {
+    it('should emit data in the conversation room', function() {
+      const roomEmit = sinon.spy();
+
+      chatNamespace.to = sinon.spy(() => ({emit: roomEmit}));
+
+      transport.sendDataToConversation({_id: 'conversationId'}, 'MyType', 'MyData');
+
+      expect(chatNamespace.to).to.have.been.calledWith('conversation:conversationId');
+      expect(roomEmit).to.have.been.calledWith('MyType', 'MyData');
+    });
+  });
+
+  describe('The sendDataToConversationViewers function', function() {
+    it('should emit data in the viewers room of the conversation', function() {
+      const roomEmit = sinon.spy();
+
+      chatNamespace.to = sinon.spy(() => ({emit: roomEmit}));
+
+      transport.sendDataToConversationViewers('conversationId', 'MyType', 'MyData');
+
+      expect(chatNamespace.to).to.have.been.calledWith('viewers:conversationId');
+      expect(roomEmit).to.have.been.calledWith('MyType', 'MyData');
+    });
+  });
+
+  describe('The onConversationView function', function() {
+    let socket;
+
+    beforeEach(function() {
+      socket = {
+        rooms: {socketId: 'socketId', 'conversation:conversation1': 'conversation:conversation1', 'viewers:conversation2': 'viewers:conversation2'},
+        join: sinon.spy(),
+        leave: sinon.spy()
+      };
+    });
+
+    it('should move the socket to the viewers room of the conversation', function() {
+      transport.onConversationView(socket, {conversationId: 'conversation1'});
+
+      expect(socket.leave).to.have.been.calledOnce;
+      expect(socket.leave).to.have.been.calledWith('viewers:conversation2');
+      expect(socket.join).to.have.been.calledWith('viewers:conversation1');
+    });
+
+    it('should not join the viewers room of a conversation the socket can not read', function() {
+      transport.onConversationView(socket, {conversationId: 'conversation3'});
+
+      expect(socket.leave).to.have.been.calledWith('viewers:conversation2');
+      expect(socket.join).to.not.have.been.called;
+    });
+
+    it('should leave the viewers rooms when the socket does not view any conversation', function() {
+      socket.rooms = ['socketId', 'viewers:conversation2'];
+
+      transport.onConversationView(socket, {conversationId: null});
+
+      expect(socket.leave).to.have.been.calledWith('viewers:conversation2');
+      expect(socket.join).to.not.have.been.called;
+    });
+  });
+
+  describe('The onUserTyping function', function() {
+    let socket, listener;
+
+    beforeEach(function() {
+      socket = {id: 'socketId', rooms: ['socketId', 'conversation:conversation1']};
+      listener = sinon.spy();
+      transport.on(CONSTANTS.WEBSOCKET.USER_TYPING, listener);
+    });
+
+    it('should emit the typing state of the user', function() {
+      transport.onUserTyping(socket, 'userId', {conversationId: 'conversation1', state: 1});
+
+      expect(listener).to.have.been.calledWith({userId: 'userId', socketId: 'socketId', conversationId: 'conversation1', state: true});
+    });
+
+    it('should ignore the typing state in a conversation the socket can not read', function() {
+      transport.onUserTyping(socket, 'userId', {conversationId: 'conversation2', state: true});
+
+      expect(listener).to.not.have.been.called;
+    });
+
+    it('should ignore invalid typing events', function() {
+      transport.onUserTyping(socket, 'userId', {conversationId: {$gt: ''}, state: true});
+      transport.onUserTyping(socket, 'userId');
+
+      expect(listener).to.not.have.been.called;
+    });
+  });
+
+  describe('The addUsersToConversation function', function() {
+    it('should make the sockets of the users join the conversation room', function() {
+      const socketA = {join: sinon.spy()};
+      const socketB = {join: sinon.spy()};
+
+      ioHelper.getUserSocketsFromNamespace = sinon.stub();
+      ioHelper.getUserSocketsFromNamespace.withArgs('user1').returns([socketA]);
+      ioHelper.getUserSocketsFromNamespace.withArgs('user2').returns([socketB]);
+
+      transport.addUsersToConversation({_id: 'conversationId'}, ['user1', 'user2', 'user3']);
+
+      expect(socketA.join).to.have.been.calledWith('conversation:conversationId');
+      expect(socketB.join).to.have.been.calledWith('conversation:conversationId');
+    });
+  });
+
+  describe('The addAllUsersToConversation function', function() {
+    let conversation, socketA, socketB, socketC;
+
+    beforeEach(function() {
+      conversation = {_id: 'conversationId', domain_ids: ['domainId']};
+      socketA = {userId: 'user1', join: sinon.spy()};
+      socketB = {userId: 'user2', join: sinon.spy()};
+      socketC = {userId: 'user1', join: sinon.spy()};
+      chatNamespace.sockets = {a: socketA, b: socketB, c: socketC};
+      ioHelper.getUserId = sinon.spy(socket => socket.userId);
+    });
+
+    it('should make the sockets of the users in the domains of the conversation join its room', function() {
+      transport.rooms = {
+        getUsersInConversationDomains: sinon.spy(() => Q.when(['user1']))
+      };
+
+      return transport.addAllUsersToConversation(conversation).then(() => {
+        expect(transport.rooms.getUsersInConversationDomains).to.have.been.calledWith(conversation, ['user1', 'user2']);
+        expect(socketA.join).to.have.been.calledWith('conversation:conversationId');
+        expect(socketC.join).to.have.been.calledWith('conversation:conversationId');
+        expect(socketB.join).to.not.have.been.called;
+      });
+    });
+
+    it('should not make any socket join the room when the users can not be checked', function() {
+      transport.rooms = {
+        getUsersInConversationDomains: sinon.spy(() => Q.reject(new Error('failed')))
+      };
+
+      return transport.addAllUsersToConversation(conversation).then(() => {
+        expect(socketA.join).to.not.have.been.called;
+        expect(socketB.join).to.not.have.been.called;
+        expect(logger.error).to.have.been.calledWith('Can not subscribe sockets to conversation conversationId');
+      });
+    });
+  });
+
+  describe('The getConnectedUsersSharingDomainsWith function', function() {
+    beforeEach(function() {
+      chatNamespace.sockets = {a: {userId: 'user1'}, b: {userId: 'user2'}, c: {userId: 'user1'}};
+      ioHelper.getUserId = sinon.spy(socket => socket.userId);
+    });
+
+    it('should resolve with the connected users sharing a domain with the user', function() {
+      transport.rooms = {
+        getUsersSharingDomainsWith: sinon.spy(() => Q.when(['user2']))
+      };
+
+      return transport.getConnectedUsersSharingDomainsWith('userId').then(userIds => {
+        expect(transport.rooms.getUsersSharingDomainsWith).to.have.been.calledWith('userId', ['user1', 'user2']);
+        expect(userIds).to.deep.equal(['user2']);
+      });
+    });
+
+    it('should resolve with no user without rooms', function() {
+      transport.rooms = null;
+
+      return transport.getConnectedUsersSharingDomainsWith('userId').then(userIds => {
+        expect(userIds).to.deep.equal([]);
+      });
+    });
+  });
+
+  describe('The removeUserFromConversation function', function() {
+    it('should make the sockets of the user leave the conversation room', function() {
+      const socket = {leave: sinon.spy()};
+
+      ioHelper.getUserSocketsFromNamespace = sinon.spy(() => [socket]);
+
+      transport.removeUserFromConversation({_id: 'conversationId'}, 'user1');
+
+      expect(ioHelper.getUserSocketsFromNamespace).to.have.been.calledWith('user1');
+      expect(socket.leave).to.have.been.calledWith('conversation:conversationId');
+    });
+  });
+
   describe('The sendDataToUsers function', function() {
     it('should emit message on chatNamespace', function() {
       const type = 'MyType';
@@ -130,6 +316,58 @@ describe('The chat websocket transport', function() {
       expect(socket.on).to.have.been.calledWith('subscribe', sinon.match.func);
     });
 
+    it('should make the socket join the rooms of the conversations the user can read', function(done) {
+      ioHelper.getUserId = sinon.spy(() => 'userId');
+      transport.rooms = {
+        getConversationIdsForUser: sinon.spy(() => Q.when(['conversation1', 'conversation2']))
+      };
+      socket.join = sinon.spy(room => {
+        if (room === 'conversation:conversation2') {
+          expect(transport.rooms.getConversationIdsForUser).to.have.been.calledWith('userId');
+          expect(socket.join).to.have.been.calledWith('conversation:conversation1');
+          done();
+        }
+      });
+
+      connectionHandler(socket);
+    });
+
+    it('should emit a connection event with the user and the socket', function() {
+      const listener = sinon.spy();
+
+      socket.id = 'socketId';
+      transport.on(CONSTANTS.NOTIFICATIONS.USER_CONNECTION, listener);
+      connectionHandler(socket);
+
+      expect(listener).to.have.been.calledWith({userId: 'userId', socketId: 'socketId'});
+    });
+
+    it('should emit a disconnection event when the socket is closed', function() {
+      const listener = sinon.spy();
+
+      socket.id = 'socketId';
+      transport.on(CONSTANTS.NOTIFICATIONS.USER_DISCONNECTION, listener);
+      connectionHandler(socket);
+
+      socket.on.args.filter(args => args[0] === 'disconnect')[0][1]();
+
+      expect(listener).to.have.been.calledWith({userId: 'userId', socketId: 'socketId'});
+    });
+
+    it('should log error when the conversations of the user can not be fetched', function(done) {
+      transport.rooms = {
+        getConversationIdsForUser: sinon.spy(() => Q.reject(new Error('failed')))
+      };
+
+      connectionHandler(socket);
+
+      process.nextTick(() => {
+        expect(socket.join).to.not.have.been.called;
+        expect(logger.error).to.have.been.calledWith(sinon.match(/Can not subscribe sockets of user/));
+        done();
+      });
+    });
+
     describe('The socket.on handler', function() {
       beforeEach(function() {
         connectionHandler(socket);
@@ -152,6 +390,30 @@ describe('The chat websocket transport', function() {
         expect(socket.emit).to.have.been.calledWith('hello');
       });
 
+      it('should not join the room of a conversation on socket "subscribe" message', function() {
+        onSubscribeHandler('conversation:conversationId');
+
+        expect(socket.join).to.not.have.been.called;
+        expect(socket.emit).to.not.have.been.calledWith('hello');
+      });
+
+      it('should not join the viewers room of a conversation on socket "subscribe" message', function() {
+        onSubscribeHandler('viewers:conversationId');
+
+        expect(socket.join).to.not.have.been.called;
+      });
+
+      it('should not leave the room of a conversation on socket "unsubscribe" message', function() {
+        onSubscribeHandler(room);
+
+        expect(socket.on).to.have.been.calledWith('unsubscribe', sinon.match.func.and(sinon.match(function(handler) {
+          handler('conversation:conversationId');
+          expect(socket.leave).to.not.have.been.called;
+
+          return true;
+        })));
+      });
+
       it('should leave the room on socket "unsubscribe" message', function() {
         onSubscribeHandler(room);
 
@@ -163,6 +425,166 @@ describe('The chat websocket transport', function() {
         })));
       });
 
+      it('should emit the validated message on socket "message" message', function(done) {
+        const validMessage = {text: 'My valid message'};
+
+        transport.validator = {
+          validate: sinon.spy(() => Q.when(validMessage))
+        };
+        transport.on('message', function(event) {
+          expect(transport.validator.validate).to.have.been.calledWith(sinon.match({text: message.text, room, date: sinon.match.number}));
+          expect(event).to.equal(validMessage);
+          done();
+        });
+
+        onSubscribeHandler(room);
+        getMessageHandler()(message);
+      });
+
+      it('should send back an error event to the socket when message is rejected', function(done) {
+        transport.validator = {
+          validate: sinon.spy(() => Q.reject(new Error('Message type bot is not allowed')))
+        };
+        transport.on('message', () => done(new Error('Should not be called')));
+        onSubscribeHandler(room);
+        socket.emit = function(type, payload) {
+          expect(type).to.equal(CONSTANTS.NOTIFICATIONS.MESSAGE_REJECTED);
+          expect(payload).to.shallowDeepEqual({
+            room: CONSTANTS.WEBSOCKET.DEFAULT_ROOM,
+            data: {
+              message: {text: message.text},
+              error: {code: 400, message: 'Bad Request', details: 'Message type bot is not allowed'}
+            }
+          });
+          done();
+        };
+
+        getMessageHandler()(message);
+      });
+
+      it('should give the acknowledgement callback along with the validated message', function(done) {
+        const ack = function() {};
+
+        transport.validator = {
+          validate: sinon.spy(() => Q.when(message))
+        };
+        transport.on('message', function(event, callback) {
+          expect(callback).to.equal(ack);
+          done();
+        });
+
+        onSubscribeHandler(room);
+        getMessageHandler()(message, ack);
+      });
+
+      it('should acknowledge with the error when message is rejected', function(done) {
+        transport.validator = {
+          validate: sinon.spy(() => Q.reject(new Error('Message type bot is not allowed')))
+        };
+        onSubscribeHandler(room);
+
+        getMessageHandler()(message, function(response) {
+          expect(response).to.deep.equal({
+            error: {code: 400, message: 'Bad Request', details: 'Message type bot is not allowed'}
+          });
+          done();
+        });
+      });
+
+      it('should listen to the events of the socket once, whatever the number of subscriptions', function() {
+        onSubscribeHandler(room);
+        onSubscribeHandler('AnotherRoom');
+
+        ['unsubscribe', 'message', CONSTANTS.WEBSOCKET.RESYNC, CONSTANTS.WEBSOCKET.USER_ACTIVITY, CONSTANTS.WEBSOCKET.CONVERSATION_VIEW, CONSTANTS.WEBSOCKET.USER_TYPING]
+          .forEach(event => expect(socket.on.args.filter(args => args[0] === event).length).to.equal(1));
+      });
+
+      it('should send the message to the last room the socket has subscribed to', function(done) {
+        transport.on('message', function(event) {
+          expect(event.room).to.equal('AnotherRoom');
+          done();
+        });
+
+        onSubscribeHandler(room);
+        onSubscribeHandler('AnotherRoom');
+        getMessageHandler()(message);
+      });
+
+      it('should reject the message when the socket has not subscribed to any room', function(done) {
+        transport.on('message', () => done(new Error('Should not be called')));
+
+        getMessageHandler()(message, function(response) {
+          expect(response).to.deep.equal({
+            error: {code: 400, message: 'Bad Request', details: 'Subscribe to a chat channel before sending messages'}
+          });
+          done();
+        });
+      });
+
+      it('should reject the message once the socket has unsubscribed from its room', function(done) {
+        transport.on('message', () => done(new Error('Should not be called')));
+
+        onSubscribeHandler(room);
+        socket.on.args.filter(args => args[0] === 'unsubscribe')[0][1](room);
+
+        getMessageHandler()(message, function(response) {
+          expect(response.error.details).to.equal('Subscribe to a chat channel before sending messages');
+          done();
+        });
+      });
+
+      function getMessageHandler() {
+        return socket.on.args.filter(args => args[0] === 'message')[0][1];
+      }
+
+      function getResyncHandler() {
+        return socket.on.args.filter(args => args[0] === CONSTANTS.WEBSOCKET.RESYNC)[0][1];
+      }
+
+      it('should emit a resync request with the acknowledgement callback on socket "resync" message', function(done) {
+        const conversations = {conversationId: {messageId: 'messageId'}};
+        const ack = function() {};
+
+        transport.on(CONSTANTS.WEBSOCKET.RESYNC, function(request, callback) {
+          expect(request).to.deep.equal({userId: 'userId', conversations});
+          expect(callback).to.equal(ack);
+          done();
+        });
+
+        onSubscribeHandler(room);
+        getResyncHandler()({conversations}, ack);
+      });
+
+      it('should emit the activity of the user with the acknowledgement callback on socket "user:activity" message', function() {
+        const listener = sinon.spy();
+        const ack = function() {};
+
+        socket.id = 'socketId';
+        transport.on(CONSTANTS.WEBSOCKET.USER_ACTIVITY, listener);
+        onSubscribeHandler(room);
+        socket.on.args.filter(args => args[0] === CONSTANTS.WEBSOCKET.USER_ACTIVITY)[0][1]({away: true}, ack);
+
+        expect(listener).to.have.been.calledWith({userId: 'userId', socketId: 'socketId', away: true}, ack);
+      });
+
+      it('should listen to the conversation views and typing events of the socket', function() {
+        onSubscribeHandler(room);
+
+        expect(socket.on).to.have.been.calledWith(CONSTANTS.WEBSOCKET.CONVERSATION_VIEW, sinon.match.func);
+        expect(socket.on).to.have.been.calledWith(CONSTANTS.WEBSOCKET.USER_TYPING, sinon.match.func);
+      });
+
+      it('should not emit a resync request when the client did not ask for an acknowledgement', function() {
+        const listener = sinon.spy();
+
+        transport.on(CONSTANTS.WEBSOCKET.RESYNC, listener);
+        onSubscribeHandler(room);
+        getResyncHandler()({conversations: {}});
+
+        expect(listener).to.not.have.been.called;
+        expect(logger.warn).to.have.been.calledWith(sinon.match(/without acknowledgement callback/));
+      });
+
       it('should emit an event on socket "message" message', function(done) {
         transport.on('message', function(event) {
           expect(event).to.shallowDeepEqual(message);
@@ -0,0 +1,123 @@
+'use strict';
+
+const sinon = require('sinon');
+const expect = require('chai').expect;
+const mockery = require('mockery');
+const Q = require('q');
+const CONSTANTS = require('../../../backend/lib/constants');
+const TYPING = CONSTANTS.TYPING;
+
+describe('The chat websocket typing tracker', function() {
+  let clock, send, userCache, typing, logger;
+
+  beforeEach(function() {
+    clock = sinon.useFakeTimers();
+    send = sinon.spy();
+    logger = {warn: sinon.spy(), error: sinon.spy()};
+    userCache = {
+      get: sinon.spy(userId => Q.when({_id: userId}))
+    };
+
+    mockery.registerMock('./user-cache', () => userCache);
+    this.moduleHelpers.addDep('logger', logger);
+
+    typing = require('../../../backend/ws/typing')(this.moduleHelpers.dependencies, send);
+  });
+
+  afterEach(function() {
+    clock.restore();
+  });
+
+  function event(userId, state, socketId = 'socket1') {
+    return {userId, socketId, conversationId: 'conversationId', state};
+  }
+
+  it('should gather the typing states of a conversation in a single event', function() {
+    typing.setState(event('user1', true));
+    typing.setState(event('user2', true));
+    clock.tick(TYPING.COALESCE_DELAY);
+    clock.restore();
+
+    // users are resolved asynchronously from the cache
+    return Q.delay(1).then(() => {
+      expect(send).to.have.been.calledOnce;
+      expect(send).to.have.been.calledWith('conversationId', [{user: {_id: 'user1'}, state: true}, {user: {_id: 'user2'}, state: true}]);
+      expect(userCache.get).to.have.been.calledWith('user1');
+    });
+  });
+
+  it('should only send the last state of a user during the coalesce delay', function() {
+    typing.setState(event('user1', true));
+    typing.setState(event('user1', false));
+    clock.tick(TYPING.COALESCE_DELAY);
+    clock.restore();
+
+    return Q.delay(1).then(() => {
+      expect(send).to.have.been.calledWith('conversationId', [{user: {_id: 'user1'}, state: false}]);
+    });
+  });
+
+  it('should throttle the states of a user still typing', function() {
+    typing.setState(event('user1', true));
+    clock.tick(TYPING.COALESCE_DELAY);
+    typing.setState(event('user1', true));
+    clock.tick(TYPING.COALESCE_DELAY);
+    typing.setState(event('user1', true));
+    clock.tick(TYPING.THROTTLE_DELAY);
+    clock.restore();
+
+    return Q.delay(1).then(() => {
+      // the following states are in the throttle delay of the first one
+      expect(userCache.get).to.have.been.calledOnce;
+    });
+  });
+
+  it('should stop typing once the timeout is reached', function() {
+    typing.setState(event('user1', true));
+    clock.tick(TYPING.TIMEOUT + TYPING.COALESCE_DELAY);
+    clock.restore();
+
+    return Q.delay(1).then(() => {
+      expect(send).to.have.been.calledWith('conversationId', [{user: {_id: 'user1'}, state: false}]);
+    });
+  });
+
+  it('should not send anything when a user who is not typing stops typing', function() {
+    typing.setState(event('user1', false));
+    clock.tick(TYPING.COALESCE_DELAY);
+    clock.restore();
+
+    return Q.delay(1).then(() => {
+      expect(send).to.not.have.been.called;
+    });
+  });
+
+  it('should stop the typing states of a disconnected socket', function() {
+    typing.setState(event('user1', true, 'socket1'));
+    typing.setState(event('user2', true, 'socket2'));
+    clock.tick(TYPING.COALESCE_DELAY);
+
+    typing.stopSocket('socket1');
+    clock.tick(TYPING.COALESCE_DELAY);
+    clock.restore();
+
+    return Q.delay(1).then(() => {
+      expect(send).to.have.been.calledWith('conversationId', [{user: {_id: 'user1'}, state: false}]);
+      expect(send).to.not.have.been.calledWith('conversationId', [{user: {_id: 'user2'}, state: false}]);
+    });
+  });
+
+  it('should skip the users who can not be resolved', function() {
+    userCache.get = sinon.spy(userId => (userId === 'user1' ? Q.reject(new Error('No such user')) : Q.when({_id: userId})));
+
+    typing.setState(event('user1', true));
+    typing.setState(event('user2', true));
+    clock.tick(TYPING.COALESCE_DELAY);
+    clock.restore();
+
+    return Q.delay(1).then(() => {
+      expect(logger.warn).to.have.been.calledWith('Can not resolve typing user user1');
+      expect(send).to.have.been.calledWith('conversationId', [{user: {_id: 'user2'}, state: true}]);
+    });
+  });
+});
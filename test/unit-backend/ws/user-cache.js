@@ -0,0 +1,77 @@
+'use strict';
+
+const sinon = require('sinon');
+const expect = require('chai').expect;
+const CONSTANTS = require('../../../backend/lib/constants');
+
+describe('The chat websocket user cache', function() {
+  let userModule, denormalizeUser, clock;
+
+  beforeEach(function() {
+    clock = sinon.useFakeTimers(Date.now());
+    userModule = {
+      get: sinon.spy((id, callback) => callback(null, {_id: id, password: 'secret'}))
+    };
+    denormalizeUser = {
+      denormalize: sinon.spy(user => Promise.resolve({_id: user._id}))
+    };
+
+    this.moduleHelpers.addDep('user', userModule);
+    this.moduleHelpers.addDep('denormalizeUser', denormalizeUser);
+  });
+
+  afterEach(function() {
+    clock.restore();
+  });
+
+  function getModule(dependencies) {
+    return require('../../../backend/ws/user-cache')(dependencies);
+  }
+
+  it('should resolve with the denormalized user', function() {
+    return getModule(this.moduleHelpers.dependencies).get('userId').then(user => {
+      expect(userModule.get).to.have.been.calledWith('userId');
+      expect(user).to.deep.equal({_id: 'userId'});
+    });
+  });
+
+  it('should not fetch a cached user again', function() {
+    const cache = getModule(this.moduleHelpers.dependencies);
+
+    return cache.get('userId')
+      .then(() => cache.get('userId'))
+      .then(() => {
+        expect(userModule.get).to.have.been.calledOnce;
+      });
+  });
+
+  it('should fetch the user again once the cached one is outdated', function() {
+    const cache = getModule(this.moduleHelpers.dependencies);
+
+    return cache.get('userId')
+      .then(() => {
+        clock.tick(CONSTANTS.TYPING.USER_CACHE_TTL);
+
+        return cache.get('userId');
+      })
+      .then(() => {
+        expect(userModule.get).to.have.been.calledTwice;
+      });
+  });
+
+  it('should reject and not cache unknown users', function() {
+    const cache = getModule(this.moduleHelpers.dependencies);
+
+    userModule.get = sinon.spy((id, callback) => callback());
+
+    return cache.get('userId')
+      .catch(err => {
+        expect(err.message).to.equal('No such user userId');
+
+        return cache.get('userId');
+      })
+      .catch(() => {
+        expect(userModule.get).to.have.been.calledTwice;
+      });
+  });
+});